@@ -13,6 +13,8 @@ const CodexEntryForm = lazy(() => import('./pages/CodexEntryForm'));
 const CodexEntryView = lazy(() => import('./pages/CodexEntryView'));
 const CodexBrowse = lazy(() => import('./pages/CodexBrowse'));
 const CodexImport = lazy(() => import('./pages/CodexImport'));
+const CodexGraph = lazy(() => import('./pages/CodexGraph'));
+const CodexWantedPages = lazy(() => import('./pages/CodexWantedPages'));
 const HeraldryLanding = lazy(() => import('./pages/HeraldryLanding'));
 const HeraldryCreator = lazy(() => import('./pages/HeraldryCreator'));
 const ChargesLibrary = lazy(() => import('./pages/ChargesLibrary'));
@@ -20,7 +22,9 @@ const DignitiesLanding = lazy(() => import('./pages/DignitiesLanding'));
 const DignityForm = lazy(() => import('./pages/DignityForm'));
 const DignityView = lazy(() => import('./pages/DignityView'));
 const DignityAnalysis = lazy(() => import('./pages/DignityAnalysis'));
+const DeathCascade = lazy(() => import('./pages/DeathCascade'));
 const BugTracker = lazy(() => import('./pages/BugTracker'));
+const Timeline = lazy(() => import('./pages/Timeline'));
 
 // Loading fallback for lazy-loaded routes
 function PageLoader() {
@@ -68,6 +72,7 @@ import BugReporterButton from './components/bugs/BugReporterButton';
 import ErrorBoundary from './components/ErrorBoundary';
 import { DatasetManager } from './components/datasets';
 import { runDatasetMigration } from './services/migrationService';
+import { isFeatureEnabled } from './config/featureFlags';
 
 // Context for opening the Dataset Manager modal from anywhere in the app
 export const DatasetManagerContext = createContext({ openDatasetManager: () => {} });
@@ -369,6 +374,9 @@ function AppContent() {
                 <Route path="/" element={<Home />} />
                 <Route path="/tree" element={<FamilyTree />} />
                 <Route path="/tree/:personId" element={<FamilyTree />} />
+                {isFeatureEnabled('MODULE_1E.TIMELINE_VIEW') && (
+                  <Route path="/timeline" element={<Timeline />} />
+                )}
                 <Route path="/manage" element={<ManageData />} />
                 <Route path="/codex" element={<CodexLanding />} />
                 <Route path="/codex/create" element={<CodexEntryForm />} />
@@ -376,6 +384,10 @@ function AppContent() {
                 <Route path="/codex/entry/:id" element={<CodexEntryView />} />
                 <Route path="/codex/browse/:type" element={<CodexBrowse />} />
                 <Route path="/codex/import" element={<CodexImport />} />
+                <Route path="/codex/wanted" element={<CodexWantedPages />} />
+                {isFeatureEnabled('TREE_CODEX_INTEGRATION.KNOWLEDGE_GRAPH_VIEW') && (
+                  <Route path="/codex/graph" element={<CodexGraph />} />
+                )}
                 <Route path="/heraldry" element={<HeraldryLanding />} />
                 <Route path="/heraldry/create" element={<HeraldryCreator />} />
                 <Route path="/heraldry/edit/:id" element={<HeraldryCreator />} />
@@ -385,6 +397,7 @@ function AppContent() {
                 <Route path="/dignities/edit/:id" element={<DignityForm />} />
                 <Route path="/dignities/view/:id" element={<DignityView />} />
                 <Route path="/dignities/analysis" element={<DignityAnalysis />} />
+                <Route path="/dignities/death-cascade" element={<DeathCascade />} />
                 <Route path="/bugs" element={<BugTracker />} />
                 </Routes>
               </Suspense>
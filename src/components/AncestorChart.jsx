@@ -0,0 +1,410 @@
+/**
+ * AncestorChart.jsx - Fan Chart & Pedigree Chart
+ *
+ * PURPOSE:
+ * The two ancestor views of the family tree page, drawn with d3:
+ * - Fan: a radial chart, the subject at the centre and each generation of
+ *   ancestors a ring further out, father's side on the left
+ * - Pedigree: the classic chart, the subject on the left and each
+ *   generation a column further right
+ *
+ * Slots are filled by Ahnentafel number (see utils/ancestorChart.js).
+ * Wedges and cards take their house color through harmonizeColor() and
+ * their border from legitimacy status, as the tree's person cards do.
+ * Every color is written onto the elements, so the exported SVG looks
+ * the same outside the app.
+ *
+ * Click an ancestor for the quick edit panel; double-click to centre the
+ * chart on them.
+ *
+ * Props:
+ * - type: 'fan' | 'pedigree'
+ * - person: The subject
+ * - people, houses, relationships: All data in the dataset
+ * - generations: Generations to show, the subject's included (4-6)
+ * - theme: Current theme name; the chart redraws when it changes
+ * - onPersonClick: Called with a person on click
+ * - onPersonFocus: Called with a person on double-click
+ */
+
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import * as d3 from 'd3';
+import ActionButton from './shared/ActionButton';
+import { buildBloodParentMap } from '../utils/consanguinity';
+import { buildAhnentafel, getAncestorSlots, getAhnentafelDepth } from '../utils/ancestorChart';
+import { getGenerationLabel } from '../utils/pedigreeCollapse';
+import { getAllThemeColors, getThemeColor, harmonizeColor, isDarkTheme } from '../utils/themeColors';
+import { formatCalendarDate, formatCalendarYear } from '../utils/calendarUtils';
+import { downloadFile } from '../utils/heraldryExport';
+import './AncestorChart.css';
+
+// Fan geometry: 270° sweep, opening downwards
+const FAN_SWEEP = Math.PI * 1.5;
+const FAN_CENTER_RADIUS = 70;
+const FAN_RING_WIDTH = 90;
+
+// Pedigree geometry
+const BOX_WIDTH = 180;
+const BOX_HEIGHT = 48;
+const COLUMN_GAP = 40;
+const ROW_GAP = 10;
+
+const CARD_TEXT_COLOR = '#e9dcc9';
+const FALLBACK_FONT = 'Georgia, serif';
+
+// ==================== TEXT HELPERS ====================
+
+/**
+ * Cut text to fit a width, by an average glyph width
+ */
+function fitText(text, maxWidth, fontSize) {
+  const maxChars = Math.floor(maxWidth / (fontSize * 0.55));
+  if (text.length <= maxChars) return text;
+  if (maxChars <= 1) return '';
+  return `${text.slice(0, maxChars - 1).trimEnd()}…`;
+}
+
+function getFullName(person) {
+  return `${person.firstName} ${person.lastName}`;
+}
+
+function getLifespanYears(person) {
+  const born = formatCalendarYear(person.dateOfBirth);
+  const died = formatCalendarYear(person.dateOfDeath);
+  if (!born && !died) return '';
+  return `${born || '?'} – ${died}`;
+}
+
+function getLifespanDates(person) {
+  const born = formatCalendarDate(person.dateOfBirth);
+  const died = formatCalendarDate(person.dateOfDeath);
+  return [born && `b. ${born}`, died && `d. ${died}`].filter(Boolean).join(' - ');
+}
+
+function getSlotTitle(person, slot) {
+  const lifespan = getLifespanDates(person);
+  return `${getFullName(person)}${lifespan ? ` (${lifespan})` : ''} - no. ${slot.number}`;
+}
+
+// ==================== DRAWING ====================
+
+function getChartStyle(housesById) {
+  const colors = getAllThemeColors();
+  const dark = isDarkTheme();
+  return {
+    colors,
+    font: getThemeColor('--font-body') || FALLBACK_FONT,
+    displayFont: getThemeColor('--font-display') || FALLBACK_FONT,
+    fill: (p) => harmonizeColor(housesById.get(p.houseId)?.colorCode || '#666666', dark),
+    border: (p) => colors.statusBorders[p.legitimacyStatus] || colors.statusBorders.legitimate
+  };
+}
+
+// Empty slots are drawn only where the child is recorded
+function getVisibleSlots(ahnentafel, generations, peopleById) {
+  return getAncestorSlots(ahnentafel, generations)
+    .filter(slot => slot.personId !== null || ahnentafel.has(Math.floor(slot.number / 2)))
+    .map(slot => ({ ...slot, person: slot.personId !== null ? peopleById.get(slot.personId) : null }));
+}
+
+/**
+ * Wire a slot's click and double-click
+ * Handlers are read from the ref when the event fires, so a parent passing
+ * new callbacks doesn't force a redraw (and lose the zoom)
+ */
+function bindPerson(selection, slot, handlersRef) {
+  if (!slot.person) return;
+  selection
+    .style('cursor', 'pointer')
+    .on('click', () => handlersRef.current.onPersonClick?.(slot.person))
+    .on('dblclick', (event) => {
+      event.stopPropagation();
+      handlersRef.current.onPersonFocus?.(slot.person);
+    });
+  selection.append('title').text(getSlotTitle(slot.person, slot));
+}
+
+function drawFan(g, slots, style, handlersRef) {
+  const arc = d3.arc().padAngle(0.004).cornerRadius(2);
+
+  slots.forEach(slot => {
+    const wedge = g.append('g').attr('class', 'ancestor-chart__slot');
+    bindPerson(wedge, slot, handlersRef);
+
+    if (slot.generation === 0) {
+      wedge.append('circle')
+        .attr('r', FAN_CENTER_RADIUS)
+        .attr('fill', style.fill(slot.person))
+        .attr('stroke', style.border(slot.person))
+        .attr('stroke-width', 2.5);
+      wedge.append('text')
+        .attr('text-anchor', 'middle').attr('y', -6)
+        .attr('font-family', style.displayFont).attr('font-size', 13)
+        .attr('fill', CARD_TEXT_COLOR)
+        .text(fitText(slot.person.firstName, FAN_CENTER_RADIUS * 1.8, 13));
+      wedge.append('text')
+        .attr('text-anchor', 'middle').attr('y', 10)
+        .attr('font-family', style.displayFont).attr('font-size', 12)
+        .attr('fill', CARD_TEXT_COLOR)
+        .text(fitText(slot.person.lastName, FAN_CENTER_RADIUS * 1.8, 12));
+      wedge.append('text')
+        .attr('text-anchor', 'middle').attr('y', 26)
+        .attr('font-family', style.font).attr('font-size', 10)
+        .attr('fill', CARD_TEXT_COLOR).attr('opacity', 0.8)
+        .text(getLifespanYears(slot.person));
+      return;
+    }
+
+    const span = FAN_SWEEP / 2 ** slot.generation;
+    const startAngle = -FAN_SWEEP / 2 + slot.index * span;
+    const innerRadius = FAN_CENTER_RADIUS + (slot.generation - 1) * FAN_RING_WIDTH;
+    const shape = { innerRadius, outerRadius: innerRadius + FAN_RING_WIDTH, startAngle, endAngle: startAngle + span };
+
+    wedge.append('path')
+      .attr('d', arc(shape))
+      .attr('fill', slot.person ? style.fill(slot.person) : style.colors.bg.secondary)
+      .attr('stroke', slot.person ? style.border(slot.person) : style.colors.border.secondary)
+      .attr('stroke-width', slot.person ? 1.5 : 1)
+      .attr('stroke-dasharray', slot.person ? null : '4 3');
+
+    if (!slot.person) return;
+
+    // Inner rings read along the arc, outer rings along the radius
+    const midAngle = startAngle + span / 2;
+    const midRadius = innerRadius + FAN_RING_WIDTH / 2;
+    const degrees = midAngle * 180 / Math.PI;
+    const tangential = slot.generation <= 2;
+    const rotation = tangential
+      ? (Math.abs(degrees) <= 90 ? degrees : degrees + 180)
+      : (degrees >= 0 ? degrees - 90 : degrees + 90);
+    const textWidth = tangential ? midRadius * span - 12 : FAN_RING_WIDTH - 12;
+    const nameSize = slot.generation <= 2 ? 12 : slot.generation === 3 ? 10 : 9;
+    const dateSize = slot.generation <= 2 ? 10 : 8;
+
+    const label = wedge.append('g')
+      .attr('transform', `translate(${midRadius * Math.sin(midAngle)}, ${-midRadius * Math.cos(midAngle)}) rotate(${rotation})`)
+      .attr('pointer-events', 'none');
+    label.append('text')
+      .attr('text-anchor', 'middle').attr('y', -2)
+      .attr('font-family', style.displayFont).attr('font-size', nameSize)
+      .attr('fill', CARD_TEXT_COLOR)
+      .text(fitText(getFullName(slot.person), textWidth, nameSize));
+    label.append('text')
+      .attr('text-anchor', 'middle').attr('y', dateSize + 2)
+      .attr('font-family', style.font).attr('font-size', dateSize)
+      .attr('fill', CARD_TEXT_COLOR).attr('opacity', 0.8)
+      .text(fitText(getLifespanYears(slot.person), textWidth, dateSize));
+  });
+}
+
+function drawPedigree(g, slots, generations, style, handlersRef) {
+  const rowCount = 2 ** (generations - 1);
+  const totalHeight = rowCount * (BOX_HEIGHT + ROW_GAP);
+  const slotsByNumber = new Map(slots.map(slot => [slot.number, slot]));
+
+  const position = (slot) => {
+    const slotHeight = totalHeight / 2 ** slot.generation;
+    return {
+      x: slot.generation * (BOX_WIDTH + COLUMN_GAP),
+      cy: (slot.index + 0.5) * slotHeight
+    };
+  };
+
+  // Column headings
+  for (let generation = 1; generation < generations; generation++) {
+    g.append('text')
+      .attr('x', generation * (BOX_WIDTH + COLUMN_GAP) + BOX_WIDTH / 2).attr('y', -16)
+      .attr('text-anchor', 'middle')
+      .attr('font-family', style.font).attr('font-size', 11)
+      .attr('fill', style.colors.text.tertiary)
+      .text(getGenerationLabel(generation));
+  }
+
+  // Connectors, drawn first so the cards sit on top
+  slots.forEach(slot => {
+    const father = slotsByNumber.get(slot.number * 2);
+    const mother = slotsByNumber.get(slot.number * 2 + 1);
+    if (!slot.person || (!father && !mother)) return;
+
+    const { x, cy } = position(slot);
+    const midX = x + BOX_WIDTH + COLUMN_GAP / 2;
+    const parentX = x + BOX_WIDTH + COLUMN_GAP;
+    const fatherY = position({ generation: slot.generation + 1, index: slot.index * 2 }).cy;
+    const motherY = position({ generation: slot.generation + 1, index: slot.index * 2 + 1 }).cy;
+
+    g.append('path')
+      .attr('d', `M${x + BOX_WIDTH},${cy}H${midX}M${midX},${fatherY}V${motherY}M${midX},${fatherY}H${parentX}M${midX},${motherY}H${parentX}`)
+      .attr('fill', 'none')
+      .attr('stroke', style.colors.border.primary)
+      .attr('stroke-width', 1.5);
+  });
+
+  slots.forEach(slot => {
+    const { x, cy } = position(slot);
+    const card = g.append('g')
+      .attr('class', 'ancestor-chart__slot')
+      .attr('transform', `translate(${x}, ${cy - BOX_HEIGHT / 2})`);
+    bindPerson(card, slot, handlersRef);
+
+    card.append('rect')
+      .attr('width', BOX_WIDTH).attr('height', BOX_HEIGHT).attr('rx', 6)
+      .attr('fill', slot.person ? style.fill(slot.person) : style.colors.bg.secondary)
+      .attr('stroke', slot.person ? style.border(slot.person) : style.colors.border.secondary)
+      .attr('stroke-width', slot.person ? 2 : 1)
+      .attr('stroke-dasharray', slot.person ? null : '4 3');
+
+    if (!slot.person) {
+      card.append('text')
+        .attr('x', BOX_WIDTH / 2).attr('y', BOX_HEIGHT / 2 + 4)
+        .attr('text-anchor', 'middle')
+        .attr('font-family', style.font).attr('font-size', 11).attr('font-style', 'italic')
+        .attr('fill', style.colors.text.tertiary)
+        .text(slot.number % 2 === 0 ? 'Unknown father' : 'Unknown mother');
+      return;
+    }
+
+    card.append('text')
+      .attr('x', BOX_WIDTH / 2).attr('y', 20)
+      .attr('text-anchor', 'middle')
+      .attr('font-family', style.displayFont).attr('font-size', 13)
+      .attr('fill', CARD_TEXT_COLOR)
+      .text(fitText(getFullName(slot.person), BOX_WIDTH - 16, 13));
+    card.append('text')
+      .attr('x', BOX_WIDTH / 2).attr('y', 37)
+      .attr('text-anchor', 'middle')
+      .attr('font-family', style.font).attr('font-size', 10)
+      .attr('fill', CARD_TEXT_COLOR).attr('opacity', 0.8)
+      .text(fitText(getLifespanDates(slot.person), BOX_WIDTH - 16, 10));
+  });
+}
+
+/**
+ * AncestorChart Component
+ */
+function AncestorChart({
+  type = 'fan',
+  person,
+  people = [],
+  houses = [],
+  relationships = [],
+  generations,
+  theme,
+  onPersonClick,
+  onPersonFocus
+}) {
+  const svgRef = useRef(null);
+  const handlersRef = useRef({ onPersonClick, onPersonFocus });
+
+  useEffect(() => {
+    handlersRef.current = { onPersonClick, onPersonFocus };
+  }, [onPersonClick, onPersonFocus]);
+
+  const peopleById = useMemo(() => new Map(people.map(p => [p.id, p])), [people]);
+  const housesById = useMemo(() => new Map(houses.map(h => [h.id, h])), [houses]);
+  const parentMap = useMemo(() => buildBloodParentMap(relationships), [relationships]);
+
+  const ahnentafel = useMemo(
+    () => buildAhnentafel(person.id, parentMap, peopleById, generations),
+    [person.id, parentMap, peopleById, generations]
+  );
+
+  // ==================== DRAWING ====================
+
+  const drawChart = useCallback(() => {
+    if (!svgRef.current) return;
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('*').remove();
+
+    const zoomGroup = svg.append('g').attr('class', 'ancestor-chart__zoom');
+    const content = zoomGroup.append('g').attr('class', 'ancestor-chart__content');
+    const style = getChartStyle(housesById);
+    const slots = getVisibleSlots(ahnentafel, generations, peopleById);
+
+    if (type === 'fan') {
+      drawFan(content, slots, style, handlersRef);
+    } else {
+      drawPedigree(content, slots, generations, style, handlersRef);
+    }
+
+    const zoom = d3.zoom()
+      .scaleExtent([0.1, 3])
+      .on('zoom', (event) => zoomGroup.attr('transform', event.transform));
+    svg.call(zoom).on('dblclick.zoom', null);
+
+    // Fit the chart to the viewport, never beyond 1x
+    const box = content.node().getBBox();
+    const width = svgRef.current.clientWidth;
+    const height = svgRef.current.clientHeight;
+    if (!box.width || !width || !height) return;
+    const padding = 60;
+    const scale = Math.min((width - padding * 2) / box.width, (height - padding * 2) / box.height, 1);
+    const translateX = width / 2 - (box.x + box.width / 2) * scale;
+    const translateY = height / 2 - (box.y + box.height / 2) * scale;
+    svg.call(zoom.transform, d3.zoomIdentity.translate(translateX, translateY).scale(scale));
+  }, [type, ahnentafel, housesById, peopleById, generations]);
+
+  // The theme isn't read directly, but its colors are
+  useEffect(() => {
+    drawChart();
+  }, [drawChart, theme]);
+
+  // ==================== EXPORT ====================
+
+  const handleExport = () => {
+    const content = svgRef.current?.querySelector('.ancestor-chart__content');
+    if (!content) return;
+
+    try {
+      const box = content.getBBox();
+      const padding = 24;
+      const x = box.x - padding;
+      const y = box.y - padding;
+      const width = box.width + padding * 2;
+      const height = box.height + padding * 2;
+      const background = getAllThemeColors().bg.primary;
+      const body = new XMLSerializer().serializeToString(content);
+
+      const svgText = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.ceil(width)}" height="${Math.ceil(height)}" viewBox="${x} ${y} ${width} ${height}">`,
+        `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${background}"/>`,
+        body,
+        '</svg>'
+      ].join('\n');
+
+      const slug = getFullName(person).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      downloadFile(svgText, `${type === 'fan' ? 'fan-chart' : 'pedigree-chart'}-${slug}.svg`, 'image/svg+xml;charset=utf-8');
+      console.log(`📤 Exported ${type} chart for ${getFullName(person)}`);
+    } catch (error) {
+      console.error('❌ Failed to export ancestor chart:', error);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  const depth = getAhnentafelDepth(ahnentafel);
+
+  return (
+    <div className="ancestor-chart">
+      <svg ref={svgRef} className="ancestor-chart__svg" />
+
+      <div className="ancestor-chart__toolbar">
+        <div className="ancestor-chart__title">
+          <span className="ancestor-chart__name">
+            {type === 'fan' ? 'Fan Chart' : 'Pedigree Chart'} - {getFullName(person)}
+          </span>
+          <span className="ancestor-chart__hint">
+            {depth === 0
+              ? 'No recorded blood parents.'
+              : 'Click for details - double-click to centre the chart.'}
+          </span>
+        </div>
+        <ActionButton icon="download" size="sm" onClick={handleExport}>
+          Export SVG
+        </ActionButton>
+      </div>
+    </div>
+  );
+}
+
+export default AncestorChart;
@@ -0,0 +1,253 @@
+/**
+ * CadencySettings.jsx - Dataset Cadency Scheme Editor
+ *
+ * PURPOSE:
+ * Chooses how sons' arms are differenced from their father's in this
+ * dataset, and how illegitimate children are marked:
+ * - Scheme: triangles, English brisures, Scottish bordures or custom
+ * - Tinctures for brisures and for the Scottish bordure sequence
+ * - Custom scheme: a mark for each birth position
+ * - Mark of illegitimacy, or the scheme's default
+ *
+ * A row of sample shields previews the choice. Existing personal arms
+ * keep the marks they were created with.
+ */
+
+import { useState, useMemo } from 'react';
+import Icon from './icons/Icon';
+import ActionButton from './shared/ActionButton';
+import { useDataset } from '../contexts/DatasetContext';
+import {
+  CADENCY_MARKS,
+  CADENCY_SCHEMES,
+  ILLEGITIMACY_MARKS,
+  normalizeCadencySettings
+} from '../data/cadencySchemes';
+import { SOLID_TINCTURES } from '../data/tinctures';
+import { getCadencyDifference, describeCadencyMark, getBirthOrderLabel } from '../utils/birthOrderUtils';
+import { addCadencyToSVG } from '../utils/personalArmsRenderer';
+import './CadencySettings.css';
+
+const PREVIEW_POSITIONS = [1, 2, 3, 4];
+const CUSTOM_POSITIONS = 9;
+const SAMPLE_SHIELD_PATH = 'M 10 10 H 190 V 130 Q 190 210 100 232 Q 10 210 10 130 Z';
+
+function sampleShield(key) {
+  return `<svg viewBox="0 0 200 240" xmlns="http://www.w3.org/2000/svg">` +
+    `<defs><clipPath id="cadency-preview-${key}"><path d="${SAMPLE_SHIELD_PATH}"/></clipPath></defs>` +
+    `<path d="${SAMPLE_SHIELD_PATH}" fill="#6b7d99"/>` +
+    `<path d="${SAMPLE_SHIELD_PATH}" fill="none" stroke="#1a1410" stroke-width="2"/>` +
+    `</svg>`;
+}
+
+/**
+ * CadencySettings Component
+ */
+function CadencySettings() {
+  const { cadencySettings, updateCadencySettings } = useDataset();
+
+  const [draft, setDraft] = useState(() => normalizeCadencySettings(cadencySettings));
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const scheme = CADENCY_SCHEMES[draft.scheme];
+
+  const previews = useMemo(() => {
+    const sons = PREVIEW_POSITIONS.map(position => {
+      const cadency = getCadencyDifference(
+        { gender: 'male' },
+        { isEligible: true, position },
+        draft
+      );
+      return {
+        key: `son-${position}`,
+        label: getBirthOrderLabel(position),
+        cadency
+      };
+    });
+    const bastard = {
+      key: 'bastard',
+      label: 'Bastard',
+      cadency: getCadencyDifference({ legitimacyStatus: 'bastard' }, null, draft)
+    };
+    return [...sons, bastard].map(preview => ({
+      ...preview,
+      svg: addCadencyToSVG(sampleShield(preview.key), preview.cadency),
+      description: preview.cadency ? describeCadencyMark(preview.cadency) : 'No mark'
+    }));
+  }, [draft]);
+
+  // ==================== EDIT HELPERS ====================
+
+  const updateDraft = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setMessage(null);
+  };
+
+  const updateBordureTincture = (index, tincture) => {
+    updateDraft({ bordureTinctures: draft.bordureTinctures.map((t, i) => (i === index ? tincture : t)) });
+  };
+
+  const updateCustomMark = (index, mark) => {
+    const customMarks = [...draft.customMarks];
+    customMarks[index] = mark || null;
+    updateDraft({ customMarks });
+  };
+
+  // ==================== SAVE ====================
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setMessage(null);
+      await updateCadencySettings(draft);
+      setMessage({ type: 'success', text: `Cadency saved. New personal arms will use ${scheme.name}.` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  const tinctureOptions = Object.values(SOLID_TINCTURES).map(t => (
+    <option key={t.id} value={t.id}>{t.name}</option>
+  ));
+
+  return (
+    <div className="cadency-settings">
+      <p className="cadency-settings__description">
+        Cadency marks tell a family&apos;s sons apart by birth order. The scheme applies
+        to personal arms created from now on - existing arms keep their marks.
+      </p>
+
+      {/* Scheme */}
+      <div className="cadency-settings__schemes">
+        {Object.values(CADENCY_SCHEMES).map(option => (
+          <button
+            key={option.id}
+            className={`cadency-settings__scheme ${draft.scheme === option.id ? 'cadency-settings__scheme--active' : ''}`}
+            onClick={() => updateDraft({ scheme: option.id })}
+          >
+            <span className="cadency-settings__scheme-name">{option.name}</span>
+            <span className="cadency-settings__scheme-description">{option.description}</span>
+          </button>
+        ))}
+      </div>
+
+      {/* Tinctures */}
+      <section className="cadency-settings__section">
+        <h4 className="cadency-settings__section-title">
+          <Icon name="palette" size={16} />
+          <span>Tinctures</span>
+        </h4>
+        <label className="cadency-settings__field">
+          <span className="cadency-settings__label">Marks (triangles, label, brisures, bends)</span>
+          <select
+            className="cadency-settings__input"
+            value={draft.markTincture}
+            onChange={(e) => updateDraft({ markTincture: e.target.value })}
+          >
+            {tinctureOptions}
+          </select>
+        </label>
+        {(draft.scheme === 'scottish' || draft.scheme === 'custom') && (
+          <div className="cadency-settings__field">
+            <span className="cadency-settings__label">Bordures, in order</span>
+            <div className="cadency-settings__row">
+              {draft.bordureTinctures.map((tincture, index) => (
+                <select
+                  key={index}
+                  className="cadency-settings__input"
+                  value={tincture}
+                  onChange={(e) => updateBordureTincture(index, e.target.value)}
+                >
+                  {tinctureOptions}
+                </select>
+              ))}
+            </div>
+          </div>
+        )}
+      </section>
+
+      {/* Custom marks */}
+      {draft.scheme === 'custom' && (
+        <section className="cadency-settings__section">
+          <h4 className="cadency-settings__section-title">
+            <Icon name="list" size={16} />
+            <span>Marks by Birth Order</span>
+          </h4>
+          <div className="cadency-settings__list">
+            {Array.from({ length: CUSTOM_POSITIONS }, (_, index) => (
+              <div key={index} className="cadency-settings__row">
+                <span className="cadency-settings__position">{getBirthOrderLabel(index + 1)}</span>
+                <select
+                  className="cadency-settings__input"
+                  value={draft.customMarks[index] || ''}
+                  onChange={(e) => updateCustomMark(index, e.target.value)}
+                >
+                  <option value="">No mark</option>
+                  {Object.values(CADENCY_MARKS)
+                    .filter(mark => mark.kind !== 'illegitimacy')
+                    .map(mark => (
+                      <option key={mark.id} value={mark.id}>{mark.name}</option>
+                    ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {/* Illegitimacy */}
+      <label className="cadency-settings__field">
+        <span className="cadency-settings__label">Mark of illegitimacy</span>
+        <select
+          className="cadency-settings__input"
+          value={draft.bastardMark || ''}
+          onChange={(e) => updateDraft({ bastardMark: e.target.value || null })}
+        >
+          <option value="">Scheme default ({CADENCY_MARKS[scheme.bastardMark].name})</option>
+          {ILLEGITIMACY_MARKS.map(markId => (
+            <option key={markId} value={markId}>{CADENCY_MARKS[markId].name}</option>
+          ))}
+        </select>
+        <span className="cadency-settings__hint">
+          Applied to people whose legitimacy status is bastard
+        </span>
+      </label>
+
+      {/* Preview */}
+      <div className="cadency-settings__previews">
+        {previews.map(preview => (
+          <figure key={preview.key} className="cadency-settings__preview">
+            <div
+              className="cadency-settings__preview-shield"
+              dangerouslySetInnerHTML={{ __html: preview.svg }}
+            />
+            <figcaption>
+              <strong>{preview.label}</strong>
+              <span>{preview.description}</span>
+            </figcaption>
+          </figure>
+        ))}
+      </div>
+
+      {message && (
+        <div className={`cadency-settings__message cadency-settings__message--${message.type}`}>
+          <Icon name={message.type === 'error' ? 'alert-triangle' : 'check-circle'} size={16} />
+          <span>{message.text}</span>
+        </div>
+      )}
+
+      <div className="cadency-settings__actions">
+        <ActionButton icon="save" variant="primary" loading={saving} onClick={handleSave}>
+          Save Cadency
+        </ActionButton>
+      </div>
+    </div>
+  );
+}
+
+export default CadencySettings;
@@ -0,0 +1,331 @@
+/**
+ * CalendarSettings.jsx - Dataset Calendar Editor
+ *
+ * PURPOSE:
+ * Lets a dataset use its own calendar instead of Gregorian dates:
+ * - Months: any number, each with a name and length
+ * - Eras: name, abbreviation ("AE"), start year, counting forward or backward
+ * - The world's "present day", used for ages of living characters
+ *
+ * Stored dates are absolute years, so editing eras or month names only
+ * changes how dates are entered and displayed - nothing is rewritten.
+ */
+
+import { useState } from 'react';
+import Icon from './icons/Icon';
+import ActionButton from './shared/ActionButton';
+import { useDataset } from '../contexts/DatasetContext';
+import {
+  DEFAULT_FANTASY_CALENDAR,
+  isCustomCalendar,
+  formatCalendarDate,
+  parseDateInput,
+  getCalendarToday,
+  getDateFormatHint,
+  validateCalendarDefinition
+} from '../utils/calendarUtils';
+import './CalendarSettings.css';
+
+const ERA_DIRECTIONS = [
+  { value: 'forward', label: 'Counts up (1, 2, 3...)' },
+  { value: 'backward', label: 'Counts down to start' }
+];
+
+function cloneCalendar(calendar) {
+  return JSON.parse(JSON.stringify(calendar));
+}
+
+function presentDayText(calendar) {
+  const today = getCalendarToday(calendar);
+  if (!today) return '';
+  return formatCalendarDate(`${today.year}-${today.month}-${today.day}`, calendar);
+}
+
+/**
+ * CalendarSettings Component
+ */
+function CalendarSettings() {
+  const { calendar, updateCalendar } = useDataset();
+
+  const [useCustom, setUseCustom] = useState(isCustomCalendar(calendar));
+  const [draft, setDraft] = useState(() => cloneCalendar(calendar || DEFAULT_FANTASY_CALENDAR));
+  const [presentInput, setPresentInput] = useState(() => presentDayText(calendar || DEFAULT_FANTASY_CALENDAR));
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const problems = useCustom ? validateCalendarDefinition(draft) : [];
+  const daysPerYear = draft.months.reduce((sum, m) => sum + (Number(m.days) || 0), 0);
+  const parsedPresent = useCustom ? parseDateInput(presentInput, draft) : null;
+
+  // ==================== EDIT HELPERS ====================
+
+  const updateDraft = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setMessage(null);
+  };
+
+  const updateMonth = (index, changes) => {
+    updateDraft({ months: draft.months.map((m, i) => (i === index ? { ...m, ...changes } : m)) });
+  };
+
+  const updateEra = (index, changes) => {
+    updateDraft({ eras: draft.eras.map((e, i) => (i === index ? { ...e, ...changes } : e)) });
+  };
+
+  const addMonth = () => {
+    updateDraft({ months: [...draft.months, { name: `Month${draft.months.length + 1}`, days: 30 }] });
+  };
+
+  const removeMonth = (index) => {
+    updateDraft({ months: draft.months.filter((_, i) => i !== index) });
+  };
+
+  const addEra = () => {
+    updateDraft({ eras: [...draft.eras, { name: '', abbreviation: '', startYear: 1, direction: 'forward' }] });
+  };
+
+  const removeEra = (index) => {
+    updateDraft({ eras: draft.eras.filter((_, i) => i !== index) });
+  };
+
+  // ==================== SAVE ====================
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setMessage(null);
+
+      if (!useCustom) {
+        await updateCalendar(null);
+        setMessage({ type: 'success', text: 'This dataset now uses Gregorian dates.' });
+        return;
+      }
+
+      const present = parseDateInput(presentInput, draft);
+      const toSave = {
+        ...draft,
+        months: draft.months.map(m => ({ name: m.name.trim(), days: Number(m.days) })),
+        eras: draft.eras.map(e => ({ ...e, abbreviation: e.abbreviation.trim(), startYear: Number(e.startYear) })),
+        currentYear: present ? present.year : (presentInput.trim() ? draft.currentYear : null),
+        currentMonth: present?.month || 1,
+        currentDay: present?.day || 1
+      };
+
+      await updateCalendar(toSave);
+      setDraft(toSave);
+      const todayText = presentDayText(toSave);
+      setMessage({
+        type: 'success',
+        text: todayText
+          ? `Calendar saved. Today is ${todayText}.`
+          : 'Calendar saved. No present day is set, so ages are left blank.'
+      });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  return (
+    <div className="calendar-settings">
+      <p className="calendar-settings__description">
+        Dates are stored as years counted from a single origin, so changing eras
+        or month names later only changes how dates read - nothing is rewritten.
+      </p>
+
+      <div className="calendar-settings__mode">
+        <button
+          className={`calendar-settings__mode-btn ${!useCustom ? 'calendar-settings__mode-btn--active' : ''}`}
+          onClick={() => { setUseCustom(false); setMessage(null); }}
+        >
+          <Icon name="globe" size={16} />
+          <span>Gregorian</span>
+        </button>
+        <button
+          className={`calendar-settings__mode-btn ${useCustom ? 'calendar-settings__mode-btn--active' : ''}`}
+          onClick={() => { setUseCustom(true); setMessage(null); }}
+        >
+          <Icon name="sparkles" size={16} />
+          <span>Custom calendar</span>
+        </button>
+      </div>
+
+      {useCustom && (
+        <>
+          <label className="calendar-settings__field">
+            <span className="calendar-settings__label">Calendar name</span>
+            <input
+              type="text"
+              className="calendar-settings__input"
+              value={draft.name || ''}
+              onChange={(e) => updateDraft({ name: e.target.value })}
+            />
+          </label>
+
+          {/* Months */}
+          <section className="calendar-settings__section">
+            <h4 className="calendar-settings__section-title">
+              <Icon name="calendar" size={16} />
+              <span>Months</span>
+              <span className="calendar-settings__count">
+                {draft.months.length} months · {daysPerYear} days per year
+              </span>
+            </h4>
+            <div className="calendar-settings__list">
+              {draft.months.map((month, index) => (
+                <div key={index} className="calendar-settings__row">
+                  <span className="calendar-settings__index">{index + 1}</span>
+                  <input
+                    type="text"
+                    className="calendar-settings__input"
+                    value={month.name}
+                    onChange={(e) => updateMonth(index, { name: e.target.value })}
+                    placeholder="Month name"
+                  />
+                  <input
+                    type="number"
+                    min="1"
+                    className="calendar-settings__input calendar-settings__input--short"
+                    value={month.days}
+                    onChange={(e) => updateMonth(index, { days: e.target.value })}
+                    title="Days in month"
+                  />
+                  <button
+                    className="calendar-settings__remove"
+                    onClick={() => removeMonth(index)}
+                    title="Remove month"
+                  >
+                    <Icon name="x" size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <ActionButton icon="plus" size="sm" variant="ghost" onClick={addMonth}>
+              Add Month
+            </ActionButton>
+          </section>
+
+          {/* Eras */}
+          <section className="calendar-settings__section">
+            <h4 className="calendar-settings__section-title">
+              <Icon name="clock" size={16} />
+              <span>Eras</span>
+            </h4>
+            <div className="calendar-settings__list">
+              {draft.eras.map((era, index) => (
+                <div key={index} className="calendar-settings__row calendar-settings__row--era">
+                  <input
+                    type="radio"
+                    name="defaultEra"
+                    checked={draft.defaultEra === era.abbreviation}
+                    onChange={() => updateDraft({ defaultEra: era.abbreviation })}
+                    title="Default era when none is typed"
+                  />
+                  <input
+                    type="text"
+                    className="calendar-settings__input"
+                    value={era.name}
+                    onChange={(e) => updateEra(index, { name: e.target.value })}
+                    placeholder="Era name"
+                  />
+                  <input
+                    type="text"
+                    className="calendar-settings__input calendar-settings__input--short"
+                    value={era.abbreviation}
+                    onChange={(e) => {
+                      const wasDefault = draft.defaultEra === era.abbreviation;
+                      updateDraft({
+                        eras: draft.eras.map((x, i) => (i === index ? { ...x, abbreviation: e.target.value } : x)),
+                        ...(wasDefault ? { defaultEra: e.target.value } : {})
+                      });
+                    }}
+                    placeholder="AE"
+                  />
+                  <input
+                    type="number"
+                    className="calendar-settings__input calendar-settings__input--short"
+                    value={era.startYear}
+                    onChange={(e) => updateEra(index, { startYear: e.target.value })}
+                    title="Start year (absolute)"
+                  />
+                  <select
+                    className="calendar-settings__input"
+                    value={era.direction || 'forward'}
+                    onChange={(e) => updateEra(index, { direction: e.target.value })}
+                  >
+                    {ERA_DIRECTIONS.map(d => (
+                      <option key={d.value} value={d.value}>{d.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    className="calendar-settings__remove"
+                    onClick={() => removeEra(index)}
+                    title="Remove era"
+                  >
+                    <Icon name="x" size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <ActionButton icon="plus" size="sm" variant="ghost" onClick={addEra}>
+              Add Era
+            </ActionButton>
+          </section>
+
+          {/* Present day */}
+          <label className="calendar-settings__field">
+            <span className="calendar-settings__label">Present day (used for ages of the living)</span>
+            <input
+              type="text"
+              className="calendar-settings__input"
+              value={presentInput}
+              onChange={(e) => { setPresentInput(e.target.value); setMessage(null); }}
+            />
+            <span className="calendar-settings__hint">
+              {parsedPresent
+                ? `Year ${parsedPresent.year} on the absolute count`
+                : presentInput.trim()
+                  ? `Not recognised - use ${getDateFormatHint(draft)}`
+                  : 'Not set - ages are left blank until you enter one'}
+            </span>
+          </label>
+
+          {problems.length > 0 && (
+            <ul className="calendar-settings__problems">
+              {problems.map(problem => (
+                <li key={problem}>
+                  <Icon name="alert-triangle" size={12} />
+                  <span>{problem}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      {message && (
+        <div className={`calendar-settings__message calendar-settings__message--${message.type}`}>
+          <Icon name={message.type === 'error' ? 'alert-triangle' : 'check-circle'} size={16} />
+          <span>{message.text}</span>
+        </div>
+      )}
+
+      <div className="calendar-settings__actions">
+        <ActionButton
+          icon="save"
+          variant="primary"
+          loading={saving}
+          disabled={problems.length > 0 || (useCustom && !parsedPresent)}
+          onClick={handleSave}
+        >
+          Save Calendar
+        </ActionButton>
+      </div>
+    </div>
+  );
+}
+
+export default CalendarSettings;
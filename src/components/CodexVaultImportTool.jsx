@@ -0,0 +1,332 @@
+/**
+ * CodexVaultImportTool.jsx - Markdown / Obsidian Vault Import
+ *
+ * PURPOSE:
+ * Import a zipped folder of Markdown files (a Codex vault export, or an
+ * Obsidian vault) into the active dataset's Codex. Nothing is written until
+ * the user has reviewed the preview:
+ * - Counts of entries and [[wiki-links]] found
+ * - Entries whose title already exists, each with a choice to update the
+ *   existing entry, create a second one, or skip
+ * - Notes on dropped person/house/dignity links and unknown types
+ *
+ * USAGE:
+ * Rendered in the Import/Export tab of Data Management.
+ */
+
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { getAllPeople, getAllHouses } from '../services/database';
+import { getAllDignities } from '../services/dignityService';
+import { getAllEntries, getEntry } from '../services/codexService';
+import { useDataset } from '../contexts/DatasetContext';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  syncAddCodexEntry,
+  syncUpdateCodexEntry,
+  syncAddCodexLink
+} from '../services/dataSyncService';
+import { readZip } from '../utils/zipArchive';
+import {
+  parseCodexVault,
+  buildCodexVaultImportPreview,
+  commitCodexVaultImport
+} from '../utils/codexVaultImport';
+import Icon from './icons';
+import './CodexVaultImportTool.css';
+
+const ALERT_VARIANTS = {
+  hidden: { opacity: 0, y: -10 },
+  visible: { opacity: 1, y: 0, transition: { duration: 0.2 } },
+  exit: { opacity: 0, y: -10, transition: { duration: 0.15 } }
+};
+
+function CodexVaultImportTool() {
+  const { activeDataset } = useDataset();
+  const { user } = useAuth();
+
+  const [fileName, setFileName] = useState(null);
+  const [parseErrors, setParseErrors] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [decisions, setDecisions] = useState(null);
+
+  const [importing, setImporting] = useState(false);
+  const [progressMessage, setProgressMessage] = useState('');
+  const [result, setResult] = useState(null);
+
+  const handleFileSelect = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const datasetId = activeDataset?.id;
+    setFileName(file.name);
+    setParseErrors(null);
+    setPreview(null);
+    setResult(null);
+
+    try {
+      const zipFiles = await readZip(await file.arrayBuffer());
+      const decoder = new TextDecoder('utf-8');
+      const parsed = parseCodexVault(zipFiles.map(zipFile => ({
+        path: zipFile.path,
+        text: decoder.decode(zipFile.data)
+      })));
+
+      if (parsed.entries.length === 0) {
+        setParseErrors(['No Markdown (.md) files found in this zip']);
+        return;
+      }
+
+      const [entries, people, houses, dignities] = await Promise.all([
+        getAllEntries(datasetId),
+        getAllPeople(datasetId),
+        getAllHouses(datasetId),
+        getAllDignities(datasetId)
+      ]);
+
+      const nextPreview = buildCodexVaultImportPreview(parsed, { entries, people, houses, dignities });
+      setPreview(nextPreview);
+      setDecisions(nextPreview.decisions);
+    } catch (error) {
+      setParseErrors([error.message]);
+    }
+  };
+
+  const setEntryDecision = (tempId, action) => {
+    setDecisions(prev => ({
+      ...prev,
+      [tempId]: { ...prev[tempId], action }
+    }));
+  };
+
+  const handleCancel = () => {
+    setFileName(null);
+    setPreview(null);
+    setDecisions(null);
+    setParseErrors(null);
+    setResult(null);
+    const input = document.getElementById('codex-vault-file-input');
+    if (input) input.value = '';
+  };
+
+  const handleImport = async () => {
+    if (!preview || !decisions) return;
+
+    const writing = Object.values(decisions).filter(d => d.action !== 'skip').length;
+    if (!confirm(`Import ${writing} Codex entries from ${fileName}?`)) return;
+
+    const datasetId = activeDataset?.id;
+
+    try {
+      setImporting(true);
+      setParseErrors(null);
+
+      const commitResult = await commitCodexVaultImport(preview, decisions, {
+        datasetId,
+        onProgress: (step, message) => setProgressMessage(message)
+      });
+
+      // ☁️ Sync imported entries and links to cloud
+      if (user && activeDataset) {
+        for (const id of commitResult.createdIds) {
+          const entry = await getEntry(id, datasetId);
+          if (entry) syncAddCodexEntry(user.uid, datasetId, id, entry);
+        }
+        for (const id of commitResult.updatedIds) {
+          const entry = await getEntry(id, datasetId);
+          if (entry) syncUpdateCodexEntry(user.uid, datasetId, id, entry);
+        }
+        for (const link of commitResult.createdLinks) {
+          syncAddCodexLink(user.uid, datasetId, link.id, link.data);
+        }
+      }
+
+      setResult(commitResult);
+      setPreview(null);
+    } catch (error) {
+      console.error('Codex vault import error:', error);
+      setParseErrors([error.message]);
+    } finally {
+      setImporting(false);
+      setProgressMessage('');
+    }
+  };
+
+  const duplicates = preview?.entries.filter(item => item.duplicate) || [];
+
+  // ==================== RENDER ====================
+
+  return (
+    <div className="codex-vault-import">
+      {!preview && !result && (
+        <div className="import-export__file-input-wrapper">
+          <input
+            id="codex-vault-file-input"
+            type="file"
+            accept=".zip"
+            onChange={handleFileSelect}
+            className="import-export__file-input"
+          />
+          <p className="import-export__file-hint">
+            Select a zipped vault: a Codex Markdown export, or an Obsidian vault folder compressed as .zip
+          </p>
+        </div>
+      )}
+
+      <AnimatePresence>
+        {parseErrors && (
+          <motion.div
+            className="import-export__alert import-export__alert--error"
+            variants={ALERT_VARIANTS}
+            initial="hidden"
+            animate="visible"
+            exit="exit"
+          >
+            <Icon name="x-circle" size={18} className="import-export__alert-icon" />
+            <div className="import-export__alert-content">
+              <h4 className="import-export__alert-title">Vault Problems</h4>
+              <ul className="import-export__alert-list">
+                {parseErrors.slice(0, 10).map((error, index) => (
+                  <li key={index}>{error}</li>
+                ))}
+              </ul>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {preview && decisions && (
+        <div className="import-export__preview">
+          <h3 className="import-export__preview-title">
+            <Icon name="book-open" size={18} />
+            <span>Vault Preview — {fileName}</span>
+          </h3>
+
+          {/* Counts */}
+          <div className="import-export__counts-grid">
+            <div className="import-export__count-item">
+              <p className="import-export__count-value">{preview.counts.entries}</p>
+              <p className="import-export__count-label">Entries</p>
+            </div>
+            <div className="import-export__count-item">
+              <p className="import-export__count-value">{preview.counts.links}</p>
+              <p className="import-export__count-label">Wiki-Links</p>
+            </div>
+            <div className="import-export__count-item">
+              <p className="import-export__count-value">{preview.counts.duplicates}</p>
+              <p className="import-export__count-label">Existing Titles</p>
+            </div>
+          </div>
+
+          {/* Duplicates */}
+          {duplicates.length > 0 && (
+            <div className="import-export__conflicts">
+              <h4 className="import-export__conflicts-header">
+                <Icon name="file-edit" size={18} />
+                <span>{duplicates.length} Entries Already Exist</span>
+              </h4>
+              <p className="import-export__conflicts-description">
+                These titles are already in the Codex. Files exported from this dataset default
+                to updating their original entry.
+              </p>
+              <div className="codex-vault-import__list">
+                {duplicates.map(({ entry }) => (
+                  <div key={entry._tempId} className="codex-vault-import__row">
+                    <span className="codex-vault-import__name">
+                      {entry.title}
+                      <small> {entry.path}</small>
+                    </span>
+                    <select
+                      value={decisions[entry._tempId].action}
+                      onChange={(e) => setEntryDecision(entry._tempId, e.target.value)}
+                      className="codex-vault-import__select"
+                      disabled={importing}
+                    >
+                      <option value="update">Update existing entry</option>
+                      <option value="create">Create as new entry</option>
+                      <option value="skip">Skip</option>
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Mapping notes */}
+          {preview.warnings.length > 0 && (
+            <div className="import-export__alert import-export__alert--info">
+              <Icon name="info" size={18} className="import-export__alert-icon" />
+              <div className="import-export__alert-content">
+                <h4 className="import-export__alert-title">Mapping Notes</h4>
+                <ul className="import-export__alert-list">
+                  {preview.warnings.slice(0, 10).map((warning, index) => (
+                    <li key={index}>{warning}</li>
+                  ))}
+                  {preview.warnings.length > 10 && (
+                    <li>...and {preview.warnings.length - 10} more</li>
+                  )}
+                </ul>
+              </div>
+            </div>
+          )}
+
+          {importing && progressMessage && (
+            <p className="codex-vault-import__progress">{progressMessage}</p>
+          )}
+
+          <div className="import-export__actions">
+            <button
+              className="import-export__btn import-export__btn--secondary"
+              onClick={handleCancel}
+              disabled={importing}
+            >
+              Cancel
+            </button>
+            <button
+              className="import-export__btn import-export__btn--primary"
+              onClick={handleImport}
+              disabled={importing}
+            >
+              {importing ? (
+                <>
+                  <Icon name="loader" size={16} />
+                  <span>Importing...</span>
+                </>
+              ) : (
+                <>
+                  <Icon name="check" size={16} />
+                  <span>Confirm Import</span>
+                </>
+              )}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className={`import-export__alert import-export__alert--${result.success ? 'success' : 'warning'}`}>
+          <Icon name={result.success ? 'check-circle' : 'alert-triangle'} size={18} className="import-export__alert-icon" />
+          <div className="import-export__alert-content">
+            <h4 className="import-export__alert-title">Vault Imported</h4>
+            <ul className="import-export__alert-list">
+              <li>{result.summary.created} entries created, {result.summary.updated} updated</li>
+              <li>{result.summary.linksCreated} links created</li>
+              <li>{result.summary.skipped} entries skipped</li>
+              {result.errors?.map((error, index) => <li key={index}>{error}</li>)}
+            </ul>
+            <div className="codex-vault-import__result-actions">
+              <button
+                className="import-export__btn import-export__btn--secondary"
+                onClick={handleCancel}
+              >
+                Import another vault
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CodexVaultImportTool;
@@ -0,0 +1,469 @@
+/**
+ * GedcomImportTool.jsx - GEDCOM Import with Mapping Preview
+ *
+ * PURPOSE:
+ * Import a .ged file (GEDCOM 5.5.1 or 7.0) into a new or existing dataset.
+ * Nothing is written until the user has reviewed the preview:
+ * - Counts of people, new houses (from SURN) and relationships
+ * - Likely duplicates of people already in the target dataset,
+ *   each with a choice to merge, create anyway, or skip
+ * - Conflicts (hard validation errors) that will be skipped
+ *
+ * USAGE:
+ * Rendered in the Import/Export tab of Data Management, below the JSON import.
+ * Imported records are synced to the cloud when signed in.
+ */
+
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { getAllPeople, getAllHouses, getAllRelationships } from '../services/database';
+import { useGenealogy } from '../contexts/GenealogyContext';
+import { useDataset } from '../contexts/DatasetContext';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  parseGedcom,
+  buildGedcomImportPreview,
+  commitGedcomImport
+} from '../utils/gedcomImport';
+import Icon from './icons';
+import './GedcomImportTool.css';
+
+const NEW_DATASET = '__new__';
+
+const ALERT_VARIANTS = {
+  hidden: { opacity: 0, y: -10 },
+  visible: { opacity: 1, y: 0, transition: { duration: 0.2 } },
+  exit: { opacity: 0, y: -10, transition: { duration: 0.15 } }
+};
+
+function GedcomImportTool() {
+  const { refreshData } = useGenealogy();
+  const { user } = useAuth();
+  const { datasets, activeDataset, createDataset, switchDataset } = useDataset();
+
+  const [fileName, setFileName] = useState(null);
+  const [mapped, setMapped] = useState(null);
+  const [parseErrors, setParseErrors] = useState(null);
+
+  const [targetDatasetId, setTargetDatasetId] = useState(activeDataset?.id || 'default');
+  const [newDatasetName, setNewDatasetName] = useState('');
+
+  const [preview, setPreview] = useState(null);
+  const [decisions, setDecisions] = useState(null);
+  const [existingPeople, setExistingPeople] = useState([]);
+  const [existingRelationships, setExistingRelationships] = useState([]);
+
+  const [importing, setImporting] = useState(false);
+  const [progressMessage, setProgressMessage] = useState('');
+  const [result, setResult] = useState(null);
+
+  // Rebuild the preview whenever the file or target dataset changes
+  useEffect(() => {
+    if (!mapped) return;
+    let cancelled = false;
+
+    async function loadPreview() {
+      const isNew = targetDatasetId === NEW_DATASET;
+      const [people, houses, relationships] = isNew
+        ? [[], [], []]
+        : await Promise.all([
+            getAllPeople(targetDatasetId),
+            getAllHouses(targetDatasetId),
+            getAllRelationships(targetDatasetId)
+          ]);
+
+      if (cancelled) return;
+
+      const nextPreview = buildGedcomImportPreview(mapped, { people, houses, relationships });
+      setExistingPeople(people);
+      setExistingRelationships(relationships);
+      setPreview(nextPreview);
+      setDecisions(nextPreview.decisions);
+    }
+
+    loadPreview().catch(err => {
+      console.error('GEDCOM preview error:', err);
+      setParseErrors([err.message]);
+    });
+
+    return () => { cancelled = true; };
+  }, [mapped, targetDatasetId]);
+
+  const handleFileSelect = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    setParseErrors(null);
+    setPreview(null);
+    setResult(null);
+
+    try {
+      const text = await file.text();
+      const parsed = parseGedcom(text);
+
+      if (parsed.people.length === 0) {
+        setParseErrors(parsed.errors.length > 0
+          ? parsed.errors
+          : ['No individuals (INDI records) found in this file']);
+        setMapped(null);
+        return;
+      }
+
+      if (parsed.errors.length > 0) {
+        setParseErrors(parsed.errors);
+      }
+      setMapped(parsed);
+    } catch (error) {
+      setParseErrors([error.message]);
+      setMapped(null);
+    }
+  };
+
+  const setPersonDecision = (tempId, value) => {
+    setDecisions(prev => {
+      const [action, targetId] = value.split(':');
+      return {
+        ...prev,
+        people: {
+          ...prev.people,
+          [tempId]: action === 'merge' ? { action, targetId: parseInt(targetId, 10) } : { action }
+        }
+      };
+    });
+  };
+
+  const handleCancel = () => {
+    setFileName(null);
+    setMapped(null);
+    setPreview(null);
+    setDecisions(null);
+    setParseErrors(null);
+    setResult(null);
+    const input = document.getElementById('gedcom-file-input');
+    if (input) input.value = '';
+  };
+
+  const handleImport = async () => {
+    if (!preview || !decisions) return;
+
+    const isNew = targetDatasetId === NEW_DATASET;
+    if (isNew && !newDatasetName.trim()) {
+      setParseErrors(['Please enter a name for the new dataset']);
+      return;
+    }
+
+    const creating = Object.values(decisions.people).filter(d => d.action === 'create').length;
+    if (!confirm(`Import ${creating} new people from ${fileName}?`)) return;
+
+    try {
+      setImporting(true);
+      setParseErrors(null);
+
+      let datasetId = targetDatasetId;
+      let datasetName = datasets.find(d => d.id === targetDatasetId)?.name;
+      if (isNew) {
+        setProgressMessage('Creating dataset...');
+        const dataset = await createDataset(newDatasetName.trim());
+        datasetId = dataset.id;
+        datasetName = dataset.name;
+      }
+
+      const commitResult = await commitGedcomImport(preview, decisions, {
+        datasetId,
+        userId: user?.uid || null,
+        existingRelationships,
+        onProgress: (step, message) => setProgressMessage(message)
+      });
+
+      if (datasetId === activeDataset?.id) {
+        await refreshData();
+      }
+
+      setResult({ ...commitResult, datasetId, datasetName });
+      setPreview(null);
+      setMapped(null);
+    } catch (error) {
+      console.error('GEDCOM import error:', error);
+      setParseErrors([error.message]);
+    } finally {
+      setImporting(false);
+      setProgressMessage('');
+    }
+  };
+
+  const handleSwitchToDataset = async () => {
+    await switchDataset(result.datasetId);
+    window.location.reload();
+  };
+
+  const personName = (person) => `${person.firstName} ${person.lastName}`.trim() || person._tempId;
+  const tempName = (tempId) => {
+    const person = mapped?.people.find(p => p._tempId === tempId);
+    return person ? personName(person) : tempId;
+  };
+
+  const duplicates = preview?.people.filter(item => item.duplicates.length > 0) || [];
+  const personConflicts = preview?.people.filter(item => item.errors.length > 0) || [];
+  const relationshipConflicts = preview?.relationships.filter(item => item.errors.length > 0) || [];
+
+  // ==================== RENDER ====================
+
+  return (
+    <div className="gedcom-import">
+      {!preview && !result && (
+        <div className="import-export__file-input-wrapper">
+          <input
+            id="gedcom-file-input"
+            type="file"
+            accept=".ged,.gedcom"
+            onChange={handleFileSelect}
+            className="import-export__file-input"
+          />
+          <p className="import-export__file-hint">
+            Select a GEDCOM 5.5.1 or 7.0 file exported from Gramps or another genealogy tool
+          </p>
+        </div>
+      )}
+
+      <AnimatePresence>
+        {parseErrors && (
+          <motion.div
+            className="import-export__alert import-export__alert--error"
+            variants={ALERT_VARIANTS}
+            initial="hidden"
+            animate="visible"
+            exit="exit"
+          >
+            <Icon name="x-circle" size={18} className="import-export__alert-icon" />
+            <div className="import-export__alert-content">
+              <h4 className="import-export__alert-title">GEDCOM Problems</h4>
+              <ul className="import-export__alert-list">
+                {parseErrors.slice(0, 10).map((error, index) => (
+                  <li key={index}>{error}</li>
+                ))}
+              </ul>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {preview && decisions && (
+        <div className="import-export__preview">
+          <h3 className="import-export__preview-title">
+            <Icon name="file-text" size={18} />
+            <span>GEDCOM Preview — {fileName}{mapped?.version ? ` (v${mapped.version})` : ''}</span>
+          </h3>
+
+          {/* Target dataset */}
+          <div className="gedcom-import__target">
+            <label className="gedcom-import__label" htmlFor="gedcom-target">
+              Import into
+            </label>
+            <select
+              id="gedcom-target"
+              value={targetDatasetId}
+              onChange={(e) => setTargetDatasetId(e.target.value)}
+              className="gedcom-import__select"
+              disabled={importing}
+            >
+              {datasets.map(dataset => (
+                <option key={dataset.id} value={dataset.id}>
+                  {dataset.name}{dataset.id === activeDataset?.id ? ' (active)' : ''}
+                </option>
+              ))}
+              <option value={NEW_DATASET}>+ New dataset…</option>
+            </select>
+            {targetDatasetId === NEW_DATASET && (
+              <input
+                type="text"
+                value={newDatasetName}
+                onChange={(e) => setNewDatasetName(e.target.value)}
+                placeholder="New dataset name"
+                className="gedcom-import__input"
+                disabled={importing}
+              />
+            )}
+          </div>
+
+          {/* Counts */}
+          <div className="import-export__counts-grid">
+            <div className="import-export__count-item">
+              <p className="import-export__count-value">{preview.counts.people}</p>
+              <p className="import-export__count-label">People</p>
+            </div>
+            <div className="import-export__count-item">
+              <p className="import-export__count-value">{preview.counts.houses}</p>
+              <p className="import-export__count-label">New Houses</p>
+            </div>
+            <div className="import-export__count-item">
+              <p className="import-export__count-value">{preview.counts.relationships}</p>
+              <p className="import-export__count-label">Relationships</p>
+            </div>
+            <div className="import-export__count-item">
+              <p className="import-export__count-value">{preview.counts.duplicates}</p>
+              <p className="import-export__count-label">Duplicates</p>
+            </div>
+          </div>
+
+          {/* Duplicates */}
+          {duplicates.length > 0 && (
+            <div className="import-export__conflicts">
+              <h4 className="import-export__conflicts-header">
+                <Icon name="users" size={18} />
+                <span>{duplicates.length} Possible Duplicates</span>
+              </h4>
+              <p className="import-export__conflicts-description">
+                These people look like someone already in the dataset. Merging attaches their
+                imported relationships to the existing person.
+              </p>
+              <div className="gedcom-import__list">
+                {duplicates.map(({ person, duplicates: matches }) => {
+                  const decision = decisions.people[person._tempId];
+                  const value = decision.action === 'merge'
+                    ? `merge:${decision.targetId}`
+                    : decision.action;
+                  return (
+                    <div key={person._tempId} className="gedcom-import__row">
+                      <span className="gedcom-import__name">
+                        {personName(person)}
+                        {person.dateOfBirth && <small> b. {person.dateOfBirth}</small>}
+                      </span>
+                      <select
+                        value={value}
+                        onChange={(e) => setPersonDecision(person._tempId, e.target.value)}
+                        className="gedcom-import__select"
+                        disabled={importing}
+                      >
+                        {matches.map(match => {
+                          const existing = existingPeople.find(p => p.id === match.id);
+                          return (
+                            <option key={match.id} value={`merge:${match.id}`}>
+                              Merge into {match.name}{existing?.dateOfBirth ? ` (b. ${existing.dateOfBirth})` : ''}
+                            </option>
+                          );
+                        })}
+                        <option value="create">Create as new person</option>
+                        <option value="skip">Skip</option>
+                      </select>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* Conflicts */}
+          {(personConflicts.length > 0 || relationshipConflicts.length > 0) && (
+            <div className="import-export__alert import-export__alert--warning">
+              <Icon name="alert-triangle" size={18} className="import-export__alert-icon" />
+              <div className="import-export__alert-content">
+                <h4 className="import-export__alert-title">
+                  {personConflicts.length + relationshipConflicts.length} Conflicts (will be skipped)
+                </h4>
+                <ul className="import-export__alert-list">
+                  {personConflicts.map(({ person, errors }) => (
+                    <li key={person._tempId}>
+                      {personName(person)}: {errors.map(e => e.message).join('; ')}
+                    </li>
+                  ))}
+                  {relationshipConflicts.map(({ relationship, errors }) => (
+                    <li key={relationship._tempId}>
+                      {relationship.relationshipType} {tempName(relationship.person1Id)} → {tempName(relationship.person2Id)}:
+                      {' '}{errors.map(e => e.message).join('; ')}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )}
+
+          {/* Parse warnings */}
+          {mapped?.warnings.length > 0 && (
+            <div className="import-export__alert import-export__alert--info">
+              <Icon name="info" size={18} className="import-export__alert-icon" />
+              <div className="import-export__alert-content">
+                <h4 className="import-export__alert-title">Mapping Notes</h4>
+                <ul className="import-export__alert-list">
+                  {mapped.warnings.slice(0, 10).map((warning, index) => (
+                    <li key={index}>{warning}</li>
+                  ))}
+                  {mapped.warnings.length > 10 && (
+                    <li>...and {mapped.warnings.length - 10} more</li>
+                  )}
+                </ul>
+              </div>
+            </div>
+          )}
+
+          {importing && progressMessage && (
+            <p className="gedcom-import__progress">{progressMessage}</p>
+          )}
+
+          <div className="import-export__actions">
+            <button
+              className="import-export__btn import-export__btn--secondary"
+              onClick={handleCancel}
+              disabled={importing}
+            >
+              Cancel
+            </button>
+            <button
+              className="import-export__btn import-export__btn--primary"
+              onClick={handleImport}
+              disabled={importing}
+            >
+              {importing ? (
+                <>
+                  <Icon name="loader" size={16} />
+                  <span>Importing...</span>
+                </>
+              ) : (
+                <>
+                  <Icon name="check" size={16} />
+                  <span>Confirm Import</span>
+                </>
+              )}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className={`import-export__alert import-export__alert--${result.success ? 'success' : 'warning'}`}>
+          <Icon name={result.success ? 'check-circle' : 'alert-triangle'} size={18} className="import-export__alert-icon" />
+          <div className="import-export__alert-content">
+            <h4 className="import-export__alert-title">
+              Imported into {result.datasetName || result.datasetId}
+            </h4>
+            <ul className="import-export__alert-list">
+              <li>{result.summary.peopleCreated} people created, {result.summary.peopleMerged} merged</li>
+              <li>{result.summary.housesCreated} houses created</li>
+              <li>{result.summary.relationshipsCreated} relationships created</li>
+              <li>{result.summary.skipped} records skipped</li>
+              {result.errors?.map((error, index) => <li key={index}>{error}</li>)}
+            </ul>
+            <div className="gedcom-import__result-actions">
+              {result.datasetId !== activeDataset?.id && (
+                <button
+                  className="import-export__btn import-export__btn--primary"
+                  onClick={handleSwitchToDataset}
+                >
+                  Switch to dataset
+                </button>
+              )}
+              <button
+                className="import-export__btn import-export__btn--secondary"
+                onClick={handleCancel}
+              >
+                Import another file
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GedcomImportTool;
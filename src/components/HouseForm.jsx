@@ -26,6 +26,12 @@ import {
   unlinkHeraldry,
   getHeraldryLinks
 } from '../services/heraldryService';
+import {
+  getActiveCalendar,
+  formatCalendarYear,
+  parseDateInput,
+  normalizeDateInput
+} from '../utils/calendarUtils';
 import './HouseForm.css';
 
 const SECTION_VARIANTS = {
@@ -52,7 +58,7 @@ function HouseForm({
     sigil: house?.sigil || '',
     sigilImage: house?.sigilImage || null,
     motto: house?.motto || '',
-    foundedDate: house?.foundedDate || '',
+    foundedDate: formatCalendarYear(house?.foundedDate) || house?.foundedDate || '',
     colorCode: house?.colorCode || '#3b82f6',
     notes: house?.notes || '',
     heraldryId: house?.heraldryId || null
@@ -114,8 +120,15 @@ function HouseForm({
       newErrors.houseName = 'House name is required';
     }
 
-    if (formData.foundedDate && !/^\d{4}$/.test(formData.foundedDate)) {
-      newErrors.foundedDate = 'Founded date must be a 4-digit year (e.g., 1120)';
+    if (formData.foundedDate) {
+      if (getActiveCalendar()) {
+        const parsed = parseDateInput(formData.foundedDate);
+        if (!parsed || parsed.month !== null) {
+          newErrors.foundedDate = `Founded date must be a year (e.g., ${formatCalendarYear('340')})`;
+        }
+      } else if (!/^\d{4}$/.test(formData.foundedDate)) {
+        newErrors.foundedDate = 'Founded date must be a 4-digit year (e.g., 1120)';
+      }
     }
 
     setErrors(newErrors);
@@ -126,9 +139,13 @@ function HouseForm({
     e.preventDefault();
 
     if (validate()) {
+      const normalized = {
+        ...formData,
+        foundedDate: normalizeDateInput(formData.foundedDate) || ''
+      };
       const houseData = house?.id
-        ? { ...formData, id: house.id }
-        : formData;
+        ? { ...normalized, id: house.id }
+        : normalized;
 
       onSave(houseData);
     }
@@ -260,8 +277,8 @@ function HouseForm({
                 name="foundedDate"
                 value={formData.foundedDate}
                 onChange={handleChange}
-                placeholder="e.g., 1120"
-                maxLength="4"
+                placeholder={`e.g., ${formatCalendarYear(getActiveCalendar() ? '340' : '1120')}`}
+                maxLength={getActiveCalendar() ? undefined : 4}
                 className={`house-form__input ${errors.foundedDate ? 'house-form__input--error' : ''}`}
               />
               {errors.foundedDate && (
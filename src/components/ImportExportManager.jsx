@@ -8,6 +8,10 @@
  * - Conflict detection and resolution
  * - Progress tracking
  * - Version compatibility checking
+ * - GEDCOM 5.5.1 / 7.0 export for standard genealogy tools
+ * - GEDCOM import with mapping preview (see GedcomImportTool)
+ * - Codex as a zipped Markdown / Obsidian vault, export and import
+ *   (see codexVaultExport and CodexVaultImportTool)
  *
  * Uses Framer Motion for animations, Lucide icons, and BEM CSS.
  */
@@ -28,7 +32,14 @@ import {
   CURRENT_VERSION
 } from '../services/database/MigrationHooks';
 import { getAllEntries } from '../services/codexService';
+import { getAllDignities } from '../services/dignityService';
+import { generateGedcom, GEDCOM_VERSIONS } from '../utils/gedcomExport';
+import { buildCodexVault } from '../utils/codexVaultExport';
+import { createZip } from '../utils/zipArchive';
+import { isFeatureEnabled } from '../config/featureFlags';
 import CodexMigrationTool from './CodexMigrationTool';
+import GedcomImportTool from './GedcomImportTool';
+import CodexVaultImportTool from './CodexVaultImportTool';
 import Icon from './icons';
 import './ImportExportManager.css';
 
@@ -112,6 +123,13 @@ function ImportExportManager() {
   const [exportSuccess, setExportSuccess] = useState(false);
   const [exportError, setExportError] = useState(null);
 
+  // GEDCOM export state
+  const [gedcomVersion, setGedcomVersion] = useState(GEDCOM_VERSIONS.V551);
+  const [gedcomExporting, setGedcomExporting] = useState(false);
+
+  // Markdown vault export state
+  const [vaultExporting, setVaultExporting] = useState(false);
+
   // Import state
   const [importing, setImporting] = useState(false);
   const [importFile, setImportFile] = useState(null);
@@ -195,6 +213,87 @@ function ImportExportManager() {
     }
   };
 
+  const handleGedcomExport = async () => {
+    const datasetId = activeDataset?.id;
+    try {
+      setGedcomExporting(true);
+      setExportError(null);
+      setExportSuccess(false);
+
+      const [people, houses, relationships] = await Promise.all([
+        getAllPeople(datasetId),
+        getAllHouses(datasetId),
+        getAllRelationships(datasetId)
+      ]);
+
+      const gedcom = generateGedcom({ people, houses, relationships }, { version: gedcomVersion });
+
+      const blob = new Blob([gedcom], { type: 'text/plain;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+      link.download = `lineageweaver-${gedcomVersion.replace(/\./g, '')}-${timestamp}.ged`;
+
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      setExportSuccess(true);
+      setTimeout(() => setExportSuccess(false), 3000);
+    } catch (error) {
+      console.error('GEDCOM export error:', error);
+      setExportError(error.message);
+    } finally {
+      setGedcomExporting(false);
+    }
+  };
+
+  const handleVaultExport = async () => {
+    const datasetId = activeDataset?.id;
+    try {
+      setVaultExporting(true);
+      setExportError(null);
+      setExportSuccess(false);
+
+      const [entries, people, houses, dignities] = await Promise.all([
+        getAllEntries(datasetId),
+        getAllPeople(datasetId),
+        getAllHouses(datasetId),
+        getAllDignities(datasetId)
+      ]);
+
+      if (entries.length === 0) {
+        throw new Error('There are no Codex entries to export');
+      }
+
+      const zip = createZip(buildCodexVault(entries, { people, houses, dignities }));
+
+      const blob = new Blob([zip], { type: 'application/zip' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+      link.download = `lineageweaver-codex-vault-${timestamp}.zip`;
+
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      setExportSuccess(true);
+      setTimeout(() => setExportSuccess(false), 3000);
+    } catch (error) {
+      console.error('Codex vault export error:', error);
+      setExportError(error.message);
+    } finally {
+      setVaultExporting(false);
+    }
+  };
+
   // ==================== IMPORT FUNCTIONS ====================
 
   const handleFileSelect = async (event) => {
@@ -434,6 +533,72 @@ function ImportExportManager() {
             </button>
           </div>
 
+          {isFeatureEnabled('EXPERIMENTAL.GEDCOM_EXPORT') && (
+            <div className="import-export__card-row">
+              <div className="import-export__card-info">
+                <h3 className="import-export__card-title">GEDCOM Format</h3>
+                <p className="import-export__card-subtitle">
+                  People, families and marriages for Gramps and other genealogy tools
+                </p>
+              </div>
+              <select
+                value={gedcomVersion}
+                onChange={(e) => setGedcomVersion(e.target.value)}
+                className="import-export__format-select"
+                disabled={gedcomExporting}
+                aria-label="GEDCOM version"
+              >
+                <option value={GEDCOM_VERSIONS.V551}>GEDCOM 5.5.1</option>
+                <option value={GEDCOM_VERSIONS.V70}>GEDCOM 7.0</option>
+              </select>
+              <button
+                className="import-export__btn import-export__btn--secondary"
+                onClick={handleGedcomExport}
+                disabled={gedcomExporting || exporting}
+              >
+                {gedcomExporting ? (
+                  <>
+                    <Icon name="loader" size={16} />
+                    <span>Exporting...</span>
+                  </>
+                ) : (
+                  <>
+                    <Icon name="download" size={16} />
+                    <span>Download .ged</span>
+                  </>
+                )}
+              </button>
+            </div>
+          )}
+
+          {isFeatureEnabled('EXPERIMENTAL.MARKDOWN_EXPORT') && (
+            <div className="import-export__card-row">
+              <div className="import-export__card-info">
+                <h3 className="import-export__card-title">Markdown Vault</h3>
+                <p className="import-export__card-subtitle">
+                  Codex entries as .md files with frontmatter, ready to open in Obsidian
+                </p>
+              </div>
+              <button
+                className="import-export__btn import-export__btn--secondary"
+                onClick={handleVaultExport}
+                disabled={vaultExporting || exporting}
+              >
+                {vaultExporting ? (
+                  <>
+                    <Icon name="loader" size={16} />
+                    <span>Exporting...</span>
+                  </>
+                ) : (
+                  <>
+                    <Icon name="download" size={16} />
+                    <span>Download .zip</span>
+                  </>
+                )}
+              </button>
+            </div>
+          )}
+
           {/* Progress bar */}
           <AnimatePresence>
             {exporting && (
@@ -751,6 +916,46 @@ function ImportExportManager() {
         </motion.div>
       </motion.section>
 
+      {/* GEDCOM Import Section */}
+      {isFeatureEnabled('EXPERIMENTAL.GEDCOM_IMPORT') && (
+        <motion.section
+          className="import-export__section"
+          variants={SECTION_VARIANTS}
+          initial="hidden"
+          animate="visible"
+          transition={{ delay: 0.15 }}
+        >
+          <h2 className="import-export__header">
+            <Icon name="users" size={24} />
+            <span>Import GEDCOM</span>
+          </h2>
+          <p className="import-export__description">
+            Bring in a family tree from Gramps or another genealogy tool. Review duplicates and conflicts before anything is written.
+          </p>
+          <GedcomImportTool />
+        </motion.section>
+      )}
+
+      {/* Markdown Vault Import Section */}
+      {isFeatureEnabled('EXPERIMENTAL.MARKDOWN_EXPORT') && (
+        <motion.section
+          className="import-export__section"
+          variants={SECTION_VARIANTS}
+          initial="hidden"
+          animate="visible"
+          transition={{ delay: 0.15 }}
+        >
+          <h2 className="import-export__header">
+            <Icon name="book-open" size={24} />
+            <span>Import Markdown Vault</span>
+          </h2>
+          <p className="import-export__description">
+            Bring Codex entries back from a Markdown export or an Obsidian vault. Wiki-links between the files become Codex links.
+          </p>
+          <CodexVaultImportTool />
+        </motion.section>
+      )}
+
       {/* Codex Integration Section */}
       <motion.section
         className="import-export__section"
@@ -0,0 +1,258 @@
+/**
+ * MarriageLawSettings.jsx - Dataset Marriage Law & Eligibility Checker
+ *
+ * PURPOSE:
+ * Chooses how closely two people may be related by blood and still marry
+ * in this dataset, and checks any two people against that law:
+ * - Law: church rules of the 3rd, 4th or 7th canonical degree, civil
+ *   4th degree, no restriction, or a custom reckoning and degree
+ * - Checker: coefficient of relationship, degree of kinship and every
+ *   common ancestor of the chosen pair
+ *
+ * The checker uses the law being edited, so a change can be tried out
+ * before it is saved. Spouse relationships are checked in RelationshipForm.
+ *
+ * Props:
+ * - people: All people in the dataset
+ * - relationships: All relationships in the dataset
+ */
+
+import { useState, useMemo } from 'react';
+import Icon from './icons/Icon';
+import ActionButton from './shared/ActionButton';
+import { useDataset } from '../contexts/DatasetContext';
+import { DEGREE_RECKONINGS, MARRIAGE_LAWS, normalizeMarriageRules } from '../data/marriageLaws';
+import { checkMarriageEligibility, formatCoefficient, formatDegree } from '../utils/consanguinity';
+import './MarriageLawSettings.css';
+
+/**
+ * MarriageLawSettings Component
+ */
+function MarriageLawSettings({ people = [], relationships = [] }) {
+  const { marriageRules, updateMarriageRules } = useDataset();
+
+  const [draft, setDraft] = useState(() => normalizeMarriageRules(marriageRules));
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [pair, setPair] = useState({ personA: '', personB: '' });
+
+  const rules = useMemo(() => normalizeMarriageRules(draft), [draft]);
+  const law = MARRIAGE_LAWS[rules.law];
+
+  const peopleById = useMemo(() => new Map(people.map(p => [p.id, p])), [people]);
+  const sortedPeople = useMemo(
+    () => [...people].sort((a, b) =>
+      `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`)),
+    [people]
+  );
+
+  const result = useMemo(() => {
+    const a = parseInt(pair.personA);
+    const b = parseInt(pair.personB);
+    if (!a || !b || a === b) return null;
+    return checkMarriageEligibility(a, b, relationships, rules);
+  }, [pair, relationships, rules]);
+
+  const getPersonName = (personId) => {
+    const person = peopleById.get(personId);
+    return person ? `${person.firstName} ${person.lastName}` : 'Unknown';
+  };
+
+  // ==================== EDIT HELPERS ====================
+
+  const updateDraft = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setMessage(null);
+  };
+
+  const selectLaw = (lawId) => {
+    // Custom starts from the law it replaces
+    updateDraft(lawId === 'custom'
+      ? { law: lawId, reckoning: rules.reckoning, prohibitedDegree: rules.prohibitedDegree }
+      : { law: lawId });
+  };
+
+  // ==================== SAVE ====================
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setMessage(null);
+      await updateMarriageRules(rules);
+      setMessage({ type: 'success', text: `Marriage law saved: ${law.name}.` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  const personOptions = sortedPeople.map(person => (
+    <option key={person.id} value={person.id}>
+      {person.firstName} {person.lastName}
+    </option>
+  ));
+
+  return (
+    <div className="marriage-law">
+      <p className="marriage-law__description">
+        How closely may two people be related by blood and still marry? New spouse
+        relationships that break the law are flagged with a warning. Adoptive and
+        foster ties, and in-laws, are not counted.
+      </p>
+
+      {/* Law */}
+      <div className="marriage-law__laws">
+        {Object.values(MARRIAGE_LAWS).map(option => (
+          <button
+            key={option.id}
+            className={`marriage-law__law ${rules.law === option.id ? 'marriage-law__law--active' : ''}`}
+            onClick={() => selectLaw(option.id)}
+          >
+            <span className="marriage-law__law-name">{option.name}</span>
+            <span className="marriage-law__law-description">{option.description}</span>
+          </button>
+        ))}
+      </div>
+
+      {rules.law === 'custom' && (
+        <section className="marriage-law__section">
+          <h4 className="marriage-law__section-title">
+            <Icon name="list" size={16} />
+            <span>Custom Law</span>
+          </h4>
+          <label className="marriage-law__field">
+            <span className="marriage-law__label">Reckoning</span>
+            <select
+              className="marriage-law__input"
+              value={rules.reckoning}
+              onChange={(e) => updateDraft({ reckoning: e.target.value })}
+            >
+              {Object.values(DEGREE_RECKONINGS).map(reckoning => (
+                <option key={reckoning.id} value={reckoning.id}>{reckoning.name}</option>
+              ))}
+            </select>
+            <span className="marriage-law__hint">{DEGREE_RECKONINGS[rules.reckoning].description}</span>
+          </label>
+          <label className="marriage-law__field">
+            <span className="marriage-law__label">Prohibited within degree</span>
+            <input
+              type="number"
+              min="0"
+              max="20"
+              className="marriage-law__input"
+              value={rules.prohibitedDegree}
+              onChange={(e) => updateDraft({ prohibitedDegree: e.target.value })}
+            />
+            <span className="marriage-law__hint">0 allows any marriage</span>
+          </label>
+        </section>
+      )}
+
+      {message && (
+        <div className={`marriage-law__message marriage-law__message--${message.type}`}>
+          <Icon name={message.type === 'error' ? 'alert-triangle' : 'check-circle'} size={16} />
+          <span>{message.text}</span>
+        </div>
+      )}
+
+      <div className="marriage-law__actions">
+        <ActionButton icon="save" variant="primary" loading={saving} onClick={handleSave}>
+          Save Marriage Law
+        </ActionButton>
+      </div>
+
+      {/* Checker */}
+      <section className="marriage-law__section">
+        <h4 className="marriage-law__section-title">
+          <Icon name="heart" size={16} />
+          <span>Eligibility Checker</span>
+        </h4>
+        <div className="marriage-law__row">
+          <select
+            className="marriage-law__input"
+            value={pair.personA}
+            onChange={(e) => setPair(prev => ({ ...prev, personA: e.target.value }))}
+          >
+            <option value="">Select a person...</option>
+            {personOptions}
+          </select>
+          <Icon name="link" size={16} />
+          <select
+            className="marriage-law__input"
+            value={pair.personB}
+            onChange={(e) => setPair(prev => ({ ...prev, personB: e.target.value }))}
+          >
+            <option value="">Select a person...</option>
+            {personOptions}
+          </select>
+        </div>
+
+        {result && (
+          <div className="marriage-law__result">
+            <div className={`marriage-law__verdict marriage-law__verdict--${result.prohibited ? 'prohibited' : 'allowed'}`}>
+              <Icon name={result.prohibited ? 'x-circle' : 'check-circle'} size={18} />
+              <span>
+                {result.prohibited
+                  ? `May not marry. ${result.reason}.`
+                  : result.related
+                    ? 'May marry under this law.'
+                    : 'Not related by blood - may marry.'}
+              </span>
+            </div>
+
+            {result.related && (
+              <>
+                <dl className="marriage-law__stats">
+                  <div>
+                    <dt>Coefficient of relationship</dt>
+                    <dd>{formatCoefficient(result.coefficient)}</dd>
+                  </div>
+                  <div>
+                    <dt>Canonical degree</dt>
+                    <dd>{result.directLine ? 'Direct line' : formatDegree(result.canonicalDegree)}</dd>
+                  </div>
+                  <div>
+                    <dt>Civil degree</dt>
+                    <dd>{result.directLine ? 'Direct line' : formatDegree(result.civilDegree)}</dd>
+                  </div>
+                </dl>
+
+                <table className="marriage-law__ancestors">
+                  <thead>
+                    <tr>
+                      <th>Common ancestor</th>
+                      <th>Generations up</th>
+                      <th>Canonical</th>
+                      <th>Civil</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.commonAncestors.map(ancestor => (
+                      <tr
+                        key={ancestor.ancestorId}
+                        className={ancestor.isNearest ? 'marriage-law__ancestor--nearest' : ''}
+                      >
+                        <td>{getPersonName(ancestor.ancestorId)}</td>
+                        <td>{ancestor.generationsA} / {ancestor.generationsB}</td>
+                        <td>{formatDegree(ancestor.canonicalDegree)}</td>
+                        <td>{formatDegree(ancestor.civilDegree)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <span className="marriage-law__hint">
+                  Nearest common ancestors in bold; the others are reached through them.
+                </span>
+              </>
+            )}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default MarriageLawSettings;
@@ -0,0 +1,238 @@
+/**
+ * MarshallingSection.jsx
+ *
+ * QuickEditPanel component for marshalled arms: the shields that combine
+ * two families' arms because of a marriage.
+ *
+ * This component:
+ * 1. Lists each of the person's marriages with how the arms combine -
+ *    impaled, or an escutcheon of pretence when the wife is an heiress
+ * 2. Creates or rebuilds the marriage arms from both families' heraldry
+ * 3. Offers quartered arms when the person's mother is a heraldic heiress
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useDataset } from '../contexts/DatasetContext';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  getHeraldryForEntity,
+  createMarriageArms,
+  createQuarteredArmsForChild
+} from '../services/heraldryService';
+import {
+  MARSHALLING_TYPES,
+  planMarriageMarshalling,
+  checkHeraldicHeiress
+} from '../utils/marshallingUtils';
+
+const MARSHALLED_LINK_TYPES = ['impaled', 'pretence', 'quartered'];
+
+/**
+ * MarshallingSection Component
+ *
+ * @param {Object} props
+ * @param {Object} props.person - The person record
+ * @param {Array} props.allPeople - All people
+ * @param {Array} props.allRelationships - All relationships
+ * @param {boolean} props.isDarkTheme - Theme toggle
+ */
+function MarshallingSection({
+  person,
+  allPeople = [],
+  allRelationships = [],
+  isDarkTheme = true
+}) {
+  const navigate = useNavigate();
+  const { activeDataset } = useDataset();
+  const { user } = useAuth();
+
+  // ==================== STATE ====================
+  const [marshalledArms, setMarshalledArms] = useState([]);
+  const [working, setWorking] = useState(null);
+  const [error, setError] = useState(null);
+
+  // ==================== THEME ====================
+  const theme = isDarkTheme ? {
+    bgLight: '#3a2f20',
+    bgLighter: '#4a3d2a',
+    text: '#e9dcc9',
+    textSecondary: '#b8a989',
+    border: '#4a3d2a',
+    accent: '#d4a574',
+    danger: '#a65d5d'
+  } : {
+    bgLight: '#e5dfd0',
+    bgLighter: '#d8d0c0',
+    text: '#2d2418',
+    textSecondary: '#4a3d2a',
+    border: '#d4c4a4',
+    accent: '#b8874a',
+    danger: '#8a4a4a'
+  };
+
+  // ==================== COMPUTED VALUES ====================
+
+  // One plan per marriage
+  const marriages = useMemo(() => {
+    if (!person) return [];
+    return allRelationships
+      .filter(rel => rel.relationshipType === 'spouse' &&
+        (rel.person1Id === person.id || rel.person2Id === person.id))
+      .map(rel => ({ relationship: rel, plan: planMarriageMarshalling(rel, allPeople, allRelationships) }))
+      .filter(marriage => marriage.plan);
+  }, [person, allPeople, allRelationships]);
+
+  // Mother, if she is a heraldic heiress
+  const heiressMother = useMemo(() => {
+    if (!person) return null;
+    const parentIds = allRelationships
+      .filter(rel => rel.relationshipType === 'parent' && rel.person2Id === person.id)
+      .map(rel => rel.person1Id);
+    const mother = allPeople.find(p => parentIds.includes(p.id) && p.gender === 'female');
+    if (!mother) return null;
+    return checkHeraldicHeiress(mother, allPeople, allRelationships).isHeiress ? mother : null;
+  }, [person, allPeople, allRelationships]);
+
+  // ==================== EFFECTS ====================
+
+  const personId = person?.id;
+  const datasetId = activeDataset?.id;
+
+  const loadMarshalledArms = useCallback(async () => {
+    if (!personId) {
+      setMarshalledArms([]);
+      return;
+    }
+    const linked = await getHeraldryForEntity('person', personId, datasetId);
+    setMarshalledArms(linked.filter(h =>
+      MARSHALLED_LINK_TYPES.includes(h.linkType) || h.derivationType === 'quartering'
+    ));
+  }, [personId, datasetId]);
+
+  useEffect(() => {
+    loadMarshalledArms();
+  }, [loadMarshalledArms]);
+
+  // ==================== HANDLERS ====================
+
+  async function runMarshalling(key, action) {
+    setWorking(key);
+    setError(null);
+    try {
+      await action(user?.uid || null, activeDataset?.id);
+      await loadMarshalledArms();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(null);
+    }
+  }
+
+  function handleMarriageArms(relationshipId) {
+    runMarshalling(`marriage-${relationshipId}`, (userId, datasetId) =>
+      createMarriageArms(relationshipId, userId, datasetId)
+    );
+  }
+
+  function handleQuarteredArms() {
+    runMarshalling('quartered', (userId, datasetId) =>
+      createQuarteredArmsForChild(person.id, userId, datasetId)
+    );
+  }
+
+  // ==================== RENDER ====================
+
+  if (marriages.length === 0 && !heiressMother) {
+    return null;
+  }
+
+  const armsForMarriage = (relationshipId) =>
+    marshalledArms.find(h => h.metadata?.relationshipId === relationshipId);
+  const quarteredArms = marshalledArms.find(h => h.derivationType === 'quartering');
+
+  const renderArms = (arms, label, sublabel, buttonKey, onBuild) => (
+    <div
+      key={buttonKey}
+      className="p-3 rounded border"
+      style={{ backgroundColor: theme.bgLight, borderColor: theme.border }}
+    >
+      <div className="flex items-center gap-3">
+        <div
+          className="w-12 h-14 flex-shrink-0 flex items-center justify-center rounded overflow-hidden"
+          style={{ backgroundColor: theme.bgLighter, cursor: arms ? 'pointer' : 'default' }}
+          onClick={() => arms && navigate(`/heraldry/edit/${arms.id}`)}
+        >
+          {arms?.heraldrySVG ? (
+            <div className="w-full h-full" dangerouslySetInnerHTML={{ __html: arms.heraldrySVG }} />
+          ) : (
+            <span className="text-xl opacity-50">⚔️</span>
+          )}
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="text-sm font-medium truncate" style={{ color: theme.text }}>
+            {label}
+          </div>
+          <div className="text-xs mt-1" style={{ color: theme.textSecondary }}>
+            {sublabel}
+          </div>
+        </div>
+      </div>
+      <button
+        onClick={onBuild}
+        disabled={working !== null}
+        className="w-full mt-2 py-1 px-3 rounded border text-xs font-medium transition-all hover:opacity-80"
+        style={{
+          backgroundColor: 'transparent',
+          color: theme.accent,
+          borderColor: theme.accent,
+          opacity: working !== null ? 0.6 : 1
+        }}
+      >
+        {working === buttonKey ? 'Marshalling...' : arms ? 'Rebuild from current arms' : 'Marshal arms'}
+      </button>
+    </div>
+  );
+
+  return (
+    <section>
+      <h3
+        className="font-semibold mb-2 text-xs uppercase tracking-wider flex items-center gap-2"
+        style={{ color: theme.textSecondary }}
+      >
+        <span>⚔️</span> Marshalled Arms
+      </h3>
+
+      <div className="space-y-2">
+        {marriages.map(({ relationship, plan }) => {
+          const spouse = plan.husband.id === person.id ? plan.wife : plan.husband;
+          return renderArms(
+            armsForMarriage(relationship.id),
+            `With ${spouse.firstName} ${spouse.lastName}`,
+            plan.type === MARSHALLING_TYPES.PRETENCE
+              ? `Escutcheon of pretence - ${plan.wife.firstName} is an heiress (${plan.heiress.reason})`
+              : `Impaled - ${plan.husband.firstName}'s arms dexter, ${plan.wife.firstName}'s sinister`,
+            `marriage-${relationship.id}`,
+            () => handleMarriageArms(relationship.id)
+          );
+        })}
+
+        {heiressMother && renderArms(
+          quarteredArms,
+          'Quartered arms',
+          `Mother ${heiressMother.firstName} ${heiressMother.lastName} is an heiress: father's arms 1st and 4th, hers 2nd and 3rd`,
+          'quartered',
+          handleQuarteredArms
+        )}
+
+        {error && (
+          <div className="text-xs p-2 rounded border" style={{ color: theme.danger, borderColor: theme.danger }}>
+            {error}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default MarshallingSection;
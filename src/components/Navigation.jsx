@@ -26,17 +26,19 @@ import { UserMenu, SyncStatusIndicator } from './auth';
 import { SuggestionsBadge } from './suggestions';
 import { useDignityAnalysis } from '../hooks';
 import { useDatasetManager } from '../App';
+import { isFeatureEnabled } from '../config/featureFlags';
 import './Navigation.css';
 
-// Navigation link configuration
+// Navigation link configuration (links with a flag only show when it's enabled)
 const NAV_LINKS = [
   { path: '/', label: 'Home', icon: 'home', exact: true },
   { path: '/tree', label: 'Family Tree', icon: 'tree-deciduous' },
+  { path: '/timeline', label: 'Timeline', icon: 'calendar', flag: 'MODULE_1E.TIMELINE_VIEW' },
   { path: '/codex', label: 'The Codex', icon: 'book-open' },
   { path: '/heraldry', label: 'Heraldry', icon: 'shield' },
   { path: '/dignities', label: 'Dignities', icon: 'crown' },
   { path: '/manage', label: 'Manage', icon: 'anvil' }
-];
+].filter(link => !link.flag || isFeatureEnabled(link.flag));
 
 // Mobile menu animation variants
 const MOBILE_MENU_VARIANTS = {
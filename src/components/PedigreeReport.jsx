@@ -0,0 +1,129 @@
+/**
+ * PedigreeReport.jsx - Pedigree Collapse & Inbreeding Report
+ *
+ * PURPOSE:
+ * Shows how a person's ancestry folds in on itself:
+ * - Wright's inbreeding coefficient (F)
+ * - Distinct ancestors against filled and theoretical slots, per generation
+ * - The ancestors who fill more than one slot
+ *
+ * Opened from QuickEditPanel and from the People list.
+ *
+ * Props:
+ * - person: The person to report on
+ * - people: All people (for ancestor names)
+ * - relationships: All relationships
+ * - onPersonSelect: Optional, called with an ancestor when their name is clicked
+ */
+
+import { useMemo } from 'react';
+import Icon from './icons/Icon';
+import { buildBloodParentMap, formatCoefficient } from '../utils/consanguinity';
+import { analyzePedigree, getGenerationLabel } from '../utils/pedigreeCollapse';
+import './PedigreeReport.css';
+
+function formatPercent(value) {
+  return `${Math.round(value * 1000) / 10}%`;
+}
+
+function PedigreeReport({ person, people = [], relationships = [], onPersonSelect = null }) {
+  const peopleById = useMemo(() => new Map(people.map(p => [p.id, p])), [people]);
+
+  const report = useMemo(
+    () => analyzePedigree(person.id, buildBloodParentMap(relationships)),
+    [person.id, relationships]
+  );
+
+  const renderName = (personId) => {
+    const ancestor = peopleById.get(personId);
+    const name = ancestor ? `${ancestor.firstName} ${ancestor.lastName}` : 'Unknown';
+    if (!ancestor || !onPersonSelect) return name;
+    return (
+      <button className="pedigree-report__link" onClick={() => onPersonSelect(ancestor)}>
+        {name}
+      </button>
+    );
+  };
+
+  if (report.depth === 0) {
+    return (
+      <div className="pedigree-report">
+        <p className="pedigree-report__empty">
+          No recorded blood parents for {person.firstName} - nothing to analyze.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="pedigree-report">
+      {/* Summary */}
+      <dl className="pedigree-report__stats">
+        <div>
+          <dt>Inbreeding coefficient (F)</dt>
+          <dd>{formatCoefficient(report.inbreeding)}</dd>
+        </div>
+        <div>
+          <dt>Distinct ancestors</dt>
+          <dd>{report.totalUnique} <small>of {report.totalFilled} filled slots</small></dd>
+        </div>
+        <div>
+          <dt>Pedigree collapse</dt>
+          <dd>{formatPercent(report.collapse)}</dd>
+        </div>
+      </dl>
+
+      {/* Generations */}
+      <table className="pedigree-report__table">
+        <thead>
+          <tr>
+            <th>Generation</th>
+            <th>Slots</th>
+            <th>Filled</th>
+            <th>Distinct</th>
+            <th>Collapse</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.generations.map(row => (
+            <tr key={row.generation} className={row.collapse > 0 ? 'pedigree-report__row--collapsed' : ''}>
+              <td>{getGenerationLabel(row.generation)}</td>
+              <td>{row.slots}</td>
+              <td>{row.filled}</td>
+              <td>{row.unique}</td>
+              <td>{row.collapse > 0 ? formatPercent(row.collapse) : '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Duplicated ancestors */}
+      <section className="pedigree-report__section">
+        <h4 className="pedigree-report__section-title">
+          <Icon name="users" size={16} />
+          <span>Ancestors in More Than One Slot</span>
+        </h4>
+        {report.duplicatedAncestors.length === 0 ? (
+          <p className="pedigree-report__empty">
+            Every recorded ancestor appears once - no pedigree collapse.
+          </p>
+        ) : (
+          <ul className="pedigree-report__ancestors">
+            {report.duplicatedAncestors.map(ancestor => (
+              <li key={ancestor.ancestorId} className="pedigree-report__ancestor">
+                <span className="pedigree-report__ancestor-name">{renderName(ancestor.ancestorId)}</span>
+                <span className="pedigree-report__ancestor-slots">
+                  {ancestor.slots} slots
+                  {' - '}
+                  {ancestor.generations.map(getGenerationLabel).join(', ').toLowerCase()}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default PedigreeReport;
@@ -21,6 +21,7 @@ import { useDataset } from '../contexts/DatasetContext';
 import { getEntry } from '../services/codexService';
 import { getBiographyStatus } from '../utils/biographyStatus';
 import Icon from './icons';
+import { formatCalendarDate } from '../utils/calendarUtils';
 import './PersonCard.css';
 
 // ==================== ANIMATION VARIANTS ====================
@@ -193,9 +194,9 @@ function PersonCard({ person, house, relationships = [], allPeople = [] }) {
                 <span>Lifespan</span>
               </h3>
               <p className="person-card__text">
-                {person.dateOfBirth && `Born: ${person.dateOfBirth}`}
+                {person.dateOfBirth && `Born: ${formatCalendarDate(person.dateOfBirth)}`}
                 {person.dateOfBirth && person.dateOfDeath && ' • '}
-                {person.dateOfDeath && `Died: ${person.dateOfDeath}`}
+                {person.dateOfDeath && `Died: ${formatCalendarDate(person.dateOfDeath)}`}
               </p>
             </div>
           )}
@@ -11,6 +11,13 @@ import {
   shouldHaveDunSurname,
   BASTARD_PREFIX 
 } from '../utils/bastardNaming';
+import {
+  formatCalendarDate,
+  validateCalendarDate,
+  normalizeDateInput,
+  compareCalendarDates,
+  getDateFormatHint
+} from '../utils/calendarUtils';
 import './PersonForm.css';
 
 /**
@@ -43,11 +50,12 @@ function PersonForm({ person = null, houses = [], onSave, onCancel }) {
     firstName: person?.firstName || '',
     lastName: person?.lastName || '',
     maidenName: person?.maidenName || '',
-    dateOfBirth: person?.dateOfBirth || '',
-    dateOfDeath: person?.dateOfDeath || '',
+    dateOfBirth: formatCalendarDate(person?.dateOfBirth),
+    dateOfDeath: formatCalendarDate(person?.dateOfDeath),
     gender: person?.gender || 'male',
     houseId: person?.houseId || null,
     legitimacyStatus: person?.legitimacyStatus || 'legitimate',
+    religion: person?.religion || '',
     species: person?.species || '',
     magicalBloodline: person?.magicalBloodline || '',
     titles: person?.titles ? person.titles.join(', ') : '',
@@ -132,16 +140,19 @@ function PersonForm({ person = null, houses = [], onSave, onCancel }) {
       newErrors.lastName = 'Last name is required';
     }
 
-    const dateRegex = /^\d{4}(-\d{2}(-\d{2})?)?$/;
-    if (formData.dateOfBirth && !dateRegex.test(formData.dateOfBirth)) {
-      newErrors.dateOfBirth = 'Date must be YYYY, YYYY-MM, or YYYY-MM-DD';
+    const birthError = validateCalendarDate(formData.dateOfBirth);
+    if (birthError) {
+      newErrors.dateOfBirth = birthError;
     }
-    if (formData.dateOfDeath && !dateRegex.test(formData.dateOfDeath)) {
-      newErrors.dateOfDeath = 'Date must be YYYY, YYYY-MM, or YYYY-MM-DD';
+    const deathError = validateCalendarDate(formData.dateOfDeath);
+    if (deathError) {
+      newErrors.dateOfDeath = deathError;
     }
 
-    if (formData.dateOfBirth && formData.dateOfDeath) {
-      if (formData.dateOfDeath < formData.dateOfBirth) {
+    if (!birthError && !deathError && formData.dateOfBirth && formData.dateOfDeath) {
+      const birth = normalizeDateInput(formData.dateOfBirth);
+      const death = normalizeDateInput(formData.dateOfDeath);
+      if (compareCalendarDates(death, birth) < 0) {
         newErrors.dateOfDeath = 'Death date cannot be before birth date';
       }
     }
@@ -163,8 +174,9 @@ function PersonForm({ person = null, houses = [], onSave, onCancel }) {
         titles: titlesArray,
         houseId: formData.houseId ? parseInt(formData.houseId) : null,
         maidenName: formData.maidenName || null,
-        dateOfBirth: formData.dateOfBirth || null,
-        dateOfDeath: formData.dateOfDeath || null,
+        dateOfBirth: normalizeDateInput(formData.dateOfBirth),
+        dateOfDeath: normalizeDateInput(formData.dateOfDeath),
+        religion: formData.religion.trim() || null,
         species: formData.species || null,
         magicalBloodline: formData.magicalBloodline || null,
         portraitUrl: formData.portraitUrl || null,
@@ -373,7 +385,7 @@ function PersonForm({ person = null, houses = [], onSave, onCancel }) {
               value={formData.dateOfBirth || ''}
               onChange={handleChange}
               className={`person-form__input ${errors.dateOfBirth ? 'person-form__input--error' : ''}`}
-              placeholder="YYYY-MM-DD or YYYY"
+              placeholder={getDateFormatHint()}
             />
             {errors.dateOfBirth ? (
               <span className="person-form__error">
@@ -381,7 +393,7 @@ function PersonForm({ person = null, houses = [], onSave, onCancel }) {
                 {errors.dateOfBirth}
               </span>
             ) : (
-              <span className="person-form__hint">Format: YYYY-MM-DD, YYYY-MM, or YYYY</span>
+              <span className="person-form__hint">Format: {getDateFormatHint()}</span>
             )}
           </div>
 
@@ -397,7 +409,7 @@ function PersonForm({ person = null, houses = [], onSave, onCancel }) {
               value={formData.dateOfDeath || ''}
               onChange={handleChange}
               className={`person-form__input ${errors.dateOfDeath ? 'person-form__input--error' : ''}`}
-              placeholder="YYYY-MM-DD or YYYY"
+              placeholder={getDateFormatHint()}
             />
             {errors.dateOfDeath ? (
               <span className="person-form__error">
@@ -445,6 +457,24 @@ function PersonForm({ person = null, houses = [], onSave, onCancel }) {
             This affects the border color in the family tree visualization
           </span>
         </div>
+
+        <div className="person-form__group">
+          <label htmlFor="religion" className="person-form__label">
+            Faith
+          </label>
+          <input
+            type="text"
+            id="religion"
+            name="religion"
+            value={formData.religion}
+            onChange={handleChange}
+            className="person-form__input"
+            placeholder="e.g., The Seven, The Old Gods"
+          />
+          <span className="person-form__hint">
+            Used by succession laws that require or prefer a faith
+          </span>
+        </div>
       </motion.div>
 
       {/* Fantasy Elements Section */}
@@ -10,6 +10,7 @@
  * Props:
  * - people: Array of person objects
  * - houses: Array of house objects (to show house names)
+ * - relationships: Array of relationships (for the inbreeding coefficient)
  * - onEdit: Function to call when user wants to edit a person
  * - onDelete: Function to call when user wants to delete a person
  */
@@ -27,7 +28,11 @@ import GroupHeader from './shared/GroupHeader';
 import GroupToggle from './shared/GroupToggle';
 import Pagination from './shared/Pagination';
 import ViewDensityToggle from './shared/ViewDensityToggle';
+import Modal from './Modal';
+import PedigreeReport from './PedigreeReport';
 import useListKeyboardShortcuts from '../hooks/useListKeyboardShortcuts';
+import { formatCalendarDate, compareCalendarDates } from '../utils/calendarUtils';
+import { buildBloodParentMap, createKinshipCalculator, formatCoefficient } from '../utils/consanguinity';
 import './PersonList.css';
 
 // ==================== PAGINATION CONFIG ====================
@@ -90,10 +95,11 @@ const SORT_OPTIONS = [
   { value: 'firstName', label: 'First Name (A-Z)' },
   { value: 'dateOfBirth', label: 'Birth Date (Oldest)' },
   { value: 'dateOfBirthDesc', label: 'Birth Date (Youngest)' },
-  { value: 'house', label: 'By House' }
+  { value: 'house', label: 'By House' },
+  { value: 'inbreeding', label: 'Inbreeding (Highest)' }
 ];
 
-function PersonList({ people, houses, onEdit, onDelete }) {
+function PersonList({ people, houses, relationships = [], onEdit, onDelete }) {
   // ==================== SEARCH & SORT STATE ====================
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('lastName');
@@ -113,6 +119,9 @@ function PersonList({ people, houses, onEdit, onDelete }) {
   // ==================== VIEW DENSITY STATE ====================
   const [viewDensity, setViewDensity] = useState('comfortable');
 
+  // ==================== PEDIGREE REPORT STATE ====================
+  const [reportPerson, setReportPerson] = useState(null);
+
   // ==================== REFS ====================
   const searchInputRef = useRef(null);
 
@@ -168,9 +177,16 @@ function PersonList({ people, houses, onEdit, onDelete }) {
    */
   const formatDate = (dateStr) => {
     if (!dateStr) return null;
-    return dateStr;
+    return formatCalendarDate(dateStr);
   };
 
+  // ==================== INBREEDING COEFFICIENTS ====================
+  // One kinship calculator for everyone, so shared ancestry is computed once
+  const inbreedingMap = useMemo(() => {
+    const { inbreeding } = createKinshipCalculator(buildBloodParentMap(relationships));
+    return new Map(people.map(p => [p.id, inbreeding(p.id)]));
+  }, [people, relationships]);
+
   // ==================== HOUSE OPTIONS FOR FILTER ====================
   const houseOptions = useMemo(() => {
     return houses
@@ -223,21 +239,25 @@ function PersonList({ people, houses, onEdit, onDelete }) {
         case 'firstName':
           return (a.firstName || '').localeCompare(b.firstName || '');
         case 'dateOfBirth':
-          return (a.dateOfBirth || '9999').localeCompare(b.dateOfBirth || '9999');
+          return compareCalendarDates(a.dateOfBirth, b.dateOfBirth);
         case 'dateOfBirthDesc':
-          return (b.dateOfBirth || '').localeCompare(a.dateOfBirth || '');
+          // Youngest first, undated still last
+          if (!a.dateOfBirth || !b.dateOfBirth) return compareCalendarDates(a.dateOfBirth, b.dateOfBirth);
+          return compareCalendarDates(b.dateOfBirth, a.dateOfBirth);
         case 'house': {
           const houseA = getHouseName(a.houseId);
           const houseB = getHouseName(b.houseId);
           return houseA.localeCompare(houseB);
         }
+        case 'inbreeding':
+          return (inbreedingMap.get(b.id) || 0) - (inbreedingMap.get(a.id) || 0);
         default:
           return 0;
       }
     });
 
     return filtered;
-  }, [people, houses, searchTerm, sortBy, filterHouse, filterLegitimacy, filterLivingStatus, houseMap]);
+  }, [people, houses, searchTerm, sortBy, filterHouse, filterLegitimacy, filterLivingStatus, houseMap, inbreedingMap]);
 
   // Memoize processed people with house data
   const processedPeople = useMemo(() => {
@@ -245,9 +265,10 @@ function PersonList({ people, houses, onEdit, onDelete }) {
       ...person,
       houseName: getHouseName(person.houseId),
       houseColor: getHouseColor(person.houseId),
-      legitimacyColor: LEGITIMACY_COLORS[person.legitimacyStatus] || LEGITIMACY_COLORS.unknown
+      legitimacyColor: LEGITIMACY_COLORS[person.legitimacyStatus] || LEGITIMACY_COLORS.unknown,
+      inbreeding: inbreedingMap.get(person.id) || 0
     }));
-  }, [filteredAndSortedPeople, houseMap]);
+  }, [filteredAndSortedPeople, houseMap, inbreedingMap]);
 
   // ==================== GROUPED PEOPLE ====================
   const groupedPeople = useMemo(() => {
@@ -408,6 +429,7 @@ function PersonList({ people, houses, onEdit, onDelete }) {
                         person={person}
                         onEdit={onEdit}
                         onDelete={onDelete}
+                        onShowPedigree={setReportPerson}
                         showHouse={false}
                       />
                     ))}
@@ -433,6 +455,7 @@ function PersonList({ people, houses, onEdit, onDelete }) {
                   person={person}
                   onEdit={onEdit}
                   onDelete={onDelete}
+                  onShowPedigree={setReportPerson}
                   showHouse={true}
                 />
               ))}
@@ -445,15 +468,33 @@ function PersonList({ people, houses, onEdit, onDelete }) {
           />
         </>
       )}
+
+      {/* Pedigree Report */}
+      <Modal
+        isOpen={!!reportPerson}
+        onClose={() => setReportPerson(null)}
+        title={reportPerson ? `Pedigree of ${reportPerson.firstName} ${reportPerson.lastName}` : ''}
+        icon="tree-deciduous"
+        size="lg"
+      >
+        {reportPerson && (
+          <PedigreeReport
+            person={reportPerson}
+            people={people}
+            relationships={relationships}
+            onPersonSelect={setReportPerson}
+          />
+        )}
+      </Modal>
     </div>
   );
 }
 
 // ==================== PERSON ITEM SUBCOMPONENT ====================
-function PersonItem({ person, onEdit, onDelete, showHouse = true }) {
+function PersonItem({ person, onEdit, onDelete, onShowPedigree, showHouse = true }) {
   const formatDate = (dateStr) => {
     if (!dateStr) return null;
-    return dateStr;
+    return formatCalendarDate(dateStr);
   };
 
   return (
@@ -536,6 +577,18 @@ function PersonItem({ person, onEdit, onDelete, showHouse = true }) {
                 {person.legitimacyStatus.charAt(0).toUpperCase() + person.legitimacyStatus.slice(1)}
               </span>
             )}
+
+            {/* Inbreeding coefficient - only when the parents are related */}
+            {person.inbreeding > 0 && (
+              <button
+                className="person-list__badge person-list__badge--inbreeding"
+                onClick={() => onShowPedigree(person)}
+                title="Wright's inbreeding coefficient - open the pedigree report"
+              >
+                <Icon name="tree-deciduous" size={12} />
+                <span>F {formatCoefficient(person.inbreeding)}</span>
+              </button>
+            )}
           </div>
 
           {/* Fantasy elements */}
@@ -10,15 +10,19 @@
  * This component:
  * 1. Displays existing personal arms if present
  * 2. Shows eligibility status for cadency (legitimate male descendants)
+ *    or the dataset's mark of illegitimacy for bastards
  * 3. Provides "Create Personal Arms" workflow for eligible individuals
- * 4. Shows birth order position and cadency triangle preview
+ * 4. Shows birth order position and a preview of the mark under the
+ *    dataset's cadency scheme
  */
 
 import { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useDataset } from '../contexts/DatasetContext';
+import { useAuth } from '../contexts/AuthContext';
 import {
   getPersonalArms,
+  createPersonalArmsFromHouse,
   hasPersonalArms,
   getHeraldryForEntity,
   getHeraldry
@@ -27,12 +31,15 @@ import {
   calculateBirthOrder, 
   getBirthOrderLabel,
   isEligibleForCadency,
-  getCadencySummary
+  getCadencySummary,
+  getCadencyDifference,
+  describeCadencyMark
 } from '../utils/birthOrderUtils';
 import {
   createPersonalArmsSVG,
   addCadencyToSVG
 } from '../utils/personalArmsRenderer';
+import { getCadencyScheme, normalizeCadencySettings } from '../data/cadencySchemes';
 
 /**
  * PersonalArmsSection Component
@@ -54,7 +61,8 @@ function PersonalArmsSection({
   onArmsCreated
 }) {
   const navigate = useNavigate();
-  const { activeDataset } = useDataset();
+  const { activeDataset, cadencySettings } = useDataset();
+  const { user } = useAuth();
   
   // ==================== STATE ====================
   const [personalArms, setPersonalArms] = useState(null);
@@ -62,6 +70,8 @@ function PersonalArmsSection({
   const [loading, setLoading] = useState(true);
   const [previewSVG, setPreviewSVG] = useState(null);
   const [showCreateFlow, setShowCreateFlow] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [createError, setCreateError] = useState(null);
   
   // ==================== THEME ====================
   const theme = isDarkTheme ? {
@@ -109,6 +119,14 @@ function PersonalArmsSection({
     return getCadencySummary(birthOrderResult);
   }, [birthOrderResult]);
 
+  // The mark under the dataset's cadency scheme (or of illegitimacy)
+  const cadency = useMemo(() => {
+    return getCadencyDifference(person, birthOrderResult, cadencySettings);
+  }, [person, birthOrderResult, cadencySettings]);
+
+  const schemeName = getCadencyScheme(normalizeCadencySettings(cadencySettings).scheme).name;
+  const isIllegitimate = cadency?.type === 'illegitimacy';
+
   // ==================== EFFECTS ====================
 
   // Load personal arms and house heraldry
@@ -135,9 +153,9 @@ function PersonalArmsSection({
         const houseArms = await getHeraldry(house.heraldryId, datasetId);
         setHouseHeraldry(houseArms);
 
-        // Generate preview with cadency if eligible and has birth position
-        if (!arms && houseArms && birthOrderResult?.isEligible && birthOrderResult?.position) {
-          const result = createPersonalArmsSVG(houseArms, birthOrderResult.position);
+        // Generate preview with cadency if a mark applies
+        if (!arms && houseArms && cadency) {
+          const result = createPersonalArmsSVG(houseArms, cadency);
           if (result.success) {
             setPreviewSVG(result.svg);
           }
@@ -150,15 +168,15 @@ function PersonalArmsSection({
     }
   }
   
-  // Update preview when birth order changes
+  // Update preview when birth order or the cadency scheme changes
   useEffect(() => {
-    if (houseHeraldry && birthOrderResult?.isEligible && birthOrderResult?.position && !personalArms) {
-      const result = createPersonalArmsSVG(houseHeraldry, birthOrderResult.position);
+    if (houseHeraldry && cadency && !personalArms) {
+      const result = createPersonalArmsSVG(houseHeraldry, cadency);
       if (result.success) {
         setPreviewSVG(result.svg);
       }
     }
-  }, [houseHeraldry, birthOrderResult, personalArms]);
+  }, [houseHeraldry, cadency, personalArms]);
 
   // ==================== HANDLERS ====================
   
@@ -168,10 +186,25 @@ function PersonalArmsSection({
     }
   }
   
-  function handleCreateArms() {
-    // Navigate to heraldry creator with person context
-    // The creator will handle the cadency application
-    navigate(`/heraldry/create?personId=${person.id}&deriveFrom=${house?.heraldryId || ''}&birthPosition=${birthOrderResult?.position || 1}`);
+  async function handleCreateArms() {
+    if (!houseHeraldry || !cadency) return;
+
+    setCreating(true);
+    setCreateError(null);
+    try {
+      const heraldryId = await createPersonalArmsFromHouse({
+        personId: person.id,
+        houseHeraldryId: houseHeraldry.id,
+        cadency,
+        userId: user?.uid || null
+      }, activeDataset?.id);
+      await loadArmsData();
+      onArmsCreated?.(heraldryId);
+    } catch (error) {
+      setCreateError(error.message);
+    } finally {
+      setCreating(false);
+    }
   }
   
   function handleViewHouseArms() {
@@ -289,7 +322,7 @@ function PersonalArmsSection({
         <div className="space-y-3">
           
           {/* Eligibility Status */}
-          {eligible && birthOrderResult ? (
+          {(eligible && birthOrderResult) || isIllegitimate ? (
             <>
               {/* Eligible - Show cadency info */}
               <div 
@@ -303,15 +336,17 @@ function PersonalArmsSection({
                   <span className="text-lg">✓</span>
                   <div className="flex-1">
                     <div className="text-sm font-medium" style={{ color: theme.success }}>
-                      Eligible for Personal Arms
+                      {isIllegitimate ? 'Eligible for Differenced Arms' : 'Eligible for Personal Arms'}
                     </div>
                     <div className="text-xs mt-1" style={{ color: theme.text }}>
-                      {cadencySummary?.description || `${getBirthOrderLabel(birthOrderResult.position)} among ${birthOrderResult.totalLegitimateSons} legitimate sons`}
+                      {isIllegitimate
+                        ? 'Bastards bear their father\'s house arms with a mark of illegitimacy'
+                        : cadencySummary?.description || `${getBirthOrderLabel(birthOrderResult.position)} among ${birthOrderResult.totalLegitimateSons} legitimate sons`}
                     </div>
                     <div className="text-xs mt-1 flex items-center gap-1" style={{ color: theme.textSecondary }}>
-                      <span>Cadency:</span>
+                      <span>{isIllegitimate ? 'Mark:' : `Cadency (${schemeName}):`}</span>
                       <span style={{ color: theme.accent }}>
-                        {birthOrderResult.position} triangle{birthOrderResult.position !== 1 ? 's' : ''} in chief
+                        {cadency ? describeCadencyMark(cadency) : 'no mark for this birth position'}
                       </span>
                     </div>
                   </div>
@@ -325,7 +360,7 @@ function PersonalArmsSection({
                   style={{ backgroundColor: theme.bgLight, borderColor: theme.border }}
                 >
                   <div className="text-xs mb-2 text-center" style={{ color: theme.textSecondary }}>
-                    Preview with Cadency
+                    {isIllegitimate ? 'Preview with Mark of Illegitimacy' : 'Preview with Cadency'}
                   </div>
                   <div 
                     className="w-24 h-28 mx-auto rounded overflow-hidden"
@@ -337,25 +372,34 @@ function PersonalArmsSection({
                     />
                   </div>
                   <div className="text-xs mt-2 text-center italic" style={{ color: theme.textSecondary }}>
-                    House arms with {birthOrderResult.position} cadency mark{birthOrderResult.position !== 1 ? 's' : ''}
+                    House arms with {describeCadencyMark(cadency)}
                   </div>
                 </div>
               )}
               
               {/* Create Button */}
               {houseHeraldry ? (
-                <button
-                  onClick={handleCreateArms}
-                  className="w-full py-2 px-3 rounded border text-sm font-medium transition-all hover:opacity-80 flex items-center justify-center gap-2"
-                  style={{
-                    backgroundColor: theme.accent,
-                    color: isDarkTheme ? '#1a1410' : '#ffffff',
-                    borderColor: theme.accent
-                  }}
-                >
-                  <span>🛡️</span>
-                  <span>Create Personal Arms</span>
-                </button>
+                <>
+                  <button
+                    onClick={handleCreateArms}
+                    disabled={creating || !cadency}
+                    className="w-full py-2 px-3 rounded border text-sm font-medium transition-all hover:opacity-80 flex items-center justify-center gap-2"
+                    style={{
+                      backgroundColor: theme.accent,
+                      color: isDarkTheme ? '#1a1410' : '#ffffff',
+                      borderColor: theme.accent,
+                      opacity: creating || !cadency ? 0.6 : 1
+                    }}
+                  >
+                    <span>🛡️</span>
+                    <span>{creating ? 'Creating...' : 'Create Personal Arms'}</span>
+                  </button>
+                  {createError && (
+                    <div className="text-xs p-2 rounded border" style={{ color: theme.danger, borderColor: theme.danger }}>
+                      {createError}
+                    </div>
+                  )}
+                </>
               ) : (
                 <div 
                   className="p-3 rounded border text-center text-sm"
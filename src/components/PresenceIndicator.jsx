@@ -0,0 +1,70 @@
+/**
+ * PresenceIndicator.jsx - "Also viewing" Avatars
+ *
+ * PURPOSE:
+ * Shows small avatars for other sessions currently viewing the same person
+ * or codex entry (real-time collaboration). Renders nothing when nobody
+ * else is here or COLLABORATIVE_SYNC is off.
+ *
+ * USAGE:
+ * <PresenceIndicator entityType="person" entityId={person.id} />
+ */
+
+import { motion, AnimatePresence } from 'framer-motion';
+import { usePresence } from '../hooks/usePresence';
+import Icon from './icons/Icon';
+import './PresenceIndicator.css';
+
+const AVATAR_VARIANTS = {
+  hidden: { opacity: 0, scale: 0.6 },
+  visible: { opacity: 1, scale: 1, transition: { type: 'spring', damping: 20, stiffness: 300 } },
+  exit: { opacity: 0, scale: 0.6, transition: { duration: 0.15 } }
+};
+
+function initials(name) {
+  return (name || '?')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('');
+}
+
+function PresenceIndicator({ entityType, entityId }) {
+  const viewers = usePresence(entityType, entityId);
+
+  if (viewers.length === 0) return null;
+
+  const names = viewers.map(v => v.displayName).join(', ');
+
+  return (
+    <div className="presence" title={`Also viewing: ${names}`}>
+      <Icon name="eye" size={14} className="presence__icon" />
+      <div className="presence__avatars">
+        <AnimatePresence>
+          {viewers.slice(0, 4).map(viewer => (
+            <motion.span
+              key={viewer.id}
+              className="presence__avatar"
+              variants={AVATAR_VARIANTS}
+              initial="hidden"
+              animate="visible"
+              exit="exit"
+            >
+              {viewer.photoURL ? (
+                <img src={viewer.photoURL} alt={viewer.displayName} referrerPolicy="no-referrer" />
+              ) : (
+                initials(viewer.displayName)
+              )}
+            </motion.span>
+          ))}
+        </AnimatePresence>
+        {viewers.length > 4 && (
+          <span className="presence__avatar presence__avatar--more">+{viewers.length - 4}</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PresenceIndicator;
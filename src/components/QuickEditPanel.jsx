@@ -5,7 +5,9 @@
  * - Person information and dates
  * - House heraldry display
  * - Personal arms section
+ * - Marshalled arms (marriage impalement, heiress quarterings)
  * - Biography/Codex integration
+ * - Pedigree collapse & inbreeding coefficient, with a full report
  * - Titles & Dignities
  * - Epithets management
  * - Family relationships (spouses, parents, children, siblings)
@@ -21,14 +23,27 @@ import { useGenealogy } from '../contexts/GenealogyContext';
 import { useDataset } from '../contexts/DatasetContext';
 import HouseHeraldrySection from './HouseHeraldrySection';
 import PersonalArmsSection from './PersonalArmsSection';
+import MarshallingSection from './MarshallingSection';
 import { getEntryByPersonId } from '../services/codexService';
 import { getBiographyStatus, getStatusSummary } from '../utils/biographyStatus';
 import { validateRelationship } from '../utils/SmartDataValidator';
 import { getDignitiesForPerson, getDignityIcon, DIGNITY_CLASSES } from '../services/dignityService';
 import EpithetsSection from './EpithetsSection';
+import PedigreeReport from './PedigreeReport';
+import Modal from './Modal';
+import { buildBloodParentMap, formatCoefficient } from '../utils/consanguinity';
+import { analyzePedigree } from '../utils/pedigreeCollapse';
 import { getPrimaryEpithet } from '../utils/epithetUtils';
 import Icon from './icons/Icon';
 import ActionButton from './shared/ActionButton';
+import PresenceIndicator from './PresenceIndicator';
+import {
+  formatCalendarDate,
+  formatCalendarYear,
+  validateCalendarDate,
+  normalizeDateInput,
+  getDateYear
+} from '../utils/calendarUtils';
 import './QuickEditPanel.css';
 
 const PANEL_VARIANTS = {
@@ -115,7 +130,12 @@ function QuickEditPanel({
 
   // Reset state when person changes
   useEffect(() => {
-    setEditedPerson(person);
+    // Dates are edited in the dataset calendar's notation
+    setEditedPerson(person && {
+      ...person,
+      dateOfBirth: formatCalendarDate(person.dateOfBirth),
+      dateOfDeath: formatCalendarDate(person.dateOfDeath)
+    });
     setAddingRelationType(null);
     setAddMode('new');
     setNewPersonForm(null);
@@ -171,6 +191,12 @@ function QuickEditPanel({
     [houses, person?.houseId]
   );
 
+  const pedigree = useMemo(() =>
+    person ? analyzePedigree(person.id, buildBloodParentMap(relationships)) : null,
+    [relationships, person]
+  );
+  const [showPedigreeReport, setShowPedigreeReport] = useState(false);
+
   const personRelationships = useMemo(() =>
     relationships.filter(rel =>
       rel.person1Id === person?.id || rel.person2Id === person?.id
@@ -296,8 +322,19 @@ function QuickEditPanel({
   // Handlers
   const handleSave = async () => {
     try {
+      const dateError = validateCalendarDate(editedPerson.dateOfBirth) ||
+        validateCalendarDate(editedPerson.dateOfDeath);
+      if (dateError) {
+        alert(dateError);
+        return;
+      }
+
       setSaving(true);
-      await updatePerson(editedPerson.id, editedPerson);
+      await updatePerson(editedPerson.id, {
+        ...editedPerson,
+        dateOfBirth: normalizeDateInput(editedPerson.dateOfBirth),
+        dateOfDeath: normalizeDateInput(editedPerson.dateOfDeath)
+      });
     } catch (error) {
       alert('Error saving: ' + error.message);
     } finally {
@@ -336,8 +373,8 @@ function QuickEditPanel({
       id: -1,
       firstName: newPersonForm.firstName?.trim() || 'New',
       lastName: newPersonForm.lastName?.trim() || person.lastName,
-      dateOfBirth: newPersonForm.dateOfBirth || null,
-      dateOfDeath: newPersonForm.dateOfDeath || null,
+      dateOfBirth: normalizeDateInput(newPersonForm.dateOfBirth),
+      dateOfDeath: normalizeDateInput(newPersonForm.dateOfDeath),
       gender: newPersonForm.gender,
       houseId: newPersonForm.houseId || person.houseId
     };
@@ -430,7 +467,7 @@ function QuickEditPanel({
   }, [selectedExistingPerson, addingRelationType, addMode, person, people, relationships, parents]);
 
   const getSmartDefaults = (relationType) => {
-    const currentYear = parseInt(person.dateOfBirth) || 1250;
+    const currentYear = getDateYear(person.dateOfBirth) ?? 1250;
 
     const base = {
       firstName: '',
@@ -449,28 +486,28 @@ function QuickEditPanel({
         return {
           ...base,
           gender: person.gender === 'male' ? 'female' : 'male',
-          dateOfBirth: String(currentYear),
+          dateOfBirth: formatCalendarYear(String(currentYear)),
           houseId: null,
           lastName: ''
         };
       case 'parent':
         return {
           ...base,
-          dateOfBirth: String(currentYear - 25),
+          dateOfBirth: formatCalendarYear(String(currentYear - 25)),
           houseId: person.houseId,
           lastName: person.lastName
         };
       case 'child':
         return {
           ...base,
-          dateOfBirth: String(currentYear + 25),
+          dateOfBirth: formatCalendarYear(String(currentYear + 25)),
           houseId: person.houseId,
           lastName: person.lastName
         };
       case 'sibling':
         return {
           ...base,
-          dateOfBirth: String(currentYear),
+          dateOfBirth: formatCalendarYear(String(currentYear)),
           houseId: person.houseId,
           lastName: person.lastName
         };
@@ -495,6 +532,13 @@ function QuickEditPanel({
       return;
     }
 
+    const dateError = validateCalendarDate(newPersonForm.dateOfBirth) ||
+      validateCalendarDate(newPersonForm.dateOfDeath);
+    if (dateError) {
+      alert(dateError);
+      return;
+    }
+
     try {
       setSaving(true);
 
@@ -503,8 +547,8 @@ function QuickEditPanel({
         lastName: newPersonForm.lastName.trim() || person.lastName,
         maidenName: newPersonForm.maidenName.trim() || null,
         gender: newPersonForm.gender,
-        dateOfBirth: newPersonForm.dateOfBirth || null,
-        dateOfDeath: newPersonForm.dateOfDeath || null,
+        dateOfBirth: normalizeDateInput(newPersonForm.dateOfBirth),
+        dateOfDeath: normalizeDateInput(newPersonForm.dateOfDeath),
         houseId: newPersonForm.houseId || person.houseId,
         legitimacyStatus: newPersonForm.legitimacyStatus,
         notes: newPersonForm.notes || null
@@ -684,6 +728,7 @@ function QuickEditPanel({
               <span className="quick-edit__badge quick-edit__badge--status">
                 {person.legitimacyStatus || 'Legitimate'}
               </span>
+              <PresenceIndicator entityType="person" entityId={person.id} />
             </div>
           </div>
           <button onClick={onClose} className="quick-edit__close" title="Close panel">
@@ -749,6 +794,14 @@ function QuickEditPanel({
             isDarkTheme={isDarkTheme}
           />
 
+          {/* Marshalled Arms */}
+          <MarshallingSection
+            person={person}
+            allPeople={people}
+            allRelationships={relationships}
+            isDarkTheme={isDarkTheme}
+          />
+
           {/* Biography */}
           <motion.section
             className="quick-edit__section"
@@ -819,6 +872,38 @@ function QuickEditPanel({
             )}
           </motion.section>
 
+          {/* Pedigree */}
+          {pedigree && pedigree.depth > 0 && (
+            <motion.section
+              className="quick-edit__section"
+              variants={SECTION_VARIANTS}
+              initial="hidden"
+              animate="visible"
+              transition={{ delay: 0.12 }}
+            >
+              <h3 className="quick-edit__section-title">
+                <Icon name="tree-deciduous" size={14} />
+                <span>Pedigree</span>
+              </h3>
+
+              <div className="quick-edit__pedigree">
+                <span className="quick-edit__pedigree-summary">
+                  {pedigree.duplicatedAncestors.length > 0
+                    ? `F ${formatCoefficient(pedigree.inbreeding)} · ${pedigree.totalUnique} distinct ancestors in ${pedigree.totalFilled} slots`
+                    : `No pedigree collapse in ${pedigree.depth} generation${pedigree.depth === 1 ? '' : 's'}`}
+                </span>
+                <ActionButton
+                  icon="list"
+                  onClick={() => setShowPedigreeReport(true)}
+                  variant="secondary"
+                  size="sm"
+                >
+                  Report
+                </ActionButton>
+              </div>
+            </motion.section>
+          )}
+
           {/* Titles & Dignities */}
           <motion.section
             className="quick-edit__section"
@@ -1010,6 +1095,25 @@ function QuickEditPanel({
         </div>
       </motion.div>
 
+      {/* Pedigree Report */}
+      <Modal
+        isOpen={showPedigreeReport}
+        onClose={() => setShowPedigreeReport(false)}
+        title={`Pedigree of ${person.firstName} ${person.lastName}`}
+        icon="tree-deciduous"
+        size="lg"
+      >
+        <PedigreeReport
+          person={person}
+          people={people}
+          relationships={relationships}
+          onPersonSelect={(ancestor) => {
+            setShowPedigreeReport(false);
+            handlePersonClick(ancestor);
+          }}
+        />
+      </Modal>
+
       {/* Add Person Modal */}
       <AnimatePresence>
         {addingRelationType && (
@@ -1223,8 +1327,8 @@ function QuickEditPanel({
                             {selectedExistingPerson.firstName} {selectedExistingPerson.lastName}
                           </span>
                           <span className="quick-edit-modal__selected-details">
-                            {selectedExistingPerson.dateOfBirth && `b. ${selectedExistingPerson.dateOfBirth.split('-')[0]}`}
-                            {selectedExistingPerson.dateOfDeath && ` - d. ${selectedExistingPerson.dateOfDeath.split('-')[0]}`}
+                            {selectedExistingPerson.dateOfBirth && `b. ${formatCalendarYear(selectedExistingPerson.dateOfBirth)}`}
+                            {selectedExistingPerson.dateOfDeath && ` - d. ${formatCalendarYear(selectedExistingPerson.dateOfDeath)}`}
                             {(() => {
                               const h = houses.find(ho => ho.id === selectedExistingPerson.houseId);
                               return h ? ` - ${h.houseName}` : '';
@@ -1262,8 +1366,8 @@ function QuickEditPanel({
                                 {p.firstName} {p.lastName}
                               </span>
                               <span className="quick-edit-modal__person-details">
-                                {p.dateOfBirth && `b. ${p.dateOfBirth.split('-')[0]}`}
-                                {p.dateOfDeath && ` - d. ${p.dateOfDeath.split('-')[0]}`}
+                                {p.dateOfBirth && `b. ${formatCalendarYear(p.dateOfBirth)}`}
+                                {p.dateOfDeath && ` - d. ${formatCalendarYear(p.dateOfDeath)}`}
                                 {(() => {
                                   const h = houses.find(ho => ho.id === p.houseId);
                                   return h ? ` - ${h.houseName}` : '';
@@ -8,19 +8,33 @@
  * RELATIONSHIP TYPES:
  * - parent: Parent/Child
  * - spouse: Marriage
+ * - concubine: Concubinage (a recognised union short of marriage)
  * - adopted-parent: Adopted Parent/Child
  * - foster-parent: Foster Parent/Child
  * - mentor: Mentor/Apprentice
  * - twin: Twins
  * - named-after: Namesake
  * - lineage-gap: Distant Ancestor
+ *
+ * Spouses are checked against the dataset's marriage law (prohibited
+ * degrees of kinship), and their blood relationship is summarized.
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { validateRelationship, generateCascadeSuggestions } from '../utils/SmartDataValidator';
 import Icon from './icons/Icon';
 import ActionButton from './shared/ActionButton';
+import { useDataset } from '../contexts/DatasetContext';
+import { normalizeMarriageRules } from '../data/marriageLaws';
+import { checkMarriageEligibility, formatCoefficient, formatDegree } from '../utils/consanguinity';
+import {
+  formatCalendarDate,
+  validateCalendarDate,
+  normalizeDateInput,
+  compareCalendarDates,
+  getDateFormatHint
+} from '../utils/calendarUtils';
 import './RelationshipForm.css';
 
 const SECTION_VARIANTS = {
@@ -48,6 +62,9 @@ const ALERT_VARIANTS = {
   }
 };
 
+// Types that record a union, with start/end dates in marriageDate/divorceDate
+const UNION_TYPES = ['spouse', 'concubine'];
+
 const RELATIONSHIP_TYPE_CONFIG = {
   parent: {
     icon: 'users',
@@ -63,6 +80,13 @@ const RELATIONSHIP_TYPE_CONFIG = {
     person2Label: 'Second Person',
     description: 'Person 1 and Person 2 are married'
   },
+  concubine: {
+    icon: 'heart',
+    label: 'Concubine',
+    person1Label: 'Concubine',
+    person2Label: 'Partner',
+    description: 'Person 1 is the concubine of Person 2'
+  },
   'adopted-parent': {
     icon: 'home',
     label: 'Adopted Parent/Child',
@@ -121,13 +145,16 @@ function RelationshipForm({
     person2Id: relationship?.person2Id || '',
     relationshipType: relationship?.relationshipType || 'parent',
     biologicalParent: relationship?.biologicalParent ?? true,
-    marriageDate: relationship?.marriageDate || '',
-    divorceDate: relationship?.divorceDate || '',
+    marriageDate: formatCalendarDate(relationship?.marriageDate),
+    divorceDate: formatCalendarDate(relationship?.divorceDate),
     marriageStatus: relationship?.marriageStatus || 'married',
     estimatedGenerations: relationship?.estimatedGenerations || '',
     lineageNotes: relationship?.lineageNotes || ''
   });
 
+  const { marriageRules: storedMarriageRules } = useDataset();
+  const marriageRules = useMemo(() => normalizeMarriageRules(storedMarriageRules), [storedMarriageRules]);
+
   // Validation state
   const [errors, setErrors] = useState({});
   const [warnings, setWarnings] = useState([]);
@@ -161,6 +188,8 @@ function RelationshipForm({
 
     const relationshipToValidate = {
       ...formData,
+      marriageDate: normalizeDateInput(formData.marriageDate),
+      divorceDate: normalizeDateInput(formData.divorceDate),
       person1Id: parseInt(formData.person1Id),
       person2Id: parseInt(formData.person2Id),
       id: relationship?.id
@@ -169,7 +198,8 @@ function RelationshipForm({
     const validationResult = validateRelationship(
       relationshipToValidate,
       people,
-      allRelationships
+      allRelationships,
+      { MARRIAGE_RULES: marriageRules }
     );
 
     setWarnings(validationResult.warnings || []);
@@ -182,7 +212,19 @@ function RelationshipForm({
       );
       setSuggestions(newSuggestions);
     }
-  }, [formData, people, allRelationships, relationship]);
+  }, [formData, people, allRelationships, relationship, marriageRules]);
+
+  // Blood relationship between prospective spouses
+  const kinship = useMemo(() => {
+    if (formData.relationshipType !== 'spouse' || !formData.person1Id || !formData.person2Id) return null;
+    const result = checkMarriageEligibility(
+      parseInt(formData.person1Id),
+      parseInt(formData.person2Id),
+      allRelationships,
+      marriageRules
+    );
+    return result.related ? result : null;
+  }, [formData.relationshipType, formData.person1Id, formData.person2Id, allRelationships, marriageRules]);
 
   const validate = () => {
     const newErrors = {};
@@ -199,19 +241,22 @@ function RelationshipForm({
       newErrors.person2Id = 'Cannot create relationship with the same person';
     }
 
-    if (formData.relationshipType === 'spouse') {
-      const dateRegex = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+    if (UNION_TYPES.includes(formData.relationshipType)) {
+      const marriageError = validateCalendarDate(formData.marriageDate);
+      const divorceError = validateCalendarDate(formData.divorceDate);
 
-      if (formData.marriageDate && !dateRegex.test(formData.marriageDate)) {
-        newErrors.marriageDate = 'Date must be YYYY, YYYY-MM, or YYYY-MM-DD';
+      if (marriageError) {
+        newErrors.marriageDate = marriageError;
       }
-      if (formData.divorceDate && !dateRegex.test(formData.divorceDate)) {
-        newErrors.divorceDate = 'Date must be YYYY, YYYY-MM, or YYYY-MM-DD';
+      if (divorceError) {
+        newErrors.divorceDate = divorceError;
       }
 
-      if (formData.marriageDate && formData.divorceDate &&
-          formData.divorceDate < formData.marriageDate) {
-        newErrors.divorceDate = 'Divorce date cannot be before marriage date';
+      if (!marriageError && !divorceError && formData.marriageDate && formData.divorceDate &&
+          compareCalendarDates(normalizeDateInput(formData.divorceDate), normalizeDateInput(formData.marriageDate)) < 0) {
+        newErrors.divorceDate = formData.relationshipType === 'spouse'
+          ? 'Divorce date cannot be before marriage date'
+          : 'End date cannot be before start date';
       }
     }
 
@@ -219,6 +264,8 @@ function RelationshipForm({
     if (formData.person1Id && formData.person2Id) {
       const relationshipToValidate = {
         ...formData,
+        marriageDate: normalizeDateInput(formData.marriageDate),
+        divorceDate: normalizeDateInput(formData.divorceDate),
         person1Id: parseInt(formData.person1Id),
         person2Id: parseInt(formData.person2Id),
         id: relationship?.id
@@ -227,7 +274,8 @@ function RelationshipForm({
       const smartResult = validateRelationship(
         relationshipToValidate,
         people,
-        allRelationships
+        allRelationships,
+        { MARRIAGE_RULES: marriageRules }
       );
 
       smartResult.errors.forEach(err => {
@@ -269,10 +317,10 @@ function RelationshipForm({
         person2Id: parseInt(formData.person2Id),
         relationshipType: formData.relationshipType,
         biologicalParent: formData.relationshipType === 'parent' ? formData.biologicalParent : null,
-        marriageDate: formData.relationshipType === 'spouse' && formData.marriageDate
-          ? formData.marriageDate : null,
-        divorceDate: formData.relationshipType === 'spouse' && formData.divorceDate
-          ? formData.divorceDate : null,
+        marriageDate: UNION_TYPES.includes(formData.relationshipType)
+          ? normalizeDateInput(formData.marriageDate) : null,
+        divorceDate: UNION_TYPES.includes(formData.relationshipType)
+          ? normalizeDateInput(formData.divorceDate) : null,
         marriageStatus: formData.relationshipType === 'spouse'
           ? formData.marriageStatus : null,
         estimatedGenerations: formData.relationshipType === 'lineage-gap' && formData.estimatedGenerations
@@ -297,6 +345,7 @@ function RelationshipForm({
   };
 
   const currentConfig = RELATIONSHIP_TYPE_CONFIG[formData.relationshipType];
+  const isMarriage = formData.relationshipType === 'spouse';
 
   return (
     <form className="relationship-form" onSubmit={handleSubmit}>
@@ -602,9 +651,9 @@ function RelationshipForm({
         )}
       </AnimatePresence>
 
-      {/* Spouse-specific fields */}
+      {/* Spouse / concubine fields */}
       <AnimatePresence>
-        {formData.relationshipType === 'spouse' && (
+        {UNION_TYPES.includes(formData.relationshipType) && (
           <motion.div
             className="relationship-form__section relationship-form__section--marriage"
             variants={SECTION_VARIANTS}
@@ -615,14 +664,27 @@ function RelationshipForm({
           >
             <h3 className="relationship-form__section-title">
               <Icon name="heart" size={16} />
-              <span>Marriage Details</span>
+              <span>{isMarriage ? 'Marriage Details' : 'Union Details'}</span>
             </h3>
 
+            {kinship && (
+              <div className="relationship-form__info-box">
+                <Icon name="info" size={16} className="relationship-form__info-icon" />
+                <p className="relationship-form__info-text">
+                  {kinship.directLine
+                    ? 'Related in the direct line'
+                    : `Related in the ${formatDegree(kinship.canonicalDegree)} canonical (${formatDegree(kinship.civilDegree)} civil) degree`}
+                  {' '}through {kinship.commonAncestors.filter(c => c.isNearest).map(c => getPersonName(c.ancestorId)).join(', ')}.
+                  {' '}Coefficient of relationship: {formatCoefficient(kinship.coefficient)}.
+                </p>
+              </div>
+            )}
+
             <div className="relationship-form__row">
               {/* Marriage Date */}
               <div className="relationship-form__group">
                 <label htmlFor="marriageDate" className="relationship-form__label">
-                  Marriage Date
+                  {isMarriage ? 'Marriage Date' : 'Began'}
                 </label>
                 <input
                   type="text"
@@ -631,7 +693,7 @@ function RelationshipForm({
                   value={formData.marriageDate}
                   onChange={handleChange}
                   className={`relationship-form__input ${errors.marriageDate ? 'relationship-form__input--error' : ''}`}
-                  placeholder="YYYY-MM-DD or YYYY"
+                  placeholder={getDateFormatHint()}
                 />
                 {errors.marriageDate ? (
                   <span className="relationship-form__error">
@@ -640,7 +702,7 @@ function RelationshipForm({
                   </span>
                 ) : (
                   <span className="relationship-form__hint">
-                    Format: YYYY-MM-DD, YYYY-MM, or YYYY
+                    Format: {getDateFormatHint()}
                   </span>
                 )}
               </div>
@@ -648,7 +710,7 @@ function RelationshipForm({
               {/* Divorce Date */}
               <div className="relationship-form__group">
                 <label htmlFor="divorceDate" className="relationship-form__label">
-                  Divorce Date
+                  {isMarriage ? 'Divorce Date' : 'Ended'}
                 </label>
                 <input
                   type="text"
@@ -657,7 +719,7 @@ function RelationshipForm({
                   value={formData.divorceDate}
                   onChange={handleChange}
                   className={`relationship-form__input ${errors.divorceDate ? 'relationship-form__input--error' : ''}`}
-                  placeholder="Leave blank if still married"
+                  placeholder={isMarriage ? 'Leave blank if still married' : 'Leave blank if ongoing'}
                 />
                 {errors.divorceDate ? (
                   <span className="relationship-form__error">
@@ -666,29 +728,31 @@ function RelationshipForm({
                   </span>
                 ) : (
                   <span className="relationship-form__hint">
-                    Leave blank if still married
+                    {isMarriage ? 'Leave blank if still married' : 'Leave blank if ongoing'}
                   </span>
                 )}
               </div>
             </div>
 
             {/* Marriage Status */}
-            <div className="relationship-form__group">
-              <label htmlFor="marriageStatus" className="relationship-form__label">
-                Marriage Status
-              </label>
-              <select
-                id="marriageStatus"
-                name="marriageStatus"
-                value={formData.marriageStatus}
-                onChange={handleChange}
-                className="relationship-form__select"
-              >
-                <option value="married">Married</option>
-                <option value="divorced">Divorced</option>
-                <option value="widowed">Widowed</option>
-              </select>
-            </div>
+            {isMarriage && (
+              <div className="relationship-form__group">
+                <label htmlFor="marriageStatus" className="relationship-form__label">
+                  Marriage Status
+                </label>
+                <select
+                  id="marriageStatus"
+                  name="marriageStatus"
+                  value={formData.marriageStatus}
+                  onChange={handleChange}
+                  className="relationship-form__select"
+                >
+                  <option value="married">Married</option>
+                  <option value="divorced">Divorced</option>
+                  <option value="widowed">Widowed</option>
+                </select>
+              </div>
+            )}
           </motion.div>
         )}
       </AnimatePresence>
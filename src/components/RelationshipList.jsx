@@ -23,6 +23,7 @@ import ListSearchBar from './shared/ListSearchBar';
 import SortDropdown from './shared/SortDropdown';
 import FilterDropdown from './shared/FilterDropdown';
 import Pagination from './shared/Pagination';
+import { formatCalendarDate, compareCalendarDates } from '../utils/calendarUtils';
 import './RelationshipList.css';
 
 // ==================== PAGINATION CONFIG ====================
@@ -32,6 +33,7 @@ const ITEMS_PER_PAGE = 25;
 const RELATIONSHIP_TYPE_OPTIONS = [
   { value: 'parent', label: 'Parent' },
   { value: 'spouse', label: 'Spouse' },
+  { value: 'concubine', label: 'Concubine' },
   { value: 'adopted-parent', label: 'Adopted Parent' },
   { value: 'foster-parent', label: 'Foster Parent' },
   { value: 'mentor', label: 'Mentor' },
@@ -84,6 +86,11 @@ const RELATIONSHIP_CONFIG = {
     getDescription: (p1, p2, rel) =>
       `${p1} and ${p2} are ${rel.marriageStatus || 'married'}`
   },
+  concubine: {
+    icon: 'heart',
+    color: 'rose',
+    getDescription: (p1, p2) => `${p1} is the concubine of ${p2}`
+  },
   'adopted-parent': {
     icon: 'link',
     color: 'purple',
@@ -192,7 +199,7 @@ function RelationshipList({ relationships, people, onEdit, onDelete }) {
         case 'person2':
           return getPersonName(a.person2Id).localeCompare(getPersonName(b.person2Id));
         case 'marriageDate':
-          return (a.marriageDate || '9999').localeCompare(b.marriageDate || '9999');
+          return compareCalendarDates(a.marriageDate, b.marriageDate);
         default:
           return 0;
       }
@@ -313,19 +320,20 @@ function RelationshipList({ relationships, people, onEdit, onDelete }) {
                     {rel.details.text}
                   </p>
 
-                  {/* Additional details for spouse relationships */}
-                  {rel.relationshipType === 'spouse' && (rel.marriageDate || rel.divorceDate) && (
+                  {/* Additional details for spouse and concubine relationships */}
+                  {(rel.relationshipType === 'spouse' || rel.relationshipType === 'concubine') &&
+                    (rel.marriageDate || rel.divorceDate) && (
                     <div className="relationship-list__meta">
                       {rel.marriageDate && (
                         <span className="relationship-list__meta-item">
                           <Icon name="calendar" size={14} />
-                          <span>Married: {rel.marriageDate}</span>
+                          <span>{rel.relationshipType === 'spouse' ? 'Married' : 'Began'}: {formatCalendarDate(rel.marriageDate)}</span>
                         </span>
                       )}
                       {rel.divorceDate && (
                         <span className="relationship-list__meta-item relationship-list__meta-item--muted">
                           <Icon name="calendar" size={14} />
-                          <span>Divorced: {rel.divorceDate}</span>
+                          <span>{rel.relationshipType === 'spouse' ? 'Divorced' : 'Ended'}: {formatCalendarDate(rel.divorceDate)}</span>
                         </span>
                       )}
                     </div>
@@ -14,6 +14,7 @@
 import { useState, useRef, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import Icon from './icons';
+import { formatCalendarDate } from '../utils/calendarUtils';
 import './SearchBar.css';
 
 // ==================== ANIMATION VARIANTS ====================
@@ -239,8 +240,8 @@ function SearchBar({ people, onSearchResults, onPersonSelect }) {
                       </div>
                     )}
                     <div className="search-bar__result-dates">
-                      {person.dateOfBirth}
-                      {person.dateOfDeath ? ` - ${person.dateOfDeath}` : ''}
+                      {formatCalendarDate(person.dateOfBirth)}
+                      {person.dateOfDeath ? ` - ${formatCalendarDate(person.dateOfDeath)}` : ''}
                     </div>
                   </div>
                 </motion.button>
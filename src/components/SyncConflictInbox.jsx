@@ -0,0 +1,252 @@
+/**
+ * SyncConflictInbox.jsx - Cloud Sync Conflict Inbox
+ *
+ * PURPOSE:
+ * Lists edits that could not be merged automatically because this machine
+ * and the cloud both changed the same field since the last sync.
+ * For each conflicting field the user picks "This device" or "Cloud",
+ * then the resolved record is saved locally and pushed to the cloud.
+ *
+ * Fields only one side changed were already merged by dataSyncService,
+ * so only genuine disagreements appear here. A record deleted on another
+ * device but edited on this one shows a single keep/delete choice.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import Icon from './icons/Icon';
+import ActionButton from './shared/ActionButton';
+import EmptyState from './shared/EmptyState';
+import { useAuth } from '../contexts/AuthContext';
+import { useDataset } from '../contexts/DatasetContext';
+import { getSyncConflicts, resolveSyncConflict } from '../services/dataSyncService';
+import './SyncConflictInbox.css';
+
+const ENTITY_LABELS = {
+  person: 'Person',
+  house: 'House',
+  relationship: 'Relationship',
+  codexEntry: 'Codex Entry'
+};
+
+const ITEM_VARIANTS = {
+  hidden: { opacity: 0, y: 10 },
+  visible: { opacity: 1, y: 0, transition: { duration: 0.2 } },
+  exit: { opacity: 0, x: -20, transition: { duration: 0.15 } }
+};
+
+/**
+ * Render a field value for side-by-side comparison
+ */
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') return '(empty)';
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+/**
+ * SyncConflictInbox Component
+ *
+ * Props:
+ * - onResolved: Optional callback after a conflict is resolved
+ */
+function SyncConflictInbox({ onResolved }) {
+  const { user } = useAuth();
+  const { activeDataset } = useDataset();
+  const datasetId = activeDataset?.id || 'default';
+
+  const [conflicts, setConflicts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [choices, setChoices] = useState({});
+  const [resolvingId, setResolvingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadConflicts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const open = await getSyncConflicts(datasetId);
+      setConflicts(open);
+    } catch (err) {
+      console.error('❌ Failed to load sync conflicts:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [datasetId]);
+
+  useEffect(() => {
+    loadConflicts();
+  }, [loadConflicts]);
+
+  const setChoice = (conflictId, field, side) => {
+    setChoices(prev => ({
+      ...prev,
+      [conflictId]: { ...(prev[conflictId] || {}), [field]: side }
+    }));
+  };
+
+  const setAllChoices = (conflict, side) => {
+    setChoices(prev => ({
+      ...prev,
+      [conflict.id]: conflict.remoteDeleted
+        ? { record: side }
+        : Object.fromEntries(conflict.fields.map(f => [f.field, side]))
+    }));
+  };
+
+  const handleResolve = async (conflict) => {
+    try {
+      setResolvingId(conflict.id);
+      setError(null);
+      await resolveSyncConflict(user?.uid, datasetId, conflict.id, choices[conflict.id] || {});
+      setConflicts(prev => prev.filter(c => c.id !== conflict.id));
+      if (onResolved) onResolved(conflict);
+    } catch (err) {
+      console.error('❌ Failed to resolve sync conflict:', err);
+      setError(err.message);
+    } finally {
+      setResolvingId(null);
+    }
+  };
+
+  if (loading) {
+    return <p className="sync-conflicts__loading">Checking for sync conflicts...</p>;
+  }
+
+  if (conflicts.length === 0) {
+    return (
+      <EmptyState
+        icon="check-circle"
+        title="No Sync Conflicts"
+        description="Edits from your other devices have all merged cleanly."
+      />
+    );
+  }
+
+  return (
+    <div className="sync-conflicts">
+      <div className="sync-conflicts__header">
+        <h3 className="sync-conflicts__title">
+          <Icon name="git-merge" size={18} />
+          <span>{conflicts.length} Unresolved Conflict{conflicts.length === 1 ? '' : 's'}</span>
+        </h3>
+        <p className="sync-conflicts__description">
+          These records were changed both here and on another device. Pick which version
+          to keep for each field. Unpicked fields keep this device&apos;s value.
+        </p>
+      </div>
+
+      {error && (
+        <div className="sync-conflicts__error">
+          <Icon name="alert-triangle" size={16} />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <AnimatePresence>
+        {conflicts.map(conflict => {
+          const picked = choices[conflict.id] || {};
+          return (
+            <motion.div
+              key={conflict.id}
+              className="sync-conflicts__item"
+              variants={ITEM_VARIANTS}
+              initial="hidden"
+              animate="visible"
+              exit="exit"
+              layout
+            >
+              <div className="sync-conflicts__item-header">
+                <div>
+                  <span className="sync-conflicts__type">
+                    {ENTITY_LABELS[conflict.entityType] || conflict.entityType}
+                  </span>
+                  <h4 className="sync-conflicts__name">{conflict.label}</h4>
+                </div>
+                <div className="sync-conflicts__bulk">
+                  <button
+                    className="sync-conflicts__bulk-btn"
+                    onClick={() => setAllChoices(conflict, 'local')}
+                  >
+                    All from this device
+                  </button>
+                  <button
+                    className="sync-conflicts__bulk-btn"
+                    onClick={() => setAllChoices(conflict, 'remote')}
+                  >
+                    All from cloud
+                  </button>
+                </div>
+              </div>
+
+              {conflict.remoteDeleted && (
+                <div className="sync-conflicts__field">
+                  <span className="sync-conflicts__field-name">record</span>
+                  <div className="sync-conflicts__options">
+                    <button
+                      className={`sync-conflicts__option ${picked.record !== 'remote' ? 'sync-conflicts__option--selected' : ''}`}
+                      onClick={() => setChoice(conflict.id, 'record', 'local')}
+                    >
+                      <span className="sync-conflicts__option-label">This device</span>
+                      <pre className="sync-conflicts__value">Edited - keep it</pre>
+                    </button>
+                    <button
+                      className={`sync-conflicts__option ${picked.record === 'remote' ? 'sync-conflicts__option--selected' : ''}`}
+                      onClick={() => setChoice(conflict.id, 'record', 'remote')}
+                    >
+                      <span className="sync-conflicts__option-label">Cloud</span>
+                      <pre className="sync-conflicts__value">Deleted - delete it here too</pre>
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {conflict.fields.map(field => {
+                const side = picked[field.field] || 'local';
+                return (
+                  <div key={field.field} className="sync-conflicts__field">
+                    <span className="sync-conflicts__field-name">{field.field}</span>
+                    <div className="sync-conflicts__options">
+                      <button
+                        className={`sync-conflicts__option ${side === 'local' ? 'sync-conflicts__option--selected' : ''}`}
+                        onClick={() => setChoice(conflict.id, field.field, 'local')}
+                      >
+                        <span className="sync-conflicts__option-label">This device</span>
+                        <pre className="sync-conflicts__value">{formatValue(field.local)}</pre>
+                      </button>
+                      <button
+                        className={`sync-conflicts__option ${side === 'remote' ? 'sync-conflicts__option--selected' : ''}`}
+                        onClick={() => setChoice(conflict.id, field.field, 'remote')}
+                      >
+                        <span className="sync-conflicts__option-label">Cloud</span>
+                        <pre className="sync-conflicts__value">{formatValue(field.remote)}</pre>
+                      </button>
+                    </div>
+                    <span className="sync-conflicts__base">
+                      Before both edits: {formatValue(field.base)}
+                    </span>
+                  </div>
+                );
+              })}
+
+              <div className="sync-conflicts__actions">
+                <ActionButton
+                  icon="check"
+                  variant="primary"
+                  size="sm"
+                  loading={resolvingId === conflict.id}
+                  disabled={resolvingId !== null}
+                  onClick={() => handleResolve(conflict)}
+                >
+                  Resolve
+                </ActionButton>
+              </div>
+            </motion.div>
+          );
+        })}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default SyncConflictInbox;
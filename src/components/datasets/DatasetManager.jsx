@@ -7,6 +7,7 @@
  * - Rename existing datasets
  * - Delete datasets (with confirmation)
  * - View dataset info
+ * - Share and join datasets with share codes (when COLLABORATIVE_SYNC is on)
  *
  * Uses the shared Modal component and BEM CSS.
  */
@@ -16,6 +17,7 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { useDataset } from '../../contexts/DatasetContext';
 import Modal from '../Modal';
 import Icon from '../icons';
+import { isFeatureEnabled } from '../../config/featureFlags';
 import './DatasetManager.css';
 
 // Animation variants for list items
@@ -30,6 +32,7 @@ export default function DatasetManager({ isOpen, onClose }) {
     datasets,
     activeDataset,
     createDataset,
+    shareDataset,
     renameDataset,
     deleteDataset,
     switchDataset,
@@ -39,16 +42,22 @@ export default function DatasetManager({ isOpen, onClose }) {
   // Local state
   const [isCreating, setIsCreating] = useState(false);
   const [newName, setNewName] = useState('');
+  const [shareCode, setShareCode] = useState('');
   const [editingId, setEditingId] = useState(null);
   const [editName, setEditName] = useState('');
   const [deletingId, setDeletingId] = useState(null);
   const [error, setError] = useState(null);
   const [processing, setProcessing] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+
+  // Named datasets are shared with single-use codes while collaborative sync is on
+  const canShare = isFeatureEnabled('EXPERIMENTAL.COLLABORATIVE_SYNC');
 
   // Reset state when modal closes
   const handleClose = () => {
     setIsCreating(false);
     setNewName('');
+    setShareCode('');
     setEditingId(null);
     setEditName('');
     setDeletingId(null);
@@ -64,8 +73,9 @@ export default function DatasetManager({ isOpen, onClose }) {
     try {
       setProcessing(true);
       setError(null);
-      await createDataset(newName.trim());
+      await createDataset(newName.trim(), shareCode.trim() || null);
       setNewName('');
+      setShareCode('');
       setIsCreating(false);
     } catch (err) {
       setError(err.message);
@@ -74,6 +84,21 @@ export default function DatasetManager({ isOpen, onClose }) {
     }
   };
 
+  // Copy a fresh share code so one collaborator can join the dataset
+  const handleCopyShareCode = async (datasetId) => {
+    try {
+      setProcessing(true);
+      setError(null);
+      const code = await shareDataset(datasetId);
+      await navigator.clipboard.writeText(code);
+      setCopiedId(datasetId);
+    } catch (err) {
+      setError(`Could not copy a share code: ${err.message}`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
   // Start editing a dataset name
   const startEditing = (dataset) => {
     setEditingId(dataset.id);
@@ -319,6 +344,16 @@ export default function DatasetManager({ isOpen, onClose }) {
                             )}
                           </button>
                           <div className="dataset-manager__item-actions">
+                            {canShare && !dataset.isDefault && (
+                              <button
+                                className="dataset-manager__item-action"
+                                onClick={() => handleCopyShareCode(dataset.id)}
+                                title={copiedId === dataset.id ? 'Share code copied - it works once' : 'Copy a share code for one collaborator'}
+                                disabled={processing}
+                              >
+                                <Icon name={copiedId === dataset.id ? 'check' : 'copy'} size={14} />
+                              </button>
+                            )}
                             <button
                               className="dataset-manager__item-action"
                               onClick={() => startEditing(dataset)}
@@ -361,6 +396,16 @@ export default function DatasetManager({ isOpen, onClose }) {
                     autoFocus
                     disabled={processing}
                   />
+                  {canShare && (
+                    <input
+                      type="text"
+                      value={shareCode}
+                      onChange={(e) => setShareCode(e.target.value)}
+                      className="dataset-manager__create-input"
+                      placeholder="Share code (optional, to join a shared dataset)"
+                      disabled={processing}
+                    />
+                  )}
                   <div className="dataset-manager__create-actions">
                     <button
                       type="button"
@@ -368,6 +413,7 @@ export default function DatasetManager({ isOpen, onClose }) {
                       onClick={() => {
                         setIsCreating(false);
                         setNewName('');
+                        setShareCode('');
                       }}
                       disabled={processing}
                     >
@@ -378,7 +424,7 @@ export default function DatasetManager({ isOpen, onClose }) {
                       className="dataset-manager__create-submit"
                       disabled={!newName.trim() || processing}
                     >
-                      {processing ? 'Creating...' : 'Create'}
+                      {processing ? 'Creating...' : shareCode.trim() ? 'Join' : 'Create'}
                     </button>
                   </div>
                 </form>
@@ -0,0 +1,211 @@
+/**
+ * CustomChargeForm.jsx
+ *
+ * Upload a monochrome SVG as a charge, or edit an uploaded charge's
+ * catalogue details. Used in the Charges Library detail panel.
+ *
+ * The file is sanitized as soon as it is picked, so the preview shows the
+ * charge exactly as it will be stored (white body, black outline) along
+ * with anything the sanitizer removed.
+ *
+ * Props:
+ * - charge: Uploaded charge to edit (from getCustomCharges); omit to upload
+ * - onSubmit: async (details, svgText) => void; svgText only when uploading
+ * - onCancel: Close the form
+ */
+
+import { useState } from 'react';
+import { CHARGE_CATEGORIES } from '../../data/unifiedChargesLibrary';
+import { sanitizeChargeSVG } from '../../utils/chargeSanitizer';
+import Icon from '../icons';
+import ActionButton from '../shared/ActionButton';
+import './CustomChargeForm.css';
+
+function CustomChargeForm({ charge = null, onSubmit, onCancel }) {
+  const isEdit = !!charge;
+
+  const [svgText, setSvgText] = useState(null);
+  const [sanitized, setSanitized] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [details, setDetails] = useState({
+    name: charge?.name || '',
+    category: charge?.category || 'mythical',
+    tags: (charge?.keywords || []).join(', '),
+    blazonTerm: charge?.blazonTerm || '',
+    description: charge?.description || '',
+    sourceFilename: null
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateDetails = (changes) => {
+    setDetails(prev => ({ ...prev, ...changes }));
+    setError(null);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setFileError(null);
+    setSanitized(null);
+    setSvgText(null);
+    try {
+      const text = await file.text();
+      setSanitized(sanitizeChargeSVG(text));
+      setSvgText(text);
+      const baseName = file.name.replace(/\.svg$/i, '').replace(/[-_]+/g, ' ').trim();
+      setDetails(prev => ({
+        ...prev,
+        name: prev.name || baseName.charAt(0).toUpperCase() + baseName.slice(1),
+        sourceFilename: file.name
+      }));
+    } catch (err) {
+      setFileError(err.message);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!isEdit && !svgText) {
+      setError('Choose an SVG file to upload');
+      return;
+    }
+    if (!details.name.trim()) {
+      setError('Give the charge a name');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      await onSubmit(details, svgText);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="custom-charge-form" onSubmit={handleSubmit}>
+      <h2 className="custom-charge-form__title">
+        <Icon name={isEdit ? 'file-edit' : 'upload'} size={18} />
+        <span>{isEdit ? 'Edit Charge' : 'Upload Charge'}</span>
+      </h2>
+
+      {!isEdit && (
+        <>
+          <p className="custom-charge-form__hint">
+            A monochrome SVG: light areas take the tincture, dark lines stay black.
+            Solid black silhouettes are outlined automatically.
+          </p>
+          <label className="custom-charge-form__file">
+            <input type="file" accept=".svg,image/svg+xml" onChange={handleFile} />
+            <Icon name="upload" size={16} />
+            <span>{details.sourceFilename || 'Choose SVG file'}</span>
+          </label>
+
+          {fileError && (
+            <div className="custom-charge-form__message custom-charge-form__message--error">
+              <Icon name="alert-triangle" size={14} />
+              <span>{fileError}</span>
+            </div>
+          )}
+
+          {sanitized && (
+            <div className="custom-charge-form__preview">
+              <div
+                className="custom-charge-form__preview-svg"
+                dangerouslySetInnerHTML={{ __html: sanitized.svg }}
+              />
+              {sanitized.warnings.length > 0 && (
+                <ul className="custom-charge-form__warnings">
+                  {sanitized.warnings.map(warning => (
+                    <li key={warning}>{warning}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </>
+      )}
+
+      <label className="custom-charge-form__field">
+        <span className="custom-charge-form__label">Name</span>
+        <input
+          type="text"
+          className="custom-charge-form__input"
+          value={details.name}
+          onChange={(e) => updateDetails({ name: e.target.value })}
+          placeholder="e.g., Sea-Wyvern"
+        />
+      </label>
+
+      <label className="custom-charge-form__field">
+        <span className="custom-charge-form__label">Category</span>
+        <select
+          className="custom-charge-form__input"
+          value={details.category}
+          onChange={(e) => updateDetails({ category: e.target.value })}
+        >
+          {Object.entries(CHARGE_CATEGORIES).map(([key, cat]) => (
+            <option key={key} value={key}>{cat.icon} {cat.name}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="custom-charge-form__field">
+        <span className="custom-charge-form__label">Blazon term</span>
+        <input
+          type="text"
+          className="custom-charge-form__input"
+          value={details.blazonTerm}
+          onChange={(e) => updateDetails({ blazonTerm: e.target.value })}
+          placeholder={details.name ? details.name.toLowerCase() : 'e.g., a sea-wyvern'}
+        />
+        <span className="custom-charge-form__hint">
+          Used in blazon text, and recognized when typing a blazon in the Creator
+        </span>
+      </label>
+
+      <label className="custom-charge-form__field">
+        <span className="custom-charge-form__label">Tags</span>
+        <input
+          type="text"
+          className="custom-charge-form__input"
+          value={details.tags}
+          onChange={(e) => updateDetails({ tags: e.target.value })}
+          placeholder="Comma-separated, e.g., beast, sea, northern"
+        />
+      </label>
+
+      <label className="custom-charge-form__field">
+        <span className="custom-charge-form__label">Description</span>
+        <textarea
+          className="custom-charge-form__input"
+          rows={2}
+          value={details.description}
+          onChange={(e) => updateDetails({ description: e.target.value })}
+        />
+      </label>
+
+      {error && (
+        <div className="custom-charge-form__message custom-charge-form__message--error">
+          <Icon name="alert-triangle" size={14} />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="custom-charge-form__actions">
+        <ActionButton type="button" variant="ghost" onClick={onCancel} disabled={saving}>
+          Cancel
+        </ActionButton>
+        <ActionButton type="submit" icon="save" variant="primary" loading={saving}>
+          {isEdit ? 'Save' : 'Upload'}
+        </ActionButton>
+      </div>
+    </form>
+  );
+}
+
+export default CustomChargeForm;
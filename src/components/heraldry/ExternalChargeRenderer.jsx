@@ -3,8 +3,8 @@ import { useState, useEffect, useMemo, useCallback } from 'react';
 import { getChargeUrl, getCharge } from '../../data/unifiedChargesLibrary';
 
 // Backwards compatibility helpers - try unified library first, fall back to external
-function getExternalChargeUrl(chargeId) {
-  return getChargeUrl(chargeId);
+function getExternalChargeUrl(chargeId, uploads) {
+  return getChargeUrl(chargeId, uploads);
 }
 
 function getExternalCharge(chargeId) {
@@ -21,6 +21,9 @@ function getExternalCharge(chargeId) {
  * - White fills (fill="#FFFFFF")
  * - Some black fills for outlines/shadows (fill="black")
  * 
+ * Charges uploaded to the dataset (custom-<id>) are sanitized to the same
+ * convention and served from data: URLs by unifiedChargesLibrary.
+ * 
  * This component:
  * 1. Fetches the SVG content
  * 2. Replaces white fills with the selected tincture color
@@ -49,9 +52,9 @@ function ExternalChargeRenderer({
   const [error, setError] = useState(null);
   const [viewBox, setViewBox] = useState('0 0 100 100');
   
-  // Get the URL for this charge
-  const chargeUrl = useMemo(() => getExternalChargeUrl(chargeId), [chargeId]);
-  const chargeData = useMemo(() => getExternalCharge(chargeId), [chargeId]);
+  // Get the URL for this charge - not memoized, as uploaded charges are
+  // registered after the dataset loads
+  const chargeUrl = getExternalChargeUrl(chargeId);
   
   // Fetch and process the SVG
   useEffect(() => {
@@ -303,11 +306,14 @@ export function ExternalChargePreview({
  * @param {number} x - X position in target viewBox
  * @param {number} y - Y position in target viewBox  
  * @param {number} scale - Scale factor
- * @param {number} aspectCorrection - Ratio to correct for shield aspect (default ~0.76 for typical shields)
+ * @param {Object} [options]
+ * @param {number} [options.aspectCorrection] - Ratio to correct for shield aspect (default ~0.76 for typical shields)
+ * @param {Object} [options.uploads] - Uploaded charges as { chargeId: chargeObject },
+ *   e.g. useCustomCharges().customCharges (default: the registered uploads)
  * @returns {Promise<string>} SVG group element string
  */
-export async function generateExternalChargeSVGAsync(chargeId, tincture, x, y, scale = 0.5, aspectCorrection = 0.76) {
-  const chargeUrl = getExternalChargeUrl(chargeId);
+export async function generateExternalChargeSVGAsync(chargeId, tincture, x, y, scale = 0.5, { aspectCorrection = 0.76, uploads } = {}) {
+  const chargeUrl = getExternalChargeUrl(chargeId, uploads);
   if (!chargeUrl) return '';
   
   try {
@@ -19,6 +19,7 @@ import { useState, useCallback, useMemo, memo } from 'react';
 import { motion } from 'framer-motion';
 import Icon from '../icons/Icon';
 import ActionButton from '../shared/ActionButton';
+import { useDataset } from '../../contexts/DatasetContext';
 import {
   createHouseholdRole,
   updateHouseholdRole
@@ -68,6 +69,7 @@ function HouseholdRoleForm({
   const isEditing = !!role;
 
   // Form state
+  const { activeDataset } = useDataset();
   const [roleType, setRoleType] = useState(role?.roleType || '');
   const [customRoleName, setCustomRoleName] = useState(role?.customRoleName || '');
   const [currentHolderId, setCurrentHolderId] = useState(role?.currentHolderId || '');
@@ -110,9 +112,9 @@ function HouseholdRoleForm({
       };
 
       if (isEditing) {
-        await updateHouseholdRole(role.id, roleData);
+        await updateHouseholdRole(role.id, roleData, null, activeDataset?.id);
       } else {
-        await createHouseholdRole(roleData);
+        await createHouseholdRole(roleData, null, activeDataset?.id);
       }
 
       onSave?.();
@@ -124,7 +126,7 @@ function HouseholdRoleForm({
     } finally {
       setSaving(false);
     }
-  }, [isValid, houseId, roleType, customRoleName, currentHolderId, startDate, notes, isEditing, role, onSave]);
+  }, [isValid, houseId, roleType, customRoleName, currentHolderId, startDate, notes, isEditing, role, onSave, activeDataset]);
 
   // Handle overlay click
   const handleOverlayClick = useCallback((e) => {
@@ -46,6 +46,7 @@ import {
   Copy,
   ExternalLink,
   Clock,
+  Hourglass,
   Calendar,
   BarChart3,
   Sparkles,
@@ -64,6 +65,7 @@ import {
   Cog,
   Network,
   GitBranch,
+  GitMerge,
   Library,
   BookMarked,
   ScrollText,
@@ -192,6 +194,7 @@ const LUCIDE_ICONS = {
   // Time
   'clock': Clock,
   'time': Clock,
+  'hourglass': Hourglass,
   'calendar': Calendar,
   
   // Decorative/Thematic
@@ -315,7 +318,8 @@ const LUCIDE_ICONS = {
   'alert-triangle': AlertTriangle,
   'loader': Loader,
   'refresh-cw': RefreshCcw,
-  'git-branch': GitBranch
+  'git-branch': GitBranch,
+  'git-merge': GitMerge
 };
 
 /**
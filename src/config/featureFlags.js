@@ -110,15 +110,17 @@ export const FEATURE_FLAGS = {
     // COMPLETION_DATE: 2026-01-06 (Re-enabled existing implementation)
 
     // ┌───────────────────────────────────────────────────────────────────
-    // │ 🅿️ Timeline View
-    // │ Status: PARKED (indefinitely)
+    // │ ✅ Timeline View
+    // │ Status: COMPLETE
     // │ Priority: LOW (Tier 3)
     // │ Complexity: High
-    // │ Reason: Not essential for core worldbuilding workflow
-    // │ May revisit in future if demand arises
+    // │ Features: Births, deaths, marriages, tenures, foundings, codex events;
+    // │           house/dignity filters; zoom from centuries to single years
+    // │ Location: /timeline (Navigation bar)
+    // │ Dependencies: None
     // └───────────────────────────────────────────────────────────────────
-    TIMELINE_VIEW: false,
-    // PARKED_DATE: 2026-01-07
+    TIMELINE_VIEW: true,
+    // COMPLETION_DATE: 2026-10-19
 
     // ┌───────────────────────────────────────────────────────────────────
     // │ ✅ Horizontal Layout
@@ -155,7 +157,7 @@ export const FEATURE_FLAGS = {
     // Phase 3: Advanced Features
     BIOGRAPHY_PREVIEW_HOVER: false,     // Hover over person card shows bio preview
     AUTO_WIKI_LINK_DETECTION: false,    // Detect mentions of people in Codex content
-    KNOWLEDGE_GRAPH_VIEW: false,        // Visual graph of Codex entry connections
+    KNOWLEDGE_GRAPH_VIEW: true,         // Visual graph of Codex entry connections (/codex/graph)
     TIMELINE_CODEX_INTEGRATION: false,  // Click timeline events to see Codex entries
 
   },
@@ -186,9 +188,10 @@ export const FEATURE_FLAGS = {
     ANIMATED_TRANSITIONS: false,        // 🧪 Smooth animations for tree changes
 
     // Export/Import
-    GEDCOM_EXPORT: false,               // 🧪 Export to standard genealogy format
-    MARKDOWN_EXPORT: false,             // 🧪 Export Codex entries as markdown
-    COLLABORATIVE_SYNC: false,          // 🧪 Multi-user editing capabilities
+    GEDCOM_EXPORT: true,                // ✅ Export to GEDCOM 5.5.1 / 7.0 (Manage Data → Import/Export)
+    GEDCOM_IMPORT: true,                // ✅ Import GEDCOM with duplicate/conflict preview
+    MARKDOWN_EXPORT: true,              // ✅ Codex as Markdown/Obsidian vault, export and import (Manage Data → Import/Export)
+    COLLABORATIVE_SYNC: true,           // ✅ Live listeners + presence on datasets shared by code (needs firestore.rules deployed)
 
   },
 
@@ -14,6 +14,12 @@
  * ENVIRONMENT VARIABLES:
  * All config values come from .env.local file (not committed to git).
  * Vite requires the VITE_ prefix to expose variables to the browser.
+ *
+ * EMULATORS:
+ * Set VITE_FIRESTORE_EMULATOR_HOST (e.g. localhost:8080) and optionally
+ * VITE_AUTH_EMULATOR_URL (e.g. http://localhost:9099) to run against
+ * `firebase emulators:start` instead of the real project. Useful for
+ * testing real-time collaboration with two browser profiles.
  * 
  * SECURITY NOTE:
  * These API keys are safe to include in client-side code. Firebase uses
@@ -22,8 +28,8 @@
  */
 
 import { initializeApp } from 'firebase/app';
-import { getAuth, GoogleAuthProvider } from 'firebase/auth';
-import { getFirestore } from 'firebase/firestore';
+import { getAuth, GoogleAuthProvider, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
 
 // ==================== CONFIGURATION ====================
 // These values come from your Firebase Console → Project Settings → Your Apps
@@ -85,6 +91,20 @@ try {
   // Initialize Firestore
   // This is our cloud database for storing genealogy data
   db = getFirestore(app);
+
+  // Point at local emulators when configured (see EMULATORS above)
+  const firestoreEmulatorHost = import.meta.env.VITE_FIRESTORE_EMULATOR_HOST;
+  if (firestoreEmulatorHost) {
+    const [host, port] = firestoreEmulatorHost.split(':');
+    connectFirestoreEmulator(db, host, parseInt(port, 10) || 8080);
+    console.log('🧪 Using Firestore emulator at', firestoreEmulatorHost);
+  }
+
+  const authEmulatorUrl = import.meta.env.VITE_AUTH_EMULATOR_URL;
+  if (authEmulatorUrl) {
+    connectAuthEmulator(auth, authEmulatorUrl, { disableWarnings: true });
+    console.log('🧪 Using Auth emulator at', authEmulatorUrl);
+  }
   
   // Initialize Google Auth Provider
   // This configures how the Google sign-in popup works
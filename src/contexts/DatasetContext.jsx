@@ -17,10 +17,17 @@
  * - isLoading: True while loading datasets
  * - error: Error message if dataset operations fail
  * - switchDataset(id): Switch to a different dataset
- * - createDataset(name): Create a new dataset
+ * - createDataset(name, shareCode?): Create a new dataset, or join a shared one with a share code
+ * - shareDataset(id): Make a single-use share code for a shared dataset
  * - renameDataset(id, name): Rename a dataset
- * - deleteDataset(id): Delete a dataset
+ * - deleteDataset(id): Delete a dataset (leaving it, if it is shared)
  * - refreshDatasets(): Reload datasets from Firestore
+ * - calendar: The active dataset's custom calendar (null = Gregorian)
+ * - updateCalendar(calendar): Save a calendar definition on the active dataset
+ * - cadencySettings: The active dataset's cadency scheme settings (null = triangles)
+ * - updateCadencySettings(settings): Save cadency settings on the active dataset
+ * - marriageRules: The active dataset's marriage law (null = church, 4th degree)
+ * - updateMarriageRules(rules): Save the marriage law on the active dataset
  */
 
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
@@ -37,6 +44,14 @@ import {
   generateDatasetId,
   DEFAULT_DATASET_ID
 } from '../services/datasetService';
+import {
+  isSharedDataset,
+  openSharedDataset,
+  joinSharedDataset,
+  leaveSharedDataset,
+  createSharedDatasetInvite
+} from '../services/firestoreService';
+import { setActiveCalendar } from '../utils/calendarUtils';
 
 // Create the context
 const DatasetContext = createContext(null);
@@ -76,6 +91,7 @@ export function DatasetProvider({ children }) {
     if (!user?.uid) {
       setDatasets([]);
       setActiveDataset(null);
+      setActiveCalendar(null);
       setIsLoading(false);
       return;
     }
@@ -105,6 +121,7 @@ export function DatasetProvider({ children }) {
 
       if (active) {
         setActiveDataset(active);
+        setActiveCalendar(active.calendar);
         setActiveDatasetId(active.id);
       }
 
@@ -155,6 +172,7 @@ export function DatasetProvider({ children }) {
 
       // Update state
       setActiveDataset(dataset);
+      setActiveCalendar(dataset.calendar);
       setActiveDatasetId(datasetId);
 
       console.log('📂 Switched to dataset:', dataset.name);
@@ -169,9 +187,10 @@ export function DatasetProvider({ children }) {
   /**
    * Create a new dataset
    * @param {string} name - Display name for the new dataset
+   * @param {string} [shareCode] - Share code of a shared dataset to join instead of a new one
    * @returns {Promise<Object>} The created dataset
    */
-  const createDataset = useCallback(async (name) => {
+  const createDataset = useCallback(async (name, shareCode = null) => {
     if (!user?.uid) {
       throw new Error('Must be logged in to create datasets');
     }
@@ -179,7 +198,9 @@ export function DatasetProvider({ children }) {
     try {
       setError(null);
 
-      const datasetId = generateDatasetId();
+      const datasetId = shareCode
+        ? await joinSharedDataset(user.uid, shareCode)
+        : generateDatasetId();
       const newDataset = await createDatasetService(user.uid, {
         id: datasetId,
         name: name || 'New Dataset',
@@ -198,6 +219,31 @@ export function DatasetProvider({ children }) {
     }
   }, [user?.uid]);
 
+  /**
+   * Make a share code another account can join a dataset with
+   * @param {string} datasetId - A shared dataset the user belongs to
+   * @returns {Promise<string>} Single-use share code
+   */
+  const shareDataset = useCallback(async (datasetId) => {
+    if (!user?.uid) {
+      throw new Error('Must be logged in to share datasets');
+    }
+    if (!isSharedDataset(datasetId)) {
+      throw new Error('Only named datasets can be shared, and only while collaborative sync is on');
+    }
+
+    try {
+      setError(null);
+      // Claims the dataset first if it has not been opened since the flag went on
+      await openSharedDataset(user.uid, datasetId);
+      return await createSharedDatasetInvite(user.uid, datasetId);
+    } catch (err) {
+      console.error('❌ Error sharing dataset:', err);
+      setError(err.message);
+      throw err;
+    }
+  }, [user?.uid]);
+
   /**
    * Rename a dataset
    * @param {string} datasetId - The dataset ID
@@ -253,6 +299,10 @@ export function DatasetProvider({ children }) {
     try {
       setError(null);
 
+      // A shared dataset stays with its other members; this account just leaves
+      if (isSharedDataset(datasetId)) {
+        await leaveSharedDataset(user.uid, datasetId);
+      }
       await deleteDatasetService(user.uid, datasetId);
 
       // Update local state
@@ -266,6 +316,91 @@ export function DatasetProvider({ children }) {
     }
   }, [user?.uid, datasets, activeDataset]);
 
+  /**
+   * Save the active dataset's calendar
+   * Stored on the dataset metadata so every device uses the same calendar.
+   *
+   * @param {Object|null} calendar - Calendar definition, or null for Gregorian
+   */
+  const updateCalendar = useCallback(async (calendar) => {
+    if (!user?.uid || !activeDataset) {
+      throw new Error('Must be logged in to change the calendar');
+    }
+
+    try {
+      setError(null);
+      await updateDataset(user.uid, activeDataset.id, { calendar: calendar || null });
+
+      setActiveCalendar(calendar);
+      setActiveDataset(prev => ({ ...prev, calendar: calendar || null }));
+      setDatasets(prev =>
+        prev.map(d => (d.id === activeDataset.id ? { ...d, calendar: calendar || null } : d))
+      );
+
+      console.log('📅 Calendar updated for dataset:', activeDataset.id);
+    } catch (err) {
+      console.error('❌ Error updating calendar:', err);
+      setError(err.message);
+      throw err;
+    }
+  }, [user?.uid, activeDataset]);
+
+  /**
+   * Save the active dataset's cadency scheme
+   * Stored on the dataset metadata alongside the calendar.
+   *
+   * @param {Object|null} settings - Cadency settings, or null for the default triangles
+   */
+  const updateCadencySettings = useCallback(async (settings) => {
+    if (!user?.uid || !activeDataset) {
+      throw new Error('Must be logged in to change the cadency scheme');
+    }
+
+    try {
+      setError(null);
+      await updateDataset(user.uid, activeDataset.id, { cadency: settings || null });
+
+      setActiveDataset(prev => ({ ...prev, cadency: settings || null }));
+      setDatasets(prev =>
+        prev.map(d => (d.id === activeDataset.id ? { ...d, cadency: settings || null } : d))
+      );
+
+      console.log('🛡️ Cadency scheme updated for dataset:', activeDataset.id);
+    } catch (err) {
+      console.error('❌ Error updating cadency scheme:', err);
+      setError(err.message);
+      throw err;
+    }
+  }, [user?.uid, activeDataset]);
+
+  /**
+   * Save the active dataset's marriage law
+   * Stored on the dataset metadata alongside the calendar.
+   *
+   * @param {Object|null} rules - Marriage rules, or null for the default law
+   */
+  const updateMarriageRules = useCallback(async (rules) => {
+    if (!user?.uid || !activeDataset) {
+      throw new Error('Must be logged in to change the marriage law');
+    }
+
+    try {
+      setError(null);
+      await updateDataset(user.uid, activeDataset.id, { marriageRules: rules || null });
+
+      setActiveDataset(prev => ({ ...prev, marriageRules: rules || null }));
+      setDatasets(prev =>
+        prev.map(d => (d.id === activeDataset.id ? { ...d, marriageRules: rules || null } : d))
+      );
+
+      console.log('💍 Marriage law updated for dataset:', activeDataset.id);
+    } catch (err) {
+      console.error('❌ Error updating marriage law:', err);
+      setError(err.message);
+      throw err;
+    }
+  }, [user?.uid, activeDataset]);
+
   /**
    * Refresh datasets from Firestore
    */
@@ -293,10 +428,23 @@ export function DatasetProvider({ children }) {
     // Operations
     switchDataset,
     createDataset,
+    shareDataset,
     renameDataset,
     deleteDataset,
     refreshDatasets,
-    clearError
+    clearError,
+
+    // Calendar
+    calendar: activeDataset?.calendar || null,
+    updateCalendar,
+
+    // Cadency
+    cadencySettings: activeDataset?.cadency || null,
+    updateCadencySettings,
+
+    // Marriage law
+    marriageRules: activeDataset?.marriageRules || null,
+    updateMarriageRules
   };
 
   return (
@@ -27,9 +27,11 @@
  * - All mutations now sync to Firestore in the background
  * - Initial data load checks cloud for existing data
  * - Local-first approach: UI updates instantly, cloud syncs async
+ * - With COLLABORATIVE_SYNC enabled, Firestore listeners stream edits from
+ *   other devices into IndexedDB and this context reloads quietly
  */
 
-import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import {
   getAllPeople,
   getAllHouses,
@@ -72,9 +74,13 @@ import {
   syncDeleteRelationship,
   syncAddCodexEntry,
   syncDeleteCodexEntry,
-  getSyncStatus
+  getSyncStatus,
+  onSyncStatusChange
 } from '../services/dataSyncService';
 
+import { startRealtimeSync } from '../services/realtimeSyncService';
+import { isFeatureEnabled } from '../config/featureFlags';
+
 import { useAuth } from './AuthContext';
 import { useDataset } from './DatasetContext';
 
@@ -154,10 +160,12 @@ export function GenealogyProvider({ children }) {
 
   /**
    * Load all data from IndexedDB for the active dataset
+   * @param {Object} [options]
+   * @param {boolean} [options.silent] - Skip the loading state (live updates)
    */
-  const loadAllData = useCallback(async () => {
+  const loadAllData = useCallback(async ({ silent = false } = {}) => {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       setError(null);
 
       const datasetId = activeDataset?.id || 'default';
@@ -188,6 +196,29 @@ export function GenealogyProvider({ children }) {
     }
   }, [activeDataset]);
 
+  // ==================== MERGED CLOUD CHANGES ====================
+
+  // When the sync service merges someone else's edits into the local DB
+  // (or a conflict is resolved), reload so the UI shows the merged values.
+  const lastRemoteMergeRef = useRef(getSyncStatus().lastRemoteMerge);
+
+  useEffect(() => {
+    return onSyncStatusChange((status) => {
+      if (status.lastRemoteMerge !== lastRemoteMergeRef.current) {
+        lastRemoteMergeRef.current = status.lastRemoteMerge;
+        loadAllData({ silent: true });
+      }
+    });
+  }, [loadAllData]);
+
+  // 📡 Live collaboration: stream remote edits once the initial sync is done
+  useEffect(() => {
+    if (!user || !syncInitialized || !isFeatureEnabled('EXPERIMENTAL.COLLABORATIVE_SYNC')) {
+      return undefined;
+    }
+    return startRealtimeSync(user.uid, activeDataset?.id || 'default');
+  }, [user, syncInitialized, activeDataset]);
+
   // ==================== PERSON OPERATIONS ====================
 
   /**
@@ -0,0 +1,159 @@
+/**
+ * Cadency Schemes - Lineageweaver
+ *
+ * Defines the marks used to difference a son's arms from his father's,
+ * and the schemes that assign those marks by birth order. Each dataset
+ * picks one scheme (stored on the dataset, like its calendar).
+ *
+ * SCHEMES:
+ * - Triangles: Lineageweaver's original system, one small triangle per
+ *   birth position along the chief
+ * - English: the brisures of the English heralds - label, crescent,
+ *   mullet, martlet, annulet, fleur-de-lis, rose, cross moline,
+ *   double quatrefoil
+ * - Scottish: the heir apparent bears a label, younger sons a bordure,
+ *   varied first by tincture and then by the line of its edge
+ * - Custom: any mark from the catalogue for each birth position
+ *
+ * Illegitimate children are differenced separately (baton sinister,
+ * bend sinister or bordure compony), driven by legitimacyStatus.
+ *
+ * @module cadencySchemes
+ */
+
+// ==================== MARKS ====================
+
+/**
+ * Every mark the renderer can draw.
+ * kind: 'triangles' (count = birth position), 'brisure' (small charge in
+ * chief), 'label', 'bordure' or 'illegitimacy'.
+ */
+export const CADENCY_MARKS = {
+  triangles: { id: 'triangles', name: 'Triangles', kind: 'triangles', blazon: 'triangles' },
+
+  label: { id: 'label', name: 'Label', kind: 'label', blazon: 'a label of three points' },
+  crescent: { id: 'crescent', name: 'Crescent', kind: 'brisure', blazon: 'a crescent' },
+  mullet: { id: 'mullet', name: 'Mullet', kind: 'brisure', blazon: 'a mullet' },
+  martlet: { id: 'martlet', name: 'Martlet', kind: 'brisure', blazon: 'a martlet' },
+  annulet: { id: 'annulet', name: 'Annulet', kind: 'brisure', blazon: 'an annulet' },
+  fleurDeLis: { id: 'fleurDeLis', name: 'Fleur-de-lis', kind: 'brisure', blazon: 'a fleur-de-lis' },
+  rose: { id: 'rose', name: 'Rose', kind: 'brisure', blazon: 'a rose' },
+  crossMoline: { id: 'crossMoline', name: 'Cross Moline', kind: 'brisure', blazon: 'a cross moline' },
+  doubleQuatrefoil: { id: 'doubleQuatrefoil', name: 'Double Quatrefoil', kind: 'brisure', blazon: 'a double quatrefoil' },
+
+  bordure: { id: 'bordure', name: 'Bordure', kind: 'bordure', line: 'straight', blazon: 'a bordure' },
+  bordureInvected: { id: 'bordureInvected', name: 'Bordure Invected', kind: 'bordure', line: 'invected', blazon: 'a bordure invected' },
+  bordureEmbattled: { id: 'bordureEmbattled', name: 'Bordure Embattled', kind: 'bordure', line: 'embattled', blazon: 'a bordure embattled' },
+
+  batonSinister: { id: 'batonSinister', name: 'Baton Sinister', kind: 'illegitimacy', blazon: 'a baton sinister' },
+  bendSinister: { id: 'bendSinister', name: 'Bend Sinister', kind: 'illegitimacy', blazon: 'a bend sinister' },
+  bordureCompony: { id: 'bordureCompony', name: 'Bordure Compony', kind: 'illegitimacy', blazon: 'a bordure compony' }
+};
+
+/**
+ * Marks for differencing illegitimate children
+ */
+export const ILLEGITIMACY_MARKS = ['batonSinister', 'bendSinister', 'bordureCompony'];
+
+// ==================== SCHEMES ====================
+
+const ENGLISH_SEQUENCE = [
+  'label', 'crescent', 'mullet', 'martlet', 'annulet',
+  'fleurDeLis', 'rose', 'crossMoline', 'doubleQuatrefoil'
+];
+
+/**
+ * Each scheme maps a birth position (1 = eldest legitimate son) to a mark.
+ * bordureTinctures index selects which of the dataset's bordure tinctures to use.
+ */
+export const CADENCY_SCHEMES = {
+  triangles: {
+    id: 'triangles',
+    name: 'Triangles',
+    description: 'One small triangle in chief per birth position',
+    bastardMark: 'batonSinister',
+    markFor: (position) => (position <= 9 ? { mark: 'triangles', count: position } : null)
+  },
+  english: {
+    id: 'english',
+    name: 'English Brisures',
+    description: 'Label for the eldest son, then crescent, mullet, martlet, annulet, fleur-de-lis, rose, cross moline, double quatrefoil',
+    bastardMark: 'batonSinister',
+    markFor: (position) => (ENGLISH_SEQUENCE[position - 1] ? { mark: ENGLISH_SEQUENCE[position - 1] } : null)
+  },
+  scottish: {
+    id: 'scottish',
+    name: 'Scottish Bordures',
+    description: 'Label for the heir apparent; younger sons a bordure in a different tincture, then invected, then embattled',
+    bastardMark: 'bordureCompony',
+    markFor: (position, tinctureCount = 3) => {
+      if (position === 1) return { mark: 'label' };
+      const index = position - 2;
+      const lines = ['bordure', 'bordureInvected', 'bordureEmbattled'];
+      const line = lines[Math.floor(index / tinctureCount)];
+      return line ? { mark: line, tinctureIndex: index % tinctureCount } : null;
+    }
+  },
+  custom: {
+    id: 'custom',
+    name: 'Custom',
+    description: 'Choose a mark for each birth position',
+    bastardMark: 'batonSinister',
+    markFor: (position, tinctureCount, customMarks = []) => {
+      const mark = customMarks[position - 1];
+      if (!mark || !CADENCY_MARKS[mark]) return null;
+      if (mark === 'triangles') return position <= 9 ? { mark, count: position } : null;
+      return { mark };
+    }
+  }
+};
+
+// ==================== SETTINGS ====================
+
+/**
+ * Settings used when a dataset hasn't chosen a scheme
+ */
+export const DEFAULT_CADENCY_SETTINGS = {
+  scheme: 'triangles',
+  markTincture: 'sable',
+  bordureTinctures: ['gules', 'azure', 'or'],
+  bastardMark: null,          // null = the scheme's default
+  customMarks: [...ENGLISH_SEQUENCE]
+};
+
+/**
+ * Fill in any missing settings from the defaults
+ *
+ * @param {Object|null} settings - The dataset's stored cadency settings
+ * @returns {Object} Complete settings
+ */
+export function normalizeCadencySettings(settings) {
+  const merged = { ...DEFAULT_CADENCY_SETTINGS, ...(settings || {}) };
+  if (!CADENCY_SCHEMES[merged.scheme]) merged.scheme = DEFAULT_CADENCY_SETTINGS.scheme;
+  if (!merged.bordureTinctures?.length) merged.bordureTinctures = DEFAULT_CADENCY_SETTINGS.bordureTinctures;
+  return merged;
+}
+
+/**
+ * Get a mark definition by ID
+ */
+export function getCadencyMark(markId) {
+  return CADENCY_MARKS[markId] || null;
+}
+
+/**
+ * Get a scheme definition by ID
+ */
+export function getCadencyScheme(schemeId) {
+  return CADENCY_SCHEMES[schemeId] || null;
+}
+
+export default {
+  CADENCY_MARKS,
+  ILLEGITIMACY_MARKS,
+  CADENCY_SCHEMES,
+  DEFAULT_CADENCY_SETTINGS,
+  normalizeCadencySettings,
+  getCadencyMark,
+  getCadencyScheme
+};
@@ -509,6 +509,24 @@ export const ORDINARY_DIVISIONS = {
   }
 };
 
+// ==================== LINE STYLES ====================
+// How a partition line or the edge of an ordinary is drawn.
+// `blazon` is the term written after the division or ordinary;
+// `aliases` are other spellings found in older blazons.
+
+export const LINE_STYLES = {
+  straight: { name: 'Straight', description: 'Default straight line', blazon: '', aliases: [] },
+  wavy: { name: 'Wavy', description: 'Undulating waves', blazon: 'wavy', aliases: ['undy', 'undee', 'unde'] },
+  engrailed: { name: 'Engrailed', description: 'Scalloped outward', blazon: 'engrailed', aliases: [] },
+  invected: { name: 'Invected', description: 'Scalloped inward', blazon: 'invected', aliases: ['invecked'] },
+  embattled: { name: 'Embattled', description: 'Battlements/crenellated', blazon: 'embattled', aliases: ['crenellated', 'battled'] },
+  indented: { name: 'Indented', description: 'Zigzag teeth', blazon: 'indented', aliases: [] },
+  dancetty: { name: 'Dancetty', description: 'Large zigzag', blazon: 'dancetty', aliases: ['dancette', 'dancettee'] },
+  raguly: { name: 'Raguly', description: 'Broken branch stubs', blazon: 'raguly', aliases: [] },
+  dovetailed: { name: 'Dovetailed', description: 'Dovetail joints', blazon: 'dovetailed', aliases: [] },
+  nebuly: { name: 'Nebuly', description: 'Cloud-like curves', blazon: 'nebuly', aliases: ['nebulee', 'nebule'] }
+};
+
 // ==================== COMBINED EXPORTS ====================
 
 export const ALL_DIVISIONS = {
@@ -571,6 +589,7 @@ export default {
   PATTERN_DIVISIONS,
   ORDINARY_DIVISIONS,
   ALL_DIVISIONS,
+  LINE_STYLES,
   getDivision,
   getDivisionsByCategory,
   renderDivision,
@@ -0,0 +1,125 @@
+/**
+ * Marriage Laws - Lineageweaver
+ *
+ * Defines how closely two people may be related by blood and still
+ * marry. Each dataset picks a law (stored on the dataset, like its
+ * calendar and cadency scheme); the consanguinity calculator checks
+ * spouse relationships against it.
+ *
+ * RECKONING:
+ * - Canonical: the degree is the number of generations from the farther
+ *   of the two down from their nearest common ancestor. Siblings are in
+ *   the 1st degree, first cousins the 2nd, second cousins the 3rd.
+ * - Civil: the degree is the number of generations up from one person to
+ *   the common ancestor and down to the other. Siblings are in the 2nd
+ *   degree, uncle and niece the 3rd, first cousins the 4th.
+ *
+ * Marriage in the direct line (ancestor and descendant) is always
+ * prohibited, except under 'none'. Affinity (in-laws) is not reckoned.
+ *
+ * @module marriageLaws
+ */
+
+// ==================== RECKONINGS ====================
+
+export const DEGREE_RECKONINGS = {
+  canonical: {
+    id: 'canonical',
+    name: 'Canonical',
+    description: 'Generations from the farther person to the common ancestor'
+  },
+  civil: {
+    id: 'civil',
+    name: 'Civil',
+    description: 'Generations up to the common ancestor and down again'
+  }
+};
+
+// ==================== LAWS ====================
+
+export const MARRIAGE_LAWS = {
+  canon1215: {
+    id: 'canon1215',
+    name: 'Church, Fourth Degree',
+    description: 'Canonical reckoning within the 4th degree: third cousins and closer may not marry',
+    reckoning: 'canonical',
+    prohibitedDegree: 4
+  },
+  canonSeventh: {
+    id: 'canonSeventh',
+    name: 'Church, Seventh Degree',
+    description: 'The strict early rule: no marriage within the 7th canonical degree',
+    reckoning: 'canonical',
+    prohibitedDegree: 7
+  },
+  canonThird: {
+    id: 'canonThird',
+    name: 'Church, Third Degree',
+    description: 'Canonical reckoning within the 3rd degree: second cousins and closer may not marry',
+    reckoning: 'canonical',
+    prohibitedDegree: 3
+  },
+  civilFourth: {
+    id: 'civilFourth',
+    name: 'Civil, Fourth Degree',
+    description: 'Civil reckoning within the 4th degree: first cousins and closer may not marry',
+    reckoning: 'civil',
+    prohibitedDegree: 4
+  },
+  none: {
+    id: 'none',
+    name: 'No Restriction',
+    description: 'Any two people may marry, as among some royal houses',
+    reckoning: 'canonical',
+    prohibitedDegree: 0
+  },
+  custom: {
+    id: 'custom',
+    name: 'Custom',
+    description: 'Choose the reckoning and the prohibited degree',
+    reckoning: null,
+    prohibitedDegree: null
+  }
+};
+
+export const DEFAULT_MARRIAGE_RULES = {
+  law: 'canon1215',
+  reckoning: 'canonical',     // Only used by the custom law
+  prohibitedDegree: 4         // Only used by the custom law
+};
+
+/**
+ * Fill in any missing rules from the defaults, and resolve the law's
+ * reckoning and degree
+ *
+ * @param {Object|null} rules - The dataset's stored marriage rules
+ * @returns {Object} { law, reckoning, prohibitedDegree }
+ */
+export function normalizeMarriageRules(rules) {
+  const merged = { ...DEFAULT_MARRIAGE_RULES, ...(rules || {}) };
+  const law = MARRIAGE_LAWS[merged.law] || MARRIAGE_LAWS[DEFAULT_MARRIAGE_RULES.law];
+  merged.law = law.id;
+
+  if (law.id !== 'custom') {
+    merged.reckoning = law.reckoning;
+    merged.prohibitedDegree = law.prohibitedDegree;
+  }
+  if (!DEGREE_RECKONINGS[merged.reckoning]) merged.reckoning = DEFAULT_MARRIAGE_RULES.reckoning;
+  merged.prohibitedDegree = Math.max(0, parseInt(merged.prohibitedDegree, 10) || 0);
+  return merged;
+}
+
+/**
+ * Get a law definition by ID
+ */
+export function getMarriageLaw(lawId) {
+  return MARRIAGE_LAWS[lawId] || null;
+}
+
+export default {
+  DEGREE_RECKONINGS,
+  MARRIAGE_LAWS,
+  DEFAULT_MARRIAGE_RULES,
+  normalizeMarriageRules,
+  getMarriageLaw
+};
@@ -0,0 +1,211 @@
+/**
+ * Succession Criteria - Lineageweaver
+ *
+ * The building blocks of a custom succession law. A custom law is
+ * stored on the dignity (successionRules.custom) as:
+ * - pool: who is considered at all (the holder's kin, their house, or everyone)
+ * - order: how the pool is ranked before any preferences apply
+ * - criteria: an ordered list of { effect, field, value }
+ *
+ * EFFECTS:
+ * - require: candidates who fail are excluded
+ * - exclude: candidates who match are excluded
+ * - prefer: candidates who match go first; earlier preferences outrank
+ *   later ones, and all of them outrank the base order
+ *
+ * The engine that applies the criteria is utils/customSuccession.js.
+ *
+ * @module successionCriteria
+ */
+
+// ==================== EFFECTS ====================
+
+export const CRITERION_EFFECTS = {
+  require: {
+    id: 'require',
+    name: 'Must',
+    description: 'Anyone who does not meet this is excluded'
+  },
+  exclude: {
+    id: 'exclude',
+    name: 'Must not',
+    description: 'Anyone who meets this is excluded'
+  },
+  prefer: {
+    id: 'prefer',
+    name: 'Prefer',
+    description: 'Those who meet this go first, in the order the preferences are listed'
+  }
+};
+
+// ==================== FIELDS ====================
+
+/**
+ * valueType drives the value input in the rule builder:
+ * - house / role / gender / legitimacy: a select
+ * - text: free text, matched without regard to case (placeholder suggests values)
+ * - number: a whole number
+ * - none: no value
+ *
+ * must completes "Must ..." and "Must not ...", who completes
+ * "Prefer those who ..."; {value} is replaced by the criterion's value
+ */
+export const CRITERION_FIELDS = {
+  house: {
+    id: 'house',
+    name: 'House',
+    valueType: 'house',
+    must: 'belong to {value}',
+    who: 'belong to {value}'
+  },
+  gender: {
+    id: 'gender',
+    name: 'Gender',
+    valueType: 'gender',
+    must: 'be {value}',
+    who: 'are {value}'
+  },
+  legitimacy: {
+    id: 'legitimacy',
+    name: 'Legitimacy',
+    valueType: 'legitimacy',
+    must: 'be {value}',
+    who: 'are {value}'
+  },
+  species: {
+    id: 'species',
+    name: 'Species',
+    valueType: 'text',
+    must: 'be of the {value} species',
+    who: 'are of the {value} species',
+    placeholder: 'e.g., Human, Elf'
+  },
+  magicalBloodline: {
+    id: 'magicalBloodline',
+    name: 'Magical Bloodline',
+    valueType: 'text',
+    must: 'carry the {value} bloodline',
+    who: 'carry the {value} bloodline',
+    placeholder: 'e.g., Dragon Rider'
+  },
+  religion: {
+    id: 'religion',
+    name: 'Faith',
+    valueType: 'text',
+    must: 'follow {value}',
+    who: 'follow {value}',
+    placeholder: 'e.g., The Seven, The Old Gods'
+  },
+  minAge: {
+    id: 'minAge',
+    name: 'Minimum Age',
+    valueType: 'number',
+    must: 'be at least {value} years old',
+    who: 'are at least {value} years old'
+  },
+  maxAge: {
+    id: 'maxAge',
+    name: 'Maximum Age',
+    valueType: 'number',
+    must: 'be no older than {value}',
+    who: 'are no older than {value}'
+  },
+  householdRole: {
+    id: 'householdRole',
+    name: 'Household Role',
+    valueType: 'role',
+    must: 'hold the office of {value}',
+    who: 'hold the office of {value}'
+  },
+  descendant: {
+    id: 'descendant',
+    name: 'Descent',
+    valueType: 'none',
+    must: 'descend from the holder',
+    who: 'descend from the holder'
+  }
+};
+
+export const GENDER_VALUES = {
+  male: 'Male',
+  female: 'Female'
+};
+
+export const LEGITIMACY_VALUES = {
+  legitimate: 'Legitimate',
+  bastard: 'Bastard',
+  adopted: 'Adopted',
+  commoner: 'Commoner'
+};
+
+// ==================== POOL & ORDER ====================
+
+export const CANDIDATE_POOLS = {
+  kin: {
+    id: 'kin',
+    name: 'Kin of the Holder',
+    description: 'Descendants, siblings, uncles and aunts, and their lines'
+  },
+  house: {
+    id: 'house',
+    name: 'Members of the House',
+    description: "Everyone in the holder's house and its cadet houses"
+  },
+  everyone: {
+    id: 'everyone',
+    name: 'Everyone',
+    description: 'Every living person - for offices open to all who qualify'
+  }
+};
+
+export const BASE_ORDERS = {
+  primogeniture: {
+    id: 'primogeniture',
+    name: 'Primogeniture',
+    description: 'Nearest line first, eldest first within it'
+  },
+  seniority: {
+    id: 'seniority',
+    name: 'Seniority',
+    description: 'Eldest first, however related'
+  },
+  ultimogeniture: {
+    id: 'ultimogeniture',
+    name: 'Ultimogeniture',
+    description: 'Nearest line first, youngest first within it'
+  }
+};
+
+export const DEFAULT_CUSTOM_SUCCESSION = {
+  pool: 'kin',
+  order: 'primogeniture',
+  criteria: []
+};
+
+/**
+ * Fill in a stored custom law from the defaults and drop criteria the
+ * engine does not know
+ *
+ * @param {Object|null} custom - successionRules.custom
+ * @returns {Object} { pool, order, criteria }
+ */
+export function normalizeCustomSuccession(custom) {
+  const merged = { ...DEFAULT_CUSTOM_SUCCESSION, ...(custom || {}) };
+  if (!CANDIDATE_POOLS[merged.pool]) merged.pool = DEFAULT_CUSTOM_SUCCESSION.pool;
+  if (!BASE_ORDERS[merged.order]) merged.order = DEFAULT_CUSTOM_SUCCESSION.order;
+  merged.criteria = (Array.isArray(merged.criteria) ? merged.criteria : [])
+    .filter(c => CRITERION_EFFECTS[c?.effect] && CRITERION_FIELDS[c?.field])
+    .map(c => ({ effect: c.effect, field: c.field, value: c.value ?? '' }));
+  return merged;
+}
+
+export default {
+  CRITERION_EFFECTS,
+  CRITERION_FIELDS,
+  GENDER_VALUES,
+  LEGITIMACY_VALUES,
+  CANDIDATE_POOLS,
+  BASE_ORDERS,
+  DEFAULT_CUSTOM_SUCCESSION,
+  normalizeCustomSuccession
+};
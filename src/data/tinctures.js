@@ -300,10 +300,15 @@ export function getTinctureColor(id) {
 /**
  * Check if two tinctures violate the rule of tincture
  * Returns true if there's a violation
+ *
+ * @param {string} tincture1Id
+ * @param {string} tincture2Id
+ * @param {Object} [library] - Tinctures by ID with a type; defaults to this
+ *   file's tinctures (the Heraldry Creator passes its own palette)
  */
-export function checkRuleOfTincture(tincture1Id, tincture2Id) {
-  const t1 = getTincture(tincture1Id);
-  const t2 = getTincture(tincture2Id);
+export function checkRuleOfTincture(tincture1Id, tincture2Id, library = ALL_TINCTURES) {
+  const t1 = library[tincture1Id] || null;
+  const t2 = library[tincture2Id] || null;
   
   if (!t1 || !t2) return false;
   
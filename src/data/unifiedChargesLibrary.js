@@ -2474,6 +2474,74 @@ export const CHARGES = {
   }
 };
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// CUSTOM CHARGES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Charges uploaded to the active dataset (customCharges table), keyed
+ * 'custom-<record id>'. The helpers below treat them like bundled charges;
+ * their SVG is served from a data: URL so the renderers fetch it the same way.
+ */
+export const CUSTOM_CHARGE_PREFIX = 'custom-';
+
+let customCharges = {};
+
+/**
+ * Charge ID for a customCharges record
+ * @param {number} recordId - The customCharges record id
+ * @returns {string}
+ */
+export function customChargeId(recordId) {
+  return `${CUSTOM_CHARGE_PREFIX}${recordId}`;
+}
+
+/**
+ * Check if a charge ID refers to an uploaded charge
+ * @param {string} chargeId
+ * @returns {boolean}
+ */
+export function isCustomCharge(chargeId) {
+  return typeof chargeId === 'string' && chargeId.startsWith(CUSTOM_CHARGE_PREFIX);
+}
+
+/**
+ * Replace the registered uploads with the active dataset's records
+ * @param {Array} records - customCharges records
+ * @returns {Object} The registered charges as { chargeId: chargeObject }
+ */
+export function setCustomCharges(records = []) {
+  customCharges = Object.fromEntries(records.map(record => [
+    customChargeId(record.id),
+    {
+      name: record.name,
+      category: record.category,
+      blazonTerm: record.blazonTerm,
+      description: record.description || '',
+      keywords: record.tags || [],
+      custom: true,
+      recordId: record.id,
+      url: `data:image/svg+xml;charset=utf-8,${encodeURIComponent(record.svg)}`
+    }
+  ]));
+  return customCharges;
+}
+
+/**
+ * Get the registered uploads
+ * @returns {Object} { chargeId: chargeObject }
+ */
+export function getCustomCharges() {
+  return customCharges;
+}
+
+/**
+ * Bundled and uploaded charges together
+ */
+function getAllCharges() {
+  return { ...CHARGES, ...customCharges };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // HELPER FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -2484,7 +2552,7 @@ export const CHARGES = {
  * @returns {Object|null} The charge object or null if not found
  */
 export function getCharge(chargeId) {
-  return CHARGES[chargeId] || null;
+  return CHARGES[chargeId] || customCharges[chargeId] || null;
 }
 
 /**
@@ -2494,7 +2562,7 @@ export function getCharge(chargeId) {
  */
 export function getChargesByCategory(categoryId) {
   return Object.fromEntries(
-    Object.entries(CHARGES).filter(
+    Object.entries(getAllCharges()).filter(
       ([_, charge]) => charge.category === categoryId
     )
   );
@@ -2508,7 +2576,7 @@ export function getChargesByCategory(categoryId) {
 export function searchCharges(query) {
   const lowerQuery = query.toLowerCase();
   return Object.fromEntries(
-    Object.entries(CHARGES).filter(([_, charge]) => {
+    Object.entries(getAllCharges()).filter(([_, charge]) => {
       return (
         charge.name.toLowerCase().includes(lowerQuery) ||
         charge.blazonTerm.toLowerCase().includes(lowerQuery) ||
@@ -2522,9 +2590,12 @@ export function searchCharges(query) {
 /**
  * Get the URL path for a charge's SVG file
  * @param {string} chargeId - The charge identifier
+ * @param {Object} [uploads] - Uploaded charges as { chargeId: chargeObject }
+ *   (default: the registered uploads)
  * @returns {string|null} The URL path or null if not found
  */
-export function getChargeUrl(chargeId) {
+export function getChargeUrl(chargeId, uploads = customCharges) {
+  if (uploads[chargeId]) return uploads[chargeId].url;
   const charge = CHARGES[chargeId];
   if (!charge) return null;
   return `/heraldic-charges/${charge.filename}`;
@@ -2538,7 +2609,7 @@ export function getChargeUrl(chargeId) {
  * @returns {string} The blazon text
  */
 export function generateChargeBlazon(chargeId, tincture, count = 1) {
-  const charge = CHARGES[chargeId];
+  const charge = getCharge(chargeId);
   if (!charge) return '';
   
   const term = charge.blazonTerm;
@@ -2578,8 +2649,9 @@ export function getChargeCategories() {
  */
 export function getChargeCounts() {
   const counts = {};
+  const charges = Object.values(getAllCharges());
   for (const catId of Object.keys(CHARGE_CATEGORIES)) {
-    counts[catId] = Object.values(CHARGES).filter(
+    counts[catId] = charges.filter(
       c => c.category === catId
     ).length;
   }
@@ -2587,7 +2659,7 @@ export function getChargeCounts() {
 }
 
 /**
- * Total number of charges in the library
+ * Total number of bundled charges in the library
  */
 export const CHARGES_TOTAL = Object.keys(CHARGES).length;
 
@@ -2596,7 +2668,7 @@ export const CHARGES_TOTAL = Object.keys(CHARGES).length;
  * @returns {Array} Array of { id, ...chargeData }
  */
 export function getAllChargesAsArray() {
-  return Object.entries(CHARGES).map(([id, data]) => ({ id, ...data }));
+  return Object.entries(getAllCharges()).map(([id, data]) => ({ id, ...data }));
 }
 
 /**
@@ -2605,5 +2677,5 @@ export function getAllChargesAsArray() {
  * @returns {boolean}
  */
 export function chargeExists(chargeId) {
-  return chargeId in CHARGES;
+  return chargeId in CHARGES || chargeId in customCharges;
 }
\ No newline at end of file
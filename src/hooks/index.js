@@ -5,3 +5,5 @@
  */
 export { default as useFormState, validationRules, validate } from './useFormState';
 export { default as useDignityAnalysis } from './useDignityAnalysis';
+export { default as usePresence } from './usePresence';
+export { default as useCustomCharges } from './useCustomCharges';
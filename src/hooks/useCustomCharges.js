@@ -0,0 +1,90 @@
+/**
+ * useCustomCharges - React hook for the dataset's uploaded charges
+ *
+ * Loads the active dataset's customCharges records and registers them with
+ * unifiedChargesLibrary, so getCharge(), getChargesByCategory() and the
+ * charge renderers treat them like bundled charges.
+ *
+ * Provides:
+ * - customCharges: registered charges as { chargeId: chargeObject }
+ * - Actions (uploadCharge, updateCharge, deleteCharge, reload)
+ *
+ * @module useCustomCharges
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useDataset } from '../contexts/DatasetContext';
+import {
+  createCustomCharge,
+  getAllCustomCharges,
+  updateCustomCharge,
+  deleteCustomCharge
+} from '../services/customChargeService';
+import { setCustomCharges, getCustomCharges, customChargeId } from '../data/unifiedChargesLibrary';
+
+/**
+ * Custom hook for uploaded charges
+ *
+ * @returns {Object} Charges, loading state and actions
+ */
+export function useCustomCharges() {
+  const { activeDataset } = useDataset();
+  const datasetId = activeDataset?.id;
+
+  const [customCharges, setCustomChargesState] = useState(() => getCustomCharges());
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // ==================== LOAD ====================
+
+  const reload = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const records = await getAllCustomCharges(datasetId);
+      setCustomChargesState(setCustomCharges(records));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [datasetId]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // ==================== ACTIONS ====================
+
+  /**
+   * Upload a charge from SVG text
+   * @returns {Promise<{ id: number, chargeId: string, warnings: string[] }>}
+   */
+  const uploadCharge = useCallback(async (svgText, chargeData) => {
+    const { id, warnings } = await createCustomCharge(svgText, chargeData, datasetId);
+    await reload();
+    return { id, chargeId: customChargeId(id), warnings };
+  }, [datasetId, reload]);
+
+  const updateCharge = useCallback(async (recordId, updates) => {
+    await updateCustomCharge(recordId, updates, datasetId);
+    await reload();
+  }, [datasetId, reload]);
+
+  const deleteCharge = useCallback(async (recordId) => {
+    await deleteCustomCharge(recordId, datasetId);
+    await reload();
+  }, [datasetId, reload]);
+
+  return {
+    customCharges,
+    loading,
+    error,
+    reload,
+    uploadCharge,
+    updateCharge,
+    deleteCharge
+  };
+}
+
+export default useCustomCharges;
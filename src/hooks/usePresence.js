@@ -0,0 +1,42 @@
+/**
+ * usePresence - Who else is viewing this entity?
+ *
+ * Announces the current user as a viewer of an entity and returns the other
+ * sessions viewing it. Does nothing unless the user is signed in and the
+ * COLLABORATIVE_SYNC feature flag is enabled.
+ */
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useDataset } from '../contexts/DatasetContext';
+import { announcePresence, watchPresence } from '../services/realtimeSyncService';
+import { isFeatureEnabled } from '../config/featureFlags';
+
+/**
+ * @param {string} entityType - 'person' | 'codexEntry'
+ * @param {number|string|null} entityId - Entity being viewed (null to disable)
+ * @returns {Array} Other viewers [{ id, uid, displayName, photoURL }]
+ */
+export function usePresence(entityType, entityId) {
+  const { user } = useAuth();
+  const { activeDataset } = useDataset();
+  const [viewers, setViewers] = useState([]);
+
+  const datasetId = activeDataset?.id || 'default';
+  const enabled = Boolean(user) && entityId != null && isFeatureEnabled('EXPERIMENTAL.COLLABORATIVE_SYNC');
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const leave = announcePresence(user.uid, datasetId, user, entityType, entityId);
+    const unwatch = watchPresence(user.uid, datasetId, entityType, entityId, setViewers);
+
+    return () => {
+      unwatch();
+      leave();
+    };
+  }, [enabled, user, datasetId, entityType, entityId]);
+
+  return enabled ? viewers : [];
+}
+
+export default usePresence;
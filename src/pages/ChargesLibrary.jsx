@@ -3,13 +3,16 @@ import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   CHARGE_CATEGORIES,
-  CHARGES,
+  getAllChargesAsArray,
+  getCharge,
   getChargesByCategory,
   getChargeCounts,
   CHARGES_TOTAL
 } from '../data/unifiedChargesLibrary';
 import { getTincturesByType, getTinctureColor } from '../data/tinctures';
 import ExternalChargeRenderer from '../components/heraldry/ExternalChargeRenderer';
+import CustomChargeForm from '../components/heraldry/CustomChargeForm';
+import useCustomCharges from '../hooks/useCustomCharges';
 import Navigation from '../components/Navigation';
 import Icon from '../components/icons/Icon';
 import ActionButton from '../components/shared/ActionButton';
@@ -21,6 +24,10 @@ import './ChargesLibrary.css';
  * Browseable library of all heraldic charges (symbols).
  * Users can explore charges by category, search, and preview with different tinctures.
  *
+ * CUSTOM CHARGES: Users can upload their own monochrome SVGs to the active
+ * dataset, then categorize, tag and delete them here. They appear under
+ * their category and under "Uploaded".
+ *
  * PERFORMANCE: Uses intersection observer for lazy loading charge previews.
  * Only charges visible in the viewport are rendered.
  */
@@ -68,6 +75,9 @@ const CATEGORY_ICONS = {
   human: 'user'
 };
 
+// Filter showing only the dataset's uploaded charges
+const UPLOADED_FILTER = 'uploaded';
+
 // Lazy loading charge card
 function LazyChargeCard({ charge, isSelected, onClick, categoryIcon }) {
   const [isVisible, setIsVisible] = useState(false);
@@ -129,18 +139,31 @@ function ChargesLibrary() {
   // State
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
-  const [selectedCharge, setSelectedCharge] = useState(null);
+  const [selectedChargeId, setSelectedChargeId] = useState(null);
   const [previewTincture, setPreviewTincture] = useState('sable');
+  const [formMode, setFormMode] = useState(null); // 'upload' | 'edit' | null
+
+  const { customCharges, uploadCharge, updateCharge, deleteCharge } = useCustomCharges();
+  const uploadedCount = Object.keys(customCharges).length;
 
-  // Get charge counts
-  const chargeCounts = useMemo(() => getChargeCounts(), []);
+  // Uploads are read from the hook's state so edits to them show at once
+  const selectedCharge = useMemo(() => {
+    const charge = selectedChargeId && (customCharges[selectedChargeId] || getCharge(selectedChargeId));
+    return charge ? { id: selectedChargeId, ...charge } : null;
+  }, [selectedChargeId, customCharges]);
+
+  // Get charge counts (uploads are counted under their category); cheap
+  // enough to recount each render, which keeps them current after an upload
+  const chargeCounts = getChargeCounts();
 
   // Filter charges
   const filteredCharges = useMemo(() => {
     let charges;
 
     if (selectedCategory === 'all') {
-      charges = Object.entries(CHARGES).map(([id, charge]) => ({
+      charges = getAllChargesAsArray();
+    } else if (selectedCategory === UPLOADED_FILTER) {
+      charges = Object.entries(customCharges).map(([id, charge]) => ({
         id,
         ...charge
       }));
@@ -163,7 +186,7 @@ function ChargesLibrary() {
     }
 
     return charges;
-  }, [selectedCategory, searchTerm]);
+  }, [selectedCategory, searchTerm, customCharges]);
 
   // Tinctures for preview
   const allTinctures = useMemo(() => {
@@ -173,9 +196,33 @@ function ChargesLibrary() {
 
   // Handlers
   const handleChargeClick = useCallback((charge) => {
-    setSelectedCharge(charge);
+    setSelectedChargeId(charge.id);
+    setFormMode(null);
   }, []);
 
+  const handleFormSubmit = useCallback(async (details, svgText) => {
+    if (formMode === 'edit') {
+      await updateCharge(selectedCharge.recordId, details);
+    } else {
+      const { chargeId } = await uploadCharge(svgText, details);
+      setSelectedChargeId(chargeId);
+      setSelectedCategory(UPLOADED_FILTER);
+    }
+    setFormMode(null);
+  }, [formMode, selectedCharge, updateCharge, uploadCharge]);
+
+  const handleDeleteCharge = useCallback(async () => {
+    if (!window.confirm(
+      `Delete "${selectedCharge.name}"? Saved arms keep their drawing, but can no longer be edited with this charge.`
+    )) return;
+    try {
+      await deleteCharge(selectedCharge.recordId);
+      setSelectedChargeId(null);
+    } catch (err) {
+      alert(`Could not delete the charge: ${err.message}`);
+    }
+  }, [selectedCharge, deleteCharge]);
+
   const handleUseInCreator = useCallback(() => {
     navigate('/heraldry/create');
   }, [navigate]);
@@ -202,7 +249,7 @@ function ChargesLibrary() {
               <span className="charges-hero__initial">C</span>harges Library
             </h1>
             <p className="charges-hero__subtitle">
-              {CHARGES_TOTAL} Symbols and Emblems of Heraldry
+              {CHARGES_TOTAL + uploadedCount} Symbols and Emblems of Heraldry
             </p>
             <div className="charges-hero__divider">
               <Icon name="shield" size={20} className="charges-hero__divider-icon" />
@@ -237,7 +284,7 @@ function ChargesLibrary() {
               >
                 <Icon name="grid-3x3" size={14} />
                 <span>All</span>
-                <span className="charges-filters__count">{CHARGES_TOTAL}</span>
+                <span className="charges-filters__count">{CHARGES_TOTAL + uploadedCount}</span>
               </button>
 
               {Object.entries(CHARGE_CATEGORIES).map(([key, cat]) => (
@@ -252,6 +299,22 @@ function ChargesLibrary() {
                   <span className="charges-filters__count">{chargeCounts[key] || 0}</span>
                 </button>
               ))}
+
+              <button
+                className={`charges-filters__btn ${selectedCategory === UPLOADED_FILTER ? 'charges-filters__btn--active' : ''}`}
+                onClick={() => setSelectedCategory(UPLOADED_FILTER)}
+                title="Charges uploaded to this dataset"
+              >
+                <Icon name="upload" size={14} />
+                <span>Uploaded</span>
+                <span className="charges-filters__count">{uploadedCount}</span>
+              </button>
+            </div>
+
+            <div className="charges-controls__actions">
+              <ActionButton icon="upload" onClick={() => setFormMode('upload')}>
+                Upload Charge
+              </ActionButton>
             </div>
           </motion.div>
 
@@ -264,7 +327,8 @@ function ChargesLibrary() {
                 <span>
                   {filteredCharges.length} charge{filteredCharges.length !== 1 ? 's' : ''} found
                   {searchTerm && ` for "${searchTerm}"`}
-                  {selectedCategory !== 'all' && ` in ${CHARGE_CATEGORIES[selectedCategory]?.name}`}
+                  {selectedCategory === UPLOADED_FILTER && ' uploaded to this dataset'}
+                  {CHARGE_CATEGORIES[selectedCategory] && ` in ${CHARGE_CATEGORIES[selectedCategory].name}`}
                 </span>
               </p>
 
@@ -301,7 +365,21 @@ function ChargesLibrary() {
             {/* Detail Panel */}
             <motion.aside className="charges-detail" variants={ITEM_VARIANTS}>
               <AnimatePresence mode="wait">
-                {selectedCharge ? (
+                {formMode ? (
+                  <motion.div
+                    key={`form-${formMode}`}
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: -10 }}
+                    className="charges-detail__content"
+                  >
+                    <CustomChargeForm
+                      charge={formMode === 'edit' ? selectedCharge : null}
+                      onSubmit={handleFormSubmit}
+                      onCancel={() => setFormMode(null)}
+                    />
+                  </motion.div>
+                ) : selectedCharge ? (
                   <motion.div
                     key={selectedCharge.id}
                     initial={{ opacity: 0, y: 10 }}
@@ -327,6 +405,12 @@ function ChargesLibrary() {
                         <Icon name={CATEGORY_ICONS[selectedCharge.category] || 'circle'} size={14} />
                         <span>{CHARGE_CATEGORIES[selectedCharge.category]?.name}</span>
                       </span>
+                      {selectedCharge.custom && (
+                        <span className="charges-detail__category">
+                          <Icon name="upload" size={14} />
+                          <span>Uploaded</span>
+                        </span>
+                      )}
                     </div>
 
                     <p className="charges-detail__description">{selectedCharge.description}</p>
@@ -374,6 +458,16 @@ function ChargesLibrary() {
                       >
                         Use in Creator
                       </ActionButton>
+                      {selectedCharge.custom && (
+                        <div className="charges-detail__custom-actions">
+                          <ActionButton icon="file-edit" size="sm" onClick={() => setFormMode('edit')}>
+                            Edit
+                          </ActionButton>
+                          <ActionButton icon="trash-2" size="sm" variant="danger" onClick={handleDeleteCharge}>
+                            Delete
+                          </ActionButton>
+                        </div>
+                      )}
                     </div>
                   </motion.div>
                 ) : (
@@ -4,16 +4,29 @@
  * Handles creation and editing of codex entries.
  * Supports all 6 entry types with custom templates.
  * Features medieval manuscript aesthetic with animations.
+ *
+ * WIKI LINKS:
+ * Typing [[ suggests existing entry titles. The editor shows [[Title]] links;
+ * on save they are stored by entry id ([[Title|#42]]) so renames can't break
+ * them. Renaming an entry offers to update link text in entries that cite it.
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate, useSearchParams, useParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   createEntry,
   updateEntry,
-  getEntry
+  getEntry,
+  getAllEntries
 } from '../services/codexService';
+import {
+  getWikiLinkQuery,
+  rankSuggestions,
+  expandWikiLinksForEditing,
+  resolveWikiLinksToIds,
+  rewriteLinksForRename
+} from '../utils/wikiLinkParser';
 import { updateHeraldry } from '../services/heraldryService';
 import { syncAddCodexEntry, syncUpdateCodexEntry, syncUpdateHeraldry } from '../services/dataSyncService';
 import { useDataset } from '../contexts/DatasetContext';
@@ -44,6 +57,9 @@ const ITEM_VARIANTS = {
   }
 };
 
+// Maximum titles shown in the [[ autocomplete list
+const SUGGESTION_LIMIT = 8;
+
 const TYPE_ICONS = {
   personage: 'users',
   house: 'castle',
@@ -68,16 +84,19 @@ function CodexEntryForm() {
   const heraldryIdParam = searchParams.get('heraldryId');
   const titleParam = searchParams.get('title');
 
-  // Form state
-  const [formData, setFormData] = useState({
-    type: initialType,
-    title: titleParam || '',
-    subtitle: '',
-    content: '',
-    tags: [],
-    era: '',
-    category: '',
-    heraldryId: heraldryIdParam ? parseInt(heraldryIdParam) : null
+  // Form state - a new entry starts from its type's template
+  const [formData, setFormData] = useState(() => {
+    const template = isEditing ? null : ENTRY_TEMPLATES[initialType];
+    return {
+      type: initialType,
+      title: titleParam || '',
+      subtitle: '',
+      content: template?.content || '',
+      tags: [],
+      era: '',
+      category: template?.defaultCategory || '',
+      heraldryId: heraldryIdParam ? parseInt(heraldryIdParam) : null
+    };
   });
 
   const [tagInput, setTagInput] = useState('');
@@ -85,42 +104,68 @@ function CodexEntryForm() {
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
 
-  // Load existing entry if editing
+  // Wiki-link autocomplete
+  const contentRef = useRef(null);
+  const [allEntries, setAllEntries] = useState([]);
+  const [originalTitle, setOriginalTitle] = useState('');
+  const [suggestions, setSuggestions] = useState(null); // { start, items, index }
+
+  // Load existing entry if editing, and the titles wiki-links can point to
   useEffect(() => {
+    let cancelled = false;
+    const datasetId = activeDataset?.id;
+
+    async function loadAllEntries() {
+      try {
+        return await getAllEntries(datasetId);
+      } catch (err) {
+        console.error('Error loading entries for wiki-links:', err);
+        return [];
+      }
+    }
+
+    async function loadEntry() {
+      try {
+        const [entry, entries] = await Promise.all([
+          getEntry(parseInt(id), datasetId),
+          loadAllEntries()
+        ]);
+        if (cancelled) return;
+        setAllEntries(entries);
+        if (entry) {
+          setOriginalTitle(entry.title);
+          setFormData({
+            type: entry.type,
+            title: entry.title,
+            subtitle: entry.subtitle || '',
+            content: expandWikiLinksForEditing(entry.content, entries),
+            tags: entry.tags || [],
+            era: entry.era || '',
+            category: entry.category || '',
+            heraldryId: entry.heraldryId || null
+          });
+        } else {
+          setError('Entry not found');
+        }
+        setLoading(false);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Error loading entry:', err);
+        setError('Failed to load entry');
+        setLoading(false);
+      }
+    }
+
     if (isEditing) {
       loadEntry();
     } else {
-      applyTemplate(initialType);
+      loadAllEntries().then(entries => {
+        if (!cancelled) setAllEntries(entries);
+      });
     }
+    return () => { cancelled = true; };
   }, [id, isEditing, activeDataset]);
 
-  async function loadEntry() {
-    try {
-      setLoading(true);
-      const datasetId = activeDataset?.id;
-      const entry = await getEntry(parseInt(id), datasetId);
-      if (entry) {
-        setFormData({
-          type: entry.type,
-          title: entry.title,
-          subtitle: entry.subtitle || '',
-          content: entry.content,
-          tags: entry.tags || [],
-          era: entry.era || '',
-          category: entry.category || '',
-          heraldryId: entry.heraldryId || null
-        });
-      } else {
-        setError('Entry not found');
-      }
-      setLoading(false);
-    } catch (err) {
-      console.error('Error loading entry:', err);
-      setError('Failed to load entry');
-      setLoading(false);
-    }
-  }
-
   function applyTemplate(type) {
     const template = ENTRY_TEMPLATES[type];
     if (template) {
@@ -169,6 +214,96 @@ function CodexEntryForm() {
     }));
   }
 
+  // ==================== WIKI-LINK AUTOCOMPLETE ====================
+
+  function updateSuggestions(text, caret) {
+    const linkQuery = getWikiLinkQuery(text, caret);
+    if (!linkQuery) {
+      setSuggestions(null);
+      return;
+    }
+
+    const items = rankSuggestions(allEntries, linkQuery.query, SUGGESTION_LIMIT, isEditing ? parseInt(id) : null);
+    setSuggestions(items.length > 0 ? { start: linkQuery.start, items, index: 0 } : null);
+  }
+
+  function handleContentChange(e) {
+    handleInputChange('content', e.target.value);
+    updateSuggestions(e.target.value, e.target.selectionStart);
+  }
+
+  function insertWikiLink(entry) {
+    const textarea = contentRef.current;
+    const caret = textarea ? textarea.selectionStart : formData.content.length;
+    const before = formData.content.slice(0, suggestions.start);
+    let after = formData.content.slice(caret);
+    if (after.startsWith(']]')) after = after.slice(2);
+
+    // Titles shared by several entries are linked by id straight away
+    const shared = allEntries.filter(e => e.title.toLowerCase() === entry.title.toLowerCase()).length > 1;
+    const link = shared ? `[[${entry.title}|#${entry.id}]]` : `[[${entry.title}]]`;
+
+    handleInputChange('content', before + link + after);
+    setSuggestions(null);
+
+    requestAnimationFrame(() => {
+      if (!textarea) return;
+      const position = before.length + link.length;
+      textarea.focus();
+      textarea.setSelectionRange(position, position);
+    });
+  }
+
+  function handleContentKeyDown(e) {
+    if (!suggestions) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const count = suggestions.items.length;
+      setSuggestions(prev => ({ ...prev, index: (prev.index + step + count) % count }));
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertWikiLink(suggestions.items[suggestions.index]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setSuggestions(null);
+    }
+  }
+
+  /**
+   * After a rename, re-point title-based links in other entries at this
+   * entry's id, and offer to change link text that still reads the old title.
+   */
+  async function updateLinksAfterRename(entryId, oldTitle, newTitle, datasetId) {
+    const others = (await getAllEntries(datasetId)).filter(e => e.id !== entryId && e.content);
+
+    const changes = others.map(entry => ({
+      entry,
+      repointed: rewriteLinksForRename(entry.content, entryId, oldTitle, newTitle, { rewriteDisplay: false }),
+      renamed: rewriteLinksForRename(entry.content, entryId, oldTitle, newTitle)
+    }));
+
+    const withNewText = changes.filter(change => change.renamed !== change.repointed);
+    const rewriteText = withNewText.length > 0 && window.confirm(
+      `"${oldTitle}" is now "${newTitle}".\n\n` +
+      `${withNewText.length} ${withNewText.length === 1 ? 'entry links' : 'entries link'} to it with the old title as link text. ` +
+      `Update the link text to the new title?`
+    );
+
+    for (const change of changes) {
+      const content = rewriteText ? change.renamed : change.repointed;
+      if (content === change.entry.content) continue;
+
+      await updateEntry(change.entry.id, { content }, datasetId);
+
+      // ☁️ Sync update to cloud
+      if (user && activeDataset) {
+        syncUpdateCodexEntry(user.uid, activeDataset.id, change.entry.id, { content });
+      }
+    }
+  }
+
   async function handleSave() {
     if (!formData.title.trim()) {
       setError('Title is required');
@@ -189,7 +324,7 @@ function CodexEntryForm() {
         type: formData.type,
         title: formData.title.trim(),
         subtitle: formData.subtitle.trim() || null,
-        content: formData.content.trim(),
+        content: resolveWikiLinksToIds(formData.content.trim(), allEntries),
         tags: formData.tags,
         era: formData.era.trim() || null,
         category: formData.category.trim() || null,
@@ -206,6 +341,14 @@ function CodexEntryForm() {
         if (user && activeDataset) {
           syncUpdateCodexEntry(user.uid, activeDataset.id, codexEntryId, entryData);
         }
+
+        if (originalTitle && originalTitle !== entryData.title) {
+          try {
+            await updateLinksAfterRename(codexEntryId, originalTitle, entryData.title, datasetId);
+          } catch (renameError) {
+            console.error('Warning: Failed to update links after rename:', renameError);
+          }
+        }
       } else {
         codexEntryId = await createEntry(entryData, datasetId);
 
@@ -446,16 +589,42 @@ function CodexEntryForm() {
               <span className="codex-entry-form__required">*</span>
             </label>
             <p className="codex-entry-form__hint">
-              Use <code>[[Entry Name]]</code> to link to other entries
+              Use <code>[[Entry Name]]</code> to link to other entries - type <code>[[</code> for suggestions
             </p>
-            <textarea
-              id="content"
-              className="codex-entry-form__textarea"
-              placeholder="Write your entry content here..."
-              value={formData.content}
-              onChange={(e) => handleInputChange('content', e.target.value)}
-              rows={20}
-            />
+            <div className="codex-entry-form__editor">
+              <textarea
+                id="content"
+                ref={contentRef}
+                className="codex-entry-form__textarea"
+                placeholder="Write your entry content here..."
+                value={formData.content}
+                onChange={handleContentChange}
+                onKeyDown={handleContentKeyDown}
+                onClick={(e) => updateSuggestions(e.target.value, e.target.selectionStart)}
+                onBlur={() => setSuggestions(null)}
+                rows={20}
+              />
+              {suggestions && (
+                <ul className="codex-entry-form__suggestions" role="listbox">
+                  {suggestions.items.map((entry, index) => (
+                    <li key={entry.id} role="option" aria-selected={index === suggestions.index}>
+                      {/* mousedown so the textarea's blur doesn't close the list first */}
+                      <button
+                        type="button"
+                        className={`codex-entry-form__suggestion ${index === suggestions.index ? 'codex-entry-form__suggestion--active' : ''}`}
+                        onMouseDown={(e) => { e.preventDefault(); insertWikiLink(entry); }}
+                      >
+                        <Icon name={TYPE_ICONS[entry.type] || 'file'} size={14} />
+                        <span className="codex-entry-form__suggestion-title">{entry.title}</span>
+                        {entry.subtitle && (
+                          <span className="codex-entry-form__suggestion-subtitle">{entry.subtitle}</span>
+                        )}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
           </motion.section>
         </div>
 
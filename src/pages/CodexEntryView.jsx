@@ -12,6 +12,7 @@ import Icon from '../components/icons/Icon';
 import LoadingState from '../components/shared/LoadingState';
 import EmptyState from '../components/shared/EmptyState';
 import ActionButton from '../components/shared/ActionButton';
+import PresenceIndicator from '../components/PresenceIndicator';
 import './CodexEntryView.css';
 
 /**
@@ -126,10 +127,10 @@ function CodexEntryView() {
             let snippet = '';
             if (link.direction === 'outgoing-bidirectional') {
               // This entry links TO referringEntry, so look in THIS entry's content
-              snippet = getContextSnippet(entryData.content, referringEntry.title);
+              snippet = getContextSnippet(entryData.content, referringEntry.title, referringEntry.id);
             } else {
               // Traditional incoming: referringEntry links TO us, look in THEIR content
-              snippet = getContextSnippet(referringEntry.content, entryData.title);
+              snippet = getContextSnippet(referringEntry.content, entryData.title, entryData.id);
             }
 
             return {
@@ -358,6 +359,7 @@ function CodexEntryView() {
                 <Icon name={typeConfig.icon} size={16} />
                 <span>{typeConfig.label}</span>
               </div>
+              <PresenceIndicator entityType="codexEntry" entityId={entry.id} />
 
               {/* Title with Illuminated Initial */}
               <h1 className="entry-header__title">
@@ -0,0 +1,406 @@
+/**
+ * CodexGraph.jsx - Codex Knowledge Graph
+ *
+ * PURPOSE:
+ * Force-directed map of the codex: every entry is a node, every codex link
+ * an edge. Makes it easy to spot lore nobody links to and entries that
+ * everything hangs off.
+ *
+ * FEATURES:
+ * - Nodes coloured by entry type, sized by number of connections
+ * - Filter by tag and by era
+ * - Drag nodes, pan and zoom the canvas
+ * - Hover a node to highlight its neighbours; click to open the entry
+ * - Side lists of isolated and over-linked entries
+ *
+ * DESIGN:
+ * Follows the medieval manuscript aesthetic.
+ * Uses Lucide icons, Framer Motion animations, and CSS custom properties.
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import * as d3 from 'd3';
+import Navigation from '../components/Navigation';
+import Icon from '../components/icons';
+import { LoadingState, EmptyState, Card } from '../components/shared';
+import { useDataset } from '../contexts/DatasetContext';
+import { getAllEntries, getAllLinks } from '../services/codexService';
+import {
+  KNOWLEDGE_GRAPH_TYPES,
+  collectGraphTags,
+  collectGraphEras,
+  buildKnowledgeGraph,
+  getNodeRadius
+} from '../utils/knowledgeGraphUtils';
+import './CodexGraph.css';
+
+// Animation variants
+const CONTAINER_VARIANTS = {
+  hidden: {},
+  visible: {
+    transition: { staggerChildren: 0.05 }
+  }
+};
+
+const ITEM_VARIANTS = {
+  hidden: { opacity: 0, y: 15 },
+  visible: {
+    opacity: 1,
+    y: 0,
+    transition: { duration: 0.3, ease: 'easeOut' }
+  }
+};
+
+// Canvas height (px); width follows the container
+const GRAPH_HEIGHT = 640;
+
+// Nodes with at least this many connections always show their label
+const LABEL_DEGREE = 3;
+
+/**
+ * CodexGraph Component
+ */
+function CodexGraph() {
+  const navigate = useNavigate();
+  const { activeDataset } = useDataset();
+  const svgRef = useRef(null);
+
+  const [entries, setEntries] = useState([]);
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const [tagFilter, setTagFilter] = useState('');
+  const [eraFilter, setEraFilter] = useState('');
+
+  // Load entries and links
+  useEffect(() => {
+    let cancelled = false;
+    const datasetId = activeDataset?.id;
+
+    async function loadGraphData() {
+      try {
+        const [entriesData, linksData] = await Promise.all([
+          getAllEntries(datasetId),
+          getAllLinks(datasetId)
+        ]);
+
+        if (cancelled) return;
+
+        setEntries(entriesData);
+        setLinks(linksData);
+        setLoading(false);
+      } catch (error) {
+        if (!cancelled && import.meta.env.DEV) {
+          console.error('Error loading knowledge graph:', error);
+        }
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadGraphData();
+    return () => { cancelled = true; };
+  }, [activeDataset]);
+
+  const tags = useMemo(() => collectGraphTags(entries), [entries]);
+  const eras = useMemo(() => collectGraphEras(entries), [entries]);
+
+  const graph = useMemo(
+    () => buildKnowledgeGraph(entries, links, { tag: tagFilter, era: eraFilter }),
+    [entries, links, tagFilter, eraFilter]
+  );
+
+  // Draw the force layout whenever the filtered graph changes
+  useEffect(() => {
+    if (!svgRef.current || graph.nodes.length === 0) return undefined;
+
+    const svgElement = svgRef.current;
+    const width = svgElement.clientWidth || 900;
+    const height = GRAPH_HEIGHT;
+
+    // d3 mutates nodes and links, so give it copies
+    const nodes = graph.nodes.map(node => ({ ...node }));
+    const edges = graph.links.map(link => ({ ...link }));
+
+    const neighbours = new Map(nodes.map(node => [node.id, new Set([node.id])]));
+    for (const edge of edges) {
+      neighbours.get(edge.source).add(edge.target);
+      neighbours.get(edge.target).add(edge.source);
+    }
+
+    const svg = d3.select(svgElement);
+    svg.selectAll('*').remove();
+    svg.attr('viewBox', `0 0 ${width} ${height}`);
+
+    const zoomGroup = svg.append('g').attr('class', 'codex-graph__zoom-group');
+    svg.call(
+      d3.zoom()
+        .scaleExtent([0.2, 4])
+        .on('zoom', (event) => zoomGroup.attr('transform', event.transform))
+    );
+
+    const edgeSelection = zoomGroup.append('g')
+      .selectAll('line')
+      .data(edges)
+      .join('line')
+      .attr('class', 'codex-graph__edge')
+      .style('stroke-width', d => Math.min(1 + d.count * 0.5, 4));
+
+    const nodeSelection = zoomGroup.append('g')
+      .selectAll('g')
+      .data(nodes)
+      .join('g')
+      .attr('class', d => `codex-graph__node ${d.overLinked ? 'codex-graph__node--over-linked' : ''} ${d.isolated ? 'codex-graph__node--isolated' : ''}`);
+
+    nodeSelection.append('circle')
+      .attr('r', d => getNodeRadius(d.degree))
+      .style('fill', d => KNOWLEDGE_GRAPH_TYPES[d.type].color);
+
+    nodeSelection.append('text')
+      .attr('class', 'codex-graph__label')
+      .attr('dy', d => getNodeRadius(d.degree) + 12)
+      .text(d => d.title)
+      .classed('codex-graph__label--always', d => d.degree >= LABEL_DEGREE);
+
+    nodeSelection.append('title')
+      .text(d => `${d.title}\n${KNOWLEDGE_GRAPH_TYPES[d.type].label} · ${d.degree} connection${d.degree === 1 ? '' : 's'}`);
+
+    const simulation = d3.forceSimulation(nodes)
+      .force('link', d3.forceLink(edges).id(d => d.id).distance(70))
+      .force('charge', d3.forceManyBody().strength(-160))
+      .force('center', d3.forceCenter(width / 2, height / 2))
+      .force('collide', d3.forceCollide(d => getNodeRadius(d.degree) + 4))
+      // Keep unlinked entries from drifting off-screen
+      .force('x', d3.forceX(width / 2).strength(0.04))
+      .force('y', d3.forceY(height / 2).strength(0.04));
+
+    simulation.on('tick', () => {
+      edgeSelection
+        .attr('x1', d => d.source.x)
+        .attr('y1', d => d.source.y)
+        .attr('x2', d => d.target.x)
+        .attr('y2', d => d.target.y);
+      nodeSelection.attr('transform', d => `translate(${d.x},${d.y})`);
+    });
+
+    nodeSelection.call(
+      d3.drag()
+        .on('start', (event, d) => {
+          if (!event.active) simulation.alphaTarget(0.3).restart();
+          d.fx = d.x;
+          d.fy = d.y;
+        })
+        .on('drag', (event, d) => {
+          d.fx = event.x;
+          d.fy = event.y;
+        })
+        .on('end', (event, d) => {
+          if (!event.active) simulation.alphaTarget(0);
+          d.fx = null;
+          d.fy = null;
+        })
+    );
+
+    nodeSelection
+      .on('mouseenter', (event, d) => {
+        const near = neighbours.get(d.id);
+        nodeSelection.classed('codex-graph__node--faded', n => !near.has(n.id));
+        edgeSelection.classed('codex-graph__edge--active', e => e.source.id === d.id || e.target.id === d.id);
+      })
+      .on('mouseleave', () => {
+        nodeSelection.classed('codex-graph__node--faded', false);
+        edgeSelection.classed('codex-graph__edge--active', false);
+      })
+      .on('click', (event, d) => {
+        if (event.defaultPrevented) return; // end of a drag
+        navigate(`/codex/entry/${d.id}`);
+      });
+
+    return () => {
+      simulation.stop();
+      svg.on('.zoom', null);
+      svg.selectAll('*').remove();
+    };
+  }, [graph, navigate]);
+
+  const typeCounts = useMemo(() => {
+    const counts = {};
+    for (const node of graph.nodes) {
+      counts[node.type] = (counts[node.type] || 0) + 1;
+    }
+    return counts;
+  }, [graph.nodes]);
+
+  const hasFilters = tagFilter || eraFilter;
+
+  return (
+    <div className="codex-graph">
+      <Navigation />
+
+      <div className="codex-graph__container">
+        <motion.div
+          className="codex-graph__content"
+          variants={CONTAINER_VARIANTS}
+          initial="hidden"
+          animate="visible"
+        >
+          {/* Breadcrumb */}
+          <motion.nav className="codex-graph__breadcrumb" variants={ITEM_VARIANTS}>
+            <button onClick={() => navigate('/codex')} className="codex-graph__breadcrumb-link">
+              <Icon name="book-open" size={14} />
+              <span>The Codex</span>
+            </button>
+            <Icon name="chevron-right" size={14} className="codex-graph__breadcrumb-separator" />
+            <span>Knowledge Graph</span>
+          </motion.nav>
+
+          {/* Header */}
+          <motion.header className="codex-graph__header" variants={ITEM_VARIANTS}>
+            <h1 className="codex-graph__title">
+              <Icon name="network" size={28} className="codex-graph__title-icon" />
+              <span>Knowledge Graph</span>
+            </h1>
+            <p className="codex-graph__subtitle">
+              {graph.nodes.length} entries · {graph.links.length} connections
+            </p>
+          </motion.header>
+
+          {/* Filters */}
+          <motion.div className="codex-graph__filters" variants={ITEM_VARIANTS}>
+            <label className="codex-graph__filter">
+              <Icon name="tag" size={16} />
+              <select
+                value={tagFilter}
+                onChange={(e) => setTagFilter(e.target.value)}
+                className="codex-graph__select"
+              >
+                <option value="">All tags</option>
+                {tags.map(tag => (
+                  <option key={tag} value={tag}>{tag}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="codex-graph__filter">
+              <Icon name="clock" size={16} />
+              <select
+                value={eraFilter}
+                onChange={(e) => setEraFilter(e.target.value)}
+                className="codex-graph__select"
+              >
+                <option value="">All eras</option>
+                {eras.map(era => (
+                  <option key={era} value={era}>{era}</option>
+                ))}
+              </select>
+            </label>
+
+            {hasFilters && (
+              <button
+                className="codex-graph__clear"
+                onClick={() => { setTagFilter(''); setEraFilter(''); }}
+              >
+                <Icon name="x" size={14} />
+                <span>Clear filters</span>
+              </button>
+            )}
+
+            <div className="codex-graph__legend">
+              {Object.entries(KNOWLEDGE_GRAPH_TYPES)
+                .filter(([type]) => typeCounts[type])
+                .map(([type, config]) => (
+                  <span key={type} className="codex-graph__legend-item">
+                    <span className="codex-graph__legend-dot" style={{ background: config.color }} />
+                    <span>{config.label} ({typeCounts[type]})</span>
+                  </span>
+                ))}
+            </div>
+          </motion.div>
+
+          {loading ? (
+            <LoadingState message="Mapping the codex..." />
+          ) : graph.nodes.length === 0 ? (
+            <EmptyState
+              icon="network"
+              title={hasFilters ? 'No Matching Entries' : 'The Codex Is Empty'}
+              description={hasFilters
+                ? 'No entries carry this tag and era. Try clearing a filter.'
+                : 'Write some codex entries and link them with [[wiki links]] to see them here.'}
+            />
+          ) : (
+            <div className="codex-graph__layout">
+              <motion.div className="codex-graph__canvas" variants={ITEM_VARIANTS}>
+                <svg ref={svgRef} className="codex-graph__svg" style={{ height: GRAPH_HEIGHT }} />
+                <p className="codex-graph__hint">
+                  Scroll to zoom, drag to pan or move entries, click an entry to open it.
+                </p>
+              </motion.div>
+
+              <motion.aside className="codex-graph__sidebar" variants={ITEM_VARIANTS}>
+                <Card padding="md" className="codex-graph__panel">
+                  <h2 className="codex-graph__panel-title">
+                    <Icon name="alert-triangle" size={16} />
+                    <span>Over-linked</span>
+                    <span className="codex-graph__panel-count">{graph.overLinked.length}</span>
+                  </h2>
+                  <p className="codex-graph__panel-note">
+                    {graph.threshold}+ connections. Consider splitting these entries.
+                  </p>
+                  {graph.overLinked.length > 0 ? (
+                    <ul className="codex-graph__panel-list">
+                      {graph.overLinked.map(node => (
+                        <li key={node.id}>
+                          <button
+                            className="codex-graph__panel-link"
+                            onClick={() => navigate(`/codex/entry/${node.id}`)}
+                          >
+                            <span className="codex-graph__legend-dot" style={{ background: KNOWLEDGE_GRAPH_TYPES[node.type].color }} />
+                            <span className="codex-graph__panel-name">{node.title}</span>
+                            <span className="codex-graph__panel-degree">{node.degree}</span>
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="codex-graph__panel-empty">None</p>
+                  )}
+                </Card>
+
+                <Card padding="md" className="codex-graph__panel">
+                  <h2 className="codex-graph__panel-title">
+                    <Icon name="link" size={16} />
+                    <span>Isolated</span>
+                    <span className="codex-graph__panel-count">{graph.isolated.length}</span>
+                  </h2>
+                  <p className="codex-graph__panel-note">
+                    No links in or out anywhere in the codex.
+                  </p>
+                  {graph.isolated.length > 0 ? (
+                    <ul className="codex-graph__panel-list">
+                      {graph.isolated.map(node => (
+                        <li key={node.id}>
+                          <button
+                            className="codex-graph__panel-link"
+                            onClick={() => navigate(`/codex/entry/${node.id}`)}
+                          >
+                            <span className="codex-graph__legend-dot" style={{ background: KNOWLEDGE_GRAPH_TYPES[node.type].color }} />
+                            <span className="codex-graph__panel-name">{node.title}</span>
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="codex-graph__panel-empty">None</p>
+                  )}
+                </Card>
+              </motion.aside>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+}
+
+export default CodexGraph;
@@ -9,6 +9,7 @@
  * - Browse by category with animated cards
  * - Recent updates feed
  * - Biography coverage stats (Tree-Codex integration)
+ * - Links to wanted pages and the knowledge graph (when enabled)
  *
  * DESIGN:
  * Follows the medieval manuscript aesthetic established in Home.jsx
@@ -29,6 +30,7 @@ import Navigation from '../components/Navigation';
 import Icon from '../components/icons';
 import { LoadingState, EmptyState, SectionHeader, Card, ActionButton } from '../components/shared';
 import CodexCleanupTool from '../components/CodexCleanupTool';
+import { isFeatureEnabled } from '../config/featureFlags';
 import './CodexLanding.css';
 
 // Animation variants
@@ -585,6 +587,16 @@ function CodexLanding() {
                 Import Worldbuilding
               </ActionButton>
 
+              <ActionButton icon="file-edit" variant="secondary" onClick={() => navigate('/codex/wanted')}>
+                Wanted Pages
+              </ActionButton>
+
+              {isFeatureEnabled('TREE_CODEX_INTEGRATION.KNOWLEDGE_GRAPH_VIEW') && (
+                <ActionButton icon="network" variant="secondary" onClick={() => navigate('/codex/graph')}>
+                  Knowledge Graph
+                </ActionButton>
+              )}
+
               <ActionButton
                 icon="refresh"
                 variant="secondary"
@@ -0,0 +1,289 @@
+/**
+ * CodexWantedPages.jsx - Red-Link Report
+ *
+ * PURPOSE:
+ * Lists every [[wiki link]] target that has no codex entry yet, how often it
+ * is linked and from where - the codex's "Wanted pages".
+ *
+ * FEATURES:
+ * - Most-wanted first, with a search box
+ * - Referencing entries shown as chips that open the entry
+ * - One-click stub creation with the type guessed from how it's referenced
+ *   (can be changed before creating)
+ *
+ * DESIGN:
+ * Follows the medieval manuscript aesthetic.
+ * Uses Lucide icons, Framer Motion animations, and CSS custom properties.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import Navigation from '../components/Navigation';
+import Icon from '../components/icons';
+import { LoadingState, EmptyState, ActionButton } from '../components/shared';
+import { useDataset } from '../contexts/DatasetContext';
+import { useAuth } from '../contexts/AuthContext';
+import { getAllEntries, createEntry } from '../services/codexService';
+import { syncAddCodexEntry } from '../services/dataSyncService';
+import { collectWantedPages, buildStubContent } from '../utils/wantedPagesUtils';
+import './CodexWantedPages.css';
+
+// Animation variants
+const CONTAINER_VARIANTS = {
+  hidden: {},
+  visible: {
+    transition: { staggerChildren: 0.05 }
+  }
+};
+
+const ITEM_VARIANTS = {
+  hidden: { opacity: 0, y: 15 },
+  visible: {
+    opacity: 1,
+    y: 0,
+    transition: { duration: 0.3, ease: 'easeOut' }
+  }
+};
+
+const STUB_TYPES = [
+  { value: 'personage', label: 'Personage' },
+  { value: 'house', label: 'House' },
+  { value: 'location', label: 'Location' },
+  { value: 'event', label: 'Event' },
+  { value: 'mysteria', label: 'Mysteria' },
+  { value: 'concept', label: 'Concept' },
+  { value: 'heraldry', label: 'Heraldry' },
+  { value: 'custom', label: 'Custom' }
+];
+
+/**
+ * CodexWantedPages Component
+ */
+function CodexWantedPages() {
+  const navigate = useNavigate();
+  const { activeDataset } = useDataset();
+  const { user } = useAuth();
+
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [typeOverrides, setTypeOverrides] = useState({}); // key → type
+  const [creatingKey, setCreatingKey] = useState(null);
+  const [created, setCreated] = useState([]); // [{ title, id }]
+  const [error, setError] = useState(null);
+
+  // Load entries
+  useEffect(() => {
+    let cancelled = false;
+    const datasetId = activeDataset?.id;
+
+    async function loadEntries() {
+      try {
+        const data = await getAllEntries(datasetId);
+        if (cancelled) return;
+        setEntries(data);
+        setLoading(false);
+      } catch (err) {
+        if (!cancelled && import.meta.env.DEV) {
+          console.error('Error loading wanted pages:', err);
+        }
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadEntries();
+    return () => { cancelled = true; };
+  }, [activeDataset]);
+
+  const wantedPages = useMemo(() => collectWantedPages(entries), [entries]);
+
+  const visiblePages = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    if (!term) return wantedPages;
+    return wantedPages.filter(page => page.key.includes(term));
+  }, [wantedPages, searchTerm]);
+
+  const totalLinks = wantedPages.reduce((sum, page) => sum + page.count, 0);
+
+  const handleCreateStub = async (page) => {
+    const datasetId = activeDataset?.id;
+    const type = typeOverrides[page.key] || page.suggestedType;
+
+    try {
+      setCreatingKey(page.key);
+      setError(null);
+
+      const entryData = {
+        type,
+        title: page.title,
+        content: buildStubContent(page),
+        tags: ['stub']
+      };
+
+      const id = await createEntry(entryData, datasetId);
+
+      // ☁️ Sync new entry to cloud
+      if (user && activeDataset) {
+        syncAddCodexEntry(user.uid, activeDataset.id, id, { ...entryData, id });
+      }
+
+      // The new title resolves the red links, so the page drops off the list
+      setEntries(prev => [...prev, { ...entryData, id }]);
+      setCreated(prev => [{ id, title: page.title }, ...prev]);
+    } catch (err) {
+      console.error('Error creating stub entry:', err);
+      setError(`Could not create "${page.title}": ${err.message}`);
+    } finally {
+      setCreatingKey(null);
+    }
+  };
+
+  return (
+    <div className="wanted-pages">
+      <Navigation />
+
+      <div className="wanted-pages__container">
+        <motion.div
+          className="wanted-pages__content"
+          variants={CONTAINER_VARIANTS}
+          initial="hidden"
+          animate="visible"
+        >
+          {/* Breadcrumb */}
+          <motion.nav className="wanted-pages__breadcrumb" variants={ITEM_VARIANTS}>
+            <button onClick={() => navigate('/codex')} className="wanted-pages__breadcrumb-link">
+              <Icon name="book-open" size={14} />
+              <span>The Codex</span>
+            </button>
+            <Icon name="chevron-right" size={14} className="wanted-pages__breadcrumb-separator" />
+            <span>Wanted Pages</span>
+          </motion.nav>
+
+          {/* Header */}
+          <motion.header className="wanted-pages__header" variants={ITEM_VARIANTS}>
+            <div>
+              <h1 className="wanted-pages__title">
+                <Icon name="file-edit" size={28} className="wanted-pages__title-icon" />
+                <span>Wanted Pages</span>
+              </h1>
+              <p className="wanted-pages__subtitle">
+                {wantedPages.length} missing {wantedPages.length === 1 ? 'entry' : 'entries'} · {totalLinks} broken {totalLinks === 1 ? 'link' : 'links'}
+              </p>
+            </div>
+            <div className="wanted-pages__search">
+              <Icon name="search" size={16} />
+              <input
+                type="text"
+                className="wanted-pages__search-input"
+                placeholder="Filter titles..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+              />
+            </div>
+          </motion.header>
+
+          {/* Messages */}
+          <AnimatePresence>
+            {error && (
+              <motion.div
+                className="wanted-pages__message wanted-pages__message--error"
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: 'auto' }}
+                exit={{ opacity: 0, height: 0 }}
+              >
+                <Icon name="alert-triangle" size={16} />
+                <span>{error}</span>
+              </motion.div>
+            )}
+          </AnimatePresence>
+
+          {created.length > 0 && (
+            <motion.div className="wanted-pages__message wanted-pages__message--success" variants={ITEM_VARIANTS}>
+              <Icon name="check-circle" size={16} />
+              <span>Created:</span>
+              {created.map(item => (
+                <button
+                  key={item.id}
+                  className="wanted-pages__chip"
+                  onClick={() => navigate(`/codex/edit/${item.id}`)}
+                  title="Edit the new stub"
+                >
+                  {item.title}
+                </button>
+              ))}
+            </motion.div>
+          )}
+
+          {/* List */}
+          {loading ? (
+            <LoadingState message="Following the red links..." />
+          ) : wantedPages.length === 0 ? (
+            <EmptyState
+              icon="check-circle"
+              title="No Broken Links"
+              description="Every [[wiki link]] in the codex points at an existing entry."
+            />
+          ) : (
+            <motion.ul className="wanted-pages__list" variants={ITEM_VARIANTS}>
+              {visiblePages.map(page => (
+                <li key={page.key} className="wanted-pages__item">
+                  <div className="wanted-pages__item-main">
+                    <span className="wanted-pages__item-title">{page.title}</span>
+                    <span className="wanted-pages__item-count">
+                      {page.count} {page.count === 1 ? 'link' : 'links'}
+                    </span>
+                  </div>
+
+                  <div className="wanted-pages__referrers">
+                    <span className="wanted-pages__referrers-label">Linked from</span>
+                    {page.referrers.map(referrer => (
+                      <button
+                        key={referrer.id}
+                        className="wanted-pages__chip"
+                        onClick={() => navigate(`/codex/entry/${referrer.id}`)}
+                      >
+                        {referrer.title}
+                        {referrer.count > 1 && (
+                          <span className="wanted-pages__chip-count">×{referrer.count}</span>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+
+                  <div className="wanted-pages__actions">
+                    <select
+                      className="wanted-pages__select"
+                      value={typeOverrides[page.key] || page.suggestedType}
+                      onChange={(e) => setTypeOverrides(prev => ({ ...prev, [page.key]: e.target.value }))}
+                      title="Entry type for the stub"
+                    >
+                      {STUB_TYPES.map(type => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                    <ActionButton
+                      icon="plus"
+                      size="sm"
+                      variant="primary"
+                      loading={creatingKey === page.key}
+                      disabled={creatingKey !== null}
+                      onClick={() => handleCreateStub(page)}
+                    >
+                      Create stub
+                    </ActionButton>
+                  </div>
+                </li>
+              ))}
+              {visiblePages.length === 0 && (
+                <li className="wanted-pages__empty">No missing titles match "{searchTerm}".</li>
+              )}
+            </motion.ul>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+}
+
+export default CodexWantedPages;
@@ -0,0 +1,483 @@
+/**
+ * DeathCascade.jsx - Death Cascade Simulator
+ *
+ * PURPOSE:
+ * Shows everything a character's death would change before it is written:
+ * - Each dignity they hold: who inherits, or whether it is partitioned,
+ *   falls into interregnum or goes vacant
+ * - The household roles they leave open
+ * - Heir designations and regencies that name them
+ *
+ * After review, one action records the death: tenures end with endType
+ * 'death', successors' tenures begin, holders change and roles are vacated.
+ *
+ * Opened from the Dignities landing page; ?personId= preselects a person.
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import Navigation from '../components/Navigation';
+import Icon from '../components/icons';
+import { LoadingState, ActionButton } from '../components/shared';
+import { useAuth } from '../contexts/AuthContext';
+import { useDataset } from '../contexts/DatasetContext';
+import { useGenealogy } from '../contexts/GenealogyContext';
+import {
+  getAllDignities,
+  buildSuccessionMaps,
+  simulateDeathCascade,
+  applyDeathCascade,
+  CASCADE_OUTCOMES
+} from '../services/dignityService';
+import {
+  validateCalendarDate,
+  normalizeDateInput,
+  formatCalendarDate,
+  getDateFormatHint
+} from '../utils/calendarUtils';
+import './DeathCascade.css';
+
+// Animation variants
+const CONTAINER_VARIANTS = {
+  hidden: {},
+  visible: {
+    transition: { staggerChildren: 0.05 }
+  }
+};
+
+const ITEM_VARIANTS = {
+  hidden: { opacity: 0, y: 15 },
+  visible: {
+    opacity: 1,
+    y: 0,
+    transition: { duration: 0.3, ease: 'easeOut' }
+  }
+};
+
+/**
+ * DeathCascade Component
+ */
+function DeathCascade() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { user } = useAuth();
+  const { activeDataset } = useDataset();
+  const { people, houses, relationships, loading: coreLoading, updatePerson } = useGenealogy();
+
+  // State
+  const [dignities, setDignities] = useState([]);
+  const [personId, setPersonId] = useState(searchParams.get('personId') || '');
+  const [dateInput, setDateInput] = useState('');
+  const [cascade, setCascade] = useState(null);
+  const [simulating, setSimulating] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState(null);
+  const [appliedName, setAppliedName] = useState(null);
+
+  // Load dignities (for the holdings shown beside each name)
+  const loadDignities = useCallback(async () => {
+    try {
+      setDignities(await getAllDignities(activeDataset?.id));
+    } catch (err) {
+      console.error('Error loading dignities:', err);
+      setError('Failed to load dignities');
+    }
+  }, [activeDataset]);
+
+  useEffect(() => {
+    loadDignities();
+  }, [loadDignities]);
+
+  const holdingsByPerson = useMemo(() => {
+    const counts = new Map();
+    dignities.forEach(d => {
+      if (d.currentHolderId) counts.set(d.currentHolderId, (counts.get(d.currentHolderId) || 0) + 1);
+    });
+    return counts;
+  }, [dignities]);
+
+  const livingPeople = useMemo(() => people
+    .filter(p => !p.dateOfDeath)
+    .sort((a, b) => `${a.firstName} ${a.lastName}`.localeCompare(`${b.firstName} ${b.lastName}`)),
+  [people]);
+
+  const getPersonName = useCallback((id) => {
+    const person = people.find(p => p.id === id);
+    return person ? `${person.firstName} ${person.lastName}` : 'Unknown';
+  }, [people]);
+
+  const getHouseName = useCallback((id) => {
+    return houses.find(h => h.id === id)?.houseName || null;
+  }, [houses]);
+
+  // A new person or date makes the report stale
+  const handlePersonChange = useCallback((e) => {
+    setPersonId(e.target.value);
+    setCascade(null);
+    setAppliedName(null);
+  }, []);
+
+  const handleDateChange = useCallback((e) => {
+    setDateInput(e.target.value);
+    setCascade(null);
+  }, []);
+
+  const handleSimulate = useCallback(async () => {
+    if (!personId) return;
+    if (!dateInput.trim()) {
+      setError('Enter the date of death - tenures end and begin on it');
+      return;
+    }
+    const dateError = validateCalendarDate(dateInput);
+    if (dateError) {
+      setError(dateError);
+      return;
+    }
+
+    try {
+      setSimulating(true);
+      setError(null);
+      setAppliedName(null);
+      const { parentMap, childrenMap, spouseMap } = buildSuccessionMaps(relationships);
+      const result = await simulateDeathCascade(
+        parseInt(personId),
+        normalizeDateInput(dateInput),
+        people,
+        parentMap,
+        childrenMap,
+        spouseMap,
+        activeDataset?.id
+      );
+      setCascade(result);
+    } catch (err) {
+      console.error('Error simulating death cascade:', err);
+      setError('Failed to simulate the death');
+    } finally {
+      setSimulating(false);
+    }
+  }, [personId, dateInput, relationships, people, activeDataset]);
+
+  const handleApply = useCallback(async () => {
+    const name = `${cascade.person.firstName} ${cascade.person.lastName}`;
+    if (!window.confirm(`Record the death of ${name} on ${formatCalendarDate(cascade.dateOfDeath)} and apply every change listed?`)) {
+      return;
+    }
+
+    try {
+      setApplying(true);
+      setError(null);
+      await applyDeathCascade(cascade, user?.uid, activeDataset?.id);
+      await updatePerson(cascade.person.id, { dateOfDeath: cascade.dateOfDeath });
+      setAppliedName(name);
+      setCascade(null);
+      setPersonId('');
+      setDateInput('');
+      await loadDignities();
+    } catch (err) {
+      console.error('Error applying death cascade:', err);
+      setError('Failed to apply the death - some changes may have been written');
+    } finally {
+      setApplying(false);
+    }
+  }, [cascade, user?.uid, activeDataset, updatePerson, loadDignities]);
+
+  const nothingChanges = cascade &&
+    cascade.dignities.length === 0 &&
+    cascade.householdRoles.length === 0 &&
+    cascade.designations.length === 0 &&
+    cascade.regencies.length === 0 &&
+    cascade.tenureRegencies.length === 0;
+
+  function renderOutcomeDetail({ outcome, heir, proposals, reason, minority }) {
+    switch (outcome) {
+      case 'inherits':
+        return (
+          <>
+            <p className="death-cascade__detail">
+              <Icon name="arrow-right" size={14} />
+              <strong>{getPersonName(heir.personId)}</strong>
+              <span className="death-cascade__muted">{reason}</span>
+            </p>
+            {minority && (
+              <p className="death-cascade__detail death-cascade__detail--warning">
+                <Icon name="shield" size={14} />
+                <span>
+                  Only {minority.age} - a regent would govern until they come of age
+                  ({minority.ageOfMajority}) on {formatCalendarDate(minority.comesOfAge)}
+                </span>
+              </p>
+            )}
+          </>
+        );
+      case 'partition':
+        return (
+          <ul className="death-cascade__portions">
+            {proposals.map(proposal => (
+              <li key={proposal.personId}>
+                {proposal.dignityData.name} <Icon name="arrow-right" size={12} /> <strong>{getPersonName(proposal.personId)}</strong>
+              </li>
+            ))}
+          </ul>
+        );
+      default:
+        return (
+          <p className="death-cascade__detail">
+            <span className="death-cascade__muted">{reason}</span>
+            {heir && <span> - heir presumptive <strong>{getPersonName(heir.personId)}</strong></span>}
+          </p>
+        );
+    }
+  }
+
+  if (coreLoading) {
+    return (
+      <div className="death-cascade">
+        <Navigation />
+        <div className="death-cascade__container">
+          <LoadingState message="Loading the family records..." />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="death-cascade">
+      <Navigation />
+
+      <div className="death-cascade__container">
+        <motion.div
+          className="death-cascade__content"
+          variants={CONTAINER_VARIANTS}
+          initial="hidden"
+          animate="visible"
+        >
+          {/* Header */}
+          <motion.header className="death-cascade__header" variants={ITEM_VARIANTS}>
+            <button
+              className="death-cascade__back"
+              onClick={() => navigate('/dignities')}
+              title="Back to Dignities"
+            >
+              <Icon name="arrow-left" size={20} />
+            </button>
+            <div>
+              <h1 className="death-cascade__title">
+                <Icon name="hourglass" size={28} className="death-cascade__title-icon" />
+                <span>Death Cascade</span>
+              </h1>
+              <p className="death-cascade__subtitle">
+                See everything a death would change across the realm, then record it
+              </p>
+            </div>
+          </motion.header>
+
+          {/* Error */}
+          <AnimatePresence>
+            {error && (
+              <motion.div
+                className="death-cascade__error"
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: 'auto' }}
+                exit={{ opacity: 0, height: 0 }}
+              >
+                <Icon name="alert-triangle" size={18} />
+                <span>{error}</span>
+                <button onClick={() => setError(null)} title="Dismiss">
+                  <Icon name="x" size={16} />
+                </button>
+              </motion.div>
+            )}
+          </AnimatePresence>
+
+          {appliedName && (
+            <motion.div className="death-cascade__success" variants={ITEM_VARIANTS}>
+              <Icon name="check-circle" size={18} />
+              <span>The death of {appliedName} has been recorded and every change applied.</span>
+            </motion.div>
+          )}
+
+          {/* Person & date */}
+          <motion.section className="death-cascade__controls" variants={ITEM_VARIANTS}>
+            <div className="death-cascade__field">
+              <label htmlFor="cascade-person">Person</label>
+              <select id="cascade-person" value={personId} onChange={handlePersonChange}>
+                <option value="">- Select a living person -</option>
+                {livingPeople.map(p => (
+                  <option key={p.id} value={p.id}>
+                    {p.firstName} {p.lastName}
+                    {holdingsByPerson.has(p.id) && ` - holds ${holdingsByPerson.get(p.id)}`}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="death-cascade__field">
+              <label htmlFor="cascade-date">Date of Death</label>
+              <input
+                id="cascade-date"
+                type="text"
+                value={dateInput}
+                onChange={handleDateChange}
+                onKeyDown={(e) => e.key === 'Enter' && handleSimulate()}
+                placeholder={getDateFormatHint()}
+              />
+            </div>
+            <ActionButton
+              icon="zap"
+              variant="primary"
+              onClick={handleSimulate}
+              disabled={!personId || simulating}
+              loading={simulating}
+            >
+              Simulate
+            </ActionButton>
+          </motion.section>
+
+          {/* Report */}
+          {cascade && (
+            <motion.section className="death-cascade__report" variants={ITEM_VARIANTS} initial="hidden" animate="visible">
+              <h2 className="death-cascade__report-title">
+                If {cascade.person.firstName} {cascade.person.lastName} dies on {formatCalendarDate(cascade.dateOfDeath)}
+              </h2>
+
+              {nothingChanges && (
+                <p className="death-cascade__empty">
+                  They hold no dignities, household roles, designations or regencies - only the date of death will be recorded.
+                </p>
+              )}
+
+              {cascade.dignities.length > 0 && (
+                <div className="death-cascade__group">
+                  <h3 className="death-cascade__group-title">
+                    <Icon name="crown" size={16} />
+                    <span>Dignities</span>
+                  </h3>
+                  <ul className="death-cascade__list">
+                    {cascade.dignities.map(entry => (
+                      <li key={entry.dignity.id} className="death-cascade__item">
+                        <div className="death-cascade__item-header">
+                          <button
+                            className="death-cascade__link"
+                            onClick={() => navigate(`/dignities/view/${entry.dignity.id}`)}
+                          >
+                            {entry.dignity.name}
+                          </button>
+                          <span
+                            className={`death-cascade__outcome death-cascade__outcome--${entry.outcome}`}
+                            title={CASCADE_OUTCOMES[entry.outcome].description}
+                          >
+                            {CASCADE_OUTCOMES[entry.outcome].name}
+                          </span>
+                        </div>
+                        {renderOutcomeDetail(entry)}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {cascade.householdRoles.length > 0 && (
+                <div className="death-cascade__group">
+                  <h3 className="death-cascade__group-title">
+                    <Icon name="users" size={16} />
+                    <span>Household Roles Left Open</span>
+                  </h3>
+                  <ul className="death-cascade__list">
+                    {cascade.householdRoles.map(({ role, roleName }) => (
+                      <li key={role.id} className="death-cascade__item">
+                        <div className="death-cascade__item-header">
+                          <span>{roleName}</span>
+                          <span className="death-cascade__muted">{getHouseName(role.houseId)}</span>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {cascade.designations.length > 0 && (
+                <div className="death-cascade__group">
+                  <h3 className="death-cascade__group-title">
+                    <Icon name="link" size={16} />
+                    <span>Heir Designations That Lapse</span>
+                  </h3>
+                  <ul className="death-cascade__list">
+                    {cascade.designations.map(dignity => (
+                      <li key={dignity.id} className="death-cascade__item">
+                        <div className="death-cascade__item-header">
+                          <button
+                            className="death-cascade__link"
+                            onClick={() => navigate(`/dignities/view/${dignity.id}`)}
+                          >
+                            {dignity.name}
+                          </button>
+                          <span className="death-cascade__muted">The line falls back to its law</span>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {(cascade.regencies.length > 0 || cascade.tenureRegencies.length > 0) && (
+                <div className="death-cascade__group">
+                  <h3 className="death-cascade__group-title">
+                    <Icon name="hourglass" size={16} />
+                    <span>Regencies Left Without a Regent</span>
+                  </h3>
+                  <ul className="death-cascade__list">
+                    {cascade.regencies.map(dignity => (
+                      <li key={dignity.id} className="death-cascade__item">
+                        <div className="death-cascade__item-header">
+                          <button
+                            className="death-cascade__link"
+                            onClick={() => navigate(`/dignities/view/${dignity.id}`)}
+                          >
+                            {dignity.name}
+                          </button>
+                          <span className="death-cascade__muted">{dignity.interregnum.regentTitle || 'Regent'}</span>
+                        </div>
+                      </li>
+                    ))}
+                    {cascade.tenureRegencies.map(({ dignity, tenure, regency }) => (
+                      <li key={regency.id} className="death-cascade__item">
+                        <div className="death-cascade__item-header">
+                          <button
+                            className="death-cascade__link"
+                            onClick={() => navigate(`/dignities/view/${dignity.id}`)}
+                          >
+                            {dignity.name}
+                          </button>
+                          <span className="death-cascade__muted">
+                            {regency.regentTitle || 'Regent'} for {getPersonName(tenure.personId)} - ends on {formatCalendarDate(cascade.dateOfDeath)}
+                          </span>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="death-cascade__actions">
+                <ActionButton variant="ghost" onClick={() => setCascade(null)} disabled={applying}>
+                  Discard
+                </ActionButton>
+                <ActionButton
+                  icon="check"
+                  variant="danger"
+                  onClick={handleApply}
+                  disabled={applying}
+                  loading={applying}
+                >
+                  Record Death & Apply
+                </ActionButton>
+              </div>
+            </motion.section>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+}
+
+export default DeathCascade;
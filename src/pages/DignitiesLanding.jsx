@@ -253,6 +253,10 @@ function DignitiesLanding() {
     navigate('/dignities/create');
   }, [navigate]);
 
+  const handleOpenDeathCascade = useCallback(() => {
+    navigate('/dignities/death-cascade');
+  }, [navigate]);
+
   const handleViewDignity = useCallback((id) => {
     navigate(`/dignities/view/${id}`);
   }, [navigate]);
@@ -622,9 +626,14 @@ function DignitiesLanding() {
                       : 'All Dignities'}
                     size="md"
                   />
-                  <ActionButton icon="plus" variant="primary" onClick={handleCreateDignity}>
-                    Create New
-                  </ActionButton>
+                  <div className="dignities-header-actions">
+                    <ActionButton icon="hourglass" variant="secondary" onClick={handleOpenDeathCascade}>
+                      Death Cascade
+                    </ActionButton>
+                    <ActionButton icon="plus" variant="primary" onClick={handleCreateDignity}>
+                      Create New
+                    </ActionButton>
+                  </div>
                 </div>
 
                 {filteredDignities.length === 0 ? (
@@ -751,9 +760,14 @@ function DignitiesLanding() {
               >
                 <div className="dignities-hierarchy__header">
                   <SectionHeader icon="git-branch" title="Feudal Hierarchy" size="md" />
-                  <ActionButton icon="plus" variant="primary" onClick={handleCreateDignity}>
-                    Create New
-                  </ActionButton>
+                  <div className="dignities-header-actions">
+                    <ActionButton icon="hourglass" variant="secondary" onClick={handleOpenDeathCascade}>
+                      Death Cascade
+                    </ActionButton>
+                    <ActionButton icon="plus" variant="primary" onClick={handleCreateDignity}>
+                      Create New
+                    </ActionButton>
+                  </div>
                 </div>
 
                 <Card className="dignities-hierarchy__tree" padding="md">
@@ -5,7 +5,8 @@
  * "The Codified Charter of Driht, Ward, and Service"
  *
  * Handles both create and edit modes based on URL.
- * Features smart filtering for holder/house selection.
+ * Features smart filtering for holder/house selection, and a rule
+ * builder for custom succession laws.
  */
 
 import { useState, useEffect } from 'react';
@@ -22,9 +23,22 @@ import {
   DIGNITY_RANKS,
   TENURE_TYPES,
   FEALTY_TYPES,
-  DISPLAY_ICONS
+  DISPLAY_ICONS,
+  SUCCESSION_TYPES
 } from '../services/dignityService';
 import { getAllHouses, getAllPeople } from '../services/database';
+import {
+  CRITERION_EFFECTS,
+  CRITERION_FIELDS,
+  GENDER_VALUES,
+  LEGITIMACY_VALUES,
+  CANDIDATE_POOLS,
+  BASE_ORDERS,
+  DEFAULT_CUSTOM_SUCCESSION,
+  normalizeCustomSuccession
+} from '../data/successionCriteria';
+import { HOUSEHOLD_ROLE_TYPES } from '../data/householdRoleTypes';
+import { describeCriterion, isCriterionComplete } from '../utils/customSuccession';
 import Navigation from '../components/Navigation';
 import Icon from '../components/icons/Icon';
 import ActionButton from '../components/shared/ActionButton';
@@ -56,6 +70,7 @@ const SECTION_ICONS = {
   identity: 'tag',
   hierarchy: 'git-branch',
   holder: 'user',
+  succession: 'crown',
   display: 'palette',
   notes: 'file-text'
 };
@@ -85,9 +100,14 @@ function DignityForm() {
     isHereditary: true,
     displayIcon: '',
     displayPriority: 0,
-    notes: ''
+    notes: '',
+    successionType: 'male-primogeniture'
   });
 
+  // Succession rules as stored (kept on save) and the custom law being built
+  const [successionRules, setSuccessionRules] = useState({});
+  const [customSuccession, setCustomSuccession] = useState(DEFAULT_CUSTOM_SUCCESSION);
+
   // Reference data
   const [houses, setHouses] = useState([]);
   const [people, setPeople] = useState([]);
@@ -136,8 +156,11 @@ function DignityForm() {
             isHereditary: dignity.isHereditary !== undefined ? dignity.isHereditary : true,
             displayIcon: dignity.displayIcon || '',
             displayPriority: dignity.displayPriority || 0,
-            notes: dignity.notes || ''
+            notes: dignity.notes || '',
+            successionType: dignity.successionType || 'male-primogeniture'
           });
+          setSuccessionRules(dignity.successionRules || {});
+          setCustomSuccession(normalizeCustomSuccession(dignity.successionRules?.custom));
         } else {
           setError('Dignity not found');
         }
@@ -325,6 +348,49 @@ function DignityForm() {
     }
   }
 
+  // Custom succession rule builder
+  function handleCustomSuccessionChange(e) {
+    const { name, value } = e.target;
+    setCustomSuccession(prev => ({ ...prev, [name]: value }));
+  }
+
+  function handleAddCriterion() {
+    setCustomSuccession(prev => ({
+      ...prev,
+      criteria: [...prev.criteria, { effect: 'require', field: 'house', value: '' }]
+    }));
+  }
+
+  function handleCriterionChange(index, key, value) {
+    setCustomSuccession(prev => ({
+      ...prev,
+      criteria: prev.criteria.map((criterion, i) => {
+        if (i !== index) return criterion;
+        // A different field needs a different kind of value
+        return key === 'field'
+          ? { ...criterion, field: value, value: '' }
+          : { ...criterion, [key]: value };
+      })
+    }));
+  }
+
+  function handleMoveCriterion(index, offset) {
+    setCustomSuccession(prev => {
+      const criteria = [...prev.criteria];
+      const target = index + offset;
+      if (target < 0 || target >= criteria.length) return prev;
+      [criteria[index], criteria[target]] = [criteria[target], criteria[index]];
+      return { ...prev, criteria };
+    });
+  }
+
+  function handleRemoveCriterion(index) {
+    setCustomSuccession(prev => ({
+      ...prev,
+      criteria: prev.criteria.filter((_, i) => i !== index)
+    }));
+  }
+
   async function handleSubmit(e) {
     e.preventDefault();
 
@@ -348,7 +414,17 @@ function DignityForm() {
         currentHolderId: formData.currentHolderId ? parseInt(formData.currentHolderId) : null,
         currentHouseId: formData.currentHouseId ? parseInt(formData.currentHouseId) : null,
         displayPriority: parseInt(formData.displayPriority) || 0,
-        notes: formData.notes.trim() || null
+        notes: formData.notes.trim() || null,
+        // Unfinished criteria are dropped rather than saved
+        successionRules: formData.successionType === 'custom'
+          ? {
+            ...successionRules,
+            custom: {
+              ...customSuccession,
+              criteria: customSuccession.criteria.filter(isCriterionComplete)
+            }
+          }
+          : successionRules
       };
 
       if (isEditMode) {
@@ -365,6 +441,58 @@ function DignityForm() {
     }
   }
 
+  function renderCriterionValue(criterion, index) {
+    const field = CRITERION_FIELDS[criterion.field];
+    const props = {
+      value: criterion.value,
+      onChange: (e) => handleCriterionChange(index, 'value', e.target.value),
+      'aria-label': `${field.name} value`
+    };
+
+    switch (field.valueType) {
+      case 'house':
+        return (
+          <select {...props} className="dignity-form__select">
+            <option value="">- Select House -</option>
+            {[...houses]
+              .sort((a, b) => (a.houseName || '').localeCompare(b.houseName || ''))
+              .map(h => <option key={h.id} value={h.id}>{h.houseName}</option>)}
+          </select>
+        );
+      case 'role':
+        return (
+          <select {...props} className="dignity-form__select">
+            <option value="">- Select Role -</option>
+            {Object.values(HOUSEHOLD_ROLE_TYPES)
+              .sort((a, b) => a.order - b.order)
+              .map(role => <option key={role.id} value={role.id}>{role.name}</option>)}
+          </select>
+        );
+      case 'gender':
+      case 'legitimacy': {
+        const values = field.valueType === 'gender' ? GENDER_VALUES : LEGITIMACY_VALUES;
+        return (
+          <select {...props} className="dignity-form__select">
+            <option value="">- Select -</option>
+            {Object.entries(values).map(([key, name]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+        );
+      }
+      case 'number':
+        return (
+          <input {...props} type="number" min="0" placeholder="Years" className="dignity-form__input" />
+        );
+      case 'text':
+        return (
+          <input {...props} type="text" placeholder={field.placeholder} className="dignity-form__input" />
+        );
+      default:
+        return null;
+    }
+  }
+
   function getHouseName(houseId) {
     const house = houses.find(h => h.id === houseId);
     return house?.houseName || 'Unknown House';
@@ -384,6 +512,7 @@ function DignityForm() {
   const classInfo = DIGNITY_CLASSES[formData.dignityClass];
   const availableRanks = getAvailableRanks();
   const swornToOptions = getSwornToOptions();
+  const housesById = new Map(houses.map(h => [h.id, h]));
 
   return (
     <>
@@ -781,6 +910,178 @@ function DignityForm() {
             )}
           </motion.section>
 
+          {/* Succession Section */}
+          <motion.section className="dignity-form__section" variants={SECTION_VARIANTS}>
+            <h2 className="dignity-form__section-title">
+              <Icon name={SECTION_ICONS.succession} size={20} />
+              <span>Succession</span>
+            </h2>
+            <p className="dignity-form__section-desc">
+              The law by which this dignity passes to the next holder
+            </p>
+
+            <div className="dignity-form__row">
+              <div className="dignity-form__group dignity-form__group--full">
+                <label htmlFor="successionType" className="dignity-form__label">
+                  Succession Law
+                </label>
+                <select
+                  id="successionType"
+                  name="successionType"
+                  value={formData.successionType}
+                  onChange={handleChange}
+                  className="dignity-form__select"
+                >
+                  {Object.entries(SUCCESSION_TYPES).map(([key, info]) => (
+                    <option key={key} value={key}>
+                      {info.icon} {info.name}
+                    </option>
+                  ))}
+                </select>
+                <span className="dignity-form__hint">
+                  {SUCCESSION_TYPES[formData.successionType]?.description}
+                </span>
+              </div>
+            </div>
+
+            {formData.successionType === 'custom' && (
+              <>
+                <div className="dignity-form__row">
+                  <div className="dignity-form__group">
+                    <label htmlFor="customPool" className="dignity-form__label">
+                      Candidates
+                    </label>
+                    <select
+                      id="customPool"
+                      name="pool"
+                      value={customSuccession.pool}
+                      onChange={handleCustomSuccessionChange}
+                      className="dignity-form__select"
+                    >
+                      {Object.values(CANDIDATE_POOLS).map(pool => (
+                        <option key={pool.id} value={pool.id}>{pool.name}</option>
+                      ))}
+                    </select>
+                    <span className="dignity-form__hint">
+                      {CANDIDATE_POOLS[customSuccession.pool]?.description}
+                    </span>
+                  </div>
+
+                  <div className="dignity-form__group">
+                    <label htmlFor="customOrder" className="dignity-form__label">
+                      Ranked By
+                    </label>
+                    <select
+                      id="customOrder"
+                      name="order"
+                      value={customSuccession.order}
+                      onChange={handleCustomSuccessionChange}
+                      className="dignity-form__select"
+                    >
+                      {Object.values(BASE_ORDERS).map(order => (
+                        <option key={order.id} value={order.id}>{order.name}</option>
+                      ))}
+                    </select>
+                    <span className="dignity-form__hint">
+                      {BASE_ORDERS[customSuccession.order]?.description}
+                    </span>
+                  </div>
+                </div>
+
+                <div className="dignity-form__criteria">
+                  <span className="dignity-form__label">Criteria</span>
+                  {customSuccession.criteria.length === 0 ? (
+                    <span className="dignity-form__hint">
+                      No criteria yet - every candidate is eligible, in the order above.
+                    </span>
+                  ) : (
+                    <ol className="dignity-form__criteria-list">
+                      {customSuccession.criteria.map((criterion, index) => (
+                        <li key={index} className="dignity-form__criterion">
+                          <div className="dignity-form__criterion-fields">
+                            <select
+                              value={criterion.effect}
+                              onChange={(e) => handleCriterionChange(index, 'effect', e.target.value)}
+                              className="dignity-form__select"
+                              aria-label="Effect"
+                            >
+                              {Object.values(CRITERION_EFFECTS).map(effect => (
+                                <option key={effect.id} value={effect.id}>{effect.name}</option>
+                              ))}
+                            </select>
+                            <select
+                              value={criterion.field}
+                              onChange={(e) => handleCriterionChange(index, 'field', e.target.value)}
+                              className="dignity-form__select"
+                              aria-label="Criterion"
+                            >
+                              {Object.values(CRITERION_FIELDS).map(field => (
+                                <option key={field.id} value={field.id}>{field.name}</option>
+                              ))}
+                            </select>
+                            {renderCriterionValue(criterion, index)}
+                          </div>
+                          <div className="dignity-form__criterion-actions">
+                            <button
+                              type="button"
+                              className="dignity-form__criterion-btn"
+                              onClick={() => handleMoveCriterion(index, -1)}
+                              disabled={index === 0}
+                              title="Move up"
+                            >
+                              <Icon name="chevron-up" size={14} />
+                            </button>
+                            <button
+                              type="button"
+                              className="dignity-form__criterion-btn"
+                              onClick={() => handleMoveCriterion(index, 1)}
+                              disabled={index === customSuccession.criteria.length - 1}
+                              title="Move down"
+                            >
+                              <Icon name="chevron-down" size={14} />
+                            </button>
+                            <button
+                              type="button"
+                              className="dignity-form__criterion-btn dignity-form__criterion-btn--remove"
+                              onClick={() => handleRemoveCriterion(index)}
+                              title="Remove criterion"
+                            >
+                              <Icon name="trash" size={14} />
+                            </button>
+                          </div>
+                          {isCriterionComplete(criterion) ? (
+                            <span className="dignity-form__criterion-summary">
+                              {describeCriterion(criterion, { housesById })}
+                            </span>
+                          ) : (
+                            <span className="dignity-form__criterion-summary dignity-form__criterion-summary--incomplete">
+                              Choose a value - this criterion is ignored until then
+                            </span>
+                          )}
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                  <div>
+                    <ActionButton
+                      type="button"
+                      icon="plus"
+                      onClick={handleAddCriterion}
+                      variant="secondary"
+                      size="sm"
+                    >
+                      Add Criterion
+                    </ActionButton>
+                  </div>
+                  <span className="dignity-form__hint">
+                    Must and Must not criteria exclude; preferences then rank
+                    whoever remains, the first listed weighing most.
+                  </span>
+                </div>
+              </>
+            )}
+          </motion.section>
+
           {/* Display Options Section */}
           <motion.section className="dignity-form__section" variants={SECTION_VARIANTS}>
             <h2 className="dignity-form__section-title">
@@ -14,11 +14,20 @@ import {
   deleteDignityTenure,
   updateDignity,
   calculateSuccessionLine,
+  getTenureAsOf,
+  proposeGavelkindPartition,
+  applyGavelkindPartition,
   addDispute,
   resolveDispute,
   removeDispute,
   setInterregnum,
   endInterregnum,
+  getAgeOfMajority,
+  getMinority,
+  suggestMinorityRegency,
+  getRegencyAsOf,
+  addRegency,
+  removeRegency,
   DIGNITY_CLASSES,
   DIGNITY_RANKS,
   TENURE_TYPES,
@@ -30,7 +39,10 @@ import {
   CLAIM_TYPES,
   CLAIM_STRENGTHS,
   DISPUTE_RESOLUTIONS,
-  INTERREGNUM_REASONS
+  INTERREGNUM_REASONS,
+  REGENCY_REASONS,
+  DEFAULT_AGE_OF_MAJORITY,
+  buildSuccessionMaps
 } from '../services/dignityService';
 import { getAllHouses, getAllPeople, getAllRelationships } from '../services/database';
 import Navigation from '../components/Navigation';
@@ -40,6 +52,16 @@ import EmptyState from '../components/shared/EmptyState';
 import ActionButton from '../components/shared/ActionButton';
 import { SuggestionCard } from '../components/suggestions';
 import { useDignityAnalysis } from '../hooks';
+import { CANDIDATE_POOLS, BASE_ORDERS, normalizeCustomSuccession } from '../data/successionCriteria';
+import { describeCriterion } from '../utils/customSuccession';
+import {
+  getActiveCalendar,
+  formatCalendarDate,
+  formatCalendarYear,
+  validateCalendarDate,
+  normalizeDateInput,
+  getDateFormatHint
+} from '../utils/calendarUtils';
 import './DignityView.css';
 
 /**
@@ -52,6 +74,7 @@ import './DignityView.css';
  * - Tenure history
  * - Succession line and disputes
  * - Interregnum management
+ * - Regencies governing for a tenure's holder
  */
 
 // Animation variants
@@ -118,9 +141,18 @@ function DignityView() {
     legitimizedBastardsEligible: true,
     excludeWomen: false,
     requiresConfirmation: false,
+    ageOfMajority: DEFAULT_AGE_OF_MAJORITY,
     customNotes: '',
     designatedHeirId: ''
   });
+
+  // Historical succession: the line as it stood on a past date
+  const [successionAsOfInput, setSuccessionAsOfInput] = useState('');
+  const [historicalSuccession, setHistoricalSuccession] = useState(null);
+
+  // Gavelkind partition
+  const [partitionDate, setPartitionDate] = useState('');
+  const [partitioning, setPartitioning] = useState(false);
   const [savingRules, setSavingRules] = useState(false);
 
   // Dispute state
@@ -165,6 +197,20 @@ function DignityView() {
   });
   const [savingTenure, setSavingTenure] = useState(false);
 
+  // Regency state (someone governing for a tenure's holder)
+  const [showRegencyModal, setShowRegencyModal] = useState(false);
+  const [regencyTenure, setRegencyTenure] = useState(null);
+  const [regencyForm, setRegencyForm] = useState({
+    regentId: '',
+    regentTitle: 'Regent',
+    councilIds: [],
+    startDate: '',
+    endDate: '',
+    reason: 'minority',
+    notes: ''
+  });
+  const [savingRegency, setSavingRegency] = useState(false);
+
   // Entity-specific dignity analysis
   const {
     suggestions: entitySuggestions,
@@ -209,6 +255,7 @@ function DignityView() {
 
   const formatDate = useCallback((dateStr) => {
     if (!dateStr) return 'Unknown';
+    if (getActiveCalendar()) return formatCalendarDate(dateStr);
     if (dateStr.length === 4) return dateStr;
     const date = new Date(dateStr);
     if (isNaN(date)) return dateStr;
@@ -234,21 +281,7 @@ function DignityView() {
     try {
       setLoadingSuccession(true);
 
-      const parentMap = new Map();
-      const childrenMap = new Map();
-      const spouseMap = new Map();
-
-      for (const rel of relationshipsData) {
-        if (rel.relationshipType === 'parent') {
-          const existingParents = parentMap.get(rel.person2Id) || [];
-          parentMap.set(rel.person2Id, [...existingParents, rel.person1Id]);
-          const existingChildren = childrenMap.get(rel.person1Id) || [];
-          childrenMap.set(rel.person1Id, [...existingChildren, rel.person2Id]);
-        } else if (rel.relationshipType === 'spouse') {
-          spouseMap.set(rel.person1Id, rel.person2Id);
-          spouseMap.set(rel.person2Id, rel.person1Id);
-        }
-      }
+      const { parentMap, childrenMap, spouseMap } = buildSuccessionMaps(relationshipsData);
 
       const line = await calculateSuccessionLine(
         dignityData.id,
@@ -269,6 +302,51 @@ function DignityView() {
     }
   }, [activeDataset]);
 
+  // Calculate the line as of the date typed in
+  const handleShowHistoricalSuccession = useCallback(async () => {
+    const dateError = validateCalendarDate(successionAsOfInput);
+    if (dateError) {
+      alert(dateError);
+      return;
+    }
+
+    const asOfDate = normalizeDateInput(successionAsOfInput);
+    if (!asOfDate) {
+      setHistoricalSuccession(null);
+      return;
+    }
+
+    try {
+      setLoadingSuccession(true);
+      const { parentMap, childrenMap, spouseMap } = buildSuccessionMaps(relationships);
+      const line = await calculateSuccessionLine(
+        dignity.id,
+        people,
+        parentMap,
+        childrenMap,
+        spouseMap,
+        10,
+        activeDataset?.id,
+        asOfDate
+      );
+      setHistoricalSuccession({
+        asOfDate,
+        holderId: getTenureAsOf(tenures, asOfDate)?.personId || null,
+        line
+      });
+    } catch (err) {
+      console.error('Error calculating historical succession:', err);
+      setHistoricalSuccession(null);
+    } finally {
+      setLoadingSuccession(false);
+    }
+  }, [successionAsOfInput, dignity, people, relationships, tenures, activeDataset]);
+
+  const handleClearHistoricalSuccession = useCallback(() => {
+    setSuccessionAsOfInput('');
+    setHistoricalSuccession(null);
+  }, []);
+
   // Load data
   const loadData = useCallback(async () => {
     try {
@@ -309,6 +387,7 @@ function DignityView() {
       setHouses(housesData);
       setPeople(peopleData);
       setRelationships(relationshipsData);
+      setHistoricalSuccession(null);
       setLoading(false);
 
       if (dignityData.currentHolderId) {
@@ -372,7 +451,7 @@ function DignityView() {
     setEditingTenure(tenure);
     setTenureForm({
       personId: tenure.personId,
-      dateStarted: tenure.dateStarted || '',
+      dateStarted: formatCalendarDate(tenure.dateStarted),
       dateEnded: '',
       acquisitionType: tenure.acquisitionType || 'inheritance',
       endType: 'death',
@@ -400,13 +479,20 @@ function DignityView() {
       return;
     }
 
+    const dateError = validateCalendarDate(tenureForm.dateStarted) ||
+      validateCalendarDate(tenureForm.dateEnded);
+    if (dateError) {
+      alert(dateError);
+      return;
+    }
+
     try {
       setSavingTenure(true);
       const datasetId = activeDataset?.id;
 
       if (tenureMode === 'end' && editingTenure) {
         await updateDignityTenure(editingTenure.id, {
-          dateEnded: tenureForm.dateEnded || null,
+          dateEnded: normalizeDateInput(tenureForm.dateEnded),
           endType: tenureForm.endType || null,
           notes: tenureForm.notes || null
         }, user?.uid, datasetId);
@@ -421,8 +507,8 @@ function DignityView() {
         await createDignityTenure({
           dignityId: parseInt(id),
           personId: parseInt(tenureForm.personId),
-          dateStarted: tenureForm.dateStarted || null,
-          dateEnded: tenureForm.dateEnded || null,
+          dateStarted: normalizeDateInput(tenureForm.dateStarted),
+          dateEnded: normalizeDateInput(tenureForm.dateEnded),
           acquisitionType: tenureForm.acquisitionType,
           endType: tenureForm.dateEnded ? tenureForm.endType : null,
           notes: tenureForm.notes || null
@@ -471,6 +557,7 @@ function DignityView() {
       legitimizedBastardsEligible: rules.legitimizedBastardsEligible !== false,
       excludeWomen: rules.excludeWomen || false,
       requiresConfirmation: rules.requiresConfirmation || false,
+      ageOfMajority: getAgeOfMajority(rules),
       customNotes: rules.customNotes || '',
       designatedHeirId: dignity?.designatedHeirId || ''
     });
@@ -488,10 +575,12 @@ function DignityView() {
       await updateDignity(parseInt(id), {
         successionType: successionRulesForm.successionType,
         successionRules: {
+          ...dignity?.successionRules,  // keeps the custom law built on the edit page
           excludeBastards: successionRulesForm.excludeBastards,
           legitimizedBastardsEligible: successionRulesForm.legitimizedBastardsEligible,
           excludeWomen: successionRulesForm.excludeWomen,
           requiresConfirmation: successionRulesForm.requiresConfirmation,
+          ageOfMajority: getAgeOfMajority({ ageOfMajority: successionRulesForm.ageOfMajority }),
           customNotes: successionRulesForm.customNotes || null
         },
         designatedHeirId: successionRulesForm.designatedHeirId
@@ -507,7 +596,7 @@ function DignityView() {
     } finally {
       setSavingRules(false);
     }
-  }, [successionRulesForm, id, user?.uid, loadData, handleCloseSuccessionRulesModal, activeDataset]);
+  }, [successionRulesForm, dignity, id, user?.uid, loadData, handleCloseSuccessionRulesModal, activeDataset]);
 
   // Dispute management handlers
   const handleOpenAddDispute = useCallback(() => {
@@ -642,6 +731,96 @@ function DignityView() {
     }
   }, [interregnumForm, id, user?.uid, loadData, handleCloseInterregnumModal, activeDataset]);
 
+  // Regency management handlers
+  const handleOpenAddRegency = useCallback((tenure, suggestion = null) => {
+    setRegencyTenure(tenure);
+    setRegencyForm({
+      regentId: '',
+      regentTitle: 'Regent',
+      councilIds: [],
+      startDate: formatCalendarDate(suggestion?.startDate || tenure.dateStarted),
+      endDate: formatCalendarDate(suggestion?.endDate),
+      reason: suggestion?.reason || 'minority',
+      notes: ''
+    });
+    setShowRegencyModal(true);
+  }, []);
+
+  const handleCloseRegencyModal = useCallback(() => {
+    setShowRegencyModal(false);
+    setRegencyTenure(null);
+  }, []);
+
+  const handleSaveRegency = useCallback(async () => {
+    const dateError = validateCalendarDate(regencyForm.startDate) ||
+      validateCalendarDate(regencyForm.endDate);
+    if (dateError) {
+      alert(dateError);
+      return;
+    }
+
+    try {
+      setSavingRegency(true);
+
+      await addRegency(regencyTenure.id, {
+        regentId: regencyForm.regentId ? parseInt(regencyForm.regentId) : null,
+        regentTitle: regencyForm.regentTitle || 'Regent',
+        councilIds: regencyForm.councilIds,
+        startDate: normalizeDateInput(regencyForm.startDate),
+        endDate: normalizeDateInput(regencyForm.endDate),
+        reason: regencyForm.reason,
+        notes: regencyForm.notes || null
+      }, user?.uid, activeDataset?.id);
+
+      await loadData();
+      handleCloseRegencyModal();
+    } catch (err) {
+      console.error('Error adding regency:', err);
+      alert('Failed to add regency');
+    } finally {
+      setSavingRegency(false);
+    }
+  }, [regencyForm, regencyTenure, user?.uid, loadData, handleCloseRegencyModal, activeDataset]);
+
+  const handleRemoveRegency = useCallback(async (tenureId, regencyId) => {
+    if (!window.confirm('Remove this regency? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await removeRegency(tenureId, regencyId, user?.uid, activeDataset?.id);
+      await loadData();
+    } catch (err) {
+      console.error('Error removing regency:', err);
+      alert('Failed to remove regency');
+    }
+  }, [user?.uid, loadData, activeDataset]);
+
+  const handlePartition = useCallback(async (proposals) => {
+    const dateError = validateCalendarDate(partitionDate);
+    if (dateError) {
+      alert(dateError);
+      return;
+    }
+
+    const shares = proposals.map(p => `• ${p.dignityData.name} - ${getPersonName(p.personId)}`).join('\n');
+    if (!window.confirm(`Partition "${dignity.name}" among its co-heirs?\n\n${shares}\n\nThe current tenure will end and "${dignity.name}" will be left vacant.`)) {
+      return;
+    }
+
+    try {
+      setPartitioning(true);
+      await applyGavelkindPartition(parseInt(id), proposals, normalizeDateInput(partitionDate), user?.uid, activeDataset?.id);
+      setPartitionDate('');
+      await loadData();
+    } catch (err) {
+      console.error('Error partitioning dignity:', err);
+      alert('Failed to partition dignity');
+    } finally {
+      setPartitioning(false);
+    }
+  }, [partitionDate, dignity?.name, getPersonName, id, user?.uid, loadData, activeDataset]);
+
   const handleEndInterregnum = useCallback(async () => {
     const heir = successionLine.find(c => !c.excluded);
     if (!heir) {
@@ -670,6 +849,34 @@ function DignityView() {
   const houseColor = useMemo(() => dignity ? getHouseColor(dignity.currentHouseId) : '#666', [dignity, getHouseColor]);
   const swornToDignity = useMemo(() => feudalChain.length > 1 ? feudalChain[1] : null, [feudalChain]);
   const classIcon = useMemo(() => dignity ? (CLASS_ICONS[dignity.dignityClass] || 'scroll-text') : 'scroll-text', [dignity]);
+  const displayedSuccessionLine = historicalSuccession ? historicalSuccession.line : successionLine;
+  const partitionProposals = useMemo(
+    () => dignity && SUCCESSION_TYPES[dignity.successionType]?.partible
+      ? proposeGavelkindPartition(dignity, successionLine)
+      : [],
+    [dignity, successionLine]
+  );
+  const customSuccession = useMemo(
+    () => dignity?.successionType === 'custom' ? normalizeCustomSuccession(dignity.successionRules?.custom) : null,
+    [dignity]
+  );
+  const housesById = useMemo(() => new Map(houses.map(h => [h.id, h])), [houses]);
+  // Holders who came to the dignity under age, and the regency they'd have had
+  const regencySuggestions = useMemo(() => new Map(tenures.map(tenure => [
+    tenure.id,
+    suggestMinorityRegency(dignity, tenure, people.find(p => p.id === tenure.personId))
+  ])), [dignity, tenures, people]);
+  const currentRegency = useMemo(
+    () => getRegencyAsOf(tenures.find(t => !t.dateEnded && t.personId === dignity?.currentHolderId)),
+    [tenures, dignity?.currentHolderId]
+  );
+  // A minor heir would need a regent (measured on the as-of date when one is shown)
+  const heirMinority = useMemo(() => {
+    const heir = displayedSuccessionLine.find(c => !c.excluded);
+    if (!heir || !dignity) return null;
+    const minority = getMinority(heir.person, dignity.successionRules, historicalSuccession?.asOfDate || null);
+    return minority ? { ...minority, personId: heir.personId } : null;
+  }, [displayedSuccessionLine, dignity, historicalSuccession]);
 
   // Loading state
   if (loading) {
@@ -784,7 +991,26 @@ function DignityView() {
                       {houseName && (
                         <span className="dignity-holder__house">of {houseName}</span>
                       )}
+                      {currentRegency && (
+                        <span className="dignity-holder__regency">
+                          <Icon name="shield" size={12} />
+                          <span>
+                            Governed by {currentRegency.regentId
+                              ? `${currentRegency.regentTitle} ${getPersonName(currentRegency.regentId)}`
+                              : 'a regency council'}
+                            {' '}({REGENCY_REASONS[currentRegency.reason]?.name || currentRegency.reason})
+                          </span>
+                        </span>
+                      )}
                     </div>
+                    <button
+                      className="dignity-holder__simulate"
+                      onClick={() => navigate(`/dignities/death-cascade?personId=${dignity.currentHolderId}`)}
+                      title="See what the holder's death would change"
+                    >
+                      <Icon name="hourglass" size={14} />
+                      <span>Simulate Death</span>
+                    </button>
                   </div>
                 ) : (
                   <div className="dignity-holder--vacant">
@@ -916,6 +1142,29 @@ function DignityView() {
                         {SUCCESSION_TYPES[dignity.successionType || 'male-primogeniture']?.name}
                       </span>
                     </div>
+                    {customSuccession && (
+                      <>
+                        <div className="dignity-succession-rules__item">
+                          <span className="dignity-succession-rules__label">Candidates:</span>
+                          <span className="dignity-succession-rules__value">
+                            {CANDIDATE_POOLS[customSuccession.pool].name}, by {BASE_ORDERS[customSuccession.order].name.toLowerCase()}
+                          </span>
+                        </div>
+                        {customSuccession.criteria.length > 0 && (
+                          <ol className="dignity-succession-rules__criteria">
+                            {customSuccession.criteria.map((criterion, index) => (
+                              <li key={index}>{describeCriterion(criterion, { housesById })}</li>
+                            ))}
+                          </ol>
+                        )}
+                      </>
+                    )}
+                    <div className="dignity-succession-rules__item">
+                      <span className="dignity-succession-rules__label">Age of Majority:</span>
+                      <span className="dignity-succession-rules__value">
+                        {getAgeOfMajority(dignity.successionRules)}
+                      </span>
+                    </div>
                     {dignity.designatedHeirId && (
                       <div className="dignity-succession-rules__item dignity-succession-rules__item--designated">
                         <span className="dignity-succession-rules__label">Designated Heir:</span>
@@ -980,22 +1229,55 @@ function DignityView() {
                     )}
                   </div>
 
+                  {/* As-of date: who stood to inherit at a point in the chronicle */}
+                  <div className="dignity-succession-line__as-of">
+                    <label htmlFor="succession-as-of">As of</label>
+                    <input
+                      id="succession-as-of"
+                      type="text"
+                      value={successionAsOfInput}
+                      onChange={(e) => setSuccessionAsOfInput(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && handleShowHistoricalSuccession()}
+                      placeholder={getDateFormatHint()}
+                    />
+                    <button onClick={handleShowHistoricalSuccession} disabled={!successionAsOfInput.trim()}>
+                      <Icon name="calendar" size={14} />
+                      <span>Show</span>
+                    </button>
+                    {historicalSuccession && (
+                      <button onClick={handleClearHistoricalSuccession}>
+                        <Icon name="x" size={14} />
+                        <span>Present Day</span>
+                      </button>
+                    )}
+                  </div>
+                  {historicalSuccession && (
+                    <p className="dignity-succession-line__as-of-note">
+                      The line as it stood on {formatDate(historicalSuccession.asOfDate)}
+                      {historicalSuccession.holderId && `, under ${getPersonName(historicalSuccession.holderId)}`}.
+                    </p>
+                  )}
+
                   {loadingSuccession ? (
                     <div className="dignity-succession-line__loading">
                       <Icon name="loader-2" size={16} className="spin" />
                       <span>Calculating succession...</span>
                     </div>
-                  ) : successionLine.length === 0 ? (
+                  ) : displayedSuccessionLine.length === 0 ? (
                     <div className="dignity-succession-line__empty">
                       <p>
-                        {!dignity.currentHolderId
-                          ? 'No current holder - cannot calculate succession.'
-                          : 'No eligible heirs found in the family tree.'}
+                        {historicalSuccession
+                          ? (historicalSuccession.holderId
+                            ? 'No eligible heirs found on that date.'
+                            : 'No holder recorded on that date - tenure records tell who held it when.')
+                          : !dignity.currentHolderId
+                            ? 'No current holder - cannot calculate succession.'
+                            : 'No eligible heirs found in the family tree.'}
                       </p>
                     </div>
                   ) : (
                     <div className="dignity-succession-line__list">
-                      {successionLine.slice(0, 10).map((candidate, index) => (
+                      {displayedSuccessionLine.slice(0, 10).map((candidate, index) => (
                         <div
                           key={candidate.personId}
                           className={`dignity-succession-line__item ${candidate.excluded ? 'dignity-succession-line__item--excluded' : ''} ${index === 0 && !candidate.excluded ? 'dignity-succession-line__item--heir' : ''}`}
@@ -1017,18 +1299,67 @@ function DignityView() {
                               {candidate.exclusionReason}
                             </span>
                           )}
-                          {index === 0 && !candidate.excluded && (
+                          {candidate.coheir ? (
+                            <span className="dignity-succession-line__heir-badge">
+                              Co-heir{candidate.share ? ` · 1/${Math.round(1 / candidate.share)}` : ''}
+                            </span>
+                          ) : index === 0 && !candidate.excluded && (
                             <span className="dignity-succession-line__heir-badge">Heir</span>
                           )}
                         </div>
                       ))}
-                      {successionLine.length > 10 && (
+                      {displayedSuccessionLine.length > 10 && (
                         <div className="dignity-succession-line__more">
-                          +{successionLine.length - 10} more in line
+                          +{displayedSuccessionLine.length - 10} more in line
                         </div>
                       )}
                     </div>
                   )}
+
+                  {heirMinority && (
+                    <p className="dignity-succession-line__minority">
+                      <Icon name="shield" size={14} />
+                      <span>
+                        {getPersonName(heirMinority.personId)} is {heirMinority.age}, under the age of
+                        majority ({heirMinority.ageOfMajority}) - a regent would govern until they come
+                        of age on {formatDate(heirMinority.comesOfAge)}.
+                      </span>
+                    </p>
+                  )}
+
+                  {/* Gavelkind: the dignity splits among the co-heirs */}
+                  {!historicalSuccession && partitionProposals.length > 0 && (
+                    <div className="dignity-partition">
+                      <div className="dignity-partition__header">
+                        <Icon name="git-branch" size={16} />
+                        <span>Gavelkind Partition</span>
+                      </div>
+                      <p className="dignity-partition__description">
+                        On succession the dignity splits into {partitionProposals.length} shares, each held
+                        of {dignity.swornToId ? 'the same liege' : `"${dignity.name}"`}.
+                      </p>
+                      <ul className="dignity-partition__shares">
+                        {partitionProposals.map(proposal => (
+                          <li key={proposal.personId}>
+                            <span className="dignity-partition__share-name">{proposal.dignityData.name}</span>
+                            <span className="dignity-partition__share-holder">{getPersonName(proposal.personId)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                      <div className="dignity-partition__actions">
+                        <input
+                          type="text"
+                          value={partitionDate}
+                          onChange={(e) => setPartitionDate(e.target.value)}
+                          placeholder={`Date - ${getDateFormatHint()}`}
+                        />
+                        <button onClick={() => handlePartition(partitionProposals)} disabled={partitioning}>
+                          <Icon name="check" size={14} />
+                          <span>{partitioning ? 'Partitioning...' : 'Partition Dignity'}</span>
+                        </button>
+                      </div>
+                    </div>
+                  )}
                 </div>
 
                 {/* Disputed Claims */}
@@ -1136,6 +1467,8 @@ function DignityView() {
                     {tenures.map((tenure, index) => {
                       const isCurrentTenure = !tenure.dateEnded;
                       const personName = getPersonName(tenure.personId);
+                      const regencies = tenure.regencies || [];
+                      const regencySuggestion = regencySuggestions.get(tenure.id);
 
                       return (
                         <div
@@ -1168,6 +1501,59 @@ function DignityView() {
                             {tenure.notes && (
                               <div className="dignity-tenure__notes">{tenure.notes}</div>
                             )}
+                            {(regencies.length > 0 || regencySuggestion) && (
+                              <div className="dignity-regency">
+                                {regencies.map(regency => (
+                                  <div key={regency.id} className="dignity-regency__item">
+                                    <div className="dignity-regency__header">
+                                      <Icon name="shield" size={14} />
+                                      <span className="dignity-regency__regent">
+                                        {regency.regentId
+                                          ? `${regency.regentTitle}: ${getPersonName(regency.regentId) || 'Unknown Person'}`
+                                          : 'Regency Council'}
+                                      </span>
+                                      <span className="dignity-regency__reason">
+                                        {REGENCY_REASONS[regency.reason]?.name || regency.reason}
+                                      </span>
+                                      <button
+                                        className="dignity-regency__remove"
+                                        onClick={() => handleRemoveRegency(tenure.id, regency.id)}
+                                        title="Remove regency"
+                                      >
+                                        <Icon name="x" size={12} />
+                                      </button>
+                                    </div>
+                                    <div className="dignity-regency__dates">
+                                      {formatDate(regency.startDate)} — {regency.endDate ? formatDate(regency.endDate) : 'Present'}
+                                    </div>
+                                    {regency.councilIds?.length > 0 && (
+                                      <div className="dignity-regency__council">
+                                        Council: {regency.councilIds.map(pid => getPersonName(pid) || 'Unknown Person').join(', ')}
+                                      </div>
+                                    )}
+                                    {regency.notes && (
+                                      <div className="dignity-regency__notes">{regency.notes}</div>
+                                    )}
+                                  </div>
+                                ))}
+                                {regencySuggestion && (
+                                  <div className="dignity-regency__suggestion">
+                                    <span>
+                                      {personName || 'The holder'} came to the dignity aged {regencySuggestion.age},
+                                      under the age of majority ({regencySuggestion.ageOfMajority}). A minority
+                                      regency would run until {formatDate(regencySuggestion.endDate)}.
+                                    </span>
+                                    <button
+                                      className="dignity-regency__suggest-btn"
+                                      onClick={() => handleOpenAddRegency(tenure, regencySuggestion)}
+                                    >
+                                      <Icon name="plus" size={12} />
+                                      <span>Record Regency</span>
+                                    </button>
+                                  </div>
+                                )}
+                              </div>
+                            )}
                             <div className="dignity-tenure__item-actions">
                               {isCurrentTenure && (
                                 <button
@@ -1178,6 +1564,13 @@ function DignityView() {
                                   <span>End Tenure</span>
                                 </button>
                               )}
+                              <button
+                                className="dignity-tenure__regency-btn"
+                                onClick={() => handleOpenAddRegency(tenure)}
+                              >
+                                <Icon name="shield" size={12} />
+                                <span>Add Regency</span>
+                              </button>
                               <button
                                 className="dignity-tenure__delete-btn"
                                 onClick={() => handleDeleteTenure(tenure.id)}
@@ -1409,7 +1802,7 @@ function DignityView() {
                           type="text"
                           value={tenureForm.dateStarted}
                           onChange={(e) => setTenureForm({ ...tenureForm, dateStarted: e.target.value })}
-                          placeholder="e.g., 1245"
+                          placeholder={`e.g., ${formatCalendarYear('1245')}`}
                         />
                       </div>
 
@@ -1523,6 +1916,9 @@ function DignityView() {
                   </select>
                   <p className="dignity-form__hint">
                     {SUCCESSION_TYPES[successionRulesForm.successionType]?.description}
+                    {successionRulesForm.successionType === 'custom' && (
+                      <> The law itself is composed on the <button type="button" className="dignity-succession-rules__link" onClick={handleEdit}>edit page</button>.</>
+                    )}
                   </p>
                 </div>
 
@@ -1579,6 +1975,20 @@ function DignityView() {
                   </p>
                 </div>
 
+                <div className="dignity-form__group">
+                  <label>Age of Majority</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={successionRulesForm.ageOfMajority}
+                    onChange={(e) => setSuccessionRulesForm({ ...successionRulesForm, ageOfMajority: e.target.value })}
+                  />
+                  <p className="dignity-form__hint">
+                    A holder younger than this is governed by a regent.
+                  </p>
+                </div>
+
                 <div className="dignity-form__group">
                   <label>Custom Notes</label>
                   <textarea
@@ -1894,6 +2304,177 @@ function DignityView() {
             </motion.div>
           </motion.div>
         )}
+
+        {/* Regency Modal */}
+        {showRegencyModal && regencyTenure && (
+          <motion.div
+            className="dignity-modal-overlay"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={handleCloseRegencyModal}
+          >
+            <motion.div
+              className="dignity-modal"
+              initial={{ opacity: 0, scale: 0.95, y: 20 }}
+              animate={{ opacity: 1, scale: 1, y: 0 }}
+              exit={{ opacity: 0, scale: 0.95, y: 20 }}
+              onClick={e => e.stopPropagation()}
+            >
+              <div className="dignity-modal__header">
+                <h3>
+                  <Icon name="shield" size={18} />
+                  <span>Add Regency</span>
+                </h3>
+                <button className="dignity-modal__close" onClick={handleCloseRegencyModal}>
+                  <Icon name="x" size={18} />
+                </button>
+              </div>
+
+              <div className="dignity-modal__body">
+                <p className="dignity-modal__description">
+                  A regent governs <strong>{dignity?.name}</strong> on behalf
+                  of <strong>{getPersonName(regencyTenure.personId)}</strong>, who keeps the dignity.
+                </p>
+
+                <div className="dignity-form__group">
+                  <label>Reason</label>
+                  <select
+                    value={regencyForm.reason}
+                    onChange={(e) => setRegencyForm({ ...regencyForm, reason: e.target.value })}
+                  >
+                    {Object.entries(REGENCY_REASONS).map(([key, info]) => (
+                      <option key={key} value={key}>{info.name}</option>
+                    ))}
+                  </select>
+                  <p className="dignity-form__hint">
+                    {REGENCY_REASONS[regencyForm.reason]?.description}
+                  </p>
+                </div>
+
+                <div className="dignity-form__row">
+                  <div className="dignity-form__group">
+                    <label>Start Date</label>
+                    <input
+                      type="text"
+                      value={regencyForm.startDate}
+                      onChange={(e) => setRegencyForm({ ...regencyForm, startDate: e.target.value })}
+                      placeholder={`e.g., ${formatCalendarYear('1245')}`}
+                    />
+                  </div>
+
+                  <div className="dignity-form__group">
+                    <label>End Date</label>
+                    <input
+                      type="text"
+                      value={regencyForm.endDate}
+                      onChange={(e) => setRegencyForm({ ...regencyForm, endDate: e.target.value })}
+                      placeholder="Leave blank if ongoing"
+                    />
+                  </div>
+                </div>
+
+                <div className="dignity-form__group">
+                  <label>Regent</label>
+                  <select
+                    value={regencyForm.regentId}
+                    onChange={(e) => setRegencyForm({ ...regencyForm, regentId: e.target.value })}
+                  >
+                    <option value="">— Council Only —</option>
+                    {people
+                      .filter(p => p.id !== regencyTenure.personId)
+                      .sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`))
+                      .map(p => (
+                        <option key={p.id} value={p.id}>
+                          {p.firstName} {p.lastName}
+                          {houses.find(h => h.id === p.houseId)?.houseName &&
+                            ` (${houses.find(h => h.id === p.houseId).houseName})`
+                          }
+                        </option>
+                      ))
+                    }
+                  </select>
+                </div>
+
+                {regencyForm.regentId && (
+                  <div className="dignity-form__group">
+                    <label>Regent's Title</label>
+                    <input
+                      type="text"
+                      value={regencyForm.regentTitle}
+                      onChange={(e) => setRegencyForm({ ...regencyForm, regentTitle: e.target.value })}
+                      placeholder="e.g., Lord Protector, Queen Regent"
+                    />
+                  </div>
+                )}
+
+                <div className="dignity-form__group">
+                  <label>Regency Council</label>
+                  {regencyForm.councilIds.length > 0 && (
+                    <div className="dignity-regency__council-list">
+                      {regencyForm.councilIds.map(pid => (
+                        <span key={pid} className="dignity-regency__council-member">
+                          {getPersonName(pid)}
+                          <button
+                            type="button"
+                            onClick={() => setRegencyForm({
+                              ...regencyForm,
+                              councilIds: regencyForm.councilIds.filter(cid => cid !== pid)
+                            })}
+                            title="Remove from council"
+                          >
+                            <Icon name="x" size={10} />
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <select
+                    value=""
+                    onChange={(e) => e.target.value && setRegencyForm({
+                      ...regencyForm,
+                      councilIds: [...regencyForm.councilIds, parseInt(e.target.value)]
+                    })}
+                  >
+                    <option value="">— Add Council Member —</option>
+                    {people
+                      .filter(p => p.id !== regencyTenure.personId && !regencyForm.councilIds.includes(p.id))
+                      .sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`))
+                      .map(p => (
+                        <option key={p.id} value={p.id}>
+                          {p.firstName} {p.lastName}
+                        </option>
+                      ))
+                    }
+                  </select>
+                </div>
+
+                <div className="dignity-form__group">
+                  <label>Notes</label>
+                  <textarea
+                    value={regencyForm.notes}
+                    onChange={(e) => setRegencyForm({ ...regencyForm, notes: e.target.value })}
+                    placeholder="Additional details about the regency..."
+                    rows={3}
+                  />
+                </div>
+              </div>
+
+              <div className="dignity-modal__footer">
+                <button className="dignity-modal__cancel" onClick={handleCloseRegencyModal}>
+                  Cancel
+                </button>
+                <button
+                  className="dignity-modal__save"
+                  onClick={handleSaveRegency}
+                  disabled={savingRegency}
+                >
+                  {savingRegency ? 'Saving...' : 'Add Regency'}
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
       </AnimatePresence>
     </>
   );
@@ -5,11 +5,14 @@ import { useGenealogy } from '../contexts/GenealogyContext';
 import Navigation from '../components/Navigation';
 import TreeControls from '../components/TreeControls';
 import QuickEditPanel from '../components/QuickEditPanel';
-import { calculateAllRelationships } from '../utils/RelationshipCalculator';
+import AncestorChart from '../components/AncestorChart';
+import { calculateAllRelationships, buildRelationshipMaps as buildKinshipMaps } from '../utils/RelationshipCalculator';
 import { useTheme } from '../components/ThemeContext';
-import { getAllThemeColors, getHouseColor } from '../utils/themeColors';
+import { getAllThemeColors, getHouseColor, harmonizeColor } from '../utils/themeColors';
 import { getPrimaryEpithet } from '../utils/epithetUtils';
 import { getAllDignities, getDignityIcon } from '../services/dignityService';
+import { formatCalendarDate } from '../utils/calendarUtils';
+import { ANCESTOR_CHART_GENERATIONS, DEFAULT_ANCESTOR_CHART_GENERATIONS } from '../utils/ancestorChart';
 
 function FamilyTree() {
   // ==================== URL PARAMETERS ====================
@@ -66,6 +69,12 @@ function FamilyTree() {
   // This creates a persistent highlight effect on a specific person's card
   const [highlightedPersonId, setHighlightedPersonId] = useState(null);
 
+  // 🌀 VIEW MODE: 'tree' (descendants), 'fan' or 'pedigree' (ancestors)
+  // The ancestor charts are drawn for chartPersonId - set from the URL,
+  // from the selected person when a chart is opened, or by double-click
+  const [viewMode, setViewMode] = useState('tree');
+  const [chartGenerations, setChartGenerations] = useState(DEFAULT_ANCESTOR_CHART_GENERATIONS);
+  const [chartPersonId, setChartPersonId] = useState(null);
 
 
   // ==================== HOUSE VIEW CONTROLS ====================
@@ -91,42 +100,6 @@ function FamilyTree() {
   // This creates visual breathing room between unconnected family trees
   // Now controlled by state variable fragmentGap
 
-  // Helper function to harmonize house colors with current theme
-  const harmonizeColor = (hexColor) => {
-    const hex = hexColor.replace('#', '');
-    let r = parseInt(hex.substr(0, 2), 16);
-    let g = parseInt(hex.substr(2, 2), 16);
-    let b = parseInt(hex.substr(4, 2), 16);
-
-    if (isDarkTheme()) {
-      const warmBrown = { r: 120, g: 100, b: 80 };
-      const desaturationAmount = 0.5;
-      r = Math.round(r * (1 - desaturationAmount) + warmBrown.r * desaturationAmount);
-      g = Math.round(g * (1 - desaturationAmount) + warmBrown.g * desaturationAmount);
-      b = Math.round(b * (1 - desaturationAmount) + warmBrown.b * desaturationAmount);
-      const darkenAmount = 0.7;
-      r = Math.round(r * darkenAmount);
-      g = Math.round(g * darkenAmount);
-      b = Math.round(b * darkenAmount);
-    } else {
-      const warmCream = { r: 180, g: 160, b: 140 };
-      const desaturationAmount = 0.4;
-      r = Math.round(r * (1 - desaturationAmount) + warmCream.r * desaturationAmount);
-      g = Math.round(g * (1 - desaturationAmount) + warmCream.g * desaturationAmount);
-      b = Math.round(b * (1 - desaturationAmount) + warmCream.b * desaturationAmount);
-      const adjustAmount = 0.8;
-      r = Math.round(r * adjustAmount);
-      g = Math.round(g * adjustAmount);
-      b = Math.round(b * adjustAmount);
-    }
-
-    const toHex = (n) => {
-      const hex = n.toString(16);
-      return hex.length === 1 ? '0' + hex : hex;
-    };
-    return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
-  };
-
   // ═══════════════════════════════════════════════════════════════════════════
   // TEXT TRUNCATION HELPERS
   // ═══════════════════════════════════════════════════════════════════════════
@@ -691,8 +664,9 @@ function FamilyTree() {
       setSelectedHouseId(person.houseId);
     }
     
-    // Set the person as highlighted
+    // Set the person as highlighted, and as the ancestor charts' subject
     setHighlightedPersonId(personId);
+    setChartPersonId(personId);
     
     // Clear highlight after 8 seconds (longer to give time to see it)
     const timer = setTimeout(() => {
@@ -750,9 +724,17 @@ function FamilyTree() {
   // Redraw tree when data changes
   // Note: dataVersion increments whenever context data changes,
   // which triggers this effect and redraws the tree
+  // The tree's svg stays mounted but hidden under the ancestor charts, and
+  // is redrawn when it comes back so it fits the viewport again
   useEffect(() => {
-    if (selectedHouseId && people.length > 0) drawTree();
-  }, [selectedHouseId, people, houses, relationships, showCadetHouses, theme, searchResults, relationshipMap, verticalSpacing, dataVersion, centreOnPersonId, fragmentSeparatorStyle, dignitiesByPerson, fragmentGap, highlightedPersonId]);
+    if (selectedHouseId && people.length > 0 && viewMode === 'tree') drawTree();
+  }, [selectedHouseId, people, houses, relationships, showCadetHouses, theme, searchResults, relationshipMap, verticalSpacing, dataVersion, centreOnPersonId, fragmentSeparatorStyle, dignitiesByPerson, fragmentGap, highlightedPersonId, viewMode]);
+
+  // 🌀 Subject of the ancestor charts
+  const chartPerson = useMemo(
+    () => people.find(p => p.id === chartPersonId) || null,
+    [people, chartPersonId]
+  );
 
   const handleSearchResults = (results) => {
     setSearchResults(results);
@@ -763,9 +745,10 @@ function FamilyTree() {
     
     if (showRelationshipsRef.current) {
       setReferencePerson(person);
-      const { parentMap, childrenMap, spouseMap } = buildRelationshipMaps();
-      const relationships = calculateAllRelationships(person.id, people, parentMap, childrenMap, spouseMap);
-      setRelationshipMap(relationships);
+      // Full kinship maps (every marriage, adoptions, fostering) for the labels
+      const kinship = buildKinshipMaps(relationships);
+      const labels = calculateAllRelationships(person.id, people, kinship.parentMap, kinship.childrenMap, kinship.spouseMap, kinship);
+      setRelationshipMap(labels);
     }
   };
 
@@ -860,7 +843,7 @@ function FamilyTree() {
   const drawPersonCard = (g, person, x, y, housesById, themeColors) => {
     const birthHouse = housesById.get(person.houseId);
     const originalColor = birthHouse ? birthHouse.colorCode : '#666666';
-    const harmonizedBg = harmonizeColor(originalColor);
+    const harmonizedBg = harmonizeColor(originalColor, isDarkTheme());
     
     let borderColor = themeColors.statusBorders.legitimate;
     if (person.legitimacyStatus === 'bastard') borderColor = themeColors.statusBorders.bastard;
@@ -931,7 +914,7 @@ function FamilyTree() {
         .text(maidenResult.text);
     }
     currentY += 16;
-    const dates = `b. ${person.dateOfBirth}${person.dateOfDeath ? ` - d. ${person.dateOfDeath}` : ''}`;
+    const dates = `b. ${formatCalendarDate(person.dateOfBirth)}${person.dateOfDeath ? ` - d. ${formatCalendarDate(person.dateOfDeath)}` : ''}`;
     const datesResult = truncateText(dates, textMaxWidth, secondaryFontSize);
     card.append('text')
       .attr('x', CARD_WIDTH / 2).attr('y', currentY)
@@ -1009,8 +992,10 @@ function FamilyTree() {
         .attr('y', CARD_HEIGHT - 8)
         .attr('text-anchor', 'middle')
         .attr('fill', '#ffffff')
-        .attr('font-size', '10px')
+        .attr('font-size', relationship.length > 24 ? '8px' : '10px')
         .attr('font-weight', 'bold')
+        .text(relationship)
+        .append('title')
         .text(relationship);
     }
     
@@ -1874,6 +1859,23 @@ function FamilyTree() {
     }
   };
 
+  // Switch between the tree and the ancestor charts
+  // Leaving the tree, a chart opens on the selected person, else the last
+  // chart subject, the person the tree is centred on, or the youngest
+  // member of the house
+  const handleViewModeChange = (mode) => {
+    if (mode !== 'tree' && viewMode === 'tree') {
+      const houseMembers = people
+        .filter(p => p.houseId === selectedHouseId)
+        .sort((a, b) => (parseInt(b.dateOfBirth) || 0) - (parseInt(a.dateOfBirth) || 0));
+      const subjectId = selectedPerson?.id
+        ?? chartPerson?.id
+        ?? (centreOnPersonId !== 'auto' ? centreOnPersonId : houseMembers[0]?.id);
+      setChartPersonId(subjectId ?? null);
+    }
+    setViewMode(mode);
+  };
+
   // Handle house change - clear saved transform to re-center on new house
   const handleHouseChange = (newHouseId) => {
     // Clear the saved transform by removing it from the SVG
@@ -1921,16 +1923,16 @@ function FamilyTree() {
             borderColor: 'var(--border-primary)',
             borderRadius: 'var(--radius-lg)',
             boxShadow: 'var(--shadow-lg)',
-            maxHeight: controlsPanelExpanded ? '600px' : '0',
+            maxHeight: controlsPanelExpanded ? '700px' : '0',
             opacity: controlsPanelExpanded ? '1' : '0',
             padding: controlsPanelExpanded ? '1rem' : '0 1rem'
           }}
         >
-          {/* View House Dropdown */}
-          <label className="block mb-2 font-medium" style={{ color: 'var(--text-primary)' }}>View House:</label>
-          <select 
-            value={selectedHouseId || ''} 
-            onChange={(e) => handleHouseChange(Number(e.target.value))}
+          {/* 🌀 View Mode */}
+          <label className="block mb-2 font-medium" style={{ color: 'var(--text-primary)' }}>View:</label>
+          <select
+            value={viewMode}
+            onChange={(e) => handleViewModeChange(e.target.value)}
             className="w-48 p-2 rounded transition"
             style={{
               backgroundColor: 'var(--bg-tertiary)',
@@ -1940,122 +1942,174 @@ function FamilyTree() {
               borderRadius: 'var(--radius-md)'
             }}
           >
-            {houses.map(house => (
-              <option key={house.id} value={house.id}>
-                {house.houseName}
-                {house.houseType === 'cadet' ? ' (Cadet)' : ''}
-              </option>
-            ))}
+            <option value="tree">Family Tree</option>
+            <option value="fan">Fan Chart</option>
+            <option value="pedigree">Pedigree Chart</option>
           </select>
 
-          {/* Centre On Dropdown */}
-          <div className="mt-4 pt-4" style={{ borderTopWidth: '1px', borderColor: 'var(--border-primary)' }}>
-            <label className="block mb-2 text-sm font-medium" style={{ color: 'var(--text-primary)' }}>Centre On:</label>
-            <select 
-              value={centreOnPersonId} 
-              onChange={(e) => setCentreOnPersonId(e.target.value === 'auto' ? 'auto' : Number(e.target.value))}
-              className="w-48 p-2 rounded transition"
-              style={{
-                backgroundColor: 'var(--bg-tertiary)',
-                color: 'var(--text-primary)',
-                borderWidth: '1px',
-                borderColor: 'var(--border-primary)',
-                borderRadius: 'var(--radius-md)'
-              }}
-            >
-              <option value="auto">Oldest Member</option>
-              {getHouseNotablePeople.map(person => (
-                <option key={person.id} value={person.id}>
-                  {person.firstName} {person.lastName} (b. {person.dateOfBirth})
-                </option>
-              ))}
-            </select>
-          </div>
+          {viewMode !== 'tree' && (
+            <div className="mt-4 pt-4" style={{ borderTopWidth: '1px', borderColor: 'var(--border-primary)' }}>
+              <label className="block mb-2 text-sm font-medium" style={{ color: 'var(--text-primary)' }}>Generations:</label>
+              <select
+                value={chartGenerations}
+                onChange={(e) => setChartGenerations(Number(e.target.value))}
+                className="w-48 p-2 rounded transition"
+                style={{
+                  backgroundColor: 'var(--bg-tertiary)',
+                  color: 'var(--text-primary)',
+                  borderWidth: '1px',
+                  borderColor: 'var(--border-primary)',
+                  borderRadius: 'var(--radius-md)'
+                }}
+              >
+                {ANCESTOR_CHART_GENERATIONS.map(count => (
+                  <option key={count} value={count}>{count} generations</option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs" style={{ color: 'var(--text-secondary)' }}>
+                Counting {chartPerson ? chartPerson.firstName : 'the subject'} as the first
+              </p>
+            </div>
+          )}
 
-          {/* 🪝 Cadet Houses Toggle - Extension Point */}
-          <div className="mt-4 pt-4" style={{ borderTopWidth: '1px', borderColor: 'var(--border-primary)' }}>
-            <label className="flex items-center cursor-pointer transition-opacity hover:opacity-80" style={{ color: 'var(--text-primary)' }}>
-              <input
-                type="checkbox"
-                checked={showCadetHouses}
-                onChange={(e) => setShowCadetHouses(e.target.checked)}
-                className="mr-2 w-4 h-4"
-              />
-              <span className="text-sm">Include Cadet Branches</span>
-            </label>
-            <p className="mt-1 text-xs" style={{ color: 'var(--text-secondary)' }}>
-              Show members of cadet houses descended from this house
-            </p>
-          </div>
+          {viewMode === 'tree' && (
+            <>
+              {/* View House Dropdown */}
+              <div className="mt-4 pt-4" style={{ borderTopWidth: '1px', borderColor: 'var(--border-primary)' }}>
+                <label className="block mb-2 text-sm font-medium" style={{ color: 'var(--text-primary)' }}>View House:</label>
+                <select 
+                  value={selectedHouseId || ''} 
+                  onChange={(e) => handleHouseChange(Number(e.target.value))}
+                  className="w-48 p-2 rounded transition"
+                  style={{
+                    backgroundColor: 'var(--bg-tertiary)',
+                    color: 'var(--text-primary)',
+                    borderWidth: '1px',
+                    borderColor: 'var(--border-primary)',
+                    borderRadius: 'var(--radius-md)'
+                  }}
+                >
+                  {houses.map(house => (
+                    <option key={house.id} value={house.id}>
+                      {house.houseName}
+                      {house.houseType === 'cadet' ? ' (Cadet)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
 
-          {/* Generation Spacing */}
-          <div className="mt-4 pt-4" style={{ borderTopWidth: '1px', borderColor: 'var(--border-primary)' }}>
-            <label className="block mb-2 text-sm font-medium" style={{ color: 'var(--text-primary)' }}>Generation Spacing:</label>
-            <select 
-              value={verticalSpacing} 
-              onChange={(e) => setVerticalSpacing(Number(e.target.value))}
-              className="w-48 p-2 rounded transition"
-              style={{
-                backgroundColor: 'var(--bg-tertiary)',
-                color: 'var(--text-primary)',
-                borderWidth: '1px',
-                borderColor: 'var(--border-primary)',
-                borderRadius: 'var(--radius-md)'
-              }}
-            >
-              <option value={100}>100px (Spacious)</option>
-              <option value={80}>80px</option>
-              <option value={60}>60px</option>
-              <option value={50}>50px (Default)</option>
-              <option value={40}>40px</option>
-              <option value={30}>30px (Compact)</option>
-            </select>
-          </div>
+              {/* Centre On Dropdown */}
+              <div className="mt-4 pt-4" style={{ borderTopWidth: '1px', borderColor: 'var(--border-primary)' }}>
+                <label className="block mb-2 text-sm font-medium" style={{ color: 'var(--text-primary)' }}>Centre On:</label>
+                <select 
+                  value={centreOnPersonId} 
+                  onChange={(e) => setCentreOnPersonId(e.target.value === 'auto' ? 'auto' : Number(e.target.value))}
+                  className="w-48 p-2 rounded transition"
+                  style={{
+                    backgroundColor: 'var(--bg-tertiary)',
+                    color: 'var(--text-primary)',
+                    borderWidth: '1px',
+                    borderColor: 'var(--border-primary)',
+                    borderRadius: 'var(--radius-md)'
+                  }}
+                >
+                  <option value="auto">Oldest Member</option>
+                  {getHouseNotablePeople.map(person => (
+                    <option key={person.id} value={person.id}>
+                      {person.firstName} {person.lastName} (b. {person.dateOfBirth})
+                    </option>
+                  ))}
+                </select>
+              </div>
 
-          {/* Show Relationships Toggle */}
-          <div className="mt-4 pt-4" style={{ borderTopWidth: '1px', borderColor: 'var(--border-primary)' }}>
-            <label className="flex items-center cursor-pointer transition-opacity hover:opacity-80" style={{ color: 'var(--text-primary)' }}>
-              <input
-                type="checkbox"
-                checked={showRelationships}
-                onChange={(e) => {
-                  const checked = e.target.checked;
-                  setShowRelationships(checked);
-                  showRelationshipsRef.current = checked;
-                  if (!checked) {
-                    setReferencePerson(null);
-                    setRelationshipMap(new Map());
-                  }
-                }}
-                className="mr-2 w-4 h-4"
-              />
-              <span className="text-sm">Show Relationships</span>
-            </label>
-            {showRelationships && referencePerson && (
-              <div className="mt-2 text-xs p-2 rounded" style={{ backgroundColor: 'var(--bg-tertiary)', color: 'var(--text-secondary)' }}>
-                Reference: {referencePerson.firstName} {referencePerson.lastName}
+              {/* 🪝 Cadet Houses Toggle - Extension Point */}
+              <div className="mt-4 pt-4" style={{ borderTopWidth: '1px', borderColor: 'var(--border-primary)' }}>
+                <label className="flex items-center cursor-pointer transition-opacity hover:opacity-80" style={{ color: 'var(--text-primary)' }}>
+                  <input
+                    type="checkbox"
+                    checked={showCadetHouses}
+                    onChange={(e) => setShowCadetHouses(e.target.checked)}
+                    className="mr-2 w-4 h-4"
+                  />
+                  <span className="text-sm">Include Cadet Branches</span>
+                </label>
+                <p className="mt-1 text-xs" style={{ color: 'var(--text-secondary)' }}>
+                  Show members of cadet houses descended from this house
+                </p>
               </div>
-            )}
-          </div>
+
+              {/* Generation Spacing */}
+              <div className="mt-4 pt-4" style={{ borderTopWidth: '1px', borderColor: 'var(--border-primary)' }}>
+                <label className="block mb-2 text-sm font-medium" style={{ color: 'var(--text-primary)' }}>Generation Spacing:</label>
+                <select 
+                  value={verticalSpacing} 
+                  onChange={(e) => setVerticalSpacing(Number(e.target.value))}
+                  className="w-48 p-2 rounded transition"
+                  style={{
+                    backgroundColor: 'var(--bg-tertiary)',
+                    color: 'var(--text-primary)',
+                    borderWidth: '1px',
+                    borderColor: 'var(--border-primary)',
+                    borderRadius: 'var(--radius-md)'
+                  }}
+                >
+                  <option value={100}>100px (Spacious)</option>
+                  <option value={80}>80px</option>
+                  <option value={60}>60px</option>
+                  <option value={50}>50px (Default)</option>
+                  <option value={40}>40px</option>
+                  <option value={30}>30px (Compact)</option>
+                </select>
+              </div>
+
+              {/* Show Relationships Toggle */}
+              <div className="mt-4 pt-4" style={{ borderTopWidth: '1px', borderColor: 'var(--border-primary)' }}>
+                <label className="flex items-center cursor-pointer transition-opacity hover:opacity-80" style={{ color: 'var(--text-primary)' }}>
+                  <input
+                    type="checkbox"
+                    checked={showRelationships}
+                    onChange={(e) => {
+                      const checked = e.target.checked;
+                      setShowRelationships(checked);
+                      showRelationshipsRef.current = checked;
+                      if (!checked) {
+                        setReferencePerson(null);
+                        setRelationshipMap(new Map());
+                      }
+                    }}
+                    className="mr-2 w-4 h-4"
+                  />
+                  <span className="text-sm">Show Relationships</span>
+                </label>
+                {showRelationships && referencePerson && (
+                  <div className="mt-2 text-xs p-2 rounded" style={{ backgroundColor: 'var(--bg-tertiary)', color: 'var(--text-secondary)' }}>
+                    Reference: {referencePerson.firstName} {referencePerson.lastName}
+                  </div>
+                )}
+              </div>
+            </>
+          )}
         </div>
       </div>
 
-      <TreeControls 
-        svgRef={svgRef} 
-        zoomBehaviorRef={zoomBehaviorRef} 
-        showCadetHouses={showCadetHouses}
-        onToggleCadetHouses={(checked) => setShowCadetHouses(checked)} 
-        zoomLevel={zoomLevel}
-        onZoomChange={(level) => setZoomLevel(level)} 
-        isDarkTheme={isDarkTheme()}
-      />
+      {viewMode === 'tree' && (
+        <TreeControls 
+          svgRef={svgRef} 
+          zoomBehaviorRef={zoomBehaviorRef} 
+          showCadetHouses={showCadetHouses}
+          onToggleCadetHouses={(checked) => setShowCadetHouses(checked)} 
+          zoomLevel={zoomLevel}
+          onZoomChange={(level) => setZoomLevel(level)} 
+          isDarkTheme={isDarkTheme()}
+        />
+      )}
 
       {/* ════════════════════════════════════════════════════════════════════════
           FRAGMENT PANEL
           Shows when there are disconnected sub-trees in the current house view.
           Allows users to see which fragments exist and navigate between them.
           ════════════════════════════════════════════════════════════════════════ */}
-      {fragmentInfo.hasMultipleFragments && showFragmentPanel && (
+      {viewMode === 'tree' && fragmentInfo.hasMultipleFragments && showFragmentPanel && (
         <div 
           className="fixed bottom-6 left-6 z-10 max-w-sm"
           style={{
@@ -2243,7 +2297,22 @@ function FamilyTree() {
       )}
 
       <div className="relative w-full h-screen overflow-hidden" style={{ backgroundColor: 'var(--bg-primary)' }}>
-        <svg ref={svgRef} className="tree-svg"></svg>
+        <svg ref={svgRef} className="tree-svg" style={{ display: viewMode === 'tree' ? 'block' : 'none' }}></svg>
+
+        {/* 🌀 Ancestor charts */}
+        {viewMode !== 'tree' && chartPerson && (
+          <AncestorChart
+            type={viewMode}
+            person={chartPerson}
+            people={people}
+            houses={houses}
+            relationships={relationships}
+            generations={chartGenerations}
+            theme={theme}
+            onPersonClick={setSelectedPerson}
+            onPersonFocus={(person) => setChartPersonId(person.id)}
+          />
+        )}
       </div>
 
       {selectedPerson && (
@@ -2256,8 +2325,8 @@ function FamilyTree() {
             // Also update relationship calculator if active
             if (showRelationshipsRef.current) {
               setReferencePerson(newPerson);
-              const { parentMap, childrenMap, spouseMap } = buildRelationshipMaps();
-              const newRelationships = calculateAllRelationships(newPerson.id, people, parentMap, childrenMap, spouseMap);
+              const kinship = buildKinshipMaps(relationships);
+              const newRelationships = calculateAllRelationships(newPerson.id, people, kinship.parentMap, kinship.childrenMap, kinship.spouseMap, kinship);
               setRelationshipMap(newRelationships);
             }
           }}
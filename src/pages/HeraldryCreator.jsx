@@ -1,27 +1,35 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import {
   createHeraldry,
   getHeraldry,
   updateHeraldry,
-  linkHeraldryToEntity
+  linkHeraldryToEntity,
+  getArmorialEntry
 } from '../services/heraldryService';
 import { getEntryByHeraldryId, createEntry } from '../services/codexService'; // PHASE 5 Batch 3 + Auto-creation
 import { getAllHouses, getHouse, updateHouse } from '../services/database';
 import { createSVGHeraldryWithMask } from '../utils/shieldSVGProcessor';
 import { convertSVGtoPNG } from '../utils/armoriaIntegration';
 import {
-  CHARGES,
   CHARGE_CATEGORIES,
+  getCharge,
   getChargesByCategory,
+  getCustomCharges,
   generateChargeBlazon
 } from '../data/unifiedChargesLibrary';
+import { LINE_STYLES } from '../data/divisions';
+import { parseBlazon } from '../utils/blazonParser';
+import { lintComposition } from '../utils/tinctureLinter';
+import { addCadencyToSVG, generatePersonalArmsBlazon } from '../utils/personalArmsRenderer';
+import { exportArmsSVG, exportArmorialPDF } from '../utils/heraldryExport';
 import Navigation from '../components/Navigation';
 import ExternalChargeRenderer, {
   generateExternalChargeSVGAsync
 } from '../components/heraldry/ExternalChargeRenderer';
 import { useAuth } from '../contexts/AuthContext';
 import { useDataset } from '../contexts/DatasetContext';
+import useCustomCharges from '../hooks/useCustomCharges';
 import {
   syncAddHeraldry,
   syncUpdateHeraldry,
@@ -78,20 +86,6 @@ const TINCTURES = {
   murrey: { hex: '#8B008B', name: 'Murrey (Mulberry)', type: 'stain' }
 };
 
-// Line styles for partition lines
-const LINE_STYLES = {
-  straight: { name: 'Straight', description: 'Default straight line', blazon: '' },
-  wavy: { name: 'Wavy', description: 'Undulating waves', blazon: 'wavy' },
-  engrailed: { name: 'Engrailed', description: 'Scalloped outward', blazon: 'engrailed' },
-  invected: { name: 'Invected', description: 'Scalloped inward', blazon: 'invected' },
-  embattled: { name: 'Embattled', description: 'Battlements/crenellated', blazon: 'embattled' },
-  indented: { name: 'Indented', description: 'Zigzag teeth', blazon: 'indented' },
-  dancetty: { name: 'Dancetty', description: 'Large zigzag', blazon: 'dancetty' },
-  raguly: { name: 'Raguly', description: 'Broken branch stubs', blazon: 'raguly' },
-  dovetailed: { name: 'Dovetailed', description: 'Dovetail joints', blazon: 'dovetailed' },
-  nebuly: { name: 'Nebuly', description: 'Cloud-like curves', blazon: 'nebuly' }
-};
-
 // ═══════════════════════════════════════════════════════════════════════════════
 // SEPARATED: FIELD DIVISIONS vs ORDINARIES
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -264,18 +258,24 @@ const CATEGORIES = [
 ];
 
 // Charge arrangements for multiple charges
+// (inChief sits on a chief: "on a chief Or three mullets Gules")
 const CHARGE_ARRANGEMENTS = {
-  1: { fessPoint: [{ x: 100, y: 90 }] },
+  1: {
+    fessPoint: [{ x: 100, y: 90 }],
+    inChief: [{ x: 100, y: 30 }]
+  },
   2: {
     pale: [{ x: 100, y: 60 }, { x: 100, y: 130 }],
-    fess: [{ x: 65, y: 90 }, { x: 135, y: 90 }]
+    fess: [{ x: 65, y: 90 }, { x: 135, y: 90 }],
+    inChief: [{ x: 65, y: 30 }, { x: 135, y: 30 }]
   },
   3: {
     twoAndOne: [{ x: 65, y: 60 }, { x: 135, y: 60 }, { x: 100, y: 130 }],
     oneAndTwo: [{ x: 100, y: 50 }, { x: 65, y: 120 }, { x: 135, y: 120 }],
     pale: [{ x: 100, y: 40 }, { x: 100, y: 100 }, { x: 100, y: 160 }],
     fess: [{ x: 50, y: 90 }, { x: 100, y: 90 }, { x: 150, y: 90 }],
-    bend: [{ x: 50, y: 50 }, { x: 100, y: 100 }, { x: 150, y: 150 }]
+    bend: [{ x: 50, y: 50 }, { x: 100, y: 100 }, { x: 150, y: 150 }],
+    inChief: [{ x: 50, y: 30 }, { x: 100, y: 30 }, { x: 150, y: 30 }]
   }
 };
 
@@ -291,6 +291,9 @@ const CHARGE_SIZES = {
   titanic: { name: 'Titanic', scale: 2.3 }
 };
 
+// Charge picker tab listing the dataset's uploaded charges
+const UPLOADED_CATEGORY = 'uploaded';
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // LINE PATH GENERATORS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -942,19 +945,28 @@ function generateOrdinaryBlazon(ordinary) {
  */
 function generateFullBlazon(field, ordinaries, charges) {
   let blazon = generateFieldBlazon(field);
+
+  const chargeBlazonOf = (charge) => {
+    const chargeTinctureName = TINCTURES[charge.tincture]?.name.split(' ')[0] || charge.tincture;
+    return generateChargeBlazon(charge.chargeId, chargeTinctureName, charge.count || 1);
+  };
+  const placed = new Set();
   
-  // Add ordinaries
-  for (const ordinary of ordinaries) {
+  // Add ordinaries, with any charges lying on them ("on a chief Or three mullets Gules")
+  ordinaries.forEach((ordinary, index) => {
     const ordBlazon = generateOrdinaryBlazon(ordinary);
-    if (ordBlazon) {
-      blazon += `, ${ordBlazon}`;
-    }
-  }
+    if (!ordBlazon) return;
+
+    const onIt = charges.filter(charge => charge.onOrdinary === index);
+    onIt.forEach(charge => placed.add(charge));
+    const onBlazon = onIt.map(chargeBlazonOf).filter(Boolean).join(' and ');
+    blazon += onBlazon ? `, on ${ordBlazon} ${onBlazon}` : `, ${ordBlazon}`;
+  });
   
   // Add charges
   for (const charge of charges) {
-    const chargeTinctureName = TINCTURES[charge.tincture]?.name.split(' ')[0] || charge.tincture;
-    const chargeBlazon = generateChargeBlazon(charge.chargeId, chargeTinctureName, charge.count || 1);
+    if (placed.has(charge)) continue;
+    const chargeBlazon = chargeBlazonOf(charge);
     if (chargeBlazon) {
       blazon += `, ${chargeBlazon}`;
     }
@@ -970,7 +982,7 @@ function generateFullBlazon(field, ordinaries, charges) {
 function LazyChargePreview({ chargeId, tincture, size = 50, selected, onClick, showName = true }) {
   const [isVisible, setIsVisible] = useState(false);
   const cardRef = useRef(null);
-  const chargeData = CHARGES[chargeId];
+  const chargeData = getCharge(chargeId);
   
   useEffect(() => {
     const observer = new IntersectionObserver(
@@ -1239,18 +1251,22 @@ function ChargeCard({
 }) {
   const [expanded, setExpanded] = useState(true);
   const [activeCategory, setActiveCategory] = useState(() => {
-    const chargeData = CHARGES[charge.chargeId];
+    const chargeData = getCharge(charge.chargeId);
     return chargeData?.category || 'beasts';
   });
   
-  const chargeData = CHARGES[charge.chargeId];
+  const chargeData = getCharge(charge.chargeId);
   const tinctureDef = TINCTURES[charge.tincture];
   const sizeDef = CHARGE_SIZES[charge.size];
   const isVisible = charge.visible !== false;
   
   const summaryText = `${chargeData?.name || charge.chargeId} — ${tinctureDef?.name.split(' ')[0] || charge.tincture}, ${sizeDef?.name || charge.size}`;
   
-  const categoryCharges = getChargesByCategory(activeCategory);
+  const uploadedCharges = getCustomCharges();
+  const hasUploads = Object.keys(uploadedCharges).length > 0;
+  const categoryCharges = activeCategory === UPLOADED_CATEGORY
+    ? uploadedCharges
+    : getChargesByCategory(activeCategory);
   
   return (
     <div className={`element-card ${!isVisible ? 'hidden-layer' : ''}`}>
@@ -1324,6 +1340,16 @@ function ChargeCard({
                   <span>{cat.icon}</span> {cat.name}
                 </button>
               ))}
+              {hasUploads && (
+                <button
+                  type="button"
+                  className={`line-style-option ${activeCategory === UPLOADED_CATEGORY ? 'selected' : ''}`}
+                  onClick={() => setActiveCategory(UPLOADED_CATEGORY)}
+                  title="Charges uploaded to this dataset"
+                >
+                  <span>⬆</span> Uploaded
+                </button>
+              )}
             </div>
           </div>
           
@@ -1395,7 +1421,8 @@ function ChargeCard({
                   className={`count-button ${charge.count === num ? 'selected' : ''}`}
                   onClick={() => {
                     const updates = { count: num };
-                    if (num === 1) updates.arrangement = 'fessPoint';
+                    if (charge.arrangement === 'inChief') updates.arrangement = 'inChief';
+                    else if (num === 1) updates.arrangement = 'fessPoint';
                     else if (num === 2) updates.arrangement = 'pale';
                     else updates.arrangement = 'twoAndOne';
                     onUpdate(index, updates);
@@ -1408,7 +1435,7 @@ function ChargeCard({
           </div>
           
           {/* Arrangement */}
-          {charge.count > 1 && (
+          {Object.keys(CHARGE_ARRANGEMENTS[charge.count] || {}).length > 1 && (
             <div className="element-option">
               <label>Arrangement</label>
               <div className="thickness-controls">
@@ -1423,7 +1450,9 @@ function ChargeCard({
                      arr === 'oneAndTwo' ? '1 & 2' :
                      arr === 'pale' ? 'In Pale' :
                      arr === 'fess' ? 'In Fess' :
-                     arr === 'bend' ? 'In Bend' : arr}
+                     arr === 'bend' ? 'In Bend' :
+                     arr === 'inChief' ? 'In Chief' :
+                     arr === 'fessPoint' ? 'Fess Point' : arr}
                   </button>
                 ))}
               </div>
@@ -1448,6 +1477,7 @@ function HeraldryCreator() {
   // ☁️ Get user for cloud sync
   const { user } = useAuth();
   const { activeDataset } = useDataset();
+  const { customCharges } = useCustomCharges();
 
   const isEditMode = !!id;
   
@@ -1498,8 +1528,22 @@ function HeraldryCreator() {
     }
   };
   
+  // Keep charges lying on an ordinary (charge.onOrdinary) with it when the
+  // ordinary stack changes; newIndexOf returns null when it is gone
+  const remapChargesOnOrdinaries = (newIndexOf) => {
+    setCharges(prev => prev.map(charge => {
+      if (charge.onOrdinary === undefined) return charge;
+      const next = newIndexOf(charge.onOrdinary);
+      if (next === charge.onOrdinary) return charge;
+      if (next !== null) return { ...charge, onOrdinary: next };
+      const { onOrdinary: _DROPPED, ...rest } = charge;
+      return rest;
+    }));
+  };
+
   const removeOrdinary = (index) => {
     setOrdinaries(ordinaries.filter((_, i) => i !== index));
+    remapChargesOnOrdinaries(i => (i === index ? null : i > index ? i - 1 : i));
   };
   
   const updateOrdinary = (index, updates) => {
@@ -1515,6 +1559,7 @@ function HeraldryCreator() {
     [newOrdinaries[index - 1], newOrdinaries[index]] = 
       [newOrdinaries[index], newOrdinaries[index - 1]];
     setOrdinaries(newOrdinaries);
+    remapChargesOnOrdinaries(i => (i === index ? index - 1 : i === index - 1 ? index : i));
   };
   
   // Move ordinary down in the layer stack
@@ -1524,6 +1569,7 @@ function HeraldryCreator() {
     [newOrdinaries[index], newOrdinaries[index + 1]] = 
       [newOrdinaries[index + 1], newOrdinaries[index]];
     setOrdinaries(newOrdinaries);
+    remapChargesOnOrdinaries(i => (i === index ? index + 1 : i === index + 1 ? index : i));
   };
   
   // Duplicate an ordinary
@@ -1533,6 +1579,7 @@ function HeraldryCreator() {
     const newOrdinaries = [...ordinaries];
     newOrdinaries.splice(index + 1, 0, copy);
     setOrdinaries(newOrdinaries);
+    remapChargesOnOrdinaries(i => (i > index ? i + 1 : i));
   };
   
   // Toggle ordinary visibility
@@ -1599,6 +1646,23 @@ function HeraldryCreator() {
     ));
   };
   
+  // Blazon import
+  const [blazonInput, setBlazonInput] = useState('');
+  const [blazonReport, setBlazonReport] = useState(null);
+  
+  // Build the layers from a written blazon, keeping the report of what
+  // couldn't be read so the user can fix it by hand
+  const applyBlazon = () => {
+    if (!blazonInput.trim()) return;
+    const result = parseBlazon(blazonInput, { tinctures: Object.keys(TINCTURES), charges: customCharges });
+    setBlazonReport(result);
+    if (!result.success) return;
+    
+    setField(result.composition.field);
+    setOrdinaries(result.composition.ordinaries);
+    setCharges(result.composition.charges);
+  };
+  
   // Generated content
   const [blazon, setBlazon] = useState('');
   const [previewSVG, setPreviewSVG] = useState(null);
@@ -1607,14 +1671,16 @@ function HeraldryCreator() {
   // Data
   const [houses, setHouses] = useState([]);
   const [existingHeraldry, setExistingHeraldry] = useState(null);
+  const [marshalledComposition, setMarshalledComposition] = useState(null);
+  const [cadency, setCadency] = useState(null); // Personal arms keep their cadency mark
   const [linkedCodexEntry, setLinkedCodexEntry] = useState(null); // PHASE 5 Batch 3
   
   // UI state
   const [loading, setLoading] = useState(true);
   const [generating, setGenerating] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [exporting, setExporting] = useState(null); // 'svg' | 'pdf' while exporting
   const [activeSection, setActiveSection] = useState('field');
-  const [showRuleWarning, setShowRuleWarning] = useState(false);
   
   // Get current field division info
   const currentDivision = FIELD_DIVISIONS[field.division] || {};
@@ -1652,8 +1718,14 @@ function HeraldryCreator() {
           if (heraldry.composition) {
             const comp = heraldry.composition;
             
-            // Check if this is the new layered format
-            if (comp.field) {
+            // Marshalled arms are built from other arms, not from layers
+            if (comp.cadency) {
+              setCadency(comp.cadency);
+            }
+
+            if (comp.marshalling) {
+              setMarshalledComposition(comp);
+            } else if (comp.field) {
               // New layered format
               setField(comp.field);
               setOrdinaries(comp.ordinaries || []);
@@ -1718,26 +1790,43 @@ function HeraldryCreator() {
     setLoading(false);
   }
   
-  // Check rule of tincture for field
-  useEffect(() => {
-    const t1Type = TINCTURES[field.tincture1]?.type;
-    const t2Type = TINCTURES[field.tincture2]?.type;
-    const adjacentDivisions = ['perPale', 'perFess', 'perBend', 'perBendSinister', 'quarterly', 'perSaltire', 'perChevron'];
-    
-    if (adjacentDivisions.includes(field.division)) {
-      if ((t1Type === 'metal' && t2Type === 'metal') || 
-          (t1Type === 'colour' && t2Type === 'colour')) {
-        setShowRuleWarning(true);
-      } else {
-        setShowRuleWarning(false);
-      }
-    } else {
-      setShowRuleWarning(false);
+  // Rule of tincture and other conventions across the whole layer stack
+  const lint = useMemo(() => {
+    if (marshalledComposition) return { exempt: false, issues: [] };
+    return lintComposition({ field, ordinaries, charges, category }, {
+      tinctures: TINCTURES,
+      ordinaries: ORDINARIES,
+      chargeArrangements: CHARGE_ARRANGEMENTS,
+      chargeSizes: CHARGE_SIZES
+    });
+  }, [field, ordinaries, charges, category, marshalledComposition]);
+
+  const applyLintFix = (fix) => {
+    if (fix.layer === 'field') {
+      setField(prev => ({ ...prev, ...fix.changes }));
+    } else if (fix.layer === 'ordinary') {
+      if (fix.remove) removeOrdinary(fix.index);
+      else updateOrdinary(fix.index, fix.changes);
+    } else if (fix.layer === 'charge') {
+      if (fix.remove) removeCharge(fix.index);
+      else updateCharge(fix.index, fix.changes);
     }
-  }, [field.tincture1, field.tincture2, field.division]);
+  };
   
   // Generate preview with layered composition
+  const previewRunRef = useRef(0);
   const generatePreview = useCallback(async () => {
+    const run = ++previewRunRef.current;
+
+    // Marshalled arms keep the shield they were built with
+    if (marshalledComposition) {
+      setPreviewSVG(existingHeraldry?.heraldrySVG || null);
+      setRawSVG(existingHeraldry?.heraldrySourceSVG || null);
+      setBlazon(existingHeraldry?.blazon || '');
+      setGenerating(false);
+      return;
+    }
+
     setGenerating(true);
     try {
       // 1. Generate field SVG
@@ -1759,11 +1848,13 @@ function HeraldryCreator() {
         let chargeSVGContent = '';
         
         if (charge.count === 1) {
+          const [position] = CHARGE_ARRANGEMENTS[1][charge.arrangement] || CHARGE_ARRANGEMENTS[1].fessPoint;
           chargeSVGContent = await generateExternalChargeSVGAsync(
             charge.chargeId, 
             chargeHex, 
-            100, 90, 
-            sizeScale
+            position.x, position.y, 
+            sizeScale,
+            { uploads: customCharges }
           );
         } else {
           const arrangements = CHARGE_ARRANGEMENTS[charge.count];
@@ -1776,7 +1867,8 @@ function HeraldryCreator() {
               chargeHex,
               pos.x,
               pos.y,
-              sizeScale * 0.7
+              sizeScale * 0.7,
+              { uploads: customCharges }
             )
           );
           
@@ -1789,21 +1881,24 @@ function HeraldryCreator() {
       
       // Wrap in SVG container
       const fullSVG = `<svg viewBox="0 0 200 200" xmlns="http://www.w3.org/2000/svg">${svgContent}</svg>`;
-      setRawSVG(fullSVG);
       
       // 4. Apply shield mask
       const maskedSVG = await createSVGHeraldryWithMask(fullSVG, shieldType, 400);
-      setPreviewSVG(maskedSVG);
+
+      // A newer preview (or loaded marshalled arms) has superseded this one
+      if (run !== previewRunRef.current) return;
+      setRawSVG(cadency ? addCadencyToSVG(fullSVG, cadency) : fullSVG);
+      setPreviewSVG(cadency ? addCadencyToSVG(maskedSVG, cadency) : maskedSVG);
       
       // 5. Generate blazon
       const newBlazon = generateFullBlazon(field, ordinaries, charges);
-      setBlazon(newBlazon);
+      setBlazon(cadency ? generatePersonalArmsBlazon(newBlazon, cadency) : newBlazon);
       
     } catch (error) {
       console.error('Error generating preview:', error);
     }
     setGenerating(false);
-  }, [field, ordinaries, charges, shieldType]);
+  }, [field, ordinaries, charges, shieldType, cadency, marshalledComposition, existingHeraldry, customCharges]);
   
   useEffect(() => {
     generatePreview();
@@ -1837,11 +1932,12 @@ function HeraldryCreator() {
         heraldryThumbnail: pngVersions.thumbnail,
         heraldryHighRes: pngVersions.highRes,
         shieldType: shieldType,
-        composition: {
+        composition: marshalledComposition || {
           // New layered format
           field,
           ordinaries,
           charges,
+          ...(cadency ? { cadency } : {}),
           generatedAt: new Date().toISOString(),
           version: 2 // Mark as layered format
         },
@@ -1949,6 +2045,24 @@ function HeraldryCreator() {
     setSaving(false);
   }
   
+  // Export the saved arms (not unsaved edits) with their house and bearers
+  async function handleExport(format) {
+    setExporting(format);
+    try {
+      const entry = await getArmorialEntry(parseInt(id), activeDataset?.id);
+      if (!entry) throw new Error('Heraldry not found');
+      if (format === 'svg') {
+        await exportArmsSVG(entry);
+      } else {
+        await exportArmorialPDF([entry], entry.heraldry.name || 'Armorial');
+      }
+    } catch (error) {
+      console.error('Error exporting heraldry:', error);
+      alert(`Failed to export heraldry: ${error.message}`);
+    }
+    setExporting(null);
+  }
+  
   if (loading) {
     return (
       <>
@@ -2009,13 +2123,29 @@ function HeraldryCreator() {
                 </div>
               )}
               
-              {showRuleWarning && (
-                <div className="rule-warning">
-                  <span className="warning-icon">⚠️</span>
-                  <p>
-                    <strong>Rule of Tincture:</strong> Metal on metal or colour on colour 
-                    is traditionally avoided. This design may violate convention.
-                  </p>
+              {lint.exempt ? (
+                <div className="rule-lint rule-lint--exempt">
+                  <p>✨ Fantasy arms are exempt from the rule of tincture.</p>
+                </div>
+              ) : lint.issues.length > 0 && (
+                <div className="rule-lint">
+                  <h3>⚠️ Rule of Tincture</h3>
+                  <ul className="rule-lint-list">
+                    {lint.issues.map(issue => (
+                      <li key={issue.id} className={`rule-lint-issue rule-lint-issue--${issue.severity}`}>
+                        <p className="rule-lint-message">{issue.message}</p>
+                        <p className="rule-lint-suggestion">{issue.suggestion}</p>
+                        {issue.fix && (
+                          <button
+                            className="rule-lint-fix"
+                            onClick={() => applyLintFix(issue.fix)}
+                          >
+                            Apply fix
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
                 </div>
               )}
               
@@ -2056,6 +2186,29 @@ function HeraldryCreator() {
                   )}
                 </div>
               )}
+              
+              {isEditMode && (
+                <div className="export-section">
+                  <h3>🖨️ Export</h3>
+                  <p>Saved arms with blazon, house and bearers.</p>
+                  <div className="export-buttons">
+                    <button
+                      className="export-button"
+                      onClick={() => handleExport('svg')}
+                      disabled={exporting !== null}
+                    >
+                      {exporting === 'svg' ? 'Exporting...' : '⬇ SVG'}
+                    </button>
+                    <button
+                      className="export-button"
+                      onClick={() => handleExport('pdf')}
+                      disabled={exporting !== null}
+                    >
+                      {exporting === 'pdf' ? 'Exporting...' : '⬇ PDF'}
+                    </button>
+                  </div>
+                </div>
+              )}
             </div>
           </aside>
           
@@ -2088,6 +2241,99 @@ function HeraldryCreator() {
                 />
               </div>
             </section>
+
+            {/* Marshalled arms notice */}
+            {marshalledComposition && (
+              <section className="design-section">
+                <h2 className="section-title">⚔️ Marshalled Arms</h2>
+                <p className="section-help">
+                  These arms combine other coats of arms ({marshalledComposition.marshalling.type}).
+                  Rebuild them from the Marshalled Arms section of a family member to pick up
+                  changes to the parts. Designing over them here replaces them with a single design.
+                </p>
+                <button
+                  className="add-element-btn"
+                  onClick={() => setMarshalledComposition(null)}
+                >
+                  Design over these arms
+                </button>
+              </section>
+            )}
+            
+            {/* ═══════════════════════════════════════════════════════════════
+                FROM BLAZON
+                ═══════════════════════════════════════════════════════════════ */}
+            <section className="design-section">
+              <h2 
+                className={`section-title collapsible ${activeSection === 'blazon' ? 'active' : ''}`}
+                onClick={() => setActiveSection(activeSection === 'blazon' ? '' : 'blazon')}
+              >
+                <span>📜 From Blazon</span>
+                <span className="collapse-icon">{activeSection === 'blazon' ? '▼' : '▶'}</span>
+              </h2>
+              
+              {activeSection === 'blazon' && (
+                <div className="layer-section-content">
+                  <p className="section-help">
+                    Paste a written blazon to build the field, ordinaries and charges from it.
+                    This replaces the current layers.
+                  </p>
+                  <textarea
+                    value={blazonInput}
+                    onChange={(e) => setBlazonInput(e.target.value)}
+                    placeholder="e.g., Azure, a bend wavy Or between two lions rampant Argent"
+                    className="text-input textarea"
+                    rows={3}
+                  />
+                  <button
+                    type="button"
+                    className="add-element-btn blazon-import__button"
+                    onClick={applyBlazon}
+                    disabled={!blazonInput.trim()}
+                  >
+                    Build from Blazon
+                  </button>
+                  
+                  {blazonReport && (
+                    <div className="blazon-import__report">
+                      <p className="blazon-import__tokens">
+                        {blazonReport.tokens.map((token, index) => (
+                          <span
+                            key={index}
+                            className={token.known ? 'blazon-import__token' : 'blazon-import__token blazon-import__token--unknown'}
+                          >
+                            {token.text}{' '}
+                          </span>
+                        ))}
+                      </p>
+                      {!blazonReport.fieldFound && (
+                        <p className="blazon-import__message blazon-import__message--error">
+                          No field tincture found — a blazon starts with the field, e.g. "Gules" or "Per pale Or and Azure".
+                        </p>
+                      )}
+                      {blazonReport.fieldFound && !blazonReport.success && (
+                        <p className="blazon-import__message blazon-import__message--error">
+                          A charge couldn't be drawn, so the arms were not changed — reword it or pick the nearest charge by hand.
+                        </p>
+                      )}
+                      {blazonReport.unrecognized.length > 0 && (
+                        <p className="blazon-import__message blazon-import__message--error">
+                          Not recognized: {blazonReport.unrecognized.join(', ')}
+                        </p>
+                      )}
+                      {blazonReport.warnings.map((warning, index) => (
+                        <p key={index} className="blazon-import__message">⚠️ {warning}</p>
+                      ))}
+                      {blazonReport.success && blazonReport.unrecognized.length === 0 && blazonReport.warnings.length === 0 && (
+                        <p className="blazon-import__message blazon-import__message--success">
+                          ✓ Every word was recognized
+                        </p>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </section>
             
             {/* ═══════════════════════════════════════════════════════════════
                 FIELD (Base Layer)
@@ -9,6 +9,7 @@
  * - Search and filter capabilities
  * - Grid gallery of heraldry cards
  * - House coverage progress
+ * - Roll of arms export (SVG print sheets, PDF armorial)
  * - Quick actions
  *
  * DESIGN:
@@ -23,8 +24,10 @@ import {
   getAllHeraldry,
   getHeraldryStatistics,
   deleteHeraldry,
-  getHeraldryLinks
+  getHeraldryLinks,
+  getRollOfArms
 } from '../services/heraldryService';
+import { exportRollOfArmsSVG, exportArmorialPDF } from '../utils/heraldryExport';
 import { getAllHouses, getDatabase } from '../services/database';
 import { getAllEntries } from '../services/codexService';
 import { useDataset } from '../contexts/DatasetContext';
@@ -97,6 +100,9 @@ function HeraldryLanding() {
   const [searchTerm, setSearchTerm] = useState('');
   const [filterCategory, setFilterCategory] = useState('all');
   const [sortBy, setSortBy] = useState('updated');
+  const [rollHouseId, setRollHouseId] = useState('');
+  const [exportingRoll, setExportingRoll] = useState(null);
+  const [rollError, setRollError] = useState(null);
 
   // Load data
   useEffect(() => {
@@ -249,6 +255,28 @@ function HeraldryLanding() {
     }
   }, []);
 
+  const handleExportRoll = useCallback(async (format) => {
+    const houseId = Number(rollHouseId);
+    if (!houseId) return;
+
+    setExportingRoll(format);
+    setRollError(null);
+    try {
+      const { house, entries } = await getRollOfArms(houseId, activeDataset?.id);
+      const title = `House ${house.houseName} - Roll of Arms`;
+      if (format === 'svg') {
+        await exportRollOfArmsSVG(entries, title);
+      } else {
+        await exportArmorialPDF(entries, title);
+      }
+    } catch (error) {
+      console.error('Error exporting roll of arms:', error);
+      setRollError(error.message);
+    } finally {
+      setExportingRoll(null);
+    }
+  }, [rollHouseId, activeDataset]);
+
   const handleViewInCodex = useCallback((entryId, event) => {
     event.stopPropagation();
     navigate(`/codex/entry/${entryId}`);
@@ -626,6 +654,62 @@ function HeraldryLanding() {
               </motion.section>
             )}
 
+            {/* Roll of Arms Export */}
+            {houses.length > 0 && heraldry.length > 0 && (
+              <motion.section
+                className="armory-rolls"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.5, delay: 0.45 }}
+              >
+                <SectionHeader icon="scroll-text" title="Rolls of Arms" size="md" />
+                <Card className="armory-rolls__card" padding="lg">
+                  <p className="armory-rolls__description">
+                    Export a house&apos;s arms and those borne by its members, each with
+                    its blazon and bearers - as SVG print sheets or a PDF armorial.
+                  </p>
+                  <div className="armory-rolls__controls">
+                    <select
+                      className="armory-filters__select armory-rolls__select"
+                      value={rollHouseId}
+                      onChange={(e) => {
+                        setRollHouseId(e.target.value);
+                        setRollError(null);
+                      }}
+                    >
+                      <option value="">Choose a house...</option>
+                      {[...houses]
+                        .sort((a, b) => (a.houseName || '').localeCompare(b.houseName || ''))
+                        .map(house => (
+                          <option key={house.id} value={house.id}>{house.houseName}</option>
+                        ))}
+                    </select>
+                    <ActionButton
+                      icon="download"
+                      variant="secondary"
+                      disabled={!rollHouseId || (exportingRoll !== null && exportingRoll !== 'svg')}
+                      loading={exportingRoll === 'svg'}
+                      onClick={() => handleExportRoll('svg')}
+                    >
+                      SVG Sheets
+                    </ActionButton>
+                    <ActionButton
+                      icon="download"
+                      variant="secondary"
+                      disabled={!rollHouseId || (exportingRoll !== null && exportingRoll !== 'pdf')}
+                      loading={exportingRoll === 'pdf'}
+                      onClick={() => handleExportRoll('pdf')}
+                    >
+                      PDF Armorial
+                    </ActionButton>
+                  </div>
+                  {rollError && (
+                    <p className="armory-rolls__error">{rollError}</p>
+                  )}
+                </Card>
+              </motion.section>
+            )}
+
             {/* Action Buttons */}
             <motion.section
               className="armory-actions"
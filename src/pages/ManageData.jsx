@@ -8,6 +8,8 @@
  * - Relationships (connections between people)
  * - Import/Export functionality
  * - Data health and validation tools
+ * - Dataset calendar (Gregorian or custom fantasy calendar)
+ * - Dataset marriage law (prohibited degrees of kinship)
  *
  * DESIGN:
  * Follows the medieval manuscript aesthetic established in Home.jsx
@@ -38,6 +40,11 @@ import ImportExportManager from '../components/ImportExportManager';
 import DataHealthDashboard from '../components/DataHealthDashboard';
 import BulkFamilyImportTool from '../components/BulkFamilyImportTool';
 import BastardNameAudit from '../components/BastardNameAudit';
+import SyncConflictInbox from '../components/SyncConflictInbox';
+import CalendarSettings from '../components/CalendarSettings';
+import CadencySettings from '../components/CadencySettings';
+import MarriageLawSettings from '../components/MarriageLawSettings';
+import { onSyncStatusChange } from '../services/dataSyncService';
 import { getMigrationStatus, runAllMigrations } from '../services/migrationService';
 import './ManageData.css';
 
@@ -64,6 +71,10 @@ const TABS = [
   { id: 'import-export', label: 'Import/Export', icon: 'hard-drive' },
   { id: 'bulk-import', label: 'Bulk Import', icon: 'users-round' },
   { id: 'health', label: 'Data Health', icon: 'heart-pulse' },
+  { id: 'sync-conflicts', label: 'Sync Conflicts', icon: 'git-merge' },
+  { id: 'calendar', label: 'Calendar', icon: 'calendar' },
+  { id: 'heraldry', label: 'Heraldry', icon: 'shield' },
+  { id: 'marriage', label: 'Marriage Law', icon: 'heart' },
   { id: 'maintenance', label: 'Maintenance', icon: 'wrench' }
 ];
 
@@ -96,6 +107,12 @@ function ManageData() {
 
   // Local UI state
   const [activeTab, setActiveTab] = useState('people');
+  const [syncConflictCount, setSyncConflictCount] = useState(0);
+
+  // Keep the Sync Conflicts badge current
+  useEffect(() => {
+    return onSyncStatusChange(status => setSyncConflictCount(status.conflicts || 0));
+  }, []);
 
   // Modal states
   const [showPersonModal, setShowPersonModal] = useState(false);
@@ -310,9 +327,10 @@ function ManageData() {
       case 'people': return people.length;
       case 'houses': return houses.length;
       case 'relationships': return relationships.length;
+      case 'sync-conflicts': return syncConflictCount || null;
       default: return null;
     }
-  }, [people.length, houses.length, relationships.length]);
+  }, [people.length, houses.length, relationships.length, syncConflictCount]);
 
   // Loading state
   if (loading) {
@@ -434,6 +452,7 @@ function ManageData() {
                         <PersonList
                           people={people}
                           houses={houses}
+                          relationships={relationships}
                           onEdit={handleEditPerson}
                           onDelete={handleDeletePerson}
                         />
@@ -541,6 +560,74 @@ function ManageData() {
                       </motion.div>
                     )}
 
+                    {/* Sync Conflicts Tab */}
+                    {activeTab === 'sync-conflicts' && (
+                      <motion.div
+                        key="sync-conflicts"
+                        className="manage-panel"
+                        variants={TAB_CONTENT_VARIANTS}
+                        initial="hidden"
+                        animate="visible"
+                        exit="exit"
+                      >
+                        <div className="manage-panel__header">
+                          <SectionHeader icon="git-merge" title="Sync Conflicts" size="sm" />
+                        </div>
+                        <SyncConflictInbox />
+                      </motion.div>
+                    )}
+
+                    {/* Calendar Tab */}
+                    {activeTab === 'calendar' && (
+                      <motion.div
+                        key="calendar"
+                        className="manage-panel"
+                        variants={TAB_CONTENT_VARIANTS}
+                        initial="hidden"
+                        animate="visible"
+                        exit="exit"
+                      >
+                        <div className="manage-panel__header">
+                          <SectionHeader icon="calendar" title="Calendar" size="sm" />
+                        </div>
+                        <CalendarSettings />
+                      </motion.div>
+                    )}
+
+                    {/* Heraldry Tab */}
+                    {activeTab === 'heraldry' && (
+                      <motion.div
+                        key="heraldry"
+                        className="manage-panel"
+                        variants={TAB_CONTENT_VARIANTS}
+                        initial="hidden"
+                        animate="visible"
+                        exit="exit"
+                      >
+                        <div className="manage-panel__header">
+                          <SectionHeader icon="shield" title="Cadency" size="sm" />
+                        </div>
+                        <CadencySettings />
+                      </motion.div>
+                    )}
+
+                    {/* Marriage Law Tab */}
+                    {activeTab === 'marriage' && (
+                      <motion.div
+                        key="marriage"
+                        className="manage-panel"
+                        variants={TAB_CONTENT_VARIANTS}
+                        initial="hidden"
+                        animate="visible"
+                        exit="exit"
+                      >
+                        <div className="manage-panel__header">
+                          <SectionHeader icon="heart" title="Marriage Law" size="sm" />
+                        </div>
+                        <MarriageLawSettings people={people} relationships={relationships} />
+                      </motion.div>
+                    )}
+
                     {/* Maintenance Tab */}
                     {activeTab === 'maintenance' && (
                       <motion.div
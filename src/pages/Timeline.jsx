@@ -0,0 +1,386 @@
+/**
+ * Timeline.jsx - Historical Timeline
+ *
+ * PURPOSE:
+ * One horizontal axis for the whole dataset's history: births, deaths,
+ * marriages, dignity tenures and their regencies (as spans), house
+ * foundings and dated codex events. Era bands from codex events sit
+ * behind the axis.
+ *
+ * FEATURES:
+ * - Filter by house or by dignity (a dignity shows its holders' lives too)
+ * - Toggle event kinds on and off
+ * - Zoom from centuries down to single years
+ * - Click an event to open the person, dignity or codex entry
+ * - Codex events whose era has no year are listed below the axis
+ *
+ * DESIGN:
+ * Follows the medieval manuscript aesthetic.
+ * Uses Lucide icons, Framer Motion animations, and CSS custom properties.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import Navigation from '../components/Navigation';
+import Icon from '../components/icons';
+import { LoadingState, EmptyState } from '../components/shared';
+import { useGenealogy } from '../contexts/GenealogyContext';
+import { useDataset } from '../contexts/DatasetContext';
+import { getAllDignities, getAllTenures } from '../services/dignityService';
+import { getEntriesByType } from '../services/codexService';
+import {
+  TIMELINE_EVENT_TYPES,
+  TIMELINE_ZOOM_LEVELS,
+  buildTimelineEvents,
+  filterTimelineEvents,
+  getTimelineBounds,
+  getTimelineTicks,
+  layoutTimelineRows,
+  buildEraBands
+} from '../utils/timelineUtils';
+import { formatCalendarYear } from '../utils/calendarUtils';
+import './Timeline.css';
+
+// Animation variants
+const CONTAINER_VARIANTS = {
+  hidden: {},
+  visible: {
+    transition: { staggerChildren: 0.05 }
+  }
+};
+
+const ITEM_VARIANTS = {
+  hidden: { opacity: 0, y: 15 },
+  visible: {
+    opacity: 1,
+    y: 0,
+    transition: { duration: 0.3, ease: 'easeOut' }
+  }
+};
+
+// Layout constants (px)
+const ROW_HEIGHT = 34;
+const AXIS_HEIGHT = 32;
+const LABEL_WIDTH = 170;
+const DEFAULT_ZOOM = 2; // decades
+
+/**
+ * Timeline Component
+ */
+function Timeline() {
+  const navigate = useNavigate();
+  const { people, houses, relationships, loading: coreLoading } = useGenealogy();
+  const { activeDataset } = useDataset();
+
+  // Data not held in GenealogyContext
+  const [dignities, setDignities] = useState([]);
+  const [tenures, setTenures] = useState([]);
+  const [codexEvents, setCodexEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // View state
+  const [houseFilter, setHouseFilter] = useState('');
+  const [dignityFilter, setDignityFilter] = useState('');
+  const [enabledTypes, setEnabledTypes] = useState(() => new Set(Object.keys(TIMELINE_EVENT_TYPES)));
+  const [zoomIndex, setZoomIndex] = useState(DEFAULT_ZOOM);
+
+  // Load dignities, tenures and codex events
+  useEffect(() => {
+    let cancelled = false;
+    const datasetId = activeDataset?.id;
+
+    async function loadData() {
+      try {
+        const [dignitiesData, tenuresData, eventsData] = await Promise.all([
+          getAllDignities(datasetId),
+          getAllTenures(datasetId),
+          getEntriesByType('event', datasetId)
+        ]);
+
+        if (cancelled) return;
+
+        setDignities(dignitiesData);
+        setTenures(tenuresData);
+        setCodexEvents(eventsData);
+        setLoading(false);
+      } catch (error) {
+        if (!cancelled && import.meta.env.DEV) {
+          console.error('Error loading timeline data:', error);
+        }
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadData();
+    return () => { cancelled = true; };
+  }, [activeDataset]);
+
+  const zoom = TIMELINE_ZOOM_LEVELS[zoomIndex];
+
+  const { events, undated } = useMemo(() => buildTimelineEvents({
+    people,
+    houses,
+    relationships,
+    dignities,
+    tenures,
+    codexEntries: codexEvents
+  }), [people, houses, relationships, dignities, tenures, codexEvents]);
+
+  const visibleEvents = useMemo(() => filterTimelineEvents(
+    events,
+    {
+      houseId: houseFilter ? Number(houseFilter) : null,
+      dignityId: dignityFilter ? Number(dignityFilter) : null,
+      types: enabledTypes
+    },
+    tenures
+  ), [events, houseFilter, dignityFilter, enabledTypes, tenures]);
+
+  const bounds = useMemo(
+    () => getTimelineBounds(visibleEvents, zoom.tickStep),
+    [visibleEvents, zoom.tickStep]
+  );
+
+  const rows = useMemo(
+    () => layoutTimelineRows(visibleEvents, zoom.pxPerYear, LABEL_WIDTH),
+    [visibleEvents, zoom.pxPerYear]
+  );
+
+  const eraBands = useMemo(() => buildEraBands(visibleEvents), [visibleEvents]);
+
+  const ticks = useMemo(
+    () => (bounds ? getTimelineTicks(bounds.start, bounds.end, zoom.tickStep) : []),
+    [bounds, zoom.tickStep]
+  );
+
+  const rowCount = rows.reduce((max, event) => Math.max(max, event.row + 1), 0);
+  const trackWidth = bounds ? (bounds.end - bounds.start) * zoom.pxPerYear + LABEL_WIDTH : 0;
+  const trackHeight = AXIS_HEIGHT + rowCount * ROW_HEIGHT + ROW_HEIGHT;
+  const xFor = (year) => (year - (bounds?.start ?? 0)) * zoom.pxPerYear;
+
+  const toggleType = (typeId) => {
+    setEnabledTypes(prev => {
+      const next = new Set(prev);
+      if (next.has(typeId)) {
+        next.delete(typeId);
+      } else {
+        next.add(typeId);
+      }
+      return next;
+    });
+  };
+
+  const sortedHouses = useMemo(
+    () => [...houses].sort((a, b) => (a.houseName || '').localeCompare(b.houseName || '')),
+    [houses]
+  );
+
+  const sortedDignities = useMemo(
+    () => [...dignities].sort((a, b) => (a.name || '').localeCompare(b.name || '')),
+    [dignities]
+  );
+
+  const undatedByEra = useMemo(() => {
+    const groups = new Map();
+    for (const event of undated) {
+      if (houseFilter && !event.houseIds.includes(Number(houseFilter))) continue;
+      if (dignityFilter && event.dignityId !== Number(dignityFilter)) continue;
+      if (!groups.has(event.era)) groups.set(event.era, []);
+      groups.get(event.era).push(event);
+    }
+    return [...groups.entries()];
+  }, [undated, houseFilter, dignityFilter]);
+
+  const isLoading = loading || coreLoading;
+
+  return (
+    <div className="timeline">
+      <Navigation />
+
+      <div className="timeline__container">
+        <motion.div
+          className="timeline__content"
+          variants={CONTAINER_VARIANTS}
+          initial="hidden"
+          animate="visible"
+        >
+          {/* Header */}
+          <motion.header className="timeline__header" variants={ITEM_VARIANTS}>
+            <div className="timeline__title-area">
+              <h1 className="timeline__title">
+                <Icon name="calendar" size={28} className="timeline__title-icon" />
+                <span>Timeline</span>
+              </h1>
+              <p className="timeline__subtitle">
+                Births, deaths, marriages, reigns and the events of your world in order
+              </p>
+            </div>
+
+            <div className="timeline__zoom">
+              <button
+                className="timeline__zoom-btn"
+                onClick={() => setZoomIndex(i => Math.max(0, i - 1))}
+                disabled={zoomIndex === 0}
+                title="Zoom out"
+              >
+                <Icon name="zoom-out" size={18} />
+              </button>
+              <span className="timeline__zoom-label">{zoom.label}</span>
+              <button
+                className="timeline__zoom-btn"
+                onClick={() => setZoomIndex(i => Math.min(TIMELINE_ZOOM_LEVELS.length - 1, i + 1))}
+                disabled={zoomIndex === TIMELINE_ZOOM_LEVELS.length - 1}
+                title="Zoom in"
+              >
+                <Icon name="zoom-in" size={18} />
+              </button>
+            </div>
+          </motion.header>
+
+          {/* Filters */}
+          <motion.div className="timeline__filters" variants={ITEM_VARIANTS}>
+            <label className="timeline__filter">
+              <Icon name="castle" size={16} />
+              <select
+                value={houseFilter}
+                onChange={(e) => setHouseFilter(e.target.value)}
+                className="timeline__select"
+              >
+                <option value="">All houses</option>
+                {sortedHouses.map(house => (
+                  <option key={house.id} value={house.id}>{house.houseName}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="timeline__filter">
+              <Icon name="crown" size={16} />
+              <select
+                value={dignityFilter}
+                onChange={(e) => setDignityFilter(e.target.value)}
+                className="timeline__select"
+              >
+                <option value="">All dignities</option>
+                {sortedDignities.map(dignity => (
+                  <option key={dignity.id} value={dignity.id}>{dignity.name}</option>
+                ))}
+              </select>
+            </label>
+
+            <div className="timeline__types">
+              {Object.values(TIMELINE_EVENT_TYPES).map(type => (
+                <button
+                  key={type.id}
+                  className={`timeline__type ${enabledTypes.has(type.id) ? 'timeline__type--active' : ''}`}
+                  style={{ '--timeline-color': type.color }}
+                  onClick={() => toggleType(type.id)}
+                >
+                  <Icon name={type.icon} size={14} />
+                  <span>{type.label}</span>
+                </button>
+              ))}
+            </div>
+          </motion.div>
+
+          {/* Axis */}
+          {isLoading ? (
+            <LoadingState message="Gathering the chronicles..." />
+          ) : visibleEvents.length === 0 ? (
+            <EmptyState
+              icon="calendar"
+              title="Nothing to Show"
+              description="Add birth, death or marriage dates, dignity tenures, or codex events with a year in their era to see them here."
+            />
+          ) : (
+            <motion.div className="timeline__scroll" variants={ITEM_VARIANTS}>
+              <div
+                className="timeline__track"
+                style={{ width: trackWidth, height: trackHeight }}
+              >
+                {eraBands.map(band => (
+                  <div
+                    key={band.era}
+                    className="timeline__era"
+                    style={{
+                      left: xFor(band.start),
+                      width: Math.max((band.end - band.start + 1) * zoom.pxPerYear, 2)
+                    }}
+                  >
+                    <span className="timeline__era-label">{band.era}</span>
+                  </div>
+                ))}
+
+                <div className="timeline__axis">
+                  {ticks.map(year => (
+                    <div key={year} className="timeline__tick" style={{ left: xFor(year) }}>
+                      <span className="timeline__tick-label">{formatCalendarYear(String(year))}</span>
+                    </div>
+                  ))}
+                </div>
+
+                {rows.map(event => {
+                  const type = TIMELINE_EVENT_TYPES[event.type];
+                  const isSpan = event.endYear != null;
+                  return (
+                    <button
+                      key={event.id}
+                      className={`timeline__event ${isSpan ? 'timeline__event--span' : ''} ${event.link ? '' : 'timeline__event--static'}`}
+                      style={{
+                        '--timeline-color': type.color,
+                        left: xFor(event.year),
+                        top: AXIS_HEIGHT + event.row * ROW_HEIGHT,
+                        width: isSpan ? Math.max((event.endYear - event.year + 1) * zoom.pxPerYear, LABEL_WIDTH) : undefined
+                      }}
+                      onClick={() => event.link && navigate(event.link)}
+                      title={`${event.label}\n${event.detail}`}
+                    >
+                      {isSpan && (
+                        <span
+                          className="timeline__event-bar"
+                          style={{ width: (event.endYear - event.year + 1) * zoom.pxPerYear }}
+                        />
+                      )}
+                      <Icon name={type.icon} size={14} className="timeline__event-icon" />
+                      <span className="timeline__event-label">{event.label}</span>
+                      <span className="timeline__event-year">{formatCalendarYear(String(event.year))}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </motion.div>
+          )}
+
+          {/* Undated codex events */}
+          {!isLoading && undatedByEra.length > 0 && enabledTypes.has('event') && (
+            <motion.section className="timeline__undated" variants={ITEM_VARIANTS}>
+              <h2 className="timeline__undated-title">
+                <Icon name="scroll" size={18} />
+                <span>Events Without a Year</span>
+              </h2>
+              {undatedByEra.map(([era, eraEvents]) => (
+                <div key={era} className="timeline__undated-era">
+                  <h3 className="timeline__undated-era-name">{era}</h3>
+                  <ul className="timeline__undated-list">
+                    {eraEvents.map(event => (
+                      <li key={event.id}>
+                        <button
+                          className="timeline__undated-link"
+                          onClick={() => navigate(event.link)}
+                        >
+                          {event.label}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </motion.section>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+}
+
+export default Timeline;
@@ -418,6 +418,20 @@ export async function createLink(linkData, datasetId) {
   }
 }
 
+/**
+ * Get every link in the codex (used by the knowledge graph)
+ * @param {string} [datasetId] - Dataset ID (optional)
+ */
+export async function getAllLinks(datasetId) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.codexLinks.toArray();
+  } catch (error) {
+    console.error('Error getting codex links:', error);
+    throw error;
+  }
+}
+
 /**
  * Get all outgoing links from an entry (links this entry makes to others)
  */
@@ -625,6 +639,7 @@ export default {
   
   // Link operations
   createLink,
+  getAllLinks,
   getOutgoingLinks,
   getIncomingLinks,
   getAllLinksForEntry,
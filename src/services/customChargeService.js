@@ -0,0 +1,193 @@
+/**
+ * Custom Charge Service - Uploaded Heraldic Charges
+ *
+ * CRUD operations for charges users upload for their own world
+ * (invented beasts, house badges...). Uploads are sanitized and
+ * normalized to the bundled charges' black-stroke / white-fill convention
+ * (see chargeSanitizer.js), so they take a tincture the same way.
+ *
+ * DATABASE TABLES USED:
+ * - customCharges: One record per uploaded charge, per dataset
+ *
+ * In the charge library they are addressed as 'custom-<id>'
+ * (see customChargeId in unifiedChargesLibrary.js).
+ */
+
+import { getDatabase } from './database';
+import { sanitizeChargeSVG } from '../utils/chargeSanitizer';
+import { CHARGE_CATEGORIES } from '../data/unifiedChargesLibrary';
+
+// ==================== NORMALIZATION ====================
+
+/**
+ * Blazon term with its article, as the bundled charges write it ("a wyvern")
+ */
+function normalizeBlazonTerm(term, name) {
+  const words = (term || name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  if (!words) return '';
+  if (/^(a|an)\s/.test(words)) return words;
+  return `${/^[aeiou]/.test(words) ? 'an' : 'a'} ${words}`;
+}
+
+/**
+ * Lower-case, trimmed, de-duplicated tags
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+function validateCategory(category) {
+  if (!CHARGE_CATEGORIES[category]) {
+    throw new Error(`Unknown charge category: ${category}`);
+  }
+  return category;
+}
+
+// ==================== CUSTOM CHARGE CRUD OPERATIONS ====================
+
+/**
+ * Upload a charge from SVG text
+ *
+ * @param {string} svgText - The uploaded file's contents
+ * @param {Object} chargeData - Catalogue details
+ * @param {string} chargeData.name - Display name (e.g., "Sea-Wyvern")
+ * @param {string} chargeData.category - Key of CHARGE_CATEGORIES
+ * @param {string[]|string} [chargeData.tags] - Tags, or a comma-separated string
+ * @param {string} [chargeData.blazonTerm] - Term used in blazon (defaults to the name)
+ * @param {string} [chargeData.description]
+ * @param {string} [chargeData.sourceFilename]
+ * @param {string} [datasetId] - Dataset to store it in
+ * @returns {Promise<{ id: number, warnings: string[] }>} New record id and
+ *   what the sanitizer removed or changed
+ */
+export async function createCustomCharge(svgText, chargeData, datasetId = null) {
+  try {
+    if (!chargeData.name?.trim()) {
+      throw new Error('A charge needs a name');
+    }
+
+    const { svg, viewBox, warnings } = sanitizeChargeSVG(svgText);
+    const db = getDatabase(datasetId);
+    const now = new Date().toISOString();
+
+    const record = {
+      name: chargeData.name.trim(),
+      category: validateCategory(chargeData.category),
+      tags: normalizeTags(chargeData.tags),
+      blazonTerm: normalizeBlazonTerm(chargeData.blazonTerm, chargeData.name),
+      description: chargeData.description?.trim() || null,
+      svg,
+      viewBox,
+      sourceFilename: chargeData.sourceFilename || null,
+      created: now,
+      updated: now
+    };
+
+    const id = await db.customCharges.add(record);
+    console.log('⚜️ Custom charge uploaded with ID:', id);
+    return { id, warnings };
+  } catch (error) {
+    console.error('❌ Error uploading custom charge:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a single custom charge by ID
+ *
+ * @param {number} id - The record ID
+ * @param {string} [datasetId]
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getCustomCharge(id, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.customCharges.get(id);
+  } catch (error) {
+    console.error('❌ Error getting custom charge:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all custom charges in a dataset, sorted by name
+ *
+ * @param {string} [datasetId]
+ * @returns {Promise<Array>}
+ */
+export async function getAllCustomCharges(datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.customCharges.orderBy('name').toArray();
+  } catch (error) {
+    console.error('❌ Error getting custom charges:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a custom charge's catalogue details
+ *
+ * The artwork itself is not editable; upload a new charge instead.
+ *
+ * @param {number} id - The record ID
+ * @param {Object} updates - name, category, tags, blazonTerm, description
+ * @param {string} [datasetId]
+ * @returns {Promise<number>} Number of records updated (0 or 1)
+ */
+export async function updateCustomCharge(id, updates, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const changes = { updated: new Date().toISOString() };
+
+    if (updates.name !== undefined) {
+      if (!updates.name.trim()) throw new Error('A charge needs a name');
+      changes.name = updates.name.trim();
+    }
+    if (updates.category !== undefined) changes.category = validateCategory(updates.category);
+    if (updates.tags !== undefined) changes.tags = normalizeTags(updates.tags);
+    if (updates.blazonTerm !== undefined) {
+      // An emptied term falls back to the name
+      const name = changes.name || (await db.customCharges.get(id))?.name;
+      changes.blazonTerm = normalizeBlazonTerm(updates.blazonTerm, name);
+    }
+    if (updates.description !== undefined) changes.description = updates.description?.trim() || null;
+
+    const result = await db.customCharges.update(id, changes);
+    console.log('⚜️ Custom charge updated:', id);
+    return result;
+  } catch (error) {
+    console.error('❌ Error updating custom charge:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a custom charge
+ *
+ * Saved arms keep their drawing (charges are inlined when arms are saved),
+ * but re-editing them in the Creator will no longer find the charge.
+ *
+ * @param {number} id - The record ID
+ * @param {string} [datasetId]
+ * @returns {Promise<void>}
+ */
+export async function deleteCustomCharge(id, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    await db.customCharges.delete(id);
+    console.log('🗑️ Custom charge deleted:', id);
+  } catch (error) {
+    console.error('❌ Error deleting custom charge:', error);
+    throw error;
+  }
+}
+
+export default {
+  createCustomCharge,
+  getCustomCharge,
+  getAllCustomCharges,
+  updateCustomCharge,
+  deleteCustomCharge
+};
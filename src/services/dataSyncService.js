@@ -32,10 +32,17 @@
  * │                       (background, non-blocking)                    │
  * └─────────────────────────────────────────────────────────────────────┘
  * 
- * CONFLICT RESOLUTION:
- * Currently uses "last-write-wins" — the most recent change overwrites.
- * This is simple and works well for single-user scenarios.
- * Future enhancement could add timestamp comparison or merge strategies.
+ * CONFLICT RESOLUTION: "Three-Way Merge"
+ * People, houses, relationships and codex entries carry an `updated` timestamp,
+ * and we keep a snapshot of the last version both sides agreed on (syncBase).
+ * Before an update is pushed, the cloud copy is fetched and merged field by
+ * field against that base (see utils/threeWayMerge.js):
+ * - Fields only one side changed are merged automatically
+ * - Fields both sides changed differently go to the conflict inbox
+ *   (Manage Data → Sync Conflicts) where the user picks a side per field
+ * - Records deleted in the cloud are deleted here too, unless they were
+ *   edited here since the last sync (then the inbox asks keep or delete)
+ * Other entity types (heraldry, dignities, ...) still use last-write-wins.
  * 
  * OFFLINE SUPPORT:
  * When offline, operations succeed locally. When back online, changes sync.
@@ -44,16 +51,12 @@
 
 import {
   addPersonCloud,
-  updatePersonCloud,
   deletePersonCloud,
   addHouseCloud,
-  updateHouseCloud,
   deleteHouseCloud,
   addRelationshipCloud,
-  updateRelationshipCloud,
   deleteRelationshipCloud,
   addCodexEntryCloud,
-  updateCodexEntryCloud,
   deleteCodexEntryCloud,
   addCodexLinkCloud,
   deleteCodexLinkCloud,
@@ -75,7 +78,10 @@ import {
   deleteHouseholdRoleCloud,
   syncAllToCloud,
   downloadAllFromCloud,
-  hasCloudData
+  hasCloudData,
+  openSharedDataset,
+  getEntityCloud,
+  putEntityCloud
 } from './firestoreService';
 
 import {
@@ -93,9 +99,25 @@ import {
   hasPendingChanges,
   getPendingChangeCount,
   clearSyncQueue,
-  clearSyncedItems
+  clearSyncedItems,
+  getPendingChanges,
+  // Three-way merge bookkeeping
+  getSyncBase,
+  setSyncBases,
+  removeSyncBase,
+  addSyncConflict,
+  getOpenSyncConflicts,
+  getSyncConflict,
+  markSyncConflictResolved
 } from './database';
 
+import {
+  mergeEntity,
+  applyConflictChoices,
+  stripSyncMeta,
+  valuesEqual
+} from '../utils/threeWayMerge';
+
 // Default dataset ID for backward compatibility
 const DEFAULT_DATASET_ID = 'default';
 
@@ -125,6 +147,8 @@ let syncStatus = {
   isSyncing: false,
   lastSyncTime: null,
   pendingChanges: 0,
+  conflicts: 0,
+  lastRemoteMerge: null, // Set when cloud edits were merged into local data
   error: null
 };
 
@@ -151,6 +175,360 @@ function updateSyncStatus(updates) {
   syncStatusListeners.forEach(callback => callback(syncStatus));
 }
 
+// ==================== THREE-WAY MERGE ====================
+
+/**
+ * Entity types that are merged field by field instead of last-write-wins.
+ * table/collection are the Dexie table and Firestore subcollection names.
+ */
+const MERGEABLE_ENTITIES = {
+  person: {
+    table: 'people',
+    collection: 'people',
+    label: (p) => `${p.firstName || ''} ${p.lastName || ''}`.trim() || `Person #${p.id}`
+  },
+  house: {
+    table: 'houses',
+    collection: 'houses',
+    label: (h) => h.houseName || `House #${h.id}`
+  },
+  relationship: {
+    table: 'relationships',
+    collection: 'relationships',
+    label: (r) => `${r.relationshipType || 'relationship'} #${r.id}`
+  },
+  codexEntry: {
+    table: 'codexEntries',
+    collection: 'codexEntries',
+    label: (e) => e.title || `Entry #${e.id}`
+  }
+};
+
+/**
+ * Merge the local copy of an entity with the cloud copy and push the result
+ *
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string} entityType - A key of MERGEABLE_ENTITIES
+ * @param {number|string} entityId - The entity ID
+ * @returns {Promise<string>} 'pushed' | 'merged' | 'deleted' | 'conflict' | 'missing'
+ */
+async function mergeAndPush(userId, datasetId, entityType, entityId) {
+  const config = MERGEABLE_ENTITIES[entityType];
+  const database = getDatabase(datasetId);
+
+  const local = await database[config.table].get(entityId);
+  if (!local) return 'missing'; // Deleted locally since the change was queued
+
+  const remote = await getEntityCloud(userId, datasetId, config.collection, entityId);
+  const base = await getSyncBase(entityType, entityId, datasetId);
+
+  if (!remote) {
+    // Never synced from here - it just isn't in the cloud yet
+    if (!base) {
+      await putEntityCloud(userId, datasetId, config.collection, local);
+      await setSyncBases(entityType, [local], datasetId);
+      return 'pushed';
+    }
+
+    // Synced before, so another device deleted it. Follow the delete
+    // unless it was edited here since, then let the user decide.
+    if (valuesEqual(stripSyncMeta(base), stripSyncMeta(local))) {
+      await database[config.table].delete(entityId);
+      await removeSyncBase(entityType, entityId, datasetId);
+      updateSyncStatus({ lastRemoteMerge: Date.now() });
+      return 'deleted';
+    }
+
+    await addSyncConflict({
+      entityType,
+      entityId,
+      label: config.label(local),
+      fields: [],
+      merged: local,
+      remoteDeleted: true,
+      remoteUpdated: null
+    }, datasetId);
+    await refreshConflictCount(datasetId);
+    return 'conflict';
+  }
+
+  const { merged, conflicts, localChanged, remoteChanged } = mergeEntity(base, local, remote);
+  const mergedEntity = { ...merged, id: local.id };
+
+  if (localChanged) {
+    await database[config.table].put(mergedEntity);
+    updateSyncStatus({ lastRemoteMerge: Date.now() });
+  }
+
+  if (conflicts.length > 0) {
+    await addSyncConflict({
+      entityType,
+      entityId,
+      label: config.label(mergedEntity),
+      fields: conflicts,
+      merged: mergedEntity,
+      remoteUpdated: remote.updated || null
+    }, datasetId);
+    await refreshConflictCount(datasetId);
+    return 'conflict';
+  }
+
+  if (remoteChanged) {
+    const removedFields = Object.keys(stripSyncMeta(remote)).filter(key => !(key in mergedEntity));
+    await putEntityCloud(userId, datasetId, config.collection, mergedEntity, removedFields);
+  }
+
+  await setSyncBases(entityType, [mergedEntity], datasetId);
+  return localChanged ? 'merged' : 'pushed';
+}
+
+/**
+ * Shared body of the update wrappers for mergeable entity types
+ */
+async function syncMergeableUpdate(userId, datasetId, entityType, entityId, updates) {
+  await addToSyncQueue({ entityType, entityId, operation: 'update', data: updates }, datasetId);
+
+  if (!userId || !isOnline) return;
+
+  try {
+    const result = await mergeAndPush(userId, datasetId, entityType, entityId);
+    // Conflicts stay pending until resolved in the inbox
+    if (result !== 'conflict') {
+      await markEntitySynced(entityType, entityId, datasetId);
+    }
+  } catch (error) {
+    console.error(`☁️ Failed to sync ${entityType} update:`, error);
+  }
+}
+
+/**
+ * Retry queued adds/updates of mergeable entities (e.g. edits made offline)
+ * Each entity is merged once regardless of how many changes were queued.
+ *
+ * @returns {Promise<Object>} { merged, conflicts }
+ */
+async function retryPendingMerges(userId, datasetId) {
+  const pending = await getPendingChanges(datasetId);
+  const entities = new Map();
+
+  for (const change of pending) {
+    if (!MERGEABLE_ENTITIES[change.entityType] || change.operation === 'delete') continue;
+    entities.set(`${change.entityType}:${change.entityId}`, change);
+  }
+
+  let merged = 0;
+  let conflicts = 0;
+
+  for (const change of entities.values()) {
+    const entityId = parseInt(change.entityId) || change.entityId;
+    try {
+      const result = await mergeAndPush(userId, datasetId, change.entityType, entityId);
+      if (result === 'conflict') {
+        conflicts++;
+      } else {
+        await markEntitySynced(change.entityType, change.entityId, datasetId);
+        merged++;
+      }
+    } catch (error) {
+      console.warn(`Could not merge pending ${change.entityType}:${change.entityId}:`, error);
+    }
+  }
+
+  return { merged, conflicts };
+}
+
+/**
+ * Record synced snapshots for everything that just came from (or went to) the cloud
+ */
+async function recordSyncBases(data, datasetId) {
+  const normalize = (items) => (items || []).map(item => ({
+    ...stripSyncMeta(item),
+    updated: item.updated || null,
+    id: parseInt(item.id) || item.id
+  }));
+
+  await setSyncBases('person', normalize(data.people), datasetId);
+  await setSyncBases('house', normalize(data.houses), datasetId);
+  await setSyncBases('relationship', normalize(data.relationships), datasetId);
+  await setSyncBases('codexEntry', normalize(data.codexEntries), datasetId);
+}
+
+/**
+ * Recount open conflicts and publish the number on the sync status
+ */
+async function refreshConflictCount(datasetId) {
+  const open = await getOpenSyncConflicts(datasetId);
+  updateSyncStatus({ conflicts: open.length });
+  return open.length;
+}
+
+// ==================== REMOTE CHANGES ====================
+
+/**
+ * Apply changes streamed from a Firestore listener to the local DB
+ *
+ * - Entities with no pending local edits simply take the cloud version
+ * - Entities with pending local edits are three-way merged; disagreements
+ *   go to the conflict inbox and the pending push carries the merge result
+ * - Remote deletions are applied unless we have pending edits (ours win)
+ *
+ * @param {string} datasetId - The dataset ID
+ * @param {string} entityType - A key of MERGEABLE_ENTITIES
+ * @param {Array} changes - [{ type: 'added'|'modified'|'removed', id, data }]
+ * @returns {Promise<Object>} { applied, conflicts }
+ */
+export async function applyRemoteChanges(datasetId, entityType, changes) {
+  const dsId = datasetId || DEFAULT_DATASET_ID;
+  const config = MERGEABLE_ENTITIES[entityType];
+  if (!config) throw new Error(`Cannot apply remote changes for ${entityType}`);
+
+  const database = getDatabase(dsId);
+  const pending = await getPendingChanges(dsId);
+  const pendingIds = new Set(
+    pending.filter(change => change.entityType === entityType).map(change => change.entityId)
+  );
+
+  let applied = 0;
+  let conflicts = 0;
+
+  for (const change of changes) {
+    const entityId = parseInt(change.id) || change.id;
+    const hasPending = pendingIds.has(String(change.id));
+    const local = await database[config.table].get(entityId);
+
+    if (change.type === 'removed') {
+      if (local && !hasPending) {
+        await database[config.table].delete(entityId);
+        await removeSyncBase(entityType, entityId, dsId);
+        applied++;
+      }
+      continue;
+    }
+
+    const remote = { ...stripSyncMeta(change.data), updated: change.data.updated || null, id: entityId };
+
+    // Already have this version (including echoes of our own writes)
+    if (local && valuesEqual(stripSyncMeta(local), stripSyncMeta(remote))) {
+      await setSyncBases(entityType, [remote], dsId);
+      continue;
+    }
+
+    if (!hasPending) {
+      await database[config.table].put(remote);
+      await setSyncBases(entityType, [remote], dsId);
+      applied++;
+      continue;
+    }
+
+    // Deleted here but not yet pushed - let the pending delete win
+    if (!local) continue;
+
+    const base = await getSyncBase(entityType, entityId, dsId);
+    const result = mergeEntity(base, local, remote);
+    const mergedEntity = { ...result.merged, id: local.id };
+
+    if (result.localChanged) {
+      await database[config.table].put(mergedEntity);
+      applied++;
+    }
+
+    if (result.conflicts.length > 0) {
+      await addSyncConflict({
+        entityType,
+        entityId,
+        label: config.label(mergedEntity),
+        fields: result.conflicts,
+        merged: mergedEntity,
+        remoteUpdated: remote.updated
+      }, dsId);
+      conflicts++;
+    }
+  }
+
+  if (conflicts > 0) await refreshConflictCount(dsId);
+  if (applied > 0) updateSyncStatus({ lastRemoteMerge: Date.now() });
+
+  return { applied, conflicts };
+}
+
+// ==================== CONFLICT INBOX ====================
+
+/**
+ * Get unresolved sync conflicts for the conflict inbox
+ *
+ * @param {string} [datasetId='default'] - The dataset ID
+ * @returns {Promise<Array>} Conflicts with { id, entityType, entityId, label, fields, merged }
+ */
+export async function getSyncConflicts(datasetId = DEFAULT_DATASET_ID) {
+  const conflicts = await getOpenSyncConflicts(datasetId);
+  updateSyncStatus({ conflicts: conflicts.length });
+  return conflicts;
+}
+
+/**
+ * Resolve a conflict with the user's per-field choices and push the result
+ *
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {number} conflictId - The conflict ID
+ * @param {Object} choices - { [field]: 'local' | 'remote' }, or for a record
+ *   deleted in the cloud { record: 'local' (keep it) | 'remote' (delete it) }
+ * @returns {Promise<Object|null>} The resolved entity (null if deleted)
+ */
+export async function resolveSyncConflict(userId, datasetId, conflictId, choices) {
+  const dsId = datasetId || DEFAULT_DATASET_ID;
+  const conflict = await getSyncConflict(conflictId, dsId);
+  if (!conflict) throw new Error('Conflict not found');
+
+  const config = MERGEABLE_ENTITIES[conflict.entityType];
+  const database = getDatabase(dsId);
+  const entityId = conflict.merged.id;
+
+  // Start from the current local record so edits made since detection survive
+  const current = await database[config.table].get(entityId);
+
+  // Deleted on another device while edited here: drop it, or push ours back
+  if (conflict.remoteDeleted && choices.record === 'remote') {
+    await database[config.table].delete(entityId);
+    await removeSyncBase(conflict.entityType, entityId, dsId);
+    await markEntitySynced(conflict.entityType, entityId, dsId);
+    await markSyncConflictResolved(conflictId, dsId);
+    await refreshConflictCount(dsId);
+    updateSyncStatus({ lastRemoteMerge: Date.now() });
+
+    console.log(`✅ Resolved sync conflict for ${conflict.entityType}:${entityId} (deleted)`);
+    return null;
+  }
+
+  const resolved = applyConflictChoices(
+    { ...conflict.merged, ...(current || {}) },
+    conflict.fields,
+    choices
+  );
+
+  await database[config.table].put(resolved);
+
+  if (userId && isOnline) {
+    const removedFields = conflict.fields
+      .map(f => f.field)
+      .filter(field => !(field in resolved));
+    await putEntityCloud(userId, dsId, config.collection, resolved, removedFields);
+    await setSyncBases(conflict.entityType, [resolved], dsId);
+    await markEntitySynced(conflict.entityType, entityId, dsId);
+  } else {
+    // Push once we are back online
+    await addToSyncQueue({ entityType: conflict.entityType, entityId, operation: 'update', data: resolved }, dsId);
+  }
+
+  await markSyncConflictResolved(conflictId, dsId);
+  await refreshConflictCount(dsId);
+  updateSyncStatus({ lastRemoteMerge: Date.now() });
+
+  console.log(`✅ Resolved sync conflict for ${conflict.entityType}:${entityId}`);
+  return resolved;
+}
+
 // ==================== ONLINE/OFFLINE HANDLING ====================
 
 if (typeof window !== 'undefined') {
@@ -202,6 +580,10 @@ export async function initializeSync(userId, datasetId = DEFAULT_DATASET_ID) {
       getAllRelationships(dsId)
     ]);
 
+    // A named dataset shared under COLLABORATIVE_SYNC needs membership, and
+    // the owner's private cloud copy is moved over the first time
+    await openSharedDataset(userId, dsId);
+
     const hasLocalData = localPeople.length > 0 || localHouses.length > 0;
     const userHasCloudData = await hasCloudData(userId, dsId);
 
@@ -278,6 +660,13 @@ export async function initializeSync(userId, datasetId = DEFAULT_DATASET_ID) {
         householdRoles
       });
 
+      await recordSyncBases({
+        people: localPeople,
+        houses: localHouses,
+        relationships: localRelationships,
+        codexEntries
+      }, dsId);
+
       updateSyncStatus({ isSyncing: false, lastSyncTime: new Date() });
       return {
         status: 'uploaded',
@@ -293,7 +682,15 @@ export async function initializeSync(userId, datasetId = DEFAULT_DATASET_ID) {
     console.log('⬇️ Downloading cloud data...');
 
     // CRITICAL: Check for pending changes before wiping local data
-    // This prevents data loss when local changes haven't synced yet
+    // This prevents data loss when local changes haven't synced yet.
+    // Mergeable edits are merged into the cloud first; only what can't be
+    // merged (conflicts, other entity types) still blocks the download.
+    if (await hasPendingChanges(dsId)) {
+      const { merged, conflicts } = await retryPendingMerges(userId, dsId);
+      console.log(`🔀 Merged ${merged} pending changes (${conflicts} conflicts)`);
+      await refreshConflictCount(dsId);
+    }
+
     const pendingCount = await getPendingChangeCount(dsId);
     if (pendingCount > 0) {
       console.warn(`⚠️ BLOCKING SYNC: ${pendingCount} pending changes not yet synced to cloud`);
@@ -417,6 +814,9 @@ export async function initializeSync(userId, datasetId = DEFAULT_DATASET_ID) {
       }
     }
 
+    await recordSyncBases(cloudData, dsId);
+    await refreshConflictCount(dsId);
+
     updateSyncStatus({ isSyncing: false, lastSyncTime: new Date() });
 
     return {
@@ -453,6 +853,7 @@ export async function syncAddPerson(userId, datasetId, personId, personData) {
     await addPersonCloud(userId, datasetId, { ...personData, id: personId });
     // Mark as synced on success
     await markEntitySynced('person', personId, datasetId);
+    await setSyncBases('person', [{ ...personData, id: personId }], datasetId);
   } catch (error) {
     console.error('☁️ Failed to sync person add:', error);
     // Don't throw - local operation already succeeded
@@ -464,16 +865,7 @@ export async function syncAddPerson(userId, datasetId, personId, personData) {
  * Update a person (local + cloud)
  */
 export async function syncUpdatePerson(userId, datasetId, personId, updates) {
-  await addToSyncQueue({ entityType: 'person', entityId: personId, operation: 'update', data: updates }, datasetId);
-
-  if (!userId || !isOnline) return;
-
-  try {
-    await updatePersonCloud(userId, datasetId, personId, updates);
-    await markEntitySynced('person', personId, datasetId);
-  } catch (error) {
-    console.error('☁️ Failed to sync person update:', error);
-  }
+  await syncMergeableUpdate(userId, datasetId, 'person', personId, updates);
 }
 
 /**
@@ -487,6 +879,7 @@ export async function syncDeletePerson(userId, datasetId, personId) {
   try {
     await deletePersonCloud(userId, datasetId, personId);
     await markEntitySynced('person', personId, datasetId);
+    await removeSyncBase('person', personId, datasetId);
   } catch (error) {
     console.error('☁️ Failed to sync person delete:', error);
   }
@@ -503,6 +896,7 @@ export async function syncAddHouse(userId, datasetId, houseId, houseData) {
   try {
     await addHouseCloud(userId, datasetId, { ...houseData, id: houseId });
     await markEntitySynced('house', houseId, datasetId);
+    await setSyncBases('house', [{ ...houseData, id: houseId }], datasetId);
   } catch (error) {
     console.error('☁️ Failed to sync house add:', error);
   }
@@ -512,16 +906,7 @@ export async function syncAddHouse(userId, datasetId, houseId, houseData) {
  * Update a house (local + cloud)
  */
 export async function syncUpdateHouse(userId, datasetId, houseId, updates) {
-  await addToSyncQueue({ entityType: 'house', entityId: houseId, operation: 'update', data: updates }, datasetId);
-
-  if (!userId || !isOnline) return;
-
-  try {
-    await updateHouseCloud(userId, datasetId, houseId, updates);
-    await markEntitySynced('house', houseId, datasetId);
-  } catch (error) {
-    console.error('☁️ Failed to sync house update:', error);
-  }
+  await syncMergeableUpdate(userId, datasetId, 'house', houseId, updates);
 }
 
 /**
@@ -535,6 +920,7 @@ export async function syncDeleteHouse(userId, datasetId, houseId) {
   try {
     await deleteHouseCloud(userId, datasetId, houseId);
     await markEntitySynced('house', houseId, datasetId);
+    await removeSyncBase('house', houseId, datasetId);
   } catch (error) {
     console.error('☁️ Failed to sync house delete:', error);
   }
@@ -551,6 +937,7 @@ export async function syncAddRelationship(userId, datasetId, relationshipId, rel
   try {
     await addRelationshipCloud(userId, datasetId, { ...relationshipData, id: relationshipId });
     await markEntitySynced('relationship', relationshipId, datasetId);
+    await setSyncBases('relationship', [{ ...relationshipData, id: relationshipId }], datasetId);
   } catch (error) {
     console.error('☁️ Failed to sync relationship add:', error);
   }
@@ -560,16 +947,7 @@ export async function syncAddRelationship(userId, datasetId, relationshipId, rel
  * Update a relationship (local + cloud)
  */
 export async function syncUpdateRelationship(userId, datasetId, relationshipId, updates) {
-  await addToSyncQueue({ entityType: 'relationship', entityId: relationshipId, operation: 'update', data: updates }, datasetId);
-
-  if (!userId || !isOnline) return;
-
-  try {
-    await updateRelationshipCloud(userId, datasetId, relationshipId, updates);
-    await markEntitySynced('relationship', relationshipId, datasetId);
-  } catch (error) {
-    console.error('☁️ Failed to sync relationship update:', error);
-  }
+  await syncMergeableUpdate(userId, datasetId, 'relationship', relationshipId, updates);
 }
 
 /**
@@ -583,6 +961,7 @@ export async function syncDeleteRelationship(userId, datasetId, relationshipId)
   try {
     await deleteRelationshipCloud(userId, datasetId, relationshipId);
     await markEntitySynced('relationship', relationshipId, datasetId);
+    await removeSyncBase('relationship', relationshipId, datasetId);
   } catch (error) {
     console.error('☁️ Failed to sync relationship delete:', error);
   }
@@ -599,6 +978,7 @@ export async function syncAddCodexEntry(userId, datasetId, entryId, entryData) {
   try {
     await addCodexEntryCloud(userId, datasetId, { ...entryData, id: entryId });
     await markEntitySynced('codexEntry', entryId, datasetId);
+    await setSyncBases('codexEntry', [{ ...entryData, id: entryId }], datasetId);
   } catch (error) {
     console.error('☁️ Failed to sync codex entry add:', error);
   }
@@ -608,16 +988,7 @@ export async function syncAddCodexEntry(userId, datasetId, entryId, entryData) {
  * Update a codex entry (local + cloud)
  */
 export async function syncUpdateCodexEntry(userId, datasetId, entryId, updates) {
-  await addToSyncQueue({ entityType: 'codexEntry', entityId: entryId, operation: 'update', data: updates }, datasetId);
-
-  if (!userId || !isOnline) return;
-
-  try {
-    await updateCodexEntryCloud(userId, datasetId, entryId, updates);
-    await markEntitySynced('codexEntry', entryId, datasetId);
-  } catch (error) {
-    console.error('☁️ Failed to sync codex entry update:', error);
-  }
+  await syncMergeableUpdate(userId, datasetId, 'codexEntry', entryId, updates);
 }
 
 /**
@@ -631,6 +1002,7 @@ export async function syncDeleteCodexEntry(userId, datasetId, entryId) {
   try {
     await deleteCodexEntryCloud(userId, datasetId, entryId);
     await markEntitySynced('codexEntry', entryId, datasetId);
+    await removeSyncBase('codexEntry', entryId, datasetId);
   } catch (error) {
     console.error('☁️ Failed to sync codex entry delete:', error);
   }
@@ -1098,6 +1470,8 @@ export async function forceCloudSync(userId, datasetId = DEFAULT_DATASET_ID, opt
       }
     }
 
+    await recordSyncBases(cloudData, dsId);
+
     updateSyncStatus({ isSyncing: false, lastSyncTime: new Date() });
     return { status: 'success', data: cloudData };
   } catch (error) {
@@ -1111,6 +1485,13 @@ export default {
   onSyncStatusChange,
   getSyncStatus,
   forceCloudSync,
+
+  // Conflict inbox
+  getSyncConflicts,
+  resolveSyncConflict,
+
+  // Real-time
+  applyRemoteChanges,
   
   // Sync wrappers - People
   syncAddPerson,
@@ -1,4 +1,5 @@
 import Dexie from 'dexie';
+import { calculateCalendarAge } from '../utils/calendarUtils';
 
 /**
  * Database Service for Lineageweaver
@@ -342,6 +343,54 @@ db.version(13).stores({
   syncQueue: '++id, entityType, entityId, operation, timestamp, synced'
 });
 
+// Version 14: Three-way merge support for cloud sync
+// syncBase holds the last version of each entity both local and cloud agreed on,
+// so concurrent edits can be merged field by field instead of last-write-wins.
+// syncConflicts is the inbox of edits that could not be merged automatically.
+db.version(14).stores({
+  people: '++id, firstName, lastName, houseId, dateOfBirth, dateOfDeath, bastardStatus, codexEntryId, heraldryId',
+  houses: '++id, houseName, parentHouseId, houseType, codexEntryId, heraldryId',
+  relationships: '++id, person1Id, person2Id, relationshipType',
+  codexEntries: '++id, type, title, category, *tags, era, created, updated',
+  codexLinks: '++id, sourceId, targetId, type',
+  acknowledgedDuplicates: '++id, person1Id, person2Id, acknowledgedAt',
+  heraldry: '++id, name, category, *tags, created, updated',
+  heraldryLinks: '++id, heraldryId, entityType, entityId, linkType',
+  dignities: '++id, name, shortName, dignityClass, dignityRank, swornToId, currentHolderId, currentHouseId, codexEntryId, created, updated',
+  dignityTenures: '++id, dignityId, personId, dateStarted, dateEnded, acquisitionType, endType, created',
+  dignityLinks: '++id, dignityId, entityType, entityId, linkType, created',
+  bugs: '++id, title, status, priority, system, page, created, resolved',
+  householdRoles: '++id, houseId, roleType, currentHolderId, startDate, created, updated',
+  syncQueue: '++id, entityType, entityId, operation, timestamp, synced',
+  // NEW: Last synced snapshot per entity - key is [entityType+entityId]
+  syncBase: '[entityType+entityId], entityType, syncedAt',
+  // NEW: Unresolved merge conflicts - status: 'open' | 'resolved'
+  syncConflicts: '++id, entityType, entityId, status, created'
+});
+
+// Version 15: User-uploaded heraldic charges
+// customCharges holds sanitized monochrome SVGs uploaded for this dataset,
+// drawn alongside the bundled charges in the library, Creator and blazon parser.
+db.version(15).stores({
+  people: '++id, firstName, lastName, houseId, dateOfBirth, dateOfDeath, bastardStatus, codexEntryId, heraldryId',
+  houses: '++id, houseName, parentHouseId, houseType, codexEntryId, heraldryId',
+  relationships: '++id, person1Id, person2Id, relationshipType',
+  codexEntries: '++id, type, title, category, *tags, era, created, updated',
+  codexLinks: '++id, sourceId, targetId, type',
+  acknowledgedDuplicates: '++id, person1Id, person2Id, acknowledgedAt',
+  heraldry: '++id, name, category, *tags, created, updated',
+  heraldryLinks: '++id, heraldryId, entityType, entityId, linkType',
+  dignities: '++id, name, shortName, dignityClass, dignityRank, swornToId, currentHolderId, currentHouseId, codexEntryId, created, updated',
+  dignityTenures: '++id, dignityId, personId, dateStarted, dateEnded, acquisitionType, endType, created',
+  dignityLinks: '++id, dignityId, entityType, entityId, linkType, created',
+  bugs: '++id, title, status, priority, system, page, created, resolved',
+  householdRoles: '++id, houseId, roleType, currentHolderId, startDate, created, updated',
+  customCharges: '++id, name, category, *tags, blazonTerm, created, updated',
+  syncQueue: '++id, entityType, entityId, operation, timestamp, synced',
+  syncBase: '[entityType+entityId], entityType, syncedAt',
+  syncConflicts: '++id, entityType, entityId, status, created'
+});
+
 // Version 3: Add heraldry system fields
 db.version(3).stores({
   // No changes to indexes, just adding new fields through upgrade function
@@ -386,12 +435,23 @@ db.version(3).stores({
  * they default to the 'default' dataset for backward compatibility.
  */
 
+/**
+ * Stamp an update with the per-entity `updated` timestamp used by sync merging.
+ * Callers that already carry a timestamp (e.g. a merged cloud record) keep it.
+ */
+function stampUpdated(updates) {
+  return { ...updates, updated: updates.updated || new Date().toISOString() };
+}
+
 // ==================== PEOPLE OPERATIONS ====================
 
 export async function addPerson(personData, datasetId) {
   try {
     const database = getDatabase(datasetId);
-    const id = await database.people.add(personData);
+    const id = await database.people.add({
+      ...personData,
+      updated: personData.updated || new Date().toISOString()
+    });
     console.log('Person added with ID:', id);
     return id;
   } catch (error) {
@@ -436,7 +496,7 @@ export async function getPeopleByHouse(houseId, datasetId) {
 export async function updatePerson(id, updates, datasetId) {
   try {
     const database = getDatabase(datasetId);
-    const result = await database.people.update(id, updates);
+    const result = await database.people.update(id, stampUpdated(updates));
     console.log('Person updated:', result);
     return result;
   } catch (error) {
@@ -470,7 +530,10 @@ export async function deletePerson(id, datasetId) {
 export async function addHouse(houseData, options = {}) {
   try {
     const database = getDatabase(options.datasetId);
-    const id = await database.houses.add(houseData);
+    const id = await database.houses.add({
+      ...houseData,
+      updated: houseData.updated || new Date().toISOString()
+    });
     console.log('House added with ID:', id);
 
     // Auto-create Codex entry for the house (unless explicitly skipped)
@@ -546,7 +609,7 @@ export async function getCadetHouses(parentHouseId, datasetId) {
 export async function updateHouse(id, updates, datasetId) {
   try {
     const database = getDatabase(datasetId);
-    const result = await database.houses.update(id, updates);
+    const result = await database.houses.update(id, stampUpdated(updates));
     console.log('House updated:', result);
     return result;
   } catch (error) {
@@ -599,7 +662,10 @@ export async function deleteHouse(id, options = {}) {
 export async function addRelationship(relationshipData, datasetId) {
   try {
     const database = getDatabase(datasetId);
-    const id = await database.relationships.add(relationshipData);
+    const id = await database.relationships.add({
+      ...relationshipData,
+      updated: relationshipData.updated || new Date().toISOString()
+    });
     console.log('Relationship added with ID:', id);
     return id;
   } catch (error) {
@@ -636,7 +702,7 @@ export async function getAllRelationships(datasetId) {
 export async function updateRelationship(id, updates, datasetId) {
   try {
     const database = getDatabase(datasetId);
-    const result = await database.relationships.update(id, updates);
+    const result = await database.relationships.update(id, stampUpdated(updates));
     console.log('Relationship updated:', result);
     return result;
   } catch (error) {
@@ -658,16 +724,17 @@ export async function deleteRelationship(id, datasetId) {
 
 // ==================== CADET HOUSE OPERATIONS ====================
 
-export function calculateAge(dateOfBirth) {
+/**
+ * Age in whole years, using the active dataset's calendar
+ * (a custom calendar's "today" is its configured present day)
+ *
+ * @param {string} dateOfBirth - Stored birth date
+ * @param {string} [asOfDate] - Measure to this date instead of today
+ * @returns {number|null}
+ */
+export function calculateAge(dateOfBirth, asOfDate = null) {
   if (!dateOfBirth) return null;
-  const today = new Date();
-  const birth = new Date(dateOfBirth);
-  let age = today.getFullYear() - birth.getFullYear();
-  const monthDiff = today.getMonth() - birth.getMonth();
-  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) {
-    age--;
-  }
-  return age;
+  return calculateCalendarAge(dateOfBirth, asOfDate);
 }
 
 /**
@@ -699,6 +766,9 @@ export function isEligibleForCeremony(person) {
   
   // Must be at least 18
   const age = calculateAge(person.dateOfBirth);
+  if (age === null) {
+    return { eligible: false, tier: null, reason: 'Age unknown - set the present day in the calendar settings' };
+  }
   if (age < 18) {
     return { eligible: false, tier: null, reason: `Must be at least 18 (currently ${age})` };
   }
@@ -887,6 +957,7 @@ export async function deleteAllData(datasetId, options = {}) {
     // Only clear syncQueue if explicitly requested (after successful full sync)
     if (options.clearSyncQueue && database.syncQueue) {
       await database.syncQueue.clear();
+      if (database.syncBase) await database.syncBase.clear();
       console.log('✅ All data deleted including sync queue');
     } else {
       console.log('✅ All data deleted successfully (sync queue preserved)');
@@ -1225,6 +1296,140 @@ export async function clearSyncQueue(datasetId) {
   }
 }
 
+// ==================== SYNC BASE & CONFLICT OPERATIONS ====================
+// The sync base is the last version of an entity that both this machine and
+// the cloud agreed on. dataSyncService merges against it (see threeWayMerge.js).
+
+/**
+ * Get the last synced snapshot of an entity
+ *
+ * @param {string} entityType - The entity type
+ * @param {number|string} entityId - The entity ID
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<Object|null>} Snapshot data or null if never synced
+ */
+export async function getSyncBase(entityType, entityId, datasetId) {
+  try {
+    const database = getDatabase(datasetId);
+    const entry = await database.syncBase.get([entityType, String(entityId)]);
+    return entry ? entry.data : null;
+  } catch (error) {
+    console.error('Error getting sync base:', error);
+    return null;
+  }
+}
+
+/**
+ * Record the synced snapshot of one or more entities
+ *
+ * @param {string} entityType - The entity type
+ * @param {Array<Object>} entities - Entities with an `id` field
+ * @param {string} [datasetId] - Dataset ID
+ */
+export async function setSyncBases(entityType, entities, datasetId) {
+  try {
+    const database = getDatabase(datasetId);
+    const syncedAt = Date.now();
+    await database.syncBase.bulkPut(entities.map(entity => ({
+      entityType,
+      entityId: String(entity.id),
+      data: entity,
+      syncedAt
+    })));
+  } catch (error) {
+    console.error('Error setting sync base:', error);
+  }
+}
+
+/**
+ * Forget the synced snapshot of an entity (after delete)
+ */
+export async function removeSyncBase(entityType, entityId, datasetId) {
+  try {
+    const database = getDatabase(datasetId);
+    await database.syncBase.delete([entityType, String(entityId)]);
+  } catch (error) {
+    console.error('Error removing sync base:', error);
+  }
+}
+
+/**
+ * Add (or replace) the open conflict for an entity
+ *
+ * @param {Object} conflict - { entityType, entityId, label, fields, merged, remote }
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<number>} Conflict ID
+ */
+export async function addSyncConflict(conflict, datasetId) {
+  try {
+    const database = getDatabase(datasetId);
+    const entityId = String(conflict.entityId);
+
+    // One open conflict per entity - newer detection replaces the old one
+    await database.syncConflicts
+      .where('entityType').equals(conflict.entityType)
+      .and(item => item.entityId === entityId && item.status === 'open')
+      .delete();
+
+    const id = await database.syncConflicts.add({
+      ...conflict,
+      entityId,
+      status: 'open',
+      created: new Date().toISOString()
+    });
+    console.log(`⚔️ Sync conflict recorded for ${conflict.entityType}:${entityId}`);
+    return id;
+  } catch (error) {
+    console.error('Error adding sync conflict:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all unresolved sync conflicts
+ *
+ * @param {string} [datasetId] - Dataset ID
+ * @returns {Promise<Array>} Open conflicts, oldest first
+ */
+export async function getOpenSyncConflicts(datasetId) {
+  try {
+    const database = getDatabase(datasetId);
+    return await database.syncConflicts.where('status').equals('open').sortBy('created');
+  } catch (error) {
+    console.error('Error getting sync conflicts:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a single sync conflict by ID
+ */
+export async function getSyncConflict(conflictId, datasetId) {
+  try {
+    const database = getDatabase(datasetId);
+    return await database.syncConflicts.get(conflictId);
+  } catch (error) {
+    console.error('Error getting sync conflict:', error);
+    return null;
+  }
+}
+
+/**
+ * Mark a sync conflict as resolved
+ */
+export async function markSyncConflictResolved(conflictId, datasetId) {
+  try {
+    const database = getDatabase(datasetId);
+    await database.syncConflicts.update(conflictId, {
+      status: 'resolved',
+      resolved: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error resolving sync conflict:', error);
+    throw error;
+  }
+}
+
 /**
  * Get pending changes grouped by entity type (for debugging/UI)
  *
@@ -16,6 +16,7 @@
 import { getAllPeople, getAllHouses, getAllRelationships } from './database';
 import { getAllDignities, getTenuresForDignity } from './dignityService';
 import { SUGGESTION_TYPES, ACTION_TYPES } from '../data/suggestionTypes';
+import { compareCalendarDates } from '../utils/calendarUtils';
 
 // ==================== UTILITY FUNCTIONS ====================
 
@@ -143,11 +144,7 @@ function findEldestLivingLegitimate(houseId, maps) {
     .filter(p => p && isLiving(p) && isLegitimate(p));
 
   // Sort by birth date (oldest first)
-  members.sort((a, b) => {
-    const aYear = parseInt(a.dateOfBirth) || 9999;
-    const bYear = parseInt(b.dateOfBirth) || 9999;
-    return aYear - bYear;
-  });
+  members.sort((a, b) => compareCalendarDates(a.dateOfBirth, b.dateOfBirth));
 
   return members[0] || null;
 }
@@ -410,11 +407,7 @@ function analyzeTenureGaps(dignities, tenuresByDignity, maps) {
     if (deceasedMembers.length === 0) continue;
 
     // Sort by death date (oldest first)
-    deceasedMembers.sort((a, b) => {
-      const aYear = parseInt(a.dateOfDeath) || 9999;
-      const bYear = parseInt(b.dateOfDeath) || 9999;
-      return aYear - bYear;
-    });
+    deceasedMembers.sort((a, b) => compareCalendarDates(a.dateOfDeath, b.dateOfDeath));
 
     // Only suggest if we have at least 2 deceased members to form a chain
     if (deceasedMembers.length < 2) continue;
@@ -15,11 +15,22 @@
  * 
  * DATABASE TABLES USED:
  * - dignities: The titles/offices/honours themselves
- * - dignityTenures: Historical record of who held what, when
+ * - dignityTenures: Historical record of who held what, when (and any
+ *   regents who governed for the holder)
  * - dignityLinks: Junction table for complex entity relationships
  */
 
-import { getDatabase } from './database';
+import { getDatabase, calculateAge } from './database';
+import {
+  compareCalendarDates,
+  dateToOrdinal,
+  addCalendarYears,
+  getCalendarTodayDate
+} from '../utils/calendarUtils';
+import { applyCustomSuccessionRules } from '../utils/customSuccession';
+import { normalizeCustomSuccession } from '../data/successionCriteria';
+import { getRoleType } from '../data/householdRoleTypes';
+import { getAllHouseholdRoles, updateHouseholdRole } from './householdRoleService';
 import {
   syncAddDignity,
   syncUpdateDignity,
@@ -185,6 +196,42 @@ export const SUCCESSION_TYPES = {
     icon: '👴',
     autoCalculate: true
   },
+  'semi-salic': {
+    id: 'semi-salic',
+    name: 'Semi-Salic',
+    description: 'Male-line descendants inherit by primogeniture. Women, and men descended through women, only once every male line is extinct.',
+    icon: '⚖️',
+    autoCalculate: true
+  },
+  'ultimogeniture': {
+    id: 'ultimogeniture',
+    name: 'Ultimogeniture',
+    description: 'Youngest son inherits, then his sons. Daughters only if no males exist.',
+    icon: '🌱',
+    autoCalculate: true
+  },
+  'tanistry': {
+    id: 'tanistry',
+    name: 'Tanistry',
+    description: 'The tanist is chosen from the male-line kin of a common great-grandfather. Eldest first, unless a tanist is designated.',
+    icon: '🪨',
+    autoCalculate: true
+  },
+  'house-seniority': {
+    id: 'house-seniority',
+    name: 'Seniority by House',
+    description: 'Eldest living member of the house inherits, men and women alike. Cadet branches only if the house has no one.',
+    icon: '🏰',
+    autoCalculate: true
+  },
+  'gavelkind': {
+    id: 'gavelkind',
+    name: 'Gavelkind',
+    description: 'Split equally among the sons, each share held of the same liege. Daughters share only if there are no sons; a son who died first is represented by his own heirs, who split his share.',
+    icon: '🌾',
+    autoCalculate: true,
+    partible: true
+  },
   'elective': {
     id: 'elective',
     name: 'Elective',
@@ -209,9 +256,9 @@ export const SUCCESSION_TYPES = {
   'custom': {
     id: 'custom',
     name: 'Custom',
-    description: 'User-defined succession rules.',
+    description: 'Your own law: choose who is considered, how they are ranked, and the criteria they must meet or are preferred for.',
     icon: '✏️',
-    autoCalculate: false
+    autoCalculate: true
   }
 };
 
@@ -400,6 +447,34 @@ export const INTERREGNUM_REASONS = {
   }
 };
 
+/**
+ * Regency Reasons
+ * Why a regent governs for a holder who keeps the dignity
+ * (see the regencies on a tenure record)
+ */
+export const REGENCY_REASONS = {
+  minority: {
+    id: 'minority',
+    name: 'Minority',
+    description: 'Holder is below the age of majority.'
+  },
+  illness: {
+    id: 'illness',
+    name: 'Illness',
+    description: 'Holder is too ill to govern.'
+  },
+  captivity: {
+    id: 'captivity',
+    name: 'Captivity',
+    description: 'Holder is held captive.'
+  }
+};
+
+/**
+ * Age of majority when a dignity's succession rules don't set one
+ */
+export const DEFAULT_AGE_OF_MAJORITY = 16;
+
 /**
  * Display Icons by rank
  * For visual indicators on tree cards
@@ -478,12 +553,14 @@ export async function createDignity(dignityData, userId = null, datasetId = null
       
       // === SUCCESSION SYSTEM ===
       successionType: dignityData.successionType || 'male-primogeniture',
-      successionRules: dignityData.successionRules || {
+      successionRules: {
         excludeBastards: true,
         legitimizedBastardsEligible: true,
         excludeWomen: false,  // Only applies to male-primogeniture
         requiresConfirmation: false,
-        customNotes: null
+        ageOfMajority: DEFAULT_AGE_OF_MAJORITY,
+        customNotes: null,
+        ...(dignityData.successionRules || {})  // custom: the custom law, if any
       },
       designatedHeirId: dignityData.designatedHeirId || null,
       
@@ -538,7 +615,7 @@ export async function createDignity(dignityData, userId = null, datasetId = null
 
     // Sync to cloud if userId provided
     if (userId) {
-      syncAddDignity(userId, id, record);
+      syncAddDignity(userId, datasetId, id, record);
     }
 
     return id;
@@ -600,7 +677,7 @@ export async function updateDignity(id, updates, userId = null, datasetId = null
     
     // Sync to cloud if userId provided
     if (userId) {
-      syncUpdateDignity(userId, id, updates);
+      syncUpdateDignity(userId, datasetId, id, updates);
     }
     
     return result;
@@ -642,7 +719,7 @@ export async function deleteDignity(id, userId = null, datasetId = null) {
     for (const tenure of tenures) {
       await db.dignityTenures.delete(tenure.id);
       if (userId) {
-        syncDeleteDignityTenure(userId, tenure.id);
+        syncDeleteDignityTenure(userId, datasetId, tenure.id);
       }
     }
 
@@ -651,7 +728,7 @@ export async function deleteDignity(id, userId = null, datasetId = null) {
     for (const link of links) {
       await db.dignityLinks.delete(link.id);
       if (userId) {
-        syncDeleteDignityLink(userId, link.id);
+        syncDeleteDignityLink(userId, datasetId, link.id);
       }
     }
 
@@ -661,7 +738,7 @@ export async function deleteDignity(id, userId = null, datasetId = null) {
 
     // Sync to cloud if userId provided
     if (userId) {
-      syncDeleteDignity(userId, id);
+      syncDeleteDignity(userId, datasetId, id);
     }
   } catch (error) {
     console.error('❌ Error deleting dignity:', error);
@@ -700,6 +777,9 @@ export async function createDignityTenure(tenureData, userId = null, datasetId =
       witnessedByIds: tenureData.witnessedByIds || null, // 🪝 Article VII
       recordReference: tenureData.recordReference || null, // 🪝 "Rolls of the realm"
       
+      // Regents governing for the holder (see addRegency)
+      regencies: tenureData.regencies || [],
+      
       notes: tenureData.notes || null,
       created: now
     };
@@ -709,7 +789,7 @@ export async function createDignityTenure(tenureData, userId = null, datasetId =
     
     // Sync to cloud if userId provided
     if (userId) {
-      syncAddDignityTenure(userId, id, record);
+      syncAddDignityTenure(userId, datasetId, id, record);
     }
     
     return id;
@@ -736,10 +816,7 @@ export async function getTenuresForDignity(dignityId, datasetId = null) {
     
     // Sort by dateStarted (oldest first), null dates at end
     return tenures.sort((a, b) => {
-      if (!a.dateStarted && !b.dateStarted) return 0;
-      if (!a.dateStarted) return 1;
-      if (!b.dateStarted) return -1;
-      return new Date(a.dateStarted) - new Date(b.dateStarted);
+      return compareCalendarDates(a.dateStarted, b.dateStarted);
     });
   } catch (error) {
     console.error('❌ Error getting tenures for dignity:', error);
@@ -779,6 +856,22 @@ export async function getTenuresForPerson(personId, datasetId = null) {
   }
 }
 
+/**
+ * Get every tenure in the dataset (all dignities, all holders)
+ * Used by the timeline to draw tenure spans.
+ * 
+ * @returns {Promise<Array>} Array of tenure records
+ */
+export async function getAllTenures(datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    return await db.dignityTenures.toArray();
+  } catch (error) {
+    console.error('❌ Error getting all tenures:', error);
+    throw error;
+  }
+}
+
 /**
  * Get the current tenure for a dignity (where dateEnded is null)
  * 
@@ -795,6 +888,26 @@ export async function getCurrentTenure(dignityId, datasetId = null) {
   }
 }
 
+/**
+ * Find the tenure in force on a date
+ * A tenure covers its start date and ends the day it ended, so on a
+ * hand-over date the new holder is found. Tenures with no start date
+ * can't be placed and are skipped.
+ * 
+ * @param {Array} tenures - Tenure records for one dignity
+ * @param {string} asOfDate - Stored calendar date
+ * @returns {Object|null} The tenure, the latest started if several overlap
+ */
+export function getTenureAsOf(tenures, asOfDate) {
+  const inForce = tenures.filter(t =>
+    dateToOrdinal(t.dateStarted) !== null &&
+    compareCalendarDates(t.dateStarted, asOfDate) <= 0 &&
+    (!t.dateEnded || compareCalendarDates(t.dateEnded, asOfDate) > 0)
+  );
+  inForce.sort((a, b) => compareCalendarDates(b.dateStarted, a.dateStarted));
+  return inForce[0] || null;
+}
+
 /**
  * Update a tenure record
  * 
@@ -811,7 +924,7 @@ export async function updateDignityTenure(id, updates, userId = null, datasetId
     
     // Sync to cloud if userId provided
     if (userId) {
-      syncUpdateDignityTenure(userId, id, updates);
+      syncUpdateDignityTenure(userId, datasetId, id, updates);
     }
     
     return result;
@@ -836,7 +949,7 @@ export async function deleteDignityTenure(id, userId = null, datasetId = null) {
     
     // Sync to cloud if userId provided
     if (userId) {
-      syncDeleteDignityTenure(userId, id);
+      syncDeleteDignityTenure(userId, datasetId, id);
     }
   } catch (error) {
     console.error('❌ Error deleting dignity tenure:', error);
@@ -870,7 +983,7 @@ export async function linkDignityToEntity(linkData, userId = null, datasetId = n
     
     // Sync to cloud if userId provided
     if (userId) {
-      syncAddDignityLink(userId, id, link);
+      syncAddDignityLink(userId, datasetId, id, link);
     }
     
     return id;
@@ -951,7 +1064,7 @@ export async function unlinkDignity(linkId, userId = null, datasetId = null) {
     
     // Sync to cloud if userId provided
     if (userId) {
-      syncDeleteDignityLink(userId, linkId);
+      syncDeleteDignityLink(userId, datasetId, linkId);
     }
   } catch (error) {
     console.error('❌ Error unlinking dignity:', error);
@@ -1244,6 +1357,32 @@ export function getRankInfo(dignityClass, dignityRank) {
 
 // ==================== SUCCESSION CALCULATION ====================
 
+/**
+ * Build the family maps calculateSuccessionLine() takes from relationship records
+ * 
+ * @param {Array} relationships - All relationships
+ * @returns {Object} { parentMap, childrenMap, spouseMap }
+ */
+export function buildSuccessionMaps(relationships) {
+  const parentMap = new Map();
+  const childrenMap = new Map();
+  const spouseMap = new Map();
+
+  for (const rel of relationships) {
+    if (rel.relationshipType === 'parent') {
+      const existingParents = parentMap.get(rel.person2Id) || [];
+      parentMap.set(rel.person2Id, [...existingParents, rel.person1Id]);
+      const existingChildren = childrenMap.get(rel.person1Id) || [];
+      childrenMap.set(rel.person1Id, [...existingChildren, rel.person2Id]);
+    } else if (rel.relationshipType === 'spouse') {
+      spouseMap.set(rel.person1Id, rel.person2Id);
+      spouseMap.set(rel.person2Id, rel.person1Id);
+    }
+  }
+
+  return { parentMap, childrenMap, spouseMap };
+}
+
 /**
  * Calculate the line of succession for a dignity
  * 
@@ -1252,12 +1391,24 @@ export function getRankInfo(dignityClass, dignityRank) {
  * - The dignity's succession rules (exclude bastards, etc.)
  * - The family tree relationships
  * 
+ * With an asOfDate the line is the one that stood on that date: the
+ * holder is taken from the tenure records, people who died later count
+ * as living, and people not yet born are left out.
+ * 
+ * With a holderId as well, the line is the one that follows that holder's
+ * death on asOfDate (see simulateDeathCascade): they are taken as the
+ * holder, today's designated heir still stands, and asOfDate only decides
+ * who is living and how old they are.
+ * 
  * @param {number} dignityId - The dignity to calculate succession for
  * @param {Array} allPeople - All people in the database
  * @param {Map} parentMap - Map of childId -> [parentIds]
  * @param {Map} childrenMap - Map of parentId -> [childIds]
  * @param {Map} spouseMap - Map of personId -> spouseId
  * @param {number} maxDepth - Maximum generations to traverse (default 10)
+ * @param {string} [datasetId]
+ * @param {string} [asOfDate] - Stored calendar date for a historical line (default: today)
+ * @param {number} [holderId] - Holder to work from instead of the recorded one
  * @returns {Promise<Array>} Ordered array of succession candidates
  * 
  * Each candidate object:
@@ -1266,9 +1417,12 @@ export function getRankInfo(dignityClass, dignityRank) {
  *   position: number (1 = first in line),
  *   person: Object (full person record),
  *   relationship: string ("Son", "Grandson", "Brother", etc.),
- *   branch: string ("direct" | "collateral"),
+ *   branch: string ("direct" | "collateral" | "dynasty" | "cadet" | "derbfine" | "realm"),
  *   excluded: boolean (true if would be excluded by rules),
- *   exclusionReason: string | null
+ *   exclusionReason: string | null,
+ *   coheir: boolean (gavelkind only - shares the partition),
+ *   share: number (gavelkind co-heirs - fraction held, e.g. 1/6),
+ *   representing: number (gavelkind co-heirs - predeceased child whose portion they split)
  * }
  */
 export async function calculateSuccessionLine(
@@ -1278,7 +1432,9 @@ export async function calculateSuccessionLine(
   childrenMap,
   spouseMap,
   maxDepth = 10,
-  datasetId = null
+  datasetId = null,
+  asOfDate = null,
+  holderId = null
 ) {
   try {
     const dignity = await getDignity(dignityId, datasetId);
@@ -1287,13 +1443,17 @@ export async function calculateSuccessionLine(
       return [];
     }
     
+    // A designation is today's, so it counts for a historical line only
+    // when that line follows a named holder
+    const designationStands = !asOfDate || holderId !== null;
+
     // If succession type doesn't support auto-calculation, return empty
     const successionType = SUCCESSION_TYPES[dignity.successionType];
     if (!successionType?.autoCalculate) {
       console.log(`👑 Succession type '${dignity.successionType}' does not support auto-calculation`);
       
       // If there's a designated heir, return just them
-      if (dignity.designatedHeirId) {
+      if (dignity.designatedHeirId && designationStands) {
         const heir = allPeople.find(p => p.id === dignity.designatedHeirId);
         if (heir) {
           return [{
@@ -1310,8 +1470,16 @@ export async function calculateSuccessionLine(
       return [];
     }
     
-    // Get current holder
-    const currentHolderId = dignity.currentHolderId;
+    // Get current holder - or, for a historical line, the holder on that date
+    let currentHolderId = holderId ?? dignity.currentHolderId;
+    if (asOfDate && holderId === null) {
+      const tenure = getTenureAsOf(await getTenuresForDignity(dignityId, datasetId), asOfDate);
+      currentHolderId = tenure?.personId || null;
+      if (!currentHolderId) {
+        console.log(`👑 No recorded holder on ${asOfDate} - cannot calculate succession`);
+        return [];
+      }
+    }
     if (!currentHolderId) {
       console.log('👑 No current holder - cannot calculate succession');
       return [];
@@ -1324,23 +1492,65 @@ export async function calculateSuccessionLine(
     }
     
     const rules = dignity.successionRules || {};
-    const candidates = [];
+    const successionTypeId = dignity.successionType;
+    const custom = successionTypeId === 'custom' ? normalizeCustomSuccession(rules.custom) : null;
+    let candidates = [];
     const visited = new Set();
     
+    // Laws where sons come before daughters
+    const malePreference = ['male-primogeniture', 'semi-salic', 'ultimogeniture', 'gavelkind']
+      .includes(successionTypeId);
+    // Laws that rank youngest first, or purely by age
+    const youngestFirst = successionTypeId === 'ultimogeniture' || custom?.order === 'ultimogeniture';
+    const bySeniority = ['agnatic-seniority', 'tanistry', 'house-seniority'].includes(successionTypeId) ||
+      custom?.order === 'seniority';
+    
+    let housesCache = null;
+    const getHouses = async () => {
+      if (!housesCache) housesCache = await getDatabase(datasetId).houses.toArray();
+      return housesCache;
+    };
+    
     // Build a lookup for people by ID
     const peopleById = new Map(allPeople.map(p => [p.id, p]));
     
+    /**
+     * Living and born, today or on the as-of date
+     * Undated births count as born; someone who died on the date is dead.
+     */
+    const isLiving = (person) => {
+      if (!person.dateOfDeath) return true;
+      if (!asOfDate) return false;
+      return compareCalendarDates(person.dateOfDeath, asOfDate) > 0;
+    };
+    const isBorn = (person) => {
+      if (!asOfDate || dateToOrdinal(person.dateOfBirth) === null) return true;
+      return compareCalendarDates(person.dateOfBirth, asOfDate) <= 0;
+    };
+    
+    /**
+     * Eldest first (youngest first under ultimogeniture); undated births
+     * go last either way, since nothing says who they come before
+     */
+    const compareBirthDates = (a, b) => {
+      if (!youngestFirst) return compareCalendarDates(a, b);
+      const undatedA = dateToOrdinal(a) === null;
+      const undatedB = dateToOrdinal(b) === null;
+      if (undatedA || undatedB) return undatedA - undatedB;
+      return compareCalendarDates(b, a);
+    };
+    
     /**
      * Check if a person is eligible based on succession rules
      */
     const checkEligibility = (person) => {
-      // Can't succeed if they're dead (unless we're doing historical "what if")
-      if (person.dateOfDeath) {
+      // Can't succeed if they're dead
+      if (!isLiving(person)) {
         return { eligible: false, reason: 'Deceased' };
       }
       
-      // Check gender for male-primogeniture
-      if (dignity.successionType === 'male-primogeniture' && person.gender === 'female') {
+      // Check gender for male-preference laws
+      if (malePreference && person.gender === 'female') {
         // Women can inherit if no males available - we'll handle this in ordering
         return { eligible: true, reason: null, lowerPriority: true };
       }
@@ -1431,18 +1641,24 @@ export async function calculateSuccessionLine(
     
     /**
      * Recursive traversal for primogeniture systems
-     * Traverses depth-first through descendants, then collaterally
+     * Traverses depth-first through descendants, then collaterally.
+     * Ultimogeniture walks the same tree youngest first. `agnatic` marks
+     * descent through men only, which semi-salic law puts first.
      */
-    const traversePrimogeniture = (personId, depth, branch) => {
+    const traversePrimogeniture = (personId, depth, branch, agnatic = false) => {
       if (depth > maxDepth || visited.has(personId)) return;
       visited.add(personId);
       
       const person = peopleById.get(personId);
       if (!person) return;
       
+      // Not yet born - nor, then, are their descendants
+      if (!isBorn(person)) return;
+      
       // Skip the current holder themselves
       if (personId !== currentHolderId) {
         const eligibility = checkEligibility(person);
+        const cognatic = successionTypeId === 'semi-salic' && !agnatic;
         candidates.push({
           personId: person.id,
           position: 0, // Will be assigned after sorting
@@ -1451,7 +1667,7 @@ export async function calculateSuccessionLine(
           branch,
           excluded: !eligibility.eligible,
           exclusionReason: eligibility.reason,
-          lowerPriority: eligibility.lowerPriority || false,
+          lowerPriority: eligibility.lowerPriority || cognatic,
           birthDate: person.dateOfBirth,
           depth
         });
@@ -1463,18 +1679,18 @@ export async function calculateSuccessionLine(
         .map(id => peopleById.get(id))
         .filter(p => p)
         .sort((a, b) => {
-          // For male-primogeniture, males come before females
-          if (dignity.successionType === 'male-primogeniture') {
+          // For male-preference laws, males come before females
+          if (malePreference) {
             if (a.gender === 'male' && b.gender === 'female') return -1;
             if (a.gender === 'female' && b.gender === 'male') return 1;
           }
-          // Then sort by birth date
-          return (parseInt(a.dateOfBirth) || 9999) - (parseInt(b.dateOfBirth) || 9999);
+          // Then sort by birth date (youngest first for ultimogeniture)
+          return compareBirthDates(a.dateOfBirth, b.dateOfBirth);
         });
       
       // Traverse children depth-first
       for (const child of sortedChildren) {
-        traversePrimogeniture(child.id, depth + 1, 'direct');
+        traversePrimogeniture(child.id, depth + 1, 'direct', agnatic && child.gender === 'male');
       }
     };
     
@@ -1489,13 +1705,12 @@ export async function calculateSuccessionLine(
         p.houseId === houseId && 
         p.id !== currentHolderId &&
         p.gender === 'male' &&
-        !p.dateOfDeath
+        isLiving(p) &&
+        isBorn(p)
       );
       
       // Sort by birth date (oldest first)
-      dynastyMembers.sort((a, b) => 
-        (parseInt(a.dateOfBirth) || 9999) - (parseInt(b.dateOfBirth) || 9999)
-      );
+      dynastyMembers.sort((a, b) => compareCalendarDates(a.dateOfBirth, b.dateOfBirth));
       
       for (const person of dynastyMembers) {
         const eligibility = checkEligibility(person);
@@ -1514,31 +1729,156 @@ export async function calculateSuccessionLine(
       }
     };
     
+    /**
+     * Traverse for tanistry
+     * The derbfine: male-line descendants of the holder's great-grandfather
+     * (or the furthest male-line ancestor recorded), eldest first
+     */
+    const traverseTanistry = () => {
+      let founderId = currentHolderId;
+      for (let generation = 0; generation < 3; generation++) {
+        const fatherId = (parentMap.get(founderId) || [])
+          .find(id => peopleById.get(id)?.gender === 'male');
+        if (!fatherId) break;
+        founderId = fatherId;
+      }
+      
+      const derbfine = [];
+      const collect = (personId, depth) => {
+        if (depth > maxDepth || visited.has(personId)) return;
+        visited.add(personId);
+        
+        const person = peopleById.get(personId);
+        if (!person || person.gender !== 'male' || !isBorn(person)) return;
+        if (personId !== currentHolderId && isLiving(person)) derbfine.push(person);
+        
+        (childrenMap.get(personId) || []).forEach(childId => collect(childId, depth + 1));
+      };
+      collect(founderId, 0);
+      
+      for (const person of derbfine) {
+        const eligibility = checkEligibility(person);
+        // A tanist named in the holder's lifetime goes first
+        const designated = designationStands && person.id === dignity.designatedHeirId;
+        candidates.push({
+          personId: person.id,
+          position: 0,
+          person,
+          relationship: designated
+            ? `Tanist - ${getRelationshipDescription(person, currentHolder)}`
+            : getRelationshipDescription(person, currentHolder),
+          branch: 'derbfine',
+          excluded: !eligibility.eligible,
+          exclusionReason: eligibility.reason,
+          lowerPriority: !designated,
+          birthDate: person.dateOfBirth,
+          depth: 0
+        });
+      }
+    };
+    
+    /**
+     * Traverse for seniority by house
+     * Every living member of the holder's house, eldest first; members
+     * of its cadet houses (and theirs) after them
+     */
+    const traverseHouseSeniority = async () => {
+      const houseId = currentHolder.houseId;
+      const houses = await getHouses();
+      const cadetHouseIds = new Set();
+      let parentIds = [houseId];
+      while (parentIds.length > 0) {
+        parentIds = houses
+          .filter(h => parentIds.includes(h.parentHouseId) && !cadetHouseIds.has(h.id))
+          .map(h => h.id);
+        parentIds.forEach(id => cadetHouseIds.add(id));
+      }
+      
+      const members = allPeople.filter(p =>
+        (p.houseId === houseId || cadetHouseIds.has(p.houseId)) &&
+        p.id !== currentHolderId &&
+        isLiving(p) &&
+        isBorn(p)
+      );
+      
+      for (const person of members) {
+        const eligibility = checkEligibility(person);
+        const cadet = person.houseId !== houseId;
+        candidates.push({
+          personId: person.id,
+          position: 0,
+          person,
+          relationship: getRelationshipDescription(person, currentHolder),
+          branch: cadet ? 'cadet' : 'dynasty',
+          excluded: !eligibility.eligible,
+          exclusionReason: eligibility.reason,
+          lowerPriority: cadet,
+          birthDate: person.dateOfBirth,
+          depth: 0
+        });
+      }
+    };
+    
+    /**
+     * Traverse for a custom law drawn from everyone
+     * Every living person; the law's criteria decide who qualifies
+     */
+    const traverseEveryone = () => {
+      const everyone = allPeople.filter(p => p.id !== currentHolderId && isLiving(p) && isBorn(p));
+      
+      for (const person of everyone) {
+        const eligibility = checkEligibility(person);
+        const relationship = getRelationshipDescription(person, currentHolder);
+        candidates.push({
+          personId: person.id,
+          position: 0,
+          person,
+          relationship: relationship === 'Relative' ? 'Other' : relationship,
+          branch: 'realm',
+          excluded: !eligibility.eligible,
+          exclusionReason: eligibility.reason,
+          lowerPriority: false,
+          birthDate: person.dateOfBirth,
+          depth: 0
+        });
+      }
+    };
+    
     // Execute the appropriate traversal
-    if (dignity.successionType === 'agnatic-seniority') {
+    if (successionTypeId === 'agnatic-seniority') {
       traverseAgnaticSeniority();
+    } else if (successionTypeId === 'tanistry') {
+      traverseTanistry();
+    } else if (successionTypeId === 'house-seniority' || custom?.pool === 'house') {
+      await traverseHouseSeniority();
+    } else if (custom?.pool === 'everyone') {
+      traverseEveryone();
     } else {
       // Start with current holder's children
-      traversePrimogeniture(currentHolderId, 0, 'direct');
+      traversePrimogeniture(currentHolderId, 0, 'direct', currentHolder.gender === 'male');
       
       // Then traverse collateral lines (siblings and their descendants)
       const holderParents = parentMap.get(currentHolderId) || [];
       for (const parentId of holderParents) {
+        const parentIsMale = peopleById.get(parentId)?.gender === 'male';
         const siblings = (childrenMap.get(parentId) || [])
           .filter(id => id !== currentHolderId);
         
         for (const siblingId of siblings) {
-          traversePrimogeniture(siblingId, 1, 'collateral');
+          const sibling = peopleById.get(siblingId);
+          traversePrimogeniture(siblingId, 1, 'collateral', parentIsMale && sibling?.gender === 'male');
         }
         
         // Also check aunts/uncles
         const grandparents = parentMap.get(parentId) || [];
         for (const gpId of grandparents) {
+          const gpIsMale = peopleById.get(gpId)?.gender === 'male';
           const unclesAunts = (childrenMap.get(gpId) || [])
             .filter(id => id !== parentId);
           
           for (const uaId of unclesAunts) {
-            traversePrimogeniture(uaId, 2, 'collateral');
+            const uncleAunt = peopleById.get(uaId);
+            traversePrimogeniture(uaId, 2, 'collateral', parentIsMale && gpIsMale && uncleAunt?.gender === 'male');
           }
         }
       }
@@ -1554,22 +1894,105 @@ export async function calculateSuccessionLine(
       if (a.lowerPriority && !b.lowerPriority) return 1;
       if (!a.lowerPriority && b.lowerPriority) return -1;
       
+      // For the seniority laws, sort purely by age
+      if (bySeniority) {
+        return compareCalendarDates(a.birthDate, b.birthDate);
+      }
+      
       // Direct line before collateral
       if (a.branch === 'direct' && b.branch !== 'direct') return -1;
       if (a.branch !== 'direct' && b.branch === 'direct') return 1;
       
-      // For agnatic seniority, sort purely by age
-      if (dignity.successionType === 'agnatic-seniority') {
-        return (parseInt(a.birthDate) || 9999) - (parseInt(b.birthDate) || 9999);
-      }
-      
       // For primogeniture, lower depth (closer generation) comes first
       if (a.depth !== b.depth) return a.depth - b.depth;
       
-      // Within same generation, sort by birth date
-      return (parseInt(a.birthDate) || 9999) - (parseInt(b.birthDate) || 9999);
+      // Within same generation, sort by birth date (youngest first for ultimogeniture)
+      return compareBirthDates(a.birthDate, b.birthDate);
     });
     
+    // Custom law: its criteria filter and re-rank the line
+    if (custom) {
+      const fields = new Set(custom.criteria.map(c => c.field));
+      const context = { asOfDate };
+      
+      if (fields.has('house')) {
+        context.housesById = new Map((await getHouses()).map(h => [h.id, h]));
+      }
+      if (fields.has('householdRole')) {
+        // Roles record only their present holder, so historical lines use them too
+        const roles = await getAllHouseholdRoles(datasetId);
+        context.roleTypesByPerson = new Map();
+        roles.filter(r => r.currentHolderId).forEach(r => {
+          if (!context.roleTypesByPerson.has(r.currentHolderId)) {
+            context.roleTypesByPerson.set(r.currentHolderId, new Set());
+          }
+          context.roleTypesByPerson.get(r.currentHolderId).add(r.roleType);
+        });
+      }
+      if (fields.has('descendant')) {
+        context.descendantIds = new Set();
+        const queue = [...(childrenMap.get(currentHolderId) || [])];
+        while (queue.length > 0) {
+          const childId = queue.shift();
+          if (context.descendantIds.has(childId)) continue;
+          context.descendantIds.add(childId);
+          queue.push(...(childrenMap.get(childId) || []));
+        }
+      }
+      
+      candidates = applyCustomSuccessionRules(candidates, custom, context);
+      
+      // A designated heir who meets the law goes first
+      const designated = designationStands && candidates.find(c => c.personId === dignity.designatedHeirId && !c.excluded);
+      if (designated) {
+        designated.relationship = `Designated Heir - ${designated.relationship}`;
+        candidates = [designated, ...candidates.filter(c => c !== designated)];
+      }
+    }
+    
+    // Gavelkind: the holder's sons share the dignity equally, or the
+    // daughters if there are no sons. A child who died before the holder is
+    // represented by their own heirs, chosen the same way, who split that
+    // child's portion between them (a predeceased son's two sons take half
+    // his share each). With no children or issue of children, the holder's
+    // siblings and their issue share instead. Each co-heir gets `share`, the
+    // fraction they hold, and `representing`, the predeceased child of the
+    // holder (or sibling) whose portion they split.
+    if (successionTypeId === 'gavelkind') {
+      const candidateById = new Map(candidates.map(c => [c.personId, c]));
+      
+      const heirsAmong = (lines) => {
+        const living = lines.filter(hasLine);
+        const sons = living.filter(c => c.person.gender === 'male');
+        return sons.length > 0 ? sons : living;
+      };
+      const heirsOf = (personId) => heirsAmong(
+        (childrenMap.get(personId) || []).map(id => candidateById.get(id)).filter(Boolean)
+      );
+      // Inherits in person, or died leaving issue to inherit for them
+      function hasLine(candidate) {
+        if (!candidate.excluded) return true;
+        return candidate.exclusionReason === 'Deceased' && heirsOf(candidate.personId).length > 0;
+      }
+      
+      const assignShare = (candidate, share, representing) => {
+        if (!candidate.excluded) {
+          candidate.coheir = true;
+          candidate.share = share;
+          if (representing) candidate.representing = representing;
+          return;
+        }
+        const heirs = heirsOf(candidate.personId);
+        heirs.forEach(heir => assignShare(heir, share / heirs.length, representing || candidate.personId));
+      };
+      
+      let group = heirsOf(currentHolderId);
+      if (group.length === 0) {
+        group = heirsAmong(candidates.filter(c => c.depth === 1 && c.branch === 'collateral'));
+      }
+      group.forEach(c => assignShare(c, 1 / group.length, null));
+    }
+    
     // Assign positions
     let position = 1;
     for (const candidate of candidates) {
@@ -1580,7 +2003,7 @@ export async function calculateSuccessionLine(
       delete candidate.lowerPriority;
     }
     
-    console.log(`👑 Calculated succession for ${dignity.name}: ${candidates.length} candidates`);
+    console.log(`👑 Calculated succession for ${dignity.name}${asOfDate ? ` as of ${asOfDate}` : ''}: ${candidates.length} candidates`);
     return candidates;
     
   } catch (error) {
@@ -1605,6 +2028,320 @@ export async function getHeir(dignityId, allPeople, parentMap, childrenMap, spou
   return eligibleHeir || null;
 }
 
+// ==================== GAVELKIND PARTITION ====================
+
+/**
+ * Propose how a gavelkind dignity splits among its co-heirs
+ * Each share becomes a new dignity of the same class and rank, held of the
+ * same liege - the original's liege, or the original dignity itself if it
+ * has none - so the shares stay bound together.
+ * 
+ * @param {Object} dignity - The dignity being partitioned
+ * @param {Array} successionLine - From calculateSuccessionLine()
+ * @returns {Array} [{ personId, person, dignityData }] - empty unless two or more co-heirs
+ */
+export function proposeGavelkindPartition(dignity, successionLine) {
+  const coheirs = successionLine.filter(c => c.coheir);
+  if (coheirs.length < 2) return [];
+
+  const swornToId = dignity.swornToId || dignity.id;
+  const namesById = new Map(successionLine.map(c => [c.personId, c.person.firstName]));
+  const describeShare = (coheir) => {
+    if (!coheir.share) return '';
+    const fraction = ` (a 1/${Math.round(1 / coheir.share)} share`;
+    const represented = namesById.get(coheir.representing);
+    return represented ? `${fraction}, representing ${represented})` : `${fraction})`;
+  };
+
+  return coheirs.map(coheir => ({
+    personId: coheir.personId,
+    person: coheir.person,
+    dignityData: {
+      name: `${dignity.name} - ${coheir.person.firstName}'s Portion`,
+      dignityClass: dignity.dignityClass,
+      dignityRank: dignity.dignityRank,
+      tenureType: dignity.tenureType,
+      placeName: dignity.placeName,
+      seatName: null,
+      swornToId,
+      fealtyType: dignity.fealtyType,
+      currentHolderId: coheir.personId,
+      currentHouseId: coheir.person.houseId || null,
+      isHereditary: dignity.isHereditary,
+      successionType: 'gavelkind',
+      successionRules: dignity.successionRules,
+      displayIcon: dignity.displayIcon,
+      displayPriority: dignity.displayPriority,
+      notes: `Partitioned from ${dignity.name} by gavelkind${describeShare(coheir)}.`
+    }
+  }));
+}
+
+/**
+ * Carry out a gavelkind partition
+ * Creates each share with a tenure for its co-heir, ends the open tenure
+ * of the original dignity, and leaves the original vacant.
+ * 
+ * @param {number} dignityId - The dignity being partitioned
+ * @param {Array} proposals - From proposeGavelkindPartition()
+ * @param {string} [dateStarted] - Stored calendar date of the partition
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<number[]>} IDs of the new dignities
+ */
+export async function applyGavelkindPartition(dignityId, proposals, dateStarted = null, userId = null, datasetId = null) {
+  try {
+    const shareIds = [];
+    for (const proposal of proposals) {
+      const shareId = await createDignity(proposal.dignityData, userId, datasetId);
+      await createDignityTenure({
+        dignityId: shareId,
+        personId: proposal.personId,
+        dateStarted,
+        acquisitionType: 'inheritance',
+        notes: 'Share of a gavelkind partition'
+      }, userId, datasetId);
+      shareIds.push(shareId);
+    }
+
+    const openTenure = await getCurrentTenure(dignityId, datasetId);
+    if (openTenure) {
+      await updateDignityTenure(openTenure.id, {
+        dateEnded: dateStarted,
+        endType: 'succession'
+      }, userId, datasetId);
+    }
+
+    await updateDignity(dignityId, {
+      currentHolderId: null,
+      isVacant: true
+    }, userId, datasetId);
+
+    console.log(`🌾 Partitioned dignity ${dignityId} into ${shareIds.length} shares`);
+    return shareIds;
+  } catch (error) {
+    console.error('❌ Error applying gavelkind partition:', error);
+    throw error;
+  }
+}
+
+// ==================== DEATH CASCADE ====================
+
+/**
+ * Death Cascade Outcomes - What becomes of a dignity when its holder dies
+ */
+export const CASCADE_OUTCOMES = {
+  inherits: {
+    id: 'inherits',
+    name: 'Inherited',
+    description: 'Passes to the first eligible heir.'
+  },
+  partition: {
+    id: 'partition',
+    name: 'Partitioned',
+    description: 'Split among the co-heirs (gavelkind).'
+  },
+  interregnum: {
+    id: 'interregnum',
+    name: 'Interregnum',
+    description: 'No one takes up the dignity until a successor is chosen or confirmed.'
+  },
+  vacant: {
+    id: 'vacant',
+    name: 'Vacant',
+    description: 'No one can inherit - the dignity falls vacant.'
+  }
+};
+
+const SUCCESSOR_ACQUISITION = {
+  elective: 'election',
+  appointment: 'grant',
+  conquest: 'conquest'
+};
+
+/**
+ * Work out everything a person's death would change, without writing anything
+ * 
+ * Each dignity they hold passes down its line of succession, computed as
+ * if they had already died. Their household roles fall vacant, and so do
+ * any heir designations and interregnum regencies that name them. Regencies
+ * they hold over someone else's tenure end on the day they die.
+ * 
+ * @param {number} personId - The person who dies
+ * @param {string} dateOfDeath - Stored calendar date
+ * @param {Array} allPeople - All people
+ * @param {Map} parentMap - From buildSuccessionMaps()
+ * @param {Map} childrenMap
+ * @param {Map} spouseMap
+ * @param {string} [datasetId]
+ * @returns {Promise<Object>} {
+ *   person, dateOfDeath,
+ *   dignities: [{ dignity, outcome, heir, proposals, reason, minority }],
+ *     minority (see getMinority) is set when the heir inherits under age,
+ *   householdRoles: [{ role, roleName }],
+ *   designations: [dignity] - dignities that named them designated heir,
+ *   regencies: [dignity] - interregnums they were regent for,
+ *   tenureRegencies: [{ dignity, tenure, regency }] - tenure regencies they
+ *     were regent for that had not ended by the day of the death
+ * }
+ */
+export async function simulateDeathCascade(
+  personId,
+  dateOfDeath,
+  allPeople,
+  parentMap,
+  childrenMap,
+  spouseMap,
+  datasetId = null
+) {
+  try {
+    const person = allPeople.find(p => p.id === personId);
+    if (!person) throw new Error(`Person ${personId} not found`);
+
+    // The lines are worked out as if the death had already happened
+    const peopleAfterDeath = allPeople.map(p => (p.id === personId ? { ...p, dateOfDeath } : p));
+    const allDignities = await getAllDignities(datasetId);
+
+    const dignities = [];
+    for (const dignity of allDignities.filter(d => d.currentHolderId === personId)) {
+      const successionType = SUCCESSION_TYPES[dignity.successionType];
+      // Who is living, and how old, is judged on the day of the death
+      const line = await calculateSuccessionLine(
+        dignity.id, peopleAfterDeath, parentMap, childrenMap, spouseMap, 10, datasetId, dateOfDeath || null, personId
+      );
+      const heir = line.find(c => !c.excluded) || null;
+      const proposals = successionType?.partible ? proposeGavelkindPartition(dignity, line) : [];
+
+      if (proposals.length > 0) {
+        dignities.push({ dignity, outcome: 'partition', heir, proposals, reason: `${proposals.length} co-heirs share it` });
+      } else if (!heir) {
+        dignities.push(successionType?.autoCalculate
+          ? { dignity, outcome: 'vacant', heir: null, proposals, reason: 'No eligible heir' }
+          : { dignity, outcome: 'interregnum', heir: null, proposals, reason: `${successionType?.name || 'Succession'} - no successor named` });
+      } else if (dignity.successionRules?.requiresConfirmation) {
+        dignities.push({ dignity, outcome: 'interregnum', heir, proposals, reason: 'The heir awaits confirmation' });
+      } else {
+        dignities.push({
+          dignity,
+          outcome: 'inherits',
+          heir,
+          proposals,
+          reason: heir.relationship,
+          minority: getMinority(heir.person, dignity.successionRules, dateOfDeath)
+        });
+      }
+    }
+
+    const householdRoles = (await getAllHouseholdRoles(datasetId))
+      .filter(role => role.currentHolderId === personId)
+      .map(role => ({
+        role,
+        roleName: role.customRoleName || getRoleType(role.roleType)?.name || role.roleType
+      }));
+
+    const designations = allDignities.filter(d => d.designatedHeirId === personId && d.currentHolderId !== personId);
+    const regencies = allDignities.filter(d => d.interregnum?.regentId === personId);
+
+    const dignitiesById = new Map(allDignities.map(d => [d.id, d]));
+    const tenureRegencies = (await getAllTenures(datasetId))
+      .filter(tenure => !tenure.dateEnded && dignitiesById.has(tenure.dignityId))
+      .flatMap(tenure => (tenure.regencies || [])
+        .filter(regency => regency.regentId === personId &&
+          (!regency.endDate || compareCalendarDates(regency.endDate, dateOfDeath) > 0))
+        .map(regency => ({ dignity: dignitiesById.get(tenure.dignityId), tenure, regency })));
+
+    console.log(`💀 Simulated the death of ${person.firstName}: ${dignities.length} dignities, ${householdRoles.length} household roles`);
+    return { person, dateOfDeath, dignities, householdRoles, designations, regencies, tenureRegencies };
+  } catch (error) {
+    console.error('❌ Error simulating death cascade:', error);
+    throw error;
+  }
+}
+
+/**
+ * Write a simulated death cascade: end the dead holder's tenures with
+ * endType 'death', start the successors' tenures and hand over the
+ * dignities, vacate their household roles, clear their designations and
+ * interregnum regencies, and end their tenure regencies on the date of
+ * death. The person's own date of death is left to the caller.
+ * 
+ * @param {Object} cascade - From simulateDeathCascade()
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId]
+ * @returns {Promise<void>}
+ */
+export async function applyDeathCascade(cascade, userId = null, datasetId = null) {
+  const { person, dateOfDeath } = cascade;
+  const deceasedName = `${person.firstName} ${person.lastName}`;
+
+  try {
+    for (const { dignity, outcome, heir, proposals, reason } of cascade.dignities) {
+      const openTenures = (await getTenuresForDignity(dignity.id, datasetId))
+        .filter(t => t.personId === person.id && !t.dateEnded);
+      for (const tenure of openTenures) {
+        await updateDignityTenure(tenure.id, {
+          dateEnded: dateOfDeath,
+          endType: 'death'
+        }, userId, datasetId);
+      }
+
+      if (outcome === 'inherits') {
+        await createDignityTenure({
+          dignityId: dignity.id,
+          personId: heir.personId,
+          dateStarted: dateOfDeath,
+          acquisitionType: SUCCESSOR_ACQUISITION[dignity.successionType] || 'inheritance',
+          notes: `Succeeded on the death of ${deceasedName}`
+        }, userId, datasetId);
+        await updateDignity(dignity.id, {
+          currentHolderId: heir.personId,
+          currentHouseId: heir.person.houseId || dignity.currentHouseId,
+          isVacant: false,
+          designatedHeirId: dignity.designatedHeirId === heir.personId ? null : (dignity.designatedHeirId || null)
+        }, userId, datasetId);
+      } else if (outcome === 'partition') {
+        await applyGavelkindPartition(dignity.id, proposals, dateOfDeath, userId, datasetId);
+      } else {
+        await updateDignity(dignity.id, {
+          currentHolderId: null,
+          isVacant: true
+        }, userId, datasetId);
+        if (outcome === 'interregnum') {
+          await setInterregnum(dignity.id, {
+            startDate: dateOfDeath,
+            reason: 'vacancy',
+            notes: heir
+              ? `${reason}: ${heir.person.firstName} ${heir.person.lastName}`
+              : reason
+          }, userId, datasetId);
+        }
+      }
+    }
+
+    for (const { role } of cascade.householdRoles) {
+      await updateHouseholdRole(role.id, { currentHolderId: null, startDate: null }, userId, datasetId);
+    }
+
+    for (const dignity of cascade.designations) {
+      await updateDignity(dignity.id, { designatedHeirId: null }, userId, datasetId);
+    }
+
+    for (const dignity of cascade.regencies) {
+      await updateDignity(dignity.id, {
+        interregnum: { ...dignity.interregnum, regentId: null }
+      }, userId, datasetId);
+    }
+
+    for (const { tenure, regency } of cascade.tenureRegencies) {
+      await updateRegency(tenure.id, regency.id, { endDate: dateOfDeath }, userId, datasetId);
+    }
+
+    console.log(`💀 Applied the death of ${deceasedName}: ${cascade.dignities.length} dignities changed hands`);
+  } catch (error) {
+    console.error('❌ Error applying death cascade:', error);
+    throw error;
+  }
+}
+
 // ==================== DISPUTE MANAGEMENT ====================
 
 /**
@@ -1906,6 +2643,185 @@ export async function getDignitiesInCrisis(datasetId = null) {
   }
 }
 
+/**
+ * The age of majority under a dignity's succession rules
+ * 
+ * @param {Object} [successionRules] - dignity.successionRules
+ * @returns {number}
+ */
+export function getAgeOfMajority(successionRules) {
+  const age = parseInt(successionRules?.ageOfMajority, 10);
+  return Number.isFinite(age) && age >= 0 ? age : DEFAULT_AGE_OF_MAJORITY;
+}
+
+/**
+ * Check whether a person is under a dignity's age of majority on a date
+ * 
+ * @param {Object} person - Needs dateOfBirth
+ * @param {Object} [successionRules] - dignity.successionRules
+ * @param {string} [asOfDate] - Stored date (default: today)
+ * @returns {Object|null} { age, ageOfMajority, comesOfAge } for a minor,
+ *   null for an adult or an unknown age
+ */
+export function getMinority(person, successionRules, asOfDate = null) {
+  const age = calculateAge(person?.dateOfBirth, asOfDate);
+  const ageOfMajority = getAgeOfMajority(successionRules);
+  if (age === null || age >= ageOfMajority) return null;
+  return {
+    age,
+    ageOfMajority,
+    comesOfAge: addCalendarYears(person.dateOfBirth, ageOfMajority)
+  };
+}
+
+/**
+ * Suggest a minority regency for a tenure whose holder came to it under age
+ * The regency runs from the start of the tenure until the holder comes of
+ * age, or the tenure ends if that is sooner. Nothing is suggested once the
+ * tenure records a minority regency.
+ * 
+ * @param {Object} dignity - The dignity (for its age of majority)
+ * @param {Object} tenure - The tenure record
+ * @param {Object} holder - The tenure's holder
+ * @returns {Object|null} { reason, startDate, endDate, age, ageOfMajority }
+ */
+export function suggestMinorityRegency(dignity, tenure, holder) {
+  if (!tenure?.dateStarted) return null;
+  if ((tenure.regencies || []).some(r => r.reason === 'minority')) return null;
+
+  const minority = getMinority(holder, dignity?.successionRules, tenure.dateStarted);
+  if (!minority) return null;
+
+  const endsFirst = tenure.dateEnded && compareCalendarDates(tenure.dateEnded, minority.comesOfAge) < 0;
+  return {
+    reason: 'minority',
+    startDate: tenure.dateStarted,
+    endDate: endsFirst ? tenure.dateEnded : minority.comesOfAge,
+    age: minority.age,
+    ageOfMajority: minority.ageOfMajority
+  };
+}
+
+/**
+ * Find the regency in force on a tenure on a date
+ * A regency with no end date is still in force. With no present day set in
+ * the calendar, only such open-ended regencies count as in force today.
+ * 
+ * @param {Object} tenure - The tenure record
+ * @param {string} [asOfDate] - Stored date (default: today)
+ * @returns {Object|null} The regency, the latest started if several overlap
+ */
+export function getRegencyAsOf(tenure, asOfDate = null) {
+  const date = asOfDate || getCalendarTodayDate();
+  const inForce = (tenure?.regencies || []).filter(r =>
+    (!r.startDate || compareCalendarDates(r.startDate, date) <= 0) &&
+    (!r.endDate || compareCalendarDates(r.endDate, date) > 0)
+  );
+  inForce.sort((a, b) => compareCalendarDates(b.startDate, a.startDate));
+  return inForce[0] || null;
+}
+
+/**
+ * Record a regency on a tenure - someone governing for the holder
+ * 
+ * @param {number} tenureId - The tenure ID
+ * @param {Object} regencyData - The regency details
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<Object>} The updated tenure
+ * 
+ * regencyData: {
+ *   regentId: number | null (person governing),
+ *   regentTitle: string ("Lord Protector", "Queen Regent", etc.),
+ *   councilIds: number[] (members of the regency council),
+ *   startDate: string,
+ *   endDate: string | null (null while it lasts),
+ *   reason: string (from REGENCY_REASONS),
+ *   notes: string
+ * }
+ */
+export async function addRegency(tenureId, regencyData, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const tenure = await db.dignityTenures.get(tenureId);
+    if (!tenure) throw new Error('Tenure not found');
+
+    const regency = {
+      id: `regency-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      regentId: regencyData.regentId || null,
+      regentTitle: regencyData.regentTitle || 'Regent',
+      councilIds: regencyData.councilIds || [],
+      startDate: regencyData.startDate || null,
+      endDate: regencyData.endDate || null,
+      reason: regencyData.reason || 'minority',
+      notes: regencyData.notes || null,
+      created: new Date().toISOString()
+    };
+
+    const regencies = [...(tenure.regencies || []), regency];
+    await updateDignityTenure(tenureId, { regencies }, userId, datasetId);
+
+    console.log(`🛡️ Regency added to tenure ${tenureId}:`, regency.id);
+    return { ...tenure, regencies };
+
+  } catch (error) {
+    console.error('❌ Error adding regency:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a regency on a tenure
+ * 
+ * @param {number} tenureId - The tenure ID
+ * @param {string} regencyId - The regency ID to update
+ * @param {Object} updates - Fields to update
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<Object>} The updated tenure
+ */
+export async function updateRegency(tenureId, regencyId, updates, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const tenure = await db.dignityTenures.get(tenureId);
+    if (!tenure) throw new Error('Tenure not found');
+
+    const regencies = (tenure.regencies || []).map(r => (r.id === regencyId ? { ...r, ...updates } : r));
+    await updateDignityTenure(tenureId, { regencies }, userId, datasetId);
+
+    console.log(`🛡️ Regency updated: ${regencyId}`);
+    return { ...tenure, regencies };
+
+  } catch (error) {
+    console.error('❌ Error updating regency:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a regency from a tenure
+ * 
+ * @param {number} tenureId - The tenure ID
+ * @param {string} regencyId - The regency ID to remove
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<Object>} The updated tenure
+ */
+export async function removeRegency(tenureId, regencyId, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const tenure = await db.dignityTenures.get(tenureId);
+    if (!tenure) throw new Error('Tenure not found');
+
+    const regencies = (tenure.regencies || []).filter(r => r.id !== regencyId);
+    await updateDignityTenure(tenureId, { regencies }, userId, datasetId);
+
+    console.log(`🛡️ Regency removed: ${regencyId}`);
+    return { ...tenure, regencies };
+
+  } catch (error) {
+    console.error('❌ Error removing regency:', error);
+    throw error;
+  }
+}
+
 // ==================== EXPORTS ====================
 
 export default {
@@ -1925,6 +2841,8 @@ export default {
   CLAIM_STRENGTHS,
   DISPUTE_RESOLUTIONS,
   INTERREGNUM_REASONS,
+  REGENCY_REASONS,
+  DEFAULT_AGE_OF_MAJORITY,
   
   // CRUD - Dignities
   createDignity,
@@ -1937,7 +2855,9 @@ export default {
   createDignityTenure,
   getTenuresForDignity,
   getTenuresForPerson,
+  getAllTenures,
   getCurrentTenure,
+  getTenureAsOf,
   updateDignityTenure,
   deleteDignityTenure,
   
@@ -1959,8 +2879,16 @@ export default {
   getRecentDignities,
   
   // Succession
+  buildSuccessionMaps,
   calculateSuccessionLine,
   getHeir,
+  proposeGavelkindPartition,
+  applyGavelkindPartition,
+  
+  // Death Cascade
+  CASCADE_OUTCOMES,
+  simulateDeathCascade,
+  applyDeathCascade,
   
   // Disputes
   addDispute,
@@ -1975,6 +2903,13 @@ export default {
   endInterregnum,
   getDignitiesInInterregnum,
   getDignitiesInCrisis,
+  getAgeOfMajority,
+  getMinority,
+  suggestMinorityRegency,
+  getRegencyAsOf,
+  addRegency,
+  updateRegency,
+  removeRegency,
   
   // Helpers
   formatDignityTitle,
@@ -0,0 +1,371 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  calculateSuccessionLine,
+  proposeGavelkindPartition,
+  getTenureAsOf,
+  simulateDeathCascade,
+  applyDeathCascade,
+  getMinority,
+  suggestMinorityRegency,
+  getRegencyAsOf,
+  addRegency,
+  updateRegency,
+  removeRegency
+} from './dignityService';
+import { setActiveCalendar, DEFAULT_FANTASY_CALENDAR } from '../utils/calendarUtils';
+
+// In-memory dignities and tenures, by ID
+const dignities = new Map();
+const tenures = new Map();
+
+vi.mock('./database', async () => {
+  const { calculateCalendarAge } = await import('../utils/calendarUtils');
+  const table = (records) => ({
+    get: async (id) => records.get(id),
+    toArray: async () => [...records.values()],
+    where: (field) => ({
+      equals: (value) => ({ toArray: async () => [...records.values()].filter(r => r[field] === value) })
+    }),
+    add: async (record) => {
+      const id = Math.max(0, ...records.keys()) + 1;
+      records.set(id, { ...record, id });
+      return id;
+    },
+    update: async (id, updates) => {
+      records.set(id, { ...records.get(id), ...updates });
+      return 1;
+    }
+  });
+  return {
+    calculateAge: calculateCalendarAge,
+    getDatabase: () => ({
+      dignities: table(dignities),
+      dignityTenures: table(tenures),
+      houses: { toArray: async () => [{ id: 1, houseName: 'Stone' }] }
+    })
+  };
+});
+vi.mock('./householdRoleService', () => ({
+  getAllHouseholdRoles: async () => [],
+  updateHouseholdRole: async () => 1
+}));
+vi.mock('./dataSyncService', () => ({}));
+
+const person = (id, firstName, gender, dateOfBirth, extra = {}) => ({
+  id, firstName, lastName: 'Stone', gender, dateOfBirth, houseId: 1, ...extra
+});
+
+// The king (2) has a daughter (4), sons SonA (5) and SonB (6), an undated
+// son SonC (13) and SonD (14), who died young. SonB died before the king,
+// leaving two sons (10, 11) and a daughter (12).
+const people = [
+  person(2, 'King', 'male', '1175'),
+  person(4, 'Dau', 'female', '1200'),
+  person(5, 'SonA', 'male', '1202'),
+  person(6, 'SonB', 'male', '1204', { dateOfDeath: '1230' }),
+  person(10, 'GS1', 'male', '1225'),
+  person(11, 'GS2', 'male', '1227'),
+  person(12, 'GD', 'female', '1226'),
+  person(13, 'SonC', 'male', ''),
+  person(14, 'SonD', 'male', '1210', { dateOfDeath: '1215' })
+];
+const parentChild = [[2, 4], [2, 5], [2, 6], [6, 10], [6, 11], [6, 12], [2, 13], [2, 14]];
+
+const parentMap = new Map();
+const childrenMap = new Map();
+parentChild.forEach(([parentId, childId]) => {
+  parentMap.set(childId, [...(parentMap.get(childId) || []), parentId]);
+  childrenMap.set(parentId, [...(childrenMap.get(parentId) || []), childId]);
+});
+
+const dignityUnder = (successionType) => {
+  const dignity = { id: 1, name: 'Realm', successionType, currentHolderId: 2, successionRules: {} };
+  dignities.set(1, dignity);
+  return dignity;
+};
+const lineUnder = async (successionType) => {
+  dignityUnder(successionType);
+  return calculateSuccessionLine(1, people, parentMap, childrenMap, new Map());
+};
+const names = (line) => line.map(c => c.person.firstName);
+
+beforeEach(() => {
+  dignities.clear();
+  tenures.clear();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  setActiveCalendar(null);
+});
+
+describe('calculateSuccessionLine', () => {
+  it('puts undated sons last under ultimogeniture, after the youngest dated one', async () => {
+    const line = await lineUnder('ultimogeniture');
+    expect(names(line).slice(0, 2)).toEqual(['SonA', 'SonC']);
+    expect(line.filter(c => c.excluded).map(c => c.exclusionReason)).toEqual(['Deceased', 'Deceased']);
+  });
+
+  it('splits a gavelkind inheritance among sons, a predeceased son\'s share going to his sons', async () => {
+    const coheirs = (await lineUnder('gavelkind')).filter(c => c.coheir);
+
+    expect(coheirs.map(c => [c.person.firstName, c.share, c.representing ?? null])).toEqual([
+      ['SonA', 1 / 3, null],
+      ['SonC', 1 / 3, null],
+      ['GS1', 1 / 6, 6],
+      ['GS2', 1 / 6, 6]
+    ]);
+  });
+});
+
+describe('succession as of a date', () => {
+  // The king held the realm until his death in 1240; SonA has held it since
+  const kingTenure = { id: 1, dignityId: 1, personId: 2, dateStarted: '1200', dateEnded: '1240' };
+  const sonATenure = { id: 2, dignityId: 1, personId: 5, dateStarted: '1240', dateEnded: null };
+
+  beforeEach(() => {
+    dignityUnder('male-primogeniture').currentHolderId = 5;
+    tenures.set(1, kingTenure);
+    tenures.set(2, sonATenure);
+  });
+
+  const lineAsOf = (asOfDate, holderId = null) =>
+    calculateSuccessionLine(1, people, parentMap, childrenMap, new Map(), 10, null, asOfDate, holderId);
+
+  it('finds no holder, and so no line, before the first tenure', async () => {
+    expect(getTenureAsOf([kingTenure, sonATenure], '1199')).toBeNull();
+    expect(getTenureAsOf([{ ...kingTenure, dateStarted: null }], '1220')).toBeNull();
+    expect(await lineAsOf('1199')).toEqual([]);
+  });
+
+  it('gives the new holder on the day of a hand-over', async () => {
+    expect(getTenureAsOf([kingTenure, sonATenure], '1239-12-31')).toBe(kingTenure);
+    expect(getTenureAsOf([kingTenure, sonATenure], '1240')).toBe(sonATenure);
+
+    expect(names(await lineAsOf('1239')).slice(0, 2)).toEqual(['SonA', 'SonC']);
+    expect(names(await lineAsOf('1240')).slice(0, 3)).toEqual(['GS1', 'GS2', 'SonC']);
+  });
+
+  it('counts the living and the born on the date', async () => {
+    const line = await lineAsOf('1225');
+    expect(names(line)).toEqual(['SonA', 'SonB', 'SonC', 'GS1', 'Dau', 'SonD']);
+    expect(line.filter(c => c.excluded).map(c => c.person.firstName)).toEqual(['SonD']);
+  });
+
+  it('works from an overriding holder instead of the tenure records', async () => {
+    expect(names(await lineAsOf('1240', 2)).slice(0, 2)).toEqual(['SonA', 'SonC']);
+
+    // Today's designation stands only for a line that follows a named holder
+    Object.assign(dignities.get(1), { successionType: 'appointment', designatedHeirId: 4 });
+    expect(await lineAsOf('1239')).toEqual([]);
+    expect(names(await lineAsOf('1239', 2))).toEqual(['Dau']);
+  });
+});
+
+describe('proposeGavelkindPartition', () => {
+  it('notes each co-heir\'s share and whom they represent', async () => {
+    const line = await lineUnder('gavelkind');
+    const proposals = proposeGavelkindPartition(dignities.get(1), line);
+
+    expect(proposals.map(p => p.dignityData.name)).toEqual([
+      'Realm - SonA\'s Portion',
+      'Realm - SonC\'s Portion',
+      'Realm - GS1\'s Portion',
+      'Realm - GS2\'s Portion'
+    ]);
+    expect(proposals[0].dignityData.notes).toBe('Partitioned from Realm by gavelkind (a 1/3 share).');
+    expect(proposals[2].dignityData.notes).toBe('Partitioned from Realm by gavelkind (a 1/6 share, representing SonB).');
+  });
+
+  it('proposes nothing with a single heir', () => {
+    expect(proposeGavelkindPartition(dignityUnder('gavelkind'), [])).toEqual([]);
+  });
+});
+
+describe('death cascade', () => {
+  // SonA (5) is regent for his nephew GS1 (10), who holds the March, and
+  // was regent once before over a tenure that has ended; he also acts for
+  // the Abbey while it has no holder
+  const withRegencies = () => {
+    dignities.set(2, { id: 2, name: 'March', successionType: 'male-primogeniture', currentHolderId: 10 });
+    dignities.set(3, {
+      id: 3,
+      name: 'Abbey',
+      successionType: 'elective',
+      currentHolderId: null,
+      interregnum: { regentId: 5, regentTitle: 'Warden', startDate: '1236' }
+    });
+    tenures.set(1, {
+      id: 1,
+      dignityId: 2,
+      personId: 10,
+      dateStarted: '1232',
+      dateEnded: null,
+      regencies: [
+        { id: 'regency-open', regentId: 5, regentTitle: 'Lord Protector', startDate: '1232', endDate: null },
+        { id: 'regency-closed', regentId: 5, regentTitle: 'Regent', startDate: '1232', endDate: '1234' },
+        { id: 'regency-other', regentId: 4, regentTitle: 'Regent', startDate: '1234', endDate: null }
+      ]
+    });
+    tenures.set(2, {
+      id: 2,
+      dignityId: 2,
+      personId: 6,
+      dateStarted: '1220',
+      dateEnded: '1230',
+      regencies: [{ id: 'regency-past', regentId: 5, startDate: '1220', endDate: null }]
+    });
+  };
+  const simulate = (personId, dateOfDeath) =>
+    simulateDeathCascade(personId, dateOfDeath, people, parentMap, childrenMap, new Map());
+
+  it('finds the tenure regencies the dead person still held, and ends them on the day', async () => {
+    withRegencies();
+    const cascade = await simulate(5, '1238');
+
+    expect(cascade.regencies.map(d => d.name)).toEqual(['Abbey']);
+    expect(cascade.tenureRegencies.map(({ dignity, tenure, regency }) => [dignity.name, tenure.id, regency.id]))
+      .toEqual([['March', 1, 'regency-open']]);
+
+    await applyDeathCascade(cascade);
+    expect(tenures.get(1).regencies.map(r => [r.id, r.endDate])).toEqual([
+      ['regency-open', '1238'],
+      ['regency-closed', '1234'],
+      ['regency-other', null]
+    ]);
+    expect(dignities.get(3).interregnum).toEqual({ regentId: null, regentTitle: 'Warden', startDate: '1236' });
+    expect(tenures.get(2).regencies[0].endDate).toBeNull();
+  });
+
+  it('ends a regency that was due to run past the death', async () => {
+    withRegencies();
+    tenures.get(1).regencies[0].endDate = '1245';
+
+    const cascade = await simulate(5, '1238');
+    expect(cascade.tenureRegencies.map(({ regency }) => regency.id)).toEqual(['regency-open']);
+  });
+
+  it('passes a dignity to the heir, ending the dead holder\'s tenure', async () => {
+    dignityUnder('male-primogeniture');
+    tenures.set(1, { id: 1, dignityId: 1, personId: 2, dateStarted: '1200', dateEnded: null, regencies: [] });
+
+    const cascade = await simulate(2, '1240');
+    expect(cascade.dignities.map(({ outcome, heir }) => [outcome, heir.person.firstName])).toEqual([['inherits', 'SonA']]);
+    expect(cascade.tenureRegencies).toEqual([]);
+
+    await applyDeathCascade(cascade);
+    expect(tenures.get(1)).toMatchObject({ dateEnded: '1240', endType: 'death' });
+    expect(tenures.get(2)).toMatchObject({ dignityId: 1, personId: 5, dateStarted: '1240', acquisitionType: 'inheritance' });
+    expect(dignities.get(1)).toMatchObject({ currentHolderId: 5, isVacant: false });
+  });
+});
+
+describe('getMinority', () => {
+  const heir = { id: 20, dateOfBirth: '1230-05-10' };
+
+  it('ends on the birthday the age of majority is reached', () => {
+    expect(getMinority(heir, {}, '1246-05-09')).toEqual({ age: 15, ageOfMajority: 16, comesOfAge: '1246-05-10' });
+    expect(getMinority(heir, {}, '1246-05-10')).toBeNull();
+    expect(getMinority(heir, { ageOfMajority: '21' }, '1246-05-10')).toMatchObject({ age: 16, comesOfAge: '1251-05-10' });
+  });
+
+  it('treats an undated birth as an unknown age, not a minor', () => {
+    expect(getMinority({ id: 21, dateOfBirth: '' }, {}, '1246')).toBeNull();
+    expect(getMinority({ id: 21 }, {}, '1246')).toBeNull();
+  });
+});
+
+describe('suggestMinorityRegency', () => {
+  const dignity = { id: 2, successionRules: { ageOfMajority: 16 } };
+  const holder = { id: 20, dateOfBirth: '1230-05-10' };
+
+  it('runs from the start of the tenure until the holder comes of age', () => {
+    expect(suggestMinorityRegency(dignity, { dateStarted: '1240-01-01', dateEnded: null }, holder)).toEqual({
+      reason: 'minority',
+      startDate: '1240-01-01',
+      endDate: '1246-05-10',
+      age: 9,
+      ageOfMajority: 16
+    });
+  });
+
+  it('stops at the end of the tenure if that comes first', () => {
+    expect(suggestMinorityRegency(dignity, { dateStarted: '1240-01-01', dateEnded: '1243' }, holder))
+      .toMatchObject({ endDate: '1243' });
+  });
+
+  it('suggests nothing for an adult, an undated holder or a tenure that has a minority regency', () => {
+    expect(suggestMinorityRegency(dignity, { dateStarted: '1246-05-10' }, holder)).toBeNull();
+    expect(suggestMinorityRegency(dignity, { dateStarted: '1240' }, { id: 21, dateOfBirth: '' })).toBeNull();
+    expect(suggestMinorityRegency(dignity, { dateStarted: null }, holder)).toBeNull();
+    expect(suggestMinorityRegency(dignity, {
+      dateStarted: '1240-01-01',
+      regencies: [{ id: 'r', reason: 'minority' }]
+    }, holder)).toBeNull();
+  });
+});
+
+describe('getRegencyAsOf', () => {
+  const closed = { id: 'closed', regentId: 4, startDate: '1240', endDate: '1246' };
+  const open = { id: 'open', regentId: 5, startDate: '1246', endDate: null };
+  const tenure = { id: 1, regencies: [closed, open] };
+
+  it('keeps a closed regency up to its end date and an open one from its start', () => {
+    expect(getRegencyAsOf(tenure, '1239')).toBeNull();
+    expect(getRegencyAsOf(tenure, '1240')).toBe(closed);
+    expect(getRegencyAsOf(tenure, '1245-12')).toBe(closed);
+    expect(getRegencyAsOf(tenure, '1246')).toBe(open);
+    expect(getRegencyAsOf(tenure, '1300')).toBe(open);
+  });
+
+  it('picks the latest started where regencies overlap', () => {
+    const council = { id: 'council', regentId: 6, startDate: '1243', endDate: '1244' };
+    expect(getRegencyAsOf({ regencies: [closed, council] }, '1243-06')).toBe(council);
+  });
+
+  it('counts only open regencies as in force when the calendar has no present day', () => {
+    setActiveCalendar(DEFAULT_FANTASY_CALENDAR);
+    expect(getRegencyAsOf(tenure)).toBe(open);
+    expect(getRegencyAsOf({ regencies: [closed] })).toBeNull();
+  });
+
+  it('finds nothing on a tenure without regencies', () => {
+    expect(getRegencyAsOf({ id: 1 }, '1240')).toBeNull();
+    expect(getRegencyAsOf(null, '1240')).toBeNull();
+  });
+});
+
+describe('addRegency, updateRegency and removeRegency', () => {
+  beforeEach(() => {
+    tenures.set(1, { id: 1, dignityId: 2, personId: 20, dateStarted: '1240', regencies: [] });
+  });
+
+  it('records a regency with its defaults, then updates and removes it', async () => {
+    const added = await addRegency(1, { regentId: 5, startDate: '1240' });
+    const [regency] = added.regencies;
+    expect(regency).toMatchObject({
+      regentId: 5,
+      regentTitle: 'Regent',
+      councilIds: [],
+      startDate: '1240',
+      endDate: null,
+      reason: 'minority'
+    });
+    expect(tenures.get(1).regencies).toEqual([regency]);
+
+    await addRegency(1, { regentId: 4, reason: 'illness', startDate: '1250' });
+    await updateRegency(1, regency.id, { endDate: '1246', regentTitle: 'Lord Protector' });
+    expect(tenures.get(1).regencies.map(r => [r.regentId, r.regentTitle, r.endDate]))
+      .toEqual([[5, 'Lord Protector', '1246'], [4, 'Regent', null]]);
+
+    await removeRegency(1, regency.id);
+    expect(tenures.get(1).regencies.map(r => r.regentId)).toEqual([4]);
+  });
+
+  it('refuses a tenure that does not exist', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(addRegency(99, { regentId: 5 })).rejects.toThrow('Tenure not found');
+    await expect(updateRegency(99, 'r', {})).rejects.toThrow('Tenure not found');
+    await expect(removeRegency(99, 'r')).rejects.toThrow('Tenure not found');
+  });
+});
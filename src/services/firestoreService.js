@@ -13,9 +13,18 @@
  * │    ├── /relationships/{id}     → Relationship documents    │
  * │    ├── /codexEntries/{id}      → Codex entry documents     │
  * │    ├── /codexLinks/{id}        → Codex link documents      │
+ * │    ├── /presence/{sessionId}   → Who is viewing what       │
  * │    └── /acknowledgedDuplicates/{id} → Namesake tracking    │
+ * │                                                             │
+ * │  /sharedDatasets/{datasetId}/  → Same collections, for      │
+ * │    named datasets while COLLABORATIVE_SYNC is on            │
+ * │    ├── /members/{userId}       → Who may open the dataset   │
+ * │    └── /invites/{code}         → Single-use join codes      │
  * └─────────────────────────────────────────────────────────────┘
  * 
+ * firestore.rules (project root) limits each /users/{userId} tree to its
+ * owner and each /sharedDatasets/{datasetId} tree to its members.
+ * 
  * WHY THIS STRUCTURE?
  * - Each user has their own "folder" (collection) of data
  * - Security rules can enforce that users only access their own data
@@ -42,17 +51,82 @@ import {
   query, 
   where,
   writeBatch,
-  serverTimestamp 
+  serverTimestamp,
+  deleteField,
+  onSnapshot
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
+import { isFeatureEnabled } from '../config/featureFlags';
 
 // ==================== CONSTANTS ====================
 
 // Default dataset ID for backward compatibility
 const DEFAULT_DATASET_ID = 'default';
 
+// Every entity collection of a dataset (presence is transient and not listed)
+const DATASET_COLLECTIONS = [
+  'people',
+  'houses',
+  'relationships',
+  'codexEntries',
+  'codexLinks',
+  'acknowledgedDuplicates',
+  'heraldry',
+  'heraldryLinks',
+  'dignities',
+  'dignityTenures',
+  'dignityLinks',
+  'bugs',
+  'householdRoles'
+];
+
+// Firestore refuses batches of more than 500 writes
+const MAX_BATCH_WRITES = 500;
+
+// Separates the dataset ID from the invite code in a share code
+const SHARE_CODE_SEPARATOR = ':';
+
 // ==================== HELPER FUNCTIONS ====================
 
+/**
+ * Path segments of a dataset's cloud copy
+ *
+ * Datasets normally live under the user's own document. With
+ * COLLABORATIVE_SYNC on, named datasets live under /sharedDatasets/{datasetId}
+ * instead, so every account that opens the same dataset ID reads, writes,
+ * listens and shows presence in one place. The default dataset belongs to
+ * one account by nature and always stays private.
+ *
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID (defaults to 'default')
+ * @returns {string[]} Path segments below the Firestore root
+ */
+export function getDatasetPath(userId, datasetId) {
+  const dsId = datasetId || DEFAULT_DATASET_ID;
+  if (isSharedDataset(dsId)) {
+    return ['sharedDatasets', dsId];
+  }
+  return getPrivateDatasetPath(userId, dsId);
+}
+
+/**
+ * Whether a dataset's cloud copy lives under /sharedDatasets
+ * @param {string} datasetId - The dataset ID
+ * @returns {boolean}
+ */
+export function isSharedDataset(datasetId) {
+  const dsId = datasetId || DEFAULT_DATASET_ID;
+  return dsId !== DEFAULT_DATASET_ID && isFeatureEnabled('EXPERIMENTAL.COLLABORATIVE_SYNC');
+}
+
+/**
+ * Path segments of a dataset under the user's own document, where every
+ * dataset lived before COLLABORATIVE_SYNC
+ */
+function getPrivateDatasetPath(userId, datasetId) {
+  return ['users', userId, 'datasets', datasetId || DEFAULT_DATASET_ID];
+}
+
 /**
  * Get a reference to a user's subcollection within a dataset
  * @param {string} userId - The user's Firebase UID
@@ -61,8 +135,7 @@ const DEFAULT_DATASET_ID = 'default';
  * @returns {CollectionReference} Firestore collection reference
  */
 function getUserCollection(userId, datasetId, collectionName) {
-  const dsId = datasetId || DEFAULT_DATASET_ID;
-  return collection(db, 'users', userId, 'datasets', dsId, collectionName);
+  return collection(db, ...getDatasetPath(userId, datasetId), collectionName);
 }
 
 /**
@@ -74,8 +147,7 @@ function getUserCollection(userId, datasetId, collectionName) {
  * @returns {DocumentReference} Firestore document reference
  */
 function getUserDoc(userId, datasetId, collectionName, docId) {
-  const dsId = datasetId || DEFAULT_DATASET_ID;
-  return doc(db, 'users', userId, 'datasets', dsId, collectionName, docId);
+  return doc(db, ...getDatasetPath(userId, datasetId), collectionName, docId);
 }
 
 /**
@@ -1223,6 +1295,298 @@ export async function deleteHouseholdRoleCloud(userId, datasetId, roleId) {
 
 // ==================== ADDITIONAL BULK OPERATIONS ====================
 
+// ==================== MERGE SUPPORT ====================
+// Generic single-document access used by the three-way merge in dataSyncService
+
+/**
+ * Get any entity document from Firestore
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string} collectionName - Subcollection name (e.g. 'people', 'codexEntries')
+ * @param {string|number} entityId - The entity ID
+ * @returns {Object|null} Entity data or null if it doesn't exist
+ */
+export async function getEntityCloud(userId, datasetId, collectionName, entityId) {
+  try {
+    const docRef = getUserDoc(userId, datasetId, collectionName, String(entityId));
+    const docSnap = await getDoc(docRef);
+    return docToObject(docSnap);
+  } catch (error) {
+    console.error(`☁️ Error getting ${collectionName} document from cloud:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Write a merged entity to Firestore
+ * Creates the document if missing; fields listed in removedFields are deleted.
+ *
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string} collectionName - Subcollection name
+ * @param {Object} entity - Full entity data (including local id)
+ * @param {Array<string>} [removedFields=[]] - Fields to remove from the document
+ */
+export async function putEntityCloud(userId, datasetId, collectionName, entity, removedFields = []) {
+  try {
+    const docRef = getUserDoc(userId, datasetId, collectionName, String(entity.id));
+    const data = { ...entity, localId: entity.id, updatedAt: serverTimestamp() };
+    for (const field of removedFields) {
+      data[field] = deleteField();
+    }
+    await setDoc(docRef, data, { merge: true });
+    console.log(`☁️ Merged ${collectionName} document written to cloud:`, entity.id);
+  } catch (error) {
+    console.error(`☁️ Error writing merged ${collectionName} document:`, error);
+    throw error;
+  }
+}
+
+// ==================== REAL-TIME LISTENERS ====================
+
+/**
+ * Subscribe to live changes in one of a user's collections
+ *
+ * The first snapshot reports every existing document as 'added'.
+ * Documents carrying our own not-yet-acknowledged writes are skipped;
+ * they come back as a normal change once the server confirms them.
+ *
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string} collectionName - Subcollection name
+ * @param {Function} onChanges - Called with [{ type: 'added'|'modified'|'removed', id, data }]
+ * @param {Function} [onError] - Called if the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToCollectionCloud(userId, datasetId, collectionName, onChanges, onError) {
+  const collRef = getUserCollection(userId, datasetId, collectionName);
+
+  return onSnapshot(collRef, (snapshot) => {
+    const changes = snapshot.docChanges()
+      .filter(change => !change.doc.metadata.hasPendingWrites)
+      .map(change => ({
+        type: change.type,
+        id: change.doc.id,
+        data: change.type === 'removed' ? null : docToObject(change.doc)
+      }));
+
+    if (changes.length > 0) onChanges(changes);
+  }, (error) => {
+    console.error(`☁️ Listener error on ${collectionName}:`, error);
+    if (onError) onError(error);
+  });
+}
+
+// ==================== PRESENCE ====================
+
+/**
+ * Mark a session as viewing an entity (also used as the heartbeat)
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {string} sessionId - Unique ID for this browser tab
+ * @param {Object} presence - { uid, displayName, photoURL, entityType, entityId }
+ */
+export async function setPresenceCloud(userId, datasetId, sessionId, presence) {
+  try {
+    const docRef = getUserDoc(userId, datasetId, 'presence', sessionId);
+    await setDoc(docRef, {
+      ...presence,
+      entityId: String(presence.entityId),
+      lastSeen: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('☁️ Error updating presence:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a session's presence document
+ */
+export async function clearPresenceCloud(userId, datasetId, sessionId) {
+  try {
+    await deleteDoc(getUserDoc(userId, datasetId, 'presence', sessionId));
+  } catch (error) {
+    console.error('☁️ Error clearing presence:', error);
+  }
+}
+
+/**
+ * Subscribe to the sessions viewing an entity
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToPresenceCloud(userId, datasetId, entityType, entityId, onViewers) {
+  const presenceQuery = query(
+    getUserCollection(userId, datasetId, 'presence'),
+    where('entityType', '==', entityType),
+    where('entityId', '==', String(entityId))
+  );
+
+  return onSnapshot(presenceQuery, (snapshot) => {
+    onViewers(snapshot.docs.map(docToObject));
+  }, (error) => {
+    console.error('☁️ Presence listener error:', error);
+  });
+}
+
+// ==================== SHARED DATASETS ====================
+// Membership of /sharedDatasets/{datasetId}, enforced by firestore.rules
+
+/**
+ * Copy a dataset's documents from one path to another, in batches
+ * @returns {Promise<number>} Documents copied
+ */
+async function copyDatasetDocuments(fromPath, toPath) {
+  let copied = 0;
+  for (const collName of DATASET_COLLECTIONS) {
+    const snapshot = await getDocs(collection(db, ...fromPath, collName));
+    for (let start = 0; start < snapshot.docs.length; start += MAX_BATCH_WRITES) {
+      const batch = writeBatch(db);
+      snapshot.docs.slice(start, start + MAX_BATCH_WRITES).forEach(docSnap => {
+        batch.set(doc(db, ...toPath, collName, docSnap.id), docSnap.data());
+      });
+      await batch.commit();
+    }
+    copied += snapshot.docs.length;
+  }
+  return copied;
+}
+
+/**
+ * Make sure the user can open a named dataset at its shared path
+ *
+ * - A member opens it as it is
+ * - Otherwise, if no one has shared this ID yet, the user becomes its
+ *   owner, and the copy they kept under /users/{userId}/datasets/{datasetId}
+ *   before COLLABORATIVE_SYNC is copied across. The private copy is left
+ *   in place so turning the flag off again loses nothing.
+ * - Anyone else has to join with an invite first (joinSharedDataset)
+ *
+ * The copy is recorded on the shared dataset, so an interrupted one is
+ * finished the next time the owner opens it.
+ *
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @returns {Promise<Object>} { role: 'owner'|'member'|null, copied: number }
+ *   - role is null for datasets that are not shared
+ * @throws {Error} When the ID belongs to a dataset the user is not a member of
+ */
+export async function openSharedDataset(userId, datasetId) {
+  if (!isSharedDataset(datasetId)) return { role: null, copied: 0 };
+
+  const rootRef = doc(db, 'sharedDatasets', datasetId);
+  const memberRef = doc(db, 'sharedDatasets', datasetId, 'members', userId);
+
+  try {
+    const memberSnap = await getDoc(memberRef);
+    if (!memberSnap.exists()) {
+      // The rules hide other people's datasets, so a refusal means it is taken
+      const rootSnap = await getDoc(rootRef).catch(error => {
+        if (error.code === 'permission-denied') return null;
+        throw error;
+      });
+      if (!rootSnap || (rootSnap.exists() && rootSnap.data().ownerId !== userId)) {
+        throw new Error('This dataset is shared by someone else - ask a member for a share code');
+      }
+      if (!rootSnap.exists()) {
+        await setDoc(rootRef, { ownerId: userId, migrated: false, createdAt: serverTimestamp() });
+        console.log('🤝 Shared dataset created:', datasetId);
+      }
+      await setDoc(memberRef, { role: 'owner', joinedAt: serverTimestamp() });
+    }
+
+    const root = (await getDoc(rootRef)).data();
+    const role = root.ownerId === userId ? 'owner' : 'member';
+    if (role !== 'owner' || root.migrated) return { role, copied: 0 };
+
+    const copied = await copyDatasetDocuments(getPrivateDatasetPath(userId, datasetId), ['sharedDatasets', datasetId]);
+    await updateDoc(rootRef, { migrated: true, migratedAt: serverTimestamp() });
+    console.log(`🤝 Moved ${copied} documents of ${datasetId} to the shared dataset`);
+    return { role, copied };
+  } catch (error) {
+    console.error('☁️ Error opening shared dataset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a single-use code another account can join a shared dataset with
+ * @param {string} userId - The user's Firebase UID (must be a member)
+ * @param {string} datasetId - The dataset ID
+ * @returns {Promise<string>} Share code, "{datasetId}:{inviteCode}"
+ */
+export async function createSharedDatasetInvite(userId, datasetId) {
+  try {
+    const inviteCode = doc(collection(db, 'sharedDatasets', datasetId, 'invites')).id;
+    await setDoc(doc(db, 'sharedDatasets', datasetId, 'invites', inviteCode), {
+      createdBy: userId,
+      createdAt: serverTimestamp()
+    });
+    return `${datasetId}${SHARE_CODE_SEPARATOR}${inviteCode}`;
+  } catch (error) {
+    console.error('☁️ Error creating invite:', error);
+    throw error;
+  }
+}
+
+/**
+ * Split a share code into its dataset ID and invite code
+ * @param {string} shareCode - From createSharedDatasetInvite()
+ * @returns {Object|null} { datasetId, inviteCode }, or null if malformed
+ */
+export function parseShareCode(shareCode) {
+  const [datasetId, inviteCode, ...rest] = String(shareCode || '').trim().split(SHARE_CODE_SEPARATOR);
+  if (!datasetId || !inviteCode || rest.length > 0 || datasetId === DEFAULT_DATASET_ID) return null;
+  return { datasetId, inviteCode };
+}
+
+/**
+ * Join a shared dataset with a share code, using up its invite
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} shareCode - From createSharedDatasetInvite()
+ * @returns {Promise<string>} The joined dataset's ID
+ * @throws {Error} When the code is malformed, used or revoked
+ */
+export async function joinSharedDataset(userId, shareCode) {
+  const parsed = parseShareCode(shareCode);
+  if (!parsed) {
+    throw new Error('That is not a share code - it looks like "dataset_…:…"');
+  }
+  const { datasetId, inviteCode } = parsed;
+
+  try {
+    await setDoc(doc(db, 'sharedDatasets', datasetId, 'members', userId), {
+      role: 'member',
+      inviteCode,
+      joinedAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('☁️ Error joining shared dataset:', error);
+    throw new Error('The share code has been used or is no longer valid');
+  }
+
+  try {
+    await deleteDoc(doc(db, 'sharedDatasets', datasetId, 'invites', inviteCode));
+  } catch (error) {
+    console.warn('☁️ Could not use up the invite:', error);
+  }
+  console.log('🤝 Joined shared dataset:', datasetId);
+  return datasetId;
+}
+
+/**
+ * Give up membership of a shared dataset
+ * The dataset and its other members are left as they are.
+ */
+export async function leaveSharedDataset(userId, datasetId) {
+  try {
+    await deleteDoc(doc(db, 'sharedDatasets', datasetId, 'members', userId));
+  } catch (error) {
+    console.error('☁️ Error leaving shared dataset:', error);
+    throw error;
+  }
+}
+
 /**
  * Delete all data from a specific dataset in cloud
  * @param {string} userId - The user's Firebase UID
@@ -1232,9 +1596,7 @@ export async function deleteAllCloudData(userId, datasetId) {
   try {
     console.log('☁️ Deleting all cloud data for dataset:', datasetId);
 
-    const collections = ['people', 'houses', 'relationships', 'codexEntries', 'codexLinks', 'acknowledgedDuplicates', 'heraldry', 'heraldryLinks', 'dignities', 'dignityTenures', 'dignityLinks', 'bugs', 'householdRoles'];
-
-    for (const collName of collections) {
+    for (const collName of [...DATASET_COLLECTIONS, 'presence']) {
       const collRef = getUserCollection(userId, datasetId, collName);
       const snapshot = await getDocs(collRef);
 
@@ -1257,6 +1619,17 @@ export async function deleteAllCloudData(userId, datasetId) {
 }
 
 export default {
+  // Paths
+  getDatasetPath,
+  isSharedDataset,
+
+  // Shared datasets
+  openSharedDataset,
+  createSharedDatasetInvite,
+  parseShareCode,
+  joinSharedDataset,
+  leaveSharedDataset,
+
   // People
   addPersonCloud,
   getPersonCloud,
@@ -1323,6 +1696,16 @@ export default {
   updateHouseholdRoleCloud,
   deleteHouseholdRoleCloud,
 
+  // Merge support
+  getEntityCloud,
+  putEntityCloud,
+
+  // Real-time & presence
+  subscribeToCollectionCloud,
+  setPresenceCloud,
+  clearPresenceCloud,
+  subscribeToPresenceCloud,
+
   // Bulk operations
   syncAllToCloud,
   downloadAllFromCloud,
@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  getDatasetPath,
+  openSharedDataset,
+  createSharedDatasetInvite,
+  parseShareCode,
+  joinSharedDataset
+} from './firestoreService';
+import { toggleFeature } from '../config/featureFlags';
+
+// An in-memory Firestore: documents by path, and a list of paths the
+// "rules" refuse to read, standing in for someone else's dataset
+const store = new Map();
+const denied = new Set();
+let nextId = 0;
+
+vi.mock('../config/firebase', () => ({ db: {} }));
+vi.mock('firebase/firestore', () => {
+  const ref = (segments) => ({ path: segments.join('/'), id: segments.at(-1) });
+  const snapshot = (path) => ({
+    id: path.split('/').pop(),
+    exists: () => store.has(path),
+    data: () => store.get(path)
+  });
+  return {
+    collection: (db, ...segments) => ref(segments),
+    doc: (parent, ...segments) => (parent.path === undefined
+      ? ref(segments)
+      : ref([parent.path, ...(segments.length ? segments : [`auto${++nextId}`])])),
+    getDoc: async ({ path }) => {
+      if (denied.has(path)) throw Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' });
+      return snapshot(path);
+    },
+    getDocs: async ({ path }) => {
+      const docs = [...store.keys()]
+        .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+        .map(snapshot);
+      return { docs, empty: docs.length === 0 };
+    },
+    setDoc: async ({ path }, data) => { store.set(path, { ...data }); },
+    updateDoc: async ({ path }, data) => { store.set(path, { ...store.get(path), ...data }); },
+    deleteDoc: async ({ path }) => { store.delete(path); },
+    writeBatch: () => {
+      const writes = [];
+      return {
+        set: ({ path }, data) => writes.push([path, data]),
+        commit: async () => writes.forEach(([path, data]) => store.set(path, { ...data }))
+      };
+    },
+    serverTimestamp: () => 'now'
+  };
+});
+
+beforeEach(() => {
+  store.clear();
+  denied.clear();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  toggleFeature('EXPERIMENTAL.COLLABORATIVE_SYNC', true);
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('getDatasetPath', () => {
+  it('shares named datasets only while collaborative sync is on', () => {
+    expect(getDatasetPath('bob', 'dataset_1')).toEqual(['sharedDatasets', 'dataset_1']);
+    expect(getDatasetPath('bob', 'default')).toEqual(['users', 'bob', 'datasets', 'default']);
+    expect(getDatasetPath('bob', null)).toEqual(['users', 'bob', 'datasets', 'default']);
+
+    toggleFeature('EXPERIMENTAL.COLLABORATIVE_SYNC', false);
+    expect(getDatasetPath('bob', 'dataset_1')).toEqual(['users', 'bob', 'datasets', 'dataset_1']);
+  });
+});
+
+describe('openSharedDataset', () => {
+  it('claims an unshared ID and moves the private copy across once', async () => {
+    store.set('users/bob/datasets/dataset_1/people/1', { id: 1, firstName: 'Aldric' });
+    store.set('users/bob/datasets/dataset_1/houses/4', { id: 4, houseName: 'Stone' });
+
+    expect(await openSharedDataset('bob', 'dataset_1')).toEqual({ role: 'owner', copied: 2 });
+    expect(store.get('sharedDatasets/dataset_1')).toMatchObject({ ownerId: 'bob', migrated: true });
+    expect(store.get('sharedDatasets/dataset_1/members/bob')).toMatchObject({ role: 'owner' });
+    expect(store.get('sharedDatasets/dataset_1/people/1')).toEqual({ id: 1, firstName: 'Aldric' });
+    expect(store.get('users/bob/datasets/dataset_1/people/1')).toEqual({ id: 1, firstName: 'Aldric' });
+
+    expect(await openSharedDataset('bob', 'dataset_1')).toEqual({ role: 'owner', copied: 0 });
+  });
+
+  it('finishes a move that was interrupted', async () => {
+    store.set('sharedDatasets/dataset_1', { ownerId: 'bob', migrated: false });
+    store.set('users/bob/datasets/dataset_1/people/1', { id: 1 });
+
+    expect(await openSharedDataset('bob', 'dataset_1')).toEqual({ role: 'owner', copied: 1 });
+    expect(store.has('sharedDatasets/dataset_1/members/bob')).toBe(true);
+  });
+
+  it('opens a joined dataset without copying anything', async () => {
+    store.set('sharedDatasets/dataset_1', { ownerId: 'bob', migrated: true });
+    store.set('sharedDatasets/dataset_1/members/alice', { role: 'member' });
+    store.set('users/alice/datasets/dataset_1/people/9', { id: 9 });
+
+    expect(await openSharedDataset('alice', 'dataset_1')).toEqual({ role: 'member', copied: 0 });
+    expect(store.has('sharedDatasets/dataset_1/people/9')).toBe(false);
+  });
+
+  it('refuses a dataset someone else has shared', async () => {
+    store.set('sharedDatasets/dataset_1', { ownerId: 'bob', migrated: true });
+    denied.add('sharedDatasets/dataset_1');
+
+    await expect(openSharedDataset('mallory', 'dataset_1')).rejects.toThrow('This dataset is shared by someone else');
+    expect(store.has('sharedDatasets/dataset_1/members/mallory')).toBe(false);
+  });
+
+  it('leaves private datasets alone', async () => {
+    expect(await openSharedDataset('bob', 'default')).toEqual({ role: null, copied: 0 });
+    toggleFeature('EXPERIMENTAL.COLLABORATIVE_SYNC', false);
+    expect(await openSharedDataset('bob', 'dataset_1')).toEqual({ role: null, copied: 0 });
+    expect(store.size).toBe(0);
+  });
+});
+
+describe('share codes', () => {
+  it('reads the dataset ID and invite code back', () => {
+    expect(parseShareCode(' dataset_1_ab3:x7Yq ')).toEqual({ datasetId: 'dataset_1_ab3', inviteCode: 'x7Yq' });
+    expect(parseShareCode('dataset_1_ab3')).toBeNull();
+    expect(parseShareCode('default:x7Yq')).toBeNull();
+    expect(parseShareCode('a:b:c')).toBeNull();
+  });
+
+  it('joins with an invite and uses it up', async () => {
+    const shareCode = await createSharedDatasetInvite('bob', 'dataset_1');
+    const { inviteCode } = parseShareCode(shareCode);
+    expect(store.get(`sharedDatasets/dataset_1/invites/${inviteCode}`)).toMatchObject({ createdBy: 'bob' });
+
+    expect(await joinSharedDataset('alice', shareCode)).toBe('dataset_1');
+    expect(store.get('sharedDatasets/dataset_1/members/alice')).toMatchObject({ role: 'member', inviteCode });
+    expect(store.has(`sharedDatasets/dataset_1/invites/${inviteCode}`)).toBe(false);
+  });
+
+  it('rejects something that is not a share code', async () => {
+    await expect(joinSharedDataset('alice', 'dataset_1')).rejects.toThrow('That is not a share code');
+  });
+});
@@ -15,6 +15,20 @@
  */
 
 import { getDatabase } from './database';
+import { createSVGHeraldryWithMask, DEFAULT_SHIELD_TYPE } from '../utils/shieldSVGProcessor';
+import { convertSVGtoPNG } from '../utils/armoriaIntegration';
+import {
+  MARSHALLING_TYPES,
+  getFather,
+  checkHeraldicHeiress,
+  planMarriageMarshalling,
+  resolveMarshallingArms,
+  renderMarshalledSVG,
+  generateMarshalledBlazon,
+  buildMarshalledComposition
+} from '../utils/marshallingUtils';
+import { addCadencyToSVG, generatePersonalArmsBlazon } from '../utils/personalArmsRenderer';
+import { describeCadencyMark } from '../utils/birthOrderUtils';
 import {
   syncAddHeraldry,
   syncUpdateHeraldry,
@@ -47,7 +61,7 @@ import {
  * - category: 'noble' | 'ecclesiastical' | 'civic' | 'guild' | 'personal' | 'fantasy'
  * - tags: Array of searchable tags
  * - parentHeraldryId: For derived arms (cadency, marriage)
- * - derivationType: 'cadency' | 'marriage' | 'grant' | 'adoption' | null
+ * - derivationType: 'cadency' | 'marriage' | 'quartering' | 'grant' | 'adoption' | null
  * - isTemplate: Boolean - can be used as starting point
  * - codexEntryId: Link to Codex article about this heraldry
  * @param {string} [userId] - Optional user ID for cloud sync
@@ -218,7 +232,7 @@ export async function deleteHeraldry(id, userId = null, datasetId = null) {
  * @param {number} linkData.heraldryId - The heraldry record ID
  * @param {string} linkData.entityType - 'house' | 'person' | 'location' | 'event'
  * @param {number} linkData.entityId - The entity's ID
- * @param {string} linkData.linkType - 'primary' | 'quartered' | 'impaled' | 'banner' | 'seal'
+ * @param {string} linkData.linkType - 'primary' | 'quartered' | 'impaled' | 'pretence' | 'banner' | 'seal'
  * @param {string} [linkData.since] - Optional date when link started
  * @param {string} [linkData.until] - Optional date when link ended
  * @param {string} [userId] - Optional user ID for cloud sync
@@ -486,6 +500,104 @@ export async function getHeraldryTemplates(datasetId = null) {
   }
 }
 
+// ==================== ARMORIAL ====================
+
+/**
+ * Describe heraldry records for an armorial: the house each belongs to and
+ * the people who bear it (by link or by their heraldryId)
+ */
+async function buildArmorialEntries(db, heraldryRecords) {
+  const [people, houses, links] = await Promise.all([
+    db.people.toArray(),
+    db.houses.toArray(),
+    db.heraldryLinks.toArray()
+  ]);
+
+  return heraldryRecords.map(heraldry => {
+    const heraldryLinks = links.filter(l => l.heraldryId === heraldry.id);
+
+    const personIds = new Set(heraldryLinks
+      .filter(l => l.entityType === 'person')
+      .map(l => l.entityId));
+    people.filter(p => p.heraldryId === heraldry.id).forEach(p => personIds.add(p.id));
+    const persons = people.filter(p => personIds.has(p.id));
+
+    const houseLink = heraldryLinks.find(l => l.entityType === 'house' && l.linkType === 'primary') ||
+      heraldryLinks.find(l => l.entityType === 'house');
+    const house = houses.find(h => h.id === houseLink?.entityId) ||
+      houses.find(h => h.heraldryId === heraldry.id) ||
+      houses.find(h => h.id === persons[0]?.houseId) ||
+      null;
+
+    return {
+      heraldry,
+      houseName: house?.houseName || null,
+      persons: persons.map(p => `${p.firstName || ''} ${p.lastName || ''}`.trim())
+    };
+  });
+}
+
+/**
+ * Get one coat of arms with its house and bearers, for export
+ *
+ * @param {number} heraldryId - The heraldry ID
+ * @returns {Promise<Object|null>} { heraldry, houseName, persons } or null
+ */
+export async function getArmorialEntry(heraldryId, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const heraldry = await db.heraldry.get(heraldryId);
+    if (!heraldry) return null;
+    const [entry] = await buildArmorialEntries(db, [heraldry]);
+    return entry;
+  } catch (error) {
+    console.error('❌ Error getting armorial entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a house's roll of arms: the house's own arms first, then every
+ * coat linked to the house or borne by one of its members
+ *
+ * @param {number} houseId - The house ID
+ * @returns {Promise<Object>} { house, entries: [{ heraldry, houseName, persons }] }
+ */
+export async function getRollOfArms(houseId, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const house = await db.houses.get(houseId);
+    if (!house) throw new Error('House not found');
+
+    const members = await db.people.where('houseId').equals(houseId).toArray();
+    const memberIds = new Set(members.map(p => p.id));
+    const links = await db.heraldryLinks.toArray();
+
+    const heraldryIds = new Set();
+    if (house.heraldryId) heraldryIds.add(house.heraldryId);
+    links
+      .filter(l => (l.entityType === 'house' && l.entityId === houseId) ||
+        (l.entityType === 'person' && memberIds.has(l.entityId)))
+      .forEach(l => heraldryIds.add(l.heraldryId));
+    members.filter(p => p.heraldryId).forEach(p => heraldryIds.add(p.heraldryId));
+
+    const heraldry = await db.heraldry.where('id').anyOf([...heraldryIds]).toArray();
+    const isHouseArms = (h) => h.id === house.heraldryId ||
+      links.some(l => l.heraldryId === h.id && l.entityType === 'house' && l.entityId === houseId);
+    heraldry.sort((a, b) =>
+      Number(isHouseArms(b)) - Number(isHouseArms(a)) || (a.name || '').localeCompare(b.name || '')
+    );
+
+    const entries = (await buildArmorialEntries(db, heraldry))
+      .map(entry => ({ ...entry, houseName: entry.houseName || house.houseName }));
+
+    return { house, entries };
+  } catch (error) {
+    console.error('❌ Error getting roll of arms:', error);
+    throw error;
+  }
+}
+
 // ==================== PERSONAL ARMS HELPERS (Phase 4) ====================
 
 /**
@@ -517,21 +629,25 @@ export async function getPersonalArms(personId, datasetId = null) {
 /**
  * Create personal arms derived from house arms with cadency marks
  * 
- * This is the main function for creating differenced arms for legitimate sons.
- * It copies the parent house's arms and adds cadency information.
+ * This is the main function for creating differenced arms for legitimate sons
+ * (and, with a mark of illegitimacy, for bastards). It copies the parent
+ * house's arms and draws the cadency mark onto them.
  * 
  * @param {Object} options - Creation options
  * @param {number} options.personId - The person to create arms for
  * @param {number} options.houseHeraldryId - The house heraldry to derive from
- * @param {number} options.birthPosition - Birth order position (1st, 2nd, etc.)
- * @param {Object} options.cadencyComposition - The cadency marks configuration
+ * @param {Object} options.cadency - From getCadencyDifference()
+ * @param {number} [options.birthPosition] - Birth order position, for the
+ *   original triangle marks when no cadency is given
  * @param {string} [options.name] - Custom name for the arms
+ * @param {string} [options.userId] - Optional user ID for cloud sync
  * @returns {Promise<number>} The new heraldry ID
  */
 export async function createPersonalArmsFromHouse(options, datasetId = null) {
   try {
     const db = getDatabase(datasetId);
-    const { personId, houseHeraldryId, birthPosition, cadencyComposition, name } = options;
+    const { personId, houseHeraldryId, birthPosition, name, userId = null } = options;
+    const cadency = options.cadency || options.cadencyComposition || birthPosition;
 
     // Get the parent house's heraldry
     const houseHeraldry = await db.heraldry.get(houseHeraldryId);
@@ -545,33 +661,43 @@ export async function createPersonalArmsFromHouse(options, datasetId = null) {
       throw new Error('Person not found');
     }
 
+    // Draw the mark onto the house arms
+    const heraldrySVG = addCadencyToSVG(houseHeraldry.heraldrySVG, cadency);
+    const heraldrySourceSVG = addCadencyToSVG(houseHeraldry.heraldrySourceSVG, cadency);
+    const pngs = heraldrySVG ? await convertSVGtoPNG(heraldrySVG) : {};
+    const cadencyRecord = typeof cadency === 'number'
+      ? { type: 'triangles', mark: 'triangles', count: cadency, tincture: 'sable', birthPosition: cadency }
+      : cadency;
+    const markDescription = describeCadencyMark(cadencyRecord);
+
     // Create the personal arms record
     const heraldryId = await createHeraldry({
       name: name || `Arms of ${person.firstName} ${person.lastName}`,
-      description: `Personal arms derived from house arms with ${birthPosition} son cadency`,
+      description: `Personal arms derived from ${houseHeraldry.name}, differenced with ${markDescription}`,
+      blazon: generatePersonalArmsBlazon(houseHeraldry.blazon, cadencyRecord),
       
-      // Copy visual data from house (will be modified with cadency overlay)
-      heraldrySVG: houseHeraldry.heraldrySVG,
-      heraldrySourceSVG: houseHeraldry.heraldrySourceSVG,
-      heraldryThumbnail: houseHeraldry.heraldryThumbnail,
-      heraldryDisplay: houseHeraldry.heraldryDisplay,
-      heraldryHighRes: houseHeraldry.heraldryHighRes,
+      // House visuals with the cadency mark drawn on
+      heraldrySVG,
+      heraldrySourceSVG,
+      heraldryThumbnail: pngs.thumbnail || houseHeraldry.heraldryThumbnail,
+      heraldryDisplay: pngs.display || houseHeraldry.heraldryDisplay,
+      heraldryHighRes: pngs.highRes || houseHeraldry.heraldryHighRes,
       shieldType: houseHeraldry.shieldType,
       
       // Store the original composition plus cadency
       composition: {
         ...houseHeraldry.composition,
-        cadency: cadencyComposition || {
-          type: 'triangles',
-          count: birthPosition,
-          position: 'chief',
-          tincture: 'sable'
-        }
+        cadency: cadencyRecord
       },
       
       // Classification
       category: 'personal',
-      tags: ['personal arms', 'cadency', `${birthPosition} son`, person.lastName],
+      tags: [
+        'personal arms',
+        cadencyRecord.type === 'illegitimacy' ? 'illegitimacy' : 'cadency',
+        cadencyRecord.mark,
+        person.lastName
+      ].filter(Boolean),
       
       // Lineage - link to parent house's heraldry
       parentHeraldryId: houseHeraldryId,
@@ -580,10 +706,11 @@ export async function createPersonalArmsFromHouse(options, datasetId = null) {
       // Metadata
       metadata: {
         personId,
-        birthPosition,
+        birthPosition: cadencyRecord.birthPosition || null,
+        cadencyScheme: cadencyRecord.scheme || 'triangles',
         derivedFrom: houseHeraldry.name
       }
-    }, null, datasetId);
+    }, userId, datasetId);
 
     // Link the heraldry to the person
     await linkHeraldryToEntity({
@@ -591,9 +718,9 @@ export async function createPersonalArmsFromHouse(options, datasetId = null) {
       entityType: 'person',
       entityId: personId,
       linkType: 'primary'
-    }, null, datasetId);
+    }, userId, datasetId);
     
-    console.log('�\udee1️ Personal arms created for', person.firstName, person.lastName, 'with ID:', heraldryId);
+    console.log('🛡️ Personal arms created for', person.firstName, person.lastName, 'with ID:', heraldryId);
     return heraldryId;
   } catch (error) {
     console.error('❌ Error creating personal arms:', error);
@@ -658,6 +785,221 @@ export async function getPeopleWithPersonalArms(datasetId = null) {
   }
 }
 
+// ==================== MARSHALLING ====================
+
+async function loadMarshallingLookups(db) {
+  const [people, relationships, houses, heraldry] = await Promise.all([
+    db.people.toArray(),
+    db.relationships.toArray(),
+    db.houses.toArray(),
+    db.heraldry.toArray()
+  ]);
+  return { people, relationships, houses, heraldry };
+}
+
+/**
+ * Render, mask and save a marshalled coat of arms.
+ * Rebuilding replaces the existing record and its links rather than
+ * adding a second copy.
+ */
+async function saveMarshalledArms({ type, parts, record, links, existing, shieldType }, userId, datasetId) {
+  const db = getDatabase(datasetId);
+
+  const heraldrySourceSVG = renderMarshalledSVG(type, parts);
+  const heraldrySVG = await createSVGHeraldryWithMask(heraldrySourceSVG, shieldType);
+  const pngs = await convertSVGtoPNG(heraldrySVG);
+
+  const data = {
+    ...record,
+    blazon: generateMarshalledBlazon(type, parts),
+    heraldrySVG,
+    heraldrySourceSVG,
+    heraldryThumbnail: pngs.thumbnail,
+    heraldryDisplay: pngs.display,
+    heraldryHighRes: pngs.highRes,
+    shieldType,
+    category: 'personal'
+  };
+
+  let heraldryId;
+  if (existing) {
+    heraldryId = existing.id;
+    await updateHeraldry(heraldryId, data, userId, datasetId);
+
+    const oldLinks = await db.heraldryLinks.where('heraldryId').equals(heraldryId).toArray();
+    for (const link of oldLinks) {
+      await unlinkHeraldry(link.id, userId, datasetId);
+    }
+  } else {
+    heraldryId = await createHeraldry(data, userId, datasetId);
+  }
+
+  for (const link of links) {
+    await linkHeraldryToEntity({ heraldryId, entityType: 'person', ...link }, userId, datasetId);
+  }
+
+  return heraldryId;
+}
+
+/**
+ * Create (or rebuild) the marshalled arms of a married couple
+ *
+ * The wife's paternal arms are impaled with her husband's, or placed on an
+ * escutcheon of pretence when she is a heraldic heiress. Both spouses are
+ * linked to the result with linkType 'impaled' or 'pretence'.
+ *
+ * @param {number} relationshipId - A spouse relationship
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<Object>} { heraldryId, type, rebuilt }
+ */
+export async function createMarriageArms(relationshipId, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const lookups = await loadMarshallingLookups(db);
+
+    const relationship = await db.relationships.get(relationshipId);
+    const plan = planMarriageMarshalling(relationship, lookups.people, lookups.relationships);
+    if (!plan) {
+      throw new Error('Marriage arms need a spouse relationship between two recorded people');
+    }
+
+    const { type, husband, wife } = plan;
+    const husbandArms = resolveMarshallingArms(husband, lookups);
+    const wifeArms = resolveMarshallingArms(wife, lookups);
+    if (!husbandArms || !wifeArms) {
+      const missing = husbandArms ? wife : husband;
+      throw new Error(`No arms found for ${missing.firstName} ${missing.lastName} or their house`);
+    }
+
+    const parts = type === MARSHALLING_TYPES.PRETENCE
+      ? { dexter: husbandArms, pretence: wifeArms }
+      : { dexter: husbandArms, sinister: wifeArms };
+
+    const existing = lookups.heraldry.find(h =>
+      h.derivationType === 'marriage' && h.metadata?.relationshipId === relationshipId
+    );
+
+    const heraldryId = await saveMarshalledArms({
+      type,
+      parts,
+      existing,
+      shieldType: husbandArms.shieldType || DEFAULT_SHIELD_TYPE,
+      record: {
+        name: `Arms of ${husband.firstName} ${husband.lastName} and ${wife.firstName} ${wife.lastName}`,
+        description: type === MARSHALLING_TYPES.PRETENCE
+          ? `${husbandArms.name} with an escutcheon of pretence of ${wifeArms.name} (${plan.heiress.reason})`
+          : `${husbandArms.name} impaling ${wifeArms.name}`,
+        composition: buildMarshalledComposition(type, parts, {
+          relationshipId,
+          personIds: [husband.id, wife.id]
+        }),
+        tags: ['marshalled arms', type, husband.lastName, wife.lastName].filter(Boolean),
+        parentHeraldryId: husbandArms.id,
+        derivationType: 'marriage',
+        metadata: {
+          relationshipId,
+          husbandId: husband.id,
+          wifeId: wife.id,
+          heiress: plan.heiress.isHeiress
+        }
+      },
+      links: [
+        { entityId: husband.id, linkType: type, since: relationship.marriageDate || null },
+        { entityId: wife.id, linkType: type, since: relationship.marriageDate || null }
+      ]
+    }, userId, datasetId);
+
+    console.log('🛡️ Marriage arms', existing ? 'rebuilt' : 'created', 'for', husband.firstName, 'and', wife.firstName, `(${type})`);
+    return { heraldryId, type, rebuilt: !!existing };
+  } catch (error) {
+    console.error('❌ Error creating marriage arms:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create (or rebuild) quartered arms for a child of a heraldic heiress
+ *
+ * Father's arms go in the 1st and 4th quarters, mother's in the 2nd and 3rd.
+ * The quartered arms become the child's primary arms unless the child
+ * already bears personal arms, in which case they are linked as 'quartered'.
+ *
+ * @param {number} childId - The child's person ID
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @returns {Promise<Object>} { heraldryId, rebuilt }
+ */
+export async function createQuarteredArmsForChild(childId, userId = null, datasetId = null) {
+  try {
+    const db = getDatabase(datasetId);
+    const lookups = await loadMarshallingLookups(db);
+
+    const child = lookups.people.find(p => p.id === childId);
+    if (!child) {
+      throw new Error('Person not found');
+    }
+
+    const father = getFather(childId, lookups.people, lookups.relationships);
+    const motherIds = lookups.relationships
+      .filter(rel => rel.relationshipType === 'parent' && rel.person2Id === childId)
+      .map(rel => rel.person1Id);
+    const mother = lookups.people.find(p => motherIds.includes(p.id) && p.gender === 'female');
+    if (!father || !mother) {
+      throw new Error('Quartered arms need both parents recorded');
+    }
+
+    const heiress = checkHeraldicHeiress(mother, lookups.people, lookups.relationships);
+    if (!heiress.isHeiress) {
+      throw new Error(`${mother.firstName} ${mother.lastName} is not a heraldic heiress: ${heiress.reason}`);
+    }
+
+    const fatherArms = resolveMarshallingArms(father, lookups);
+    const motherArms = resolveMarshallingArms(mother, lookups);
+    if (!fatherArms || !motherArms) {
+      const missing = fatherArms ? mother : father;
+      throw new Error(`No arms found for ${missing.firstName} ${missing.lastName} or their house`);
+    }
+
+    const parts = { first: fatherArms, second: motherArms };
+    const existing = lookups.heraldry.find(h =>
+      h.derivationType === 'quartering' && h.metadata?.personId === childId
+    );
+
+    // Keep the child's own arms as primary if they have them
+    const ownArms = child.heraldryId && child.heraldryId !== existing?.id;
+
+    const heraldryId = await saveMarshalledArms({
+      type: MARSHALLING_TYPES.QUARTERED,
+      parts,
+      existing,
+      shieldType: fatherArms.shieldType || DEFAULT_SHIELD_TYPE,
+      record: {
+        name: `Arms of ${child.firstName} ${child.lastName}`,
+        description: `Quarterly ${fatherArms.name} and ${motherArms.name}, as son or daughter of an heiress`,
+        composition: buildMarshalledComposition(MARSHALLING_TYPES.QUARTERED, parts, {
+          personIds: [father.id, mother.id, child.id]
+        }),
+        tags: ['marshalled arms', 'quartered', child.lastName, mother.lastName].filter(Boolean),
+        parentHeraldryId: fatherArms.id,
+        derivationType: 'quartering',
+        metadata: {
+          personId: childId,
+          fatherId: father.id,
+          motherId: mother.id
+        }
+      },
+      links: [
+        { entityId: childId, linkType: ownArms ? 'quartered' : 'primary' }
+      ]
+    }, userId, datasetId);
+
+    console.log('🛡️ Quartered arms', existing ? 'rebuilt' : 'created', 'for', child.firstName, child.lastName);
+    return { heraldryId, rebuilt: !!existing };
+  } catch (error) {
+    console.error('❌ Error creating quartered arms:', error);
+    throw error;
+  }
+}
+
 export default {
   // CRUD
   createHeraldry,
@@ -678,10 +1020,18 @@ export default {
   getHeraldryStatistics,
   getRecentHeraldry,
   getHeraldryTemplates,
-  
+
+  // Armorial
+  getArmorialEntry,
+  getRollOfArms,
+
   // Personal Arms (Phase 4)
   getPersonalArms,
   createPersonalArmsFromHouse,
   hasPersonalArms,
-  getPeopleWithPersonalArms
+  getPeopleWithPersonalArms,
+
+  // Marshalling
+  createMarriageArms,
+  createQuarteredArmsForChild
 };
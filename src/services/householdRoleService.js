@@ -3,11 +3,12 @@
  *
  * CRUD operations for household roles (non-hereditary service positions).
  * These are service roles tied to a house like Master-at-Arms, Steward, etc.
+ * Every function takes an optional datasetId (default: the default dataset).
  *
  * @module householdRoleService
  */
 
-import { db } from './database';
+import { getDatabase } from './database';
 import { HOUSEHOLD_ROLE_TYPES, getRoleType } from '../data/householdRoleTypes';
 import {
   syncAddHouseholdRole,
@@ -28,9 +29,10 @@ import {
  * @param {string} [roleData.startDate] - When current holder started
  * @param {string} [roleData.notes] - Additional notes
  * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset to write to
  * @returns {Promise<number>} New role ID
  */
-export async function createHouseholdRole(roleData, userId = null) {
+export async function createHouseholdRole(roleData, userId = null, datasetId = null) {
   const now = new Date().toISOString();
 
   const role = {
@@ -45,14 +47,14 @@ export async function createHouseholdRole(roleData, userId = null) {
   };
 
   try {
-    const id = await db.householdRoles.add(role);
+    const id = await getDatabase(datasetId).householdRoles.add(role);
     if (import.meta.env.DEV) {
       console.log('Household role created:', id);
     }
 
     // Sync to cloud if userId provided
     if (userId) {
-      await syncAddHouseholdRole(userId, id, role);
+      await syncAddHouseholdRole(userId, datasetId, id, role);
     }
 
     return id;
@@ -66,11 +68,12 @@ export async function createHouseholdRole(roleData, userId = null) {
  * Get a household role by ID
  *
  * @param {number} id - Role ID
+ * @param {string} [datasetId] - Dataset to read from
  * @returns {Promise<Object|undefined>} Role object or undefined
  */
-export async function getHouseholdRole(id) {
+export async function getHouseholdRole(id, datasetId = null) {
   try {
-    return await db.householdRoles.get(id);
+    return await getDatabase(datasetId).householdRoles.get(id);
   } catch (error) {
     console.error('Error getting household role:', error);
     throw error;
@@ -80,11 +83,12 @@ export async function getHouseholdRole(id) {
 /**
  * Get all household roles
  *
+ * @param {string} [datasetId] - Dataset to read from
  * @returns {Promise<Object[]>} Array of all roles
  */
-export async function getAllHouseholdRoles() {
+export async function getAllHouseholdRoles(datasetId = null) {
   try {
-    return await db.householdRoles.toArray();
+    return await getDatabase(datasetId).householdRoles.toArray();
   } catch (error) {
     console.error('Error getting all household roles:', error);
     throw error;
@@ -95,11 +99,12 @@ export async function getAllHouseholdRoles() {
  * Get all roles for a specific house
  *
  * @param {number} houseId - House ID
+ * @param {string} [datasetId] - Dataset to read from
  * @returns {Promise<Object[]>} Array of roles for the house
  */
-export async function getRolesForHouse(houseId) {
+export async function getRolesForHouse(houseId, datasetId = null) {
   try {
-    const roles = await db.householdRoles
+    const roles = await getDatabase(datasetId).householdRoles
       .where('houseId')
       .equals(houseId)
       .toArray();
@@ -120,11 +125,12 @@ export async function getRolesForHouse(houseId) {
  * Get all roles held by a specific person
  *
  * @param {number} personId - Person ID
+ * @param {string} [datasetId] - Dataset to read from
  * @returns {Promise<Object[]>} Array of roles held by the person
  */
-export async function getRolesForPerson(personId) {
+export async function getRolesForPerson(personId, datasetId = null) {
   try {
-    return await db.householdRoles
+    return await getDatabase(datasetId).householdRoles
       .where('currentHolderId')
       .equals(personId)
       .toArray();
@@ -140,23 +146,24 @@ export async function getRolesForPerson(personId) {
  * @param {number} id - Role ID
  * @param {Object} updates - Fields to update
  * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset to write to
  * @returns {Promise<number>} Number of records updated (1 if successful)
  */
-export async function updateHouseholdRole(id, updates, userId = null) {
+export async function updateHouseholdRole(id, updates, userId = null, datasetId = null) {
   try {
     const updateData = {
       ...updates,
       updated: new Date().toISOString()
     };
 
-    const count = await db.householdRoles.update(id, updateData);
+    const count = await getDatabase(datasetId).householdRoles.update(id, updateData);
     if (import.meta.env.DEV) {
       console.log('Household role updated:', id);
     }
 
     // Sync to cloud if userId provided
     if (userId) {
-      await syncUpdateHouseholdRole(userId, id, updateData);
+      await syncUpdateHouseholdRole(userId, datasetId, id, updateData);
     }
 
     return count;
@@ -171,18 +178,19 @@ export async function updateHouseholdRole(id, updates, userId = null) {
  *
  * @param {number} id - Role ID
  * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset to write to
  * @returns {Promise<void>}
  */
-export async function deleteHouseholdRole(id, userId = null) {
+export async function deleteHouseholdRole(id, userId = null, datasetId = null) {
   try {
-    await db.householdRoles.delete(id);
+    await getDatabase(datasetId).householdRoles.delete(id);
     if (import.meta.env.DEV) {
       console.log('Household role deleted:', id);
     }
 
     // Sync to cloud if userId provided
     if (userId) {
-      await syncDeleteHouseholdRole(userId, id);
+      await syncDeleteHouseholdRole(userId, datasetId, id);
     }
   } catch (error) {
     console.error('Error deleting household role:', error);
@@ -196,26 +204,30 @@ export async function deleteHouseholdRole(id, userId = null) {
  * @param {number} roleId - Role ID
  * @param {number} personId - Person to assign
  * @param {string} [startDate] - When they started (defaults to now)
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset to write to
  * @returns {Promise<number>} Number of records updated
  */
-export async function assignRoleHolder(roleId, personId, startDate = null) {
+export async function assignRoleHolder(roleId, personId, startDate = null, userId = null, datasetId = null) {
   return updateHouseholdRole(roleId, {
     currentHolderId: personId,
     startDate: startDate || new Date().toISOString().split('T')[0]
-  });
+  }, userId, datasetId);
 }
 
 /**
  * Remove the current holder from a role (make it vacant)
  *
  * @param {number} roleId - Role ID
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset to write to
  * @returns {Promise<number>} Number of records updated
  */
-export async function vacateRole(roleId) {
+export async function vacateRole(roleId, userId = null, datasetId = null) {
   return updateHouseholdRole(roleId, {
     currentHolderId: null,
     startDate: null
-  });
+  }, userId, datasetId);
 }
 
 // ==================== QUERY HELPERS ====================
@@ -226,8 +238,8 @@ export async function vacateRole(roleId) {
  * @param {number} houseId - House ID
  * @returns {Promise<Object[]>} Array of filled roles
  */
-export async function getFilledRolesForHouse(houseId) {
-  const roles = await getRolesForHouse(houseId);
+export async function getFilledRolesForHouse(houseId, datasetId = null) {
+  const roles = await getRolesForHouse(houseId, datasetId);
   return roles.filter(r => r.currentHolderId !== null);
 }
 
@@ -237,8 +249,8 @@ export async function getFilledRolesForHouse(houseId) {
  * @param {number} houseId - House ID
  * @returns {Promise<Object[]>} Array of vacant roles
  */
-export async function getVacantRolesForHouse(houseId) {
-  const roles = await getRolesForHouse(houseId);
+export async function getVacantRolesForHouse(houseId, datasetId = null) {
+  const roles = await getRolesForHouse(houseId, datasetId);
   return roles.filter(r => r.currentHolderId === null);
 }
 
@@ -249,8 +261,8 @@ export async function getVacantRolesForHouse(houseId) {
  * @param {string} roleType - Role type ID
  * @returns {Promise<boolean>} True if house has this role type
  */
-export async function houseHasRoleType(houseId, roleType) {
-  const roles = await getRolesForHouse(houseId);
+export async function houseHasRoleType(houseId, roleType, datasetId = null) {
+  const roles = await getRolesForHouse(houseId, datasetId);
   return roles.some(r => r.roleType === roleType);
 }
 
@@ -260,8 +272,8 @@ export async function houseHasRoleType(houseId, roleType) {
  * @param {number} houseId - House ID
  * @returns {Promise<Object>} Statistics object
  */
-export async function getRoleStatsForHouse(houseId) {
-  const roles = await getRolesForHouse(houseId);
+export async function getRoleStatsForHouse(houseId, datasetId = null) {
+  const roles = await getRolesForHouse(houseId, datasetId);
 
   const filled = roles.filter(r => r.currentHolderId !== null);
   const vacant = roles.filter(r => r.currentHolderId === null);
@@ -296,9 +308,9 @@ export async function getRoleStatsForHouse(houseId) {
  * @param {number} houseId - House ID
  * @returns {Promise<number>} Number of roles deleted
  */
-export async function deleteRolesForHouse(houseId) {
+export async function deleteRolesForHouse(houseId, datasetId = null) {
   try {
-    const count = await db.householdRoles
+    const count = await getDatabase(datasetId).householdRoles
       .where('houseId')
       .equals(houseId)
       .delete();
@@ -316,15 +328,17 @@ export async function deleteRolesForHouse(houseId) {
  * Clear holder from all roles (when person is deleted)
  *
  * @param {number} personId - Person ID
+ * @param {string} [userId] - Optional user ID for cloud sync
+ * @param {string} [datasetId] - Dataset to write to
  * @returns {Promise<number>} Number of roles updated
  */
-export async function clearHolderFromAllRoles(personId) {
+export async function clearHolderFromAllRoles(personId, userId = null, datasetId = null) {
   try {
-    const roles = await getRolesForPerson(personId);
+    const roles = await getRolesForPerson(personId, datasetId);
     let count = 0;
 
     for (const role of roles) {
-      await vacateRole(role.id);
+      await vacateRole(role.id, userId, datasetId);
       count++;
     }
 
@@ -0,0 +1,198 @@
+/**
+ * Collaborative sync against the Firestore and Auth emulators
+ *
+ * Two accounts (alice and bob) share a named dataset. Bob runs the app's
+ * services; alice writes from a second Firestore client, as another
+ * browser would. The emulator enforces firestore.rules, so alice has to
+ * join with bob's share code before she can read or write anything. With
+ * COLLABORATIVE_SYNC on, bob's listeners must see her edits and her
+ * presence; with it off, each account keeps its own copy.
+ *
+ * Skipped unless FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST
+ * are set. Run it with `npm run test:emulator`, which starts the emulators
+ * around vitest.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { initializeApp, deleteApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator, createUserWithEmailAndPassword } from 'firebase/auth';
+import {
+  getFirestore,
+  connectFirestoreEmulator,
+  doc,
+  getDoc,
+  setDoc,
+  deleteDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+
+vi.mock('./dataSyncService', () => ({
+  applyRemoteChanges: vi.fn(async () => ({ applied: 1, conflicts: 0 }))
+}));
+
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+const AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+const DATASET_ID = `dataset_emulator_${Date.now()}`;
+
+/**
+ * Resolve once check() passes, polling while listeners catch up
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const started = Date.now();
+  for (;;) {
+    try {
+      return await check();
+    } catch (error) {
+      if (Date.now() - started > timeoutMs) throw error;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+}
+
+describe.skipIf(!EMULATOR_HOST || !AUTH_EMULATOR_HOST)('collaborative sync (Firebase emulators)', () => {
+  let firestore;
+  let realtime;
+  let dataSync;
+  let toggleFeature;
+  let aliceApp;
+  let aliceDb;
+  let alice;
+  let bob;
+  const cleanups = [];
+
+  // Alice's client resolves paths with the same flag as bob's
+  const aliceRef = (collectionName, docId) =>
+    doc(aliceDb, ...firestore.getDatasetPath(alice, DATASET_ID), collectionName, String(docId));
+  const aliceWrite = (collectionName, docId, data) => setDoc(aliceRef(collectionName, docId), data);
+
+  // What joinSharedDataset does, from alice's client
+  const aliceJoin = async (shareCode) => {
+    const [datasetId, inviteCode] = shareCode.split(':');
+    await setDoc(doc(aliceDb, 'sharedDatasets', datasetId, 'members', alice), {
+      role: 'member',
+      inviteCode,
+      joinedAt: serverTimestamp()
+    });
+    await deleteDoc(doc(aliceDb, 'sharedDatasets', datasetId, 'invites', inviteCode));
+  };
+
+  beforeAll(async () => {
+    vi.stubEnv('VITE_FIREBASE_API_KEY', 'demo-key');
+    vi.stubEnv('VITE_FIREBASE_AUTH_DOMAIN', 'demo-lineageweaver.firebaseapp.com');
+    vi.stubEnv('VITE_FIREBASE_PROJECT_ID', 'demo-lineageweaver');
+    vi.stubEnv('VITE_FIREBASE_STORAGE_BUCKET', 'demo-lineageweaver.appspot.com');
+    vi.stubEnv('VITE_FIREBASE_MESSAGING_SENDER_ID', '0');
+    vi.stubEnv('VITE_FIREBASE_APP_ID', 'demo-app');
+    vi.stubEnv('VITE_FIRESTORE_EMULATOR_HOST', EMULATOR_HOST);
+    vi.stubEnv('VITE_AUTH_EMULATOR_URL', `http://${AUTH_EMULATOR_HOST}`);
+
+    firestore = await import('./firestoreService');
+    realtime = await import('./realtimeSyncService');
+    dataSync = await import('./dataSyncService');
+    ({ toggleFeature } = await import('../config/featureFlags'));
+    const { auth } = await import('../config/firebase');
+
+    const [host, port] = EMULATOR_HOST.split(':');
+    aliceApp = initializeApp({ projectId: 'demo-lineageweaver', apiKey: 'demo-key' }, 'alice');
+    aliceDb = getFirestore(aliceApp);
+    connectFirestoreEmulator(aliceDb, host, parseInt(port, 10));
+    const aliceAuth = getAuth(aliceApp);
+    connectAuthEmulator(aliceAuth, `http://${AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+
+    const stamp = Date.now();
+    bob = (await createUserWithEmailAndPassword(auth, `bob${stamp}@example.com`, 'password')).user.uid;
+    alice = (await createUserWithEmailAndPassword(aliceAuth, `alice${stamp}@example.com`, 'password')).user.uid;
+  });
+
+  afterAll(async () => {
+    await deleteApp(aliceApp);
+  });
+
+  afterEach(() => {
+    cleanups.splice(0).forEach(cleanup => cleanup());
+    toggleFeature('EXPERIMENTAL.COLLABORATIVE_SYNC', false);
+    dataSync.applyRemoteChanges.mockClear();
+  });
+
+  it('keeps datasets private to each account while the flag is off', async () => {
+    toggleFeature('EXPERIMENTAL.COLLABORATIVE_SYNC', false);
+    expect(firestore.getDatasetPath(bob, DATASET_ID)).toEqual(['users', bob, 'datasets', DATASET_ID]);
+
+    await firestore.putEntityCloud(bob, DATASET_ID, 'people', { id: 2, firstName: 'Brenna' });
+
+    expect(await firestore.getEntityCloud(bob, DATASET_ID, 'people', 2)).toMatchObject({ firstName: 'Brenna' });
+    await expect(getDoc(doc(aliceDb, 'users', bob, 'datasets', DATASET_ID, 'people', '2'))).rejects.toThrow();
+  });
+
+  it('moves the owner\'s private copy to the shared path when the flag is turned on', async () => {
+    toggleFeature('EXPERIMENTAL.COLLABORATIVE_SYNC', true);
+    expect(firestore.getDatasetPath(bob, DATASET_ID)).toEqual(['sharedDatasets', DATASET_ID]);
+
+    expect(await firestore.openSharedDataset(bob, DATASET_ID)).toEqual({ role: 'owner', copied: 1 });
+    expect(await firestore.getEntityCloud(bob, DATASET_ID, 'people', 2)).toMatchObject({ firstName: 'Brenna' });
+
+    // Opening again neither copies nor claims anything
+    expect(await firestore.openSharedDataset(bob, DATASET_ID)).toEqual({ role: 'owner', copied: 0 });
+  });
+
+  it('keeps the shared dataset from anyone who has not joined', async () => {
+    toggleFeature('EXPERIMENTAL.COLLABORATIVE_SYNC', true);
+
+    await expect(getDoc(aliceRef('people', 2))).rejects.toThrow();
+    await expect(aliceWrite('people', 3, { id: 3, firstName: 'Mallory' })).rejects.toThrow();
+    await expect(setDoc(doc(aliceDb, 'sharedDatasets', DATASET_ID, 'members', alice), {
+      role: 'member',
+      inviteCode: 'guessed'
+    })).rejects.toThrow();
+  });
+
+  it('lets an account join once with a share code', async () => {
+    toggleFeature('EXPERIMENTAL.COLLABORATIVE_SYNC', true);
+
+    const shareCode = await firestore.createSharedDatasetInvite(bob, DATASET_ID);
+    expect(firestore.parseShareCode(shareCode)).toMatchObject({ datasetId: DATASET_ID });
+
+    await aliceJoin(shareCode);
+    expect((await getDoc(aliceRef('people', 2))).data()).toMatchObject({ firstName: 'Brenna' });
+
+    // The invite is used up
+    const invite = await getDoc(doc(aliceDb, 'sharedDatasets', DATASET_ID, 'invites', shareCode.split(':')[1]));
+    expect(invite.exists()).toBe(false);
+  });
+
+  it('streams one account\'s edits to another account on a shared dataset', async () => {
+    toggleFeature('EXPERIMENTAL.COLLABORATIVE_SYNC', true);
+
+    cleanups.push(realtime.startRealtimeSync(bob, DATASET_ID));
+    await aliceWrite('people', 1, { id: 1, firstName: 'Aldric' });
+
+    await waitFor(() => {
+      const calls = dataSync.applyRemoteChanges.mock.calls.filter(([, type]) => type === 'person');
+      const changes = calls.flatMap(([, , batch]) => batch);
+      expect(changes).toContainEqual(expect.objectContaining({
+        id: '1',
+        data: expect.objectContaining({ firstName: 'Aldric' })
+      }));
+    });
+  });
+
+  it('shows one account\'s presence to another account on a shared dataset', async () => {
+    toggleFeature('EXPERIMENTAL.COLLABORATIVE_SYNC', true);
+
+    const seen = [];
+    cleanups.push(realtime.watchPresence(bob, DATASET_ID, 'person', 7, viewers => seen.push(viewers)));
+
+    await aliceWrite('presence', 'alice-tab', {
+      uid: alice,
+      displayName: 'Alice',
+      entityType: 'person',
+      entityId: '7',
+      lastSeen: serverTimestamp()
+    });
+    cleanups.push(() => deleteDoc(aliceRef('presence', 'alice-tab')));
+
+    await waitFor(() => {
+      expect(seen.at(-1)).toContainEqual(expect.objectContaining({ uid: alice, displayName: 'Alice' }));
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * realtimeSyncService.js - Live Collaboration via Firestore Listeners
+ *
+ * PURPOSE:
+ * dataSyncService pushes local edits up and pulls everything down once at
+ * startup. This service keeps the local DB current *while the app is open*:
+ * - onSnapshot listeners on people, houses, relationships and codex entries
+ *   stream remote edits into Dexie (merged via dataSyncService.applyRemoteChanges)
+ * - GenealogyContext reloads when the sync status reports a remote merge
+ * - Presence documents show who else is looking at a person or codex entry
+ *
+ * Gated behind the EXPERIMENTAL.COLLABORATIVE_SYNC feature flag. While it is
+ * on, named datasets live at /sharedDatasets/{datasetId} (see getDatasetPath
+ * in firestoreService), so the listeners and presence documents are shared by
+ * every member of the dataset, not just one user's devices. firestore.rules
+ * keeps everyone else out; openSharedDataset() runs before the first sync.
+ *
+ * TESTING LOCALLY:
+ * `npm run test:emulator` runs realtimeSyncService.emulator.test.js against
+ * the Firestore and Auth emulators with two signed-in clients. To try it by
+ * hand, run `firebase emulators:start`, set VITE_FIRESTORE_EMULATOR_HOST and
+ * VITE_AUTH_EMULATOR_URL in .env.local (see src/config/firebase.js), then
+ * sign in as two different users and join with a share code.
+ */
+
+import {
+  subscribeToCollectionCloud,
+  setPresenceCloud,
+  clearPresenceCloud,
+  subscribeToPresenceCloud
+} from './firestoreService';
+import { applyRemoteChanges } from './dataSyncService';
+import { toMillis } from '../utils/threeWayMerge';
+
+// ==================== CONSTANTS ====================
+
+/**
+ * Entity types streamed live → Firestore subcollection
+ */
+const REALTIME_COLLECTIONS = {
+  person: 'people',
+  house: 'houses',
+  relationship: 'relationships',
+  codexEntry: 'codexEntries'
+};
+
+// How often an open view refreshes its presence document
+export const PRESENCE_HEARTBEAT_MS = 30 * 1000;
+
+// Presence older than this is treated as a closed tab
+export const PRESENCE_STALE_MS = 90 * 1000;
+
+// One ID per browser tab so two tabs of the same user show up separately
+const SESSION_ID = typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : `session-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// ==================== LIVE DATA ====================
+
+/**
+ * Start streaming remote changes for a dataset into the local DB
+ *
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {Object} [options]
+ * @param {Function} [options.onError] - Called when a listener fails
+ * @returns {Function} Stop function (unsubscribes all listeners)
+ */
+export function startRealtimeSync(userId, datasetId, options = {}) {
+  if (!userId) return () => {};
+
+  const unsubscribers = [];
+
+  for (const [entityType, collectionName] of Object.entries(REALTIME_COLLECTIONS)) {
+    // Apply snapshots one at a time per collection so Dexie writes never interleave
+    let queue = Promise.resolve();
+
+    const unsubscribe = subscribeToCollectionCloud(
+      userId,
+      datasetId,
+      collectionName,
+      (changes) => {
+        queue = queue
+          .then(() => applyRemoteChanges(datasetId, entityType, changes))
+          .then(({ applied, conflicts }) => {
+            if (applied > 0 || conflicts > 0) {
+              console.log(`📡 Live ${collectionName}: ${applied} applied, ${conflicts} conflicts`);
+            }
+          })
+          .catch(error => console.error(`📡 Failed to apply live ${collectionName} changes:`, error));
+      },
+      options.onError
+    );
+
+    unsubscribers.push(unsubscribe);
+  }
+
+  console.log('📡 Real-time sync started for dataset:', datasetId);
+
+  return () => {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    console.log('📡 Real-time sync stopped for dataset:', datasetId);
+  };
+}
+
+// ==================== PRESENCE ====================
+
+/**
+ * Announce that this tab is viewing an entity, with a periodic heartbeat
+ *
+ * @param {string} userId - The user's Firebase UID
+ * @param {string} datasetId - The dataset ID
+ * @param {Object} viewer - { uid, displayName, photoURL }
+ * @param {string} entityType - 'person' | 'codexEntry'
+ * @param {number|string} entityId - The entity being viewed
+ * @returns {Function} Leave function (stops heartbeat and removes presence)
+ */
+export function announcePresence(userId, datasetId, viewer, entityType, entityId) {
+  const presence = {
+    uid: viewer.uid,
+    displayName: viewer.displayName || viewer.email || 'Someone',
+    photoURL: viewer.photoURL || null,
+    entityType,
+    entityId
+  };
+
+  const beat = () => setPresenceCloud(userId, datasetId, SESSION_ID, presence).catch(() => {});
+  beat();
+  const interval = setInterval(beat, PRESENCE_HEARTBEAT_MS);
+
+  // Best effort cleanup when the tab closes
+  const handleUnload = () => clearPresenceCloud(userId, datasetId, SESSION_ID);
+  if (typeof window !== 'undefined') {
+    window.addEventListener('beforeunload', handleUnload);
+  }
+
+  return () => {
+    clearInterval(interval);
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('beforeunload', handleUnload);
+    }
+    clearPresenceCloud(userId, datasetId, SESSION_ID);
+  };
+}
+
+/**
+ * Watch who else is viewing an entity
+ * Excludes this tab and sessions whose heartbeat has gone stale.
+ *
+ * @returns {Function} Unsubscribe function
+ */
+export function watchPresence(userId, datasetId, entityType, entityId, onViewers) {
+  return subscribeToPresenceCloud(userId, datasetId, entityType, entityId, (sessions) => {
+    const now = Date.now();
+    const viewers = sessions.filter(session =>
+      session.id !== SESSION_ID &&
+      // lastSeen is null until the server stamps it - treat as fresh
+      (!session.lastSeen || now - toMillis(session.lastSeen) < PRESENCE_STALE_MS)
+    );
+    onViewers(viewers);
+  });
+}
+
+export default {
+  startRealtimeSync,
+  announcePresence,
+  watchPresence,
+  PRESENCE_HEARTBEAT_MS,
+  PRESENCE_STALE_MS
+};
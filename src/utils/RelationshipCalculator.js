@@ -7,14 +7,22 @@
  * - Extended cousin support (1st, 2nd, 3rd cousins + removals)
  * - Great-great grandparent/child support
  * - More in-law relationships
+ * - Multiple marriages: every union is considered, in marriage order, for
+ *   spouse, step and in-law labels ("Stepmother (father's 2nd wife)")
+ * - Concubinage, adoption and fostering
  * 
  * USAGE:
- * import { calculateRelationship, calculateAllRelationships } from './RelationshipCalculator';
+ * import { calculateRelationship, buildRelationshipMaps } from './RelationshipCalculator';
  * 
- * const label = calculateRelationship(selectedPersonId, targetPersonId, parentMap, childrenMap, spouseMap, peopleById);
- * // Returns: "Grandmother", "Half-Brother", "2nd Cousin", "Great-Great-Grandfather", etc.
+ * const maps = buildRelationshipMaps(relationships);
+ * const label = calculateRelationship(selectedPersonId, targetPersonId, maps.parentMap, maps.childrenMap, maps.spouseMap, peopleById, maps);
+ * // Returns: "Grandmother", "Half-Brother (via 2nd wife)", "2nd Cousin", "Stepson (via 2nd wife)", etc.
+ * 
+ * Without the last argument only spouseMap (one spouse each) is known, as before.
  */
 
+import { compareCalendarDates } from './calendarUtils';
+
 /**
  * Calculate the relationship between two people
  * 
@@ -24,9 +32,12 @@
  * @param {Map} childrenMap - Map of personId -> [childId, childId, ...]
  * @param {Map} spouseMap - Map of personId -> spouseId
  * @param {Map} peopleById - Map of personId -> person object (for gender lookup)
+ * @param {Object} [kinship] - Extra maps from buildRelationshipMaps:
+ *   unionMap (marriage and concubinage history), adoptions, fosterParentMap,
+ *   fosterChildrenMap
  * @returns {string|null} The relationship label or null if unrelated
  */
-export function calculateRelationship(personId, targetId, parentMap, childrenMap, spouseMap, peopleById) {
+export function calculateRelationship(personId, targetId, parentMap, childrenMap, spouseMap, peopleById, kinship = {}) {
   if (personId === targetId) {
     return 'Self';
   }
@@ -34,35 +45,77 @@ export function calculateRelationship(personId, targetId, parentMap, childrenMap
   const targetPerson = peopleById.get(targetId);
   if (!targetPerson) return null;
 
+  const unions = kinship.unionMap || spouseMap;
+  const isAdoption = (parentId, childId) => kinship.adoptions?.has(`${parentId}-${childId}`) || false;
+
   // ══════════════════════════════════════════════════════════════════════
   // DIRECT RELATIONSHIPS (1 degree)
   // ══════════════════════════════════════════════════════════════════════
   
-  // Check if spouse
-  if (spouseMap.get(personId) === targetId) {
-    return getGenderedLabel(targetPerson, 'Husband', 'Wife', 'Spouse');
+  // Check if spouse (or concubine), in any marriage
+  const union = getUnions(unions, personId).find(u => u.spouseId === targetId);
+  if (union) {
+    return getUnionLabel(union, targetPerson, getUnions(unions, personId));
   }
 
   // Check if parent
   const personParents = parentMap.get(personId) || [];
   if (personParents.includes(targetId)) {
+    if (isAdoption(targetId, personId)) {
+      return getGenderedLabel(targetPerson, 'Adoptive Father', 'Adoptive Mother', 'Adoptive Parent');
+    }
     return getGenderedLabel(targetPerson, 'Father', 'Mother', 'Parent');
   }
 
+  const fosterParents = kinship.fosterParentMap?.get(personId) || [];
+  if (fosterParents.includes(targetId)) {
+    return getGenderedLabel(targetPerson, 'Foster Father', 'Foster Mother', 'Foster Parent');
+  }
+
   // Check if child
   const personChildren = childrenMap.get(personId) || [];
   if (personChildren.includes(targetId)) {
+    if (isAdoption(personId, targetId)) {
+      return getGenderedLabel(targetPerson, 'Adopted Son', 'Adopted Daughter', 'Adopted Child');
+    }
     return getGenderedLabel(targetPerson, 'Son', 'Daughter', 'Child');
   }
 
+  const fosterChildren = kinship.fosterChildrenMap?.get(personId) || [];
+  if (fosterChildren.includes(targetId)) {
+    return getGenderedLabel(targetPerson, 'Foster Son', 'Foster Daughter', 'Foster Child');
+  }
+
   // Check if sibling (including half-sibling detection)
   const siblingType = getSiblingType(personId, targetId, parentMap);
   if (siblingType) {
+    const sharedParents = personParents.filter(p => (parentMap.get(targetId) || []).includes(p));
+    // Related only through an adoption on one side or the other
+    if (sharedParents.every(p => isAdoption(p, personId) || isAdoption(p, targetId))) {
+      return getGenderedLabel(targetPerson, 'Adoptive Brother', 'Adoptive Sister', 'Adoptive Sibling');
+    }
     if (siblingType === 'full') {
       return getGenderedLabel(targetPerson, 'Brother', 'Sister', 'Sibling');
-    } else {
-      return getGenderedLabel(targetPerson, 'Half-Brother', 'Half-Sister', 'Half-Sibling');
     }
+    const label = getGenderedLabel(targetPerson, 'Half-Brother', 'Half-Sister', 'Half-Sibling');
+
+    // Through which of the shared parent's marriages ("via 2nd wife")
+    const otherParentId = (parentMap.get(targetId) || []).find(p => p !== sharedParents[0]);
+    const otherParent = peopleById.get(otherParentId);
+    const parentMarriages = getMarriages(unions, sharedParents[0]);
+    const marriage = parentMarriages.find(u => u.spouseId === otherParentId);
+    if (parentMarriages.length > 1 && marriage && otherParent) {
+      return `${label} (via ${describeSpouse(marriage, otherParent, parentMarriages.length)})`;
+    }
+
+    const sharedParent = peopleById.get(sharedParents[0]);
+    const side = sharedParent ? getGenderedLabel(sharedParent, 'paternal', 'maternal', null) : null;
+    return side ? `${label} (${side})` : label;
+  }
+
+  // Raised in the same household, at least one of them as a foster child
+  if (isFosterSibling(personId, targetId, parentMap, kinship)) {
+    return getGenderedLabel(targetPerson, 'Foster Brother', 'Foster Sister', 'Foster Sibling');
   }
 
   // ══════════════════════════════════════════════════════════════════════
@@ -144,7 +197,7 @@ export function calculateRelationship(personId, targetId, parentMap, childrenMap
   // IN-LAWS
   // ══════════════════════════════════════════════════════════════════════
   
-  const inLawResult = getInLawRelationship(personId, targetId, spouseMap, parentMap, childrenMap, peopleById);
+  const inLawResult = getInLawRelationship(personId, targetId, unions, parentMap, childrenMap, peopleById);
   if (inLawResult) {
     return inLawResult;
   }
@@ -153,7 +206,7 @@ export function calculateRelationship(personId, targetId, parentMap, childrenMap
   // STEP-RELATIONSHIPS
   // ══════════════════════════════════════════════════════════════════════
   
-  const stepResult = getStepRelationship(personId, targetId, spouseMap, parentMap, childrenMap, peopleById);
+  const stepResult = getStepRelationship(personId, targetId, unions, parentMap, childrenMap, peopleById);
   if (stepResult) {
     return stepResult;
   }
@@ -174,6 +227,71 @@ function getGenderedLabel(person, maleLabel, femaleLabel, neutralLabel) {
   return neutralLabel;
 }
 
+// ════════════════════════════════════════════════════════════════════════════════
+// UNIONS
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * A person's unions, oldest first
+ * 
+ * Accepts either a spouseMap (personId -> spouseId) or a unionMap
+ * (personId -> [union]) from buildRelationshipMaps. Each union is
+ * { spouseId, type: 'marriage' | 'concubinage', role, order, marriageDate,
+ * divorceDate, status }.
+ */
+function getUnions(unions, personId) {
+  const value = unions?.get(personId);
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value;
+  return [{ spouseId: value, type: 'marriage', role: 'spouse', order: 1, status: 'married' }];
+}
+
+function getMarriages(unions, personId) {
+  return getUnions(unions, personId).filter(u => u.type === 'marriage');
+}
+
+function isDivorced(union) {
+  return union.status === 'divorced' || !!union.divorceDate;
+}
+
+/**
+ * "2nd wife", or just "wife" for someone married once
+ */
+function describeSpouse(union, spouse, marriageCount) {
+  const noun = getGenderedLabel(spouse, 'husband', 'wife', 'spouse');
+  return marriageCount > 1 && union.order ? `${getOrdinal(union.order)} ${noun}` : noun;
+}
+
+/**
+ * Label for a person's own spouse or concubine
+ */
+function getUnionLabel(union, targetPerson, personUnions) {
+  if (union.type === 'concubinage') {
+    return union.role === 'concubine' ? 'Concubine' : 'Partner (as concubine)';
+  }
+
+  let label = getGenderedLabel(targetPerson, 'Husband', 'Wife', 'Spouse');
+  if (isDivorced(union)) label = `Former ${label}`;
+
+  const marriageCount = personUnions.filter(u => u.type === 'marriage').length;
+  if (marriageCount > 1) label += ` (${getOrdinal(union.order)} marriage)`;
+  return label;
+}
+
+/**
+ * Whether a parent's marriage was over before the person was born -
+ * the parent's earlier spouse is then no step-parent
+ */
+function endedBeforeBirth(union, spouse, person) {
+  if (!person?.dateOfBirth) return false;
+  if (union.divorceDate && compareCalendarDates(union.divorceDate, person.dateOfBirth) < 0) return true;
+  return !!spouse?.dateOfDeath && compareCalendarDates(spouse.dateOfDeath, person.dateOfBirth) < 0;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
 /**
  * Check if two people are siblings and determine if full or half
  * Returns: 'full' | 'half' | null
@@ -470,91 +588,138 @@ function getOrdinal(n) {
 }
 
 /**
- * Get in-law relationship
+ * Check if two people grew up in the same household with at least one of
+ * them fostered there (blood and adoptive siblings are checked first)
  */
-function getInLawRelationship(personId, targetId, spouseMap, parentMap, childrenMap, peopleById) {
-  const spouse = spouseMap.get(personId);
-  if (!spouse) return null;
+function isFosterSibling(personId, targetId, parentMap, kinship) {
+  if (!kinship.fosterParentMap) return false;
+  const household = (id) => [
+    ...(parentMap.get(id) || []),
+    ...(kinship.fosterParentMap.get(id) || [])
+  ];
+  const targetHousehold = household(targetId);
+  return household(personId).some(p => targetHousehold.includes(p));
+}
 
+/**
+ * Get in-law relationship, through any of the person's marriages
+ * 
+ * With more than one marriage the label says which ("Father-in-Law (via 2nd wife)");
+ * a divorce makes it "Former ...".
+ */
+function getInLawRelationship(personId, targetId, unions, parentMap, childrenMap, peopleById) {
   const targetPerson = peopleById.get(targetId);
   if (!targetPerson) return null;
-  
-  // Spouse's parent = Parent-in-Law
-  const spouseParents = parentMap.get(spouse) || [];
-  if (spouseParents.includes(targetId)) {
-    return getGenderedLabel(targetPerson, 'Father-in-Law', 'Mother-in-Law', 'Parent-in-Law');
-  }
-  
-  // Spouse's sibling = Sibling-in-Law
-  const spouseSiblings = getSiblings(spouse, parentMap, childrenMap);
-  if (spouseSiblings.includes(targetId)) {
-    return getGenderedLabel(targetPerson, 'Brother-in-Law', 'Sister-in-Law', 'Sibling-in-Law');
+
+  const marriages = getMarriages(unions, personId);
+  for (const marriage of marriages) {
+    const spouse = marriage.spouseId;
+    const spousePerson = peopleById.get(spouse);
+    const via = marriages.length > 1 && spousePerson
+      ? ` (via ${describeSpouse(marriage, spousePerson, marriages.length)})`
+      : '';
+    const former = isDivorced(marriage) ? 'Former ' : '';
+    const label = (male, female, neutral) => former + getGenderedLabel(targetPerson, male, female, neutral) + via;
+
+    // Spouse's parent = Parent-in-Law
+    const spouseParents = parentMap.get(spouse) || [];
+    if (spouseParents.includes(targetId)) {
+      return label('Father-in-Law', 'Mother-in-Law', 'Parent-in-Law');
+    }
+
+    // Spouse's sibling = Sibling-in-Law
+    const spouseSiblings = getSiblings(spouse, parentMap, childrenMap);
+    if (spouseSiblings.includes(targetId)) {
+      return label('Brother-in-Law', 'Sister-in-Law', 'Sibling-in-Law');
+    }
+
+    // Spouse's grandparent
+    const spouseGrandparents = getGrandparents(spouse, parentMap);
+    if (spouseGrandparents.includes(targetId)) {
+      return label('Grandfather-in-Law', 'Grandmother-in-Law', 'Grandparent-in-Law');
+    }
   }
   
   // Sibling's spouse = Sibling-in-Law
   const personSiblings = getSiblings(personId, parentMap, childrenMap);
   for (const siblingId of personSiblings) {
-    if (spouseMap.get(siblingId) === targetId) {
-      return getGenderedLabel(targetPerson, 'Brother-in-Law', 'Sister-in-Law', 'Sibling-in-Law');
+    const marriage = getMarriages(unions, siblingId).find(u => u.spouseId === targetId);
+    if (marriage) {
+      const former = isDivorced(marriage) ? 'Former ' : '';
+      return former + getGenderedLabel(targetPerson, 'Brother-in-Law', 'Sister-in-Law', 'Sibling-in-Law');
     }
   }
   
   // Child's spouse = Child-in-Law
   const personChildren = childrenMap.get(personId) || [];
   for (const childId of personChildren) {
-    if (spouseMap.get(childId) === targetId) {
-      return getGenderedLabel(targetPerson, 'Son-in-Law', 'Daughter-in-Law', 'Child-in-Law');
+    const marriage = getMarriages(unions, childId).find(u => u.spouseId === targetId);
+    if (marriage) {
+      const former = isDivorced(marriage) ? 'Former ' : '';
+      return former + getGenderedLabel(targetPerson, 'Son-in-Law', 'Daughter-in-Law', 'Child-in-Law');
     }
   }
   
-  // Spouse's grandparent
-  const spouseGrandparents = getGrandparents(spouse, parentMap);
-  if (spouseGrandparents.includes(targetId)) {
-    return getGenderedLabel(targetPerson, 'Grandfather-in-Law', 'Grandmother-in-Law', 'Grandparent-in-Law');
-  }
-  
   return null;
 }
 
 /**
- * Get step-relationship
+ * Get step-relationship, through any of the parents' or person's marriages
  */
-function getStepRelationship(personId, targetId, spouseMap, parentMap, childrenMap, peopleById) {
+function getStepRelationship(personId, targetId, unions, parentMap, childrenMap, peopleById) {
   const targetPerson = peopleById.get(targetId);
   if (!targetPerson) return null;
+  const person = peopleById.get(personId);
   
-  // Person's parent's spouse's children (step-siblings)
   const personParents = parentMap.get(personId) || [];
+
+  // Parent's spouse (step-parent) or concubine
+  for (const parentId of personParents) {
+    const union = getUnions(unions, parentId).find(u => u.spouseId === targetId);
+    if (!union || personParents.includes(targetId)) continue;
+
+    const parent = peopleById.get(parentId);
+    const parentNoun = parent ? getGenderedLabel(parent, 'father', 'mother', 'parent') : 'parent';
+
+    if (union.type === 'concubinage') {
+      return `${capitalize(parentNoun)}'s ${union.role === 'concubine' ? 'Concubine' : 'Partner'}`;
+    }
+
+    const spouseNoun = describeSpouse(union, targetPerson, getMarriages(unions, parentId).length);
+    if (endedBeforeBirth(union, targetPerson, person)) {
+      // "Father's 1st Wife"
+      return `${capitalize(parentNoun)}'s ${spouseNoun.split(' ').map(capitalize).join(' ')}`;
+    }
+
+    const stepLabel = getGenderedLabel(targetPerson, 'Stepfather', 'Stepmother', 'Stepparent');
+    return `${stepLabel} (${parentNoun}'s ${spouseNoun}${isDivorced(union) ? ', divorced' : ''})`;
+  }
+  
+  // Person's parent's spouse's children (step-siblings)
   for (const parentId of personParents) {
-    const parentSpouse = spouseMap.get(parentId);
-    if (parentSpouse) {
-      const stepParentChildren = childrenMap.get(parentSpouse) || [];
+    for (const marriage of getMarriages(unions, parentId)) {
+      const stepParentChildren = childrenMap.get(marriage.spouseId) || [];
       if (stepParentChildren.includes(targetId)) {
         // Make sure they're not also biological siblings
         const siblingType = getSiblingType(personId, targetId, parentMap);
         if (!siblingType) {
-          return getGenderedLabel(targetPerson, 'Step-Brother', 'Step-Sister', 'Step-Sibling');
+          return getGenderedLabel(targetPerson, 'Stepbrother', 'Stepsister', 'Stepsibling');
         }
       }
     }
   }
   
   // Spouse's child (step-child)
-  const spouse = spouseMap.get(personId);
-  if (spouse) {
-    const spouseChildren = childrenMap.get(spouse) || [];
-    const personChildren = childrenMap.get(personId) || [];
-    
+  const personChildren = childrenMap.get(personId) || [];
+  const marriages = getMarriages(unions, personId);
+  for (const marriage of marriages) {
+    const spouseChildren = childrenMap.get(marriage.spouseId) || [];
     if (spouseChildren.includes(targetId) && !personChildren.includes(targetId)) {
-      return getGenderedLabel(targetPerson, 'Step-Son', 'Step-Daughter', 'Step-Child');
-    }
-  }
-  
-  // Parent's spouse (step-parent)
-  for (const parentId of personParents) {
-    const parentSpouse = spouseMap.get(parentId);
-    if (parentSpouse === targetId && !personParents.includes(targetId)) {
-      return getGenderedLabel(targetPerson, 'Step-Father', 'Step-Mother', 'Step-Parent');
+      const label = getGenderedLabel(targetPerson, 'Stepson', 'Stepdaughter', 'Stepchild');
+      const spouse = peopleById.get(marriage.spouseId);
+      return marriages.length > 1 && spouse
+        ? `${label} (via ${describeSpouse(marriage, spouse, marriages.length)})`
+        : label;
     }
   }
   
@@ -565,7 +730,7 @@ function getStepRelationship(personId, targetId, spouseMap, parentMap, childrenM
  * Get all relationships for a person
  * Returns a Map of personId -> relationship label
  */
-export function calculateAllRelationships(personId, allPeople, parentMap, childrenMap, spouseMap) {
+export function calculateAllRelationships(personId, allPeople, parentMap, childrenMap, spouseMap, kinship = {}) {
   const relationships = new Map();
   const peopleById = new Map(allPeople.map(p => [p.id, p]));
   
@@ -579,7 +744,8 @@ export function calculateAllRelationships(personId, allPeople, parentMap, childr
         parentMap,
         childrenMap,
         spouseMap,
-        peopleById
+        peopleById,
+        kinship
       );
       if (relationship) {
         relationships.set(person.id, relationship);
@@ -590,35 +756,80 @@ export function calculateAllRelationships(personId, allPeople, parentMap, childr
   return relationships;
 }
 
+/**
+ * Order unions by when they began (the divorce date stands in for an
+ * unknown marriage date); undated unions follow, in the order entered
+ */
+function compareUnions(a, b) {
+  const byDate = compareCalendarDates(a.marriageDate || a.divorceDate, b.marriageDate || b.divorceDate);
+  if (byDate !== 0) return byDate;
+  return (a.id ?? 0) - (b.id ?? 0);
+}
+
 /**
  * Build relationship maps from raw relationship data
  * Helper function for components that need to set up the maps
+ * 
+ * Pass the whole result as calculateRelationship's `kinship` argument to
+ * label multiple marriages, concubines, adoptions and fostering.
  */
 export function buildRelationshipMaps(relationships) {
-  const parentMap = new Map();     // childId -> [parentId, parentId]
-  const childrenMap = new Map();   // parentId -> [childId, ...]
-  const spouseMap = new Map();     // personId -> spouseId (latest active marriage)
+  const parentMap = new Map();         // childId -> [parentId, parentId] (birth and adoptive)
+  const childrenMap = new Map();       // parentId -> [childId, ...]
+  const spouseMap = new Map();         // personId -> spouseId (latest active marriage)
+  const unionMap = new Map();          // personId -> [union, ...] oldest first
+  const adoptions = new Set();         // 'parentId-childId' of adoptive links
+  const fosterParentMap = new Map();   // childId -> [fosterParentId, ...]
+  const fosterChildrenMap = new Map(); // fosterParentId -> [childId, ...]
+  const unionRels = [];
+
+  const append = (map, key, value) => map.set(key, [...(map.get(key) || []), value]);
   
   relationships.forEach(rel => {
     if (rel.relationshipType === 'parent' || rel.relationshipType === 'adopted-parent') {
       // person1 is parent of person2
-      const existingParents = parentMap.get(rel.person2Id) || [];
-      parentMap.set(rel.person2Id, [...existingParents, rel.person1Id]);
-      
-      const existingChildren = childrenMap.get(rel.person1Id) || [];
-      childrenMap.set(rel.person1Id, [...existingChildren, rel.person2Id]);
+      append(parentMap, rel.person2Id, rel.person1Id);
+      append(childrenMap, rel.person1Id, rel.person2Id);
+      if (rel.relationshipType === 'adopted-parent') {
+        adoptions.add(`${rel.person1Id}-${rel.person2Id}`);
+      }
+    }
+
+    if (rel.relationshipType === 'foster-parent') {
+      append(fosterParentMap, rel.person2Id, rel.person1Id);
+      append(fosterChildrenMap, rel.person1Id, rel.person2Id);
     }
     
-    if (rel.relationshipType === 'spouse') {
-      // Only track active marriages for the spouseMap
-      if (rel.marriageStatus !== 'divorced') {
-        spouseMap.set(rel.person1Id, rel.person2Id);
-        spouseMap.set(rel.person2Id, rel.person1Id);
-      }
+    if (rel.relationshipType === 'spouse' || rel.relationshipType === 'concubine') {
+      unionRels.push(rel);
     }
   });
+
+  // person1 of a concubine relationship is the concubine of person2
+  unionRels.sort(compareUnions).forEach(rel => {
+    const concubinage = rel.relationshipType === 'concubine';
+    const union = {
+      type: concubinage ? 'concubinage' : 'marriage',
+      marriageDate: rel.marriageDate || null,
+      divorceDate: rel.divorceDate || null,
+      status: concubinage ? null : rel.marriageStatus || 'married',
+      relationshipId: rel.id
+    };
+    append(unionMap, rel.person1Id, { ...union, spouseId: rel.person2Id, role: concubinage ? 'keeper' : 'spouse' });
+    append(unionMap, rel.person2Id, { ...union, spouseId: rel.person1Id, role: concubinage ? 'concubine' : 'spouse' });
+  });
+
+  unionMap.forEach((unions, personId) => {
+    let order = 0;
+    unions.forEach(union => {
+      if (union.type !== 'marriage') return;
+      union.order = ++order;
+      // Only track active marriages for the spouseMap
+      if (union.status !== 'divorced') spouseMap.set(personId, union.spouseId);
+    });
+  });
   
-  return { parentMap, childrenMap, spouseMap };
+  return { parentMap, childrenMap, spouseMap, unionMap, adoptions, fosterParentMap, fosterChildrenMap };
 }
 
 export default {
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { calculateRelationship, buildRelationshipMaps } from './RelationshipCalculator';
+
+// Aldric (1) married Maren (2), who died, then Brenna (3), the widow of
+// Oswin (9). Tomas (4) is Maren's son, Elin (5) Brenna's daughter by
+// Aldric and Corin (10) her son by Oswin. Gerold (11) is Brenna's father
+// and Hal (14) Corin's son. Aldric adopted Wynn (12) and fostered Piers (13).
+const person = (id, firstName, gender, dateOfBirth = null, dateOfDeath = null) => ({
+  id, firstName, gender, dateOfBirth, dateOfDeath
+});
+const people = [
+  person(1, 'Aldric', 'male', '1180'),
+  person(2, 'Maren', 'female', '1182', '1210'),
+  person(3, 'Brenna', 'female', '1186'),
+  person(4, 'Tomas', 'male', '1202'),
+  person(5, 'Elin', 'female', '1214'),
+  person(9, 'Oswin', 'male', '1178', '1209'),
+  person(10, 'Corin', 'male', '1207'),
+  person(11, 'Gerold', 'male', '1160'),
+  person(12, 'Wynn', 'female', '1205'),
+  person(13, 'Piers', 'male', '1204'),
+  person(14, 'Hal', 'male', '1230')
+];
+const peopleById = new Map(people.map(p => [p.id, p]));
+
+let nextId = 0;
+const rel = (relationshipType, person1Id, person2Id, extra = {}) => ({
+  id: ++nextId, relationshipType, person1Id, person2Id, ...extra
+});
+const relationships = [
+  rel('spouse', 1, 2, { marriageDate: '1200' }),
+  rel('spouse', 1, 3, { marriageDate: '1212' }),
+  rel('spouse', 9, 3, { marriageDate: '1205' }),
+  rel('parent', 1, 4), rel('parent', 2, 4),
+  rel('parent', 1, 5), rel('parent', 3, 5),
+  rel('parent', 9, 10), rel('parent', 3, 10),
+  rel('parent', 11, 3),
+  rel('parent', 10, 14),
+  rel('adopted-parent', 1, 12),
+  rel('foster-parent', 1, 13)
+];
+const maps = buildRelationshipMaps(relationships);
+
+const label = (personId, targetId) => calculateRelationship(
+  personId, targetId, maps.parentMap, maps.childrenMap, maps.spouseMap, peopleById, maps
+);
+
+describe('buildRelationshipMaps', () => {
+  it('orders each person\'s marriages by date', () => {
+    expect(maps.unionMap.get(3).map(u => [u.spouseId, u.order])).toEqual([[9, 1], [1, 2]]);
+    expect(maps.spouseMap.get(1)).toBe(3);
+  });
+});
+
+describe('calculateRelationship', () => {
+  it('says through which marriage a half-sibling comes', () => {
+    expect(label(4, 5)).toBe('Half-Sister (via 2nd wife)');
+    expect(label(5, 4)).toBe('Half-Brother (via 1st wife)');
+    expect(label(10, 5)).toBe('Half-Sister (via 2nd husband)');
+  });
+
+  it('names step-parents and earlier spouses by marriage', () => {
+    expect(label(4, 3)).toBe('Stepmother (father\'s 2nd wife)');
+    expect(label(5, 2)).toBe('Father\'s 1st Wife');
+    expect(label(1, 10)).toBe('Stepson (via 2nd wife)');
+    expect(label(1, 2)).toBe('Wife (1st marriage)');
+  });
+
+  it('labels adoptive parents, children and siblings', () => {
+    expect(label(12, 1)).toBe('Adoptive Father');
+    expect(label(1, 12)).toBe('Adopted Daughter');
+    expect(label(4, 12)).toBe('Adoptive Sister');
+  });
+
+  it('labels foster parents and the children raised alongside a foster child', () => {
+    expect(label(13, 1)).toBe('Foster Father');
+    expect(label(1, 13)).toBe('Foster Son');
+    expect(label(4, 13)).toBe('Foster Brother');
+    expect(label(13, 5)).toBe('Foster Sister');
+  });
+
+  it('keeps step-relations out of blood kinship', () => {
+    expect(label(4, 10)).toBe('Stepbrother');
+    expect(label(4, 11)).toBeNull();
+    expect(label(5, 11)).toBe('Grandfather');
+    expect(label(4, 14)).toBeNull();
+    expect(label(5, 14)).toBe('Nephew');
+  });
+});
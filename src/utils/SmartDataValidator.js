@@ -8,6 +8,7 @@
  * - Cross-house relationship checks
  * - Missing data detection
  * - SMART NAMESAKE DETECTION - understands genealogical naming patterns
+ * - Prohibited degrees of kinship for marriages (pass MARRIAGE_RULES)
  * 
  * PHILOSOPHY:
  * - Hard blocks for truly impossible scenarios (circular ancestry, etc.)
@@ -16,6 +17,9 @@
  * - Namesake-aware - understands that families often reuse names across generations
  */
 
+import { dateToOrdinal, getDateYear } from './calendarUtils';
+import { checkMarriageEligibility } from './consanguinity';
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONFIGURATION
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -28,6 +32,7 @@ export const VALIDATION_CONFIG = {
   // Marriage rules
   MIN_MARRIAGE_AGE: 14,
   MAX_SPOUSE_AGE_GAP_WARNING: 50,
+  MARRIAGE_RULES: null,         // normalizeMarriageRules() result; null = no consanguinity check
   
   // Sibling rules
   MAX_SIBLING_AGE_GAP: 40,
@@ -80,20 +85,14 @@ function addWarning(result, code, message, details = {}) {
 // HELPER FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// Dates go through the dataset calendar so custom month lengths and
+// negative (pre-era) years compare correctly
 function parseDate(dateStr) {
-  if (!dateStr) return null;
-  const parts = dateStr.split('-');
-  const year = parseInt(parts[0], 10);
-  const month = parts[1] ? parseInt(parts[1], 10) : 1;
-  const day = parts[2] ? parseInt(parts[2], 10) : 1;
-  if (isNaN(year)) return null;
-  return year * 10000 + month * 100 + day;
+  return dateToOrdinal(dateStr);
 }
 
 function extractYear(dateStr) {
-  if (!dateStr) return null;
-  const year = parseInt(dateStr.split('-')[0], 10);
-  return isNaN(year) ? null : year;
+  return getDateYear(dateStr);
 }
 
 function getPersonById(personId, people) {
@@ -321,7 +320,7 @@ export function validatePerson(person, existingPeople = [], options = {}) {
   const birthDate = parseDate(person.dateOfBirth);
   const deathDate = parseDate(person.dateOfDeath);
   
-  if (birthDate && deathDate && deathDate < birthDate) {
+  if (birthDate !== null && deathDate !== null && deathDate < birthDate) {
     addError(result, 'DEATH_BEFORE_BIRTH', 
       'Death date cannot be before birth date',
       { birthDate: person.dateOfBirth, deathDate: person.dateOfDeath }
@@ -612,20 +611,31 @@ function validateSpouseRelationship(result, person1, person2, relationship, exis
     addError(result, 'MARRYING_SIBLING', `${person1.firstName} and ${person2.firstName} share a parent`, {});
   }
   
+  // Prohibited degrees of kinship, beyond the parent and sibling errors above
+  if (config.MARRIAGE_RULES && !result.errors.some(e => e.code.startsWith('MARRYING_'))) {
+    const eligibility = checkMarriageEligibility(person1.id, person2.id, existingRelationships, config.MARRIAGE_RULES);
+    if (eligibility.prohibited) {
+      addWarning(result, 'PROHIBITED_DEGREE',
+        `${person1.firstName} and ${person2.firstName} may not marry under this dataset's marriage law. ${eligibility.reason}.`,
+        { degree: eligibility.degree, coefficient: eligibility.coefficient }
+      );
+    }
+  }
+  
   if (relationship.marriageDate) {
     const marriageDate = parseDate(relationship.marriageDate);
     
-    if (person1.dateOfDeath && marriageDate && marriageDate > parseDate(person1.dateOfDeath)) {
+    if (person1.dateOfDeath && marriageDate !== null && marriageDate > parseDate(person1.dateOfDeath)) {
       addError(result, 'MARRIED_AFTER_DEATH', `Cannot marry ${person1.firstName} after their death`, {});
     }
-    if (person2.dateOfDeath && marriageDate && marriageDate > parseDate(person2.dateOfDeath)) {
+    if (person2.dateOfDeath && marriageDate !== null && marriageDate > parseDate(person2.dateOfDeath)) {
       addError(result, 'MARRIED_AFTER_DEATH', `Cannot marry ${person2.firstName} after their death`, {});
     }
     
-    if (person1.dateOfBirth && marriageDate && marriageDate < parseDate(person1.dateOfBirth)) {
+    if (person1.dateOfBirth && marriageDate !== null && marriageDate < parseDate(person1.dateOfBirth)) {
       addError(result, 'MARRIED_BEFORE_BIRTH', `Marriage date is before ${person1.firstName}'s birth`, {});
     }
-    if (person2.dateOfBirth && marriageDate && marriageDate < parseDate(person2.dateOfBirth)) {
+    if (person2.dateOfBirth && marriageDate !== null && marriageDate < parseDate(person2.dateOfBirth)) {
       addError(result, 'MARRIED_BEFORE_BIRTH', `Marriage date is before ${person2.firstName}'s birth`, {});
     }
     
@@ -0,0 +1,120 @@
+/**
+ * Ancestor Chart Layout
+ *
+ * Lays out a person's ancestors for the fan chart and the pedigree chart
+ * on the family tree page. Both charts place ancestors by Ahnentafel
+ * number:
+ * - 1 is the subject
+ * - 2n is the father of n, 2n + 1 the mother
+ * - generation g holds the numbers 2^g to 2^(g+1) - 1, father's side first
+ *
+ * A parent of unrecorded gender takes whichever slot is free. A person
+ * reached through two lines (pedigree collapse) fills both slots, as on a
+ * printed chart.
+ *
+ * The parent map has the shape buildBloodParentMap() returns
+ * (childId -> [parentIds]), so adoptive parents are left out.
+ */
+
+export const ANCESTOR_CHART_GENERATIONS = [4, 5, 6];
+export const DEFAULT_ANCESTOR_CHART_GENERATIONS = 5;
+
+/**
+ * Generation of an Ahnentafel number (1 -> 0, 2-3 -> 1, 4-7 -> 2)
+ */
+export function getAhnentafelGeneration(number) {
+  return Math.floor(Math.log2(number));
+}
+
+/**
+ * Place a child's recorded parents in the father and mother slots
+ *
+ * @returns {[number|null, number|null]} [fatherId, motherId]
+ */
+function assignParentSlots(parentIds, peopleById) {
+  const slots = [null, null];
+  const unplaced = [];
+
+  parentIds.slice(0, 2).forEach(parentId => {
+    const gender = peopleById.get(parentId)?.gender;
+    const slot = gender === 'male' ? 0 : gender === 'female' ? 1 : -1;
+    if (slot >= 0 && slots[slot] === null) {
+      slots[slot] = parentId;
+    } else {
+      unplaced.push(parentId);
+    }
+  });
+
+  unplaced.forEach(parentId => {
+    const free = slots.indexOf(null);
+    if (free >= 0) slots[free] = parentId;
+  });
+
+  return slots;
+}
+
+/**
+ * Build a person's Ahnentafel
+ *
+ * @param {number} personId - The subject
+ * @param {Map<number, number[]>} parentMap - childId -> [parentIds]
+ * @param {Map<number, Object>} peopleById - For the parents' gender
+ * @param {number} generations - Generations to show, the subject's included
+ * @returns {Map<number, number>} Ahnentafel number -> personId, recorded slots only
+ */
+export function buildAhnentafel(personId, parentMap, peopleById, generations = DEFAULT_ANCESTOR_CHART_GENERATIONS) {
+  const ahnentafel = new Map([[1, personId]]);
+  const lastNumber = 2 ** generations - 1;
+
+  for (let number = 1; 2 * number <= lastNumber; number++) {
+    const childId = ahnentafel.get(number);
+    if (childId === undefined) continue;
+
+    const [fatherId, motherId] = assignParentSlots(parentMap.get(childId) || [], peopleById);
+    if (fatherId !== null) ahnentafel.set(2 * number, fatherId);
+    if (motherId !== null) ahnentafel.set(2 * number + 1, motherId);
+  }
+
+  return ahnentafel;
+}
+
+/**
+ * Every slot of the chart, recorded or not
+ *
+ * @returns {Array} [{ number, generation, index, personId }] in Ahnentafel
+ *   order; index is the slot's position within its generation and
+ *   personId is null for an unrecorded ancestor
+ */
+export function getAncestorSlots(ahnentafel, generations = DEFAULT_ANCESTOR_CHART_GENERATIONS) {
+  const slots = [];
+  for (let number = 1; number < 2 ** generations; number++) {
+    const generation = getAhnentafelGeneration(number);
+    slots.push({
+      number,
+      generation,
+      index: number - 2 ** generation,
+      personId: ahnentafel.get(number) ?? null
+    });
+  }
+  return slots;
+}
+
+/**
+ * The deepest generation with a recorded ancestor (0 = subject only)
+ */
+export function getAhnentafelDepth(ahnentafel) {
+  let depth = 0;
+  ahnentafel.forEach((_, number) => {
+    depth = Math.max(depth, getAhnentafelGeneration(number));
+  });
+  return depth;
+}
+
+export default {
+  ANCESTOR_CHART_GENERATIONS,
+  DEFAULT_ANCESTOR_CHART_GENERATIONS,
+  getAhnentafelGeneration,
+  buildAhnentafel,
+  getAncestorSlots,
+  getAhnentafelDepth
+};
@@ -10,11 +10,13 @@
  * to their father's arms to show their birth order.
  * 
  * LINEAGEWEAVER'S APPROACH:
- * Rather than traditional cadency marks (label, crescent, mullet, etc.),
- * we use a simpler visual system:
+ * Each dataset picks a cadency scheme (see data/cadencySchemes.js). The
+ * default is a simple visual system:
  * - Small black triangles pointing down from the top of the shield
  * - Number of triangles = birth position among legitimate sons
  * - 1st son = 1 triangle, 2nd son = 2 triangles, etc.
+ * The English brisures, Scottish bordures and a custom scheme are also
+ * available. Bastards are differenced by a separate mark of illegitimacy.
  * 
  * SCOPE:
  * - Only counts LEGITIMATE SONS (traditional approach)
@@ -23,6 +25,14 @@
  * - Daughters are excluded (historically, daughters didn't bear differenced arms)
  */
 
+import { getDateYear, dateToOrdinal } from './calendarUtils';
+import {
+  CADENCY_MARKS,
+  getCadencyScheme,
+  normalizeCadencySettings
+} from '../data/cadencySchemes';
+import { getTincture } from '../data/tinctures';
+
 /**
  * Calculate a person's birth order among their legitimate male siblings
  * 
@@ -112,8 +122,8 @@ export function calculateBirthOrder(person, allPeople, allRelationships) {
   // Sort by birth date (oldest first)
   // If no birth date, they go to the end (unknown position)
   legitimateMaleSiblings.sort((a, b) => {
-    const dateA = parseBirthYear(a.dateOfBirth);
-    const dateB = parseBirthYear(b.dateOfBirth);
+    const dateA = dateToOrdinal(a.dateOfBirth);
+    const dateB = dateToOrdinal(b.dateOfBirth);
     
     // Both have dates - compare them
     if (dateA !== null && dateB !== null) {
@@ -160,26 +170,13 @@ export function calculateBirthOrder(person, allPeople, allRelationships) {
  * - "1250" (year only)
  * - "1250-03-15" (ISO date)
  * - "1250-03" (year-month)
+ * - Era notation like "340 AE" when the dataset has a custom calendar
  * 
  * @param {string|null} dateOfBirth - The date string to parse
  * @returns {number|null} The year as a number, or null if unparseable
  */
 export function parseBirthYear(dateOfBirth) {
-  if (!dateOfBirth) return null;
-  
-  // If it's just a number, return it
-  const yearOnly = parseInt(dateOfBirth);
-  if (!isNaN(yearOnly) && String(yearOnly) === String(dateOfBirth).trim()) {
-    return yearOnly;
-  }
-  
-  // Try to extract year from ISO format (YYYY-MM-DD or YYYY-MM)
-  const match = String(dateOfBirth).match(/^(\d{4})/);
-  if (match) {
-    return parseInt(match[1]);
-  }
-  
-  return null;
+  return getDateYear(dateOfBirth);
 }
 
 /**
@@ -338,6 +335,101 @@ export function generateCadencySVG(count, width = 200, height = 240, options = {
 </svg>`;
 }
 
+/**
+ * Work out how a person's arms are differenced under a cadency scheme
+ *
+ * Legitimate sons get their scheme's mark for their birth position.
+ * Bastards get the dataset's mark of illegitimacy instead.
+ *
+ * @param {Object} person - The person
+ * @param {Object|null} birthOrderResult - Result from calculateBirthOrder()
+ * @param {Object|null} settings - The dataset's cadency settings
+ * @returns {Object|null} Cadency difference, or null if none applies
+ *
+ * RETURNS:
+ * {
+ *   type: 'triangles' | 'label' | 'brisure' | 'bordure' | 'illegitimacy',
+ *   mark: string,              // CADENCY_MARKS id
+ *   count: number | undefined, // Triangles only
+ *   tincture: string,          // Tincture id of the mark
+ *   secondTincture: string | undefined, // Bordure compony only
+ *   scheme: string,
+ *   birthPosition: number | null
+ * }
+ */
+export function getCadencyDifference(person, birthOrderResult, settings = null) {
+  if (!person) return null;
+  const config = normalizeCadencySettings(settings);
+  const scheme = getCadencyScheme(config.scheme);
+
+  if (person.legitimacyStatus === 'bastard') {
+    const mark = config.bastardMark || scheme.bastardMark;
+    if (!CADENCY_MARKS[mark]) return null;
+    return {
+      type: 'illegitimacy',
+      mark,
+      tincture: mark === 'bordureCompony' ? 'argent' : config.markTincture,
+      secondTincture: mark === 'bordureCompony' ? config.bordureTinctures[0] : undefined,
+      scheme: scheme.id,
+      birthPosition: null
+    };
+  }
+
+  if (!birthOrderResult?.isEligible || !birthOrderResult.position) return null;
+
+  const assigned = scheme.markFor(
+    birthOrderResult.position,
+    config.bordureTinctures.length,
+    config.customMarks
+  );
+  if (!assigned) return null;
+
+  const markDef = CADENCY_MARKS[assigned.mark];
+  return {
+    type: markDef.kind,
+    mark: assigned.mark,
+    count: assigned.count,
+    tincture: markDef.kind === 'bordure'
+      ? config.bordureTinctures[assigned.tinctureIndex || 0]
+      : config.markTincture,
+    scheme: scheme.id,
+    birthPosition: birthOrderResult.position
+  };
+}
+
+/**
+ * Describe a cadency difference in blazon terms
+ *
+ * @param {Object} cadency - Result from getCadencyDifference()
+ * @returns {string} e.g. "a crescent Sable", "a bordure invected Gules"
+ *
+ * Examples:
+ * - triangles ×2 → "two triangles Sable in chief"
+ * - bordureCompony → "a bordure compony Argent and Gules"
+ */
+export function describeCadencyMark(cadency) {
+  if (!cadency?.mark) return '';
+  const markDef = CADENCY_MARKS[cadency.mark];
+  if (!markDef) return '';
+
+  const tinctureName = getTincture(cadency.tincture)?.name || cadency.tincture || '';
+
+  if (markDef.kind === 'triangles') {
+    const count = cadency.count || 1;
+    const words = ['a', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+    return count === 1
+      ? `a triangle ${tinctureName} in chief`
+      : `${words[count - 1] || count} triangles ${tinctureName} in chief`;
+  }
+
+  if (cadency.secondTincture) {
+    const secondName = getTincture(cadency.secondTincture)?.name || cadency.secondTincture;
+    return `${markDef.blazon} ${tinctureName} and ${secondName}`;
+  }
+
+  return `${markDef.blazon} ${tinctureName}`;
+}
+
 /**
  * Get a summary of cadency information for display
  * 
@@ -376,5 +468,7 @@ export default {
   isEligibleForCadency,
   generateCadencyTriangles,
   generateCadencySVG,
+  getCadencyDifference,
+  describeCadencyMark,
   getCadencySummary
 };
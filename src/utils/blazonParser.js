@@ -0,0 +1,810 @@
+/**
+ * blazonParser.js - Written Blazon → Heraldry Composition
+ *
+ * PURPOSE:
+ * The reverse of HeraldryCreator's generateFullBlazon: read a blazon such as
+ * "Azure, a bend wavy Or between two lions rampant Argent" and build the
+ * layered composition ({ field, ordinaries, charges }) the Creator loads.
+ *
+ * VOCABULARY:
+ * - Tinctures: tinctures.js (names and aliases), plus any extra ids the
+ *   renderer supports (the Creator's copper, celeste...)
+ * - Field divisions and line styles: divisions.js
+ * - Ordinaries: divisions.js ordinaries plus the pile and the diminutives
+ *   (bars, pallets, bendlets, chevronels)
+ * - Charges: blazonTerm of every charge in unifiedChargesLibrary.js, plus
+ *   the dataset's uploaded charges when passed in (these win a clash)
+ *
+ * Charges blazoned "on" an ordinary ("on a chief Or three mullets Gules")
+ * carry onOrdinary, the index of that ordinary, and are laid along it.
+ *
+ * Anything it cannot place is reported rather than guessed:
+ * - unrecognized: words it did not understand
+ * - warnings: words it understood but the Creator cannot draw (a bordure,
+ *   furs, "armed and langued", an attitude no charge has, more than three
+ *   layers...)
+ *
+ * USAGE:
+ * import { parseBlazon } from '../utils/blazonParser';
+ * const { composition, unrecognized, warnings } = parseBlazon(text, { tinctures: Object.keys(TINCTURES) });
+ */
+
+import { ALL_TINCTURES } from '../data/tinctures';
+import { ALL_DIVISIONS, ORDINARY_DIVISIONS, LINE_STYLES } from '../data/divisions';
+import { CHARGES } from '../data/unifiedChargesLibrary';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VOCABULARY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const MAX_LAYERS = 3;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+const ORDINAL_WORDS = { first: 0, second: 1, third: 2, fourth: 3 };
+
+// Words that join phrases without meaning anything the Creator can draw
+// ("on" is not one: "on a chief Or three mullets" puts the mullets on the chief)
+const CONNECTORS = new Set([
+  'and', 'between', 'with', 'within', 'all', 'over', 'overall', 'each', 'both', 'the', 'of'
+]);
+
+// Attitudes of beasts and birds. A charge is only matched when the library
+// term has every attitude the blazon gives, so "lion passant guardant" is
+// reported instead of drawn as some other lion.
+const ATTITUDES = new Set([
+  'rampant', 'passant', 'statant', 'sejant', 'couchant', 'dormant', 'salient',
+  'segreant', 'courant', 'trippant', 'springing', 'lodged', 'guardant',
+  'reguardant', 'regardant', 'affronty', 'displayed', 'rising', 'volant',
+  'close', 'naiant', 'haurient', 'embowed', 'nowed', 'glissant', 'erect',
+  'combatant', 'addorsed', 'respectant'
+]);
+
+// Spellings of the same attitude
+const ATTITUDE_ALIASES = { regardant: 'reguardant' };
+
+// Where charges lying on an ordinary are drawn: Creator arrangement by count
+// (ordinaries not listed have no matching layout)
+const ON_ORDINARY_ARRANGEMENTS = {
+  chief: { 1: 'inChief', 2: 'inChief', 3: 'inChief' },
+  fess: { 1: 'fessPoint', 2: 'fess', 3: 'fess' },
+  pale: { 1: 'fessPoint', 2: 'pale', 3: 'pale' },
+  bend: { 1: 'fessPoint', 3: 'bend' },
+  cross: { 1: 'fessPoint' },
+  saltire: { 1: 'fessPoint' }
+};
+
+// Details of a charge the Creator does not draw ("armed and langued Gules")
+const CHARGE_DETAILS = new Set([
+  'armed', 'langued', 'crowned', 'attired', 'unguled', 'gorged', 'beaked',
+  'membered', 'collared', 'chained', 'hilted', 'pommelled', 'fructed', 'barbed', 'seeded'
+]);
+
+// Divisions whose divisions.js id differs from the Creator's
+const CREATOR_DIVISION_IDS = {
+  tiercedInPale: 'tiercedPale',
+  tiercedInFess: 'tiercedFess'
+};
+
+// Creator divisions without a divisions.js entry
+const EXTRA_DIVISIONS = {
+  'bendy sinister': { id: 'bendySinister', tincturesNeeded: 2 },
+  fusily: { id: 'fusily', tincturesNeeded: 2 },
+  'per cross': { id: 'quarterly', tincturesNeeded: 2 }
+};
+
+// Ordinaries the Creator draws, with the diminutive / plural forms that
+// imply a count ("two bars" is two fesses)
+const ORDINARY_FORMS = {
+  chief: { type: 'chief' },
+  base: { type: 'base' },
+  fess: { type: 'fess' },
+  fesses: { type: 'fess', plural: true },
+  bar: { type: 'fess' },
+  bars: { type: 'fess', plural: true },
+  pale: { type: 'pale' },
+  pales: { type: 'pale', plural: true },
+  pallet: { type: 'pale' },
+  pallets: { type: 'pale', plural: true },
+  bend: { type: 'bend' },
+  bends: { type: 'bend', plural: true },
+  bendlet: { type: 'bend' },
+  bendlets: { type: 'bend', plural: true },
+  'bend sinister': { type: 'bendSinister' },
+  'bends sinister': { type: 'bendSinister', plural: true },
+  'bendlet sinister': { type: 'bendSinister' },
+  'bendlets sinister': { type: 'bendSinister', plural: true },
+  chevron: { type: 'chevron' },
+  chevrons: { type: 'chevron', plural: true },
+  chevronel: { type: 'chevron' },
+  chevronels: { type: 'chevron', plural: true },
+  pile: { type: 'pile' },
+  piles: { type: 'pile', plural: true },
+  cross: { type: 'cross' },
+  saltire: { type: 'saltire' }
+};
+
+// Ordinaries known to divisions.js the Creator has no layer for
+const UNSUPPORTED_ORDINARIES = Object.values(ORDINARY_DIVISIONS)
+  .map(ordinary => ordinary.name.toLowerCase())
+  .filter(name => !ORDINARY_FORMS[name]);
+
+// Ordinaries whose count the Creator can vary
+const COUNTABLE_ORDINARIES = new Set(['fess', 'pale', 'bend', 'bendSinister', 'chevron', 'pile']);
+
+// Solid stand-ins for tinctures the renderer can't draw (furs, fantasy)
+const TINCTURE_FALLBACKS = {
+  ermine: 'argent',
+  ermines: 'sable',
+  erminois: 'or',
+  pean: 'sable',
+  vair: 'argent',
+  countervair: 'argent',
+  potent: 'argent',
+  starfield: 'azure',
+  flames: 'gules',
+  void: 'sable',
+  prismatic: 'or'
+};
+
+// "in pale", "two and one"... → Creator CHARGE_ARRANGEMENTS keys
+const ARRANGEMENT_PHRASES = {
+  'in pale': 'pale',
+  'in fess': 'fess',
+  'in bend': 'bend',
+  'two and one': 'twoAndOne',
+  'one and two': 'oneAndTwo'
+};
+
+const POSITION_WORDS = new Set(['chief', 'base', 'dexter', 'sinister', 'point', 'canton']);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LOOKUP TABLES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function normalizeWord(word) {
+  return word
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2018\u2019]/g, "'")
+    .toLowerCase();
+}
+
+let tables = null;
+
+/**
+ * Build the phrase tables once, on first use
+ */
+function getTables() {
+  if (tables) return tables;
+
+  const tinctures = new Map();
+  for (const [id, tincture] of Object.entries(ALL_TINCTURES)) {
+    tinctures.set(normalizeWord(tincture.name), id);
+    tinctures.set(normalizeWord(id), id);
+    for (const alias of tincture.aliases || []) tinctures.set(alias, id);
+  }
+
+  const lineStyles = new Map();
+  for (const [id, style] of Object.entries(LINE_STYLES)) {
+    if (style.blazon) lineStyles.set(style.blazon, id);
+    for (const alias of style.aliases || []) lineStyles.set(alias, id);
+  }
+
+  const divisions = new Map();
+  for (const [id, division] of Object.entries(ALL_DIVISIONS)) {
+    if (division.category === 'ordinary' || id === 'plain') continue;
+    divisions.set(normalizeWord(division.name), {
+      id: CREATOR_DIVISION_IDS[id] || id,
+      tincturesNeeded: division.tincturesNeeded || 2,
+      supported: id !== 'tiercedInPairle'
+    });
+  }
+  for (const [phrase, division] of Object.entries(EXTRA_DIVISIONS)) {
+    divisions.set(phrase, { ...division, supported: true });
+  }
+
+  const charges = addChargeTerms(new Map(), CHARGES);
+
+  tables = { tinctures, lineStyles, divisions, charges };
+  return tables;
+}
+
+/**
+ * Add charge terms without the article; the first charge with a term wins
+ * @param {Map<string, string>} terms - term → chargeId
+ * @param {Object} charges - { chargeId: charge }
+ */
+function addChargeTerms(terms, charges) {
+  for (const [id, charge] of Object.entries(charges)) {
+    const term = normalizeWord(charge.blazonTerm || '').replace(/^(a|an)\s+/, '');
+    if (term && !terms.has(term)) terms.set(term, id);
+  }
+  return terms;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TOKENS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Split a blazon into words and separators (, ; .)
+ * @returns {Array<{text: string, word: string}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /[,;.:()]|[^\s,;.:()]+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({ text: match[0], word: normalizeWord(match[0]) });
+  }
+  return tokens;
+}
+
+function isSeparator(token) {
+  return /^[,;.:()]$/.test(token.word);
+}
+
+function attitudeOf(word) {
+  return ATTITUDE_ALIASES[word] || word;
+}
+
+/**
+ * Longest phrase starting at `start` accepted by `has`
+ * @returns {{ phrase: string, length: number }|null}
+ */
+function matchPhrase(tokens, start, has, maxLength = 4) {
+  for (let length = maxLength; length >= 1; length--) {
+    const words = tokens.slice(start, start + length);
+    if (words.length < length || words.some(isSeparator)) continue;
+    const phrase = words.map(token => token.word).join(' ');
+    if (has(phrase)) return { phrase, length };
+  }
+  return null;
+}
+
+/**
+ * Singular spellings to try for a plural word (lions, leaves, crosses...)
+ */
+function singularForms(word) {
+  const forms = [word];
+  if (word.endsWith('ves')) forms.push(word.slice(0, -3) + 'f');
+  if (word.endsWith('ies')) forms.push(word.slice(0, -3) + 'y');
+  if (word.endsWith('es')) forms.push(word.slice(0, -2));
+  if (word.endsWith('s')) forms.push(word.slice(0, -1));
+  return forms;
+}
+
+/**
+ * Find the charge named at `start`. Tries exact blazon terms first (with
+ * plural first or last words made singular), then a term the words begin
+ * ("a lion" → "a lion rampant").
+ *
+ * @param {Map<string, string>} charges - term → chargeId
+ * @returns {{ chargeId: string, length: number, term: string, partial: boolean }|null}
+ */
+function matchCharge(tokens, start, isReserved, charges) {
+  for (let length = 6; length >= 1; length--) {
+    const words = tokens.slice(start, start + length);
+    if (words.length < length || words.some(isSeparator)) continue;
+    const list = words.map(token => token.word);
+
+    const variants = new Set();
+    for (const first of singularForms(list[0])) {
+      variants.add([first, ...list.slice(1)].join(' '));
+      if (list.length > 1) {
+        for (const last of singularForms(list[list.length - 1])) {
+          variants.add([first, ...list.slice(1, -1), last].join(' '));
+        }
+      }
+    }
+
+    for (const variant of variants) {
+      if (charges.has(variant)) {
+        return { chargeId: charges.get(variant), length, term: variant, partial: false };
+      }
+    }
+  }
+
+  // Partial match: never start on a reserved word (tincture, number...)
+  for (let length = 3; length >= 1; length--) {
+    const words = tokens.slice(start, start + length);
+    if (words.length < length || words.some(token => isSeparator(token) || isReserved(token.word))) continue;
+    const list = words.map(token => token.word);
+
+    for (const first of singularForms(list[0])) {
+      const prefix = [first, ...list.slice(1)].join(' ') + ' ';
+      for (const [term, chargeId] of charges) {
+        if (term.startsWith(prefix)) {
+          return { chargeId, length, term, partial: true };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PARSER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse a blazon into a Creator composition
+ *
+ * @param {string} text - The blazon
+ * @param {Object} [options]
+ * @param {string[]} [options.tinctures] - Tincture ids the renderer can draw.
+ *   Extra ids are recognized by name; recognized tinctures outside the list
+ *   fall back to a solid stand-in with a warning.
+ * @param {Object} [options.charges] - Extra charges as { chargeId: charge },
+ *   e.g. getCustomCharges(); matched before the bundled library
+ * @returns {{
+ *   composition: { field: Object, ordinaries: Array, charges: Array },
+ *   tokens: Array<{ text: string, known: boolean }>,
+ *   unrecognized: string[],
+ *   warnings: string[],
+ *   fieldFound: boolean,
+ *   success: boolean - false without a field, or when a charge had to be left out
+ * }}
+ */
+export function parseBlazon(text, options = {}) {
+  const base = getTables();
+  const supported = options.tinctures ? new Set(options.tinctures) : null;
+
+  const chargeTerms = options.charges
+    ? addChargeTerms(addChargeTerms(new Map(), options.charges), CHARGES)
+    : base.charges;
+
+  const tinctureWords = new Map(base.tinctures);
+  for (const id of options.tinctures || []) {
+    if (!tinctureWords.has(id)) tinctureWords.set(normalizeWord(id), id);
+  }
+
+  const tokens = tokenize(text || '');
+  const known = tokens.map(isSeparator);
+  const warnings = [];
+  const mentioned = []; // tinctures in order, for "of the first"
+
+  const markKnown = (start, length) => {
+    for (let k = start; k < start + length; k++) known[k] = true;
+  };
+
+  const isReserved = (word) =>
+    tinctureWords.has(word) || word in NUMBER_WORDS || CONNECTORS.has(word) ||
+    base.lineStyles.has(word) || word === 'proper';
+
+  /**
+   * Look up a tincture at i: a name, "proper", or "of the field/first..."
+   * @returns {{ id: string, length: number, text: string }|null}
+   */
+  const peekTincture = (i, fieldTincture) => {
+    const word = tokens[i]?.word;
+    if (!word) return null;
+
+    if (tinctureWords.has(word)) {
+      return { id: tinctureWords.get(word), length: 1, text: tokens[i].text };
+    }
+    if (word === 'proper') {
+      return { id: 'proper', length: 1, text: tokens[i].text };
+    }
+    if (word === 'of' && tokens[i + 1]?.word === 'the') {
+      const next = tokens[i + 2]?.word;
+      if (next === 'field' && fieldTincture) {
+        return { id: fieldTincture, length: 3, text: 'of the field' };
+      }
+      if (next in ORDINAL_WORDS && mentioned[ORDINAL_WORDS[next]]) {
+        return { id: mentioned[ORDINAL_WORDS[next]], length: 3, text: `of the ${next}` };
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Take the tincture at i: remembers it for "of the first" and swaps in a
+   * stand-in when the renderer can't draw it
+   */
+  const readTincture = (i, fieldTincture) => {
+    const tincture = peekTincture(i, fieldTincture);
+    if (!tincture) return null;
+
+    if (tincture.id === 'proper') {
+      warnings.push('"proper" (natural colouring) is shown as Or');
+      return { ...tincture, id: 'or' };
+    }
+    if (tincture.length === 1) mentioned.push(tincture.id);
+
+    if (supported && !supported.has(tincture.id)) {
+      const fallback = TINCTURE_FALLBACKS[tincture.id] || 'argent';
+      warnings.push(`"${tincture.text}" can't be drawn yet, shown as ${fallback}`);
+      return { ...tincture, id: fallback };
+    }
+    return tincture;
+  };
+
+  const readCount = (i) => {
+    const word = tokens[i]?.word;
+    if (!word) return null;
+    if (word in NUMBER_WORDS) return NUMBER_WORDS[word];
+    if (/^\d+$/.test(word)) return parseInt(word, 10);
+    return null;
+  };
+
+  // ─────────────────────────────────────────────────────────────────────
+  // FIELD
+  // ─────────────────────────────────────────────────────────────────────
+  const field = {
+    division: 'plain',
+    tincture1: 'azure',
+    tincture2: 'or',
+    tincture3: 'gules',
+    lineStyle: 'straight',
+    count: 6,
+    inverted: false
+  };
+
+  let i = 0;
+  while (tokens[i] && isSeparator(tokens[i])) i++;
+  if (tokens[i] && ['party', 'parted'].includes(tokens[i].word)) {
+    markKnown(i, 1);
+    i++;
+  }
+
+  let tincturesNeeded = 1;
+  let fieldFound = false;
+  let droppedCharges = false;
+  const division = matchPhrase(tokens, i, phrase => base.divisions.has(phrase));
+
+  if (division) {
+    const def = base.divisions.get(division.phrase);
+    markKnown(i, division.length);
+    i += division.length;
+    tincturesNeeded = def.tincturesNeeded;
+
+    if (def.supported) {
+      field.division = def.id;
+    } else {
+      warnings.push(`"${division.phrase}" isn't available in the Creator, field drawn plain`);
+      tincturesNeeded = 1;
+    }
+
+    // "of six"
+    if (tokens[i]?.word === 'of' && readCount(i + 1)) {
+      field.count = readCount(i + 1);
+      markKnown(i, 2);
+      i += 2;
+    }
+  }
+
+  // Line style and inversion: "per chevron wavy inverted"
+  while (tokens[i]) {
+    const word = tokens[i].word;
+    if (division && base.lineStyles.has(word)) {
+      field.lineStyle = base.lineStyles.get(word);
+    } else if (division && word === 'inverted') {
+      field.inverted = true;
+    } else {
+      break;
+    }
+    markKnown(i, 1);
+    i++;
+  }
+
+  // Field tinctures: "Or", "Or and Gules", "Argent, Azure and Gules"
+  const fieldTinctures = [];
+  while (tokens[i] && fieldTinctures.length < Math.max(tincturesNeeded, 1)) {
+    const tincture = readTincture(i);
+    if (!tincture) break;
+    fieldTinctures.push(tincture.id);
+    markKnown(i, tincture.length);
+    i += tincture.length;
+
+    if (fieldTinctures.length >= tincturesNeeded) break;
+    let j = i;
+    while (tokens[j] && (tokens[j].word === 'and' || tokens[j].word === ',')) j++;
+    if (j > i && !peekTincture(j)) break;
+    markKnown(i, j - i);
+    i = j;
+  }
+
+  if (fieldTinctures.length > 0) {
+    fieldFound = true;
+    [field.tincture1, field.tincture2 = field.tincture2, field.tincture3 = field.tincture3] = fieldTinctures;
+    if (tincturesNeeded === 3 && fieldTinctures.length === 2) {
+      field.tincture3 = fieldTinctures[0];
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // ORDINARIES AND CHARGES
+  // ─────────────────────────────────────────────────────────────────────
+  const layers = []; // { kind: 'ordinary'|'charge', data, supported }
+  let pending = [];  // layers waiting for their tincture
+  let count = null;
+  let onNext = false; // "on" seen: the next layer carries the charges after it
+  let host = null;    // that layer, until its charges are read
+
+  /**
+   * Put a charge group on the layer it was blazoned "on"
+   */
+  const placeOn = (layer, onLayer) => {
+    if (onLayer.kind !== 'ordinary') {
+      warnings.push(`"${layer.label}" on the ${onLayer.label} is drawn on the field`);
+      return;
+    }
+    layer.data.onOrdinary = layers.filter(l => l.kind === 'ordinary').indexOf(onLayer);
+    const arrangement = ON_ORDINARY_ARRANGEMENTS[onLayer.data.type]?.[layer.data.count];
+    if (arrangement) {
+      layer.data.arrangement = arrangement;
+      layer.data.size = 'small';
+    } else {
+      warnings.push(`"${layer.label}" on the ${onLayer.label} can't be laid along it and is drawn in the usual place`);
+    }
+  };
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    const word = token.word;
+
+    if (isSeparator(token)) {
+      i++;
+      continue;
+    }
+
+    if (word === 'on') {
+      onNext = true;
+      markKnown(i, 1);
+      i++;
+      continue;
+    }
+
+    // Arrangement: "in pale", "two and one"
+    const arrangement = matchPhrase(tokens, i, phrase => phrase in ARRANGEMENT_PHRASES, 3);
+    if (arrangement) {
+      const lastCharge = [...layers].reverse().find(layer => layer.kind === 'charge');
+      if (lastCharge) lastCharge.data.arrangement = ARRANGEMENT_PHRASES[arrangement.phrase];
+      markKnown(i, arrangement.length);
+      i += arrangement.length;
+      continue;
+    }
+
+    // Position: "in chief", "in dexter base" — not drawn
+    if (word === 'in' && POSITION_WORDS.has(tokens[i + 1]?.word)) {
+      let j = i + 1;
+      while (tokens[j] && POSITION_WORDS.has(tokens[j].word)) j++;
+      warnings.push(`Placement "${tokens.slice(i, j).map(t => t.text).join(' ')}" is not drawn`);
+      markKnown(i, j - i);
+      i = j;
+      continue;
+    }
+
+    // Tincture for the layers named since the last one
+    const tincture = readTincture(i, field.tincture1);
+    if (tincture) {
+      if (pending.length > 0) {
+        pending.forEach(layer => { layer.data.tincture = tincture.id; });
+        pending = [];
+        markKnown(i, tincture.length);
+      }
+      i += tincture.length;
+      continue;
+    }
+
+    const number = readCount(i);
+    if (number !== null) {
+      count = number;
+      markKnown(i, 1);
+      i++;
+      continue;
+    }
+
+    // "armed and langued Gules" and similar details
+    if (CHARGE_DETAILS.has(word)) {
+      let j = i;
+      while (tokens[j] && (CHARGE_DETAILS.has(tokens[j].word) || tokens[j].word === 'and')) j++;
+      const detailTincture = readTincture(j, field.tincture1);
+      if (detailTincture) j += detailTincture.length;
+      warnings.push(`"${tokens.slice(i, j).map(t => t.text).join(' ')}" is not drawn`);
+      markKnown(i, j - i);
+      i = j;
+      continue;
+    }
+
+    if (word === 'counterchanged') {
+      warnings.push('"counterchanged" is not drawn; the layer keeps a single tincture');
+      markKnown(i, 1);
+      i++;
+      continue;
+    }
+
+    // Ordinary
+    const ordinary = matchPhrase(tokens, i, phrase => phrase in ORDINARY_FORMS, 3);
+    if (ordinary) {
+      const form = ORDINARY_FORMS[ordinary.phrase];
+      markKnown(i, ordinary.length);
+      i += ordinary.length;
+
+      const data = {
+        type: form.type,
+        tincture: null,
+        lineStyle: 'straight',
+        thickness: 'normal',
+        count: 1,
+        inverted: false,
+        visible: true
+      };
+
+      const wanted = count || 1;
+      if (COUNTABLE_ORDINARIES.has(form.type)) {
+        data.count = Math.min(wanted, MAX_LAYERS);
+        if (wanted > MAX_LAYERS) {
+          warnings.push(`${wanted} ${ordinary.phrase} drawn as ${MAX_LAYERS}`);
+        }
+      } else if (wanted > 1) {
+        warnings.push(`${wanted} ${ordinary.phrase} drawn as one`);
+      }
+
+      while (tokens[i]) {
+        const next = tokens[i].word;
+        if (base.lineStyles.has(next)) {
+          data.lineStyle = base.lineStyles.get(next);
+        } else if (next === 'inverted' || next === 'reversed') {
+          data.inverted = true;
+        } else {
+          break;
+        }
+        markKnown(i, 1);
+        i++;
+      }
+
+      const layer = { kind: 'ordinary', data, label: ordinary.phrase };
+      layers.push(layer);
+      pending.push(layer);
+      count = null;
+      if (onNext) {
+        host = layer;
+        onNext = false;
+      }
+      continue;
+    }
+
+    // Ordinary the Creator can't draw (bordure...)
+    const unsupported = matchPhrase(tokens, i, phrase => UNSUPPORTED_ORDINARIES.includes(phrase.replace(/s$/, '')), 2);
+    if (unsupported) {
+      warnings.push(`"${unsupported.phrase}" isn't available in the Creator and was left out`);
+      markKnown(i, unsupported.length);
+      i += unsupported.length;
+      while (tokens[i] && base.lineStyles.has(tokens[i].word)) {
+        markKnown(i, 1);
+        i++;
+      }
+      // Swallow its tincture so it isn't given to the next layer
+      pending = [];
+      pending.push({ kind: 'dropped', data: {} });
+      count = null;
+      if (onNext) {
+        host = { kind: 'dropped', label: unsupported.phrase };
+        onNext = false;
+      }
+      continue;
+    }
+
+    // Charge
+    const charge = matchCharge(tokens, i, isReserved, chargeTerms);
+    if (charge) {
+      // Attitudes given after the term count too: "lion rampant guardant"
+      let end = i + charge.length;
+      while (tokens[end] && ATTITUDES.has(tokens[end].word)) end++;
+
+      const termAttitudes = new Set(charge.term.split(' ').map(attitudeOf));
+      const unmatched = tokens.slice(i, end)
+        .map(token => token.word)
+        .filter(w => ATTITUDES.has(w) && !termAttitudes.has(attitudeOf(w)));
+
+      if (unmatched.length > 0) {
+        const typed = tokens.slice(i, end).map(t => t.text).join(' ');
+        warnings.push(`"${typed}" was not recognised (no charge in the library is ${unmatched.join(' ')}) and was left out`);
+        // The attitudes no charge has stay unknown so they are listed too
+        for (let j = i; j < end; j++) {
+          if (!unmatched.includes(tokens[j].word)) markKnown(j, 1);
+        }
+        droppedCharges = true;
+        i = end;
+        // Swallow its tincture so it isn't given to another layer
+        pending.push({ kind: 'dropped', data: {} });
+        count = null;
+        host = null;
+        onNext = false;
+        continue;
+      }
+
+      markKnown(i, charge.length);
+      if (charge.partial) {
+        const typed = tokens.slice(i, i + charge.length).map(t => t.text).join(' ');
+        warnings.push(`"${typed}" read as "${charge.term}"`);
+      }
+      i += charge.length;
+
+      const wanted = count || 1;
+      const chargeCount = Math.min(wanted, MAX_LAYERS);
+      if (wanted > MAX_LAYERS) {
+        warnings.push(`${wanted} × ${charge.term} drawn as ${MAX_LAYERS}`);
+      }
+
+      const layer = {
+        kind: 'charge',
+        label: charge.term,
+        data: {
+          chargeId: charge.chargeId,
+          tincture: null,
+          size: 'medium',
+          count: chargeCount,
+          arrangement: chargeCount === 1 ? 'fessPoint' : chargeCount === 2 ? 'pale' : 'twoAndOne',
+          visible: true
+        }
+      };
+      layers.push(layer);
+      pending.push(layer);
+      count = null;
+      if (host) {
+        placeOn(layer, host);
+        host = null;
+      } else if (onNext) {
+        host = layer;
+        onNext = false;
+      }
+      continue;
+    }
+
+    if (CONNECTORS.has(word)) {
+      markKnown(i, 1);
+    }
+    i++;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // RESULT
+  // ─────────────────────────────────────────────────────────────────────
+  for (const layer of pending) {
+    if (layer.kind === 'dropped') continue;
+    layer.data.tincture = 'or';
+    warnings.push(`No tincture given for "${layer.label}", shown as Or`);
+  }
+
+  const ordinaries = layers.filter(layer => layer.kind === 'ordinary').map(layer => layer.data);
+  const charges = layers.filter(layer => layer.kind === 'charge').map(layer => layer.data);
+
+  if (ordinaries.length > MAX_LAYERS) {
+    warnings.push(`Only the first ${MAX_LAYERS} of ${ordinaries.length} ordinaries were kept`);
+  }
+  if (charges.length > MAX_LAYERS) {
+    warnings.push(`Only the first ${MAX_LAYERS} of ${charges.length} charge groups were kept`);
+  }
+  for (const charge of charges) {
+    if (charge.onOrdinary >= MAX_LAYERS) delete charge.onOrdinary;
+  }
+
+  const unrecognized = tokens
+    .filter((token, index) => !known[index])
+    .map(token => token.text);
+
+  return {
+    composition: {
+      field,
+      ordinaries: ordinaries.slice(0, MAX_LAYERS),
+      charges: charges.slice(0, MAX_LAYERS)
+    },
+    tokens: tokens.map((token, index) => ({ text: token.text, known: known[index] })),
+    unrecognized,
+    warnings,
+    fieldFound,
+    success: fieldFound && !droppedCharges
+  };
+}
+
+export default {
+  parseBlazon
+};
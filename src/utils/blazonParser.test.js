@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { parseBlazon } from './blazonParser';
+
+describe('parseBlazon', () => {
+  it('reads a plain field, an ordinary with a line style and charges between', () => {
+    const { composition, unrecognized, warnings, success } = parseBlazon(
+      'Azure, a bend wavy Or between two lions rampant Argent'
+    );
+
+    expect(success).toBe(true);
+    expect(unrecognized).toEqual([]);
+    expect(warnings).toEqual([]);
+    expect(composition.field).toMatchObject({ division: 'plain', tincture1: 'azure' });
+    expect(composition.ordinaries).toEqual([
+      expect.objectContaining({ type: 'bend', tincture: 'or', lineStyle: 'wavy' })
+    ]);
+    expect(composition.charges).toEqual([
+      expect.objectContaining({ chargeId: 'lion4', tincture: 'argent', count: 2 })
+    ]);
+    expect(composition.charges[0]).not.toHaveProperty('onOrdinary');
+  });
+
+  it('reads a divided field', () => {
+    const { composition } = parseBlazon('Per pale Gules and Azure');
+    expect(composition.field).toMatchObject({ division: 'perPale', tincture1: 'gules', tincture2: 'azure' });
+  });
+
+  describe('charges "on" an ordinary', () => {
+    it('lays them along a chief', () => {
+      const { composition, warnings } = parseBlazon('Argent, on a chief Gules three mullets Or');
+
+      expect(warnings).toEqual([]);
+      expect(composition.ordinaries).toEqual([expect.objectContaining({ type: 'chief', tincture: 'gules' })]);
+      expect(composition.charges).toEqual([expect.objectContaining({
+        chargeId: 'mullet5',
+        tincture: 'or',
+        count: 3,
+        arrangement: 'inChief',
+        size: 'small',
+        onOrdinary: 0
+      })]);
+    });
+
+    it('points at the right ordinary when there are several', () => {
+      const { composition } = parseBlazon('Azure, a fess Or, on a chief Argent a mullet Gules');
+      expect(composition.ordinaries.map(o => o.type)).toEqual(['fess', 'chief']);
+      expect(composition.charges[0]).toMatchObject({ onOrdinary: 1, arrangement: 'inChief' });
+    });
+
+    it('attaches only the charges that follow "on", not those "between"', () => {
+      const { composition } = parseBlazon('Argent, on a bend Sable three mullets Or between two lions rampant Gules');
+      expect(composition.charges).toEqual([
+        expect.objectContaining({ chargeId: 'mullet5', arrangement: 'bend', onOrdinary: 0 }),
+        expect.objectContaining({ chargeId: 'lion4', count: 2 })
+      ]);
+      expect(composition.charges[1]).not.toHaveProperty('onOrdinary');
+    });
+  });
+
+  describe('attitudes', () => {
+    it('leaves out a charge whose attitude no library charge has, instead of substituting', () => {
+      const { composition, warnings } = parseBlazon('Gules, a lion passant guardant Or');
+      expect(composition.charges).toEqual([]);
+      expect(warnings).toEqual([
+        '"lion passant guardant" was not recognised (no charge in the library is guardant) and was left out'
+      ]);
+    });
+
+    it('reports the unknown attitude and fails the parse when a charge is left out', () => {
+      const { composition, unrecognized, tokens, fieldFound, success } = parseBlazon('Gules, three lions passant guardant Or');
+      expect(composition.charges).toEqual([]);
+      expect(unrecognized).toEqual(['guardant']);
+      expect(tokens.filter(t => t.known).map(t => t.text)).toEqual(['Gules', ',', 'three', 'lions', 'passant', 'Or']);
+      expect(fieldFound).toBe(true);
+      expect(success).toBe(false);
+    });
+
+    it('says when it reads a charge as the nearest library term', () => {
+      const { composition, warnings } = parseBlazon('Gules, two lions passant Or');
+      expect(composition.charges).toEqual([expect.objectContaining({ chargeId: 'lionPassant', count: 2 })]);
+      expect(warnings).toEqual(['"lions passant" read as "lion passant reguardant"']);
+    });
+  });
+
+  describe('reporting', () => {
+    it('lists words it does not understand', () => {
+      const { composition, unrecognized } = parseBlazon('Azure, a fess Or xyzzy');
+      expect(composition.ordinaries).toHaveLength(1);
+      expect(unrecognized).toEqual(['xyzzy']);
+    });
+
+    it('warns about what the Creator cannot draw', () => {
+      expect(parseBlazon('Or, a bordure Sable').warnings).toEqual([
+        '"bordure" isn\'t available in the Creator and was left out'
+      ]);
+    });
+
+    it('falls back for tinctures the renderer lacks', () => {
+      const { composition, warnings } = parseBlazon('Purpure, a chevron Ermine', {
+        tinctures: ['purpure', 'argent', 'or']
+      });
+      expect(composition.ordinaries[0].tincture).toBe('argent');
+      expect(warnings).toEqual(['"Ermine" can\'t be drawn yet, shown as argent']);
+    });
+
+    it('fills in a missing tincture with a warning', () => {
+      const { composition, warnings } = parseBlazon('Azure, a mullet');
+      expect(composition.charges[0]).toMatchObject({ chargeId: 'mullet5', tincture: 'or', arrangement: 'fessPoint' });
+      expect(warnings).toEqual(['No tincture given for "mullet", shown as Or']);
+    });
+
+    it('fails without a field', () => {
+      expect(parseBlazon('xyzzy')).toMatchObject({ fieldFound: false, success: false });
+    });
+  });
+
+  it('matches uploaded charges before the bundled library', () => {
+    const { composition } = parseBlazon('Azure, a mullet Or', {
+      charges: { 'custom-7': { name: 'House Star', blazonTerm: 'mullet', category: 'celestial' } }
+    });
+    expect(composition.charges[0].chargeId).toBe('custom-7');
+  });
+});
@@ -0,0 +1,550 @@
+/**
+ * calendarUtils.js - Per-Dataset Fantasy Calendars
+ *
+ * PURPOSE:
+ * Dates were assumed to be Gregorian strings ("1245-03-12"). A dataset can
+ * now define its own calendar - named eras, any number of months with their
+ * own lengths, and "340 AE" / "12 BE" style notation. Every date parse,
+ * age calculation, sort and validation in the app goes through here.
+ *
+ * STORAGE FORMAT:
+ * Dates are still stored as "YYYY", "YYYY-MM" or "YYYY-MM-DD" strings, where
+ * YYYY is an ABSOLUTE year on the dataset's own count (negative allowed,
+ * e.g. "-0012-04"). Eras only affect how a year is entered and displayed,
+ * so existing data, sorting and cloud sync keep working unchanged.
+ *
+ * ERAS:
+ * - forward era:  era year N = absolute year (startYear + N - 1)
+ * - backward era: era year N = absolute year (startYear - N)
+ *   e.g. AE { startYear: 1, forward } and BE { startYear: 1, backward }
+ *   give ... 2 BE, 1 BE, 1 AE, 2 AE ...
+ *
+ * ACTIVE CALENDAR:
+ * DatasetContext calls setActiveCalendar() whenever the active dataset
+ * changes, so synchronous helpers (parseBirthYear, calculateAge, the
+ * validators) can use it without threading it through every call.
+ * A null calendar means plain Gregorian, exactly as before.
+ *
+ * USAGE:
+ *   parseCalendarDate('12 Frostmoot 340 AE', calendar) → { year: 340, month: 12, day: 12 }
+ *   formatCalendarDate('0340-12-12', calendar)         → '12 Frostmoot 340 AE'
+ *   normalizeDateInput('340 AE', calendar)             → '0340'
+ *   normalizeDateInput('340', calendar)                → '0340' (the default era)
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const GREGORIAN_MONTHS = [
+  { name: 'January', days: 31 },
+  { name: 'February', days: 29 },
+  { name: 'March', days: 31 },
+  { name: 'April', days: 30 },
+  { name: 'May', days: 31 },
+  { name: 'June', days: 30 },
+  { name: 'July', days: 31 },
+  { name: 'August', days: 31 },
+  { name: 'September', days: 30 },
+  { name: 'October', days: 31 },
+  { name: 'November', days: 30 },
+  { name: 'December', days: 31 }
+];
+
+/**
+ * Starting point offered when a dataset switches to a custom calendar:
+ * thirteen 28-day months and an After/Before Era split.
+ */
+export const DEFAULT_FANTASY_CALENDAR = {
+  name: 'Reckoning of the Realm',
+  months: [
+    { name: 'Deepwinter', days: 28 },
+    { name: 'Thawmoot', days: 28 },
+    { name: 'Seedtide', days: 28 },
+    { name: 'Rainmoon', days: 28 },
+    { name: 'Bloomtide', days: 28 },
+    { name: 'Highsun', days: 28 },
+    { name: 'Midsummer', days: 28 },
+    { name: 'Goldfield', days: 28 },
+    { name: 'Harvest', days: 28 },
+    { name: 'Leaffall', days: 28 },
+    { name: 'Mistmoon', days: 28 },
+    { name: 'Frostmoot', days: 28 },
+    { name: 'Longnight', days: 28 }
+  ],
+  eras: [
+    { name: 'After the Era', abbreviation: 'AE', startYear: 1, direction: 'forward' },
+    { name: 'Before the Era', abbreviation: 'BE', startYear: 1, direction: 'backward' }
+  ],
+  defaultEra: 'AE',
+  // No present day until the user sets one - ages stay blank rather than
+  // being measured from year 1
+  currentYear: null,
+  currentMonth: 1,
+  currentDay: 1
+};
+
+// Canonical stored form: optional sign, year, optional month and day
+const CANONICAL_PATTERN = /^(-?\d+)(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ACTIVE CALENDAR
+// ═══════════════════════════════════════════════════════════════════════════════
+
+let activeCalendar = null;
+
+/**
+ * Set the calendar used when callers don't pass one explicitly
+ * @param {Object|null} calendar - Calendar definition, or null for Gregorian
+ */
+export function setActiveCalendar(calendar) {
+  activeCalendar = isCustomCalendar(calendar) ? calendar : null;
+}
+
+/**
+ * @returns {Object|null} The active dataset's calendar (null = Gregorian)
+ */
+export function getActiveCalendar() {
+  return activeCalendar;
+}
+
+/**
+ * True when a calendar definition is usable (has months and at least one era)
+ */
+export function isCustomCalendar(calendar) {
+  return Boolean(calendar && calendar.months?.length > 0 && calendar.eras?.length > 0);
+}
+
+function resolve(calendar) {
+  return calendar === undefined ? activeCalendar : (isCustomCalendar(calendar) ? calendar : null);
+}
+
+function monthsOf(calendar) {
+  return calendar ? calendar.months : GREGORIAN_MONTHS;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ERAS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function findEra(calendar, token) {
+  const wanted = token.toLowerCase();
+  return calendar.eras.find(era =>
+    era.abbreviation?.toLowerCase() === wanted || era.name?.toLowerCase() === wanted
+  );
+}
+
+function defaultEra(calendar) {
+  return (calendar.defaultEra && findEra(calendar, calendar.defaultEra)) ||
+    calendar.eras.find(era => era.direction !== 'backward') ||
+    calendar.eras[0];
+}
+
+/**
+ * Convert an era year to an absolute year
+ */
+export function eraYearToAbsolute(eraYear, era) {
+  const start = Number(era.startYear) || 0;
+  return era.direction === 'backward' ? start - eraYear : start + eraYear - 1;
+}
+
+/**
+ * Convert an absolute year to { era, year } for display
+ * Picks the forward era with the latest start at or before the year,
+ * otherwise the backward era that counts down to it.
+ *
+ * @returns {{era: Object, year: number}|null}
+ */
+export function absoluteToEraYear(absoluteYear, calendar = undefined) {
+  const cal = resolve(calendar);
+  if (!cal) return null;
+
+  const forward = cal.eras
+    .filter(era => era.direction !== 'backward' && absoluteYear >= (Number(era.startYear) || 0))
+    .sort((a, b) => (Number(b.startYear) || 0) - (Number(a.startYear) || 0));
+  if (forward.length > 0) {
+    return { era: forward[0], year: absoluteYear - (Number(forward[0].startYear) || 0) + 1 };
+  }
+
+  const backward = cal.eras
+    .filter(era => era.direction === 'backward' && absoluteYear < (Number(era.startYear) || 0))
+    .sort((a, b) => (Number(a.startYear) || 0) - (Number(b.startYear) || 0));
+  if (backward.length > 0) {
+    return { era: backward[0], year: (Number(backward[0].startYear) || 0) - absoluteYear };
+  }
+
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse "[day] [month] year [era]" notation, e.g. "12 Frostmoot 340 AE"
+ */
+function parseNotation(text, calendar) {
+  const tokens = text.replace(/,/g, ' ').split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return null;
+
+  let era = null;
+  const last = tokens[tokens.length - 1];
+  if (!/^\d+$/.test(last)) {
+    era = findEra(calendar, last);
+    if (!era) return null;
+    tokens.pop();
+  }
+
+  const yearToken = tokens.pop();
+  if (!yearToken || !/^\d+$/.test(yearToken)) return null;
+  const year = eraYearToAbsolute(parseInt(yearToken, 10), era || defaultEra(calendar));
+
+  let month = null;
+  let day = null;
+  if (tokens.length > 0) {
+    const monthToken = tokens.pop().toLowerCase();
+    const index = calendar.months.findIndex(m => m.name.toLowerCase() === monthToken);
+    if (index === -1) return null;
+    month = index + 1;
+  }
+  if (tokens.length > 0) {
+    const dayToken = tokens.pop();
+    if (!/^\d+$/.test(dayToken)) return null;
+    day = parseInt(dayToken, 10);
+  }
+  if (tokens.length > 0) return null;
+
+  return { year, month, day };
+}
+
+/**
+ * Parse a stored or typed date
+ *
+ * Accepts the canonical stored form ("340", "0340-03", "-12-04-01") and,
+ * for custom calendars, era notation ("340 AE", "Frostmoot 340 AE",
+ * "12 Frostmoot 340 AE"). Gregorian keeps the old lenient behaviour of
+ * reading the leading four digits of anything else.
+ *
+ * @param {string|number} value
+ * @param {Object|null} [calendar] - Defaults to the active calendar
+ * @returns {{year: number, month: number|null, day: number|null}|null}
+ */
+export function parseCalendarDate(value, calendar = undefined) {
+  if (value === null || value === undefined || value === '') return null;
+  const cal = resolve(calendar);
+  const text = String(value).trim();
+
+  const canonical = text.match(CANONICAL_PATTERN);
+  if (canonical) {
+    return {
+      year: parseInt(canonical[1], 10),
+      month: canonical[2] ? parseInt(canonical[2], 10) : null,
+      day: canonical[3] ? parseInt(canonical[3], 10) : null
+    };
+  }
+
+  if (cal) return parseNotation(text, cal);
+
+  const leading = text.match(/^(\d{4})/);
+  return leading ? { year: parseInt(leading[1], 10), month: null, day: null } : null;
+}
+
+/**
+ * Parse a date as typed into a form
+ *
+ * Like parseCalendarDate, except that on a custom calendar a bare year
+ * ("340") is a year of the default era, as in "Frostmoot 340", rather than
+ * a stored absolute year. Forms show stored dates in era notation, so a
+ * bare year only ever comes from the user.
+ *
+ * @param {string|number} value
+ * @param {Object|null} [calendar] - Defaults to the active calendar
+ * @returns {{year: number, month: number|null, day: number|null}|null}
+ */
+export function parseDateInput(value, calendar = undefined) {
+  const cal = resolve(calendar);
+  if (cal && /^\d+$/.test(String(value ?? '').trim())) {
+    return parseNotation(String(value).trim(), cal);
+  }
+  return parseCalendarDate(value, cal);
+}
+
+/**
+ * Year of a date, or null
+ */
+export function getDateYear(value, calendar = undefined) {
+  return parseCalendarDate(value, calendar)?.year ?? null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALIDATION & NORMALISATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate a typed date against the calendar
+ * @returns {string|null} Error message, or null if valid (or empty)
+ */
+export function validateCalendarDate(value, calendar = undefined) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const cal = resolve(calendar);
+  const parsed = parseDateInput(value, cal);
+
+  if (!parsed) {
+    return `Date must look like ${getDateFormatHint(cal)}`;
+  }
+
+  // Gregorian input must stay in the old YYYY[-MM[-DD]] shape
+  if (!cal && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(String(value).trim())) {
+    return 'Date must be YYYY, YYYY-MM, or YYYY-MM-DD';
+  }
+
+  const months = monthsOf(cal);
+  if (parsed.month !== null) {
+    if (parsed.month < 1 || parsed.month > months.length) {
+      return `Month must be between 1 and ${months.length}`;
+    }
+    if (parsed.day !== null) {
+      const days = months[parsed.month - 1].days;
+      if (parsed.day < 1 || parsed.day > days) {
+        return `${months[parsed.month - 1].name} has ${days} days`;
+      }
+    }
+  }
+
+  return null;
+}
+
+function toStoredDate({ year, month = null, day = null }) {
+  const sign = year < 0 ? '-' : '';
+  let result = `${sign}${String(Math.abs(year)).padStart(4, '0')}`;
+  if (month !== null) {
+    result += `-${String(month).padStart(2, '0')}`;
+    if (day !== null) {
+      result += `-${String(day).padStart(2, '0')}`;
+    }
+  }
+  return result;
+}
+
+/**
+ * Convert a typed date to the canonical stored string
+ * @returns {string|null} Canonical date, null for empty or unparseable input
+ */
+export function normalizeDateInput(value, calendar = undefined) {
+  const parsed = parseDateInput(value, calendar);
+  if (!parsed) return null;
+  return toStoredDate(parsed);
+}
+
+/**
+ * Placeholder / hint text for date inputs
+ */
+export function getDateFormatHint(calendar = undefined) {
+  const cal = resolve(calendar);
+  if (!cal) return 'YYYY-MM-DD, YYYY-MM, or YYYY';
+  const era = defaultEra(cal);
+  return `340 ${era.abbreviation}, ${cal.months[0].name} 340 ${era.abbreviation} or 12 ${cal.months[0].name} 340 ${era.abbreviation}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DISPLAY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Format a stored date for display
+ * Gregorian dates are returned as stored.
+ *
+ * @returns {string}
+ */
+export function formatCalendarDate(value, calendar = undefined) {
+  if (!value) return '';
+  const cal = resolve(calendar);
+  if (!cal) return String(value);
+
+  const parsed = parseCalendarDate(value, cal);
+  if (!parsed) return String(value);
+
+  const eraYear = absoluteToEraYear(parsed.year, cal);
+  const yearText = eraYear ? `${eraYear.year} ${eraYear.era.abbreviation}` : String(parsed.year);
+  const monthName = parsed.month ? cal.months[parsed.month - 1]?.name : null;
+
+  return [parsed.day, monthName, yearText].filter(part => part !== null && part !== undefined).join(' ');
+}
+
+/**
+ * Format just the year of a stored date ("340 AE" or "1245")
+ */
+export function formatCalendarYear(value, calendar = undefined) {
+  const cal = resolve(calendar);
+  const year = getDateYear(value, cal);
+  if (year === null) return '';
+  if (!cal) return String(year);
+  const eraYear = absoluteToEraYear(year, cal);
+  return eraYear ? `${eraYear.year} ${eraYear.era.abbreviation}` : String(year);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ARITHMETIC
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Sortable number for a date (missing month/day count as the first)
+ * @returns {number|null}
+ */
+export function dateToOrdinal(value, calendar = undefined) {
+  const cal = resolve(calendar);
+  const parsed = parseCalendarDate(value, cal);
+  if (!parsed) return null;
+
+  const months = monthsOf(cal);
+  const daysPerYear = months.reduce((sum, m) => sum + m.days, 0);
+  const month = Math.min(Math.max(parsed.month || 1, 1), months.length);
+  let dayOfYear = (parsed.day || 1) - 1;
+  for (let i = 0; i < month - 1; i++) dayOfYear += months[i].days;
+
+  return parsed.year * daysPerYear + dayOfYear;
+}
+
+/**
+ * Compare two dates for sorting; undated values sort last
+ */
+export function compareCalendarDates(a, b, calendar = undefined) {
+  const ordA = dateToOrdinal(a, calendar);
+  const ordB = dateToOrdinal(b, calendar);
+  if (ordA === null && ordB === null) return 0;
+  if (ordA === null) return 1;
+  if (ordB === null) return -1;
+  return ordA - ordB;
+}
+
+/**
+ * "Today" in the calendar: the real date for Gregorian, the dataset's
+ * configured present day for a custom calendar
+ *
+ * @returns {{year: number, month: number, day: number}|null} null when a
+ *   custom calendar has no present day set
+ */
+export function getCalendarToday(calendar = undefined) {
+  const cal = resolve(calendar);
+  if (!cal) {
+    const now = new Date();
+    return { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() };
+  }
+  if (cal.currentYear === null || cal.currentYear === undefined || cal.currentYear === '') return null;
+  return {
+    year: Number(cal.currentYear) || 0,
+    month: Number(cal.currentMonth) || 1,
+    day: Number(cal.currentDay) || 1
+  };
+}
+
+/**
+ * Today as a stored date string, for comparing with stored dates
+ * @returns {string|null} null when a custom calendar has no present day set
+ */
+export function getCalendarTodayDate(calendar = undefined) {
+  const today = getCalendarToday(calendar);
+  return today ? toStoredDate(today) : null;
+}
+
+/**
+ * Move a stored date by whole years, keeping its month and day
+ * (e.g. the day someone born on it turns a given age)
+ *
+ * @returns {string|null} Canonical date
+ */
+export function addCalendarYears(value, years, calendar = undefined) {
+  const parsed = parseCalendarDate(value, calendar);
+  if (!parsed) return null;
+  return toStoredDate({ ...parsed, year: parsed.year + years });
+}
+
+/**
+ * Whole years between a birth date and another date (defaults to today)
+ * Unknown (null) when measuring to today on a calendar with no present day.
+ *
+ * @param {string} dateOfBirth
+ * @param {string} [asOf] - Stored date to measure to
+ * @param {Object|null} [calendar]
+ * @returns {number|null}
+ */
+export function calculateCalendarAge(dateOfBirth, asOf = null, calendar = undefined) {
+  const cal = resolve(calendar);
+  const birth = parseCalendarDate(dateOfBirth, cal);
+  if (!birth) return null;
+
+  const end = asOf ? parseCalendarDate(asOf, cal) : getCalendarToday(cal);
+  if (!end) return null;
+
+  let age = end.year - birth.year;
+  const endMonth = end.month || 1;
+  const birthMonth = birth.month || 1;
+  if (endMonth < birthMonth || (endMonth === birthMonth && (end.day || 1) < (birth.day || 1))) {
+    age--;
+  }
+  return age;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DEFINITION CHECKS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Check a calendar definition before saving it
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateCalendarDefinition(calendar) {
+  const problems = [];
+  if (!calendar?.months?.length) problems.push('Add at least one month');
+  if (!calendar?.eras?.length) problems.push('Add at least one era');
+
+  (calendar?.months || []).forEach((month, i) => {
+    if (!month.name?.trim()) problems.push(`Month ${i + 1} needs a name`);
+    if (!(Number(month.days) >= 1)) problems.push(`Month ${i + 1} needs at least one day`);
+  });
+
+  const abbreviations = new Set();
+  (calendar?.eras || []).forEach((era, i) => {
+    if (!era.abbreviation?.trim()) {
+      problems.push(`Era ${i + 1} needs an abbreviation`);
+    } else if (/\s|\d/.test(era.abbreviation)) {
+      problems.push(`Era abbreviation "${era.abbreviation}" can't contain spaces or digits`);
+    } else if (abbreviations.has(era.abbreviation.toLowerCase())) {
+      problems.push(`Era abbreviation "${era.abbreviation}" is used twice`);
+    } else {
+      abbreviations.add(era.abbreviation.toLowerCase());
+    }
+    if (!Number.isFinite(Number(era.startYear))) problems.push(`Era ${i + 1} needs a start year`);
+  });
+
+  const monthNames = (calendar?.months || []).map(m => m.name?.trim().toLowerCase());
+  if (monthNames.some(name => name && /\s/.test(name))) {
+    problems.push('Month names must be a single word');
+  }
+
+  return problems;
+}
+
+export default {
+  DEFAULT_FANTASY_CALENDAR,
+  setActiveCalendar,
+  getActiveCalendar,
+  isCustomCalendar,
+  eraYearToAbsolute,
+  absoluteToEraYear,
+  parseCalendarDate,
+  parseDateInput,
+  getDateYear,
+  validateCalendarDate,
+  normalizeDateInput,
+  getDateFormatHint,
+  formatCalendarDate,
+  formatCalendarYear,
+  dateToOrdinal,
+  compareCalendarDates,
+  getCalendarToday,
+  getCalendarTodayDate,
+  addCalendarYears,
+  calculateCalendarAge,
+  validateCalendarDefinition
+};
@@ -0,0 +1,186 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  DEFAULT_FANTASY_CALENDAR,
+  setActiveCalendar,
+  getActiveCalendar,
+  isCustomCalendar,
+  eraYearToAbsolute,
+  absoluteToEraYear,
+  parseCalendarDate,
+  validateCalendarDate,
+  normalizeDateInput,
+  parseDateInput,
+  formatCalendarDate,
+  formatCalendarYear,
+  dateToOrdinal,
+  compareCalendarDates,
+  getCalendarToday,
+  getCalendarTodayDate,
+  addCalendarYears,
+  calculateCalendarAge,
+  validateCalendarDefinition
+} from './calendarUtils';
+
+const AE = DEFAULT_FANTASY_CALENDAR.eras[0];
+const BE = DEFAULT_FANTASY_CALENDAR.eras[1];
+const WITH_PRESENT = { ...DEFAULT_FANTASY_CALENDAR, currentYear: 340, currentMonth: 6, currentDay: 10 };
+
+afterEach(() => {
+  setActiveCalendar(null);
+  vi.useRealTimers();
+});
+
+describe('active calendar', () => {
+  it('holds a usable custom calendar and treats anything else as Gregorian', () => {
+    setActiveCalendar(DEFAULT_FANTASY_CALENDAR);
+    expect(getActiveCalendar()).toBe(DEFAULT_FANTASY_CALENDAR);
+
+    setActiveCalendar({ months: [], eras: [] });
+    expect(getActiveCalendar()).toBeNull();
+    expect(isCustomCalendar(null)).toBe(false);
+  });
+
+  it('is used when no calendar is passed', () => {
+    setActiveCalendar(DEFAULT_FANTASY_CALENDAR);
+    expect(formatCalendarDate('0340-13-12')).toBe('12 Longnight 340 AE');
+    expect(formatCalendarDate('0340-13-12', null)).toBe('0340-13-12');
+  });
+});
+
+describe('eras', () => {
+  it('counts forward eras up and backward eras down', () => {
+    expect(eraYearToAbsolute(340, AE)).toBe(340);
+    expect(eraYearToAbsolute(1, BE)).toBe(0);
+    expect(eraYearToAbsolute(12, BE)).toBe(-11);
+  });
+
+  it('converts absolute years back for display', () => {
+    expect(absoluteToEraYear(340, DEFAULT_FANTASY_CALENDAR)).toEqual({ era: AE, year: 340 });
+    expect(absoluteToEraYear(-11, DEFAULT_FANTASY_CALENDAR)).toEqual({ era: BE, year: 12 });
+    expect(absoluteToEraYear(340, null)).toBeNull();
+  });
+});
+
+describe('parseCalendarDate', () => {
+  it('reads the stored form', () => {
+    expect(parseCalendarDate('1245-03-12', null)).toEqual({ year: 1245, month: 3, day: 12 });
+    expect(parseCalendarDate('-0012-04', DEFAULT_FANTASY_CALENDAR)).toEqual({ year: -12, month: 4, day: null });
+  });
+
+  it('reads era notation on a custom calendar', () => {
+    expect(parseCalendarDate('12 Longnight 340 AE', DEFAULT_FANTASY_CALENDAR)).toEqual({ year: 340, month: 13, day: 12 });
+    expect(parseCalendarDate('Seedtide 12 BE', DEFAULT_FANTASY_CALENDAR)).toEqual({ year: -11, month: 3, day: null });
+    expect(parseCalendarDate('340', DEFAULT_FANTASY_CALENDAR)).toEqual({ year: 340, month: null, day: null });
+    expect(parseCalendarDate('12 Nomonth 340 AE', DEFAULT_FANTASY_CALENDAR)).toBeNull();
+  });
+
+  it('keeps Gregorian lenient about trailing text', () => {
+    expect(parseCalendarDate('1245 or so', null)).toEqual({ year: 1245, month: null, day: null });
+    expect(parseCalendarDate('', null)).toBeNull();
+  });
+});
+
+describe('validation and normalisation', () => {
+  it('checks dates against the calendar\'s months', () => {
+    expect(validateCalendarDate('30 Longnight 340 AE', DEFAULT_FANTASY_CALENDAR)).toBe('Longnight has 28 days');
+    expect(validateCalendarDate('0340-14', DEFAULT_FANTASY_CALENDAR)).toBe('Month must be between 1 and 13');
+    expect(validateCalendarDate('1245-04-31', null)).toBe('April has 30 days');
+    expect(validateCalendarDate('1245 or so', null)).toBe('Date must be YYYY, YYYY-MM, or YYYY-MM-DD');
+    expect(validateCalendarDate('', null)).toBeNull();
+  });
+
+  it('stores typed dates in canonical form', () => {
+    expect(normalizeDateInput('3 Seedtide 12 BE', DEFAULT_FANTASY_CALENDAR)).toBe('-0011-03-03');
+    expect(normalizeDateInput('nonsense', DEFAULT_FANTASY_CALENDAR)).toBeNull();
+  });
+
+  it('reads a bare typed year in the default era, as it reads one with a month', () => {
+    const reckoning = {
+      ...DEFAULT_FANTASY_CALENDAR,
+      eras: [
+        { name: 'Old Kingdom', abbreviation: 'OK', startYear: 1, direction: 'forward' },
+        { name: 'New Kingdom', abbreviation: 'NK', startYear: 1001, direction: 'forward' }
+      ],
+      defaultEra: 'NK'
+    };
+
+    expect(normalizeDateInput('340', reckoning)).toBe('1340');
+    expect(normalizeDateInput('340', reckoning)).toBe(normalizeDateInput('340 NK', reckoning));
+    expect(normalizeDateInput('Frostmoot 340', reckoning)).toBe('1340-12');
+    expect(normalizeDateInput('340 OK', reckoning)).toBe('0340');
+    expect(parseDateInput('340', reckoning)).toEqual({ year: 1340, month: null, day: null });
+    expect(validateCalendarDate('340', reckoning)).toBeNull();
+
+    // Stored dates and Gregorian input keep their absolute years
+    expect(normalizeDateInput('-0012-04', reckoning)).toBe('-0012-04');
+    expect(parseCalendarDate('340', reckoning)).toEqual({ year: 340, month: null, day: null });
+    expect(normalizeDateInput('1245', null)).toBe('1245');
+  });
+
+  it('finds problems in a calendar definition', () => {
+    expect(validateCalendarDefinition(DEFAULT_FANTASY_CALENDAR)).toEqual([]);
+    expect(validateCalendarDefinition({
+      months: [{ name: 'Two words', days: 0 }],
+      eras: [{ abbreviation: 'A E', startYear: 1 }]
+    })).toEqual([
+      'Month 1 needs at least one day',
+      'Era abbreviation "A E" can\'t contain spaces or digits',
+      'Month names must be a single word'
+    ]);
+  });
+});
+
+describe('display', () => {
+  it('formats years in their era', () => {
+    expect(formatCalendarYear('-0011-03-03', DEFAULT_FANTASY_CALENDAR)).toBe('12 BE');
+    expect(formatCalendarYear('1245-03', null)).toBe('1245');
+    expect(formatCalendarYear(null, null)).toBe('');
+  });
+});
+
+describe('ordering', () => {
+  it('orders by year, month and day with missing parts counting as the first', () => {
+    expect(dateToOrdinal('0001', DEFAULT_FANTASY_CALENDAR)).toBe(364);
+    expect(compareCalendarDates('0340', '0340-01-01', DEFAULT_FANTASY_CALENDAR)).toBe(0);
+    expect(compareCalendarDates('-0005', '0001', DEFAULT_FANTASY_CALENDAR)).toBeLessThan(0);
+  });
+
+  it('sorts undated values last', () => {
+    const dates = ['1250', null, '1203-05', '', '1203-01'];
+    expect(dates.sort((a, b) => compareCalendarDates(a, b, null))).toEqual(['1203-01', '1203-05', '1250', null, '']);
+  });
+});
+
+describe('today and ages', () => {
+  it('uses the real date for Gregorian', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2026, 9, 19));
+
+    expect(getCalendarToday(null)).toEqual({ year: 2026, month: 10, day: 19 });
+    expect(calculateCalendarAge('2000-10-20', null, null)).toBe(25);
+    expect(calculateCalendarAge('2000-10-19', null, null)).toBe(26);
+  });
+
+  it('uses a custom calendar\'s present day', () => {
+    expect(getCalendarTodayDate(WITH_PRESENT)).toBe('0340-06-10');
+    expect(calculateCalendarAge('0300-06-11', null, WITH_PRESENT)).toBe(39);
+    expect(calculateCalendarAge('0300', null, WITH_PRESENT)).toBe(40);
+  });
+
+  it('leaves ages blank until a custom calendar has a present day', () => {
+    expect(DEFAULT_FANTASY_CALENDAR.currentYear).toBeNull();
+    expect(getCalendarToday(DEFAULT_FANTASY_CALENDAR)).toBeNull();
+    expect(getCalendarTodayDate(DEFAULT_FANTASY_CALENDAR)).toBeNull();
+    expect(calculateCalendarAge('0300', null, DEFAULT_FANTASY_CALENDAR)).toBeNull();
+  });
+
+  it('still measures to an explicit date without a present day', () => {
+    expect(calculateCalendarAge('0300', '0318', DEFAULT_FANTASY_CALENDAR)).toBe(18);
+    expect(calculateCalendarAge(null, '0318', DEFAULT_FANTASY_CALENDAR)).toBeNull();
+  });
+
+  it('moves dates by whole years', () => {
+    expect(addCalendarYears('0300-04-02', 16, DEFAULT_FANTASY_CALENDAR)).toBe('0316-04-02');
+    expect(addCalendarYears('-0010', 5, DEFAULT_FANTASY_CALENDAR)).toBe('-0005');
+  });
+});
@@ -0,0 +1,330 @@
+/**
+ * chargeSanitizer.js - Uploaded Charge SVG Cleanup
+ *
+ * PURPOSE:
+ * Turns a user-uploaded monochrome SVG into a charge the renderers can
+ * tincture like the bundled Traceable Heraldic Art files:
+ * - Body fills are fill="#FFFFFF" (replaced by the tincture)
+ * - Outlines and interior detail are fill="black" / stroke="black"
+ *
+ * SANITIZING:
+ * Only plain shapes survive. Scripts, event handlers, embedded pictures,
+ * text, <foreignObject>, stylesheets, gradients, links and references to
+ * anything outside the file are removed, so the result is safe to inline
+ * with innerHTML.
+ *
+ * NORMALIZING:
+ * - Inline style declarations become attributes
+ * - Fills and strokes are resolved through groups onto each shape, then
+ *   snapped to white (light) or black (dark)
+ * - A silhouette (no light fill at all) has its shapes turned into white
+ *   bodies with a black outline, so it still takes a tincture
+ * - ids are prefixed so several charges can share one drawing
+ *
+ * Uses the browser's DOMParser and XMLSerializer.
+ */
+
+export const MAX_CHARGE_FILE_SIZE = 512 * 1024;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const SHAPE_ELEMENTS = new Set(['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'use']);
+const CONTAINER_ELEMENTS = new Set(['svg', 'g', 'defs', 'symbol']);
+
+// Dropped without mention: editor metadata and documentation
+const SILENT_ELEMENTS = new Set(['metadata', 'title', 'desc', 'namedview', 'sodipodi:namedview']);
+
+const GEOMETRY_ATTRIBUTES = new Set([
+  'd', 'x', 'y', 'width', 'height', 'cx', 'cy', 'r', 'rx', 'ry',
+  'x1', 'y1', 'x2', 'y2', 'points', 'transform', 'viewBox', 'preserveAspectRatio'
+]);
+
+const PAINT_ATTRIBUTES = [
+  'fill', 'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin',
+  'stroke-miterlimit', 'fill-rule', 'clip-rule'
+];
+
+// Light enough to count as the charge's body rather than its outline
+const LIGHT_THRESHOLD = 0.5;
+
+const NAMED_COLORS = {
+  white: '#ffffff', snow: '#fffafa', ivory: '#fffff0', ghostwhite: '#f8f8ff',
+  whitesmoke: '#f5f5f5', gainsboro: '#dcdcdc', lightgray: '#d3d3d3', lightgrey: '#d3d3d3',
+  silver: '#c0c0c0', gray: '#808080', grey: '#808080', black: '#000000'
+};
+
+// ==================== COLOURS ====================
+
+/**
+ * Relative lightness (0-1) of a CSS colour, or null if it cannot be read
+ */
+function colorLightness(value) {
+  const color = NAMED_COLORS[value] || value;
+
+  let match = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color);
+  if (match) {
+    const [r, g, b] = match.slice(1).map(c => parseInt(c + c, 16));
+    return (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  }
+
+  match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})/i.exec(color);
+  if (match) {
+    const [r, g, b] = match.slice(1).map(c => parseInt(c, 16));
+    return (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  }
+
+  match = /^rgba?\(\s*([\d.]+%?)[\s,]+([\d.]+%?)[\s,]+([\d.]+%?)/i.exec(color);
+  if (match) {
+    const [r, g, b] = match.slice(1).map(c => (c.endsWith('%') ? parseFloat(c) * 2.55 : parseFloat(c)));
+    return (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  }
+
+  return null;
+}
+
+/**
+ * Snap a paint value to the charge convention
+ * @returns {'none'|'light'|'dark'}
+ */
+function classifyPaint(value) {
+  if (!value || value === 'none' || value === 'transparent') return 'none';
+  // Gradients and patterns are removed; they were shading the body
+  if (value.startsWith('url(')) return 'light';
+  const lightness = colorLightness(value.toLowerCase());
+  return lightness !== null && lightness >= LIGHT_THRESHOLD ? 'light' : 'dark';
+}
+
+// ==================== PARSING ====================
+
+/**
+ * Read the drawing's coordinate box from viewBox, or width/height
+ * @returns {number[]|null} [minX, minY, width, height]
+ */
+function readViewBox(root) {
+  const viewBox = root.getAttribute('viewBox');
+  if (viewBox) {
+    const parts = viewBox.trim().split(/[\s,]+/).map(Number);
+    if (parts.length === 4 && parts.every(Number.isFinite) && parts[2] > 0 && parts[3] > 0) {
+      return parts;
+    }
+  }
+
+  const width = parseFloat(root.getAttribute('width'));
+  const height = parseFloat(root.getAttribute('height'));
+  if (width > 0 && height > 0) return [0, 0, width, height];
+
+  return null;
+}
+
+/**
+ * Split a style attribute into { property: value }
+ */
+function parseStyle(style) {
+  const declarations = {};
+  for (const part of (style || '').split(';')) {
+    const colon = part.indexOf(':');
+    if (colon === -1) continue;
+    const property = part.slice(0, colon).trim().toLowerCase();
+    const value = part.slice(colon + 1).trim().replace(/\s*!important$/i, '');
+    if (property && value) declarations[property] = value;
+  }
+  return declarations;
+}
+
+/**
+ * Paint properties set on an element, style taking precedence over attributes
+ */
+function readPaint(element) {
+  const paint = {};
+  for (const name of PAINT_ATTRIBUTES) {
+    const value = element.getAttribute(name);
+    if (value) paint[name] = value.trim();
+  }
+  const style = parseStyle(element.getAttribute('style'));
+  for (const name of PAINT_ATTRIBUTES) {
+    if (style[name]) paint[name] = style[name];
+  }
+  return paint;
+}
+
+/**
+ * Short, stable prefix for the ids of one upload
+ */
+function idPrefix(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return `cc${(hash >>> 0).toString(36)}-`;
+}
+
+// ==================== SANITIZE ====================
+
+/**
+ * Sanitize and normalize an uploaded charge SVG
+ *
+ * @param {string} text - The SVG file's contents
+ * @returns {{
+ *   svg: string,
+ *   viewBox: string,
+ *   shapeCount: number,
+ *   silhouette: boolean,
+ *   warnings: string[]
+ * }}
+ * @throws {Error} When the file is not a usable SVG
+ */
+export function sanitizeChargeSVG(text) {
+  if (!text || !text.trim()) {
+    throw new Error('The file is empty');
+  }
+  if (text.length > MAX_CHARGE_FILE_SIZE) {
+    throw new Error(`The file is larger than ${Math.round(MAX_CHARGE_FILE_SIZE / 1024)} KB`);
+  }
+
+  // Entities can expand to anything; a drawing never needs them
+  if (/<!ENTITY/i.test(text)) {
+    throw new Error('The file declares XML entities, which are not allowed');
+  }
+  const source = text.replace(/<!DOCTYPE[^>]*>/i, '');
+
+  const doc = new DOMParser().parseFromString(source, 'image/svg+xml');
+  const root = doc.documentElement;
+  if (doc.getElementsByTagName('parsererror').length > 0 || root.localName !== 'svg') {
+    throw new Error('The file is not a valid SVG');
+  }
+
+  const box = readViewBox(root);
+  if (!box) {
+    throw new Error('The SVG has no viewBox or size');
+  }
+
+  const prefix = idPrefix(text);
+  const removed = new Map();
+  const shapes = [];
+  const out = doc.implementation.createDocument(SVG_NS, 'svg', null);
+  const outRoot = out.documentElement;
+
+  const noteRemoved = (name) => {
+    if (SILENT_ELEMENTS.has(name) || name.includes(':')) return;
+    removed.set(name, (removed.get(name) || 0) + 1);
+  };
+
+  /**
+   * Copy allowed children of `source` into `target`, resolving inherited paint
+   */
+  const copyChildren = (sourceElement, target, inherited) => {
+    for (const child of Array.from(sourceElement.childNodes)) {
+      if (child.nodeType !== 1) continue;
+
+      const name = child.localName;
+      if (child.namespaceURI !== SVG_NS) {
+        noteRemoved(child.nodeName);
+        continue;
+      }
+      if (!SHAPE_ELEMENTS.has(name) && !CONTAINER_ELEMENTS.has(name)) {
+        noteRemoved(name);
+        continue;
+      }
+
+      const paint = { ...inherited, ...readPaint(child) };
+      // Nested <svg> elements would be matched as the charge's own root
+      const copy = out.createElementNS(SVG_NS, name === 'svg' ? 'g' : name);
+
+      for (const attr of Array.from(child.attributes)) {
+        if (GEOMETRY_ATTRIBUTES.has(attr.name) && !/url\s*\(|javascript:/i.test(attr.value)) {
+          copy.setAttribute(attr.name, attr.value);
+        }
+      }
+      if (name === 'svg') {
+        copy.removeAttribute('viewBox');
+        copy.removeAttribute('preserveAspectRatio');
+        const x = parseFloat(child.getAttribute('x')) || 0;
+        const y = parseFloat(child.getAttribute('y')) || 0;
+        ['x', 'y', 'width', 'height'].forEach(attr => copy.removeAttribute(attr));
+        if (x || y) copy.setAttribute('transform', `translate(${x}, ${y})`);
+      }
+
+      const id = child.getAttribute('id');
+      if (id) copy.setAttribute('id', prefix + id);
+
+      if (name === 'use') {
+        const href = child.getAttribute('href') || child.getAttributeNS('http://www.w3.org/1999/xlink', 'href');
+        // Only references to shapes inside this file
+        if (!href || !href.startsWith('#')) {
+          noteRemoved('use');
+          continue;
+        }
+        copy.setAttribute('href', `#${prefix}${href.slice(1)}`);
+      }
+
+      if (SHAPE_ELEMENTS.has(name)) {
+        shapes.push({ element: copy, paint, insideDefs: inherited.insideDefs });
+      } else {
+        copyChildren(child, copy, { ...paint, insideDefs: inherited.insideDefs || name === 'defs' || name === 'symbol' });
+      }
+      target.appendChild(copy);
+    }
+  };
+
+  copyChildren(root, outRoot, readPaint(root));
+
+  const drawn = shapes.filter(shape => !shape.insideDefs);
+  if (drawn.length === 0) {
+    throw new Error('The SVG has no shapes that can be used as a charge');
+  }
+
+  // Paint each shape explicitly; SVG's default fill is black
+  const classified = shapes.map(shape => ({
+    ...shape,
+    fill: classifyPaint(shape.paint.fill ?? 'black'),
+    stroke: classifyPaint(shape.paint.stroke)
+  }));
+  const silhouette = !classified.some(shape => shape.fill === 'light');
+  const outlineWidth = Number((Math.max(box[2], box[3]) / 100).toFixed(2));
+
+  for (const shape of classified) {
+    const { element, paint } = shape;
+    if (element.localName === 'use') continue; // Painted by what it references
+
+    let { fill, stroke } = shape;
+    if (silhouette && fill === 'dark') {
+      fill = 'light';
+      if (stroke === 'none') stroke = 'dark';
+    }
+
+    element.setAttribute('fill', fill === 'none' ? 'none' : fill === 'light' ? '#FFFFFF' : 'black');
+    if (stroke !== 'none') {
+      element.setAttribute('stroke', 'black');
+      element.setAttribute('stroke-width', paint['stroke-width'] && paint.stroke ? paint['stroke-width'] : String(outlineWidth));
+      for (const name of ['stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit']) {
+        if (paint[name]) element.setAttribute(name, paint[name]);
+      }
+    }
+    if (paint['fill-rule']) element.setAttribute('fill-rule', paint['fill-rule']);
+    if (paint['clip-rule']) element.setAttribute('clip-rule', paint['clip-rule']);
+  }
+
+  const viewBox = box.map(n => Number(n.toFixed(3))).join(' ');
+  outRoot.setAttribute('viewBox', viewBox);
+
+  const warnings = [];
+  for (const [name, count] of removed) {
+    warnings.push(`Removed ${count} <${name}> element${count === 1 ? '' : 's'}`);
+  }
+  if (silhouette) {
+    warnings.push('No light fills found: the filled shapes were treated as the body and outlined');
+  }
+
+  return {
+    svg: new XMLSerializer().serializeToString(out),
+    viewBox,
+    shapeCount: drawn.length,
+    silhouette,
+    warnings
+  };
+}
+
+export default {
+  MAX_CHARGE_FILE_SIZE,
+  sanitizeChargeSVG
+};
@@ -0,0 +1,120 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { sanitizeChargeSVG, MAX_CHARGE_FILE_SIZE } from './chargeSanitizer';
+
+const svg = (body, rootAttributes = '') =>
+  `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 100 100"${rootAttributes}>${body}</svg>`;
+
+const BODY = '<path d="M10 10 H90 V90 Z" fill="#fff" stroke="#000"/>';
+
+describe('sanitizeChargeSVG', () => {
+  describe('sanitizing', () => {
+    it('removes scripts', () => {
+      const { svg: out, warnings } = sanitizeChargeSVG(svg(`${BODY}<script>alert(1)</script>`));
+      expect(out).not.toMatch(/script|alert/);
+      expect(warnings).toContain('Removed 1 <script> element');
+    });
+
+    it('removes event handlers, on the root and on shapes', () => {
+      const { svg: out } = sanitizeChargeSVG(svg(
+        '<path d="M10 10 H90 V90 Z" fill="white" onclick="alert(1)" onmouseover="alert(2)"/>',
+        ' onload="alert(3)"'
+      ));
+      expect(out).not.toMatch(/\bon\w+=|alert/);
+    });
+
+    it('removes javascript: URLs, links and anything they wrap', () => {
+      const { svg: out, warnings } = sanitizeChargeSVG(svg(
+        `${BODY}<a href="javascript:alert(1)"><circle cx="50" cy="50" r="5"/></a>` +
+        '<rect x="1" y="1" width="5" height="5" transform="javascript:alert(2)"/>'
+      ));
+      expect(out).not.toMatch(/javascript|alert|<circle/);
+      expect(out).toContain('<rect x="1" y="1" width="5" height="5"');
+      expect(warnings).toContain('Removed 1 <a> element');
+    });
+
+    it('keeps <use> only for references inside the file', () => {
+      const { svg: out, warnings } = sanitizeChargeSVG(svg(
+        '<defs><path id="part" d="M0 0 H10 V10 Z" fill="white"/></defs>' +
+        '<use href="#part"/>' +
+        '<use href="https://example.com/evil.svg#part"/>' +
+        '<use xlink:href="javascript:alert(1)"/>' +
+        '<use xlink:href="data:image/svg+xml,%3Csvg%2F%3E"/>'
+      ));
+      expect(out.match(/<use /g)).toHaveLength(1);
+      expect(out).toMatch(/<use href="#cc[a-z0-9]+-part"/);
+      expect(out).not.toMatch(/example\.com|javascript|data:/);
+      expect(warnings).toContain('Removed 3 <use> elements');
+    });
+
+    it('removes <image>, whatever its href', () => {
+      const { svg: out, warnings } = sanitizeChargeSVG(svg(
+        `${BODY}<image href="https://example.com/track.png" width="10" height="10"/>` +
+        '<image xlink:href="javascript:alert(1)" width="10" height="10"/>'
+      ));
+      expect(out).not.toMatch(/<image|example\.com|javascript/);
+      expect(warnings).toContain('Removed 2 <image> elements');
+    });
+
+    it('removes <foreignObject> and the HTML inside it', () => {
+      const { svg: out, warnings } = sanitizeChargeSVG(svg(
+        `${BODY}<foreignObject width="100" height="100"><div xmlns="http://www.w3.org/1999/xhtml"><iframe src="https://example.com"></iframe></div></foreignObject>`
+      ));
+      expect(out).not.toMatch(/foreignObject|iframe|example\.com/);
+      expect(warnings).toContain('Removed 1 <foreignObject> element');
+    });
+
+    it('removes stylesheets, with their url() and @import', () => {
+      const { svg: out, warnings } = sanitizeChargeSVG(svg(
+        '<style>@import url("https://example.com/x.css"); path { fill: url(https://example.com/x.svg#g); }</style>' +
+        BODY
+      ));
+      expect(out).not.toMatch(/<style|@import|url\(|example\.com/);
+      expect(warnings).toContain('Removed 1 <style> element');
+    });
+
+    it('drops url() from inline styles and geometry', () => {
+      const { svg: out } = sanitizeChargeSVG(svg(
+        '<path d="M10 10 H90 V90 Z" style="fill: url(https://example.com/x.svg#g); filter: url(#f)"/>' +
+        '<rect width="5" height="5" transform="url(https://example.com)"/>'
+      ));
+      expect(out).not.toMatch(/url\(|example\.com|style=/);
+    });
+
+    it('refuses entity declarations and oversized files', () => {
+      expect(() => sanitizeChargeSVG(
+        `<?xml version="1.0"?><!DOCTYPE svg [<!ENTITY a "aaaa">]>${svg(BODY)}`
+      )).toThrow('The file declares XML entities, which are not allowed');
+      expect(() => sanitizeChargeSVG(svg(BODY) + ' '.repeat(MAX_CHARGE_FILE_SIZE)))
+        .toThrow('The file is larger than 512 KB');
+    });
+
+    it('refuses files that are not a usable SVG', () => {
+      expect(() => sanitizeChargeSVG('')).toThrow('The file is empty');
+      expect(() => sanitizeChargeSVG('<html><body/></html>')).toThrow('The file is not a valid SVG');
+      expect(() => sanitizeChargeSVG('<svg xmlns="http://www.w3.org/2000/svg"><path d="M0 0"/></svg>'))
+        .toThrow('The SVG has no viewBox or size');
+      expect(() => sanitizeChargeSVG(svg('<script>alert(1)</script>')))
+        .toThrow('The SVG has no shapes that can be used as a charge');
+    });
+  });
+
+  describe('normalizing', () => {
+    it('snaps fills to the white body and black outline convention', () => {
+      const { svg: out, silhouette, shapeCount } = sanitizeChargeSVG(svg(
+        '<g style="fill:#eeeeee"><path d="M10 10 H90 V90 Z"/></g><circle cx="50" cy="50" r="5" fill="#222"/>'
+      ));
+      expect(silhouette).toBe(false);
+      expect(shapeCount).toBe(2);
+      expect(out).toContain('<path d="M10 10 H90 V90 Z" fill="#FFFFFF"/>');
+      expect(out).toContain('<circle cx="50" cy="50" r="5" fill="black"/>');
+    });
+
+    it('outlines a silhouette so it still takes a tincture', () => {
+      const { svg: out, silhouette, warnings } = sanitizeChargeSVG(svg('<path d="M10 10 H90 V90 Z"/>'));
+      expect(silhouette).toBe(true);
+      expect(out).toContain('fill="#FFFFFF" stroke="black" stroke-width="1"');
+      expect(warnings).toContain('No light fills found: the filled shapes were treated as the body and outlined');
+    });
+  });
+});
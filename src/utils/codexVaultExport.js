@@ -0,0 +1,237 @@
+/**
+ * codexVaultExport.js - Codex Markdown / Obsidian Vault Export
+ *
+ * PURPOSE:
+ * Write every codex entry as a Markdown file with YAML frontmatter, zipped
+ * into folders by entry type, so the unzipped folder opens as an Obsidian
+ * vault with working [[wiki-links]].
+ *
+ * WHAT THIS DOES:
+ * 1. Gives each entry a unique, filesystem-safe file name
+ * 2. Rewrites links into Obsidian's form: [[File Name|Display Text]]
+ *    (note Obsidian puts the target first; the Codex puts it last)
+ * 3. Writes frontmatter: type, category, tags, era and the linked
+ *    personId / houseId / dignityId / heraldryId
+ *
+ * USAGE:
+ * import { buildCodexVault } from './utils/codexVaultExport';
+ * import { createZip } from './utils/zipArchive';
+ *
+ * const files = buildCodexVault(entries, { people, houses, dignities });
+ * const zip = createZip(files);
+ */
+
+import { parseWikiLinkText } from './wikiLinkParser';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Folder per entry type. The import reads these back when a file has no
+ * `type` in its frontmatter.
+ */
+export const CODEX_VAULT_FOLDERS = {
+  personage: 'Personages',
+  house: 'Houses',
+  location: 'Locations',
+  event: 'Events',
+  mysteria: 'Mysteria',
+  concept: 'Concepts',
+  heraldry: 'Heraldry',
+  custom: 'Custom'
+};
+
+// Characters Obsidian or common filesystems refuse in file names
+const UNSAFE_FILE_CHARS = /[\\/:*?"<>|#^[\]]/g;
+
+const WIKI_LINK_PATTERN = /\[\[([^\]]+)\]\]/g;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FRONTMATTER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * YAML scalar. Strings are written double-quoted (JSON quoting is valid
+ * YAML), so titles with colons or leading dashes stay intact.
+ */
+function toYamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Serialize a flat object as a YAML frontmatter block.
+ * Arrays become block lists; null/undefined/empty values are left out.
+ *
+ * @param {Object} data
+ * @returns {string} "---\n...\n---\n"
+ */
+export function serializeFrontmatter(data) {
+  const lines = ['---'];
+
+  for (const [key, value] of Object.entries(data)) {
+    if (value === null || value === undefined || value === '') continue;
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) continue;
+      lines.push(`${key}:`);
+      for (const item of value) {
+        lines.push(`  - ${toYamlScalar(item)}`);
+      }
+    } else {
+      lines.push(`${key}: ${toYamlScalar(value)}`);
+    }
+  }
+
+  lines.push('---');
+  return lines.join('\n') + '\n';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FILE NAMES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Filesystem-safe version of an entry title
+ * @param {string} title
+ * @returns {string}
+ */
+export function toVaultFileName(title) {
+  const cleaned = (title || '')
+    .replace(UNSAFE_FILE_CHARS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '');
+  return cleaned || 'Untitled';
+}
+
+/**
+ * Assign every entry a file name unique across the vault (Obsidian resolves
+ * [[links]] by file name regardless of folder, case-insensitively).
+ *
+ * @param {Array} entries
+ * @returns {Map<number, string>} entry id → file name (without .md)
+ */
+function assignFileNames(entries) {
+  const used = new Set();
+  const names = new Map();
+
+  for (const entry of entries) {
+    const base = toVaultFileName(entry.title);
+    let name = base;
+    let suffix = 2;
+    while (used.has(name.toLowerCase())) {
+      name = `${base} (${suffix++})`;
+    }
+    used.add(name.toLowerCase());
+    names.set(entry.id, name);
+  }
+
+  return names;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LINKS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Rewrite Codex links as Obsidian links
+ *
+ * - [[Display|#42]] → [[File Name|Display]] (or [[File Name]] if they match)
+ * - [[Title]] / [[Display|Title]] resolved by title the same way
+ * - Links to missing entries keep their target so Obsidian shows them as
+ *   unresolved: [[Missing]] or [[Missing|Display]]
+ *
+ * @param {string} content
+ * @param {Map} fileNames - entry id → file name
+ * @param {Map} entriesByTitle - lowercase title → entry
+ * @returns {string}
+ */
+export function toObsidianLinks(content, fileNames, entriesByTitle) {
+  if (!content) return '';
+
+  return content.replace(WIKI_LINK_PATTERN, (fullMatch, inner) => {
+    const link = parseWikiLinkText(inner);
+    const target = link.targetId !== null
+      ? fileNames.get(link.targetId)
+      : fileNames.get(entriesByTitle.get(link.search.toLowerCase())?.id);
+
+    const fileName = target || (link.search ?? link.display);
+    return link.display === fileName
+      ? `[[${fileName}]]`
+      : `[[${fileName}|${link.display}]]`;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VAULT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build the vault's files
+ *
+ * @param {Array} entries - Codex entries
+ * @param {Object} [lookups] - Used to add readable names next to linked ids
+ * @param {Array} [lookups.people]
+ * @param {Array} [lookups.houses]
+ * @param {Array} [lookups.dignities]
+ * @returns {Array<{path: string, content: string}>}
+ */
+export function buildCodexVault(entries, lookups = {}) {
+  const { people = [], houses = [], dignities = [] } = lookups;
+
+  const fileNames = assignFileNames(entries);
+  const entriesByTitle = new Map();
+  for (const entry of entries) {
+    const key = (entry.title || '').toLowerCase();
+    if (!entriesByTitle.has(key)) entriesByTitle.set(key, entry);
+  }
+
+  const personName = (id) => {
+    const person = people.find(p => p.id === id);
+    return person ? `${person.firstName} ${person.lastName}`.trim() : null;
+  };
+  const houseName = (id) => houses.find(h => h.id === id)?.houseName || null;
+  const dignityName = (id) => dignities.find(d => d.id === id)?.name || null;
+
+  return entries.map(entry => {
+    const fileName = fileNames.get(entry.id);
+    const folder = CODEX_VAULT_FOLDERS[entry.type] || CODEX_VAULT_FOLDERS.custom;
+
+    const frontmatter = serializeFrontmatter({
+      title: entry.title,
+      type: entry.type,
+      subtitle: entry.subtitle,
+      category: entry.category,
+      tags: entry.tags || [],
+      era: entry.era,
+      personId: entry.personId,
+      person: entry.personId ? personName(entry.personId) : null,
+      houseId: entry.houseId,
+      house: entry.houseId ? houseName(entry.houseId) : null,
+      dignityId: entry.dignityId,
+      dignity: entry.dignityId ? dignityName(entry.dignityId) : null,
+      heraldryId: entry.heraldryId,
+      codexId: entry.id,
+      created: entry.created,
+      updated: entry.updated
+    });
+
+    const body = toObsidianLinks(entry.content || '', fileNames, entriesByTitle);
+
+    return {
+      path: `${folder}/${fileName}.md`,
+      content: `${frontmatter}\n${body}\n`
+    };
+  });
+}
+
+export default {
+  CODEX_VAULT_FOLDERS,
+  serializeFrontmatter,
+  toVaultFileName,
+  toObsidianLinks,
+  buildCodexVault
+};
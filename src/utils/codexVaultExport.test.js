@@ -0,0 +1,110 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  serializeFrontmatter,
+  toVaultFileName,
+  toObsidianLinks,
+  buildCodexVault
+} from './codexVaultExport';
+import { parseFrontmatter, parseCodexVault } from './codexVaultImport';
+
+vi.mock('../services/codexService', () => ({}));
+
+const entries = [
+  {
+    id: 1,
+    type: 'personage',
+    title: 'Aldric Stone',
+    subtitle: 'Founder: first of the line',
+    tags: ['founder', 'stone'],
+    personId: 10,
+    houseId: 20,
+    content: 'Married [[Maren|#2]] and held [[the Keep|Stonekeep]]. See also [[Lost Tale]].'
+  },
+  { id: 2, type: 'personage', title: 'Maren', content: 'Wife of [[Aldric Stone]].' },
+  { id: 3, type: 'location', title: 'Stonekeep', content: '' },
+  { id: 4, type: 'event', title: 'maren', content: 'A different Maren.' },
+  { id: 5, type: 'mystery', title: 'What/Why?', content: 'Unsorted.' }
+];
+
+describe('serializeFrontmatter', () => {
+  it('quotes strings, lists arrays and leaves out empty values', () => {
+    expect(serializeFrontmatter({
+      title: 'Aldric: the "Bold"',
+      tags: ['a', 'b'],
+      empty: [],
+      personId: 10,
+      era: null,
+      subtitle: ''
+    })).toBe('---\ntitle: "Aldric: the \\"Bold\\""\ntags:\n  - "a"\n  - "b"\npersonId: 10\n---\n');
+  });
+});
+
+describe('toVaultFileName', () => {
+  it('replaces characters file systems and Obsidian refuse', () => {
+    expect(toVaultFileName('What/Why?')).toBe('What Why');
+    expect(toVaultFileName('..hidden [draft]')).toBe('hidden draft');
+    expect(toVaultFileName('  ')).toBe('Untitled');
+  });
+});
+
+describe('toObsidianLinks', () => {
+  const fileNames = new Map([[1, 'Aldric Stone'], [2, 'Maren']]);
+  const entriesByTitle = new Map([['aldric stone', entries[0]], ['maren', entries[1]]]);
+
+  it('puts the file name first, as Obsidian expects', () => {
+    expect(toObsidianLinks('[[Wife|#2]]', fileNames, entriesByTitle)).toBe('[[Maren|Wife]]');
+    expect(toObsidianLinks('[[Maren|#2]] and [[aldric stone]]', fileNames, entriesByTitle))
+      .toBe('[[Maren]] and [[Aldric Stone|aldric stone]]');
+  });
+
+  it('keeps links to missing entries unresolved', () => {
+    expect(toObsidianLinks('[[Lost Tale]] [[Tale|Lost Tale]]', fileNames, entriesByTitle))
+      .toBe('[[Lost Tale]] [[Lost Tale|Tale]]');
+  });
+});
+
+describe('buildCodexVault', () => {
+  const files = buildCodexVault(entries, {
+    people: [{ id: 10, firstName: 'Aldric', lastName: 'Stone' }],
+    houses: [{ id: 20, houseName: 'Stone' }]
+  });
+
+  it('writes one file per entry, foldered by type, with unique names', () => {
+    expect(files.map(f => f.path)).toEqual([
+      'Personages/Aldric Stone.md',
+      'Personages/Maren.md',
+      'Locations/Stonekeep.md',
+      'Events/maren (2).md',
+      'Custom/What Why.md'
+    ]);
+  });
+
+  it('writes frontmatter with readable names next to linked ids', () => {
+    const { data, body } = parseFrontmatter(files[0].content);
+    expect(data).toMatchObject({
+      title: 'Aldric Stone',
+      type: 'personage',
+      subtitle: 'Founder: first of the line',
+      tags: ['founder', 'stone'],
+      personId: 10,
+      person: 'Aldric Stone',
+      houseId: 20,
+      house: 'Stone',
+      codexId: 1
+    });
+    expect(body.trim()).toBe('Married [[Maren]] and held [[Stonekeep|the Keep]]. See also [[Lost Tale]].');
+  });
+
+  it('reads back through the vault import', () => {
+    const { entries: drafts } = parseCodexVault(files.map(f => ({ path: f.path, text: f.content })));
+
+    expect(drafts.map(d => [d.title, d.type, d.codexId])).toEqual([
+      ['Aldric Stone', 'personage', 1],
+      ['Maren', 'personage', 2],
+      ['Stonekeep', 'location', 3],
+      ['maren', 'event', 4],
+      ['What/Why?', 'custom', 5]
+    ]);
+    expect(drafts[0].content).toBe('Married [[Maren]] and held [[the Keep|Stonekeep]]. See also [[Lost Tale]].');
+  });
+});
@@ -0,0 +1,437 @@
+/**
+ * codexVaultImport.js - Codex Markdown / Obsidian Vault Import
+ *
+ * PURPOSE:
+ * Read a zipped folder of Markdown files (a Codex vault export, or any
+ * Obsidian vault) back into codex entries, then recreate codexLinks from
+ * the [[wiki-links]] between them.
+ *
+ * WHAT THIS DOES:
+ * 1. Splits YAML frontmatter from each .md file (type, tags, era, ids...)
+ * 2. Converts Obsidian links [[File|Display]] back to Codex order [[Display|Title]]
+ * 3. Previews duplicates (same title already in the dataset) with a choice
+ *    to skip, update the existing entry, or create a second one
+ * 4. Writes entries, stores links by id, and adds the codexLinks records
+ *
+ * USAGE:
+ * import { parseCodexVault, buildCodexVaultImportPreview, commitCodexVaultImport } from './utils/codexVaultImport';
+ *
+ * const parsed = parseCodexVault(files);          // files: [{ path, text }]
+ * const preview = buildCodexVaultImportPreview(parsed, { entries, people, houses, dignities });
+ * const result = await commitCodexVaultImport(preview, preview.decisions, { datasetId });
+ */
+
+import {
+  createEntry,
+  updateEntry,
+  getAllEntries,
+  getAllLinks,
+  createLink
+} from '../services/codexService';
+import { parseWikiLinkText, resolveWikiLinksToIds } from './wikiLinkParser';
+import { CODEX_VAULT_FOLDERS } from './codexVaultExport';
+
+const WIKI_LINK_PATTERN = /\[\[([^\]]+)\]\]/g;
+
+const VALID_TYPES = new Set(Object.keys(CODEX_VAULT_FOLDERS));
+
+// Folder name (lowercase) → entry type, for files without a `type` field
+const FOLDER_TYPES = new Map(
+  Object.entries(CODEX_VAULT_FOLDERS).map(([type, folder]) => [folder.toLowerCase(), type])
+);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FRONTMATTER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse one YAML scalar (the subset Obsidian properties use)
+ */
+function parseYamlScalar(raw) {
+  const value = raw.trim();
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+  if (value.startsWith('"') && value.endsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1)
+      .split(',')
+      .map(item => parseYamlScalar(item))
+      .filter(item => item !== null);
+  }
+  return value;
+}
+
+/**
+ * Split a Markdown file into frontmatter data and body.
+ * Supports `key: value`, inline lists `[a, b]` and block lists (`- item`).
+ *
+ * @param {string} text
+ * @returns {{ data: Object, body: string }}
+ */
+export function parseFrontmatter(text) {
+  const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const match = normalized.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+  if (!match) return { data: {}, body: normalized };
+
+  const data = {};
+  let listKey = null;
+
+  for (const line of match[1].split('\n')) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      const value = parseYamlScalar(item[1]);
+      if (value !== null) data[listKey].push(value);
+      continue;
+    }
+
+    const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+    if (!pair) continue;
+
+    const [, key, rawValue] = pair;
+    if (rawValue.trim() === '') {
+      data[key] = [];
+      listKey = key;
+    } else {
+      data[key] = parseYamlScalar(rawValue);
+      listKey = null;
+    }
+  }
+
+  return { data, body: normalized.slice(match[0].length).replace(/^\n/, '') };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * File name without folders or .md
+ */
+function baseName(path) {
+  return path.split('/').pop().replace(/\.md$/i, '');
+}
+
+/**
+ * Obsidian link target → file name: drops folders, .md, #headings and ^blocks
+ */
+function normalizeLinkTarget(target) {
+  return baseName(target.split('#')[0].split('^')[0].trim());
+}
+
+function toTagList(value) {
+  const list = Array.isArray(value)
+    ? value
+    : typeof value === 'string' ? value.split(',') : [];
+  return list
+    .map(tag => String(tag).trim().replace(/^#/, '').toLowerCase())
+    .filter(Boolean);
+}
+
+function toId(value) {
+  const id = typeof value === 'number' ? value : parseInt(value, 10);
+  return Number.isFinite(id) ? id : null;
+}
+
+/**
+ * Turn Obsidian links back into Codex links ([[Display|Title]]) using the
+ * titles of files in the same vault
+ *
+ * @param {string} body
+ * @param {Map} titlesByFileName - lowercase file name → entry title
+ * @returns {string}
+ */
+export function fromObsidianLinks(body, titlesByFileName) {
+  return body.replace(WIKI_LINK_PATTERN, (fullMatch, inner) => {
+    const pipeIndex = inner.indexOf('|');
+    const rawTarget = pipeIndex === -1 ? inner : inner.slice(0, pipeIndex);
+    const fileName = normalizeLinkTarget(rawTarget);
+    if (!fileName) return fullMatch; // same-file heading link
+
+    const title = titlesByFileName.get(fileName.toLowerCase()) || fileName;
+    const display = pipeIndex === -1 ? title : inner.slice(pipeIndex + 1).trim();
+
+    return display === title ? `[[${title}]]` : `[[${display}|${title}]]`;
+  });
+}
+
+/**
+ * Read vault files into entry drafts
+ *
+ * @param {Array<{path: string, text: string}>} files
+ * @returns {{ entries: Array, warnings: string[] }}
+ */
+export function parseCodexVault(files) {
+  const warnings = [];
+
+  const markdownFiles = files.filter(file => {
+    if (!/\.md$/i.test(file.path)) return false;
+    // Skip .obsidian/, .trash/ and other hidden folders
+    return !file.path.split('/').some(part => part.startsWith('.'));
+  });
+
+  const parsed = markdownFiles.map(file => {
+    const { data, body } = parseFrontmatter(file.text);
+    return { file, data, body, fileName: baseName(file.path) };
+  });
+
+  const titlesByFileName = new Map(
+    parsed.map(item => [item.fileName.toLowerCase(), String(item.data.title || item.fileName)])
+  );
+
+  const entries = parsed.map(({ file, data, body, fileName }, index) => {
+    const folders = file.path.split('/').slice(0, -1).map(part => part.toLowerCase());
+    const folderType = folders.map(folder => FOLDER_TYPES.get(folder)).find(Boolean);
+
+    let type = typeof data.type === 'string' ? data.type.toLowerCase() : null;
+    if (type && !VALID_TYPES.has(type)) {
+      warnings.push(`${file.path}: unknown type "${data.type}", imported as custom`);
+      type = 'custom';
+    }
+
+    const content = fromObsidianLinks(body.trim(), titlesByFileName);
+
+    return {
+      _tempId: `V${index + 1}`,
+      path: file.path,
+      title: String(data.title || fileName),
+      type: type || folderType || 'custom',
+      subtitle: data.subtitle ? String(data.subtitle) : null,
+      category: data.category ? String(data.category) : null,
+      tags: toTagList(data.tags),
+      era: data.era ? String(data.era) : null,
+      personId: toId(data.personId),
+      houseId: toId(data.houseId),
+      dignityId: toId(data.dignityId),
+      heraldryId: toId(data.heraldryId),
+      codexId: toId(data.codexId),
+      content
+    };
+  });
+
+  for (const entry of entries) {
+    if (!entry.content) {
+      warnings.push(`${entry.path}: file has no content`);
+    }
+  }
+
+  return { entries, warnings };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PREVIEW
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Match drafts against the target dataset
+ *
+ * - Duplicates: an existing entry with the same title. Defaults to "update"
+ *   when the file was exported from that very entry (codexId matches),
+ *   otherwise "skip".
+ * - personId / houseId / dignityId that don't exist in the dataset are
+ *   dropped, with a warning.
+ *
+ * @param {Object} parsed - Result of parseCodexVault
+ * @param {Object} existing - { entries, people, houses, dignities } in the target dataset
+ * @returns {{ entries: Array, decisions: Object, counts: Object, warnings: string[] }}
+ */
+export function buildCodexVaultImportPreview(parsed, existing = {}) {
+  const { entries = [], people = [], houses = [], dignities = [] } = existing;
+  const warnings = [...parsed.warnings];
+
+  const byTitle = new Map();
+  for (const entry of entries) {
+    const key = (entry.title || '').toLowerCase();
+    if (!byTitle.has(key)) byTitle.set(key, entry);
+  }
+
+  const personIds = new Set(people.map(p => p.id));
+  const houseIds = new Set(houses.map(h => h.id));
+  const dignityIds = new Set(dignities.map(d => d.id));
+
+  const decisions = {};
+  const items = parsed.entries.map(draft => {
+    const entry = { ...draft };
+
+    const checks = [
+      ['personId', personIds, 'person'],
+      ['houseId', houseIds, 'house'],
+      ['dignityId', dignityIds, 'dignity']
+    ];
+    for (const [field, ids, label] of checks) {
+      if (entry[field] !== null && !ids.has(entry[field])) {
+        warnings.push(`${entry.path}: ${label} #${entry[field]} is not in this dataset, link dropped`);
+        entry[field] = null;
+      }
+    }
+
+    const duplicate = byTitle.get(entry.title.toLowerCase()) || null;
+    decisions[entry._tempId] = duplicate
+      ? { action: duplicate.id === entry.codexId ? 'update' : 'skip', targetId: duplicate.id }
+      : { action: 'create' };
+
+    return { entry, duplicate };
+  });
+
+  return {
+    entries: items,
+    decisions,
+    counts: {
+      entries: items.length,
+      duplicates: items.filter(item => item.duplicate).length,
+      links: items.reduce((sum, item) => sum + (item.entry.content.match(WIKI_LINK_PATTERN) || []).length, 0)
+    },
+    warnings
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// COMMIT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Write the accepted entries and recreate their codexLinks
+ *
+ * @param {Object} preview - Result of buildCodexVaultImportPreview
+ * @param {Object} decisions - { [tempId]: { action: 'create'|'update'|'skip', targetId } }
+ * @param {Object} options
+ * @param {string} options.datasetId - Target dataset
+ * @param {Function} [options.onProgress] - Progress callback (step, message)
+ * @returns {Promise<Object>} { success, errors, summary, createdIds, updatedIds, createdLinks }
+ */
+export async function commitCodexVaultImport(preview, decisions, options = {}) {
+  const { datasetId, onProgress = () => {} } = options;
+
+  const errors = [];
+  const summary = { created: 0, updated: 0, skipped: 0, linksCreated: 0 };
+  const createdIds = [];
+  const updatedIds = [];
+  const createdLinks = [];
+  const touched = [];
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 1: Entries (links still title-based)
+  // ─────────────────────────────────────────────────────────────────────
+  onProgress('entries', `Writing ${preview.entries.length} entries...`);
+  for (const { entry } of preview.entries) {
+    const decision = decisions[entry._tempId] || { action: 'create' };
+    if (decision.action === 'skip') {
+      summary.skipped++;
+      continue;
+    }
+
+    const entryData = {
+      type: entry.type,
+      title: entry.title,
+      subtitle: entry.subtitle,
+      content: entry.content,
+      category: entry.category,
+      tags: entry.tags,
+      era: entry.era,
+      personId: entry.personId,
+      houseId: entry.houseId,
+      dignityId: entry.dignityId,
+      heraldryId: entry.heraldryId
+    };
+
+    try {
+      if (decision.action === 'update' && decision.targetId) {
+        await updateEntry(decision.targetId, entryData, datasetId);
+        updatedIds.push(decision.targetId);
+        touched.push(decision.targetId);
+        summary.updated++;
+      } else {
+        const id = await createEntry(entryData, datasetId);
+        createdIds.push(id);
+        touched.push(id);
+        summary.created++;
+      }
+    } catch (err) {
+      errors.push(`Failed to import "${entry.title}": ${err.message}`);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 2: Store links by id now every title exists
+  // ─────────────────────────────────────────────────────────────────────
+  onProgress('links', 'Resolving wiki-links...');
+  const allEntries = await getAllEntries(datasetId);
+  const byId = new Map(allEntries.map(entry => [entry.id, entry]));
+  const existingLinks = await getAllLinks(datasetId);
+  const linkKeys = new Set(existingLinks.map(link => `${link.sourceId}-${link.targetId}`));
+
+  for (const id of touched) {
+    const entry = byId.get(id);
+    if (!entry) continue;
+
+    try {
+      const content = resolveWikiLinksToIds(entry.content, allEntries);
+      if (content !== entry.content) {
+        await updateEntry(id, { content }, datasetId);
+        entry.content = content;
+      }
+
+      // ─────────────────────────────────────────────────────────────────
+      // STEP 3: codexLinks records
+      // ─────────────────────────────────────────────────────────────────
+      for (const match of content.matchAll(WIKI_LINK_PATTERN)) {
+        const link = parseWikiLinkText(match[1]);
+        const target = link.targetId !== null ? byId.get(link.targetId) : null;
+        if (!target || target.id === id) continue;
+
+        const key = `${id}-${target.id}`;
+        if (linkKeys.has(key)) continue;
+        linkKeys.add(key);
+
+        const linkData = {
+          sourceId: id,
+          targetId: target.id,
+          type: 'wiki-reference',
+          label: link.display !== target.title ? link.display : null,
+          bidirectional: true
+        };
+        const linkId = await createLink(linkData, datasetId);
+        createdLinks.push({ id: linkId, data: linkData });
+        summary.linksCreated++;
+      }
+    } catch (err) {
+      errors.push(`Failed to link "${entry.title}": ${err.message}`);
+    }
+  }
+
+  onProgress('complete', 'Import complete!');
+
+  return {
+    success: errors.length === 0,
+    errors: errors.length > 0 ? errors : null,
+    summary,
+    createdIds,
+    updatedIds,
+    createdLinks
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+export default {
+  parseFrontmatter,
+  fromObsidianLinks,
+  parseCodexVault,
+  buildCodexVaultImportPreview,
+  commitCodexVaultImport
+};
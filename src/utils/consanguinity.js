@@ -0,0 +1,282 @@
+/**
+ * Consanguinity Calculator
+ *
+ * Measures how closely two people are related by blood, and whether the
+ * dataset's marriage law lets them marry (see data/marriageLaws.js).
+ *
+ * WHAT IT COMPUTES:
+ * - Common ancestors, each with the generations up from either person
+ *   and the degree of kinship through them
+ * - The degree of kinship, in canonical and civil reckoning, taken
+ *   through the nearest common ancestor
+ * - The coefficient of relationship (r): the share of genes two people
+ *   are expected to have in common by descent. Parent and child or full
+ *   siblings 50%, half-siblings and uncle and niece 25%, first cousins 12.5%.
+ *   Repeated cousin marriages raise it, which is the point of computing it
+ *   through the kinship coefficient rather than counting the nearest
+ *   ancestors.
+ *
+ * SCOPE:
+ * - Only blood ties count: 'parent' relationships, not marked as
+ *   non-biological. Adoptive and foster parents are ignored.
+ * - A person with one recorded parent is treated as having an unknown,
+ *   unrelated other parent.
+ *
+ * The kinship coefficient uses the usual recursion: the kinship of A and
+ * B, where A is not an ancestor of B, is the mean of the kinship of A's
+ * parents with B. A person's kinship with themselves is 1/2 (1 + F), F
+ * being their inbreeding coefficient - the kinship of their parents.
+ */
+
+// ════════════════════════════════════════════════════════════════════════════════
+// BLOODLINE MAP
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build childId -> [biological parentIds] from raw relationships
+ *
+ * @param {Array} relationships - All relationships in the dataset
+ * @returns {Map<number, number[]>}
+ */
+export function buildBloodParentMap(relationships) {
+  const parentMap = new Map();
+
+  relationships.forEach(rel => {
+    if (rel.relationshipType !== 'parent' || rel.biologicalParent === false) return;
+    const parents = parentMap.get(rel.person2Id) || [];
+    if (!parents.includes(rel.person1Id)) {
+      parentMap.set(rel.person2Id, [...parents, rel.person1Id]);
+    }
+  });
+
+  return parentMap;
+}
+
+/**
+ * Every ancestor of a person, with the fewest generations up to them
+ * The person is included at generation 0, so direct-line kin show up as
+ * common ancestors.
+ *
+ * @returns {Map<number, number>} ancestorId -> generations
+ */
+function getAncestorGenerations(personId, parentMap) {
+  const generations = new Map([[personId, 0]]);
+  let current = [personId];
+  let depth = 0;
+
+  while (current.length > 0) {
+    depth++;
+    const next = [];
+    current.forEach(id => {
+      (parentMap.get(id) || []).forEach(parentId => {
+        if (!generations.has(parentId)) {
+          generations.set(parentId, depth);
+          next.push(parentId);
+        }
+      });
+    });
+    current = next;
+  }
+
+  return generations;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// KINSHIP COEFFICIENT
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a kinship calculator over a bloodline map
+ * Results are memoized, so reuse one calculator for many pairs.
+ *
+ * @param {Map<number, number[]>} parentMap - From buildBloodParentMap
+ * @returns {{ kinship: Function, inbreeding: Function, parentMap: Map }}
+ *   kinship(a, b): probability that a gene picked from each is identical by descent;
+ *   inbreeding(id): the kinship of the person's parents (Wright's F)
+ */
+export function createKinshipCalculator(parentMap) {
+  const depthMemo = new Map();
+  const kinshipMemo = new Map();
+
+  const parentsOf = (id) => (parentMap.get(id) || []).slice(0, 2);
+
+  // Longest line of recorded ancestors; an ancestor is always shallower
+  // than their descendants. Cycles (bad data) are cut off.
+  const depthOf = (id, visiting = new Set()) => {
+    if (depthMemo.has(id)) return depthMemo.get(id);
+    if (visiting.has(id)) return 0;
+    visiting.add(id);
+    const parents = parentsOf(id);
+    const depth = parents.length === 0
+      ? 0
+      : 1 + Math.max(...parents.map(p => depthOf(p, visiting)));
+    visiting.delete(id);
+    depthMemo.set(id, depth);
+    return depth;
+  };
+
+  const kinship = (a, b) => {
+    if (a === b) {
+      const [p, q] = parentsOf(a);
+      return 0.5 * (1 + (p !== undefined && q !== undefined ? kinship(p, q) : 0));
+    }
+
+    const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+    if (kinshipMemo.has(key)) return kinshipMemo.get(key);
+    kinshipMemo.set(key, 0); // Guards against cycles in bad data
+
+    // Step up from the deeper of the two, who cannot be the other's ancestor
+    const [younger, other] = depthOf(a) >= depthOf(b) ? [a, b] : [b, a];
+    const value = parentsOf(younger).reduce((sum, parentId) => sum + kinship(parentId, other), 0) / 2;
+
+    kinshipMemo.set(key, value);
+    return value;
+  };
+
+  const inbreeding = (id) => {
+    const [p, q] = parentsOf(id);
+    return p !== undefined && q !== undefined ? kinship(p, q) : 0;
+  };
+
+  return { kinship, inbreeding, parentMap };
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// CONSANGUINITY
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Find every common ancestor of two people
+ *
+ * @param {number} personAId
+ * @param {number} personBId
+ * @param {Map<number, number[]>} parentMap - From buildBloodParentMap
+ * @returns {Array<Object>} Sorted nearest first:
+ *   { ancestorId, generationsA, generationsB, canonicalDegree, civilDegree, isNearest }
+ *   isNearest is false when the ancestor is only reached through another
+ *   common ancestor.
+ */
+export function findCommonAncestors(personAId, personBId, parentMap) {
+  const ancestorsA = getAncestorGenerations(personAId, parentMap);
+  const ancestorsB = getAncestorGenerations(personBId, parentMap);
+
+  const common = [];
+  ancestorsA.forEach((generationsA, ancestorId) => {
+    if (!ancestorsB.has(ancestorId)) return;
+    const generationsB = ancestorsB.get(ancestorId);
+    common.push({
+      ancestorId,
+      generationsA,
+      generationsB,
+      canonicalDegree: Math.max(generationsA, generationsB),
+      civilDegree: generationsA + generationsB
+    });
+  });
+
+  // An ancestor of another common ancestor is not one of the nearest
+  const commonIds = new Set(common.map(c => c.ancestorId));
+  const remote = new Set();
+  common.forEach(({ ancestorId }) => {
+    getAncestorGenerations(ancestorId, parentMap).forEach((generations, id) => {
+      if (generations > 0 && commonIds.has(id)) remote.add(id);
+    });
+  });
+
+  return common
+    .map(c => ({ ...c, isNearest: !remote.has(c.ancestorId) }))
+    .sort((a, b) => a.civilDegree - b.civilDegree || a.canonicalDegree - b.canonicalDegree);
+}
+
+/**
+ * Measure the blood relationship between two people
+ *
+ * @param {number} personAId
+ * @param {number} personBId
+ * @param {Array} relationships - All relationships in the dataset
+ * @param {Object} [calculator] - Reuse a createKinshipCalculator result (and its parentMap)
+ * @returns {Object} {
+ *   related, directLine, coefficient (r, 0..1), kinship, commonAncestors,
+ *   canonicalDegree, civilDegree (null when unrelated)
+ * }
+ */
+export function analyzeConsanguinity(personAId, personBId, relationships, calculator = null) {
+  const parentMap = calculator?.parentMap || buildBloodParentMap(relationships);
+  const { kinship, inbreeding } = calculator || createKinshipCalculator(parentMap);
+
+  const commonAncestors = findCommonAncestors(personAId, personBId, parentMap);
+  const phi = kinship(personAId, personBId);
+  const scale = Math.sqrt((1 + inbreeding(personAId)) * (1 + inbreeding(personBId)));
+
+  const related = commonAncestors.length > 0;
+  return {
+    related,
+    directLine: commonAncestors.some(c => c.generationsA === 0 || c.generationsB === 0),
+    coefficient: scale > 0 ? (2 * phi) / scale : 0,
+    kinship: phi,
+    commonAncestors,
+    canonicalDegree: related ? Math.min(...commonAncestors.map(c => c.canonicalDegree)) : null,
+    civilDegree: related ? Math.min(...commonAncestors.map(c => c.civilDegree)) : null
+  };
+}
+
+/**
+ * Check whether two people may marry under the dataset's marriage law
+ *
+ * @param {number} personAId
+ * @param {number} personBId
+ * @param {Array} relationships - All relationships in the dataset
+ * @param {Object} rules - normalizeMarriageRules() result
+ * @returns {Object} analyzeConsanguinity() result plus
+ *   { prohibited, degree (in the law's reckoning), reason }
+ */
+export function checkMarriageEligibility(personAId, personBId, relationships, rules) {
+  const analysis = analyzeConsanguinity(personAId, personBId, relationships);
+  const degree = rules.reckoning === 'civil' ? analysis.civilDegree : analysis.canonicalDegree;
+  const unrestricted = rules.prohibitedDegree === 0;
+
+  let reason = null;
+  if (analysis.related && !unrestricted) {
+    if (analysis.directLine) {
+      reason = 'They are in the direct line of descent';
+    } else if (degree <= rules.prohibitedDegree) {
+      reason = `They are related in the ${formatDegree(degree)} ${rules.reckoning} degree; ` +
+        `marriage is prohibited within the ${formatDegree(rules.prohibitedDegree)}`;
+    }
+  }
+
+  return { ...analysis, degree, prohibited: reason !== null, reason };
+}
+
+/**
+ * "1st", "2nd", "3rd", "4th"...
+ */
+export function formatDegree(degree) {
+  const mod100 = degree % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${degree}th`;
+  switch (degree % 10) {
+    case 1: return `${degree}st`;
+    case 2: return `${degree}nd`;
+    case 3: return `${degree}rd`;
+    default: return `${degree}th`;
+  }
+}
+
+/**
+ * Coefficient as a percentage, to a sensible precision ("12.5%", "0.39%")
+ */
+export function formatCoefficient(coefficient) {
+  const percent = coefficient * 100;
+  if (percent === 0) return '0%';
+  const digits = percent >= 10 ? 1 : percent >= 1 ? 2 : 3;
+  return `${parseFloat(percent.toFixed(digits))}%`;
+}
+
+export default {
+  buildBloodParentMap,
+  createKinshipCalculator,
+  findCommonAncestors,
+  analyzeConsanguinity,
+  checkMarriageEligibility,
+  formatDegree,
+  formatCoefficient
+};
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildBloodParentMap,
+  createKinshipCalculator,
+  findCommonAncestors,
+  analyzeConsanguinity,
+  checkMarriageEligibility,
+  formatDegree,
+  formatCoefficient
+} from './consanguinity';
+import { normalizeMarriageRules } from '../data/marriageLaws';
+
+const parent = (person1Id, person2Id, extra = {}) => ({ person1Id, person2Id, relationshipType: 'parent', ...extra });
+
+// Grandparents 1 + 2 have children 3 and 4. 3 + 5 have 6; 4 + 7 have 8 -
+// so 6 and 8 are first cousins. Their child 9 is the child of cousins.
+// 10 is a half-sibling of 3 and 4 (by 1 only); 11 is adopted by 3.
+const relationships = [
+  parent(1, 3), parent(2, 3),
+  parent(1, 4), parent(2, 4),
+  parent(3, 6), parent(5, 6),
+  parent(4, 8), parent(7, 8),
+  parent(6, 9), parent(8, 9),
+  parent(1, 10), parent(12, 10),
+  parent(3, 11, { biologicalParent: false }),
+  { person1Id: 3, person2Id: 11, relationshipType: 'adopted-parent' },
+  { person1Id: 3, person2Id: 5, relationshipType: 'spouse' }
+];
+
+describe('buildBloodParentMap', () => {
+  it('keeps only biological parent links', () => {
+    const parentMap = buildBloodParentMap(relationships);
+    expect(parentMap.get(6)).toEqual([3, 5]);
+    expect(parentMap.has(11)).toBe(false);
+    expect(parentMap.has(5)).toBe(false);
+  });
+});
+
+describe('findCommonAncestors', () => {
+  const parentMap = buildBloodParentMap(relationships);
+
+  it('finds shared grandparents of first cousins, nearest first', () => {
+    const common = findCommonAncestors(6, 8, parentMap);
+    expect(common.map(c => c.ancestorId).sort()).toEqual([1, 2]);
+    expect(common[0]).toMatchObject({ generationsA: 2, generationsB: 2, canonicalDegree: 2, civilDegree: 4, isNearest: true });
+  });
+
+  it('counts a direct ancestor at generation 0', () => {
+    expect(findCommonAncestors(1, 6, parentMap)[0]).toMatchObject({ ancestorId: 1, generationsA: 0, generationsB: 2 });
+  });
+
+  it('marks ancestors reached only through a nearer common ancestor', () => {
+    const common = findCommonAncestors(3, 9, parentMap);
+    expect(common.find(c => c.ancestorId === 3).isNearest).toBe(true);
+    expect(common.find(c => c.ancestorId === 1).isNearest).toBe(false);
+  });
+});
+
+describe('analyzeConsanguinity', () => {
+  it.each([
+    ['parent and child', 3, 6, 0.5],
+    ['full siblings', 3, 4, 0.5],
+    ['half-siblings', 3, 10, 0.25],
+    ['uncle and nephew', 3, 8, 0.25],
+    ['first cousins', 6, 8, 0.125],
+    ['unrelated', 5, 7, 0]
+  ])('gives the coefficient of relationship for %s', (label, a, b, r) => {
+    expect(analyzeConsanguinity(a, b, relationships).coefficient).toBeCloseTo(r, 10);
+  });
+
+  it('reports degrees in both reckonings', () => {
+    const cousins = analyzeConsanguinity(6, 8, relationships);
+    expect(cousins).toMatchObject({ related: true, directLine: false, canonicalDegree: 2, civilDegree: 4 });
+
+    const strangers = analyzeConsanguinity(5, 7, relationships);
+    expect(strangers).toMatchObject({ related: false, canonicalDegree: null, civilDegree: null });
+  });
+
+  it('ignores adoption', () => {
+    expect(analyzeConsanguinity(3, 11, relationships).related).toBe(false);
+  });
+});
+
+describe('createKinshipCalculator', () => {
+  it('gives the inbreeding coefficient of a child of first cousins', () => {
+    const { inbreeding, kinship } = createKinshipCalculator(buildBloodParentMap(relationships));
+    expect(inbreeding(9)).toBeCloseTo(1 / 16, 10);
+    expect(inbreeding(6)).toBe(0);
+    expect(kinship(9, 9)).toBeCloseTo(0.5 * (1 + 1 / 16), 10);
+  });
+
+  it('survives a cycle in bad data', () => {
+    const { kinship } = createKinshipCalculator(new Map([[1, [2]], [2, [1]]]));
+    expect(Number.isFinite(kinship(1, 2))).toBe(true);
+  });
+});
+
+describe('checkMarriageEligibility', () => {
+  it('prohibits first cousins under the fourth canonical degree', () => {
+    const result = checkMarriageEligibility(6, 8, relationships, normalizeMarriageRules({ law: 'canon1215' }));
+    expect(result.prohibited).toBe(true);
+    expect(result.reason).toBe(
+      'They are related in the 2nd canonical degree; marriage is prohibited within the 4th'
+    );
+  });
+
+  it('allows first cousins when the law reckons civilly within the 3rd degree', () => {
+    const rules = normalizeMarriageRules({ law: 'custom', reckoning: 'civil', prohibitedDegree: 3 });
+    expect(checkMarriageEligibility(6, 8, relationships, rules)).toMatchObject({ prohibited: false, degree: 4 });
+  });
+
+  it('always prohibits the direct line, unless the law has no restriction', () => {
+    const law = normalizeMarriageRules({ law: 'custom', reckoning: 'canonical', prohibitedDegree: 1 });
+    expect(checkMarriageEligibility(1, 9, relationships, law).reason).toBe('They are in the direct line of descent');
+    expect(checkMarriageEligibility(1, 9, relationships, normalizeMarriageRules({ law: 'none' })).prohibited).toBe(false);
+  });
+});
+
+describe('formatting', () => {
+  it('writes ordinal degrees', () => {
+    expect([1, 2, 3, 4, 11, 12, 13, 21, 22, 111].map(formatDegree))
+      .toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '111th']);
+  });
+
+  it('writes coefficients as percentages', () => {
+    expect(formatCoefficient(0.125)).toBe('12.5%');
+    expect(formatCoefficient(0.0625)).toBe('6.25%');
+    expect(formatCoefficient(0.00390625)).toBe('0.391%');
+    expect(formatCoefficient(0)).toBe('0%');
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Custom Succession Engine
+ *
+ * Evaluates a dignity's custom succession law (see data/successionCriteria.js)
+ * against a line of candidates. calculateSuccessionLine() builds and ranks
+ * the pool; this module then:
+ * 1. Excludes anyone who fails a "must" criterion or meets a "must not"
+ *    one - the first such criterion becomes the exclusion reason
+ * 2. Re-ranks the rest by the "prefer" criteria, earliest first, keeping
+ *    the base order among candidates who match the same preferences
+ *
+ * Criteria with no value yet (a half-finished row in the builder) are
+ * ignored rather than matching no one.
+ */
+
+import { calculateCalendarAge } from './calendarUtils';
+import { HOUSEHOLD_ROLE_TYPES } from '../data/householdRoleTypes';
+import {
+  CRITERION_FIELDS,
+  GENDER_VALUES,
+  LEGITIMACY_VALUES,
+  normalizeCustomSuccession
+} from '../data/successionCriteria';
+
+/**
+ * Whether a criterion has everything it needs to be evaluated
+ */
+export function isCriterionComplete(criterion) {
+  const field = CRITERION_FIELDS[criterion.field];
+  if (!field) return false;
+  if (field.valueType === 'none') return true;
+  if (field.valueType === 'number') return Number.isFinite(parseInt(criterion.value, 10));
+  return String(criterion.value ?? '').trim() !== '';
+}
+
+function sameText(a, b) {
+  return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+}
+
+/**
+ * Test one person against one criterion, ignoring its effect
+ *
+ * @param {Object} person
+ * @param {Object} criterion - { field, value }
+ * @param {Object} context - See applyCustomSuccessionRules()
+ * @returns {boolean}
+ */
+export function matchesCriterion(person, criterion, context = {}) {
+  const { value } = criterion;
+
+  switch (criterion.field) {
+    case 'house':
+      return person.houseId === parseInt(value, 10);
+    case 'gender':
+      return person.gender === value;
+    case 'legitimacy':
+      return (person.legitimacyStatus || 'legitimate') === value;
+    case 'species':
+    case 'magicalBloodline':
+    case 'religion':
+      return sameText(person[criterion.field], value);
+    case 'minAge':
+    case 'maxAge': {
+      // An unknown age meets neither bound
+      const age = calculateCalendarAge(person.dateOfBirth, context.asOfDate || null);
+      if (age === null) return false;
+      const bound = parseInt(value, 10);
+      return criterion.field === 'minAge' ? age >= bound : age <= bound;
+    }
+    case 'householdRole':
+      return context.roleTypesByPerson?.get(person.id)?.has(value) || false;
+    case 'descendant':
+      return context.descendantIds?.has(person.id) || false;
+    default:
+      return false;
+  }
+}
+
+function describeValue(criterion, context) {
+  const { value } = criterion;
+  switch (CRITERION_FIELDS[criterion.field]?.valueType) {
+    case 'house': {
+      const house = context.housesById?.get(parseInt(value, 10));
+      return house?.houseName || 'the chosen house';
+    }
+    case 'role':
+      return HOUSEHOLD_ROLE_TYPES[value]?.name || value;
+    case 'gender':
+      return (GENDER_VALUES[value] || value).toLowerCase();
+    case 'legitimacy':
+      return (LEGITIMACY_VALUES[value] || value).toLowerCase();
+    default:
+      return String(value ?? '').trim();
+  }
+}
+
+/**
+ * Describe a criterion as a sentence, e.g. "Must not be of the Elf species"
+ * Also used as the exclusion reason of anyone the criterion excludes.
+ *
+ * @param {Object} criterion - { effect, field, value }
+ * @param {Object} [context] - Needs housesById to name houses
+ * @returns {string}
+ */
+export function describeCriterion(criterion, context = {}) {
+  const field = CRITERION_FIELDS[criterion.field];
+  if (!field) return 'Unknown rule';
+
+  const value = describeValue(criterion, context);
+  if (criterion.effect === 'prefer') {
+    return `Prefer those who ${field.who.replace('{value}', value)}`;
+  }
+  const verb = criterion.effect === 'exclude' ? 'Must not' : 'Must';
+  return `${verb} ${field.must.replace('{value}', value)}`;
+}
+
+/**
+ * Apply a custom succession law to a ranked line of candidates
+ *
+ * @param {Array} candidates - Succession candidates in base order
+ *   ({ person, excluded, exclusionReason, ... }); updated in place
+ * @param {Object} custom - successionRules.custom
+ * @param {Object} context
+ * @param {string} [context.asOfDate] - Stored date ages are measured to (default: today)
+ * @param {Map} [context.housesById] - houseId -> house, for descriptions
+ * @param {Map} [context.roleTypesByPerson] - personId -> Set of household role types held
+ * @param {Set} [context.descendantIds] - Descendants of the holder
+ * @returns {Array} The candidates in their new order
+ */
+export function applyCustomSuccessionRules(candidates, custom, context = {}) {
+  const { criteria } = normalizeCustomSuccession(custom);
+  const active = criteria.filter(isCriterionComplete);
+  const filters = active.filter(c => c.effect !== 'prefer');
+  const preferences = active.filter(c => c.effect === 'prefer');
+
+  candidates.forEach(candidate => {
+    if (candidate.excluded) return;
+    const failed = filters.find(criterion =>
+      matchesCriterion(candidate.person, criterion, context) === (criterion.effect === 'exclude')
+    );
+    if (failed) {
+      candidate.excluded = true;
+      candidate.exclusionReason = describeCriterion(failed, context);
+    }
+  });
+
+  const preferenceMatches = new Map(candidates.map(candidate => [
+    candidate,
+    preferences.map(criterion => matchesCriterion(candidate.person, criterion, context))
+  ]));
+
+  // Array.prototype.sort is stable, so ties keep the base order
+  return [...candidates].sort((a, b) => {
+    if (a.excluded !== b.excluded) return a.excluded ? 1 : -1;
+    const matchesA = preferenceMatches.get(a);
+    const matchesB = preferenceMatches.get(b);
+    for (let i = 0; i < preferences.length; i++) {
+      if (matchesA[i] !== matchesB[i]) return matchesA[i] ? -1 : 1;
+    }
+    return 0;
+  });
+}
+
+export default {
+  isCriterionComplete,
+  matchesCriterion,
+  describeCriterion,
+  applyCustomSuccessionRules
+};
@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isCriterionComplete,
+  matchesCriterion,
+  describeCriterion,
+  applyCustomSuccessionRules
+} from './customSuccession';
+
+const AS_OF = '1250-06-01';
+
+const aldric = {
+  id: 1,
+  houseId: 7,
+  gender: 'male',
+  species: 'Human',
+  religion: 'The Seven',
+  dateOfBirth: '1220-03-04'
+};
+const maren = {
+  id: 2,
+  houseId: 7,
+  gender: 'female',
+  legitimacyStatus: 'bastard',
+  species: 'elf',
+  magicalBloodline: 'Dragon Rider',
+  dateOfBirth: '1235-09-10'
+};
+const tobin = { id: 3, houseId: 8, gender: 'male', species: 'Human' };
+
+const context = {
+  asOfDate: AS_OF,
+  housesById: new Map([[7, { id: 7, houseName: 'Stone' }]]),
+  roleTypesByPerson: new Map([[2, new Set(['master-at-arms'])]]),
+  descendantIds: new Set([1, 2])
+};
+
+const line = (...people) => people.map(person => ({ person, excluded: false, exclusionReason: null }));
+
+describe('isCriterionComplete', () => {
+  it('needs a value for every field that takes one', () => {
+    expect(isCriterionComplete({ field: 'species', value: 'Elf' })).toBe(true);
+    expect(isCriterionComplete({ field: 'species', value: '  ' })).toBe(false);
+    expect(isCriterionComplete({ field: 'minAge', value: '16' })).toBe(true);
+    expect(isCriterionComplete({ field: 'minAge', value: 'old' })).toBe(false);
+    expect(isCriterionComplete({ field: 'descendant' })).toBe(true);
+    expect(isCriterionComplete({ field: 'height', value: 'tall' })).toBe(false);
+  });
+});
+
+describe('matchesCriterion', () => {
+  it('matches house, gender and legitimacy', () => {
+    expect(matchesCriterion(aldric, { field: 'house', value: '7' })).toBe(true);
+    expect(matchesCriterion(tobin, { field: 'house', value: '7' })).toBe(false);
+    expect(matchesCriterion(maren, { field: 'gender', value: 'female' })).toBe(true);
+    expect(matchesCriterion(aldric, { field: 'legitimacy', value: 'legitimate' })).toBe(true);
+    expect(matchesCriterion(maren, { field: 'legitimacy', value: 'legitimate' })).toBe(false);
+  });
+
+  it('matches free text without regard to case', () => {
+    expect(matchesCriterion(maren, { field: 'species', value: ' Elf ' })).toBe(true);
+    expect(matchesCriterion(maren, { field: 'magicalBloodline', value: 'dragon rider' })).toBe(true);
+    expect(matchesCriterion(tobin, { field: 'religion', value: 'The Seven' })).toBe(false);
+  });
+
+  it('measures ages to the given date, and an unknown age meets neither bound', () => {
+    expect(matchesCriterion(aldric, { field: 'minAge', value: '30' }, context)).toBe(true);
+    expect(matchesCriterion(aldric, { field: 'minAge', value: '31' }, context)).toBe(false);
+    expect(matchesCriterion(maren, { field: 'maxAge', value: '14' }, context)).toBe(true);
+    expect(matchesCriterion(tobin, { field: 'minAge', value: '0' }, context)).toBe(false);
+    expect(matchesCriterion(tobin, { field: 'maxAge', value: '99' }, context)).toBe(false);
+  });
+
+  it('looks up household offices and descent in the context', () => {
+    expect(matchesCriterion(maren, { field: 'householdRole', value: 'master-at-arms' }, context)).toBe(true);
+    expect(matchesCriterion(aldric, { field: 'householdRole', value: 'master-at-arms' }, context)).toBe(false);
+    expect(matchesCriterion(aldric, { field: 'descendant' }, context)).toBe(true);
+    expect(matchesCriterion(tobin, { field: 'descendant' }, context)).toBe(false);
+    expect(matchesCriterion(aldric, { field: 'descendant' })).toBe(false);
+  });
+});
+
+describe('describeCriterion', () => {
+  it('writes each effect as a sentence', () => {
+    expect(describeCriterion({ effect: 'require', field: 'minAge', value: '16' })).toBe('Must be at least 16 years old');
+    expect(describeCriterion({ effect: 'exclude', field: 'species', value: 'Elf' })).toBe('Must not be of the Elf species');
+    expect(describeCriterion({ effect: 'prefer', field: 'descendant' })).toBe('Prefer those who descend from the holder');
+  });
+
+  it('uses display names for selected values', () => {
+    expect(describeCriterion({ effect: 'require', field: 'house', value: '7' }, context)).toBe('Must belong to Stone');
+    expect(describeCriterion({ effect: 'require', field: 'house', value: '99' }, context)).toBe('Must belong to the chosen house');
+    expect(describeCriterion({ effect: 'exclude', field: 'legitimacy', value: 'bastard' })).toBe('Must not be bastard');
+    expect(describeCriterion({ effect: 'prefer', field: 'gender', value: 'female' })).toBe('Prefer those who are female');
+    expect(describeCriterion({ effect: 'require', field: 'householdRole', value: 'master-at-arms' }))
+      .toBe('Must hold the office of Master-at-Arms');
+  });
+
+  it('names unknown fields plainly', () => {
+    expect(describeCriterion({ effect: 'require', field: 'height', value: 'tall' })).toBe('Unknown rule');
+  });
+});
+
+describe('applyCustomSuccessionRules', () => {
+  it('excludes on the first failed criterion and moves the excluded last', () => {
+    const candidates = line(aldric, maren, tobin);
+    const ordered = applyCustomSuccessionRules(candidates, {
+      criteria: [
+        { effect: 'require', field: 'house', value: '7' },
+        { effect: 'exclude', field: 'legitimacy', value: 'bastard' }
+      ]
+    }, context);
+
+    expect(ordered.map(c => c.person.id)).toEqual([1, 2, 3]);
+    expect(ordered.map(c => c.exclusionReason)).toEqual([null, 'Must not be bastard', 'Must belong to Stone']);
+    expect(candidates[1].excluded).toBe(true);
+  });
+
+  it('keeps the reason of anyone already excluded', () => {
+    const candidates = line(aldric, tobin);
+    candidates[1].excluded = true;
+    candidates[1].exclusionReason = 'Deceased';
+
+    applyCustomSuccessionRules(candidates, { criteria: [{ effect: 'require', field: 'house', value: '7' }] }, context);
+    expect(candidates[1].exclusionReason).toBe('Deceased');
+  });
+
+  it('ranks by preferences in the order listed, keeping the base order on ties', () => {
+    const ordered = applyCustomSuccessionRules(line(tobin, aldric, maren), {
+      criteria: [
+        { effect: 'prefer', field: 'descendant' },
+        { effect: 'prefer', field: 'gender', value: 'female' }
+      ]
+    }, context);
+
+    expect(ordered.map(c => c.person.id)).toEqual([2, 1, 3]);
+    expect(ordered.every(c => !c.excluded)).toBe(true);
+  });
+
+  it('ignores incomplete and unknown criteria', () => {
+    const candidates = line(tobin, aldric);
+    const ordered = applyCustomSuccessionRules(candidates, {
+      criteria: [
+        { effect: 'require', field: 'species', value: '' },
+        { effect: 'require', field: 'height', value: 'tall' },
+        { effect: 'banish', field: 'gender', value: 'male' }
+      ]
+    }, context);
+
+    expect(ordered).toEqual(candidates);
+    expect(ordered.some(c => c.excluded)).toBe(false);
+  });
+});
@@ -0,0 +1,438 @@
+/**
+ * gedcomExport.js - GEDCOM Export Utility
+ *
+ * PURPOSE:
+ * Serialize Lineageweaver genealogy data (people, houses, relationships)
+ * into a GEDCOM file so trees can be opened and checked in Gramps and other
+ * standard genealogy tools.
+ *
+ * SUPPORTED VERSIONS:
+ * - 5.5.1: The de-facto interchange format (requires SUBM, CHAR, CONC/CONT)
+ * - 7.0:   The current FamilySearch specification (no CHAR, no CONC)
+ *
+ * MAPPING:
+ * - person               → INDI (NAME/GIVN/SURN, SEX, BIRT, DEAT, NOTE)
+ * - house                → SURN when the person has no last name of their own
+ * - spouse relationship  → FAM (HUSB/WIFE, MARR, DIV)
+ * - parent relationships → FAM CHIL, grouped by the child's parent pair
+ * - adopted/foster       → separate FAM with PEDI adopted/foster on the child
+ * - dates GEDCOM can't hold (years below 1 or above 9999, fantasy calendar
+ *   text) → a date phrase: "DATE (…)" in 5.5.1, "DATE" + "PHRASE …" in 7.0
+ * - every date, when the dataset has its own calendar → a date phrase in
+ *   that calendar's notation ("12 Frostmoot 340 AE"), which the importer
+ *   reads back with the same calendar
+ *
+ * USAGE:
+ * import { generateGedcom } from './utils/gedcomExport';
+ *
+ * const text = generateGedcom({ people, houses, relationships }, { version: '7.0' });
+ */
+
+import { getActiveCalendar, formatCalendarDate } from './calendarUtils';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const GEDCOM_VERSIONS = {
+  V551: '5.5.1',
+  V70: '7.0'
+};
+
+export const GEDCOM_MONTHS = [
+  'JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN',
+  'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'
+];
+
+// GEDCOM 5.5.1 caps a line at 255 characters; we split text well below that
+const MAX_LINE_VALUE_LENGTH = 200;
+
+// Relationship types that place a child in a family, with their pedigree value
+const PARENT_TYPES = {
+  parent: null,
+  'adopted-parent': 'adopted',
+  'foster-parent': 'foster'
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VALUE HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Convert a Lineageweaver date string (YYYY, YYYY-MM, YYYY-MM-DD)
+ * into a GEDCOM date value ("1203", "MAR 1203", "12 MAR 1203")
+ *
+ * @param {string} dateStr - Date in Lineageweaver format
+ * @returns {string|null} GEDCOM date, or null if GEDCOM has no date value for
+ *   it (unparseable, or a year below 1 or above 9999 - see dateLines)
+ */
+export function toGedcomDate(dateStr) {
+  if (!dateStr) return null;
+
+  const match = String(dateStr).trim().match(/^(\d{1,4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10);
+  if (year < 1) return null;
+  const month = match[2] ? parseInt(match[2], 10) : null;
+  const day = match[3] ? parseInt(match[3], 10) : null;
+
+  if (!month || month < 1 || month > 12) return String(year);
+  if (!day) return `${GEDCOM_MONTHS[month - 1]} ${year}`;
+  return `${day} ${GEDCOM_MONTHS[month - 1]} ${year}`;
+}
+
+/**
+ * Build the DATE line(s) for an event
+ * Dates with no GEDCOM date value are kept word for word as a date phrase,
+ * so nothing is lost: "(-0044)" in 5.5.1, an empty DATE with a PHRASE in 7.0.
+ * With a custom calendar active, months and years aren't Gregorian, so every
+ * date goes into the phrase in the calendar's own notation.
+ *
+ * @param {number} level - Level of the DATE line
+ * @param {string} dateStr - Date in Lineageweaver format
+ * @param {string} version - GEDCOM version
+ * @returns {string[]} GEDCOM lines (empty when there is no date)
+ */
+function dateLines(level, dateStr, version) {
+  const stored = dateStr ? String(dateStr).trim() : '';
+  if (!stored) return [];
+
+  const calendar = getActiveCalendar();
+  const text = calendar ? formatCalendarDate(stored, calendar) : stored;
+
+  const date = calendar ? null : toGedcomDate(text);
+  if (date) return [`${level} DATE ${date}`];
+
+  if (version === GEDCOM_VERSIONS.V70) {
+    return [`${level} DATE`, `${level + 1} PHRASE ${escapeValue(text, version)}`];
+  }
+  return [`${level} DATE (${escapeValue(text.replace(/[()]/g, ''), version)})`];
+}
+
+/**
+ * Escape "@" characters in a line value
+ * 5.5.1 doubles every "@"; 7.0 only doubles a leading "@"
+ */
+function escapeValue(value, version) {
+  const text = String(value);
+  if (version === GEDCOM_VERSIONS.V70) {
+    return text.startsWith('@') ? `@${text}` : text;
+  }
+  return text.replace(/@/g, '@@');
+}
+
+/**
+ * Map Lineageweaver gender to a GEDCOM SEX value
+ */
+function toGedcomSex(gender, version) {
+  if (gender === 'male') return 'M';
+  if (gender === 'female') return 'F';
+  if (gender === 'other' && version === GEDCOM_VERSIONS.V70) return 'X';
+  return 'U';
+}
+
+/**
+ * Build lines for a (possibly multi-line, possibly long) text value.
+ * Newlines become CONT lines; in 5.5.1 long lines are split with CONC.
+ *
+ * @param {number} level - Level of the first line
+ * @param {string} tag - Tag of the first line (e.g. 'NOTE')
+ * @param {string} text - Text to serialize
+ * @param {string} version - GEDCOM version
+ * @returns {string[]} GEDCOM lines
+ */
+function textLines(level, tag, text, version) {
+  const lines = [];
+  const paragraphs = String(text).replace(/\r\n?/g, '\n').split('\n');
+
+  paragraphs.forEach((paragraph, index) => {
+    const chunks = [];
+    if (version === GEDCOM_VERSIONS.V551 && paragraph.length > MAX_LINE_VALUE_LENGTH) {
+      for (let i = 0; i < paragraph.length; i += MAX_LINE_VALUE_LENGTH) {
+        chunks.push(paragraph.slice(i, i + MAX_LINE_VALUE_LENGTH));
+      }
+    } else {
+      chunks.push(paragraph);
+    }
+
+    chunks.forEach((chunk, chunkIndex) => {
+      let lineTag;
+      let lineLevel = level + 1;
+      if (index === 0 && chunkIndex === 0) {
+        lineTag = tag;
+        lineLevel = level;
+      } else if (chunkIndex === 0) {
+        lineTag = 'CONT';
+      } else {
+        lineTag = 'CONC';
+      }
+      const value = escapeValue(chunk, version);
+      lines.push(value ? `${lineLevel} ${lineTag} ${value}` : `${lineLevel} ${lineTag}`);
+    });
+  });
+
+  return lines;
+}
+
+function pedigreeValue(pedigree, version) {
+  return version === GEDCOM_VERSIONS.V70 ? pedigree.toUpperCase() : pedigree;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FAMILY GROUPING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Group spouse and parent relationships into GEDCOM families.
+ *
+ * A family is identified by its (sorted) pair of partners plus the kind of
+ * parentage. Biological children of a married couple land in that couple's
+ * marriage family; adopted and foster children get their own family so the
+ * pedigree can be recorded on the child's FAMC link.
+ *
+ * @param {Array} relationships - All relationships
+ * @param {Set} personIds - IDs of people being exported
+ * @returns {Array} Families: { key, partnerIds, marriage, pedigree, childIds }
+ */
+export function buildGedcomFamilies(relationships, personIds) {
+  const families = new Map();
+
+  const getFamily = (partnerIds, pedigree) => {
+    const sorted = [...new Set(partnerIds)].sort((a, b) => String(a).localeCompare(String(b)));
+    const key = `${sorted.join('+')}|${pedigree || 'birth'}`;
+    if (!families.has(key)) {
+      families.set(key, { key, partnerIds: sorted, marriages: [], pedigree, childIds: [] });
+    }
+    return families.get(key);
+  };
+
+  // Marriages first so biological children attach to them
+  relationships
+    .filter(rel => rel.relationshipType === 'spouse')
+    .filter(rel => personIds.has(rel.person1Id) && personIds.has(rel.person2Id))
+    .forEach(rel => {
+      getFamily([rel.person1Id, rel.person2Id], null).marriages.push(rel);
+    });
+
+  // Collect each child's parents per parentage kind
+  const parentsByChild = new Map();
+  relationships
+    .filter(rel => rel.relationshipType in PARENT_TYPES)
+    .filter(rel => personIds.has(rel.person1Id) && personIds.has(rel.person2Id))
+    .forEach(rel => {
+      const pedigree = PARENT_TYPES[rel.relationshipType];
+      const key = `${rel.person2Id}|${pedigree || 'birth'}`;
+      if (!parentsByChild.has(key)) {
+        parentsByChild.set(key, { childId: rel.person2Id, pedigree, parentIds: [] });
+      }
+      parentsByChild.get(key).parentIds.push(rel.person1Id);
+    });
+
+  parentsByChild.forEach(({ childId, pedigree, parentIds }) => {
+    // GEDCOM families have at most two partners; extra parents get their own family
+    for (let i = 0; i < parentIds.length; i += 2) {
+      const family = getFamily(parentIds.slice(i, i + 2), pedigree);
+      if (!family.childIds.includes(childId)) {
+        family.childIds.push(childId);
+      }
+    }
+  });
+
+  return Array.from(families.values());
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MAIN EXPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Generate a GEDCOM document
+ *
+ * @param {Object} data - { people, houses, relationships }
+ * @param {Object} [options]
+ * @param {string} [options.version='5.5.1'] - '5.5.1' or '7.0'
+ * @param {string} [options.submitterName='Lineageweaver User'] - SUBM name
+ * @param {Date} [options.date] - Export date (defaults to now)
+ * @returns {string} The GEDCOM file contents
+ */
+export function generateGedcom(data, options = {}) {
+  const {
+    version = GEDCOM_VERSIONS.V551,
+    submitterName = 'Lineageweaver User',
+    date = new Date()
+  } = options;
+
+  if (!Object.values(GEDCOM_VERSIONS).includes(version)) {
+    throw new Error(`Unsupported GEDCOM version: ${version}`);
+  }
+
+  const people = data.people || [];
+  const houses = data.houses || [];
+  const relationships = data.relationships || [];
+
+  const housesById = new Map(houses.map(h => [h.id, h]));
+  const personIds = new Set(people.map(p => p.id));
+  const families = buildGedcomFamilies(relationships, personIds);
+  const familyXref = new Map(families.map((family, index) => [family.key, `@F${index + 1}@`]));
+  const personXref = (id) => `@I${id}@`;
+
+  const lines = [];
+
+  // ─────────────────────────────────────────────────────────────────────
+  // HEADER
+  // ─────────────────────────────────────────────────────────────────────
+  const headerDate = `${date.getDate()} ${GEDCOM_MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+
+  lines.push('0 HEAD');
+  lines.push('1 GEDC');
+  lines.push(`2 VERS ${version}`);
+  if (version === GEDCOM_VERSIONS.V551) {
+    lines.push('2 FORM LINEAGE-LINKED');
+  }
+  lines.push('1 SOUR LINEAGEWEAVER');
+  lines.push('2 NAME Lineageweaver');
+  lines.push(`1 DATE ${headerDate}`);
+  if (version === GEDCOM_VERSIONS.V551) {
+    lines.push('1 CHAR UTF-8');
+  }
+  lines.push('1 SUBM @U1@');
+
+  // ─────────────────────────────────────────────────────────────────────
+  // SUBMITTER
+  // ─────────────────────────────────────────────────────────────────────
+  lines.push('0 @U1@ SUBM');
+  lines.push(`1 NAME ${escapeValue(submitterName, version)}`);
+
+  // ─────────────────────────────────────────────────────────────────────
+  // INDIVIDUALS
+  // ─────────────────────────────────────────────────────────────────────
+  const familiesAsChild = new Map();
+  const familiesAsSpouse = new Map();
+  families.forEach(family => {
+    const xref = familyXref.get(family.key);
+    family.childIds.forEach(childId => {
+      if (!familiesAsChild.has(childId)) familiesAsChild.set(childId, []);
+      familiesAsChild.get(childId).push({ xref, pedigree: family.pedigree });
+    });
+    family.partnerIds.forEach(partnerId => {
+      if (!familiesAsSpouse.has(partnerId)) familiesAsSpouse.set(partnerId, []);
+      familiesAsSpouse.get(partnerId).push(xref);
+    });
+  });
+
+  people.forEach(person => {
+    const house = housesById.get(person.houseId);
+    const givenName = person.firstName || '';
+    const surname = person.lastName || house?.houseName || '';
+
+    lines.push(`0 ${personXref(person.id)} INDI`);
+    lines.push(`1 NAME ${escapeValue(`${givenName} /${surname}/`.trim(), version)}`);
+    if (givenName) lines.push(`2 GIVN ${escapeValue(givenName, version)}`);
+    if (surname) lines.push(`2 SURN ${escapeValue(surname, version)}`);
+
+    if (person.maidenName && person.maidenName !== surname) {
+      lines.push(`1 NAME ${escapeValue(`${givenName} /${person.maidenName}/`.trim(), version)}`);
+      lines.push(`2 TYPE ${version === GEDCOM_VERSIONS.V70 ? 'BIRTH' : 'birth'}`);
+      if (givenName) lines.push(`2 GIVN ${escapeValue(givenName, version)}`);
+      lines.push(`2 SURN ${escapeValue(person.maidenName, version)}`);
+    }
+
+    lines.push(`1 SEX ${toGedcomSex(person.gender, version)}`);
+
+    const birthDate = dateLines(2, person.dateOfBirth, version);
+    if (birthDate.length > 0) {
+      lines.push('1 BIRT');
+      lines.push(...birthDate);
+    }
+
+    const deathDate = dateLines(2, person.dateOfDeath, version);
+    if (deathDate.length > 0) {
+      lines.push('1 DEAT');
+      lines.push(...deathDate);
+    }
+
+    (familiesAsChild.get(person.id) || []).forEach(({ xref, pedigree }) => {
+      lines.push(`1 FAMC ${xref}`);
+      if (pedigree) lines.push(`2 PEDI ${pedigreeValue(pedigree, version)}`);
+    });
+
+    (familiesAsSpouse.get(person.id) || []).forEach(xref => {
+      lines.push(`1 FAMS ${xref}`);
+    });
+
+    if (person.notes) {
+      lines.push(...textLines(1, 'NOTE', person.notes, version));
+    }
+  });
+
+  // ─────────────────────────────────────────────────────────────────────
+  // FAMILIES
+  // ─────────────────────────────────────────────────────────────────────
+  const peopleById = new Map(people.map(p => [p.id, p]));
+
+  families.forEach(family => {
+    lines.push(`0 ${familyXref.get(family.key)} FAM`);
+
+    // Husband/wife by gender; fall back to partner order
+    const partners = family.partnerIds.map(id => peopleById.get(id));
+    let husband = partners.find(p => p?.gender === 'male') || null;
+    let wife = partners.find(p => p?.gender === 'female' && p !== husband) || null;
+    partners.forEach(partner => {
+      if (partner === husband || partner === wife) return;
+      if (!husband) husband = partner;
+      else if (!wife) wife = partner;
+    });
+
+    if (husband) lines.push(`1 HUSB ${personXref(husband.id)}`);
+    if (wife) lines.push(`1 WIFE ${personXref(wife.id)}`);
+
+    family.childIds.forEach(childId => {
+      lines.push(`1 CHIL ${personXref(childId)}`);
+    });
+
+    family.marriages.forEach(marriage => {
+      const marriageDate = dateLines(2, marriage.marriageDate, version);
+      lines.push(marriageDate.length > 0 ? '1 MARR' : '1 MARR Y');
+      lines.push(...marriageDate);
+
+      const divorceDate = dateLines(2, marriage.divorceDate, version);
+      if (divorceDate.length > 0) {
+        lines.push('1 DIV');
+        lines.push(...divorceDate);
+      } else if (marriage.marriageStatus === 'divorced') {
+        lines.push('1 DIV Y');
+      }
+    });
+  });
+
+  lines.push('0 TRLR');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Summarize what an export will contain (for UI previews)
+ *
+ * @param {Object} data - { people, houses, relationships }
+ * @returns {Object} { individuals, families }
+ */
+export function getGedcomExportSummary(data) {
+  const personIds = new Set((data.people || []).map(p => p.id));
+  return {
+    individuals: personIds.size,
+    families: buildGedcomFamilies(data.relationships || [], personIds).length
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+export default {
+  generateGedcom,
+  getGedcomExportSummary,
+  buildGedcomFamilies,
+  toGedcomDate,
+  GEDCOM_VERSIONS
+};
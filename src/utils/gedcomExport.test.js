@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+  GEDCOM_VERSIONS,
+  toGedcomDate,
+  buildGedcomFamilies,
+  generateGedcom,
+  getGedcomExportSummary
+} from './gedcomExport';
+
+const EXPORT_DATE = new Date(2026, 0, 5);
+
+const people = [
+  { id: 1, firstName: 'Aldric', lastName: 'Stone', gender: 'male', dateOfBirth: '1180-03-12', dateOfDeath: '1240' },
+  { id: 2, firstName: 'Maren', lastName: 'Vale', gender: 'female', dateOfBirth: '1185' },
+  { id: 3, firstName: 'Edric', lastName: 'Stone', gender: 'male', dateOfBirth: '1205-11' },
+  { id: 4, firstName: 'Wren', lastName: '', gender: 'female', houseId: 10 }
+];
+const houses = [{ id: 10, houseName: 'Stone' }];
+const relationships = [
+  { id: 1, person1Id: 1, person2Id: 2, relationshipType: 'spouse', marriageDate: '1203-06-01' },
+  { id: 2, person1Id: 1, person2Id: 3, relationshipType: 'parent' },
+  { id: 3, person1Id: 2, person2Id: 3, relationshipType: 'parent' },
+  { id: 4, person1Id: 1, person2Id: 4, relationshipType: 'adopted-parent' }
+];
+
+describe('toGedcomDate', () => {
+  it('converts years, months and days', () => {
+    expect(toGedcomDate('1203')).toBe('1203');
+    expect(toGedcomDate('1203-03')).toBe('MAR 1203');
+    expect(toGedcomDate('1203-03-12')).toBe('12 MAR 1203');
+  });
+
+  it('has no date value for years GEDCOM cannot hold', () => {
+    expect(toGedcomDate('-0044-03-15')).toBeNull();
+    expect(toGedcomDate('12345')).toBeNull();
+    expect(toGedcomDate('0')).toBeNull();
+    expect(toGedcomDate('12 Frostmoot 340 AE')).toBeNull();
+    expect(toGedcomDate('')).toBeNull();
+  });
+});
+
+describe('buildGedcomFamilies', () => {
+  it('puts biological children in their parents\' marriage and adoptions in a family of their own', () => {
+    const families = buildGedcomFamilies(relationships, new Set([1, 2, 3, 4]));
+
+    const marriage = families.find(f => f.marriages.length > 0);
+    expect(marriage.partnerIds).toEqual([1, 2]);
+    expect(marriage.childIds).toEqual([3]);
+
+    const adoption = families.find(f => f.pedigree === 'adopted');
+    expect(adoption.partnerIds).toEqual([1]);
+    expect(adoption.childIds).toEqual([4]);
+  });
+
+  it('leaves out relationships to people not being exported', () => {
+    const families = buildGedcomFamilies(relationships, new Set([1, 3]));
+    expect(families).toHaveLength(1);
+    expect(families[0].marriages).toEqual([]);
+    expect(families[0].childIds).toEqual([3]);
+  });
+});
+
+describe('generateGedcom', () => {
+  it('writes a 5.5.1 file with header, individuals, families and trailer', () => {
+    const lines = generateGedcom({ people, houses, relationships }, { date: EXPORT_DATE }).trim().split('\n');
+
+    expect(lines[0]).toBe('0 HEAD');
+    expect(lines).toContain('2 VERS 5.5.1');
+    expect(lines).toContain('1 CHAR UTF-8');
+    expect(lines).toContain('1 DATE 5 JAN 2026');
+    expect(lines.at(-1)).toBe('0 TRLR');
+
+    expect(lines).toContain('0 @I1@ INDI');
+    expect(lines).toContain('1 NAME Aldric /Stone/');
+    expect(lines).toContain('2 DATE 12 MAR 1180');
+    expect(lines).toContain('1 MARR');
+    expect(lines).toContain('2 DATE 1 JUN 1203');
+    expect(lines).toContain('2 PEDI adopted');
+  });
+
+  it('names a person without a surname after their house', () => {
+    const text = generateGedcom({ people, houses, relationships }, { date: EXPORT_DATE });
+    expect(text).toContain('1 NAME Wren /Stone/');
+  });
+
+  it('writes 7.0 without CHAR and with upper-case pedigrees', () => {
+    const text = generateGedcom({ people, houses, relationships }, { version: GEDCOM_VERSIONS.V70, date: EXPORT_DATE });
+    expect(text).toContain('2 VERS 7.0');
+    expect(text).not.toContain('1 CHAR');
+    expect(text).toContain('2 PEDI ADOPTED');
+  });
+
+  it('keeps dates GEDCOM cannot hold as date phrases', () => {
+    const ancient = [{ id: 9, firstName: 'Oldest', lastName: 'Stone', gender: 'male', dateOfBirth: '-0044-03-15', dateOfDeath: '12345' }];
+
+    const v551 = generateGedcom({ people: ancient }, { date: EXPORT_DATE });
+    expect(v551).toContain('1 BIRT\n2 DATE (-0044-03-15)');
+    expect(v551).toContain('1 DEAT\n2 DATE (12345)');
+
+    const v70 = generateGedcom({ people: ancient }, { version: GEDCOM_VERSIONS.V70, date: EXPORT_DATE });
+    expect(v70).toContain('1 BIRT\n2 DATE\n3 PHRASE -0044-03-15');
+  });
+
+  it('escapes @ as each version requires', () => {
+    const noted = [{ id: 5, firstName: '@Ana', lastName: 'Stone', gender: 'female', notes: 'mail a@b' }];
+    expect(generateGedcom({ people: noted }, { date: EXPORT_DATE })).toContain('1 NOTE mail a@@b');
+    expect(generateGedcom({ people: noted }, { version: GEDCOM_VERSIONS.V70, date: EXPORT_DATE }))
+      .toContain('1 NAME @@Ana /Stone/');
+  });
+
+  it('rejects an unknown version', () => {
+    expect(() => generateGedcom({ people }, { version: '6.0' })).toThrow('Unsupported GEDCOM version');
+  });
+});
+
+describe('getGedcomExportSummary', () => {
+  it('counts individuals and families', () => {
+    expect(getGedcomExportSummary({ people, relationships })).toEqual({ individuals: 4, families: 2 });
+  });
+});
@@ -0,0 +1,630 @@
+/**
+ * gedcomImport.js - GEDCOM Import Utility
+ *
+ * PURPOSE:
+ * Read a .ged file (5.5.1 or 7.0), map its INDI/FAM records onto
+ * Lineageweaver people, houses and relationships, and build a preview of
+ * duplicates and conflicts before anything is written to a dataset.
+ *
+ * WHAT THIS DOES:
+ * 1. Parses GEDCOM lines into a record tree (CONC/CONT merged, @@ unescaped)
+ * 2. Maps INDI → person, SURN → house, FAM → spouse + parent relationships
+ * 3. Runs everything through validatePerson/validateRelationship
+ * 4. Commits the accepted records with addHouse/addPerson/addRelationship,
+ *    pushing each one to the cloud through the syncAdd* functions when a
+ *    userId is given (the same path the app's own edits take)
+ *
+ * USAGE:
+ * import { parseGedcom, buildGedcomImportPreview, commitGedcomImport } from './utils/gedcomImport';
+ *
+ * const mapped = parseGedcom(fileText);
+ * const preview = buildGedcomImportPreview(mapped, { people, houses, relationships });
+ * const result = await commitGedcomImport(preview, preview.decisions, { datasetId, userId: user?.uid });
+ */
+
+import { addHouse, addPerson, addRelationship } from '../services/database';
+import { syncAddHouse, syncAddPerson, syncAddRelationship } from '../services/dataSyncService';
+import { validatePerson, validateRelationship } from './SmartDataValidator';
+import { GEDCOM_MONTHS } from './gedcomExport';
+import { getActiveCalendar, validateCalendarDate, normalizeDateInput } from './calendarUtils';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LINE PARSING
+// ═══════════════════════════════════════════════════════════════════════════
+
+const LINE_PATTERN = /^\s*(\d+)\s+(?:(@[^@]+@)\s+)?([A-Za-z0-9_]+)(?:\s(.*))?$/;
+
+/**
+ * Parse GEDCOM text into a tree of records
+ *
+ * @param {string} text - Raw GEDCOM file contents
+ * @returns {{ records: Array, version: string|null, errors: string[] }}
+ */
+export function parseGedcomRecords(text) {
+  const errors = [];
+  const records = [];
+  const stack = [];
+
+  const lines = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r\n|\r|\n/);
+
+  lines.forEach((rawLine, index) => {
+    if (!rawLine.trim()) return;
+
+    const match = rawLine.match(LINE_PATTERN);
+    if (!match) {
+      errors.push(`Line ${index + 1}: Could not parse "${rawLine.slice(0, 60)}"`);
+      return;
+    }
+
+    const level = parseInt(match[1], 10);
+    const node = {
+      level,
+      xref: match[2] || null,
+      tag: match[3].toUpperCase(),
+      value: unescapeValue(match[4] ?? ''),
+      children: []
+    };
+
+    // Continuation lines fold into their parent's value
+    if ((node.tag === 'CONC' || node.tag === 'CONT') && stack.length > 0) {
+      const parent = stack[stack.length - 1];
+      if (parent.level === level - 1) {
+        parent.value += (node.tag === 'CONT' ? '\n' : '') + node.value;
+        return;
+      }
+    }
+
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+
+    if (level === 0) {
+      records.push(node);
+    } else if (stack.length > 0 && stack[stack.length - 1].level === level - 1) {
+      stack[stack.length - 1].children.push(node);
+    } else {
+      errors.push(`Line ${index + 1}: Level ${level} has no parent record`);
+      return;
+    }
+
+    stack.push(node);
+  });
+
+  const head = records.find(r => r.tag === 'HEAD');
+  const version = findValue(findChild(head, 'GEDC'), 'VERS');
+
+  return { records, version, errors };
+}
+
+function unescapeValue(value) {
+  return value.replace(/@@/g, '@');
+}
+
+function findChild(node, tag) {
+  return node?.children.find(child => child.tag === tag) || null;
+}
+
+function findChildren(node, tag) {
+  return node?.children.filter(child => child.tag === tag) || [];
+}
+
+function findValue(node, tag) {
+  const child = findChild(node, tag);
+  return child ? child.value.trim() : null;
+}
+
+/**
+ * An event's DATE value, with a 7.0 PHRASE under an empty DATE read as
+ * the 5.5.1 "(phrase)" form
+ */
+function findDate(eventNode) {
+  const dateNode = findChild(eventNode, 'DATE');
+  if (!dateNode) return null;
+  const value = dateNode.value.trim();
+  if (value) return value;
+  const phrase = findValue(dateNode, 'PHRASE');
+  return phrase ? `(${phrase})` : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VALUE CONVERSION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Convert a GEDCOM date value into Lineageweaver format (YYYY, YYYY-MM, YYYY-MM-DD)
+ *
+ * Qualifiers (ABT, EST, BEF, AFT, CAL) are dropped; ranges and periods
+ * (BET x AND y, FROM x TO y) use their first date. Calendar escapes other
+ * than Gregorian are not converted. A date phrase "(…)" is kept when it holds
+ * a Lineageweaver date, as the exporter writes for years below 1 or above 9999,
+ * or, with a custom calendar active, a date in its notation ("12 Frostmoot
+ * 340 AE"), which is converted to the stored form.
+ *
+ * @param {string} value - GEDCOM date value
+ * @returns {{ date: string|null, approximate: boolean }}
+ */
+export function fromGedcomDate(value) {
+  if (!value) return { date: null, approximate: false };
+
+  const phrase = value.trim().match(/^\((.*)\)$/);
+  if (phrase) {
+    const date = phrase[1].trim();
+    if (/^-?\d+(-\d{1,2}){0,2}$/.test(date)) return { date, approximate: false };
+    return getActiveCalendar() && !validateCalendarDate(date)
+      ? { date: normalizeDateInput(date), approximate: false }
+      : { date: null, approximate: true };
+  }
+
+  let text = value.trim().toUpperCase();
+  let approximate = false;
+
+  if (/^(@#D[A-Z ]+@|JULIAN|HEBREW|FRENCH_R)/.test(text) && !/^(@#DGREGORIAN@|GREGORIAN)/.test(text)) {
+    return { date: null, approximate: true };
+  }
+  text = text.replace(/^(@#DGREGORIAN@|GREGORIAN)\s*/, '');
+
+  const qualifier = text.match(/^(ABT|EST|CAL|BEF|AFT|INT)\s+/);
+  if (qualifier) {
+    approximate = true;
+    text = text.slice(qualifier[0].length);
+  }
+
+  const range = text.match(/^(?:BET|FROM)\s+(.+?)(?:\s+(?:AND|TO)\s+.+)?$/);
+  if (range) {
+    approximate = true;
+    text = range[1];
+  }
+
+  const parts = text.split(/\s+/);
+  const yearPart = parts[parts.length - 1];
+  const year = parseInt(yearPart, 10);
+  if (isNaN(year)) return { date: null, approximate };
+
+  const paddedYear = String(year).padStart(4, '0');
+  const monthIndex = parts.length >= 2 ? GEDCOM_MONTHS.indexOf(parts[parts.length - 2]) : -1;
+  if (monthIndex === -1) return { date: paddedYear, approximate };
+
+  const month = String(monthIndex + 1).padStart(2, '0');
+  const day = parts.length >= 3 ? parseInt(parts[parts.length - 3], 10) : NaN;
+  if (isNaN(day)) return { date: `${paddedYear}-${month}`, approximate };
+
+  return { date: `${paddedYear}-${month}-${String(day).padStart(2, '0')}`, approximate };
+}
+
+function toGender(sex) {
+  switch ((sex || '').toUpperCase()) {
+    case 'M': return 'male';
+    case 'F': return 'female';
+    case 'X': return 'other';
+    default: return 'other';
+  }
+}
+
+/**
+ * Split a GEDCOM personal name ("Given /Surname/ Suffix")
+ */
+function parseName(nameNode) {
+  const raw = nameNode?.value || '';
+  const slashMatch = raw.match(/^(.*?)\/(.*?)\/(.*)$/);
+
+  let given = slashMatch ? slashMatch[1].trim() : raw.trim();
+  let surname = slashMatch ? slashMatch[2].trim() : '';
+
+  const givn = findValue(nameNode, 'GIVN');
+  const surn = findValue(nameNode, 'SURN');
+  if (givn) given = givn;
+  if (surn) surname = surn;
+
+  return {
+    given,
+    surname,
+    type: (findValue(nameNode, 'TYPE') || '').toLowerCase()
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RECORD MAPPING
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PEDIGREE_TO_TYPE = {
+  birth: 'parent',
+  adopted: 'adopted-parent',
+  foster: 'foster-parent'
+};
+
+/**
+ * Parse a GEDCOM file and map it onto Lineageweaver records.
+ * Records reference each other by GEDCOM xref (their _tempId).
+ *
+ * @param {string} text - Raw GEDCOM file contents
+ * @returns {Object} { version, people, houses, relationships, warnings, errors }
+ */
+export function parseGedcom(text) {
+  const { records, version, errors } = parseGedcomRecords(text);
+  const warnings = [];
+
+  if (!records.some(r => r.tag === 'HEAD')) {
+    errors.push('Missing HEAD record - this does not look like a GEDCOM file');
+  }
+
+  const houses = new Map(); // lowercase surname -> house
+  const people = [];
+  const relationships = [];
+
+  // Pedigree of each child within each family: `${famXref}|${indiXref}` -> pedigree
+  const pedigrees = new Map();
+
+  // ─────────────────────────────────────────────────────────────────────
+  // INDIVIDUALS
+  // ─────────────────────────────────────────────────────────────────────
+  records.filter(r => r.tag === 'INDI').forEach(indi => {
+    if (!indi.xref) {
+      warnings.push('Skipped an INDI record without an identifier');
+      return;
+    }
+
+    const names = findChildren(indi, 'NAME').map(parseName);
+    const primary = names.find(n => !n.type || n.type === 'aka') || names[0] || { given: '', surname: '' };
+    const birthName = names.find(n => (n.type === 'birth' || n.type === 'maiden') && n !== primary);
+
+    const birth = fromGedcomDate(findDate(findChild(indi, 'BIRT')));
+    const deathNode = findChild(indi, 'DEAT');
+    const death = fromGedcomDate(findDate(deathNode));
+
+    if (birth.approximate || death.approximate) {
+      warnings.push(`${primary.given} ${primary.surname}: approximate or non-Gregorian dates were simplified`);
+    }
+
+    let houseTempId = null;
+    if (primary.surname) {
+      const key = primary.surname.toLowerCase();
+      if (!houses.has(key)) {
+        houses.set(key, { _tempId: `HOUSE:${key}`, houseName: primary.surname, houseType: 'main' });
+      }
+      houseTempId = houses.get(key)._tempId;
+    }
+
+    const notes = findChildren(indi, 'NOTE')
+      .map(note => note.value)
+      .filter(value => value && !/^@[^@]+@$/.test(value))
+      .join('\n\n');
+
+    people.push({
+      _tempId: indi.xref,
+      firstName: primary.given,
+      lastName: primary.surname,
+      maidenName: birthName?.surname && birthName.surname !== primary.surname ? birthName.surname : null,
+      gender: toGender(findValue(indi, 'SEX')),
+      dateOfBirth: birth.date,
+      dateOfDeath: death.date,
+      houseId: houseTempId,
+      legitimacyStatus: 'legitimate',
+      notes
+    });
+
+    findChildren(indi, 'FAMC').forEach(famc => {
+      const pedigree = (findValue(famc, 'PEDI') || 'birth').toLowerCase();
+      pedigrees.set(`${famc.value.trim()}|${indi.xref}`, pedigree);
+    });
+  });
+
+  const personIds = new Set(people.map(p => p._tempId));
+
+  // ─────────────────────────────────────────────────────────────────────
+  // FAMILIES
+  // ─────────────────────────────────────────────────────────────────────
+  records.filter(r => r.tag === 'FAM').forEach(fam => {
+    const partners = [findValue(fam, 'HUSB'), findValue(fam, 'WIFE')]
+      .filter(Boolean)
+      .filter(id => {
+        if (personIds.has(id)) return true;
+        warnings.push(`Family ${fam.xref}: partner ${id} not found`);
+        return false;
+      });
+
+    const marriage = fromGedcomDate(findDate(findChild(fam, 'MARR')));
+    const divorceNode = findChild(fam, 'DIV');
+    const divorce = fromGedcomDate(findDate(divorceNode));
+
+    if (partners.length === 2 && (findChild(fam, 'MARR') || divorceNode || findChildren(fam, 'CHIL').length === 0)) {
+      relationships.push({
+        _tempId: `${fam.xref}:MARR`,
+        person1Id: partners[0],
+        person2Id: partners[1],
+        relationshipType: 'spouse',
+        marriageDate: marriage.date,
+        divorceDate: divorce.date,
+        marriageStatus: divorceNode ? 'divorced' : 'married'
+      });
+    }
+
+    findChildren(fam, 'CHIL').forEach(chil => {
+      const childId = chil.value.trim();
+      if (!personIds.has(childId)) {
+        warnings.push(`Family ${fam.xref}: child ${childId} not found`);
+        return;
+      }
+
+      const pedigree = pedigrees.get(`${fam.xref}|${childId}`) || 'birth';
+      const relationshipType = PEDIGREE_TO_TYPE[pedigree] || 'parent';
+
+      partners.forEach(parentId => {
+        relationships.push({
+          _tempId: `${fam.xref}:${parentId}>${childId}`,
+          person1Id: parentId,
+          person2Id: childId,
+          relationshipType,
+          biologicalParent: relationshipType === 'parent' ? true : null
+        });
+      });
+    });
+  });
+
+  return {
+    version,
+    people,
+    houses: Array.from(houses.values()),
+    relationships,
+    warnings,
+    errors
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PREVIEW
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build an import preview against the target dataset.
+ *
+ * Each imported person gets a default decision:
+ * - 'create' - no problems found
+ * - 'merge'  - likely duplicate of an existing person (relationships attach to them)
+ * - 'skip'   - hard validation errors
+ *
+ * Relationships with hard errors are skipped by default.
+ *
+ * @param {Object} mapped - Result of parseGedcom
+ * @param {Object} existing - { people, houses, relationships } in the target dataset
+ * @returns {Object} { houses, people, relationships, decisions, counts }
+ */
+export function buildGedcomImportPreview(mapped, existing = {}) {
+  const existingPeople = existing.people || [];
+  const existingHouses = existing.houses || [];
+
+  // Houses: reuse an existing house with the same name
+  const houses = mapped.houses.map(house => {
+    const match = existingHouses.find(h =>
+      h.houseName?.toLowerCase() === house.houseName.toLowerCase()
+    );
+    return { ...house, existingHouseId: match ? match.id : null };
+  });
+
+  // People: duplicates against the target dataset, errors from the validator
+  const people = mapped.people.map(person => {
+    const validation = validatePerson(person, existingPeople);
+    const duplicateWarning = validation.warnings.find(w => w.code === 'POTENTIAL_DUPLICATE');
+    const duplicates = duplicateWarning?.details?.duplicates || [];
+
+    return {
+      person,
+      errors: validation.errors,
+      warnings: validation.warnings.filter(w => w.code !== 'POTENTIAL_DUPLICATE'),
+      duplicates
+    };
+  });
+
+  // Relationships: validate among the imported people using their temp IDs
+  const validationPeople = mapped.people.map(p => ({ ...p, id: p._tempId }));
+  const accepted = [];
+  const relationships = mapped.relationships.map(rel => {
+    const validation = validateRelationship(rel, validationPeople, accepted);
+    if (validation.isValid) {
+      accepted.push({ ...rel, id: rel._tempId });
+    }
+    return {
+      relationship: rel,
+      errors: validation.errors,
+      warnings: validation.warnings
+    };
+  });
+
+  const decisions = {
+    people: Object.fromEntries(people.map(item => {
+      if (item.errors.length > 0) return [item.person._tempId, { action: 'skip' }];
+      if (item.duplicates.length > 0) {
+        return [item.person._tempId, { action: 'merge', targetId: item.duplicates[0].id }];
+      }
+      return [item.person._tempId, { action: 'create' }];
+    })),
+    relationships: Object.fromEntries(relationships.map(item => [
+      item.relationship._tempId,
+      { action: item.errors.length > 0 ? 'skip' : 'create' }
+    ]))
+  };
+
+  return {
+    houses,
+    people,
+    relationships,
+    decisions,
+    counts: {
+      people: people.length,
+      houses: houses.filter(h => !h.existingHouseId).length,
+      relationships: relationships.length,
+      duplicates: people.filter(p => p.duplicates.length > 0).length,
+      conflicts: people.filter(p => p.errors.length > 0).length +
+        relationships.filter(r => r.errors.length > 0).length
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// COMMIT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Write the accepted records into a dataset
+ *
+ * @param {Object} preview - Result of buildGedcomImportPreview
+ * @param {Object} decisions - { people: {tempId: {action, targetId}}, relationships: {tempId: {action}} }
+ * @param {Object} options
+ * @param {string} options.datasetId - Target dataset
+ * @param {string} [options.userId] - Signed-in user; when set, each record is synced to the cloud
+ * @param {Array} [options.existingRelationships] - Relationships already in the dataset (skips duplicates after merges)
+ * @param {Function} [options.onProgress] - Progress callback (step, message)
+ * @returns {Promise<Object>} { success, errors, summary }
+ */
+export async function commitGedcomImport(preview, decisions, options = {}) {
+  const { datasetId = 'default', userId = null, existingRelationships = [], onProgress = () => {} } = options;
+
+  const houseIdMap = new Map();
+  const personIdMap = new Map();
+  const errors = [];
+  const summary = {
+    housesCreated: 0,
+    peopleCreated: 0,
+    peopleMerged: 0,
+    relationshipsCreated: 0,
+    skipped: 0
+  };
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 1: Houses (only those used by people being created)
+  // ─────────────────────────────────────────────────────────────────────
+  const neededHouses = new Set(
+    preview.people
+      .filter(item => decisions.people[item.person._tempId]?.action === 'create')
+      .map(item => item.person.houseId)
+      .filter(Boolean)
+  );
+
+  onProgress('houses', `Creating ${neededHouses.size} houses...`);
+  for (const house of preview.houses) {
+    if (!neededHouses.has(house._tempId)) continue;
+    if (house.existingHouseId) {
+      houseIdMap.set(house._tempId, house.existingHouseId);
+      continue;
+    }
+    try {
+      const houseData = {
+        houseName: house.houseName,
+        houseType: house.houseType || 'main',
+        parentHouseId: null,
+        colorCode: '#4169E1',
+        notes: 'Imported from GEDCOM'
+      };
+      const realId = await addHouse(houseData, { datasetId });
+      houseIdMap.set(house._tempId, realId);
+      summary.housesCreated++;
+
+      // ☁️ Sync to cloud
+      if (userId) {
+        syncAddHouse(userId, datasetId, realId, { ...houseData, id: realId });
+      }
+    } catch (err) {
+      errors.push(`Failed to create house "${house.houseName}": ${err.message}`);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 2: People
+  // ─────────────────────────────────────────────────────────────────────
+  onProgress('people', `Creating ${preview.people.length} people...`);
+  for (const { person } of preview.people) {
+    const decision = decisions.people[person._tempId] || { action: 'create' };
+
+    if (decision.action === 'skip') {
+      summary.skipped++;
+      continue;
+    }
+    if (decision.action === 'merge' && decision.targetId) {
+      personIdMap.set(person._tempId, decision.targetId);
+      summary.peopleMerged++;
+      continue;
+    }
+
+    try {
+      const { _tempId, ...personData } = person;
+      const newPerson = {
+        ...personData,
+        houseId: person.houseId ? houseIdMap.get(person.houseId) || null : null,
+        epithets: [],
+        codexEntryId: null
+      };
+      const realId = await addPerson(newPerson, datasetId);
+      personIdMap.set(person._tempId, realId);
+      summary.peopleCreated++;
+
+      // ☁️ Sync to cloud
+      if (userId) {
+        syncAddPerson(userId, datasetId, realId, { ...newPerson, id: realId });
+      }
+    } catch (err) {
+      errors.push(`Failed to create person "${person.firstName} ${person.lastName}": ${err.message}`);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────
+  // STEP 3: Relationships
+  // ─────────────────────────────────────────────────────────────────────
+  onProgress('relationships', `Creating ${preview.relationships.length} relationships...`);
+  for (const { relationship } of preview.relationships) {
+    const decision = decisions.relationships[relationship._tempId] || { action: 'create' };
+    const person1Id = personIdMap.get(relationship.person1Id);
+    const person2Id = personIdMap.get(relationship.person2Id);
+
+    if (decision.action === 'skip' || !person1Id || !person2Id) {
+      summary.skipped++;
+      continue;
+    }
+
+    // Both ends merged into existing people - don't duplicate what's already there
+    const alreadyExists = existingRelationships.some(existing =>
+      existing.relationshipType === relationship.relationshipType &&
+      ((existing.person1Id === person1Id && existing.person2Id === person2Id) ||
+       (relationship.relationshipType === 'spouse' &&
+        existing.person1Id === person2Id && existing.person2Id === person1Id))
+    );
+    if (alreadyExists) {
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      const { _tempId, ...relData } = relationship;
+      const newRelationship = { ...relData, person1Id, person2Id };
+      const realId = await addRelationship(newRelationship, datasetId);
+      summary.relationshipsCreated++;
+
+      // ☁️ Sync to cloud
+      if (userId) {
+        syncAddRelationship(userId, datasetId, realId, { ...newRelationship, id: realId });
+      }
+    } catch (err) {
+      errors.push(`Failed to create relationship: ${err.message}`);
+    }
+  }
+
+  onProgress('complete', 'Import complete!');
+
+  return {
+    success: errors.length === 0,
+    errors: errors.length > 0 ? errors : null,
+    summary
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+export default {
+  parseGedcom,
+  parseGedcomRecords,
+  fromGedcomDate,
+  buildGedcomImportPreview,
+  commitGedcomImport
+};
@@ -0,0 +1,272 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { addHouse, addPerson, addRelationship } from '../services/database';
+import { syncAddHouse, syncAddPerson, syncAddRelationship } from '../services/dataSyncService';
+import {
+  parseGedcomRecords,
+  fromGedcomDate,
+  parseGedcom,
+  buildGedcomImportPreview,
+  commitGedcomImport
+} from './gedcomImport';
+import { generateGedcom, GEDCOM_VERSIONS } from './gedcomExport';
+import { setActiveCalendar, DEFAULT_FANTASY_CALENDAR } from './calendarUtils';
+
+vi.mock('../services/database', () => ({
+  addHouse: vi.fn(),
+  addPerson: vi.fn(),
+  addRelationship: vi.fn()
+}));
+
+vi.mock('../services/dataSyncService', () => ({
+  syncAddHouse: vi.fn(),
+  syncAddPerson: vi.fn(),
+  syncAddRelationship: vi.fn()
+}));
+
+const FAMILY_GED = [
+  '0 HEAD',
+  '1 GEDC',
+  '2 VERS 5.5.1',
+  '0 @I1@ INDI',
+  '1 NAME Aldric /Stone/',
+  '1 SEX M',
+  '1 BIRT',
+  '2 DATE 12 MAR 1180',
+  '1 NOTE First of his line, mail a@@b',
+  '2 CONC  and more',
+  '2 CONT second line',
+  '0 @I2@ INDI',
+  '1 NAME Maren /Stone/',
+  '1 NAME Maren /Vale/',
+  '2 TYPE birth',
+  '1 SEX F',
+  '1 BIRT',
+  '2 DATE ABT 1185',
+  '0 @I3@ INDI',
+  '1 NAME Edric /Stone/',
+  '1 SEX M',
+  '0 @I4@ INDI',
+  '1 NAME Wren /Stone/',
+  '1 SEX F',
+  '1 FAMC @F2@',
+  '2 PEDI adopted',
+  '0 @F1@ FAM',
+  '1 HUSB @I1@',
+  '1 WIFE @I2@',
+  '1 CHIL @I3@',
+  '1 MARR',
+  '2 DATE 1 JUN 1203',
+  '0 @F2@ FAM',
+  '1 HUSB @I1@',
+  '1 CHIL @I4@',
+  '0 TRLR'
+].join('\n');
+
+describe('parseGedcomRecords', () => {
+  it('builds a record tree, folding CONC/CONT and unescaping @@', () => {
+    const { records, version, errors } = parseGedcomRecords(FAMILY_GED);
+    expect(errors).toEqual([]);
+    expect(version).toBe('5.5.1');
+
+    const aldric = records.find(r => r.xref === '@I1@');
+    const note = aldric.children.find(c => c.tag === 'NOTE');
+    expect(note.value).toBe('First of his line, mail a@b and more\nsecond line');
+  });
+
+  it('reports lines it cannot place', () => {
+    const { errors } = parseGedcomRecords('0 HEAD\n2 VERS 7.0\nnot a line');
+    expect(errors).toHaveLength(2);
+  });
+});
+
+describe('fromGedcomDate', () => {
+  it('converts GEDCOM dates into stored dates', () => {
+    expect(fromGedcomDate('1203')).toEqual({ date: '1203', approximate: false });
+    expect(fromGedcomDate('MAR 1203')).toEqual({ date: '1203-03', approximate: false });
+    expect(fromGedcomDate('12 MAR 1203')).toEqual({ date: '1203-03-12', approximate: false });
+    expect(fromGedcomDate('800')).toEqual({ date: '0800', approximate: false });
+  });
+
+  it('simplifies qualified dates and ranges and flags them approximate', () => {
+    expect(fromGedcomDate('ABT 1185')).toEqual({ date: '1185', approximate: true });
+    expect(fromGedcomDate('BET 1200 AND 1210')).toEqual({ date: '1200', approximate: true });
+    expect(fromGedcomDate('@#DJULIAN@ 1203')).toEqual({ date: null, approximate: true });
+  });
+
+  it('reads back date phrases that hold a stored date', () => {
+    expect(fromGedcomDate('(-0044-03-15)')).toEqual({ date: '-0044-03-15', approximate: false });
+    expect(fromGedcomDate('(12345)')).toEqual({ date: '12345', approximate: false });
+    expect(fromGedcomDate('(around the great flood)')).toEqual({ date: null, approximate: true });
+  });
+
+  describe('with a custom calendar', () => {
+    beforeEach(() => setActiveCalendar(DEFAULT_FANTASY_CALENDAR));
+    afterEach(() => setActiveCalendar(null));
+
+    it('reads date phrases in the calendar\'s notation', () => {
+      expect(fromGedcomDate('(12 Frostmoot 340 AE)')).toEqual({ date: '0340-12-12', approximate: false });
+      expect(fromGedcomDate('(Longnight 12 BE)')).toEqual({ date: '-0011-13', approximate: false });
+      expect(fromGedcomDate('(340 AE)')).toEqual({ date: '0340', approximate: false });
+    });
+
+    it('leaves phrases the calendar cannot read', () => {
+      expect(fromGedcomDate('(12 Frostmoon 340 AE)')).toEqual({ date: null, approximate: true });
+      expect(fromGedcomDate('(30 Frostmoot 340 AE)')).toEqual({ date: null, approximate: true });
+      expect(fromGedcomDate('(around the great flood)')).toEqual({ date: null, approximate: true });
+    });
+  });
+});
+
+describe('parseGedcom', () => {
+  it('maps individuals, surnames and families', () => {
+    const mapped = parseGedcom(FAMILY_GED);
+
+    expect(mapped.people).toHaveLength(4);
+    expect(mapped.houses).toEqual([{ _tempId: 'HOUSE:stone', houseName: 'Stone', houseType: 'main' }]);
+
+    const maren = mapped.people.find(p => p._tempId === '@I2@');
+    expect(maren).toMatchObject({ lastName: 'Stone', maidenName: 'Vale', gender: 'female', dateOfBirth: '1185' });
+    expect(mapped.warnings).toContain('Maren Stone: approximate or non-Gregorian dates were simplified');
+
+    expect(mapped.relationships).toContainEqual(expect.objectContaining({
+      person1Id: '@I1@', person2Id: '@I2@', relationshipType: 'spouse', marriageDate: '1203-06-01'
+    }));
+    expect(mapped.relationships).toContainEqual(expect.objectContaining({
+      person1Id: '@I2@', person2Id: '@I3@', relationshipType: 'parent'
+    }));
+    expect(mapped.relationships).toContainEqual(expect.objectContaining({
+      person1Id: '@I1@', person2Id: '@I4@', relationshipType: 'adopted-parent'
+    }));
+  });
+
+  it('round-trips an export, dates GEDCOM cannot hold included', () => {
+    const people = [
+      { id: 1, firstName: 'Oldest', lastName: 'Stone', gender: 'male', dateOfBirth: '-0044-03-15', dateOfDeath: '12345' },
+      { id: 2, firstName: 'Younger', lastName: 'Stone', gender: 'female', dateOfBirth: '1203-03' }
+    ];
+    const relationships = [{ id: 1, person1Id: 1, person2Id: 2, relationshipType: 'parent' }];
+
+    for (const version of Object.values(GEDCOM_VERSIONS)) {
+      const mapped = parseGedcom(generateGedcom({ people, relationships }, { version }));
+      expect(mapped.errors).toEqual([]);
+      expect(mapped.people.map(p => [p.firstName, p.dateOfBirth, p.dateOfDeath])).toEqual([
+        ['Oldest', '-0044-03-15', '12345'],
+        ['Younger', '1203-03', null]
+      ]);
+      expect(mapped.relationships).toEqual([expect.objectContaining({
+        person1Id: '@I1@', person2Id: '@I2@', relationshipType: 'parent'
+      })]);
+    }
+  });
+
+  it('round-trips dates in a custom calendar through date phrases', () => {
+    setActiveCalendar(DEFAULT_FANTASY_CALENDAR);
+    const people = [
+      { id: 1, firstName: 'Aldric', lastName: 'Stone', gender: 'male', dateOfBirth: '0340-12-12', dateOfDeath: '0402-13' },
+      { id: 2, firstName: 'Maren', lastName: 'Stone', gender: 'female', dateOfBirth: '-0011' }
+    ];
+
+    try {
+      for (const version of Object.values(GEDCOM_VERSIONS)) {
+        const text = generateGedcom({ people, relationships: [] }, { version });
+        expect(text).toContain(version === GEDCOM_VERSIONS.V70 ? '3 PHRASE 12 Frostmoot 340 AE' : '2 DATE (12 Frostmoot 340 AE)');
+
+        const mapped = parseGedcom(text);
+        expect(mapped.people.map(p => [p.firstName, p.dateOfBirth, p.dateOfDeath])).toEqual([
+          ['Aldric', '0340-12-12', '0402-13'],
+          ['Maren', '-0011', null]
+        ]);
+        expect(mapped.warnings).toEqual([]);
+      }
+    } finally {
+      setActiveCalendar(null);
+    }
+  });
+
+  it('errors on text that is not GEDCOM', () => {
+    expect(parseGedcom('0 @I1@ INDI').errors).toContain('Missing HEAD record - this does not look like a GEDCOM file');
+  });
+});
+
+describe('buildGedcomImportPreview', () => {
+  it('reuses houses by name and proposes merging likely duplicates', () => {
+    const existing = {
+      people: [{ id: 50, firstName: 'Aldric', lastName: 'Stone', dateOfBirth: '1180-03-12', gender: 'male' }],
+      houses: [{ id: 7, houseName: 'stone' }]
+    };
+    const preview = buildGedcomImportPreview(parseGedcom(FAMILY_GED), existing);
+
+    expect(preview.houses[0].existingHouseId).toBe(7);
+    expect(preview.counts.houses).toBe(0);
+    expect(preview.decisions.people['@I1@']).toEqual({ action: 'merge', targetId: 50 });
+    expect(preview.decisions.people['@I3@']).toEqual({ action: 'create' });
+  });
+});
+
+describe('commitGedcomImport', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    let nextId = 100;
+    addHouse.mockImplementation(async () => nextId++);
+    addPerson.mockImplementation(async () => nextId++);
+    addRelationship.mockImplementation(async () => nextId++);
+  });
+
+  it('writes the accepted records and syncs each one when signed in', async () => {
+    const preview = buildGedcomImportPreview(parseGedcom(FAMILY_GED));
+    const result = await commitGedcomImport(preview, preview.decisions, { datasetId: 'ds1', userId: 'u1' });
+
+    expect(result.success).toBe(true);
+    expect(result.summary).toMatchObject({ housesCreated: 1, peopleCreated: 4, relationshipsCreated: 4 });
+
+    const houseId = await addHouse.mock.results[0].value;
+    expect(addHouse).toHaveBeenCalledWith(expect.objectContaining({ houseName: 'Stone' }), { datasetId: 'ds1' });
+    expect(syncAddHouse).toHaveBeenCalledWith('u1', 'ds1', houseId, expect.objectContaining({ id: houseId, houseName: 'Stone' }));
+
+    expect(addPerson).toHaveBeenCalledWith(expect.objectContaining({ firstName: 'Edric', houseId }), 'ds1');
+    expect(syncAddPerson).toHaveBeenCalledTimes(4);
+    expect(syncAddPerson).toHaveBeenCalledWith('u1', 'ds1', expect.any(Number), expect.objectContaining({ firstName: 'Edric', houseId }));
+    expect(syncAddRelationship).toHaveBeenCalledTimes(4);
+  });
+
+  it('stays local when nobody is signed in', async () => {
+    const preview = buildGedcomImportPreview(parseGedcom(FAMILY_GED));
+    await commitGedcomImport(preview, preview.decisions, { datasetId: 'ds1' });
+
+    expect(addPerson).toHaveBeenCalledTimes(4);
+    expect(syncAddPerson).not.toHaveBeenCalled();
+    expect(syncAddHouse).not.toHaveBeenCalled();
+    expect(syncAddRelationship).not.toHaveBeenCalled();
+  });
+
+  it('attaches merged people\'s relationships to the existing person without duplicating them', async () => {
+    const preview = buildGedcomImportPreview(parseGedcom(FAMILY_GED));
+    const decisions = {
+      ...preview.decisions,
+      people: {
+        ...preview.decisions.people,
+        '@I1@': { action: 'merge', targetId: 50 },
+        '@I2@': { action: 'merge', targetId: 51 }
+      }
+    };
+    const existingRelationships = [{ person1Id: 51, person2Id: 50, relationshipType: 'spouse' }];
+
+    const result = await commitGedcomImport(preview, decisions, { datasetId: 'ds1', existingRelationships });
+
+    expect(result.summary).toMatchObject({ peopleCreated: 2, peopleMerged: 2, relationshipsCreated: 3, skipped: 1 });
+    expect(addRelationship).toHaveBeenCalledWith(
+      expect.objectContaining({ person1Id: 50, relationshipType: 'adopted-parent' }),
+      'ds1'
+    );
+  });
+
+  it('collects write failures instead of stopping', async () => {
+    addPerson.mockRejectedValueOnce(new Error('disk full'));
+    const preview = buildGedcomImportPreview(parseGedcom(FAMILY_GED));
+    const result = await commitGedcomImport(preview, preview.decisions, { datasetId: 'ds1' });
+
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual(['Failed to create person "Aldric Stone": disk full']);
+    expect(result.summary.peopleCreated).toBe(3);
+  });
+});
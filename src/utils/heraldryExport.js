@@ -0,0 +1,550 @@
+/**
+ * heraldryExport.js - Vector and Print Export for Heraldry
+ *
+ * PURPOSE:
+ * Turns stored heraldry into files for printing and sharing. Where
+ * downloadHeraldry() in heraldryUtils.js saves one of the stored PNGs,
+ * this works from the stored SVG:
+ *
+ * - buildStandaloneSVG(): one coat as a clean, self-contained SVG file -
+ *   explicit size and namespaces, title and blazon as metadata, charges
+ *   from /heraldic-charges inlined, dangling image references removed
+ * - buildRollSheets(): print-ready A4 SVG sheets of a roll of arms, six
+ *   coats per sheet, each captioned with blazon, house and bearers
+ * - buildArmorialPDF(): a multi-page PDF armorial, one coat per page
+ *
+ * Entries come from heraldryService getArmorialEntry() / getRollOfArms():
+ * { heraldry, houseName, persons }.
+ *
+ * The PDF pictures are rasterised (JPEG, via canvas) because the PDF
+ * writer has no vector graphics; the SVG exports stay vector.
+ */
+
+import { createPdf, wrapText, PAGE_SIZES } from './pdfDocument';
+import { createZip } from './zipArchive';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+const CHARGE_PATH = '/heraldic-charges/';
+
+// Long side of the pictures embedded in PDFs, in pixels
+const PDF_IMAGE_SIZE = 1000;
+
+// ==================== HELPERS ====================
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * File-name-safe version of a name
+ */
+function toFileName(name, fallback = 'heraldry') {
+  const slug = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return slug || fallback;
+}
+
+function parseViewBox(svg) {
+  const viewBox = svg.match(/<svg\b[^>]*\sviewBox="([^"]+)"/)?.[1];
+  const numbers = viewBox ? viewBox.trim().split(/[\s,]+/).map(Number) : [];
+  if (numbers.length !== 4 || numbers.some(Number.isNaN) || numbers[2] <= 0 || numbers[3] <= 0) {
+    return { x: 0, y: 0, width: 200, height: 200 };
+  }
+  const [x, y, width, height] = numbers;
+  return { x, y, width, height };
+}
+
+/**
+ * Give every id a prefix so several coats can share one document
+ */
+function prefixSvgIds(svg, prefix) {
+  return svg
+    .replace(/\bid="([^"]+)"/g, `id="${prefix}$1"`)
+    .replace(/url\(#([^)]+)\)/g, `url(#${prefix}$1)`)
+    .replace(/href="#([^"]+)"/g, `href="#${prefix}$1"`);
+}
+
+function innerSVG(svg) {
+  return svg
+    .replace(/^[\s\S]*?<svg\b[^>]*>/, '')
+    .replace(/<\/svg>\s*$/, '');
+}
+
+/**
+ * Keep at most maxLines lines, ending the last with an ellipsis if cut
+ */
+function clampLines(lines, maxLines) {
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = `${kept[maxLines - 1].replace(/[\s,;.]+$/, '')}…`;
+  return kept;
+}
+
+/**
+ * Save bytes or text as a file
+ */
+export function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// ==================== STANDALONE SVG ====================
+
+const IMAGE_PATTERN = /<image\b([^>]*?)(?:\/>|>\s*<\/image>)/g;
+
+function hrefOf(attributes) {
+  return attributes.match(/(?:\bxlink:|\bxl:|\s)href="([^"]+)"/)?.[1] || '';
+}
+
+/**
+ * Drop <image> elements that point outside the document
+ */
+function removeExternalImages(svg) {
+  return svg.replace(IMAGE_PATTERN, (element, attributes) =>
+    (hrefOf(attributes).startsWith('data:') ? element : '')
+  );
+}
+
+/**
+ * Replace <image> references to charge files with the charge's own SVG,
+ * and drop references that cannot resolve outside the app (charge files
+ * carry links to artwork that was never shipped, e.g. "image144.pdf")
+ */
+async function inlineChargeImages(svg) {
+  const chargeUrls = new Set();
+  for (const match of svg.matchAll(IMAGE_PATTERN)) {
+    const href = hrefOf(match[1]);
+    if (href.includes(CHARGE_PATH) && href.endsWith('.svg')) chargeUrls.add(href);
+  }
+
+  const charges = new Map();
+  await Promise.all([...chargeUrls].map(async (url) => {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      charges.set(url, await response.text());
+    } catch (error) {
+      console.error('❌ Could not inline charge', url, error);
+    }
+  }));
+
+  return svg.replace(IMAGE_PATTERN, (element, attributes) => {
+    const href = hrefOf(attributes);
+    if (href.startsWith('data:')) return element;
+
+    const charge = charges.get(href);
+    if (!charge) return '';
+
+    const attribute = (name, fallback) => attributes.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1] ?? fallback;
+    const viewBox = parseViewBox(charge);
+    const nested = `<svg x="${attribute('x', 0)}" y="${attribute('y', 0)}" ` +
+      `width="${attribute('width', viewBox.width)}" height="${attribute('height', viewBox.height)}" ` +
+      `viewBox="${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}">${removeExternalImages(innerSVG(charge))}</svg>`;
+    const transform = attribute('transform', null);
+    return transform ? `<g transform="${transform}">${nested}</g>` : nested;
+  });
+}
+
+/**
+ * Build one coat of arms as a standalone SVG document
+ *
+ * Uses the masked shield SVG, then the unmasked source, then wraps the
+ * stored PNG when there is no SVG at all.
+ *
+ * @param {Object} heraldry - Heraldry record
+ * @param {Object} [options]
+ * @param {number} [options.width] - Width of the document (default 400)
+ * @param {string} [options.unit] - Unit for width/height, e.g. 'mm' (default px)
+ * @param {string} [options.description] - Extra text for <desc>
+ * @returns {Promise<string|null>} SVG document, or null if the record has no image
+ */
+export async function buildStandaloneSVG(heraldry, options = {}) {
+  const { width = 400, unit = '', description = '' } = options;
+
+  let svg = heraldry?.heraldrySVG || heraldry?.heraldrySourceSVG;
+  if (!svg) {
+    const image = heraldry?.heraldryHighRes || heraldry?.heraldryDisplay || heraldry?.heraldryThumbnail;
+    if (!image) return null;
+    svg = `<svg viewBox="0 0 400 400"><image x="0" y="0" width="400" height="400" xlink:href="${image}"/></svg>`;
+  }
+
+  svg = svg
+    .replace(/<\?xml[^>]*\?>/g, '')
+    .replace(/<!DOCTYPE[^>]*>/gi, '')
+    .trim();
+
+  svg = await inlineChargeImages(svg);
+
+  // Charge files use the "xl" prefix for xlink and carry their own titles
+  svg = svg
+    .replace(/\sxl:href=/g, ' xlink:href=')
+    .replace(/\sxmlns:(?:xl|dc)="[^"]*"/g, '')
+    .replace(/<title>[\s\S]*?<\/title>/g, '')
+    .replace(/<desc>[\s\S]*?<\/desc>/g, '');
+
+  const viewBox = parseViewBox(svg);
+  const height = (width * viewBox.height) / viewBox.width;
+  const metadata = [heraldry?.blazon, description].filter(Boolean).join('\n');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="${SVG_NS}" xmlns:xlink="${XLINK_NS}" version="1.1" ` +
+    `width="${Number(width.toFixed(2))}${unit}" height="${Number(height.toFixed(2))}${unit}" ` +
+    `viewBox="${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}">\n` +
+    `<title>${escapeXml(heraldry?.name || 'Coat of arms')}</title>\n` +
+    (metadata ? `<desc>${escapeXml(metadata)}</desc>\n` : '') +
+    `${innerSVG(svg).trim()}\n</svg>\n`;
+}
+
+/**
+ * Description line for an entry: house and bearers
+ */
+function describeEntry(entry) {
+  return [
+    entry.houseName ? `House ${entry.houseName}` : null,
+    entry.persons?.length ? `Borne by ${entry.persons.join(', ')}` : null
+  ].filter(Boolean).join('. ');
+}
+
+// ==================== PRINT SHEETS ====================
+
+// A4 portrait in millimetres
+const SHEET = { width: 210, height: 297, margin: 15, headerHeight: 17 };
+const SHEET_COLUMNS = 2;
+const SHEET_ROWS = 3;
+const CELL_GAP = 5;
+const SHIELD_HEIGHT = 42;
+const SHEET_FONT = 'Helvetica, Arial, sans-serif';
+
+function sheetText(x, y, text, size, options = {}) {
+  const { weight, style, anchor = 'middle', fill = '#1a1410' } = options;
+  return `<text x="${x}" y="${Number(y.toFixed(2))}" font-family="${SHEET_FONT}" font-size="${size}"` +
+    (weight ? ` font-weight="${weight}"` : '') +
+    (style ? ` font-style="${style}"` : '') +
+    ` text-anchor="${anchor}" fill="${fill}">${escapeXml(text)}</text>`;
+}
+
+/**
+ * Lay one entry into a cell of a sheet
+ */
+function renderSheetCell(entry, arms, cell, index) {
+  const parts = [];
+  const centerX = cell.x + cell.width / 2;
+
+  if (arms) {
+    const viewBox = parseViewBox(arms);
+    const scale = Math.min((cell.width * 0.7) / viewBox.width, SHIELD_HEIGHT / viewBox.height);
+    const width = viewBox.width * scale;
+    const height = viewBox.height * scale;
+    parts.push(
+      `<svg x="${Number((centerX - width / 2).toFixed(2))}" y="${cell.y}" ` +
+      `width="${Number(width.toFixed(2))}" height="${Number(height.toFixed(2))}" ` +
+      `viewBox="${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}">` +
+      `${prefixSvgIds(innerSVG(arms), `arms-${index}-`)}</svg>`
+    );
+  }
+
+  let y = cell.y + SHIELD_HEIGHT + 5;
+  for (const line of clampLines(wrapText(entry.heraldry.name || 'Untitled arms', 4, cell.width, 'bold'), 2)) {
+    parts.push(sheetText(centerX, y, line, 4, { weight: 'bold' }));
+    y += 4.6;
+  }
+  if (entry.houseName) {
+    parts.push(sheetText(centerX, y, `House ${entry.houseName}`, 3, { fill: '#5a4a36' }));
+    y += 4;
+  }
+  if (entry.heraldry.blazon) {
+    for (const line of clampLines(wrapText(entry.heraldry.blazon, 2.8, cell.width), 5)) {
+      parts.push(sheetText(centerX, y, line, 2.8, { style: 'italic' }));
+      y += 3.3;
+    }
+  }
+  if (entry.persons?.length) {
+    y += 0.8;
+    for (const line of clampLines(wrapText(`Borne by ${entry.persons.join(', ')}`, 2.6, cell.width), 2)) {
+      parts.push(sheetText(centerX, y, line, 2.6, { fill: '#5a4a36' }));
+      y += 3.1;
+    }
+  }
+
+  return parts.join('\n');
+}
+
+/**
+ * Build print-ready A4 sheets for a roll of arms
+ *
+ * @param {Array} entries - [{ heraldry, houseName, persons }]
+ * @param {Object} [options]
+ * @param {string} [options.title] - Heading printed on every sheet
+ * @returns {Promise<string[]>} One SVG document per sheet
+ */
+export async function buildRollSheets(entries, options = {}) {
+  const { title = 'Roll of Arms' } = options;
+  const perSheet = SHEET_COLUMNS * SHEET_ROWS;
+  const sheetCount = Math.max(1, Math.ceil(entries.length / perSheet));
+
+  const arms = await Promise.all(entries.map(entry => buildStandaloneSVG(entry.heraldry)));
+
+  const contentWidth = SHEET.width - SHEET.margin * 2;
+  const cellWidth = (contentWidth - CELL_GAP * (SHEET_COLUMNS - 1)) / SHEET_COLUMNS;
+  const gridTop = SHEET.margin + SHEET.headerHeight;
+  const cellHeight = (SHEET.height - gridTop - SHEET.margin - CELL_GAP * (SHEET_ROWS - 1)) / SHEET_ROWS;
+
+  const sheets = [];
+  for (let sheet = 0; sheet < sheetCount; sheet++) {
+    const cells = entries.slice(sheet * perSheet, (sheet + 1) * perSheet).map((entry, i) => {
+      const index = sheet * perSheet + i;
+      const cell = {
+        x: SHEET.margin + (i % SHEET_COLUMNS) * (cellWidth + CELL_GAP),
+        y: gridTop + Math.floor(i / SHEET_COLUMNS) * (cellHeight + CELL_GAP),
+        width: cellWidth
+      };
+      return renderSheetCell(entry, arms[index], cell, index);
+    });
+
+    sheets.push(
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<svg xmlns="${SVG_NS}" xmlns:xlink="${XLINK_NS}" version="1.1" ` +
+      `width="${SHEET.width}mm" height="${SHEET.height}mm" viewBox="0 0 ${SHEET.width} ${SHEET.height}">\n` +
+      `<title>${escapeXml(title)}</title>\n` +
+      `<rect width="${SHEET.width}" height="${SHEET.height}" fill="#ffffff"/>\n` +
+      sheetText(SHEET.width / 2, SHEET.margin + 6, title, 7, { weight: 'bold' }) + '\n' +
+      sheetText(SHEET.width / 2, SHEET.margin + 11, `Sheet ${sheet + 1} of ${sheetCount}`, 3, { fill: '#5a4a36' }) + '\n' +
+      `<line x1="${SHEET.margin}" y1="${SHEET.margin + 13}" x2="${SHEET.width - SHEET.margin}" ` +
+      `y2="${SHEET.margin + 13}" stroke="#8b7355" stroke-width="0.3"/>\n` +
+      `${cells.join('\n')}\n</svg>\n`
+    );
+  }
+
+  return sheets;
+}
+
+// ==================== PDF ARMORIAL ====================
+
+/**
+ * Rasterise an SVG document to JPEG on a white background
+ *
+ * @returns {Promise<{data: Uint8Array, width: number, height: number}>}
+ */
+async function rasterizeSVG(svg, longSide = PDF_IMAGE_SIZE) {
+  const viewBox = parseViewBox(svg);
+  const scale = longSide / Math.max(viewBox.width, viewBox.height);
+  const width = Math.round(viewBox.width * scale);
+  const height = Math.round(viewBox.height * scale);
+
+  // Size the document to the canvas so the browser rasterises it sharply
+  const sized = svg.replace(
+    /(<svg\b[^>]*?)\swidth="[^"]*"\sheight="[^"]*"/,
+    `$1 width="${width}" height="${height}"`
+  );
+
+  const url = URL.createObjectURL(new Blob([sized], { type: 'image/svg+xml;charset=utf-8' }));
+  try {
+    const img = await new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Failed to load SVG image'));
+      image.src = url;
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(img, 0, 0, width, height);
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+    if (!blob) throw new Error('Failed to encode image');
+    return { data: new Uint8Array(await blob.arrayBuffer()), width, height };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Layout for one armorial page
+ */
+function buildEntryPage(entry, image, pageNumber, footer) {
+  const { width: pageWidth, height: pageHeight } = PAGE_SIZES.A4;
+  const margin = 56;
+  const textWidth = pageWidth - margin * 2;
+  const centerX = pageWidth / 2;
+  const items = [];
+  let y = margin;
+
+  for (const line of wrapText(entry.heraldry.name || 'Untitled arms', 22, textWidth, 'bold')) {
+    items.push({ type: 'text', x: centerX, y, text: line, size: 22, font: 'bold', align: 'center', color: '#1a1410' });
+    y += 28;
+  }
+  if (entry.houseName) {
+    items.push({ type: 'text', x: centerX, y, text: `House ${entry.houseName}`, size: 13, align: 'center', color: '#5a4a36' });
+    y += 20;
+  }
+  y += 10;
+
+  if (image) {
+    const scale = Math.min(300 / image.width, 360 / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    items.push({ type: 'image', x: centerX - width / 2, y, width, height, image });
+    y += height + 24;
+  }
+
+  items.push({ type: 'line', x1: margin, y1: y, x2: pageWidth - margin, y2: y, color: '#8b7355', lineWidth: 0.75 });
+  y += 16;
+
+  const section = (label, text, font) => {
+    items.push({ type: 'text', x: margin, y, text: label, size: 10, font: 'bold', color: '#5a4a36' });
+    y += 15;
+    for (const line of wrapText(text, 12, textWidth, font)) {
+      items.push({ type: 'text', x: margin, y, text: line, size: 12, font, color: '#1a1410' });
+      y += 16;
+    }
+    y += 10;
+  };
+
+  section('BLAZON', entry.heraldry.blazon || 'No blazon recorded', 'italic');
+  if (entry.persons?.length) {
+    section('BORNE BY', entry.persons.join(', '), 'regular');
+  }
+  if (entry.heraldry.description) {
+    section('NOTES', entry.heraldry.description, 'regular');
+  }
+
+  const footerText = footer ? `${footer} · ${pageNumber}` : String(pageNumber);
+  items.push({ type: 'text', x: centerX, y: pageHeight - 40, text: footerText, size: 9, align: 'center', color: '#8b7355' });
+
+  return { items };
+}
+
+/**
+ * Title page for a roll of arms
+ */
+function buildTitlePage(title, entryCount) {
+  const { width: pageWidth } = PAGE_SIZES.A4;
+  const centerX = pageWidth / 2;
+  const items = [];
+  let y = 280;
+
+  for (const line of wrapText(title, 30, pageWidth - 112, 'bold')) {
+    items.push({ type: 'text', x: centerX, y, text: line, size: 30, font: 'bold', align: 'center', color: '#1a1410' });
+    y += 38;
+  }
+  y += 6;
+  items.push({ type: 'line', x1: centerX - 80, y1: y, x2: centerX + 80, y2: y, color: '#8b7355', lineWidth: 0.75 });
+  y += 18;
+  items.push({
+    type: 'text', x: centerX, y, size: 13, font: 'italic', align: 'center', color: '#5a4a36',
+    text: `${entryCount} ${entryCount === 1 ? 'coat' : 'coats'} of arms`
+  });
+
+  return { items };
+}
+
+/**
+ * Build a PDF armorial, one coat per page
+ *
+ * @param {Array} entries - [{ heraldry, houseName, persons }]
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title; a title page is added
+ *   when there is more than one entry
+ * @returns {Promise<Uint8Array>}
+ */
+export async function buildArmorialPDF(entries, options = {}) {
+  const { title = 'Armorial' } = options;
+
+  const images = [];
+  for (const entry of entries) {
+    const svg = await buildStandaloneSVG(entry.heraldry);
+    images.push(svg ? await rasterizeSVG(svg) : null);
+  }
+
+  const withTitlePage = entries.length > 1;
+  const pages = entries.map((entry, index) =>
+    buildEntryPage(entry, images[index], index + 1, withTitlePage ? title : '')
+  );
+  if (withTitlePage) pages.unshift(buildTitlePage(title, entries.length));
+
+  return createPdf(pages, { title });
+}
+
+// ==================== DOWNLOADS ====================
+
+/**
+ * Download one coat of arms as a standalone SVG
+ *
+ * @param {Object} entry - { heraldry, houseName, persons }
+ */
+export async function exportArmsSVG(entry) {
+  const svg = await buildStandaloneSVG(entry.heraldry, { description: describeEntry(entry) });
+  if (!svg) throw new Error('This heraldry has no image to export');
+  downloadFile(svg, `${toFileName(entry.heraldry.name)}.svg`, 'image/svg+xml');
+}
+
+/**
+ * Download entries as a PDF armorial
+ *
+ * @param {Array} entries - [{ heraldry, houseName, persons }]
+ * @param {string} title - Document title and file name
+ */
+export async function exportArmorialPDF(entries, title) {
+  if (entries.length === 0) throw new Error('There are no arms to export');
+  const pdf = await buildArmorialPDF(entries, { title });
+  downloadFile(pdf, `${toFileName(title, 'armorial')}.pdf`, 'application/pdf');
+}
+
+/**
+ * Download a roll of arms as a zip of SVGs: every coat on its own in
+ * arms/, and the A4 print sheets in sheets/
+ *
+ * @param {Array} entries - [{ heraldry, houseName, persons }]
+ * @param {string} title - Sheet heading and file name
+ */
+export async function exportRollOfArmsSVG(entries, title) {
+  if (entries.length === 0) throw new Error('There are no arms to export');
+
+  const files = [];
+  const usedNames = new Set();
+  for (const entry of entries) {
+    const svg = await buildStandaloneSVG(entry.heraldry, { description: describeEntry(entry) });
+    if (!svg) continue;
+    let name = toFileName(entry.heraldry.name);
+    if (usedNames.has(name)) name = `${name}_${entry.heraldry.id}`;
+    usedNames.add(name);
+    files.push({ path: `arms/${name}.svg`, content: svg });
+  }
+
+  const sheets = await buildRollSheets(entries, { title });
+  sheets.forEach((sheet, index) => {
+    files.push({ path: `sheets/sheet_${String(index + 1).padStart(2, '0')}.svg`, content: sheet });
+  });
+
+  const zip = createZip(files);
+  downloadFile(zip, `${toFileName(title, 'roll_of_arms')}.zip`, 'application/zip');
+}
+
+export default {
+  buildStandaloneSVG,
+  buildRollSheets,
+  buildArmorialPDF,
+  downloadFile,
+  exportArmsSVG,
+  exportArmorialPDF,
+  exportRollOfArmsSVG
+};
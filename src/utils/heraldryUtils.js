@@ -450,6 +450,7 @@ export function getShieldTypeName(type) {
 
 /**
  * Export heraldry as downloadable file
+ * (PNG only - vector SVG and PDF exports are in heraldryExport.js)
  */
 export function downloadHeraldry(base64, houseName, quality = 'display') {
   const link = document.createElement('a');
@@ -0,0 +1,187 @@
+/**
+ * knowledgeGraphUtils.js - Codex Knowledge Graph Builder
+ *
+ * PURPOSE:
+ * Turns codex entries and codex links into the nodes and edges drawn by the
+ * knowledge graph page, and finds the entries worth a second look:
+ * - Isolated: no links in or out
+ * - Over-linked: far more connections than the codex average
+ *
+ * Pure functions only - no DOM or d3 - so the page owns all rendering.
+ *
+ * USAGE:
+ *   const graph = buildKnowledgeGraph(entries, links, { tag: 'war', era: '' });
+ *   graph.nodes     // [{ id, title, type, degree, ... }]
+ *   graph.links     // [{ source, target, count }]
+ *   graph.isolated  // nodes with degree 0
+ */
+
+// ==================== CONSTANTS ====================
+
+/**
+ * Node colours per entry type. Values are CSS variables so the graph
+ * follows the active theme.
+ */
+export const KNOWLEDGE_GRAPH_TYPES = {
+  personage: { label: 'Personage', icon: 'user', color: 'var(--house-blue)' },
+  house: { label: 'House', icon: 'castle', color: 'var(--house-gold)' },
+  location: { label: 'Location', icon: 'map-pin', color: 'var(--house-green)' },
+  event: { label: 'Event', icon: 'swords', color: 'var(--house-red)' },
+  mysteria: { label: 'Mysteria', icon: 'sparkles', color: 'var(--house-purple)' },
+  concept: { label: 'Concept', icon: 'scroll-text', color: 'var(--house-teal)' },
+  heraldry: { label: 'Heraldry', icon: 'shield', color: 'var(--house-orange)' },
+  custom: { label: 'Custom', icon: 'file', color: 'var(--house-grey)' }
+};
+
+/** An entry needs at least this many connections to count as over-linked */
+const OVER_LINKED_MINIMUM = 8;
+
+// ==================== FILTER OPTIONS ====================
+
+/**
+ * Every tag used in the codex, sorted case-insensitively
+ * @param {Array} entries - Codex entries
+ * @returns {Array<string>}
+ */
+export function collectGraphTags(entries) {
+  const tags = new Set();
+  for (const entry of entries) {
+    for (const tag of entry.tags || []) {
+      if (tag) tags.add(tag);
+    }
+  }
+  return [...tags].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * Every era named in the codex, sorted case-insensitively
+ * @param {Array} entries - Codex entries
+ * @returns {Array<string>}
+ */
+export function collectGraphEras(entries) {
+  const eras = new Set(entries.map(entry => entry.era).filter(Boolean));
+  return [...eras].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+// ==================== GRAPH ====================
+
+/**
+ * Count each entry's connections across the whole codex.
+ * A→B and B→A count once; self-links and links to missing entries are ignored.
+ *
+ * @param {Array} links - Codex links
+ * @param {Set} entryIds - IDs of existing entries
+ * @returns {{ pairs: Map, degrees: Map }}
+ */
+function collectPairs(links, entryIds) {
+  const pairs = new Map();
+  const degrees = new Map();
+
+  for (const link of links) {
+    const { sourceId, targetId } = link;
+    if (sourceId === targetId) continue;
+    if (!entryIds.has(sourceId) || !entryIds.has(targetId)) continue;
+
+    const [a, b] = sourceId < targetId ? [sourceId, targetId] : [targetId, sourceId];
+    const key = `${a}-${b}`;
+
+    if (pairs.has(key)) {
+      pairs.get(key).count++;
+      continue;
+    }
+
+    pairs.set(key, { source: a, target: b, count: 1 });
+    degrees.set(a, (degrees.get(a) || 0) + 1);
+    degrees.set(b, (degrees.get(b) || 0) + 1);
+  }
+
+  return { pairs, degrees };
+}
+
+/**
+ * Degree at which an entry counts as over-linked: two standard deviations
+ * above the mean, but never below OVER_LINKED_MINIMUM.
+ *
+ * @param {Array<number>} degrees
+ * @returns {number}
+ */
+export function getOverLinkedThreshold(degrees) {
+  if (degrees.length === 0) return OVER_LINKED_MINIMUM;
+
+  const mean = degrees.reduce((sum, d) => sum + d, 0) / degrees.length;
+  const variance = degrees.reduce((sum, d) => sum + (d - mean) ** 2, 0) / degrees.length;
+
+  return Math.max(OVER_LINKED_MINIMUM, Math.ceil(mean + 2 * Math.sqrt(variance)));
+}
+
+/**
+ * Build the knowledge graph for the given filters.
+ *
+ * Degrees are counted over the whole codex, so an entry that is only linked
+ * from outside the current tag or era is not reported as isolated.
+ *
+ * @param {Array} entries - Codex entries
+ * @param {Array} links - Codex links
+ * @param {Object} [filters]
+ * @param {string} [filters.tag] - Only entries carrying this tag
+ * @param {string} [filters.era] - Only entries in this era
+ * @returns {{ nodes: Array, links: Array, isolated: Array, overLinked: Array, threshold: number }}
+ */
+export function buildKnowledgeGraph(entries, links, filters = {}) {
+  const { tag = '', era = '' } = filters;
+
+  const entryIds = new Set(entries.map(entry => entry.id));
+  const { pairs, degrees } = collectPairs(links, entryIds);
+  const threshold = getOverLinkedThreshold(entries.map(entry => degrees.get(entry.id) || 0));
+
+  const visible = entries.filter(entry =>
+    (!tag || (entry.tags || []).includes(tag)) &&
+    (!era || entry.era === era)
+  );
+  const visibleIds = new Set(visible.map(entry => entry.id));
+
+  const nodes = visible.map(entry => {
+    const degree = degrees.get(entry.id) || 0;
+    return {
+      id: entry.id,
+      title: entry.title || 'Untitled',
+      type: KNOWLEDGE_GRAPH_TYPES[entry.type] ? entry.type : 'custom',
+      era: entry.era || null,
+      degree,
+      isolated: degree === 0,
+      overLinked: degree >= threshold
+    };
+  });
+
+  const graphLinks = [...pairs.values()]
+    .filter(pair => visibleIds.has(pair.source) && visibleIds.has(pair.target))
+    .map(pair => ({ ...pair }));
+
+  const byTitle = (a, b) => a.title.localeCompare(b.title);
+
+  return {
+    nodes,
+    links: graphLinks,
+    isolated: nodes.filter(node => node.isolated).sort(byTitle),
+    overLinked: nodes.filter(node => node.overLinked).sort((a, b) => b.degree - a.degree || byTitle(a, b)),
+    threshold
+  };
+}
+
+/**
+ * Node radius for a connection count (square-root scale, capped)
+ * @param {number} degree
+ * @returns {number}
+ */
+export function getNodeRadius(degree) {
+  return Math.min(6 + Math.sqrt(degree) * 3, 24);
+}
+
+export default {
+  KNOWLEDGE_GRAPH_TYPES,
+  collectGraphTags,
+  collectGraphEras,
+  getOverLinkedThreshold,
+  buildKnowledgeGraph,
+  getNodeRadius
+};
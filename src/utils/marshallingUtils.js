@@ -0,0 +1,289 @@
+/**
+ * Marshalling Utilities
+ *
+ * Combines several coats of arms on one shield, driven by the family tree:
+ *
+ * - IMPALED: a married couple. Husband's arms on the dexter half (viewer's
+ *   left), wife's paternal arms on the sinister half.
+ * - PRETENCE: the wife is a heraldic heiress (her father had no sons), so
+ *   her arms sit on a small escutcheon of pretence over her husband's.
+ * - QUARTERED: a child of an heiress. Father's arms in the 1st and 4th
+ *   quarters, mother's in the 2nd and 3rd.
+ *
+ * Unlike createHalvedHeraldry / createQuarteredHeraldry in heraldryUtils.js,
+ * which paint PNGs on a canvas, this works on the stored SVG of each part
+ * and keeps every part's composition, so the result stays vector and can
+ * be rebuilt when a part changes.
+ *
+ * This module is pure: heraldryService loads the records, renders the
+ * shield mask and saves the result.
+ */
+
+export const MARSHALLING_TYPES = {
+  IMPALED: 'impaled',
+  PRETENCE: 'pretence',
+  QUARTERED: 'quartered'
+};
+
+// Escutcheon of pretence, drawn over the fess point of a 200×200 field
+const PRETENCE_SHIELD_PATH = 'M 70 62 L 130 62 L 130 100 Q 130 128 100 140 Q 70 128 70 100 Z';
+
+const DIVIDING_LINE = 'stroke="#000000" stroke-width="1.5"';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GENEALOGY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function getFullName(person) {
+  return person ? `${person.firstName || ''} ${person.lastName || ''}`.trim() : '';
+}
+
+/**
+ * Biological father of a person (adoptive parents don't transmit arms)
+ */
+export function getFather(personId, people, relationships) {
+  const parentIds = relationships
+    .filter(rel => rel.relationshipType === 'parent' && rel.person2Id === personId)
+    .map(rel => rel.person1Id);
+  return people.find(p => parentIds.includes(p.id) && p.gender === 'male') || null;
+}
+
+/**
+ * Is this woman a heraldic heiress - her father had no sons?
+ *
+ * @returns {{ isHeiress: boolean, reason: string }}
+ */
+export function checkHeraldicHeiress(person, people, relationships) {
+  if (!person || person.gender !== 'female') {
+    return { isHeiress: false, reason: 'Only daughters can be heraldic heiresses' };
+  }
+
+  const father = getFather(person.id, people, relationships);
+  if (!father) {
+    return { isHeiress: false, reason: 'Her father is not recorded' };
+  }
+
+  const brothers = relationships
+    .filter(rel => rel.relationshipType === 'parent' && rel.person1Id === father.id && rel.person2Id !== person.id)
+    .map(rel => people.find(p => p.id === rel.person2Id))
+    .filter(sibling => sibling?.gender === 'male');
+
+  if (brothers.length > 0) {
+    return {
+      isHeiress: false,
+      reason: `${getFullName(father)} had ${brothers.length === 1 ? 'a son' : `${brothers.length} sons`}`
+    };
+  }
+
+  return { isHeiress: true, reason: `${getFullName(father)} had no sons` };
+}
+
+/**
+ * Work out how a marriage is marshalled
+ *
+ * The husband takes the dexter side. For couples where that can't be told
+ * from gender, person1 of the relationship is treated as dexter.
+ *
+ * @param {Object} relationship - A spouse relationship
+ * @param {Array} people
+ * @param {Array} relationships
+ * @returns {Object|null} { type, husband, wife, heiress }
+ */
+export function planMarriageMarshalling(relationship, people, relationships) {
+  if (!relationship || relationship.relationshipType !== 'spouse') return null;
+
+  const person1 = people.find(p => p.id === relationship.person1Id);
+  const person2 = people.find(p => p.id === relationship.person2Id);
+  if (!person1 || !person2) return null;
+
+  const [husband, wife] = person2.gender === 'male' && person1.gender !== 'male'
+    ? [person2, person1]
+    : [person1, person2];
+
+  const heiress = checkHeraldicHeiress(wife, people, relationships);
+
+  return {
+    type: heiress.isHeiress ? MARSHALLING_TYPES.PRETENCE : MARSHALLING_TYPES.IMPALED,
+    husband,
+    wife,
+    heiress
+  };
+}
+
+/**
+ * The arms a person brings to a marshalling
+ *
+ * A man bears his own personal arms, else his house's. A woman brings her
+ * father's arms (personal, then house), else her own house's.
+ *
+ * @param {Object} person
+ * @param {Object} lookups - { people, relationships, houses, heraldry }
+ * @returns {Object|null} Heraldry record
+ */
+export function resolveMarshallingArms(person, lookups) {
+  if (!person) return null;
+  const { people = [], relationships = [], houses = [], heraldry = [] } = lookups;
+
+  const byId = (id) => (id ? heraldry.find(h => h.id === id) || null : null);
+  const houseArms = (p) => byId(houses.find(h => h.id === p?.houseId)?.heraldryId);
+
+  if (person.gender === 'female') {
+    const father = getFather(person.id, people, relationships);
+    return byId(father?.heraldryId) || houseArms(father) || houseArms(person);
+  }
+  return byId(person.heraldryId) || houseArms(person);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SVG
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Give every id in an SVG fragment a prefix so several parts can share one
+ * document without their clip paths and gradients colliding
+ */
+function prefixSvgIds(svg, prefix) {
+  return svg
+    .replace(/\bid="([^"]+)"/g, `id="${prefix}$1"`)
+    .replace(/url\(#([^)]+)\)/g, `url(#${prefix}$1)`)
+    .replace(/href="#([^"]+)"/g, `href="#${prefix}$1"`);
+}
+
+/**
+ * Draw one part's arms into a box of the 200×200 field.
+ * Uses the unmasked source SVG when there is one, then the masked SVG,
+ * then the PNG.
+ */
+function placeArms(heraldry, box, prefix) {
+  const { x, y, width, height } = box;
+  const source = heraldry?.heraldrySourceSVG || heraldry?.heraldrySVG;
+
+  if (source) {
+    const cleaned = source.replace(/<\?xml[^>]*\?>/, '').trim();
+    const viewBox = cleaned.match(/<svg[^>]*\sviewBox="([^"]+)"/)?.[1] || '0 0 200 200';
+    const inner = cleaned
+      .replace(/^[\s\S]*?<svg[^>]*>/, '')
+      .replace(/<\/svg>\s*$/, '');
+    return `<svg x="${x}" y="${y}" width="${width}" height="${height}" viewBox="${viewBox}" preserveAspectRatio="none">${prefixSvgIds(inner, prefix)}</svg>`;
+  }
+
+  const image = heraldry?.heraldryHighRes || heraldry?.heraldryDisplay;
+  if (image) {
+    return `<image x="${x}" y="${y}" width="${width}" height="${height}" href="${image}" preserveAspectRatio="none"/>`;
+  }
+
+  return `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#888888"/>`;
+}
+
+/**
+ * Build the unmasked 200×200 SVG for a marshalling
+ *
+ * @param {string} type - MARSHALLING_TYPES value
+ * @param {Object} parts - { dexter, sinister } | { dexter, pretence } | { first, second }
+ *   (heraldry records; quartered repeats first/second in 4/3)
+ * @returns {string}
+ */
+export function renderMarshalledSVG(type, parts) {
+  // Inline SVGs share the page's id space, so ids must be unique per render
+  const uid = `marshal-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  let content = '';
+
+  switch (type) {
+    case MARSHALLING_TYPES.IMPALED:
+      content = [
+        placeArms(parts.dexter, { x: 0, y: 0, width: 100, height: 200 }, `${uid}-dx-`),
+        placeArms(parts.sinister, { x: 100, y: 0, width: 100, height: 200 }, `${uid}-sn-`),
+        `<line x1="100" y1="0" x2="100" y2="200" ${DIVIDING_LINE}/>`
+      ].join('');
+      break;
+
+    case MARSHALLING_TYPES.PRETENCE:
+      content = [
+        placeArms(parts.dexter, { x: 0, y: 0, width: 200, height: 200 }, `${uid}-dx-`),
+        `<defs><clipPath id="${uid}-pretence">`,
+        `<path d="${PRETENCE_SHIELD_PATH}"/>`,
+        '</clipPath></defs>',
+        `<g clip-path="url(#${uid}-pretence)">`,
+        placeArms(parts.pretence, { x: 70, y: 62, width: 60, height: 78 }, `${uid}-pr-`),
+        '</g>',
+        `<path d="${PRETENCE_SHIELD_PATH}" fill="none" ${DIVIDING_LINE}/>`
+      ].join('');
+      break;
+
+    case MARSHALLING_TYPES.QUARTERED:
+      content = [
+        placeArms(parts.first, { x: 0, y: 0, width: 100, height: 100 }, `${uid}-q1-`),
+        placeArms(parts.second, { x: 100, y: 0, width: 100, height: 100 }, `${uid}-q2-`),
+        placeArms(parts.second, { x: 0, y: 100, width: 100, height: 100 }, `${uid}-q3-`),
+        placeArms(parts.first, { x: 100, y: 100, width: 100, height: 100 }, `${uid}-q4-`),
+        `<line x1="100" y1="0" x2="100" y2="200" ${DIVIDING_LINE}/>`,
+        `<line x1="0" y1="100" x2="200" y2="100" ${DIVIDING_LINE}/>`
+      ].join('');
+      break;
+
+    default:
+      throw new Error(`Unknown marshalling type: ${type}`);
+  }
+
+  return `<svg viewBox="0 0 200 200" xmlns="http://www.w3.org/2000/svg">${content}</svg>`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPOSITION & BLAZON
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function describeArms(heraldry) {
+  return heraldry?.blazon || heraldry?.name || 'unknown arms';
+}
+
+/**
+ * Blazon for a marshalling, built from each part's blazon
+ */
+export function generateMarshalledBlazon(type, parts) {
+  switch (type) {
+    case MARSHALLING_TYPES.IMPALED:
+      return `${describeArms(parts.dexter)}; impaling ${describeArms(parts.sinister)}`;
+    case MARSHALLING_TYPES.PRETENCE:
+      return `${describeArms(parts.dexter)}; an escutcheon of pretence ${describeArms(parts.pretence)}`;
+    case MARSHALLING_TYPES.QUARTERED:
+      return `Quarterly, 1st and 4th, ${describeArms(parts.first)}; 2nd and 3rd, ${describeArms(parts.second)}`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Composition for a marshalled heraldry record. Each part keeps its own
+ * composition so the arms can be rebuilt from their parts later.
+ *
+ * @param {string} type - MARSHALLING_TYPES value
+ * @param {Object} parts - Same shape as renderMarshalledSVG
+ * @param {Object} [context] - { relationshipId, personIds }
+ */
+export function buildMarshalledComposition(type, parts, context = {}) {
+  return {
+    marshalling: {
+      type,
+      relationshipId: context.relationshipId || null,
+      personIds: context.personIds || [],
+      parts: Object.entries(parts).map(([role, heraldry]) => ({
+        role,
+        heraldryId: heraldry?.id || null,
+        composition: heraldry?.composition || null
+      }))
+    },
+    generatedAt: new Date().toISOString(),
+    version: 2
+  };
+}
+
+export default {
+  MARSHALLING_TYPES,
+  getFather,
+  checkHeraldicHeiress,
+  planMarriageMarshalling,
+  resolveMarshallingArms,
+  renderMarshalledSVG,
+  generateMarshalledBlazon,
+  buildMarshalledComposition
+};
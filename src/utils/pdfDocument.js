@@ -0,0 +1,320 @@
+/**
+ * pdfDocument.js - Minimal PDF Writer
+ *
+ * PURPOSE:
+ * Enough of the PDF format to print an armorial (text plus one picture per
+ * page) without pulling in a PDF library.
+ *
+ * - createPdf(): pages of text and JPEG images, laid out in points from
+ *   the top-left corner of the page
+ * - measureText() / wrapText(): line breaking with the Helvetica metrics
+ *
+ * Text uses the three standard Helvetica faces, so no fonts are embedded.
+ * They cover WinAnsi (Latin-1 plus typographic quotes and dashes); other
+ * characters print as "?".
+ *
+ * Not supported: vector graphics, compression, embedded fonts.
+ */
+
+export const PAGE_SIZES = {
+  A4: { width: 595.28, height: 841.89 },
+  LETTER: { width: 612, height: 792 }
+};
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+  italic: { resource: 'F3', baseFont: 'Helvetica-Oblique' }
+};
+
+// ==================== METRICS ====================
+
+// Helvetica advance widths (1/1000 em) for characters 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Helvetica-Bold is close enough to a uniformly wider Helvetica for wrapping
+const BOLD_FACTOR = 1.07;
+
+/**
+ * Width of a string in points
+ *
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {string} [font] - 'regular' | 'bold' | 'italic'
+ * @returns {number}
+ */
+export function measureText(text, size, font = 'regular') {
+  let units = 0;
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units * size * (font === 'bold' ? BOLD_FACTOR : 1)) / 1000;
+}
+
+/**
+ * Break text into lines no wider than maxWidth
+ *
+ * Words longer than a line are left whole rather than split.
+ *
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {number} maxWidth - Line width in points
+ * @param {string} [font]
+ * @returns {string[]}
+ */
+export function wrapText(text, size, maxWidth, font = 'regular') {
+  const lines = [];
+
+  for (const paragraph of String(text || '').split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && measureText(candidate, size, font) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+// ==================== ENCODING ====================
+
+// Unicode characters WinAnsiEncoding places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85,
+  '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a,
+  '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+  '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c,
+  'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+/**
+ * Encode text as a PDF hex string in WinAnsiEncoding
+ */
+function toPdfString(text) {
+  let hex = '';
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    let byte;
+    if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) {
+      byte = code;
+    } else {
+      byte = WIN_ANSI_EXTRAS[char] ?? 0x3f; // '?'
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return `<${hex}>`;
+}
+
+/**
+ * Encode text for the document information dictionary (UTF-16BE with BOM)
+ */
+function toPdfInfoString(text) {
+  let hex = 'feff';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+  }
+  return `<${hex}>`;
+}
+
+function toPdfDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `(D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z)`;
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Parse '#rrggbb' into PDF RGB components (0-1)
+ */
+function toPdfColor(hex = '#000000') {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+  if (!match) return '0 0 0';
+  return match.slice(1).map(part => formatNumber(parseInt(part, 16) / 255)).join(' ');
+}
+
+// ==================== WRITE ====================
+
+/**
+ * Content stream operators for one page
+ */
+function buildPageContent(page, pageHeight, imageNames) {
+  const ops = [];
+
+  for (const item of page.items) {
+    if (item.type === 'text') {
+      const size = item.size || 11;
+      const font = FONTS[item.font] || FONTS.regular;
+      let x = item.x;
+      if (item.align === 'center') x -= measureText(item.text, size, item.font) / 2;
+      if (item.align === 'right') x -= measureText(item.text, size, item.font);
+      // Item y is the top of the line; PDF places text on its baseline
+      const baseline = pageHeight - item.y - size * 0.8;
+      ops.push(
+        'BT',
+        `${toPdfColor(item.color)} rg`,
+        `/${font.resource} ${formatNumber(size)} Tf`,
+        `${formatNumber(x)} ${formatNumber(baseline)} Td`,
+        `${toPdfString(item.text)} Tj`,
+        'ET'
+      );
+    } else if (item.type === 'image') {
+      ops.push(
+        'q',
+        `${formatNumber(item.width)} 0 0 ${formatNumber(item.height)} ` +
+          `${formatNumber(item.x)} ${formatNumber(pageHeight - item.y - item.height)} cm`,
+        `/${imageNames.get(item.image)} Do`,
+        'Q'
+      );
+    } else if (item.type === 'line') {
+      ops.push(
+        `${toPdfColor(item.color)} RG`,
+        `${formatNumber(item.lineWidth || 0.5)} w`,
+        `${formatNumber(item.x1)} ${formatNumber(pageHeight - item.y1)} m`,
+        `${formatNumber(item.x2)} ${formatNumber(pageHeight - item.y2)} l`,
+        'S'
+      );
+    }
+  }
+
+  return ops.join('\n');
+}
+
+/**
+ * Build a PDF document
+ *
+ * Page items, positioned in points from the page's top-left corner:
+ * - { type: 'text', x, y, text, size, font, color, align }
+ * - { type: 'image', x, y, width, height, image: { data, width, height } }
+ *   where data is the bytes of a baseline JPEG; reuse the same image
+ *   object to embed it once
+ * - { type: 'line', x1, y1, x2, y2, lineWidth, color }
+ *
+ * @param {Array<{items: Array}>} pages
+ * @param {Object} [options]
+ * @param {Object} [options.pageSize] - { width, height } in points (default A4)
+ * @param {string} [options.title] - Document title
+ * @param {Date} [options.created]
+ * @returns {Uint8Array}
+ */
+export function createPdf(pages, options = {}) {
+  const { pageSize = PAGE_SIZES.A4, title = '', created = new Date() } = options;
+  const encoder = new TextEncoder();
+
+  // Object numbers: 1 catalog, 2 page tree, 3 info, then fonts, images, pages
+  const objects = [];
+  const addObject = (parts) => {
+    objects.push(parts);
+    return objects.length;
+  };
+  const reserveObject = () => addObject(null);
+
+  const catalogId = reserveObject();
+  const pagesId = reserveObject();
+  const infoId = addObject([
+    `<< /Producer (Lineageweaver) /CreationDate ${toPdfDate(created)}` +
+      (title ? ` /Title ${toPdfInfoString(title)}` : '') + ' >>'
+  ]);
+
+  const fontIds = Object.values(FONTS).map(font => [
+    font.resource,
+    addObject([`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`])
+  ]);
+
+  const imageNames = new Map();
+  const imageIds = [];
+  for (const page of pages) {
+    for (const item of page.items) {
+      if (item.type !== 'image' || imageNames.has(item.image)) continue;
+      const { data, width, height } = item.image;
+      const id = addObject([
+        `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} ` +
+          `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${data.length} >>\nstream\n`,
+        data,
+        '\nendstream'
+      ]);
+      const name = `Im${imageIds.length + 1}`;
+      imageNames.set(item.image, name);
+      imageIds.push([name, id]);
+    }
+  }
+
+  const fontResources = fontIds.map(([resource, id]) => `/${resource} ${id} 0 R`).join(' ');
+  const imageResources = imageIds.map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+  const resources = `<< /Font << ${fontResources} >>` +
+    (imageResources ? ` /XObject << ${imageResources} >>` : '') + ' >>';
+
+  const pageIds = pages.map(page => {
+    const content = encoder.encode(buildPageContent(page, pageSize.height, imageNames));
+    const contentId = addObject([`<< /Length ${content.length} >>\nstream\n`, content, '\nendstream']);
+    return addObject([
+      `<< /Type /Page /Parent ${pagesId} 0 R ` +
+        `/MediaBox [0 0 ${formatNumber(pageSize.width)} ${formatNumber(pageSize.height)}] ` +
+        `/Resources ${resources} /Contents ${contentId} 0 R >>`
+    ]);
+  });
+
+  objects[catalogId - 1] = [`<< /Type /Catalog /Pages ${pagesId} 0 R >>`];
+  objects[pagesId - 1] = [
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+  ];
+
+  // Serialise, recording each object's byte offset for the cross-reference table
+  const chunks = [];
+  let length = 0;
+  const write = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  // The binary comment marks the file as binary for transfer tools
+  write('%PDF-1.4\n');
+  write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+  const offsets = objects.map((parts, index) => {
+    const offset = length;
+    write(`${index + 1} 0 obj\n`);
+    parts.forEach(write);
+    write('\nendobj\n');
+    return offset;
+  });
+
+  const xrefOffset = length;
+  write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  write(`trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`);
+  write(`startxref\n${xrefOffset}\n%%EOF\n`);
+
+  const output = new Uint8Array(length);
+  let position = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, position);
+    position += chunk.length;
+  }
+  return output;
+}
+
+export default {
+  PAGE_SIZES,
+  measureText,
+  wrapText,
+  createPdf
+};
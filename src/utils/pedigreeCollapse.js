@@ -0,0 +1,120 @@
+/**
+ * Pedigree Collapse Analysis
+ *
+ * Everyone has 2 parents, 4 grandparents, 8 great-grandparents - 2^n
+ * ancestor slots n generations back. When cousins marry, one ancestor
+ * fills several slots and the number of distinct ancestors falls short of
+ * the slots: pedigree collapse. Royal lines show it strongly.
+ *
+ * For one person this reports, generation by generation:
+ * - slots: the theoretical 2^n
+ * - filled: slots with a recorded ancestor (an ancestor reached by two
+ *   lines fills two slots)
+ * - unique: distinct ancestors among them
+ * and lists the ancestors who fill more than one slot. Collapse is
+ * measured against the filled slots, so gaps in the records do not count
+ * as collapse.
+ *
+ * Wright's inbreeding coefficient (F) comes from the kinship calculator in
+ * consanguinity.js: the probability that both copies of a gene are
+ * inherited from the same ancestor.
+ *
+ * The parent map has the shape buildRelationshipMaps() and the family
+ * tree use (childId -> [parentIds]); pass buildBloodParentMap() so that
+ * adoptive parents are left out.
+ */
+
+import { createKinshipCalculator, formatDegree } from './consanguinity';
+
+export const DEFAULT_PEDIGREE_GENERATIONS = 12;
+
+/**
+ * Analyze a person's pedigree
+ *
+ * @param {number} personId
+ * @param {Map<number, number[]>} parentMap - childId -> [parentIds]
+ * @param {Object} [options]
+ * @param {number} [options.maxGenerations] - How far back to look
+ * @param {Object} [options.calculator] - A shared createKinshipCalculator() result
+ * @returns {Object} {
+ *   generations: [{ generation, slots, filled, unique, collapse }],
+ *   duplicatedAncestors: [{ ancestorId, slots, generations }] most slots first,
+ *   totalFilled, totalUnique, collapse (0..1), inbreeding (F, 0..1), depth
+ * }
+ */
+export function analyzePedigree(personId, parentMap, options = {}) {
+  const maxGenerations = options.maxGenerations || DEFAULT_PEDIGREE_GENERATIONS;
+  const calculator = options.calculator || createKinshipCalculator(parentMap);
+
+  const generations = [];
+  const slotsByAncestor = new Map();   // ancestorId -> slots filled, all generations
+  const generationsByAncestor = new Map();
+  const allAncestors = new Set();
+  let totalFilled = 0;
+
+  // ancestorId -> number of lines reaching them in this generation
+  let current = new Map([[personId, 1]]);
+
+  for (let generation = 1; generation <= maxGenerations; generation++) {
+    const next = new Map();
+    current.forEach((lines, id) => {
+      (parentMap.get(id) || []).slice(0, 2).forEach(parentId => {
+        next.set(parentId, (next.get(parentId) || 0) + lines);
+      });
+    });
+    if (next.size === 0) break;
+
+    let filled = 0;
+    next.forEach((lines, ancestorId) => {
+      filled += lines;
+      allAncestors.add(ancestorId);
+      slotsByAncestor.set(ancestorId, (slotsByAncestor.get(ancestorId) || 0) + lines);
+      generationsByAncestor.set(ancestorId, [...(generationsByAncestor.get(ancestorId) || []), generation]);
+    });
+
+    generations.push({
+      generation,
+      slots: 2 ** generation,
+      filled,
+      unique: next.size,
+      collapse: 1 - next.size / filled
+    });
+    totalFilled += filled;
+    current = next;
+  }
+
+  const duplicatedAncestors = [];
+  slotsByAncestor.forEach((slots, ancestorId) => {
+    if (slots > 1) {
+      duplicatedAncestors.push({ ancestorId, slots, generations: generationsByAncestor.get(ancestorId) });
+    }
+  });
+  duplicatedAncestors.sort((a, b) => b.slots - a.slots || a.generations[0] - b.generations[0]);
+
+  return {
+    generations,
+    duplicatedAncestors,
+    totalFilled,
+    totalUnique: allAncestors.size,
+    collapse: totalFilled > 0 ? 1 - allAncestors.size / totalFilled : 0,
+    inbreeding: calculator.inbreeding(personId),
+    depth: generations.length
+  };
+}
+
+/**
+ * Ordinal generation label: 1 = Parents, 2 = Grandparents,
+ * 3 = Great-Grandparents, 5 = 3rd Great-Grandparents
+ */
+export function getGenerationLabel(generation) {
+  if (generation === 1) return 'Parents';
+  if (generation === 2) return 'Grandparents';
+  if (generation === 3) return 'Great-Grandparents';
+  return `${formatDegree(generation - 2)} Great-Grandparents`;
+}
+
+export default {
+  DEFAULT_PEDIGREE_GENERATIONS,
+  analyzePedigree,
+  getGenerationLabel
+};
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { analyzePedigree, getGenerationLabel } from './pedigreeCollapse';
+
+// Grandparents 1 + 2 have children 3 and 4; 3 + 5 have 6 and 4 + 7 have 8.
+// First cousins 6 and 8 have 9, whose great-grandparents 1 and 2 each fill
+// two slots.
+const parentMap = new Map([
+  [3, [1, 2]],
+  [4, [1, 2]],
+  [6, [3, 5]],
+  [8, [4, 7]],
+  [9, [6, 8]]
+]);
+
+describe('analyzePedigree', () => {
+  it('counts slots, unique ancestors and collapse per generation', () => {
+    const report = analyzePedigree(9, parentMap);
+
+    expect(report.depth).toBe(3);
+    expect(report.generations).toEqual([
+      { generation: 1, slots: 2, filled: 2, unique: 2, collapse: 0 },
+      { generation: 2, slots: 4, filled: 4, unique: 4, collapse: 0 },
+      { generation: 3, slots: 8, filled: 4, unique: 2, collapse: 0.5 }
+    ]);
+    expect(report.totalFilled).toBe(10);
+    expect(report.totalUnique).toBe(8);
+    expect(report.collapse).toBeCloseTo(0.2, 10);
+  });
+
+  it('lists the ancestors who appear more than once', () => {
+    const { duplicatedAncestors } = analyzePedigree(9, parentMap);
+    expect(duplicatedAncestors).toEqual([
+      { ancestorId: 1, slots: 2, generations: [3] },
+      { ancestorId: 2, slots: 2, generations: [3] }
+    ]);
+  });
+
+  it('includes the inbreeding coefficient', () => {
+    expect(analyzePedigree(9, parentMap).inbreeding).toBeCloseTo(1 / 16, 10);
+    expect(analyzePedigree(6, parentMap).inbreeding).toBe(0);
+  });
+
+  it('stops at the generation limit', () => {
+    const report = analyzePedigree(9, parentMap, { maxGenerations: 2 });
+    expect(report.depth).toBe(2);
+    expect(report.duplicatedAncestors).toEqual([]);
+    expect(report.collapse).toBe(0);
+  });
+
+  it('reports an empty pedigree for someone with no recorded parents', () => {
+    expect(analyzePedigree(1, parentMap)).toMatchObject({ depth: 0, totalFilled: 0, collapse: 0, inbreeding: 0 });
+  });
+});
+
+describe('getGenerationLabel', () => {
+  it('names each generation', () => {
+    expect([1, 2, 3, 4, 5].map(getGenerationLabel)).toEqual([
+      'Parents',
+      'Grandparents',
+      'Great-Grandparents',
+      '2nd Great-Grandparents',
+      '3rd Great-Grandparents'
+    ]);
+  });
+});
@@ -3,13 +3,17 @@
  * 
  * Utility for rendering personal arms with cadency marks.
  * This module handles the visual composition of personal heraldry,
- * adding cadency triangles to house arms to create differenced arms.
+ * adding cadency marks to house arms to create differenced arms.
  * 
  * CADENCY SYSTEM:
- * Lineageweaver uses a simple triangle-based cadency system:
- * - Small black triangles along the top (chief) of the shield
- * - Number of triangles = birth position among legitimate sons
- * - 1st son = 1 triangle, 2nd son = 2 triangles, etc.
+ * The dataset's cadency scheme (data/cadencySchemes.js) decides the mark:
+ * - Triangles: small black triangles along the chief, one per birth position
+ * - Brisures: a label, crescent, mullet, etc. at the centre of the chief
+ * - Bordures: a border around the shield, plain, invected or embattled
+ * - Illegitimacy: a baton sinister, bend sinister or bordure compony
+ * 
+ * Marks are drawn in the SVG's own viewBox, and bordures and bends are
+ * clipped to the shield outline when the SVG is masked.
  * 
  * USAGE:
  * This is used when:
@@ -18,21 +22,207 @@
  * 3. Displaying personal arms in QuickEditPanel
  */
 
-import { generateCadencyTriangles, generateCadencySVG } from './birthOrderUtils';
+import { generateCadencyTriangles, generateCadencySVG, describeCadencyMark } from './birthOrderUtils';
+import { CADENCY_MARKS } from '../data/cadencySchemes';
+import { getTinctureColor } from '../data/tinctures';
+
+const OUTLINE_DARK = '#1a1410';
+const OUTLINE_LIGHT = '#d4c4a8';
+
+/**
+ * Brisure shapes, drawn in a 20×20 box centred on the origin
+ */
+function starPoints(points, outer, inner) {
+  const coords = [];
+  for (let i = 0; i < points * 2; i++) {
+    const radius = i % 2 === 0 ? outer : inner;
+    const angle = (Math.PI / points) * i - Math.PI / 2;
+    coords.push(`${(radius * Math.cos(angle)).toFixed(2)} ${(radius * Math.sin(angle)).toFixed(2)}`);
+  }
+  return `M ${coords.join(' L ')} Z`;
+}
+
+function ringOfCircles(count, ringRadius, circleRadius) {
+  return Array.from({ length: count }, (_, i) => {
+    const angle = (2 * Math.PI / count) * i - Math.PI / 2;
+    return { cx: ringRadius * Math.cos(angle), cy: ringRadius * Math.sin(angle), r: circleRadius };
+  });
+}
+
+const BRISURE_SHAPES = {
+  crescent: { paths: ['M -8 -2 A 8 8 0 0 0 8 -2 A 8 5 0 0 1 -8 -2 Z'] },
+  mullet: { paths: [starPoints(5, 9, 3.6)] },
+  martlet: { paths: ['M -9 -1 Q -4 -6 2 -4 L 6 -8 L 5 -3 Q 9 -1 9 1 L 5 1 Q 2 5 -3 3 L -6 6 L -5 2 Q -8 1 -9 -1 Z'] },
+  annulet: { ring: 7 },
+  fleurDeLis: {
+    paths: [
+      'M 0 -10 Q 4 -5 1 2 L 3 2 Q 8 -4 10 0 Q 8 4 4 5 L 2 5 L 2 8 L -2 8 L -2 5 L -4 5 Q -8 4 -10 0 Q -8 -4 -3 2 L -1 2 Q -4 -5 0 -10 Z',
+      'M -5 3 L 5 3 L 5 5 L -5 5 Z'
+    ]
+  },
+  rose: { circles: [...ringOfCircles(5, 4.5, 3.6), { cx: 0, cy: 0, r: 2.5 }] },
+  crossMoline: {
+    paths: ['M -2 -6 L -4 -9 L -1 -8 L 0 -6.5 L 1 -8 L 4 -9 L 2 -6 L 2 -2 L 6 -2 L 9 -4 L 8 -1 L 6.5 0 L 8 1 L 9 4 L 6 2 L 2 2 L 2 6 L 4 9 L 1 8 L 0 6.5 L -1 8 L -4 9 L -2 6 L -2 2 L -6 2 L -9 4 L -8 1 L -6.5 0 L -8 -1 L -9 -4 L -6 -2 L -2 -2 Z']
+  },
+  doubleQuatrefoil: { circles: [...ringOfCircles(8, 5.5, 2.8), { cx: 0, cy: 0, r: 2 }] }
+};
+
+/**
+ * Read the geometry of a heraldry SVG: its viewBox and, for shield-masked
+ * SVGs, the clip path and outline of the shield
+ */
+function getShieldGeometry(svg) {
+  const viewBoxMatch = svg.match(/viewBox="([^"]+)"/);
+  if (!viewBoxMatch) return null;
+
+  const [x, y, width, height] = viewBoxMatch[1].trim().split(/[\s,]+/).map(Number);
+  const clipMatch = svg.match(/<clipPath id="([^"]+)">\s*<path d="([^"]+)"/);
+
+  return {
+    x, y, width, height,
+    clipId: clipMatch?.[1] || null,
+    outline: clipMatch?.[2] || `M ${x} ${y} H ${x + width} V ${y + height} H ${x} Z`
+  };
+}
+
+/**
+ * Draw the SVG elements for one cadency mark
+ *
+ * @param {Object} cadency - From getCadencyDifference(), or a legacy
+ *   { type: 'triangles', count } composition
+ * @param {Object} geometry - From getShieldGeometry()
+ * @param {Object} options - Triangle options (see addCadencyToSVG)
+ * @returns {string} SVG markup
+ */
+function renderCadencyMark(cadency, geometry, options) {
+  const { x, y, width, height, clipId, outline } = geometry;
+  const markId = cadency.mark || cadency.type;
+  const markDef = CADENCY_MARKS[markId];
+  if (!markDef) return '';
+
+  const unit = width / 200;
+  const fill = getTinctureColor(cadency.tincture || 'sable');
+  const outlineColor = cadency.tincture === 'sable' || !cadency.tincture ? OUTLINE_LIGHT : OUTLINE_DARK;
+  const clipped = (content) => (clipId ? `<g clip-path="url(#${clipId})">${content}</g>` : content);
+
+  // Triangles - the original Lineageweaver marks
+  if (markDef.kind === 'triangles') {
+    const triangles = generateCadencyTriangles(cadency.count || cadency.birthPosition || 1, width, {
+      ...options,
+      triangleSize: options.triangleSize * unit,
+      topMargin: options.topMargin * unit,
+      strokeWidth: options.strokeWidth * unit
+    });
+    return `<g transform="translate(${x}, ${y})">${triangles.map(t =>
+      `<path d="${t.path}" fill="${t.fillColor}" stroke="${t.strokeColor}" stroke-width="${t.strokeWidth}" class="cadency-mark"/>`
+    ).join('')}</g>`;
+  }
+
+  // Label of three points across the chief
+  if (markDef.kind === 'label') {
+    const barY = y + height * 0.09;
+    const left = x + width * 0.22;
+    const right = x + width * 0.78;
+    const points = [0.33, 0.5, 0.67].map(f =>
+      `M ${x + width * f - 4 * unit} ${barY} h ${8 * unit} l ${2 * unit} ${16 * unit} h ${-12 * unit} Z`
+    ).join(' ');
+    return `<path d="M ${left} ${barY - 3 * unit} H ${right} V ${barY + 3 * unit} H ${left} Z ${points}" fill="${fill}" stroke="${outlineColor}" stroke-width="${unit}" class="cadency-mark"/>`;
+  }
+
+  // Brisures at the centre of the chief
+  if (markDef.kind === 'brisure') {
+    const shape = BRISURE_SHAPES[markId];
+    const scale = (22 * unit) / 20;
+    const strokeWidth = 0.8;
+    let content = '';
+    if (shape.paths) {
+      content = shape.paths.map(d => `<path d="${d}" fill="${fill}" stroke="${outlineColor}" stroke-width="${strokeWidth}"/>`).join('');
+    } else if (shape.circles) {
+      content = shape.circles.map(c =>
+        `<circle cx="${c.cx.toFixed(2)}" cy="${c.cy.toFixed(2)}" r="${c.r}" fill="${fill}" stroke="${outlineColor}" stroke-width="${strokeWidth}"/>`
+      ).join('');
+    } else if (shape.ring) {
+      content = `<circle r="${shape.ring}" fill="none" stroke="${outlineColor}" stroke-width="4.2"/><circle r="${shape.ring}" fill="none" stroke="${fill}" stroke-width="3"/>`;
+    }
+    return `<g transform="translate(${x + width / 2}, ${y + height * 0.17}) scale(${scale})" class="cadency-mark">${content}</g>`;
+  }
+
+  // Bordures - the shield outline stroked twice as wide as the border and
+  // clipped, so only the inner half shows
+  const border = 16 * unit;
+  if (markDef.kind === 'bordure' || markId === 'bordureCompony') {
+    if (markId === 'bordureCompony') {
+      const second = getTinctureColor(cadency.secondTincture || 'gules');
+      const segment = 12 * unit;
+      return clipped(
+        `<path d="${outline}" fill="none" stroke="${fill}" stroke-width="${border * 2}" class="cadency-mark"/>` +
+        `<path d="${outline}" fill="none" stroke="${second}" stroke-width="${border * 2}" stroke-dasharray="${segment} ${segment}"/>`
+      );
+    }
+
+    if (markDef.line === 'invected') {
+      return clipped(
+        `<path d="${outline}" fill="none" stroke="${fill}" stroke-width="${border * 1.5}" class="cadency-mark"/>` +
+        `<path d="${outline}" fill="none" stroke="${fill}" stroke-width="${border * 2}" stroke-dasharray="0 ${border * 2.2}" stroke-linecap="round"/>`
+      );
+    }
+
+    if (markDef.line === 'embattled') {
+      return clipped(
+        `<path d="${outline}" fill="none" stroke="${fill}" stroke-width="${border * 1.5}" class="cadency-mark"/>` +
+        `<path d="${outline}" fill="none" stroke="${fill}" stroke-width="${border * 2}" stroke-dasharray="${border * 1.2} ${border * 1.2}"/>`
+      );
+    }
+
+    return clipped(`<path d="${outline}" fill="none" stroke="${fill}" stroke-width="${border * 2}" class="cadency-mark"/>`);
+  }
+
+  // Bend sinister - from the sinister chief to the dexter base, overall
+  if (markId === 'bendSinister') {
+    return clipped(
+      `<line x1="${x + width}" y1="${y}" x2="${x}" y2="${y + width}" stroke="${outlineColor}" stroke-width="${width * 0.2 + 2 * unit}"/>` +
+      `<line x1="${x + width}" y1="${y}" x2="${x}" y2="${y + width}" stroke="${fill}" stroke-width="${width * 0.2}" class="cadency-mark"/>`
+    );
+  }
+
+  // Baton sinister - a narrow bend sinister couped short of the edges
+  if (markId === 'batonSinister') {
+    const coords = `x1="${x + width * 0.74}" y1="${y + height * 0.2}" x2="${x + width * 0.26}" y2="${y + height * 0.72}"`;
+    return `<line ${coords} stroke="${outlineColor}" stroke-width="${width * 0.06 + 2 * unit}"/>` +
+      `<line ${coords} stroke="${fill}" stroke-width="${width * 0.06}" class="cadency-mark"/>`;
+  }
+
+  return '';
+}
+
+/**
+ * Normalise the cadency argument: a bare number is the original triangle
+ * system, where the count equals the birth position
+ */
+function toCadency(cadency) {
+  if (typeof cadency === 'number') {
+    return cadency >= 1
+      ? { type: 'triangles', mark: 'triangles', count: cadency, tincture: 'sable', birthPosition: cadency }
+      : null;
+  }
+  return cadency?.mark || cadency?.type ? cadency : null;
+}
 
 /**
  * Add cadency marks to an existing heraldry SVG
  * 
- * Takes the house heraldry SVG and overlays cadency triangles.
- * The triangles are positioned at the top (chief) of the shield.
+ * Takes the house heraldry SVG and overlays the cadency mark, on top of
+ * the shield outline.
  * 
  * @param {string} baseSVG - The base heraldry SVG (house arms)
- * @param {number} birthPosition - Birth order position (1, 2, 3, etc.)
- * @param {Object} options - Optional customization
+ * @param {Object|number} cadency - From getCadencyDifference(), or a birth
+ *   position for the original triangle marks
+ * @param {Object} options - Optional customization of triangle marks
  * @returns {string} Modified SVG with cadency marks
  */
-export function addCadencyToSVG(baseSVG, birthPosition, options = {}) {
-  if (!baseSVG || !birthPosition || birthPosition < 1) {
+export function addCadencyToSVG(baseSVG, cadency, options = {}) {
+  const difference = toCadency(cadency);
+  if (!baseSVG || !difference) {
     return baseSVG;
   }
   
@@ -45,16 +235,13 @@ export function addCadencyToSVG(baseSVG, birthPosition, options = {}) {
   } = options;
   
   // Parse the SVG to find its dimensions
-  const viewBoxMatch = baseSVG.match(/viewBox="([^"]+)"/);
-  if (!viewBoxMatch) {
+  const geometry = getShieldGeometry(baseSVG);
+  if (!geometry) {
     console.warn('Could not find viewBox in base SVG, returning unchanged');
     return baseSVG;
   }
   
-  const [, , width, height] = viewBoxMatch[1].split(' ').map(Number);
-  
-  // Generate the cadency triangles
-  const triangles = generateCadencyTriangles(birthPosition, width, {
+  const markSVG = renderCadencyMark(difference, geometry, {
     triangleSize,
     topMargin,
     fillColor,
@@ -62,23 +249,21 @@ export function addCadencyToSVG(baseSVG, birthPosition, options = {}) {
     strokeWidth
   });
   
-  if (triangles.length === 0) {
+  if (!markSVG) {
     return baseSVG;
   }
   
-  // Create the triangle paths SVG content
-  const trianglePaths = triangles.map(t => 
-    `<path d="${t.path}" fill="${t.fillColor}" stroke="${t.strokeColor}" stroke-width="${t.strokeWidth}" class="cadency-mark"/>`
-  ).join('\n    ');
+  const positionAttr = difference.birthPosition ? ` data-birth-position="${difference.birthPosition}"` : '';
   
-  // Create a group for the cadency marks
+  // Create a group for the cadency marks; the closing comment lets
+  // removeCadencyMarks find the end of the (nested) group
   const cadencyGroup = `
-  <g class="cadency-marks" data-birth-position="${birthPosition}">
-    ${trianglePaths}
-  </g>`;
+  <g class="cadency-marks" data-cadency-mark="${difference.mark || difference.type}"${positionAttr}>
+    ${markSVG}
+  </g><!--/cadency-marks-->`;
   
   // Insert the cadency group before the closing </svg> tag
-  // but after the shield outline (so triangles appear on top)
+  // but after the shield outline (so marks appear on top)
   const modifiedSVG = baseSVG.replace(
     /<\/svg>\s*$/,
     `${cadencyGroup}\n</svg>`
@@ -94,11 +279,12 @@ export function addCadencyToSVG(baseSVG, birthPosition, options = {}) {
  * It takes house heraldry and creates a new SVG with cadency marks.
  * 
  * @param {Object} houseHeraldry - The house heraldry record
- * @param {number} birthPosition - Birth order position
+ * @param {Object|number} cadency - From getCadencyDifference(), or a birth
+ *   position for the original triangle marks
  * @param {Object} options - Optional customization
  * @returns {Object} Object with SVG and metadata
  */
-export function createPersonalArmsSVG(houseHeraldry, birthPosition, options = {}) {
+export function createPersonalArmsSVG(houseHeraldry, cadency, options = {}) {
   if (!houseHeraldry) {
     return {
       success: false,
@@ -119,21 +305,17 @@ export function createPersonalArmsSVG(houseHeraldry, birthPosition, options = {}
   }
   
   // Add cadency marks
-  const personalArmsSVG = addCadencyToSVG(baseSVG, birthPosition, options);
+  const difference = toCadency(cadency);
+  const personalArmsSVG = addCadencyToSVG(baseSVG, difference, options);
   
   return {
     success: true,
     svg: personalArmsSVG,
-    birthPosition,
+    birthPosition: difference?.birthPosition || null,
     parentHeraldryId: houseHeraldry.id,
     composition: {
       base: houseHeraldry.composition,
-      cadency: {
-        type: 'triangles',
-        count: birthPosition,
-        position: 'chief',
-        tincture: 'sable'
-      }
+      cadency: difference
     }
   };
 }
@@ -182,8 +364,11 @@ export function hasCadencyMarks(svg) {
 export function removeCadencyMarks(svg) {
   if (!svg) return svg;
   
-  // Remove the entire cadency-marks group
-  return svg.replace(/<g class="cadency-marks"[^>]*>[\s\S]*?<\/g>/g, '');
+  // Remove the entire cadency-marks group (marked groups may be nested;
+  // older triangle-only groups are not)
+  return svg
+    .replace(/<g class="cadency-marks"[^>]*>[\s\S]*?<\/g><!--\/cadency-marks-->/g, '')
+    .replace(/<g class="cadency-marks"[^>]*>[\s\S]*?<\/g>/g, '');
 }
 
 /**
@@ -202,7 +387,11 @@ export function getCadencyPositionFromSVG(svg) {
     return parseInt(match[1], 10);
   }
   
-  // Fallback: count the cadency-mark paths
+  // Fallback: count the cadency-mark paths (triangle marks only)
+  const markMatch = svg.match(/data-cadency-mark="([^"]+)"/);
+  if (markMatch && markMatch[1] !== 'triangles') {
+    return null;
+  }
   const pathMatches = svg.match(/<path[^>]*class="cadency-mark"/g);
   if (pathMatches) {
     return pathMatches.length;
@@ -217,12 +406,12 @@ export function getCadencyPositionFromSVG(svg) {
  * Convenience function for React components.
  * 
  * @param {Object} houseHeraldry - The house heraldry record
- * @param {number} birthPosition - Birth order position
+ * @param {Object|number} cadency - Cadency difference or birth position
  * @param {Object} options - Optional customization
  * @returns {Object} Object with __html property for dangerouslySetInnerHTML
  */
-export function renderPersonalArmsHTML(houseHeraldry, birthPosition, options = {}) {
-  const result = createPersonalArmsSVG(houseHeraldry, birthPosition, options);
+export function renderPersonalArmsHTML(houseHeraldry, cadency, options = {}) {
+  const result = createPersonalArmsSVG(houseHeraldry, cadency, options);
   
   if (!result.success || !result.svg) {
     return { __html: '' };
@@ -234,24 +423,36 @@ export function renderPersonalArmsHTML(houseHeraldry, birthPosition, options = {
 /**
  * Generate blazon description for personal arms
  * 
- * Adds cadency description to the base blazon.
+ * Adds the cadency mark to the base blazon, worded for its kind:
+ * brisures are "for difference", bordures enclose the arms ("all within"),
+ * and bends of illegitimacy lie "overall".
  * 
  * @param {string} baseBlazon - The house arms blazon
- * @param {number} birthPosition - Birth order position
+ * @param {Object|number} cadency - From getCadencyDifference(), or a birth
+ *   position for the original triangle marks
  * @returns {string} Modified blazon with cadency
  */
-export function generatePersonalArmsBlazon(baseBlazon, birthPosition) {
+export function generatePersonalArmsBlazon(baseBlazon, cadency) {
   if (!baseBlazon) return '';
-  if (!birthPosition || birthPosition < 1) return baseBlazon;
+  const difference = toCadency(cadency);
+  if (!difference) return baseBlazon;
   
-  // In traditional heraldry, cadency marks are described
-  // For our triangle system, we describe it simply
-  const cadencyDescription = birthPosition === 1 
-    ? 'with a label of one point sable'
-    : `with ${birthPosition} labels sable in chief`;
+  const markDescription = describeCadencyMark(difference);
+  if (!markDescription) return baseBlazon;
   
-  // Add cadency to the end of the blazon
-  return `${baseBlazon}, ${cadencyDescription}`;
+  const kind = CADENCY_MARKS[difference.mark || difference.type]?.kind;
+  switch (kind) {
+    case 'triangles':
+      return `${baseBlazon}, with ${markDescription}`;
+    case 'bordure':
+      return `${baseBlazon}, all within ${markDescription}`;
+    case 'illegitimacy':
+      return difference.mark === 'bordureCompony'
+        ? `${baseBlazon}, all within ${markDescription}`
+        : `${baseBlazon}, overall ${markDescription}`;
+    default:
+      return `${baseBlazon}, ${markDescription} for difference`;
+  }
 }
 
 export default {
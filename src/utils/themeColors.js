@@ -227,6 +227,54 @@ export function isDarkTheme() {
   return true; // Default to dark if can't determine
 }
 
+/**
+ * Harmonize a house color with the current theme
+ * Blends the color toward warm brown and darkens it for dark themes, or
+ * toward warm cream for light themes, so house colors sit with the
+ * parchment palette on tree cards and charts.
+ * 
+ * @param {string} hexColor - House color (#rrggbb)
+ * @param {boolean} [dark] - Dark theme; detected from the page when omitted
+ * @returns {string} Hex color code
+ * 
+ * @example
+ * card.attr('fill', harmonizeColor(house.colorCode, isDarkTheme()));
+ */
+export function harmonizeColor(hexColor, dark = isDarkTheme()) {
+  const hex = hexColor.replace('#', '');
+  let r = parseInt(hex.substr(0, 2), 16);
+  let g = parseInt(hex.substr(2, 2), 16);
+  let b = parseInt(hex.substr(4, 2), 16);
+
+  if (dark) {
+    const warmBrown = { r: 120, g: 100, b: 80 };
+    const desaturationAmount = 0.5;
+    r = Math.round(r * (1 - desaturationAmount) + warmBrown.r * desaturationAmount);
+    g = Math.round(g * (1 - desaturationAmount) + warmBrown.g * desaturationAmount);
+    b = Math.round(b * (1 - desaturationAmount) + warmBrown.b * desaturationAmount);
+    const darkenAmount = 0.7;
+    r = Math.round(r * darkenAmount);
+    g = Math.round(g * darkenAmount);
+    b = Math.round(b * darkenAmount);
+  } else {
+    const warmCream = { r: 180, g: 160, b: 140 };
+    const desaturationAmount = 0.4;
+    r = Math.round(r * (1 - desaturationAmount) + warmCream.r * desaturationAmount);
+    g = Math.round(g * (1 - desaturationAmount) + warmCream.g * desaturationAmount);
+    b = Math.round(b * (1 - desaturationAmount) + warmCream.b * desaturationAmount);
+    const adjustAmount = 0.8;
+    r = Math.round(r * adjustAmount);
+    g = Math.round(g * adjustAmount);
+    b = Math.round(b * adjustAmount);
+  }
+
+  const toHex = (n) => {
+    const hex = n.toString(16);
+    return hex.length === 1 ? '0' + hex : hex;
+  };
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+}
+
 /**
  * Get appropriate text color for a given background
  * Ensures good contrast
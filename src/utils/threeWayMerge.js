@@ -0,0 +1,195 @@
+/**
+ * threeWayMerge.js - Field-level Three-Way Merge for Cloud Sync
+ *
+ * PURPOSE:
+ * When two machines edit the same entity, compare each side against the
+ * last version both agreed on (the "base") instead of letting the last
+ * writer overwrite everything.
+ *
+ * HOW IT DECIDES (per field):
+ * - Only local changed since base  → take local
+ * - Only remote changed since base → take remote
+ * - Both changed to the same value → take it
+ * - Both changed differently       → CONFLICT (user picks a side)
+ *
+ * With no base (entity was never synced from this machine) we fall back
+ * to the per-entity `updated` timestamps: the newer side wins each
+ * differing field.
+ *
+ * USAGE:
+ *   import { mergeEntity } from './threeWayMerge';
+ *   const { merged, conflicts } = mergeEntity(base, local, remote);
+ *   if (conflicts.length === 0) save(merged);
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Bookkeeping fields that never take part in a merge.
+ * `updated` is handled separately (max of both sides).
+ */
+export const SYNC_META_FIELDS = ['id', 'localId', 'createdAt', 'updatedAt', 'syncedAt', 'updated'];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Strip Firestore/bookkeeping fields so cloud and local records compare cleanly
+ * @param {Object|null} entity
+ * @returns {Object|null}
+ */
+export function stripSyncMeta(entity) {
+  if (!entity) return null;
+  const clean = {};
+  for (const [key, value] of Object.entries(entity)) {
+    if (!SYNC_META_FIELDS.includes(key)) clean[key] = value;
+  }
+  return clean;
+}
+
+/**
+ * Deep equality for plain JSON-ish values.
+ * Treats undefined and null as the same "empty" value.
+ */
+export function valuesEqual(a, b) {
+  if (a === b) return true;
+  if (a == null && b == null) return true;
+  if (a == null || b == null) return false;
+  if (typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => valuesEqual(a[key], b[key]));
+}
+
+/**
+ * Convert an `updated` value (ISO string, ms, or Firestore Timestamp) to ms
+ */
+export function toMillis(value) {
+  if (!value) return 0;
+  if (typeof value === 'number') return value;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+function latestUpdated(...values) {
+  let best = null;
+  for (const value of values) {
+    if (value && toMillis(value) >= toMillis(best)) best = value;
+  }
+  return best;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MERGE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Merge a local and remote version of one entity against their common base
+ *
+ * @param {Object|null} base - Last synced snapshot (null if unknown)
+ * @param {Object} local - Current local record
+ * @param {Object} remote - Current cloud record
+ * @returns {Object} {
+ *   merged: Object - result with non-conflicting fields merged (conflicting fields keep local),
+ *   conflicts: Array<{field, base, local, remote}>,
+ *   localChanged: boolean - merged differs from local (local needs a write),
+ *   remoteChanged: boolean - merged differs from remote (cloud needs a write)
+ * }
+ */
+export function mergeEntity(base, local, remote) {
+  const cleanBase = stripSyncMeta(base);
+  const cleanLocal = stripSyncMeta(local) || {};
+  const cleanRemote = stripSyncMeta(remote) || {};
+
+  const localNewer = toMillis(local?.updated) >= toMillis(remote?.updated);
+
+  const fields = new Set([
+    ...Object.keys(cleanLocal),
+    ...Object.keys(cleanRemote),
+    ...Object.keys(cleanBase || {})
+  ]);
+
+  const merged = {};
+  const conflicts = [];
+
+  for (const field of fields) {
+    const localValue = cleanLocal[field];
+    const remoteValue = cleanRemote[field];
+
+    if (valuesEqual(localValue, remoteValue)) {
+      merged[field] = localValue !== undefined ? localValue : remoteValue;
+      continue;
+    }
+
+    // No common ancestor - newest edit wins
+    if (!cleanBase) {
+      merged[field] = localNewer ? localValue : remoteValue;
+      continue;
+    }
+
+    const baseValue = cleanBase[field];
+    const localChanged = !valuesEqual(localValue, baseValue);
+    const remoteChanged = !valuesEqual(remoteValue, baseValue);
+
+    if (localChanged && !remoteChanged) {
+      merged[field] = localValue;
+    } else if (remoteChanged && !localChanged) {
+      merged[field] = remoteValue;
+    } else {
+      merged[field] = localValue;
+      conflicts.push({ field, base: baseValue, local: localValue, remote: remoteValue });
+    }
+  }
+
+  // Drop fields that ended up empty on both sides of the merge
+  for (const field of Object.keys(merged)) {
+    if (merged[field] === undefined) delete merged[field];
+  }
+
+  merged.updated = latestUpdated(local?.updated, remote?.updated);
+
+  return {
+    merged,
+    conflicts,
+    localChanged: !valuesEqual(stripSyncMeta(merged), cleanLocal),
+    remoteChanged: !valuesEqual(stripSyncMeta(merged), cleanRemote)
+  };
+}
+
+/**
+ * Apply the user's per-field choices to a stored conflict
+ *
+ * @param {Object} merged - Auto-merged snapshot stored with the conflict
+ * @param {Array} conflicts - Conflicting fields [{field, local, remote}]
+ * @param {Object} choices - { [field]: 'local' | 'remote' } (defaults to local)
+ * @returns {Object} Resolved entity
+ */
+export function applyConflictChoices(merged, conflicts, choices = {}) {
+  const resolved = { ...merged };
+  for (const conflict of conflicts) {
+    const value = choices[conflict.field] === 'remote' ? conflict.remote : conflict.local;
+    if (value === undefined) {
+      delete resolved[conflict.field];
+    } else {
+      resolved[conflict.field] = value;
+    }
+  }
+  resolved.updated = new Date().toISOString();
+  return resolved;
+}
+
+export default {
+  SYNC_META_FIELDS,
+  stripSyncMeta,
+  valuesEqual,
+  toMillis,
+  mergeEntity,
+  applyConflictChoices
+};
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  stripSyncMeta,
+  valuesEqual,
+  toMillis,
+  mergeEntity,
+  applyConflictChoices
+} from './threeWayMerge';
+
+const base = { id: 1, firstName: 'Aldric', lastName: 'Stone', notes: 'Founder', updated: '2026-01-01T00:00:00Z' };
+
+describe('helpers', () => {
+  it('strips bookkeeping fields', () => {
+    expect(stripSyncMeta({ id: 1, localId: 1, syncedAt: 5, updated: 'x', firstName: 'A' })).toEqual({ firstName: 'A' });
+    expect(stripSyncMeta(null)).toBeNull();
+  });
+
+  it('compares values deeply, treating null and undefined alike', () => {
+    expect(valuesEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toBe(true);
+    expect(valuesEqual({ a: [1, 2] }, { a: [2, 1] })).toBe(false);
+    expect(valuesEqual(null, undefined)).toBe(true);
+    expect(valuesEqual([], {})).toBe(false);
+    expect(valuesEqual(0, null)).toBe(false);
+  });
+
+  it('reads timestamps in every stored form', () => {
+    expect(toMillis('2026-01-01T00:00:00Z')).toBe(Date.UTC(2026, 0, 1));
+    expect(toMillis(42)).toBe(42);
+    expect(toMillis({ toMillis: () => 7 })).toBe(7);
+    expect(toMillis('not a date')).toBe(0);
+    expect(toMillis(null)).toBe(0);
+  });
+});
+
+describe('mergeEntity', () => {
+  it('takes each side\'s edits to different fields', () => {
+    const local = { ...base, firstName: 'Aldrich', updated: '2026-01-02T00:00:00Z' };
+    const remote = { ...base, notes: 'Founder of House Stone', updated: '2026-01-03T00:00:00Z' };
+
+    const { merged, conflicts, localChanged, remoteChanged } = mergeEntity(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged).toMatchObject({ firstName: 'Aldrich', notes: 'Founder of House Stone', lastName: 'Stone' });
+    expect(merged.updated).toBe('2026-01-03T00:00:00Z');
+    expect(localChanged).toBe(true);
+    expect(remoteChanged).toBe(true);
+  });
+
+  it('accepts the same edit made on both sides', () => {
+    const local = { ...base, lastName: 'Vale' };
+    const remote = { ...base, lastName: 'Vale' };
+    const { merged, conflicts, localChanged, remoteChanged } = mergeEntity(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.lastName).toBe('Vale');
+    expect(localChanged).toBe(false);
+    expect(remoteChanged).toBe(false);
+  });
+
+  it('reports a conflict when both sides change a field differently, keeping local meanwhile', () => {
+    const local = { ...base, notes: 'Local notes' };
+    const remote = { ...base, notes: 'Remote notes' };
+    const { merged, conflicts } = mergeEntity(base, local, remote);
+
+    expect(conflicts).toEqual([{ field: 'notes', base: 'Founder', local: 'Local notes', remote: 'Remote notes' }]);
+    expect(merged.notes).toBe('Local notes');
+  });
+
+  it('follows a field removed on one side', () => {
+    const local = { ...base };
+    const remote = { ...base };
+    delete remote.notes;
+    const { merged, conflicts } = mergeEntity(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged).not.toHaveProperty('notes');
+  });
+
+  it('lets the newer side win each differing field when there is no base', () => {
+    const local = { ...base, firstName: 'Local', updated: '2026-01-02T00:00:00Z' };
+    const remote = { ...base, firstName: 'Remote', notes: 'Remote', updated: '2026-01-05T00:00:00Z' };
+    const { merged, conflicts } = mergeEntity(null, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged).toMatchObject({ firstName: 'Remote', notes: 'Remote' });
+  });
+
+  it('ignores bookkeeping fields', () => {
+    const local = { ...base, syncedAt: 1 };
+    const remote = { ...base, id: 'cloud-1', createdAt: 2 };
+    const { conflicts, localChanged, remoteChanged } = mergeEntity(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(localChanged).toBe(false);
+    expect(remoteChanged).toBe(false);
+  });
+});
+
+describe('applyConflictChoices', () => {
+  it('applies per-field choices, defaulting to local', () => {
+    const conflicts = [
+      { field: 'notes', local: 'Local notes', remote: 'Remote notes' },
+      { field: 'firstName', local: 'Aldrich', remote: 'Aldo' },
+      { field: 'epithet', local: 'the Bold', remote: undefined }
+    ];
+    const merged = { firstName: 'Aldrich', notes: 'Local notes', epithet: 'the Bold' };
+
+    const resolved = applyConflictChoices(merged, conflicts, { notes: 'remote', epithet: 'remote' });
+
+    expect(resolved).toMatchObject({ notes: 'Remote notes', firstName: 'Aldrich' });
+    expect(resolved).not.toHaveProperty('epithet');
+    expect(typeof resolved.updated).toBe('string');
+  });
+});
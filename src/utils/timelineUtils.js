@@ -0,0 +1,385 @@
+/**
+ * timelineUtils.js - Historical Timeline Data
+ *
+ * PURPOSE:
+ * Collects every dated thing in a dataset into one list of timeline events
+ * for the /timeline page:
+ * - Births and deaths (people.dateOfBirth / dateOfDeath)
+ * - Marriages (spouse relationships with a marriageDate)
+ * - Dignity tenures (dignityTenures.dateStarted → dateEnded, drawn as spans)
+ * - Regencies recorded on those tenures (startDate → endDate, also spans)
+ * - House foundings (houses.foundedDate)
+ * - Codex entries of type 'event' whose era (or subtitle) contains a year
+ *
+ * Codex events without a year in their era can't be placed on the axis;
+ * they are returned separately so the page can list them by era.
+ *
+ * USAGE:
+ *   const { events, undated } = buildTimelineEvents({ people, houses, ... });
+ *   const visible = filterTimelineEvents(events, { houseId, dignityId });
+ */
+
+import { parseBirthYear } from './birthOrderUtils';
+import { formatCalendarDate } from './calendarUtils';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Event kinds shown on the timeline
+ */
+export const TIMELINE_EVENT_TYPES = {
+  birth: { id: 'birth', label: 'Births', icon: 'sparkles', color: 'var(--color-success)' },
+  death: { id: 'death', label: 'Deaths', icon: 'moon', color: 'var(--text-tertiary)' },
+  marriage: { id: 'marriage', label: 'Marriages', icon: 'heart', color: 'var(--color-error)' },
+  tenure: { id: 'tenure', label: 'Tenures', icon: 'crown', color: 'var(--accent-primary)' },
+  regency: { id: 'regency', label: 'Regencies', icon: 'shield', color: 'var(--accent-secondary)' },
+  founding: { id: 'founding', label: 'House Foundings', icon: 'castle', color: 'var(--color-warning)' },
+  event: { id: 'event', label: 'Codex Events', icon: 'scroll', color: 'var(--color-info)' }
+};
+
+/**
+ * Zoom levels, from whole centuries down to single years.
+ * pxPerYear controls width; tickStep is the spacing of axis labels.
+ */
+export const TIMELINE_ZOOM_LEVELS = [
+  { id: 'centuries', label: 'Centuries', pxPerYear: 2, tickStep: 100 },
+  { id: 'half-centuries', label: '50 Years', pxPerYear: 6, tickStep: 50 },
+  { id: 'decades', label: 'Decades', pxPerYear: 16, tickStep: 10 },
+  { id: 'five-years', label: '5 Years', pxPerYear: 40, tickStep: 5 },
+  { id: 'years', label: 'Years', pxPerYear: 90, tickStep: 1 }
+];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Pull a year out of a codex event's era or subtitle
+ * Accepts "1205", "Year 1205", "1200-1210" (uses the start), "c. 980".
+ *
+ * @param {Object} entry - Codex entry
+ * @returns {{year: number, endYear: number|null}|null}
+ */
+export function extractEventYear(entry) {
+  for (const text of [entry.era, entry.subtitle]) {
+    if (!text) continue;
+    const range = String(text).match(/\b(\d{1,4})\s*[-–]\s*(\d{1,4})\b/);
+    if (range) {
+      return { year: parseInt(range[1], 10), endYear: parseInt(range[2], 10) };
+    }
+    const single = String(text).match(/\b(\d{1,4})\b/);
+    if (single) {
+      return { year: parseInt(single[1], 10), endYear: null };
+    }
+  }
+  return null;
+}
+
+function personName(person) {
+  return `${person.firstName || ''} ${person.lastName || ''}`.trim() || 'Unknown';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BUILD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build the full list of timeline events for a dataset
+ *
+ * Each event: {
+ *   id, type, year, endYear (spans only), label, detail,
+ *   personIds: [], houseIds: [], dignityId, link (route to open)
+ * }
+ *
+ * @param {Object} data
+ * @param {Array} data.people
+ * @param {Array} data.houses
+ * @param {Array} data.relationships
+ * @param {Array} [data.dignities]
+ * @param {Array} [data.tenures] - dignityTenures
+ * @param {Array} [data.codexEntries]
+ * @returns {{events: Array, undated: Array}}
+ */
+export function buildTimelineEvents({
+  people = [],
+  houses = [],
+  relationships = [],
+  dignities = [],
+  tenures = [],
+  codexEntries = []
+}) {
+  const events = [];
+  const undated = [];
+  const peopleById = new Map(people.map(p => [p.id, p]));
+  const dignitiesById = new Map(dignities.map(d => [d.id, d]));
+
+  // ─── Births & deaths ───
+  for (const person of people) {
+    const houseIds = person.houseId ? [person.houseId] : [];
+    const birthYear = parseBirthYear(person.dateOfBirth);
+    const deathYear = parseBirthYear(person.dateOfDeath);
+
+    if (birthYear !== null) {
+      events.push({
+        id: `birth-${person.id}`,
+        type: 'birth',
+        year: birthYear,
+        label: personName(person),
+        detail: `Born ${formatCalendarDate(person.dateOfBirth)}`,
+        personIds: [person.id],
+        houseIds,
+        link: `/tree/${person.id}`
+      });
+    }
+
+    if (deathYear !== null) {
+      events.push({
+        id: `death-${person.id}`,
+        type: 'death',
+        year: deathYear,
+        label: personName(person),
+        detail: `Died ${formatCalendarDate(person.dateOfDeath)}`,
+        personIds: [person.id],
+        houseIds,
+        link: `/tree/${person.id}`
+      });
+    }
+  }
+
+  // ─── Marriages ───
+  for (const rel of relationships) {
+    if (rel.relationshipType !== 'spouse') continue;
+    const year = parseBirthYear(rel.marriageDate);
+    if (year === null) continue;
+
+    const spouse1 = peopleById.get(rel.person1Id);
+    const spouse2 = peopleById.get(rel.person2Id);
+    if (!spouse1 || !spouse2) continue;
+
+    events.push({
+      id: `marriage-${rel.id}`,
+      type: 'marriage',
+      year,
+      label: `${personName(spouse1)} & ${personName(spouse2)}`,
+      detail: `Married ${formatCalendarDate(rel.marriageDate)}`,
+      personIds: [spouse1.id, spouse2.id],
+      houseIds: [spouse1.houseId, spouse2.houseId].filter(Boolean),
+      link: `/tree/${spouse1.id}`
+    });
+  }
+
+  // ─── Dignity tenures ───
+  for (const tenure of tenures) {
+    const year = parseBirthYear(tenure.dateStarted);
+    const holder = peopleById.get(tenure.personId);
+    const dignity = dignitiesById.get(tenure.dignityId);
+    const endYear = parseBirthYear(tenure.dateEnded);
+
+    if (year !== null) {
+      events.push({
+        id: `tenure-${tenure.id}`,
+        type: 'tenure',
+        year,
+        endYear: endYear !== null && endYear >= year ? endYear : null,
+        label: `${holder ? personName(holder) : 'Unknown'}${dignity ? ` — ${dignity.shortName || dignity.name}` : ''}`,
+        detail: `${formatCalendarDate(tenure.dateStarted)} – ${formatCalendarDate(tenure.dateEnded) || 'present'}`,
+        personIds: holder ? [holder.id] : [],
+        houseIds: [holder?.houseId, dignity?.currentHouseId].filter(Boolean),
+        dignityId: tenure.dignityId,
+        link: `/dignities/view/${tenure.dignityId}`
+      });
+    }
+
+    // Regencies carry their own dates, so they show even on an undated tenure
+    for (const regency of tenure.regencies || []) {
+      const regencyYear = parseBirthYear(regency.startDate);
+      if (regencyYear === null) continue;
+
+      const regent = peopleById.get(regency.regentId);
+      const regencyEndYear = parseBirthYear(regency.endDate);
+
+      events.push({
+        id: `regency-${tenure.id}-${regency.id}`,
+        type: 'regency',
+        year: regencyYear,
+        endYear: regencyEndYear !== null && regencyEndYear >= regencyYear ? regencyEndYear : null,
+        label: `${regent ? personName(regent) : 'Regency council'} for ${holder ? personName(holder) : 'Unknown'}`,
+        detail: `${formatCalendarDate(regency.startDate)} – ${formatCalendarDate(regency.endDate) || 'present'}`,
+        personIds: [regent?.id, holder?.id].filter(Boolean),
+        houseIds: [regent?.houseId, holder?.houseId].filter(Boolean),
+        dignityId: tenure.dignityId,
+        link: `/dignities/view/${tenure.dignityId}`
+      });
+    }
+  }
+
+  // ─── House foundings ───
+  for (const house of houses) {
+    const year = parseBirthYear(house.foundedDate);
+    if (year === null) continue;
+
+    events.push({
+      id: `founding-${house.id}`,
+      type: 'founding',
+      year,
+      label: `House ${house.houseName} founded`,
+      detail: house.houseType === 'cadet' ? 'Cadet branch' : 'Noble house',
+      personIds: [],
+      houseIds: [house.id],
+      link: house.codexEntryId ? `/codex/entry/${house.codexEntryId}` : null
+    });
+  }
+
+  // ─── Codex events ───
+  for (const entry of codexEntries) {
+    if (entry.type !== 'event' || !entry.era) continue;
+
+    const dated = extractEventYear(entry);
+    const event = {
+      id: `event-${entry.id}`,
+      type: 'event',
+      label: entry.title,
+      detail: entry.era,
+      era: entry.era,
+      personIds: entry.personId ? [entry.personId] : [],
+      houseIds: entry.houseId ? [entry.houseId] : [],
+      dignityId: entry.dignityId || null,
+      link: `/codex/entry/${entry.id}`
+    };
+
+    if (dated) {
+      events.push({
+        ...event,
+        year: dated.year,
+        endYear: dated.endYear !== null && dated.endYear >= dated.year ? dated.endYear : null
+      });
+    } else {
+      undated.push(event);
+    }
+  }
+
+  events.sort((a, b) => a.year - b.year || a.type.localeCompare(b.type));
+  return { events, undated };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FILTER & LAYOUT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Filter events by house, dignity and event type
+ *
+ * Dignity filter keeps that dignity's tenures plus the births, deaths and
+ * marriages of everyone who held it.
+ *
+ * @param {Array} events
+ * @param {Object} filters - { houseId, dignityId, types: Set<string> }
+ * @param {Array} [tenures] - Needed to resolve dignity holders
+ * @returns {Array}
+ */
+export function filterTimelineEvents(events, { houseId = null, dignityId = null, types = null } = {}, tenures = []) {
+  const holderIds = dignityId
+    ? new Set(tenures.filter(t => t.dignityId === dignityId).map(t => t.personId))
+    : null;
+
+  return events.filter(event => {
+    if (types && !types.has(event.type)) return false;
+    if (houseId && !event.houseIds.includes(houseId)) return false;
+    if (dignityId) {
+      if (event.dignityId === dignityId) return true;
+      if (event.type === 'tenure' || event.type === 'regency') return false;
+      return event.personIds.some(id => holderIds.has(id));
+    }
+    return true;
+  });
+}
+
+/**
+ * Year range covering all events, padded to whole tick steps
+ */
+export function getTimelineBounds(events, tickStep = 10) {
+  if (events.length === 0) return null;
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const event of events) {
+    min = Math.min(min, event.year);
+    max = Math.max(max, event.endYear ?? event.year);
+  }
+
+  return {
+    start: Math.floor(min / tickStep) * tickStep - tickStep,
+    end: Math.ceil(max / tickStep) * tickStep + tickStep
+  };
+}
+
+/**
+ * Axis tick years between start and end
+ */
+export function getTimelineTicks(start, end, tickStep) {
+  const ticks = [];
+  for (let year = start; year <= end; year += tickStep) {
+    ticks.push(year);
+  }
+  return ticks;
+}
+
+/**
+ * Assign each event a row so labels don't overlap at the current zoom
+ *
+ * @param {Array} events - Sorted by year
+ * @param {number} pxPerYear - Current zoom
+ * @param {number} [labelWidth=160] - Minimum pixels a point event occupies
+ * @returns {Array} Events with a `row` property
+ */
+export function layoutTimelineRows(events, pxPerYear, labelWidth = 160) {
+  const rowEnds = []; // pixel x where each row becomes free again
+
+  return events.map(event => {
+    const x = event.year * pxPerYear;
+    const spanEnd = event.endYear != null ? (event.endYear + 1) * pxPerYear : x;
+    const end = Math.max(spanEnd, x + labelWidth);
+
+    let row = rowEnds.findIndex(rowEnd => rowEnd <= x);
+    if (row === -1) {
+      row = rowEnds.length;
+      rowEnds.push(end);
+    } else {
+      rowEnds[row] = end;
+    }
+
+    return { ...event, row };
+  });
+}
+
+/**
+ * Era bands: the span of years covered by dated codex events in each era
+ *
+ * @param {Array} events
+ * @returns {Array<{era, start, end}>}
+ */
+export function buildEraBands(events) {
+  const bands = new Map();
+  for (const event of events) {
+    if (event.type !== 'event' || !event.era) continue;
+    const band = bands.get(event.era) || { era: event.era, start: event.year, end: event.year };
+    band.start = Math.min(band.start, event.year);
+    band.end = Math.max(band.end, event.endYear ?? event.year);
+    bands.set(event.era, band);
+  }
+  return [...bands.values()].sort((a, b) => a.start - b.start);
+}
+
+export default {
+  TIMELINE_EVENT_TYPES,
+  TIMELINE_ZOOM_LEVELS,
+  extractEventYear,
+  buildTimelineEvents,
+  filterTimelineEvents,
+  getTimelineBounds,
+  getTimelineTicks,
+  layoutTimelineRows,
+  buildEraBands
+};
@@ -0,0 +1,524 @@
+/**
+ * tinctureLinter.js - Rule of Tincture Checks for a Whole Composition
+ *
+ * PURPOSE:
+ * checkRuleOfTincture() in tinctures.js compares one pair of tinctures.
+ * This walks the Heraldry Creator's whole layer stack and reports every
+ * place the conventions of armory are broken:
+ *
+ * - Field divisions: metal beside metal, colour beside colour, or the same
+ *   tincture on both sides of a line
+ * - Ordinaries: against the field (and earlier ordinaries) they lie on
+ * - Charges: against whatever is under them - the field, or the ordinary
+ *   they are charged on
+ * - Uncommon tinctures: stains and the Creator's non-traditional colours
+ * - Count limits: more pieces of an ordinary than it allows, a second
+ *   chief, a crowded shield
+ *
+ * Each issue carries a suggested fix the Creator can apply in one click.
+ *
+ * A layer that lies over both a metal and a colour (a chief over a field
+ * per pale Or and Gules, a charge across a partition line) satisfies the
+ * rule. Compositions in the fantasy category are exempt.
+ *
+ * GEOMETRY:
+ * Uses the Creator's 200×200 layout (see generateFieldSVG and
+ * generateOrdinarySVG in HeraldryCreator.jsx), sampling points rather
+ * than intersecting shapes, with straight lines standing in for wavy,
+ * embattled and other line styles.
+ *
+ * USAGE:
+ * import { lintComposition } from '../utils/tinctureLinter';
+ * const { exempt, issues } = lintComposition({ field, ordinaries, charges, category }, {
+ *   tinctures: TINCTURES, ordinaries: ORDINARIES,
+ *   chargeArrangements: CHARGE_ARRANGEMENTS, chargeSizes: CHARGE_SIZES
+ * });
+ */
+
+import { ALL_TINCTURES, TRADITIONAL_TINCTURES, checkRuleOfTincture } from '../data/tinctures';
+
+export const LINT_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+// Tinctures suggested as replacements, most conventional first
+const PREFERRED_COLOURS = ['gules', 'azure', 'sable', 'vert', 'purpure'];
+const PREFERRED_METALS = ['or', 'argent'];
+
+// Nearest traditional tincture for stains and the Creator's extra palette
+const TRADITIONAL_EQUIVALENTS = {
+  tenne: 'gules',
+  sanguine: 'gules',
+  murrey: 'purpure',
+  copper: 'or',
+  steel: 'argent',
+  celeste: 'azure',
+  carnation: 'argent',
+  brunatre: 'sable',
+  crimson: 'gules',
+  midnight: 'azure',
+  jade: 'vert'
+};
+
+// More ordinaries than this crowds the shield
+const MAX_ORDINARIES = 2;
+
+// Half the size of a charge drawn at scale 1 (generateExternalChargeSVGAsync draws 80 × scale)
+const CHARGE_HALF_SIZE = 40;
+
+// Where a charge sits when the Creator's layouts aren't supplied
+const DEFAULT_CHARGE_POSITION = { x: 100, y: 90 };
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GEOMETRY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function thicknessOf(layer) {
+  return layer.thickness === 'narrow' ? 0.6 : layer.thickness === 'wide' ? 1.4 : 1;
+}
+
+/**
+ * Field tincture at a point, or null where the pattern is too fine to tell
+ * (lozengy, fusily) and the point should count as both tinctures
+ */
+function fieldTinctureAt(field, x, y) {
+  const { division, tincture1: t1, tincture2: t2, tincture3, count = 6, inverted = false } = field;
+  const t3 = tincture3 || t1;
+  const odd = (n) => Math.abs(Math.floor(n)) % 2 === 1;
+
+  switch (division) {
+    case 'plain':
+      return t1;
+    case 'perPale':
+      return x < 100 ? t1 : t2;
+    case 'perFess':
+      return y < 100 ? t1 : t2;
+    case 'perBend':
+      return y < x ? t2 : t1;
+    case 'perBendSinister':
+      return x + y < 200 ? t2 : t1;
+    case 'perChevron': {
+      const peakY = inverted ? 140 : 60;
+      const baseY = inverted ? 0 : 200;
+      const lineY = peakY + (baseY - peakY) * Math.abs(x - 100) / 100;
+      if (inverted) return y < lineY ? t1 : t2;
+      return y > lineY ? t2 : t1;
+    }
+    case 'quarterly':
+      return (x >= 100) !== (y >= 100) ? t2 : t1;
+    case 'perSaltire':
+      return Math.abs(x - 100) + Math.abs(y - 100) < 100 ? t2 : t1;
+    case 'paly':
+      return odd(x / (200 / (count || 6))) ? t2 : t1;
+    case 'barry':
+      return odd(y / (200 / (count || 6))) ? t2 : t1;
+    case 'bendy':
+      return odd((x - y + 200) / (200 / (count || 6))) ? t2 : t1;
+    case 'bendySinister':
+      return odd((400 - x - y) / (200 / (count || 6))) ? t2 : t1;
+    case 'chequy':
+      return odd(Math.floor(x / 40) + Math.floor(y / 40)) ? t2 : t1;
+    case 'gyronny': {
+      const sector = Math.floor((Math.atan2(y - 100, x - 100) + Math.PI) / (Math.PI / 4));
+      return sector % 2 === 0 ? t2 : t1;
+    }
+    case 'tiercedPale':
+      return x < 67 ? t1 : x < 133 ? t2 : t3;
+    case 'tiercedFess':
+      return y < 67 ? t1 : y < 133 ? t2 : t3;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Does an ordinary cover a point of the 200×200 field?
+ */
+function ordinaryCovers(ordinary, x, y) {
+  const t = thicknessOf(ordinary);
+  const count = Math.min(ordinary.count || 1, 3);
+
+  switch (ordinary.type) {
+    case 'chief':
+      return y < 60 * t;
+    case 'base':
+      return y > 200 - 60 * t;
+    case 'fess': {
+      const band = 50 * t;
+      const spacing = count === 1 ? 0 : 30;
+      const startY = 100 - (count * band + (count - 1) * spacing) / 2;
+      return Array.from({ length: count }, (_, i) => startY + i * (band + spacing))
+        .some(top => y >= top && y <= top + band);
+    }
+    case 'pale': {
+      const band = 50 * t;
+      const spacing = count === 1 ? 0 : 20;
+      const startX = 100 - (count * band + (count - 1) * spacing) / 2;
+      return Array.from({ length: count }, (_, i) => startX + i * (band + spacing))
+        .some(left => x >= left && x <= left + band);
+    }
+    case 'bend':
+    case 'bendSinister': {
+      const band = 45 * t;
+      return Array.from({ length: count }, (_, i) => (i - (count - 1) / 2) * (band + 15))
+        .some(offset => (ordinary.type === 'bend'
+          ? Math.abs(y - x + offset)
+          : Math.abs(x + y - 200 + offset)) <= band);
+    }
+    case 'chevron': {
+      const band = 45 * t;
+      const direction = ordinary.inverted ? -1 : 1;
+      const baseY = ordinary.inverted ? 40 : 160;
+      const peakY = ordinary.inverted ? 160 : 40;
+      return Array.from({ length: count }, (_, i) => i * (band + 15) * direction).some(offset => {
+        const outerY = peakY + offset + (baseY - peakY) * Math.abs(x - 100) / 100;
+        const innerY = outerY + band * direction;
+        return y >= Math.min(outerY, innerY) && y <= Math.max(outerY, innerY);
+      });
+    }
+    case 'pile': {
+      const width = 200 / count;
+      const baseY = ordinary.inverted ? 200 : 0;
+      const pointY = ordinary.inverted ? 40 : 160;
+      const along = (y - baseY) / (pointY - baseY);
+      if (along < 0 || along > 1) return false;
+      return Array.from({ length: count }, (_, i) => width * (i + 0.5))
+        .some(center => Math.abs(x - center) <= width * 0.4 * (1 - along));
+    }
+    case 'cross': {
+      const half = 25 * t;
+      return Math.abs(x - 100) <= half || Math.abs(y - 100) <= half;
+    }
+    case 'saltire': {
+      const arm = 40 * t;
+      return Math.abs(x - y) <= arm || Math.abs(x + y - 200) <= arm;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Tinctures showing at a point beneath a layer: the topmost of the given
+ * ordinaries covering it, else the field
+ */
+function tincturesBeneath(field, ordinaries, x, y) {
+  for (let i = ordinaries.length - 1; i >= 0; i--) {
+    if (ordinaryCovers(ordinaries[i].layer, x, y)) {
+      return [{ tincture: ordinaries[i].layer.tincture, source: ordinaries[i] }];
+    }
+  }
+  const tincture = fieldTinctureAt(field, x, y);
+  const tinctures = tincture
+    ? [tincture]
+    : [field.tincture1, field.tincture2].filter(Boolean);
+  return tinctures.map(t => ({ tincture: t, source: null }));
+}
+
+/**
+ * Points sampled from the parts of the field an ordinary covers
+ */
+function samplePointsOf(ordinary) {
+  const points = [];
+  for (let x = 5; x < 200; x += 10) {
+    for (let y = 5; y < 200; y += 10) {
+      if (ordinaryCovers(ordinary, x, y)) points.push({ x, y });
+    }
+  }
+  return points;
+}
+
+/**
+ * Points around the centre of each charge in a charge layer
+ */
+function chargeSamplePoints(charge, arrangements, sizes) {
+  const layouts = arrangements[charge.count];
+  const positions = layouts?.[charge.arrangement] ||
+    (layouts && charge.count > 1 ? Object.values(layouts)[0] : [DEFAULT_CHARGE_POSITION]);
+  const scale = (sizes[charge.size]?.scale || 0.9) * (charge.count === 1 ? 1 : 0.7);
+  // Sample near the centre: charges often spill over the edge of the
+  // ordinary they are charged on, but only straddle a line when centred on it
+  const reach = CHARGE_HALF_SIZE * scale * 0.25;
+
+  return positions.map(({ x, y }) => [
+    { x, y },
+    { x: x - reach, y },
+    { x: x + reach, y },
+    { x, y: y - reach },
+    { x, y: y + reach }
+  ]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RULES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function tinctureClass(tincture, library) {
+  const type = library[tincture]?.type;
+  if (type === 'metal') return 'metal';
+  if (type === 'colour' || type === 'stain') return 'colour';
+  return type || null;
+}
+
+function tinctureName(tincture, library) {
+  const name = library[tincture]?.name || tincture;
+  return name.split(' ')[0];
+}
+
+/**
+ * Compare a layer's tincture with what lies beneath it
+ *
+ * @returns {string|null} 'same' | 'metal' | 'colour' | null (no problem)
+ */
+function compareWithBeneath(tincture, beneath, library) {
+  if (beneath.length === 0) return null;
+  if (beneath.every(b => b.tincture === tincture)) return 'same';
+
+  // Lying over both a metal and a colour satisfies the rule
+  const classes = new Set(beneath.map(b => tinctureClass(b.tincture, library)));
+  if (classes.has('metal') && classes.has('colour')) return null;
+
+  if (beneath.every(b => checkRuleOfTincture(tincture, b.tincture, library))) {
+    return tinctureClass(tincture, library);
+  }
+  return null;
+}
+
+/**
+ * Best contrasting tincture to suggest, avoiding ones already in use
+ */
+function suggestContrast(beneathTinctures, used, library) {
+  const classes = new Set(beneathTinctures.map(t => tinctureClass(t, library)));
+  const candidates = classes.has('metal') ? PREFERRED_COLOURS : PREFERRED_METALS;
+  const available = candidates.filter(t => library[t]);
+  return available.find(t => !used.has(t)) || available[0] || null;
+}
+
+function describeViolation(kind, tincture, beneathTinctures, library) {
+  const upper = tinctureName(tincture, library);
+  const lower = [...new Set(beneathTinctures)].map(t => tinctureName(t, library)).join(' and ');
+  if (kind === 'same') return `${upper} on ${lower} - the layer disappears into what it lies on`;
+  return kind === 'metal'
+    ? `Metal on metal: ${upper} on ${lower}`
+    : `Colour on colour: ${upper} on ${lower}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LINTER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Lint a Creator composition
+ *
+ * @param {Object} composition - { field, ordinaries, charges, category }
+ * @param {Object} [options]
+ * @param {Object} [options.tinctures] - Tincture palette by ID (with type and name)
+ * @param {Object} [options.ordinaries] - Ordinary definitions (maxCount, supportsCount)
+ * @param {Object} [options.chargeArrangements] - Charge positions by count and arrangement
+ * @param {Object} [options.chargeSizes] - Charge sizes with their scale
+ * @returns {{ exempt: boolean, issues: Array }} Each issue:
+ *   { id, severity, layer: 'field'|'ordinary'|'charge', index, message,
+ *     suggestion, fix: { layer, index, changes } | { layer, index, remove: true } | null }
+ */
+export function lintComposition(composition, options = {}) {
+  const { field, ordinaries = [], charges = [], category } = composition;
+  const library = options.tinctures || ALL_TINCTURES;
+  const ordinaryDefs = options.ordinaries || {};
+  const arrangements = options.chargeArrangements || {};
+  const chargeSizes = options.chargeSizes || {};
+
+  if (category === 'fantasy') {
+    return { exempt: true, issues: [] };
+  }
+  if (!field) return { exempt: false, issues: [] };
+
+  const issues = [];
+  const addIssue = (issue) => issues.push({ fix: null, ...issue });
+
+  const visibleOrdinaries = ordinaries
+    .map((layer, index) => ({ layer, index }))
+    .filter(({ layer }) => layer.visible !== false);
+  const visibleCharges = charges
+    .map((layer, index) => ({ layer, index }))
+    .filter(({ layer }) => layer.visible !== false);
+
+  const used = new Set([
+    field.tincture1,
+    ...(field.division !== 'plain' ? [field.tincture2] : []),
+    ...visibleOrdinaries.map(o => o.layer.tincture),
+    ...visibleCharges.map(c => c.layer.tincture)
+  ]);
+
+  // ---- Field divisions ----
+  if (field.division !== 'plain') {
+    const pairs = [[field.tincture1, field.tincture2]];
+    if (['tiercedPale', 'tiercedFess'].includes(field.division) && field.tincture3) {
+      pairs.push([field.tincture2, field.tincture3]);
+    }
+    pairs.forEach(([a, b], pairIndex) => {
+      const key = pairIndex === 0 ? 'tincture2' : 'tincture3';
+      if (a === b) {
+        addIssue({
+          id: `field-same-${key}`,
+          severity: LINT_SEVERITY.ERROR,
+          layer: 'field',
+          index: null,
+          message: `The field is divided ${tinctureName(a, library)} and ${tinctureName(b, library)} - the division cannot be seen`,
+          suggestion: 'Use a contrasting tincture for the second part',
+          fix: { layer: 'field', index: null, changes: { [key]: suggestContrast([a], used, library) } }
+        });
+      } else if (checkRuleOfTincture(a, b, library)) {
+        const replacement = suggestContrast([a], used, library);
+        addIssue({
+          id: `field-rule-${key}`,
+          severity: LINT_SEVERITY.WARNING,
+          layer: 'field',
+          index: null,
+          message: `${describeViolation(tinctureClass(a, library), b, [a], library)} across the field's division`,
+          suggestion: `Divide a metal with a colour, e.g. ${tinctureName(replacement, library)}`,
+          fix: replacement ? { layer: 'field', index: null, changes: { [key]: replacement } } : null
+        });
+      }
+    });
+  }
+
+  // ---- Ordinaries ----
+  visibleOrdinaries.forEach((entry, position) => {
+    const { layer, index } = entry;
+    const def = ordinaryDefs[layer.type] || {};
+    const name = def.name || layer.type;
+
+    const beneath = samplePointsOf(layer)
+      .flatMap(({ x, y }) => tincturesBeneath(field, visibleOrdinaries.slice(0, position), x, y));
+    const kind = compareWithBeneath(layer.tincture, beneath, library);
+    if (kind) {
+      const beneathTinctures = beneath.map(b => b.tincture);
+      const replacement = suggestContrast(beneathTinctures, used, library);
+      addIssue({
+        id: `ordinary-rule-${index}`,
+        severity: kind === 'same' ? LINT_SEVERITY.ERROR : LINT_SEVERITY.WARNING,
+        layer: 'ordinary',
+        index,
+        message: `${name}: ${describeViolation(kind, layer.tincture, beneathTinctures, library)}`,
+        suggestion: replacement ? `Make the ${name.toLowerCase()} ${tinctureName(replacement, library)}` : 'Choose a contrasting tincture',
+        fix: replacement ? { layer: 'ordinary', index, changes: { tincture: replacement } } : null
+      });
+    }
+
+    // Count limits
+    const maxCount = def.maxCount || (def.supportsCount ? 3 : 1);
+    if ((layer.count || 1) > maxCount) {
+      addIssue({
+        id: `ordinary-count-${index}`,
+        severity: LINT_SEVERITY.ERROR,
+        layer: 'ordinary',
+        index,
+        message: maxCount === 1
+          ? `${name}: a ${name.toLowerCase()} is not multiplied`
+          : `${name}: at most ${maxCount} can be drawn`,
+        suggestion: `Reduce the count to ${maxCount}`,
+        fix: { layer: 'ordinary', index, changes: { count: maxCount } }
+      });
+    }
+
+    const earlier = visibleOrdinaries.slice(0, position).find(o => o.layer.type === layer.type);
+    if (earlier && !def.supportsCount) {
+      addIssue({
+        id: `ordinary-duplicate-${index}`,
+        severity: LINT_SEVERITY.ERROR,
+        layer: 'ordinary',
+        index,
+        message: `${name}: a shield bears only one ${name.toLowerCase()}`,
+        suggestion: `Remove the second ${name.toLowerCase()}`,
+        fix: { layer: 'ordinary', index, remove: true }
+      });
+    }
+  });
+
+  if (visibleOrdinaries.length > MAX_ORDINARIES) {
+    addIssue({
+      id: 'ordinaries-crowded',
+      severity: LINT_SEVERITY.WARNING,
+      layer: 'ordinary',
+      index: null,
+      message: `${visibleOrdinaries.length} ordinaries crowd the shield - good arms rarely need more than ${MAX_ORDINARIES}`,
+      suggestion: 'Remove or hide an ordinary, or move its meaning into a charge',
+      fix: null
+    });
+  }
+
+  // ---- Charges ----
+  visibleCharges.forEach(({ layer, index }) => {
+    const groups = chargeSamplePoints(layer, arrangements, chargeSizes)
+      .map(points => points.flatMap(({ x, y }) => tincturesBeneath(field, visibleOrdinaries, x, y)));
+
+    const violation = groups
+      .map(beneath => ({ beneath, kind: compareWithBeneath(layer.tincture, beneath, library) }))
+      .find(result => result.kind);
+    if (!violation) return;
+
+    const beneathTinctures = violation.beneath.map(b => b.tincture);
+    const ordinary = violation.beneath.find(b => b.source)?.source;
+    const where = ordinary
+      ? ` on the ${(ordinaryDefs[ordinary.layer.type]?.name || ordinary.layer.type).toLowerCase()}`
+      : '';
+    const replacement = suggestContrast(beneathTinctures, used, library);
+    addIssue({
+      id: `charge-rule-${index}`,
+      severity: violation.kind === 'same' ? LINT_SEVERITY.ERROR : LINT_SEVERITY.WARNING,
+      layer: 'charge',
+      index,
+      message: `Charge ${index + 1}${where}: ${describeViolation(violation.kind, layer.tincture, beneathTinctures, library)}`,
+      suggestion: replacement ? `Make the charge ${tinctureName(replacement, library)}` : 'Choose a contrasting tincture',
+      fix: replacement ? { layer: 'charge', index, changes: { tincture: replacement } } : null
+    });
+  });
+
+  // ---- Uncommon tinctures ----
+  const reported = new Set();
+  const checkUncommon = (tincture, layer, index, changeKey) => {
+    if (!tincture || reported.has(tincture)) return;
+    const isStain = library[tincture]?.type === 'stain';
+    const isTraditional = Boolean(TRADITIONAL_TINCTURES[tincture]);
+    if (!isStain && isTraditional) return;
+    reported.add(tincture);
+
+    const equivalent = TRADITIONAL_EQUIVALENTS[tincture];
+    const changes = changeKey === 'tincture1' || changeKey === 'tincture2' || changeKey === 'tincture3'
+      ? { [changeKey]: equivalent }
+      : { tincture: equivalent };
+    addIssue({
+      id: `uncommon-${tincture}`,
+      severity: LINT_SEVERITY.INFO,
+      layer,
+      index,
+      message: isStain
+        ? `${tinctureName(tincture, library)} is a stain - rare in real armory and often held to be a mark of dishonour`
+        : `${tinctureName(tincture, library)} is not one of the traditional tinctures`,
+      suggestion: equivalent && library[equivalent]
+        ? `Use ${tinctureName(equivalent, library)} instead`
+        : 'Use one of the traditional metals or colours',
+      fix: equivalent && library[equivalent] ? { layer, index, changes } : null
+    });
+  };
+
+  checkUncommon(field.tincture1, 'field', null, 'tincture1');
+  if (field.division !== 'plain') checkUncommon(field.tincture2, 'field', null, 'tincture2');
+  if (['tiercedPale', 'tiercedFess'].includes(field.division)) {
+    checkUncommon(field.tincture3, 'field', null, 'tincture3');
+  }
+  visibleOrdinaries.forEach(({ layer, index }) => checkUncommon(layer.tincture, 'ordinary', index));
+  visibleCharges.forEach(({ layer, index }) => checkUncommon(layer.tincture, 'charge', index));
+
+  const order = { error: 0, warning: 1, info: 2 };
+  issues.sort((a, b) => order[a.severity] - order[b.severity]);
+
+  return { exempt: false, issues };
+}
+
+export default {
+  LINT_SEVERITY,
+  lintComposition
+};
@@ -0,0 +1,198 @@
+/**
+ * wantedPagesUtils.js - Red-Link Report for the Codex
+ *
+ * PURPOSE:
+ * Finds every [[wiki link]] that points at an entry that doesn't exist,
+ * groups them by target title, and guesses what kind of entry the target
+ * should be - like Wikipedia's "Wanted pages".
+ *
+ * TYPE GUESSING:
+ * Each reference votes using the text around it: the bold label on the same
+ * line ("**Seat:** [[Highwatch]]"), the section heading it sits under
+ * ("## Key Participants") and words in the title itself ("Battle of ...").
+ *
+ * USAGE:
+ *   const wanted = collectWantedPages(entries);
+ *   wanted[0] // { title, count, referrers: [{ id, title, type, count }], suggestedType }
+ */
+
+import { parseWikiLinkText } from './wikiLinkParser';
+
+// ==================== TYPE HINTS ====================
+
+/**
+ * Clues for each entry type. Labels match "**Label:**" on the link's line,
+ * headings match the nearest "## Heading" above it, and the title pattern
+ * matches the missing title.
+ */
+const STUB_TYPE_HINTS = [
+  {
+    type: 'house',
+    labels: ['house', 'allies', 'rivals', 'liege', 'vassals'],
+    headings: ['relations', 'associated houses'],
+    titlePattern: /^house\s/i
+  },
+  {
+    type: 'location',
+    labels: ['seat', 'location', 'region', 'capital', 'where'],
+    headings: ['where', 'geography', 'holdings'],
+    titlePattern: /\b(castle|keep|hold|vale|river|forest|city|town|isle|island|mountains?|hall|tower|abbey|march(es)?)\b/i
+  },
+  {
+    type: 'event',
+    labels: ['event', 'battle', 'war'],
+    headings: ['what happened', 'notable appearances'],
+    titlePattern: /\b(battle|war|siege|treaty|rebellion|uprising|council|massacre|coronation|sack)\b/i
+  },
+  {
+    type: 'personage',
+    labels: ['parents', 'spouse', 'children', 'father', 'mother', 'heir', 'founder', 'current leader', 'original bearer', 'current bearer'],
+    headings: ['family', 'notable members', 'key participants', 'known wielders/keepers'],
+    titlePattern: /\b(lord|lady|king|queen|prince|princess|ser|sir)\b/i
+  },
+  {
+    type: 'mysteria',
+    labels: ['magic', 'artifact', 'prophecy'],
+    headings: ['properties'],
+    titlePattern: /\b(prophecy|curse|relic|blade of|sword of)\b/i
+  }
+];
+
+// A title match outweighs a single label or heading
+const TITLE_VOTE = 3;
+const LABEL_VOTE = 2;
+const HEADING_VOTE = 1;
+
+/**
+ * Bold label ("**Seat:**") closest before the link on its line, lowercased
+ */
+function getLineLabel(content, index) {
+  const lineStart = content.lastIndexOf('\n', index - 1) + 1;
+  const before = content.slice(lineStart, index);
+  const labels = [...before.matchAll(/\*\*([^*:]+):?\*\*/g)];
+  return labels.length > 0 ? labels[labels.length - 1][1].trim().toLowerCase() : null;
+}
+
+/**
+ * Nearest markdown heading above the link, lowercased
+ */
+function getSectionHeading(content, index) {
+  const headings = [...content.slice(0, index).matchAll(/^#{1,6}\s+(.+)$/gm)];
+  return headings.length > 0 ? headings[headings.length - 1][1].trim().toLowerCase() : null;
+}
+
+/**
+ * Guess the entry type for a missing title
+ *
+ * @param {string} title - Missing entry title
+ * @param {Array<{label: string|null, heading: string|null}>} contexts - One per reference
+ * @returns {string} Entry type ('custom' when nothing points anywhere)
+ */
+export function inferStubType(title, contexts = []) {
+  const votes = new Map();
+  const vote = (type, weight) => votes.set(type, (votes.get(type) || 0) + weight);
+
+  for (const hint of STUB_TYPE_HINTS) {
+    if (hint.titlePattern && hint.titlePattern.test(title)) vote(hint.type, TITLE_VOTE);
+
+    for (const context of contexts) {
+      if (context.label && hint.labels.includes(context.label)) vote(hint.type, LABEL_VOTE);
+      if (context.heading && hint.headings.includes(context.heading)) vote(hint.type, HEADING_VOTE);
+    }
+  }
+
+  let best = 'custom';
+  let bestScore = 0;
+  for (const [type, score] of votes) {
+    if (score > bestScore) {
+      best = type;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// ==================== REPORT ====================
+
+/**
+ * Every unresolved wiki-link target in the codex.
+ *
+ * Title links ([[Title]], [[Alias|Title]]) are unresolved when no entry has
+ * that title; id links ([[Display|#42]]) when entry 42 has been deleted, in
+ * which case the display text stands in for the title.
+ *
+ * @param {Array} entries - All codex entries
+ * @returns {Array<Object>} Sorted by reference count, then title
+ */
+export function collectWantedPages(entries) {
+  const ids = new Set(entries.map(entry => entry.id));
+  const titles = new Set(entries.map(entry => (entry.title || '').toLowerCase()));
+  const wanted = new Map();
+
+  for (const entry of entries) {
+    const content = entry.content || '';
+
+    for (const match of content.matchAll(/\[\[([^\]]+)\]\]/g)) {
+      const link = parseWikiLinkText(match[1]);
+      const target = link.targetId !== null ? link.display : link.search;
+      if (!target) continue;
+
+      const resolved = link.targetId !== null
+        ? ids.has(link.targetId)
+        : titles.has(target.toLowerCase());
+      if (resolved) continue;
+
+      const key = target.toLowerCase();
+      if (!wanted.has(key)) {
+        wanted.set(key, { key, title: target, count: 0, referrers: new Map(), contexts: [] });
+      }
+
+      const page = wanted.get(key);
+      page.count++;
+      page.contexts.push({
+        label: getLineLabel(content, match.index),
+        heading: getSectionHeading(content, match.index)
+      });
+
+      const referrer = page.referrers.get(entry.id) || { id: entry.id, title: entry.title, type: entry.type, count: 0 };
+      referrer.count++;
+      page.referrers.set(entry.id, referrer);
+    }
+  }
+
+  return [...wanted.values()]
+    .map(page => ({
+      key: page.key,
+      title: page.title,
+      count: page.count,
+      referrers: [...page.referrers.values()].sort((a, b) => b.count - a.count || a.title.localeCompare(b.title)),
+      suggestedType: inferStubType(page.title, page.contexts)
+    }))
+    .sort((a, b) => b.count - a.count || a.title.localeCompare(b.title));
+}
+
+/**
+ * Markdown body for a new stub entry, linking back to what cites it
+ *
+ * @param {Object} page - Item from collectWantedPages()
+ * @returns {string}
+ */
+export function buildStubContent(page) {
+  const citedBy = page.referrers
+    .map(referrer => `[[${referrer.title}|#${referrer.id}]]`)
+    .join(', ');
+
+  return `## Overview
+
+*This entry is a stub. Expand it with what is known of ${page.title}.*
+
+## Mentioned In
+
+${citedBy}`;
+}
+
+export default {
+  inferStubType,
+  collectWantedPages,
+  buildStubContent
+};
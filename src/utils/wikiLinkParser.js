@@ -7,6 +7,9 @@
  * NEW IN THIS VERSION:
  * - getContextSnippet() - Extract sentence containing wiki-link
  * - Enhanced for backlinks panel support
+ * - Id-based links: [[Display Text|#42]] points at entry 42 whatever its
+ *   title becomes, so renaming an entry no longer breaks links to it.
+ *   The editor shows plain [[Title]] links and converts on save.
  * 
  * HOW IT WORKS:
  * 1. Parse markdown → HTML using 'marked' library
@@ -26,14 +29,83 @@ import {
   getEntry
 } from '../services/codexService';
 
+// Matches [[...]] - the inner text is parsed by parseWikiLinkText()
+const WIKI_LINK_PATTERN = /\[\[([^\]]+)\]\]/g;
+
+// Id target after the pipe: [[Display|#42]]
+const ID_TARGET_PATTERN = /^#(\d+)$/;
+
+/**
+ * Split the inside of a [[...]] link into its parts
+ *
+ * - [[Title]]            → display "Title", search "Title"
+ * - [[Display|Title]]    → display "Display", search "Title"
+ * - [[Display|#42]]      → display "Display", targetId 42
+ *
+ * @param {string} linkText - Text between the brackets
+ * @returns {{ display: string, search: string|null, targetId: number|null, isAlias: boolean }}
+ */
+export function parseWikiLinkText(linkText) {
+  const text = linkText.trim();
+  const pipeIndex = text.indexOf('|');
+
+  if (pipeIndex === -1) {
+    return { display: text, search: text, targetId: null, isAlias: false };
+  }
+
+  const display = text.slice(0, pipeIndex).trim();
+  const target = text.slice(pipeIndex + 1).trim();
+  const idMatch = target.match(ID_TARGET_PATTERN);
+
+  if (idMatch) {
+    return { display, search: null, targetId: parseInt(idMatch[1], 10), isAlias: false };
+  }
+
+  return { display, search: target, targetId: null, isAlias: true };
+}
+
+/**
+ * Find the entry a parsed link points at
+ *
+ * @param {Object} link - Result of parseWikiLinkText()
+ * @param {Map} entriesById - id → entry
+ * @param {Map} entriesByTitle - lowercase title → entry
+ * @returns {Object|null}
+ */
+function resolveLinkTarget(link, entriesById, entriesByTitle) {
+  if (link.targetId !== null) {
+    return entriesById.get(link.targetId) || null;
+  }
+  return entriesByTitle.get(link.search.toLowerCase()) || null;
+}
+
+/**
+ * Build id and title lookup maps. The first entry wins on duplicate titles.
+ */
+function buildEntryMaps(entries) {
+  const entriesById = new Map();
+  const entriesByTitle = new Map();
+
+  for (const entry of entries) {
+    entriesById.set(entry.id, entry);
+    const key = (entry.title || '').toLowerCase();
+    if (key && !entriesByTitle.has(key)) {
+      entriesByTitle.set(key, entry);
+    }
+  }
+
+  return { entriesById, entriesByTitle };
+}
+
 /**
  * Parse markdown content with wiki-link processing
  * 
  * @param {string} markdown - Raw markdown text with [[wiki-links]]
  * @param {number} sourceEntryId - ID of the entry containing this content (for auto-linking)
+ * @param {string} [datasetId] - Dataset ID (optional)
  * @returns {Promise<string>} - HTML with processed wiki-links
  */
-export async function parseWikiLinks(markdown, sourceEntryId = null) {
+export async function parseWikiLinks(markdown, sourceEntryId = null, datasetId) {
   if (!markdown) return '';
   
   try {
@@ -41,27 +113,20 @@ export async function parseWikiLinks(markdown, sourceEntryId = null) {
     const html = marked.parse(markdown);
     
     // Step 2: Find all [[Entry Name]] patterns
-    const wikiLinkPattern = /\[\[([^\]]+)\]\]/g;
-    const matches = [...html.matchAll(wikiLinkPattern)];
+    const matches = [...html.matchAll(WIKI_LINK_PATTERN)];
     
     if (matches.length === 0) {
       return html; // No wiki-links found
     }
     
-    // Step 3: Get all entries from database (for lookup)
-    const allEntries = await getAllEntries();
-    
-    // Create a lookup map: title → entry
-    const entryMap = new Map();
-    allEntries.forEach(entry => {
-      // Store both exact title and lowercase for case-insensitive matching
-      entryMap.set(entry.title.toLowerCase(), entry);
-    });
+    // Step 3: Get all entries from database (for lookup by id or lowercase title)
+    const allEntries = await getAllEntries(datasetId);
+    const { entriesById, entriesByTitle } = buildEntryMaps(allEntries);
     
     // Step 4: Get existing outgoing links (if sourceEntryId provided)
     let existingLinks = [];
     if (sourceEntryId) {
-      existingLinks = await getOutgoingLinks(sourceEntryId);
+      existingLinks = await getOutgoingLinks(sourceEntryId, datasetId);
     }
     
     // Create a Set of existing link pairs for faster lookup
@@ -75,20 +140,14 @@ export async function parseWikiLinks(markdown, sourceEntryId = null) {
     
     for (const match of matches) {
       const fullMatch = match[0]; // "[[Entry Name]]"
-      const linkText = match[1].trim(); // "Entry Name"
-      
-      // Check for alias syntax: [[Display Text|Actual Entry]]
-      let displayText = linkText;
-      let searchText = linkText;
       
-      if (linkText.includes('|')) {
-        const parts = linkText.split('|');
-        displayText = parts[0].trim();
-        searchText = parts[1].trim();
-      }
+      // Handles [[Entry]], [[Display Text|Actual Entry]] and [[Display Text|#id]]
+      const link = parseWikiLinkText(match[1]);
+      const displayText = link.display;
+      const searchText = link.search ?? `#${link.targetId}`;
       
-      // Look up entry (case-insensitive)
-      const targetEntry = entryMap.get(searchText.toLowerCase());
+      // Look up entry (by id, else case-insensitive title)
+      const targetEntry = resolveLinkTarget(link, entriesById, entriesByTitle);
       
       if (targetEntry) {
         // Entry exists - create clickable link
@@ -123,7 +182,7 @@ export async function parseWikiLinks(markdown, sourceEntryId = null) {
     // Step 6: Auto-create new links (future hook for knowledge graph)
     if (linksToCreate.length > 0) {
       await Promise.all(
-        linksToCreate.map(linkData => createLink(linkData))
+        linksToCreate.map(linkData => createLink(linkData, datasetId))
       );
       console.log(`Auto-created ${linksToCreate.length} wiki-links from entry ${sourceEntryId}`);
     }
@@ -143,18 +202,22 @@ export async function parseWikiLinks(markdown, sourceEntryId = null) {
  * 
  * @param {string} content - Raw markdown content
  * @param {string} targetTitle - Title of the entry being linked to
+ * @param {number} [targetId] - ID of the entry being linked to (matches [[Display|#id]])
  * @returns {string} - Sentence containing the wiki-link, or empty string
  */
-export function getContextSnippet(content, targetTitle) {
+export function getContextSnippet(content, targetTitle, targetId = null) {
   if (!content || !targetTitle) return '';
   
   try {
     // Find the wiki-link pattern for this specific entry
-    // Handle both [[Title]] and [[Alias|Title]] formats
+    // Handle [[Title]], [[Alias|Title]] and [[Alias|#id]] formats
     const patterns = [
       new RegExp(`\\[\\[${escapeRegex(targetTitle)}\\]\\]`, 'i'),
-      new RegExp(`\\[\\[[^|]+\\|${escapeRegex(targetTitle)}\\]\\]`, 'i')
+      new RegExp(`\\[\\[[^|\\]]+\\|${escapeRegex(targetTitle)}\\]\\]`, 'i')
     ];
+    if (targetId !== null && targetId !== undefined) {
+      patterns.unshift(new RegExp(`\\[\\[[^|\\]]+\\|#${targetId}\\]\\]`));
+    }
     
     let linkPosition = -1;
     let matchedPattern = null;
@@ -202,6 +265,7 @@ export function getContextSnippet(content, targetTitle) {
     
     // Remove markdown formatting for cleaner preview
     sentence = sentence
+      .replace(/\[\[([^|\]]+)\|#\d+\]\]/g, '[[$1]]') // Hide id targets
       .replace(/^[#\s]+/, '') // Remove heading markers
       .replace(/\*\*/g, '')   // Remove bold
       .replace(/\*/g, '')     // Remove italic
@@ -234,34 +298,17 @@ function escapeRegex(string) {
  * Useful for validation or preview
  * 
  * @param {string} markdown - Raw markdown text
- * @returns {Array<Object>} - Array of { text, isAlias, display, search }
+ * @returns {Array<Object>} - Array of { text, isAlias, display, search, targetId }
  */
 export function extractWikiLinks(markdown) {
   if (!markdown) return [];
   
-  const wikiLinkPattern = /\[\[([^\]]+)\]\]/g;
-  const matches = [...markdown.matchAll(wikiLinkPattern)];
+  const matches = [...markdown.matchAll(WIKI_LINK_PATTERN)];
   
-  return matches.map(match => {
-    const linkText = match[1].trim();
-    
-    if (linkText.includes('|')) {
-      const parts = linkText.split('|');
-      return {
-        text: linkText,
-        isAlias: true,
-        display: parts[0].trim(),
-        search: parts[1].trim()
-      };
-    }
-    
-    return {
-      text: linkText,
-      isAlias: false,
-      display: linkText,
-      search: linkText
-    };
-  });
+  return matches.map(match => ({
+    text: match[1].trim(),
+    ...parseWikiLinkText(match[1])
+  }));
 }
 
 /**
@@ -269,22 +316,51 @@ export function extractWikiLinks(markdown) {
  * Returns list of broken links
  * 
  * @param {string} markdown - Raw markdown text
+ * @param {string} [datasetId] - Dataset ID (optional)
  * @returns {Promise<Array<string>>} - Array of entry names that don't exist
  */
-export async function validateWikiLinks(markdown) {
+export async function validateWikiLinks(markdown, datasetId) {
   const links = extractWikiLinks(markdown);
   if (links.length === 0) return [];
   
-  const allEntries = await getAllEntries();
-  const entryTitles = new Set(
-    allEntries.map(e => e.title.toLowerCase())
-  );
+  const allEntries = await getAllEntries(datasetId);
+  const { entriesById, entriesByTitle } = buildEntryMaps(allEntries);
   
-  const brokenLinks = links.filter(link => {
-    return !entryTitles.has(link.search.toLowerCase());
-  });
+  const brokenLinks = links.filter(link => !resolveLinkTarget(link, entriesById, entriesByTitle));
   
-  return brokenLinks.map(link => link.search);
+  return brokenLinks.map(link => link.search ?? link.display);
+}
+
+// ==================== EDITOR SUPPORT ====================
+
+/**
+ * Rank entries against a partial title for the [[ autocomplete.
+ * Exact matches first, then starts-with, then contains; alphabetical within each.
+ *
+ * @param {Array} entries - Codex entries
+ * @param {string} partialText - Text typed after [[
+ * @param {number} limit - Maximum number of suggestions
+ * @param {number} [excludeId] - Entry being edited (never suggested)
+ * @returns {Array<Object>}
+ */
+export function rankSuggestions(entries, partialText, limit = 10, excludeId = null) {
+  const searchLower = (partialText || '').trim().toLowerCase();
+
+  const rank = (title) => {
+    if (title === searchLower) return 0;
+    if (title.startsWith(searchLower)) return 1;
+    return 2;
+  };
+
+  return entries
+    .filter(entry => entry.id !== excludeId && entry.title)
+    .filter(entry => entry.title.toLowerCase().includes(searchLower))
+    .sort((a, b) => {
+      const aTitle = a.title.toLowerCase();
+      const bTitle = b.title.toLowerCase();
+      return rank(aTitle) - rank(bTitle) || aTitle.localeCompare(bTitle);
+    })
+    .slice(0, limit);
 }
 
 /**
@@ -293,46 +369,136 @@ export async function validateWikiLinks(markdown) {
  * 
  * @param {string} partialText - Partial entry name being typed
  * @param {number} limit - Maximum number of suggestions
+ * @param {string} [datasetId] - Dataset ID (optional)
  * @returns {Promise<Array<Object>>} - Array of matching entries
  */
-export async function getSuggestedEntries(partialText, limit = 10) {
+export async function getSuggestedEntries(partialText, limit = 10, datasetId) {
   if (!partialText || partialText.length < 2) return [];
   
-  const allEntries = await getAllEntries();
-  const searchLower = partialText.toLowerCase();
-  
-  // Fuzzy match: title starts with OR contains the search text
-  const matches = allEntries.filter(entry => {
-    const titleLower = entry.title.toLowerCase();
-    return titleLower.startsWith(searchLower) || titleLower.includes(searchLower);
+  const allEntries = await getAllEntries(datasetId);
+  return rankSuggestions(allEntries, partialText, limit);
+}
+
+/**
+ * Find an unfinished [[ link just before the caret
+ *
+ * @param {string} text - Editor content
+ * @param {number} caret - Caret position
+ * @returns {{ start: number, query: string }|null} - start is the index of "[["
+ */
+export function getWikiLinkQuery(text, caret) {
+  const before = text.slice(0, caret);
+  const start = before.lastIndexOf('[[');
+  if (start === -1) return null;
+
+  const query = before.slice(start + 2);
+  // Closed already, or not a title being typed
+  if (/[\]|\n]/.test(query)) return null;
+
+  return { start, query };
+}
+
+/**
+ * Convert stored links into what the editor shows:
+ * [[Display|#42]] becomes [[Title]] (or [[Display|Title]] when the display
+ * text differs). Links to deleted entries keep their display text. Links to
+ * an entry whose title is shared with another entry stay id-based, since the
+ * title alone could not tell them apart on save.
+ *
+ * @param {string} markdown - Stored content
+ * @param {Array} entries - Codex entries
+ * @returns {string}
+ */
+export function expandWikiLinksForEditing(markdown, entries) {
+  if (!markdown) return '';
+  const { entriesById } = buildEntryMaps(entries);
+
+  const titleCounts = new Map();
+  for (const entry of entries) {
+    const key = (entry.title || '').toLowerCase();
+    titleCounts.set(key, (titleCounts.get(key) || 0) + 1);
+  }
+
+  return markdown.replace(WIKI_LINK_PATTERN, (fullMatch, inner) => {
+    const link = parseWikiLinkText(inner);
+    if (link.targetId === null) return fullMatch;
+
+    const target = entriesById.get(link.targetId);
+    if (!target) return `[[${link.display}]]`;
+    if (titleCounts.get(target.title.toLowerCase()) > 1) return fullMatch;
+    if (link.display.toLowerCase() === target.title.toLowerCase()) return `[[${target.title}]]`;
+    return `[[${link.display}|${target.title}]]`;
   });
-  
-  // Sort: exact matches first, then starts-with, then contains
-  matches.sort((a, b) => {
-    const aTitle = a.title.toLowerCase();
-    const bTitle = b.title.toLowerCase();
-    
-    // Exact match (case-insensitive)
-    if (aTitle === searchLower) return -1;
-    if (bTitle === searchLower) return 1;
-    
-    // Starts with
-    const aStarts = aTitle.startsWith(searchLower);
-    const bStarts = bTitle.startsWith(searchLower);
-    if (aStarts && !bStarts) return -1;
-    if (!aStarts && bStarts) return 1;
-    
-    // Alphabetical
-    return aTitle.localeCompare(bTitle);
+}
+
+/**
+ * Convert editor links into stored links: every [[Title]] or
+ * [[Display|Title]] that matches an entry becomes [[Display|#id]].
+ * Unmatched titles stay as they are (they show as broken links).
+ *
+ * @param {string} markdown - Editor content
+ * @param {Array} entries - Codex entries
+ * @returns {string}
+ */
+export function resolveWikiLinksToIds(markdown, entries) {
+  if (!markdown) return '';
+  const { entriesByTitle } = buildEntryMaps(entries);
+
+  return markdown.replace(WIKI_LINK_PATTERN, (fullMatch, inner) => {
+    const link = parseWikiLinkText(inner);
+    if (link.targetId !== null) return fullMatch;
+
+    const target = entriesByTitle.get(link.search.toLowerCase());
+    if (!target) return fullMatch;
+
+    return `[[${link.display}|#${target.id}]]`;
+  });
+}
+
+/**
+ * Update links to a renamed entry inside another entry's content.
+ *
+ * Old title-based links to the entry ([[Old Title]], [[Alias|Old Title]]) are
+ * always re-pointed to its id so they keep working. When rewriteDisplay is
+ * set, link text that still reads the old title is changed to the new one;
+ * custom display text is left alone.
+ *
+ * @param {string} markdown - Content of a referencing entry
+ * @param {number} entryId - Renamed entry
+ * @param {string} oldTitle
+ * @param {string} newTitle
+ * @param {Object} [options]
+ * @param {boolean} [options.rewriteDisplay=true]
+ * @returns {string}
+ */
+export function rewriteLinksForRename(markdown, entryId, oldTitle, newTitle, { rewriteDisplay = true } = {}) {
+  if (!markdown) return markdown;
+  const oldLower = oldTitle.toLowerCase();
+
+  return markdown.replace(WIKI_LINK_PATTERN, (fullMatch, inner) => {
+    const link = parseWikiLinkText(inner);
+    const pointsHere = link.targetId === entryId ||
+      (link.targetId === null && link.search.toLowerCase() === oldLower);
+    if (!pointsHere) return fullMatch;
+
+    const display = rewriteDisplay && link.display.toLowerCase() === oldLower
+      ? newTitle
+      : link.display;
+
+    return `[[${display}|#${entryId}]]`;
   });
-  
-  return matches.slice(0, limit);
 }
 
 export default {
   parseWikiLinks,
+  parseWikiLinkText,
   extractWikiLinks,
   validateWikiLinks,
   getSuggestedEntries,
+  rankSuggestions,
+  getWikiLinkQuery,
+  expandWikiLinksForEditing,
+  resolveWikiLinksToIds,
+  rewriteLinksForRename,
   getContextSnippet
 };
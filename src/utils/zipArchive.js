@@ -0,0 +1,217 @@
+/**
+ * zipArchive.js - Minimal ZIP Writer and Reader
+ *
+ * PURPOSE:
+ * Enough of the ZIP format to bundle and unbundle text exports (the Codex
+ * Markdown vault) without pulling in a zip library.
+ *
+ * - createZip(): stores files uncompressed, UTF-8 names, CRC-32 checked
+ * - readZip(): reads stored and deflated entries; deflate uses the
+ *   browser's DecompressionStream('deflate-raw')
+ *
+ * Not supported: encryption, ZIP64, multi-disk archives.
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// General purpose flag bit 11: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+// ==================== CRC-32 ====================
+
+let crcTable = null;
+
+function getCrcTable() {
+  if (crcTable) return crcTable;
+  crcTable = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    crcTable[n] = c >>> 0;
+  }
+  return crcTable;
+}
+
+/**
+ * CRC-32 of a byte array
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ==================== WRITE ====================
+
+/**
+ * DOS date/time words for a JS date
+ */
+function toDosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a ZIP archive
+ *
+ * @param {Array<{path: string, content: string|Uint8Array}>} files
+ * @param {Date} [modified] - Timestamp stamped on every file
+ * @returns {Uint8Array}
+ */
+export function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, day } = toDosDateTime(modified);
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.path);
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    const checksum = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_FILE_HEADER, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, METHOD_STORED, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, METHOD_STORED, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    output.set(part, position);
+    position += part.length;
+  }
+  return output;
+}
+
+// ==================== READ ====================
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed zip files. Re-zip the folder without compression.');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read every file in a ZIP archive. Directory entries are skipped.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Promise<Array<{path: string, data: Uint8Array}>>}
+ */
+export async function readZip(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const utf8 = new TextDecoder('utf-8');
+  const latin1 = new TextDecoder('latin1');
+
+  // The end record sits in the last 22 bytes plus up to 64 KB of comment
+  let endOffset = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a zip file (no central directory found)');
+  }
+
+  const count = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pointer, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt zip file (bad central directory entry)');
+    }
+
+    const flags = view.getUint16(pointer + 8, true);
+    const method = view.getUint16(pointer + 10, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+
+    const nameBytes = bytes.subarray(pointer + 46, pointer + 46 + nameLength);
+    const path = (flags & FLAG_UTF8 ? utf8 : latin1).decode(nameBytes);
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue;
+
+    // Local header lengths can differ from the central copy
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const localExtraLength = view.getUint16(localOffset + 28, true);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === METHOD_STORED) {
+      files.push({ path, data: raw });
+    } else if (method === METHOD_DEFLATED) {
+      files.push({ path, data: await inflateRaw(raw) });
+    } else {
+      throw new Error(`Unsupported compression in zip entry "${path}"`);
+    }
+  }
+
+  return files;
+}
+
+export default {
+  crc32,
+  createZip,
+  readZip
+};